@@ -0,0 +1,38 @@
+/**
+ * backfillInvoices.js
+ *
+ * Finds fulfilled marketplace orders that are missing a vendor or restaurant
+ * invoice and generates them with the same code as the Firestore trigger
+ * (see invoiceGeneration.js). Safe to run repeatedly — existing invoices are
+ * never touched.
+ *
+ * Reports only, unless --apply is passed.
+ *
+ * Usage (from functions/, with application default credentials):
+ *   npm run backfill-invoices              # dry run
+ *   npm run backfill-invoices -- --apply   # generate missing invoices
+ */
+
+const admin = require("firebase-admin");
+const { getFirestore } = require("firebase-admin/firestore");
+const { backfillMissingInvoices } = require("./invoiceGeneration");
+
+const app = admin.initializeApp();
+const db = getFirestore(app, "restiq-vendormanagement");
+
+async function main() {
+    const apply = process.argv.includes("--apply");
+    console.log(`Backfilling order invoices${apply ? "" : " (dry run — pass --apply to write)"}...`);
+
+    const summary = await backfillMissingInvoices(db, { dryRun: !apply });
+    console.log(`Checked ${summary.checked} billable orders — ${summary.missing} missing invoices.`);
+    summary.generated.forEach(r => console.log(`  ✅ ${r.orderId}: created ${r.created.join(", ")}`));
+    summary.skipped.forEach(r => console.log(`  ⏭️  ${r.orderId}: ${r.skipped}`));
+    summary.failed.forEach(r => console.log(`  ❌ ${r.orderId}: ${r.error}`));
+    process.exit(summary.failed.length > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error("❌ Invoice backfill failed:", err);
+    process.exit(1);
+});
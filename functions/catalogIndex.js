@@ -0,0 +1,27 @@
+/**
+ * catalogIndex.js
+ *
+ * Loads `catalogItems` into the lookup index from src/shared/catalogIdentity.js,
+ * so the forecast job and reconciliation key items by catalogItemId (with
+ * aliases and merges resolved) rather than by name slug.
+ */
+
+const { loadShared } = require('./sharedModules');
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @returns {Promise<Object|null>} catalog index, or null if the catalog cannot
+ *          be read (items are then keyed by name slug)
+ */
+async function fetchCatalogIndex(db) {
+    const { buildCatalogIndex } = await loadShared('catalogIdentity');
+    try {
+        const snapshot = await db.collection('catalogItems').get();
+        return buildCatalogIndex(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    } catch (err) {
+        console.warn('[CatalogIndex] Could not load catalogItems, keying items by name:', err.message);
+        return null;
+    }
+}
+
+module.exports = { fetchCatalogIndex };
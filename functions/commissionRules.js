@@ -0,0 +1,80 @@
+/**
+ * commissionRules.js
+ *
+ * Commission rule versions (src/shared/commissionRules.js).
+ *
+ *   commissionRules/{ruleId}   — one rule per scope, with its dated versions
+ *   vendors/{id}               — name, for vendor-scoped rules (read)
+ *   adminChangeLogs            — one entry per version added
+ *
+ * Rules are only written here. A save adds a version to the scope's rule —
+ * creating the rule the first time — so a rate that has priced invoices is
+ * never overwritten; invoices keep the rule ID and version that priced them.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+
+/**
+ * Add a version to a commission rule.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {'vendor_category'|'vendor'|'category'|'platform'} params.scope
+ * @param {string} [params.vendorId]
+ * @param {string} [params.category]
+ * @param {string} [params.name] — label shown on invoices; defaults from the scope
+ * @param {Object} params.version — { effectiveFrom, basePercent, tiers, retired, notes }
+ * @param {string} params.actor
+ * @param {Date}   [params.now]
+ * @returns {Promise<{ ruleId, version: number, effectiveFrom: string, superseded: number[] }>}
+ */
+async function saveCommissionRuleVersion(db, { scope, vendorId, category, name, version, actor, now = new Date() }) {
+    const { validateRuleScope, getCommissionRuleId, addRuleVersion, getCommissionDate, COMMISSION_RULE_SCOPES } = await loadShared('commissionRules');
+
+    const { scope: target, error: scopeError } = validateRuleScope({ scope, vendorId, category });
+    if (scopeError) throw new HttpsError('invalid-argument', scopeError);
+    const ruleId = getCommissionRuleId(target);
+    const ruleRef = db.collection('commissionRules').doc(ruleId);
+    const today = getCommissionDate(now);
+
+    return db.runTransaction(async (txn) => {
+        const [ruleSnap, vendorSnap] = await txn.getAll(ruleRef, ...(target.vendorId ? [db.collection('vendors').doc(target.vendorId)] : []));
+        if (vendorSnap && !vendorSnap.exists) throw new HttpsError('not-found', `Vendor ${target.vendorId} not found.`);
+        const rule = ruleSnap.exists ? ruleSnap.data() : null;
+
+        const { versions, version: added, superseded, error } = addRuleVersion(rule, version || {}, today);
+        if (error) throw new HttpsError('failed-precondition', error);
+
+        const vendorName = vendorSnap ? (vendorSnap.data().name || vendorSnap.data().businessName || target.vendorId) : null;
+        const scopeLabel = COMMISSION_RULE_SCOPES.find(s => s.key === target.scope).label;
+        const defaultName = [vendorName, target.category].filter(Boolean).join(' · ') || scopeLabel;
+        const stamped = { ...added, createdAt: now.toISOString(), createdBy: actor };
+
+        txn.set(ruleRef, {
+            ...target,
+            vendorName,
+            name: String(name || '').trim() || rule?.name || defaultName,
+            versions: versions.map(v => (v.version === added.version ? stamped : v)),
+            latestVersion: added.version,
+            updatedBy: actor,
+            updatedAt: FieldValue.serverTimestamp(),
+            ...(rule ? {} : { createdBy: actor, createdAt: FieldValue.serverTimestamp() }),
+        });
+
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'commissionRule',
+            entityId: ruleId,
+            action: added.retired ? 'commission_rule_retired' : 'commission_rule_version_added',
+            changedBy: actor,
+            afterState: stamped,
+            metadata: { ...target, supersededVersions: superseded.map(v => v.version) },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        return { ruleId, version: added.version, effectiveFrom: added.effectiveFrom, superseded: superseded.map(v => v.version) };
+    });
+}
+
+module.exports = { saveCommissionRuleVersion };
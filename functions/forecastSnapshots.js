@@ -0,0 +1,350 @@
+/**
+ * forecastSnapshots.js
+ *
+ * Persists every suggested-forecast run, publishes dry runs, and reconciles
+ * published runs against what was actually delivered.
+ *
+ *   forecastRuns/{runId}                          — run log: who/when/status + inputs summary
+ *   forecastRuns/{runId}/snapshots/{restaurantId} — immutable forecast document per restaurant
+ *   forecastAccuracy/{runId}_{restaurantId}       — forecast vs actual, per line
+ *
+ * A normal run writes its snapshots in the same batch as
+ * `suggestedOrderAIForcast_Model`. A dry run writes only the snapshots (with a
+ * diff against the stored suggestion); publishForecastRun() later copies all or
+ * selected restaurants' snapshots into `suggestedOrderAIForcast_Model`. Only
+ * published snapshots are reconciled, and only the last one each restaurant
+ * was shown for a week.
+ *
+ * Reconciliation: Every Tuesday via Cloud Scheduler, or `reconcileForecastRunsNow`.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+const { fetchCatalogIndex } = require('./catalogIndex');
+
+const FORECAST_COLLECTION = 'suggestedOrderAIForcast_Model';
+
+// ─── Snapshot Writes ──────────────────────────────────────────────────────────
+
+/**
+ * Reserve a run document reference (auto ID) before the forecast is built, so
+ * the run ID can be stamped on every forecast document.
+ */
+function newForecastRunRef(db) {
+    return db.collection('forecastRuns').doc();
+}
+
+/**
+ * Queue the run document and one snapshot per restaurant on `batch`.
+ *
+ * @param {FirebaseFirestore.WriteBatch} batch
+ * @param {FirebaseFirestore.DocumentReference} runRef — from newForecastRunRef()
+ * @param {Object} run — { trigger, triggeredBy, triggeredByName, dryRun, weekStart, weekEnd, generatedAt, config, inputsSummary }
+ * @param {Array<Object>} documents — forecast document data, one per restaurant
+ * @param {Object} [diffs] — { restaurantId → diffForecastDocument() } for dry runs
+ */
+function queueForecastRunWrites(batch, runRef, run, documents, diffs = {}) {
+    const { config, dryRun = false } = run;
+
+    documents.forEach(data => {
+        batch.set(runRef.collection('snapshots').doc(data.restaurantId), {
+            ...data,
+            runId: runRef.id,
+            published: !dryRun,
+            publishedAt: dryRun ? null : FieldValue.serverTimestamp(),
+            diff: diffs[data.restaurantId] || null,
+        });
+    });
+
+    const diffList = Object.values(diffs);
+    batch.set(runRef, {
+        runId: runRef.id,
+        trigger: run.trigger,
+        triggeredBy: run.triggeredBy || null,
+        triggeredByName: run.triggeredByName || null,
+        mode: dryRun ? 'dry-run' : 'publish',
+        status: dryRun ? 'draft' : 'published',
+        error: null,
+        weekStart: run.weekStart,
+        weekEnd: run.weekEnd,
+        generatedAt: run.generatedAt,
+        createdAt: FieldValue.serverTimestamp(),
+        configVersion: config.configVersion || 0,
+        models: { defaultModel: config.defaultModel, categoryModels: config.categoryModels || {} },
+        inputsSummary: run.inputsSummary,
+        totals: {
+            restaurants: documents.length,
+            readyRestaurants: documents.filter(d => d.status === 'ready').length,
+            lines: documents.reduce((s, d) => s + d.forecastLines.length, 0),
+            packs: documents.reduce((s, d) => s + d.summary.totalPacks, 0),
+        },
+        diffSummary: dryRun ? {
+            restaurantsChanged: diffList.filter(d => d.hasChanges).length,
+            added: diffList.reduce((s, d) => s + d.added.length, 0),
+            removed: diffList.reduce((s, d) => s + d.removed.length, 0),
+            changed: diffList.reduce((s, d) => s + d.changed.length, 0),
+        } : null,
+        publishedRestaurants: dryRun ? [] : documents.map(d => d.restaurantId),
+        publishedBy: dryRun ? null : run.triggeredByName || run.triggeredBy || null,
+        publishedAt: dryRun ? null : FieldValue.serverTimestamp(),
+        reconciliationStatus: dryRun ? 'unpublished' : 'pending',
+        reconciledAt: null,
+        accuracy: null,
+    });
+}
+
+/**
+ * Log a run that failed before anything was written, so every trigger shows
+ * up in the run history.
+ */
+async function recordFailedForecastRun(runRef, run, err) {
+    try {
+        await runRef.set({
+            runId: runRef.id,
+            trigger: run.trigger,
+            triggeredBy: run.triggeredBy || null,
+            triggeredByName: run.triggeredByName || null,
+            mode: run.dryRun ? 'dry-run' : 'publish',
+            status: 'failed',
+            error: err.message || String(err),
+            weekStart: run.weekStart || null,
+            createdAt: FieldValue.serverTimestamp(),
+            reconciliationStatus: 'unpublished',
+        });
+    } catch (logErr) {
+        console.error('[SuggestedForecast] Could not log failed run:', logErr.message);
+    }
+}
+
+/**
+ * Log a run that had nothing to forecast (no order history), so it shows up
+ * in the run history with zero restaurants instead of vanishing.
+ */
+async function recordSkippedForecastRun(runRef, run, reason) {
+    await runRef.set({
+        runId: runRef.id,
+        trigger: run.trigger,
+        triggeredBy: run.triggeredBy || null,
+        triggeredByName: run.triggeredByName || null,
+        mode: run.dryRun ? 'dry-run' : 'publish',
+        status: 'skipped',
+        skipReason: reason,
+        error: null,
+        weekStart: run.weekStart || null,
+        createdAt: FieldValue.serverTimestamp(),
+        totals: { restaurants: 0, readyRestaurants: 0, lines: 0, packs: 0 },
+        publishedRestaurants: [],
+        reconciliationStatus: 'unpublished',
+    });
+}
+
+// ─── Publishing ───────────────────────────────────────────────────────────────
+
+/**
+ * Publish a dry run: copy the chosen restaurants' snapshots into
+ * `suggestedOrderAIForcast_Model`, replacing what restaurants currently see.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.runId
+ * @param {Array<string>} [params.restaurantIds] — defaults to every unpublished restaurant in the run
+ * @param {string} [params.publishedBy] — display name or uid of the admin
+ * @param {Date} [params.now]
+ * @returns {Promise<{ success: boolean, runId: string, published: Array<string>, status: string }>}
+ */
+async function publishForecastRun(db, { runId, restaurantIds = null, publishedBy = null, now = new Date() }) {
+    const { toDateString } = await loadShared('forecastCore');
+    const runRef = db.collection('forecastRuns').doc(runId);
+    const runSnap = await runRef.get();
+    if (!runSnap.exists) throw new HttpsError('not-found', `Forecast run ${runId} not found.`);
+
+    const run = runSnap.data();
+    if (run.status !== 'draft' && run.status !== 'partially_published') {
+        throw new HttpsError('failed-precondition', `Forecast run ${runId} is ${run.status} and cannot be published.`);
+    }
+    if (run.weekStart < toDateString(now)) {
+        throw new HttpsError('failed-precondition', `The delivery week of ${run.weekStart} has already started — run the engine again.`);
+    }
+
+    const snapshots = await runRef.collection('snapshots').get();
+    const wanted = restaurantIds ? new Set(restaurantIds) : null;
+    const toPublish = snapshots.docs.filter(d => !d.data().published && (!wanted || wanted.has(d.id)));
+    if (toPublish.length === 0) {
+        throw new HttpsError('invalid-argument', 'No unpublished restaurants selected.');
+    }
+
+    const batch = db.batch();
+    toPublish.forEach(snapDoc => {
+        const { published, publishedAt, diff, ...data } = snapDoc.data();
+        batch.set(db.collection(FORECAST_COLLECTION).doc(`${data.restaurantId}_${data.weekStart}`), { ...data, runId });
+        batch.update(snapDoc.ref, { published: true, publishedAt: FieldValue.serverTimestamp() });
+    });
+
+    const published = [...(run.publishedRestaurants || []), ...toPublish.map(d => d.id)];
+    const status = published.length >= snapshots.size ? 'published' : 'partially_published';
+    batch.update(runRef, {
+        status,
+        publishedRestaurants: published,
+        publishedBy,
+        publishedAt: FieldValue.serverTimestamp(),
+        reconciliationStatus: 'pending',
+    });
+    await batch.commit();
+
+    console.log(`[SuggestedForecast] Published run ${runId} for ${toPublish.length} restaurant(s) — ${status}`);
+    return { success: true, runId, published: toPublish.map(d => d.id), status };
+}
+
+// ─── Reconciliation ───────────────────────────────────────────────────────────
+
+/**
+ * Fulfilled-order records delivered in one delivery week (UTC dates, the same
+ * dating the engine trains on). Orders created in the week are fetched too, so
+ * ones delivered before `deliveredAt` was stamped still count by order date;
+ * reconcileSnapshot() drops those delivered outside the week.
+ */
+async function fetchWeekRecords(db, weekStart, weekEnd, catalogIndex) {
+    const { flattenOrderRecords } = await loadShared('forecastCore');
+    const from = new Date(`${weekStart}T00:00:00.000Z`);
+    const to = new Date(`${weekEnd}T00:00:00.000Z`);
+    to.setUTCDate(to.getUTCDate() + 1);
+
+    const orders = db.collection('marketplaceOrders');
+    const [delivered, created] = await Promise.all([
+        orders.where('deliveredAt', '>=', from).where('deliveredAt', '<', to).get(),
+        orders.where('createdAt', '>=', from).where('createdAt', '<', to).get(),
+    ]);
+
+    const byId = new Map();
+    [...delivered.docs, ...created.docs].forEach(doc => byId.set(doc.id, doc.data()));
+    return flattenOrderRecords([...byId.values()], { catalogIndex });
+}
+
+/**
+ * Pick, per restaurant, the one published snapshot to score for a week: the
+ * run whose forecast is live in `suggestedOrderAIForcast_Model` (what the
+ * restaurant was last shown before the week started), else the latest run.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} weekStart
+ * @param {Array<FirebaseFirestore.QueryDocumentSnapshot>} runDocs — the week's settled pending runs
+ * @returns {Promise<Object>} runId → Array<snapshot doc> to score
+ */
+async function selectSnapshotsToScore(db, weekStart, runDocs) {
+    const candidates = {}; // restaurantId → [{ runDoc, snapDoc }]
+    for (const runDoc of runDocs) {
+        const snapshots = await runDoc.ref.collection('snapshots').get();
+        snapshots.docs
+            .filter(d => d.data().published !== false)
+            .forEach(snapDoc => {
+                const restaurantId = snapDoc.data().restaurantId;
+                (candidates[restaurantId] = candidates[restaurantId] || []).push({ runDoc, snapDoc });
+            });
+    }
+
+    const selected = {};
+    await Promise.all(Object.entries(candidates).map(async ([restaurantId, list]) => {
+        const live = await db.collection(FORECAST_COLLECTION).doc(`${restaurantId}_${weekStart}`).get();
+        const liveRunId = live.exists ? live.data().runId : null;
+        const pick = list.find(c => c.runDoc.id === liveRunId)
+            || list.reduce((a, b) => ((b.runDoc.data().generatedAt || '') > (a.runDoc.data().generatedAt || '') ? b : a));
+        (selected[pick.runDoc.id] = selected[pick.runDoc.id] || []).push(pick.snapDoc);
+    }));
+    return selected;
+}
+
+/**
+ * Reconcile every pending run whose delivery week has settled. Each restaurant
+ * is scored once per week, against the run it was last shown; runs with no
+ * restaurant left to score are marked `superseded`.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<{ success: boolean, reconciled: number, superseded: number, skipped: number }>}
+ */
+async function reconcileForecastRuns(db, { now = new Date() } = {}) {
+    const { toDateString } = await loadShared('forecastCore');
+    const { reconcileSnapshot, isWeekSettled } = await loadShared('forecastReconciliation');
+    const { summarizeErrors } = await loadShared('forecastBacktest');
+    const today = toDateString(now);
+
+    const pending = await db.collection('forecastRuns')
+        .where('reconciliationStatus', '==', 'pending')
+        .get();
+
+    const runsByWeek = {};
+    let skipped = 0;
+    pending.docs.forEach(runDoc => {
+        const { weekStart } = runDoc.data();
+        if (!isWeekSettled(weekStart, today)) {
+            skipped++;
+            return;
+        }
+        (runsByWeek[weekStart] = runsByWeek[weekStart] || []).push(runDoc);
+    });
+
+    let catalogIndex;
+    let reconciled = 0;
+    let superseded = 0;
+
+    for (const [weekStart, runDocs] of Object.entries(runsByWeek)) {
+        if (catalogIndex === undefined) catalogIndex = await fetchCatalogIndex(db);
+        const records = await fetchWeekRecords(db, weekStart, runDocs[0].data().weekEnd, catalogIndex);
+        const selected = await selectSnapshotsToScore(db, weekStart, runDocs);
+
+        for (const runDoc of runDocs) {
+            const run = runDoc.data();
+            const scoredDocs = selected[runDoc.id] || [];
+            const batch = db.batch();
+            const allLines = [];
+
+            scoredDocs.forEach(snapDoc => {
+                const snapshot = snapDoc.data();
+                const { lines, metrics } = reconcileSnapshot(snapshot, records);
+                allLines.push(...lines);
+
+                batch.set(db.collection('forecastAccuracy').doc(`${runDoc.id}_${snapshot.restaurantId}`), {
+                    runId: runDoc.id,
+                    restaurantId: snapshot.restaurantId,
+                    weekStart: run.weekStart,
+                    generatedAt: run.generatedAt,
+                    trigger: run.trigger,
+                    configVersion: snapshot.configVersion || 0,
+                    lines,
+                    metrics,
+                    reconciledAt: FieldValue.serverTimestamp(),
+                });
+            });
+
+            batch.update(runDoc.ref, {
+                reconciliationStatus: scoredDocs.length ? 'reconciled' : 'superseded',
+                reconciledAt: FieldValue.serverTimestamp(),
+                accuracy: scoredDocs.length
+                    ? summarizeErrors(allLines.map(l => ({ predicted: l.predictedQty, actual: l.actualQty })))
+                    : null,
+            });
+            await batch.commit();
+
+            if (scoredDocs.length) {
+                console.log(`[ForecastReconcile] ✓ Run ${runDoc.id} (week ${weekStart}) — ${scoredDocs.length} restaurant(s), ${allLines.length} line(s)`);
+                reconciled++;
+            } else {
+                console.log(`[ForecastReconcile] Run ${runDoc.id} (week ${weekStart}) superseded by a later run`);
+                superseded++;
+            }
+        }
+    }
+
+    console.log(`[ForecastReconcile] Complete — ${reconciled} run(s) reconciled, ${superseded} superseded, ${skipped} not yet settled`);
+    return { success: true, reconciled, superseded, skipped };
+}
+
+module.exports = {
+    newForecastRunRef,
+    queueForecastRunWrites,
+    recordFailedForecastRun,
+    recordSkippedForecastRun,
+    publishForecastRun,
+    reconcileForecastRuns,
+};
@@ -1,5 +1,6 @@
 const { onSchedule } = require("firebase-functions/v2/scheduler");
 const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
 const { getFirestore } = require("firebase-admin/firestore");
 const admin = require("firebase-admin");
 // Legacy forecast engine modules removed (replaced by suggestedForecastJob)
@@ -8,10 +9,64 @@ const admin = require("firebase-admin");
 const { updateCatalogPrices } = require("./updatePrices");
 const { sendOrderConfirmationEmail, sendVendorWelcomeEmail, SENDGRID_API_KEY, SENDGRID_ORDER_CONFIRMATION_TEMPLATE_ID } = require("./sendGridIntegration");
 const { runSuggestedForecastJob } = require("./suggestedForecastJob");
+const { publishForecastRun, reconcileForecastRuns } = require("./forecastSnapshots");
+const { transitionStatus } = require("./statusTransitions");
+const { runSlaMonitor, updateOperationsAlert } = require("./slaMonitor");
+const { generateInvoicesForOrder, backfillMissingInvoices } = require("./invoiceGeneration");
+const { buildInvoiceNumberingReport } = require("./invoiceNumbering");
+const { createInvoiceAdjustment } = require("./invoiceAdjustments");
+const { runWeeklyReconciliation, explainReconciliationDiscrepancy } = require("./reconciliation");
+const { recordRestaurantPayment, markOverdueInvoices } = require("./receivables");
+const { createPayoutBatch, markPayoutBatchPaid, cancelPayoutBatch, savePayoutAccount, buildPayoutBankFile } = require("./payoutBatches");
+const { saveCommissionRuleVersion } = require("./commissionRules");
+const { recordWarehousePick } = require("./warehousePicking");
+const { resetMarketplaceCollections } = require("./marketplaceReset");
+const { loadShared } = require("./sharedModules");
 
 const app = admin.initializeApp();
 const db = getFirestore(app, "restiq-vendormanagement");
 
+/**
+ * The signed-in caller from their `login` profile — looked up by UID and then
+ * by email the same way the app resolves it (src/contexts/UserContext.js).
+ * `name` is what audit entries record; it never comes from request data.
+ */
+async function getCaller(request, action) {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", `Sign in to ${action}.`);
+    }
+    let profile = null;
+    const snap = await db.collection("login").doc(request.auth.uid).get();
+    if (snap.exists) {
+        profile = snap.data();
+    } else if (request.auth.token?.email) {
+        const byEmail = await db.collection("login").where("email", "==", request.auth.token.email).limit(1).get();
+        if (!byEmail.empty) profile = byEmail.docs[0].data();
+    }
+    if (!profile || profile.active === false) {
+        throw new HttpsError("permission-denied", `Your account cannot ${action}.`);
+    }
+    return {
+        uid: request.auth.uid,
+        name: profile.displayName || profile.name || profile.username || request.auth.token?.email || request.auth.uid,
+        role: String(profile.role || "").trim().toLowerCase(),
+        vendorId: profile.vendorId || null,
+        restaurantId: profile.restaurantId || null,
+    };
+}
+
+/**
+ * Callables that handle bank details or destructive admin work require a
+ * signed-in superadmin.
+ */
+async function requireSuperAdmin(request, action) {
+    const caller = await getCaller(request, action);
+    if (caller.role !== "superadmin") {
+        throw new HttpsError("permission-denied", `Only superadmins can ${action}.`);
+    }
+    return caller;
+}
+
 // Legacy forecast jobs — disabled (replaced by suggestedForecastJob)
 // exports.weeklyForecastJob = onSchedule({ schedule: "0 2 * * 0" }, async () => { ... });
 // exports.accuracyReconciliationJob = onSchedule({ schedule: "0 4 * * 1" }, async () => { ... });
@@ -71,14 +126,22 @@ exports.suggestedForecastSchedule = onSchedule({
     timeZone: "America/New_York",
 }, async () => {
     console.log("Starting scheduled suggested forecast job (Wednesday 6PM EST)...");
-    await runSuggestedForecastJob(db);
+    await runSuggestedForecastJob(db, { trigger: "scheduled" });
 });
 
 // 5. Suggested Forecast — Manual trigger (callable from frontend)
+//    data: { dryRun?: boolean } — a dry run returns per-restaurant diffs without publishing
 exports.runSuggestedForecastNow = onCall(async (request) => {
-    console.log("Manual trigger: running suggested forecast job...");
+    const dryRun = request.data?.dryRun === true;
+    const caller = await requireSuperAdmin(request, dryRun ? "preview forecasts" : "publish forecasts");
+    console.log(`Manual trigger: running suggested forecast job${dryRun ? " (dry run)" : ""}...`);
     try {
-        const result = await runSuggestedForecastJob(db);
+        const result = await runSuggestedForecastJob(db, {
+            trigger: "manual",
+            triggeredBy: caller.uid,
+            triggeredByName: caller.name,
+            dryRun,
+        });
         return { success: true, ...result };
     } catch (err) {
         console.error("Manual forecast run failed:", err);
@@ -86,6 +149,418 @@ exports.runSuggestedForecastNow = onCall(async (request) => {
     }
 });
 
+// 5a. Suggested Forecast — Publish a dry run for all or selected restaurants
+//     data: { runId: string, restaurantIds?: string[] }
+exports.publishForecastRunNow = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "publish forecasts");
+    const { runId, restaurantIds } = request.data || {};
+    if (!runId) {
+        throw new HttpsError("invalid-argument", "Missing runId.");
+    }
+    try {
+        return await publishForecastRun(db, {
+            runId,
+            restaurantIds: Array.isArray(restaurantIds) && restaurantIds.length > 0 ? restaurantIds : null,
+            publishedBy: caller.name,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Forecast publish failed:", err);
+        throw new HttpsError("internal", err.message || "Forecast publish failed");
+    }
+});
+
+// 5b. Forecast Reconciliation — Runs every Tuesday at 5AM EST
+//     Joins each settled `forecastRuns` snapshot to the orders fulfilled that week → `forecastAccuracy`
+exports.forecastReconciliationSchedule = onSchedule({
+    schedule: "0 5 * * 2",
+    timeZone: "America/New_York",
+}, async () => {
+    console.log("Starting scheduled forecast reconciliation (Tuesday 5AM EST)...");
+    await reconcileForecastRuns(db);
+});
+
+// 5c. Forecast Reconciliation — Manual trigger (callable from frontend)
+exports.reconcileForecastRunsNow = onCall(async (request) => {
+    await requireSuperAdmin(request, "reconcile forecasts");
+    console.log("Manual trigger: reconciling forecast runs...");
+    try {
+        return await reconcileForecastRuns(db);
+    } catch (err) {
+        console.error("Manual forecast reconciliation failed:", err);
+        throw new HttpsError("internal", err.message || "Forecast reconciliation failed");
+    }
+});
+
+// 5d. Order / Dispatch Status — the only path that changes `status` (see src/shared/statusMachine.js)
+//     data: { entity: 'order'|'dispatch', id, toStatus, fields?, reason?, notes?, expectedStatus? }
+//     Superadmins may make any move; vendor and restaurant users only their own party's moves on their own documents
+exports.transitionStatus = onCall(async (request) => {
+    const caller = await getCaller(request, "change order status");
+    const { entity, id, toStatus, fields, reason, notes, expectedStatus } = request.data || {};
+    try {
+        return await transitionStatus(db, {
+            entity,
+            id,
+            toStatus,
+            fields: fields && typeof fields === "object" ? fields : {},
+            reason: typeof reason === "string" ? reason : "",
+            notes: Array.isArray(notes) ? notes : [],
+            expectedStatus: expectedStatus || null,
+            caller,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Status transition failed:", err);
+        throw new HttpsError("internal", err.message || "Status transition failed");
+    }
+});
+
+// 5e. SLA Monitor — Runs every 30 minutes
+//     Evaluates in-flight orders/dispatches → `operationsAlerts`, escalating in-app → vendor email → admin on call
+exports.slaMonitorSchedule = onSchedule({
+    schedule: "*/30 * * * *",
+    timeZone: "America/New_York",
+    secrets: [SENDGRID_API_KEY],
+}, async () => {
+    await runSlaMonitor(db);
+});
+
+// 5f. SLA Monitor — Manual trigger (callable from the Control Tower Operations tab)
+exports.runSlaMonitorNow = onCall({
+    secrets: [SENDGRID_API_KEY]
+}, async (request) => {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Sign in to run the SLA monitor.");
+    }
+    try {
+        return { success: true, ...(await runSlaMonitor(db)) };
+    } catch (err) {
+        console.error("Manual SLA monitor run failed:", err);
+        throw new HttpsError("internal", err.message || "SLA monitor failed");
+    }
+});
+
+// 5g. Operations Alerts — acknowledge / snooze / resolve
+//     data: { alertId, action: 'acknowledge'|'snooze'|'resolve', snoozeHours?, note?, actorName? }
+exports.updateOperationsAlert = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Sign in to update alerts.");
+    }
+    const { alertId, action, snoozeHours, note, actorName } = request.data || {};
+    try {
+        return await updateOperationsAlert(db, {
+            alertId,
+            action,
+            snoozeHours: Number(snoozeHours) || undefined,
+            note: typeof note === "string" ? note : "",
+            actor: actorName || request.auth.uid,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Alert update failed:", err);
+        throw new HttpsError("internal", err.message || "Alert update failed");
+    }
+});
+
+// 5h. Invoices — created when an order becomes billable (see functions/invoiceGeneration.js)
+//     Orders fulfilled without invoices: backfillInvoicesNow, or `npm run backfill-invoices` in functions/
+exports.generateOrderInvoices = onDocumentWritten({
+    document: "marketplaceOrders/{orderId}",
+    database: "restiq-vendormanagement",
+}, async (event) => {
+    const { becameBillable } = await loadShared("orderInvoices");
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+    if (!becameBillable(before, after)) return;
+
+    const result = await generateInvoicesForOrder(db, event.params.orderId, { source: "trigger" });
+    if (result.skipped) {
+        console.log(`Invoices for ${result.orderId} skipped: ${result.skipped}`);
+    } else {
+        console.log(`Invoices for ${result.orderId} created: ${result.created.join(", ")}`);
+    }
+});
+
+// 5i. Invoices — Backfill orders fulfilled without invoices (callable from the invoice pages)
+//     data: { dryRun?: boolean }
+exports.backfillInvoicesNow = onCall(async (request) => {
+    await requireSuperAdmin(request, "generate invoices");
+    try {
+        return { success: true, ...(await backfillMissingInvoices(db, { dryRun: request.data?.dryRun === true })) };
+    } catch (err) {
+        console.error("Invoice backfill failed:", err);
+        throw new HttpsError("internal", err.message || "Invoice backfill failed");
+    }
+});
+
+// 5j. Invoices — Gap report for the sequential numbering series (callable from the invoice pages)
+//     data: { fiscalYear?: number }
+exports.invoiceNumberingReport = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Sign in to view the numbering report.");
+    }
+    const fiscalYear = request.data?.fiscalYear;
+    if (fiscalYear !== undefined && !Number.isInteger(fiscalYear)) {
+        throw new HttpsError("invalid-argument", "fiscalYear must be a year, e.g. 2026.");
+    }
+    try {
+        return { success: true, ...(await buildInvoiceNumberingReport(db, { fiscalYear })) };
+    } catch (err) {
+        console.error("Invoice numbering report failed:", err);
+        throw new HttpsError("internal", err.message || "Invoice numbering report failed");
+    }
+});
+
+// 5k. Invoices — Issue a numbered credit/debit note (see functions/invoiceAdjustments.js)
+//     data: { collection: 'vendorInvoices'|'restaurantInvoices', invoiceId, reason, corrections: [{ index, qty?, price? }], notes? }
+exports.createInvoiceAdjustment = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "adjust invoices");
+    const { collection, invoiceId, reason, corrections, notes } = request.data || {};
+    try {
+        return await createInvoiceAdjustment(db, {
+            collection,
+            invoiceId,
+            reason,
+            corrections: Array.isArray(corrections) ? corrections : [],
+            notes: typeof notes === "string" ? notes : "",
+            actor: caller.name,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Invoice adjustment failed:", err);
+        throw new HttpsError("internal", err.message || "Invoice adjustment failed");
+    }
+});
+
+// 5l. Weekly Reconciliation — Runs every Monday at 6AM EST for the previous week
+//     Invoices vs. orders, dispatch commissions and the week's totals → `reconciliationReports`
+exports.weeklyReconciliationSchedule = onSchedule({
+    schedule: "0 6 * * 1",
+    timeZone: "America/New_York",
+}, async () => {
+    console.log("Starting scheduled weekly reconciliation (Monday 6AM EST)...");
+    await runWeeklyReconciliation(db);
+});
+
+// 5m. Weekly Reconciliation — Manual run (callable from the Finance Reconciliation tab)
+//     data: { weekStart?: 'YYYY-MM-DD' (Monday), actorName? }
+exports.runReconciliationNow = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Sign in to run reconciliation.");
+    }
+    const { weekStart, actorName } = request.data || {};
+    try {
+        return { success: true, ...(await runWeeklyReconciliation(db, { weekStart: weekStart || undefined, actor: actorName || request.auth.uid })) };
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Manual reconciliation failed:", err);
+        throw new HttpsError("internal", err.message || "Reconciliation failed");
+    }
+});
+
+// 5n. Weekly Reconciliation — Mark a discrepancy explained
+//     data: { weekStart, discrepancyId, note, actorName? }
+exports.explainReconciliationDiscrepancy = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Sign in to review reconciliation.");
+    }
+    const { weekStart, discrepancyId, note, actorName } = request.data || {};
+    try {
+        return await explainReconciliationDiscrepancy(db, {
+            weekStart,
+            discrepancyId,
+            note: typeof note === "string" ? note : "",
+            actor: actorName || request.auth.uid,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Discrepancy review failed:", err);
+        throw new HttpsError("internal", err.message || "Discrepancy review failed");
+    }
+});
+
+// 5o. Restaurant Payments — apply one payment to one or more invoices (see functions/receivables.js)
+//     data: { restaurantId, amount, paymentMethod, details: {...}, allocations?: [{ invoiceId, amount }], invoiceIds?, notes? }
+//     With `reversesPaymentId` (and the reason in `notes`) the payment is reversed instead; payments are never deleted
+exports.recordRestaurantPayment = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "record payments");
+    const { restaurantId, amount, paymentMethod, details, allocations, invoiceIds, notes, reversesPaymentId } = request.data || {};
+    try {
+        return await recordRestaurantPayment(db, {
+            restaurantId,
+            amount: Number(amount),
+            paymentMethod,
+            details: details && typeof details === "object" ? details : {},
+            allocations: Array.isArray(allocations) && allocations.length ? allocations : undefined,
+            invoiceIds: Array.isArray(invoiceIds) ? invoiceIds : undefined,
+            notes: typeof notes === "string" ? notes : "",
+            reversesPaymentId: typeof reversesPaymentId === "string" ? reversesPaymentId : undefined,
+            actor: caller.name,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Recording payment failed:", err);
+        throw new HttpsError("internal", err.message || "Recording payment failed");
+    }
+});
+
+// 5p. Restaurant Payments — Overdue sweep, runs daily at 1AM EST
+//     PENDING / PARTIALLY_PAID invoices past `dueDate` → OVERDUE
+exports.overdueInvoicesSchedule = onSchedule({
+    schedule: "0 1 * * *",
+    timeZone: "America/New_York",
+}, async () => {
+    console.log("Starting scheduled overdue invoice sweep (daily 1AM EST)...");
+    await markOverdueInvoices(db);
+});
+
+// 5q. Vendor Payouts — Batch due vendor invoices, one payout per vendor (see functions/payoutBatches.js)
+//     data: { invoiceIds: string[], periodEnd: 'YYYY-MM-DD', notes? }
+exports.createPayoutBatch = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "create payout batches");
+    const { invoiceIds, periodEnd, notes } = request.data || {};
+    try {
+        return await createPayoutBatch(db, {
+            invoiceIds: Array.isArray(invoiceIds) ? invoiceIds : [],
+            periodEnd,
+            notes: typeof notes === "string" ? notes : "",
+            actor: caller.name,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Creating payout batch failed:", err);
+        throw new HttpsError("internal", err.message || "Creating payout batch failed");
+    }
+});
+
+// 5r. Vendor Payouts — Mark a batch paid: every invoice → paid, vendors notified
+//     data: { batchId, paymentDate: 'YYYY-MM-DD', paymentReference? }
+exports.markPayoutBatchPaid = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "pay payout batches");
+    const { batchId, paymentDate, paymentReference } = request.data || {};
+    try {
+        return await markPayoutBatchPaid(db, {
+            batchId,
+            paymentDate,
+            paymentReference: typeof paymentReference === "string" ? paymentReference : "",
+            actor: caller.name,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Paying payout batch failed:", err);
+        throw new HttpsError("internal", err.message || "Paying payout batch failed");
+    }
+});
+
+// 5s. Vendor Payouts — Cancel an open batch, releasing its invoices
+//     data: { batchId, reason }
+exports.cancelPayoutBatch = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "cancel payout batches");
+    const { batchId, reason } = request.data || {};
+    try {
+        return await cancelPayoutBatch(db, { batchId, reason, actor: caller.name });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Cancelling payout batch failed:", err);
+        throw new HttpsError("internal", err.message || "Cancelling payout batch failed");
+    }
+});
+
+// 5t. Commission Rules — Add a dated version to a vendor / category / platform rule (see functions/commissionRules.js)
+//     data: { scope, vendorId?, category?, name?, version: { effectiveFrom, basePercent, tiers?, retired?, notes? } }
+exports.saveCommissionRuleVersion = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "change commission rules");
+    const { scope, vendorId, category, name, version } = request.data || {};
+    try {
+        return await saveCommissionRuleVersion(db, {
+            scope,
+            vendorId,
+            category,
+            name: typeof name === "string" ? name : "",
+            version: version && typeof version === "object" ? version : {},
+            actor: caller.name,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Saving commission rule failed:", err);
+        throw new HttpsError("internal", err.message || "Saving commission rule failed");
+    }
+});
+
+// 5u. Warehouse — Pick / short / load / reset one route line (see functions/warehousePicking.js)
+//     data: { routeDispatchId, itemKey, action: 'pick'|'short'|'load'|'reset', qty?, reason?, note?, source?, actorName? }
+exports.recordWarehousePick = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", "Sign in to record picks.");
+    }
+    const { routeDispatchId, itemKey, action, qty, reason, note, source, actorName } = request.data || {};
+    try {
+        return await recordWarehousePick(db, {
+            routeDispatchId,
+            itemKey,
+            action,
+            qty: qty === undefined || qty === null || qty === "" ? undefined : Number(qty),
+            reason,
+            note: typeof note === "string" ? note : "",
+            source: source === "scan" ? "scan" : "list",
+            actor: actorName || request.auth.uid,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Recording warehouse pick failed:", err);
+        throw new HttpsError("internal", err.message || "Recording warehouse pick failed");
+    }
+});
+
+// 5v. Vendor Payouts — Save a vendor's bank details to the admin-only vendorPayoutAccounts collection
+//     data: { vendorId, account: { accountName, institutionNumber, transitNumber, accountNumber } }
+exports.savePayoutAccount = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "change payout accounts");
+    const { vendorId, account } = request.data || {};
+    try {
+        return await savePayoutAccount(db, {
+            vendorId,
+            account: account && typeof account === "object" ? account : null,
+            actor: caller.name,
+        });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Saving payout account failed:", err);
+        throw new HttpsError("internal", err.message || "Saving payout account failed");
+    }
+});
+
+// 5w. Vendor Payouts — Bank-upload CSV for a batch, with the vendors' current bank details
+//     data: { batchId }
+exports.buildPayoutBankFile = onCall(async (request) => {
+    const caller = await requireSuperAdmin(request, "export bank files");
+    const { batchId } = request.data || {};
+    try {
+        return await buildPayoutBankFile(db, { batchId, actor: caller.name });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Building bank file failed:", err);
+        throw new HttpsError("internal", err.message || "Building bank file failed");
+    }
+});
+
+// 5x. Marketplace Reset — Count or clear the collections firestore.rules locks (see functions/marketplaceReset.js)
+//     data: { collections: string[], dryRun? }
+exports.resetMarketplaceCollections = onCall({
+    timeoutSeconds: 540,
+}, async (request) => {
+    await requireSuperAdmin(request, "reset the marketplace");
+    const { collections, dryRun } = request.data || {};
+    try {
+        return await resetMarketplaceCollections(db, { collections, dryRun: dryRun === true });
+    } catch (err) {
+        if (err instanceof HttpsError) throw err;
+        console.error("Marketplace reset failed:", err);
+        throw new HttpsError("internal", err.message || "Marketplace reset failed");
+    }
+});
+
 // 6. SendGrid Email - Vendor Welcome Email
 // Called from the frontend after a new vendor is onboarded.
 exports.sendVendorWelcomeEmailFn = onCall({
@@ -0,0 +1,157 @@
+/**
+ * invoiceAdjustments.js
+ *
+ * Issues numbered credit/debit notes against an order's invoice pair
+ * (src/shared/invoiceAdjustments.js).
+ *
+ *   vendorInvoices/{id}, restaurantInvoices/{id}   — read; `adjustmentIds` appended,
+ *                                                    restaurant `balanceDue` / `paymentStatus` refreshed
+ *   invoiceAdjustments                             — one note per correction
+ *   invoiceCounters/{credit_note|debit_note}_{fy}  — note number
+ *   adminChangeLogs                                — one `invoice_adjusted` entry
+ *
+ * Everything happens in one transaction: the existing chain is re-read, the
+ * corrections are applied on top of it, and the note takes the next number
+ * in its series. Invoice totals are never rewritten — balances are derived
+ * from the chain.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+const { receivableFields } = require('./receivables');
+
+const INVOICE_COLLECTIONS = ['vendorInvoices', 'restaurantInvoices'];
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {'vendorInvoices'|'restaurantInvoices'} params.collection — invoice the correction was entered on
+ * @param {string} params.invoiceId
+ * @param {string} params.reason
+ * @param {Array<{ index: number, qty?: number, price?: number }>} params.corrections
+ * @param {string} [params.notes]
+ * @param {string} params.actor
+ * @param {Date}   [params.now]
+ * @returns {Promise<{ adjustmentId: string, noteNumber: string, noteType: string, adjustmentAmount: number }>}
+ */
+async function createInvoiceAdjustment(db, { collection, invoiceId, reason, corrections, notes = '', actor, now = new Date() }) {
+    if (!INVOICE_COLLECTIONS.includes(collection) || !invoiceId) {
+        throw new HttpsError('invalid-argument', 'Missing or invalid invoice reference.');
+    }
+    const { buildInvoiceAdjustment, DEFAULT_COMMISSION_PERCENT } = await loadShared('invoiceAdjustments');
+    const { getFiscalYear, getCounterId, allocateInvoiceNumbers } = await loadShared('invoiceNumbering');
+    const { summarizeReceivable } = await loadShared('receivables');
+
+    const partnerCollection = collection === 'vendorInvoices' ? 'restaurantInvoices' : 'vendorInvoices';
+    const invoiceRef = db.collection(collection).doc(invoiceId);
+
+    return db.runTransaction(async (txn) => {
+        const invoiceSnap = await txn.get(invoiceRef);
+        if (!invoiceSnap.exists) throw new HttpsError('not-found', `Invoice ${invoiceId} not found.`);
+        const invoice = invoiceSnap.data();
+
+        // Paired invoice: same document ID for server-generated invoices, else by order
+        let partnerSnap = await txn.get(db.collection(partnerCollection).doc(invoiceId));
+        if (!partnerSnap.exists && invoice.orderId) {
+            const q = await txn.get(db.collection(partnerCollection).where('orderId', '==', invoice.orderId).limit(1));
+            partnerSnap = q.empty ? null : q.docs[0];
+        } else if (!partnerSnap.exists) {
+            partnerSnap = null;
+        }
+        const vendorSnap = collection === 'vendorInvoices' ? invoiceSnap : partnerSnap;
+        const restaurantSnap = collection === 'restaurantInvoices' ? invoiceSnap : partnerSnap;
+        const vendorInvoice = vendorSnap ? vendorSnap.data() : null;
+
+        const idField = collection === 'vendorInvoices' ? 'vendorInvoiceId' : 'restaurantInvoiceId';
+        const chainSnap = await txn.get(db.collection('invoiceAdjustments').where(idField, '==', invoiceId));
+        const chain = chainSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+        // Vendor and restaurant lines come from the same snapshot and share indexes;
+        // the vendor invoice also carries the frozen per-line commission.
+        const { adjustment, error } = buildInvoiceAdjustment({
+            invoice: vendorInvoice || invoice,
+            adjustments: chain,
+            corrections,
+            reason,
+            notes,
+            commissionPercent: Number(vendorInvoice?.commissionPercent ?? DEFAULT_COMMISSION_PERCENT),
+        });
+        if (error) throw new HttpsError('failed-precondition', error);
+
+        const fiscalYear = getFiscalYear(now);
+        const counterRef = db.collection('invoiceCounters').doc(getCounterId(adjustment.noteType, fiscalYear));
+        const counterSnap = await txn.get(counterRef);
+        const { numbers: [number], counter } = allocateInvoiceNumbers(counterSnap.exists ? counterSnap.data() : null, adjustment.noteType, fiscalYear);
+
+        // What the restaurant has paid stays put; the note moves what it owes
+        const restaurantReceivable = (snap) => {
+            const restaurantInvoice = { id: snap.id, ...snap.data() };
+            if (restaurantInvoice.paymentStatus === 'VOIDED') return {};
+            const { amountPaid } = summarizeReceivable(restaurantInvoice, chain, now);
+            const note = { ...adjustment, status: 'applied', chainIndex: chain.length + 1 };
+            return receivableFields(summarizeReceivable({ ...restaurantInvoice, amountPaid }, [...chain, note], now));
+        };
+
+        const adjRef = db.collection('invoiceAdjustments').doc();
+        txn.set(counterRef, { ...counter, lastInvoiceId: adjRef.id, updatedAt: FieldValue.serverTimestamp() });
+        txn.create(adjRef, {
+            type: 'adjustment',
+            ...adjustment,
+            noteNumber: number.invoiceNumber,
+            invoiceNumber: number.invoiceNumber,
+            invoiceSeries: number.invoiceSeries,
+            fiscalYear: number.fiscalYear,
+            invoiceSequence: number.invoiceSequence,
+            chainIndex: chain.length + 1,
+            orderId: invoice.orderId || '',
+            vendorId: invoice.vendorId || '',
+            vendorName: invoice.vendorName || '',
+            restaurantId: invoice.restaurantId || '',
+            restaurantName: invoice.restaurantName || '',
+            taxJurisdiction: invoice.taxJurisdiction || null,
+            vendorInvoiceId: vendorSnap ? vendorSnap.id : null,
+            vendorInvoiceNumber: vendorInvoice?.invoiceNumber || null,
+            restaurantInvoiceId: restaurantSnap ? restaurantSnap.id : null,
+            restaurantInvoiceNumber: restaurantSnap ? restaurantSnap.data().invoiceNumber || null : null,
+            // Legacy link used by the original vendor-only adjustments
+            originalInvoiceId: vendorSnap ? vendorSnap.id : invoiceId,
+            originalInvoiceNumber: invoice.invoiceNumber || '',
+            status: 'applied',
+            createdBy: actor,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+
+        [vendorSnap, restaurantSnap].filter(Boolean).forEach(snap => txn.update(snap.ref, {
+            adjustmentIds: FieldValue.arrayUnion(adjRef.id),
+            ...(snap === restaurantSnap ? restaurantReceivable(snap) : {}),
+            updatedAt: FieldValue.serverTimestamp(),
+        }));
+
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'invoice',
+            entityId: invoiceId,
+            action: 'invoice_adjusted',
+            changedBy: actor,
+            afterState: {
+                adjustmentId: adjRef.id,
+                noteNumber: number.invoiceNumber,
+                noteType: adjustment.noteType,
+                reason: adjustment.reason,
+                adjustmentAmount: adjustment.adjustmentAmount,
+                vendorPayoutDelta: adjustment.vendor.payout,
+            },
+            metadata: { collection, orderId: invoice.orderId || '' },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        return {
+            adjustmentId: adjRef.id,
+            noteNumber: number.invoiceNumber,
+            noteType: adjustment.noteType,
+            adjustmentAmount: adjustment.adjustmentAmount,
+        };
+    });
+}
+
+module.exports = { createInvoiceAdjustment };
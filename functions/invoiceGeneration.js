@@ -0,0 +1,225 @@
+/**
+ * invoiceGeneration.js
+ *
+ * Server-side invoice generation for marketplace orders.
+ *
+ *   marketplaceOrders/{orderId}    — watched (Firestore trigger in index.js)
+ *   vendorInvoices/{orderId}       — written once
+ *   restaurantInvoices/{orderId}   — written once
+ *   invoiceCounters/{series}_{fy}  — next sequential number (src/shared/invoiceNumbering.js)
+ *   commissionRules/{ruleId}       — rules that could price the order (read)
+ *   commissionVolumes/{vendorId}_{YYYY-MM} — vendor GMV this month, for volume tiers
+ *   adminChangeLogs                — one `invoice_created` entry per invoice
+ *
+ * When an order reaches a billable status (src/shared/orderInvoices.js) both
+ * invoices are built from the order's frozen line snapshot and created in one
+ * transaction. The order ID is the document ID and the transaction re-reads
+ * both invoices first, so trigger retries, duplicate events and a concurrent
+ * backfill can never produce a second invoice or overwrite an existing one.
+ * Invoice numbers are taken from the series counters in that same
+ * transaction, so a number is only used up when its invoice is written.
+ * Commission is priced from the rules and the vendor's month-to-date GMV read
+ * in the same transaction, and the vendor invoice adds to that GMV. Tax is
+ * split by component for the restaurant's province/state (src/shared/taxEngine.js).
+ *
+ * backfillMissingInvoices() finds billable orders that are missing either
+ * invoice (orders fulfilled before this function existed, or while it was
+ * failing) and generates them. Run it with `npm run backfill-invoices`.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { loadShared } = require('./sharedModules');
+
+const BACKFILL_READ_CHUNK = 100;
+
+// ─── Generate ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create whichever of the two invoices an order is missing.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {'trigger'|'backfill'} [options.source='trigger']
+ * @param {Date}   [options.now]
+ * @returns {Promise<{ orderId: string, created: string[], skipped: string|null }>}
+ */
+async function generateInvoicesForOrder(db, orderId, { source = 'trigger', now = new Date() } = {}) {
+    const { isBillableOrder, buildOrderInvoices } = await loadShared('orderInvoices');
+    const { getFiscalYear, getCounterId, allocateInvoiceNumbers } = await loadShared('invoiceNumbering');
+    const { getCandidateRuleIds, getCommissionVolumeId, getCommissionDate } = await loadShared('commissionRules');
+
+    const orderRef = db.collection('marketplaceOrders').doc(orderId);
+    const vendorInvoiceRef = db.collection('vendorInvoices').doc(orderId);
+    const restaurantInvoiceRef = db.collection('restaurantInvoices').doc(orderId);
+
+    return db.runTransaction(async (txn) => {
+        const [orderSnap, vendorInvoiceSnap, restaurantInvoiceSnap] = await txn.getAll(orderRef, vendorInvoiceRef, restaurantInvoiceRef);
+        const skip = (reason) => ({ orderId, created: [], skipped: reason });
+
+        if (!orderSnap.exists) return skip('Order not found');
+        const order = { id: orderId, ...orderSnap.data() };
+        if (!isBillableOrder(order)) return skip(`Order is ${order.status || 'missing a status'}`);
+        if (vendorInvoiceSnap.exists && restaurantInvoiceSnap.exists) return skip('Already invoiced');
+        if (!order.vendorId) return skip('Order has no vendorId');
+
+        const refs = [db.collection('vendors').doc(order.vendorId)];
+        if (order.restaurantId) refs.push(db.collection('restaurants').doc(order.restaurantId));
+        const [vendorSnap, restaurantSnap] = await txn.getAll(...refs);
+        const vendor = vendorSnap.exists ? vendorSnap.data() : {};
+        const restaurant = restaurantSnap?.exists ? restaurantSnap.data() : null;
+
+        // Orders placed before line snapshots existed take taxability from the vendor
+        // catalog; lines without a category or tax category take it from there too
+        const legacy = order.subtotalBeforeTax === undefined;
+        const catalogIds = [...new Set((order.items || [])
+            .filter(item => item.itemId && (legacy || !item.category || !item.taxCategory))
+            .map(item => item.itemId))];
+        let taxableByItemId = null;
+        let categoryByItemId = null;
+        let taxCategoryByItemId = null;
+        if (catalogIds.length) {
+            const itemSnaps = await txn.getAll(...catalogIds.map(id => db.collection('vendors').doc(order.vendorId).collection('items').doc(id)));
+            const catalog = itemSnaps.filter(d => d.exists);
+            if (legacy) taxableByItemId = Object.fromEntries(catalog.map(d => [d.id, !!d.data().taxable]));
+            categoryByItemId = Object.fromEntries(catalog.map(d => [d.id, d.data().category || null]));
+            taxCategoryByItemId = Object.fromEntries(catalog.map(d => [d.id, d.data().taxCategory || null]));
+        }
+
+        // Commission rules for the vendor and the order's categories, and its GMV this month
+        const categories = [...new Set((order.items || []).map(item => item.category || categoryByItemId?.[item.itemId]).filter(Boolean))];
+        const ruleSnaps = await txn.getAll(...getCandidateRuleIds(order.vendorId, categories).map(id => db.collection('commissionRules').doc(id)));
+        const commissionRules = ruleSnaps.filter(d => d.exists).map(d => ({ id: d.id, ...d.data() }));
+        const month = getCommissionDate(now).slice(0, 7);
+        const volumeRef = db.collection('commissionVolumes').doc(getCommissionVolumeId(order.vendorId, month));
+        const volumeSnap = await txn.get(volumeRef);
+        const monthlyGmv = volumeSnap.exists ? Number(volumeSnap.data().gmv) || 0 : 0;
+
+        const { vendorInvoice, restaurantInvoice, skipReason } = buildOrderInvoices({
+            order, vendor, restaurant, taxableByItemId, categoryByItemId, taxCategoryByItemId, commissionRules, monthlyGmv, source, now,
+        });
+        if (skipReason) return skip(skipReason);
+
+        // Sequential numbers — read every counter before the first write
+        const fiscalYear = getFiscalYear(now);
+        const toCreate = [
+            !vendorInvoiceSnap.exists && { series: 'vendor', ref: vendorInvoiceRef, invoice: vendorInvoice },
+            !restaurantInvoiceSnap.exists && { series: 'restaurant', ref: restaurantInvoiceRef, invoice: restaurantInvoice },
+        ].filter(Boolean);
+        const counterRefs = toCreate.map(c => db.collection('invoiceCounters').doc(getCounterId(c.series, fiscalYear)));
+        const counterSnaps = await txn.getAll(...counterRefs);
+        toCreate.forEach((c, i) => {
+            const { numbers: [number], counter } = allocateInvoiceNumbers(counterSnaps[i].exists ? counterSnaps[i].data() : null, c.series, fiscalYear);
+            Object.assign(c.invoice, number);
+            txn.set(counterRefs[i], { ...counter, lastInvoiceId: c.ref.id, updatedAt: FieldValue.serverTimestamp() });
+        });
+
+        const stamps = {
+            invoiceDate: FieldValue.serverTimestamp(),
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+        };
+        const audit = (invoiceRef, invoice, totals) => txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'invoice',
+            entityId: invoiceRef.id,
+            action: 'invoice_created',
+            changedBy: 'system',
+            afterState: { collection: invoiceRef.parent.id, invoiceNumber: invoice.invoiceNumber, invoiceSeries: invoice.invoiceSeries, fiscalYear: invoice.fiscalYear, orderId, ...totals },
+            metadata: { source },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        const created = [];
+        if (!vendorInvoiceSnap.exists) {
+            txn.create(vendorInvoiceRef, { ...vendorInvoice, ...stamps });
+            audit(vendorInvoiceRef, vendorInvoice, {
+                subtotal: vendorInvoice.subtotalVendorAmount,
+                commissionAmount: vendorInvoice.commissionAmount,
+                vendorPayoutAmount: vendorInvoice.netVendorPayable,
+                commissionModel: vendorInvoice.commissionModel,
+                commissionRuleIds: vendorInvoice.commissionPricing.rules.map(r => r.ruleId).filter(Boolean),
+            });
+            txn.set(volumeRef, {
+                vendorId: order.vendorId,
+                month,
+                gmv: FieldValue.increment(vendorInvoice.grossVendorAmount),
+                invoiceCount: FieldValue.increment(1),
+                updatedAt: FieldValue.serverTimestamp(),
+            }, { merge: true });
+            created.push('vendorInvoices');
+        }
+        if (!restaurantInvoiceSnap.exists) {
+            txn.create(restaurantInvoiceRef, { ...restaurantInvoice, ...stamps });
+            audit(restaurantInvoiceRef, restaurantInvoice, {
+                subtotal: restaurantInvoice.subtotal,
+                grandTotal: restaurantInvoice.grandTotal,
+                taxJurisdiction: restaurantInvoice.taxJurisdiction.key,
+                taxLines: restaurantInvoice.taxLines.map(t => ({ code: t.code, rate: t.rate, amount: t.amount })),
+            });
+            created.push('restaurantInvoices');
+        }
+        return { orderId, created, skipped: null };
+    });
+}
+
+// ─── Backfill ─────────────────────────────────────────────────────────────────
+
+/**
+ * IDs of billable orders missing a vendor or restaurant invoice.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @returns {Promise<{ checked: number, missing: Array<{ orderId: string, missing: string[] }> }>}
+ */
+async function findOrdersMissingInvoices(db) {
+    const { BILLABLE_ORDER_STATUSES } = await loadShared('orderInvoices');
+    const snap = await db.collection('marketplaceOrders').where('status', 'in', BILLABLE_ORDER_STATUSES).get();
+    const orderIds = snap.docs.map(d => d.id);
+
+    const missing = [];
+    for (let i = 0; i < orderIds.length; i += BACKFILL_READ_CHUNK) {
+        const chunk = orderIds.slice(i, i + BACKFILL_READ_CHUNK);
+        const [vendorSnaps, restaurantSnaps] = await Promise.all([
+            db.getAll(...chunk.map(id => db.collection('vendorInvoices').doc(id))),
+            db.getAll(...chunk.map(id => db.collection('restaurantInvoices').doc(id))),
+        ]);
+        chunk.forEach((orderId, j) => {
+            const lacking = [];
+            if (!vendorSnaps[j].exists) lacking.push('vendorInvoices');
+            if (!restaurantSnaps[j].exists) lacking.push('restaurantInvoices');
+            if (lacking.length > 0) missing.push({ orderId, missing: lacking });
+        });
+    }
+    return { checked: orderIds.length, missing };
+}
+
+/**
+ * Generate the missing invoices for every billable order.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] — only report what is missing
+ * @returns {Promise<{ checked: number, missing: number, generated: Array, skipped: Array, failed: Array }>}
+ */
+async function backfillMissingInvoices(db, { dryRun = false } = {}) {
+    const { checked, missing } = await findOrdersMissingInvoices(db);
+    const summary = { checked, missing: missing.length, generated: [], skipped: [], failed: [] };
+    if (dryRun) {
+        summary.skipped = missing.map(m => ({ orderId: m.orderId, skipped: `Dry run — missing ${m.missing.join(', ')}` }));
+        return summary;
+    }
+
+    for (const { orderId } of missing) {
+        try {
+            const result = await generateInvoicesForOrder(db, orderId, { source: 'backfill' });
+            if (result.skipped) summary.skipped.push(result);
+            else summary.generated.push(result);
+        } catch (err) {
+            console.error(`[InvoiceBackfill] ${orderId} failed:`, err.message);
+            summary.failed.push({ orderId, error: err.message });
+        }
+    }
+    console.log(`[InvoiceBackfill] ${checked} billable orders checked — ${missing.length} missing invoices, ${summary.generated.length} generated, ${summary.skipped.length} skipped, ${summary.failed.length} failed`);
+    return summary;
+}
+
+module.exports = { generateInvoicesForOrder, findOrdersMissingInvoices, backfillMissingInvoices };
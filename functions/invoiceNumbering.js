@@ -0,0 +1,54 @@
+/**
+ * invoiceNumbering.js
+ *
+ * Gap report for the sequential invoice series (src/shared/invoiceNumbering.js).
+ *
+ *   invoiceCounters/{series}_{fiscalYear}   — read
+ *   vendorInvoices, restaurantInvoices      — read (`invoiceSeries` + `fiscalYear`)
+ *
+ * For each series the report checks every number from 1 to the counter's
+ * lastNumber against the invoices that carry it. `gapFree: true` means each
+ * number was issued exactly once and nothing outside the counter's range
+ * exists. Invoices created before sequential numbering carry no
+ * `invoiceSeries` and are not part of any series.
+ */
+
+const { loadShared } = require('./sharedModules');
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {number} [options.fiscalYear] — defaults to the current fiscal year
+ * @param {Date}   [options.now]
+ * @returns {Promise<{ fiscalYear: number, generatedAt: string, gapFree: boolean, series: Array }>}
+ */
+async function buildInvoiceNumberingReport(db, { fiscalYear, now = new Date() } = {}) {
+    const { INVOICE_SERIES, getFiscalYear, getCounterId, auditInvoiceSequence } = await loadShared('invoiceNumbering');
+    const year = Number.isInteger(fiscalYear) ? fiscalYear : getFiscalYear(now);
+
+    const series = await Promise.all(Object.entries(INVOICE_SERIES).map(async ([key, def]) => {
+        const [counterSnap, invoicesSnap] = await Promise.all([
+            db.collection('invoiceCounters').doc(getCounterId(key, year)).get(),
+            db.collection(def.collection)
+                .where('invoiceSeries', '==', key)
+                .where('fiscalYear', '==', year)
+                .select('invoiceNumber', 'invoiceSequence')
+                .get(),
+        ]);
+        return {
+            label: def.label,
+            ...auditInvoiceSequence({
+                series: key,
+                fiscalYear: year,
+                counter: counterSnap.exists ? counterSnap.data() : null,
+                invoices: invoicesSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+            }),
+        };
+    }));
+
+    const gapFree = series.every(s => s.gapFree);
+    console.log(`[InvoiceNumbering] FY${year}: ${series.map(s => `${s.series} ${s.invoiceCount}/${s.lastNumber}${s.gapFree ? '' : ' ⚠️'}`).join(', ')}`);
+    return { fiscalYear: year, generatedAt: now.toISOString(), gapFree, series };
+}
+
+module.exports = { buildInvoiceNumberingReport };
@@ -0,0 +1,57 @@
+/**
+ * marketplaceReset.js
+ *
+ * Server side of the Marketplace Reset Utility
+ * (src/components/Admin/MarketplaceResetUtility.js).
+ *
+ * The collections below are locked by firestore.rules — clients cannot create
+ * or delete their documents — so the reset clears them here with the Admin
+ * SDK, subcollections included. The invoice counters go with the invoices so
+ * numbering restarts at 1 instead of continuing a series with nothing in it.
+ */
+
+const { HttpsError } = require('firebase-functions/v2/https');
+
+/** Collections only this function may clear, in the order they are cleared. */
+const SERVER_RESET_COLLECTIONS = [
+    'marketplaceOrders',
+    'vendorDispatches',
+    'warehousePicks',
+    'vendorInvoices',
+    'restaurantInvoices',
+    'invoiceCounters',
+    'RestaurantPaymentHistory',
+    'invoiceAdjustments',
+    'payoutBatches',
+    'vendorPayoutAccounts',
+    'commissionVolumes',
+    'reconciliationReports',
+];
+
+/**
+ * Count, or delete, the documents of locked collections.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string[]} params.collections — subset of SERVER_RESET_COLLECTIONS
+ * @param {boolean} [params.dryRun] — only count
+ * @returns {Promise<{ results: Array<{ id: string, count: number, deleted: number }> }>}
+ */
+async function resetMarketplaceCollections(db, { collections, dryRun = false }) {
+    const ids = [...new Set(Array.isArray(collections) ? collections : [])];
+    if (!ids.length) throw new HttpsError('invalid-argument', 'Select at least one collection.');
+    const unknown = ids.filter(id => !SERVER_RESET_COLLECTIONS.includes(id));
+    if (unknown.length) throw new HttpsError('invalid-argument', `Not reset on the server: ${unknown.join(', ')}.`);
+
+    const results = [];
+    for (const id of SERVER_RESET_COLLECTIONS.filter(c => ids.includes(c))) {
+        const ref = db.collection(id);
+        const count = (await ref.count().get()).data().count;
+        if (!dryRun && count) await db.recursiveDelete(ref);
+        results.push({ id, count, deleted: dryRun ? 0 : count });
+    }
+    if (!dryRun) console.log(`[MarketplaceReset] Cleared ${results.map(r => `${r.id} (${r.deleted})`).join(', ')}`);
+    return { results };
+}
+
+module.exports = { resetMarketplaceCollections, SERVER_RESET_COLLECTIONS };
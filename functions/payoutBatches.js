@@ -0,0 +1,375 @@
+/**
+ * payoutBatches.js
+ *
+ * Vendor payout batches (src/shared/payoutBatches.js).
+ *
+ *   vendorInvoices/{id}     — `payoutBatchId`, `payoutLifecycle`, paid fields (written)
+ *   invoiceAdjustments      — notes on those invoices (read)
+ *   vendors/{id}            — name and email (read); `payoutAccount` — masked account (written)
+ *   vendorPayoutAccounts    — bank details per vendor, admin-only (read, written)
+ *   payoutBatches/{id}      — the batch, one payout per vendor, accounts masked
+ *   notifications           — one PAYOUT_COMPLETED per vendor when the batch is paid
+ *   adminChangeLogs         — batch entries, plus one per invoice lifecycle change
+ *
+ * Creating a batch freezes what each vendor is owed (net of commission and
+ * notes) and moves its invoices to `pending_payment`. Marking it paid moves
+ * every invoice to `paid` in one transaction — if any of them has been put on
+ * hold, disputed or paid on its own since, nothing is written. Cancelling
+ * releases the invoices for another batch. Full bank details never leave
+ * vendorPayoutAccounts except in the bank-upload file, built here on demand.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+
+const IN_QUERY_LIMIT = 30;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Notes on the given vendor invoices, read inside the transaction. */
+async function readAdjustments(txn, db, invoiceIds) {
+    const adjustments = [];
+    for (let i = 0; i < invoiceIds.length; i += IN_QUERY_LIMIT) {
+        const snap = await txn.get(db.collection('invoiceAdjustments').where('vendorInvoiceId', 'in', invoiceIds.slice(i, i + IN_QUERY_LIMIT)));
+        snap.docs.forEach(d => adjustments.push({ id: d.id, ...d.data() }));
+    }
+    return adjustments;
+}
+
+/** Read a batch and its invoices; the batch must still be open. */
+async function readOpenBatch(txn, db, batchId) {
+    if (!batchId) throw new HttpsError('invalid-argument', 'Missing batchId.');
+    const batchRef = db.collection('payoutBatches').doc(batchId);
+    const batchSnap = await txn.get(batchRef);
+    if (!batchSnap.exists) throw new HttpsError('not-found', `Payout batch ${batchId} not found.`);
+    const batch = batchSnap.data();
+    if (batch.status !== 'open') throw new HttpsError('failed-precondition', `Payout batch ${batch.reference} is already ${batch.status}.`);
+
+    const invoiceSnaps = await txn.getAll(...batch.invoiceIds.map(id => db.collection('vendorInvoices').doc(id)));
+    return { batchRef, batch, invoiceSnaps };
+}
+
+function lifecycleLog(db, txn, { invoiceId, from, to, actor, metadata }) {
+    txn.set(db.collection('adminChangeLogs').doc(), {
+        entityType: 'invoice',
+        entityId: invoiceId,
+        action: 'payout_status_changed',
+        changedBy: actor,
+        changedFields: { payoutLifecycle: { from, to } },
+        metadata,
+        timestamp: FieldValue.serverTimestamp(),
+    });
+}
+
+// ─── Create ───────────────────────────────────────────────────────────────────
+
+/**
+ * Put vendor invoices into a new payout batch.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string[]} params.invoiceIds — vendorInvoices doc IDs
+ * @param {string} params.periodEnd — YYYY-MM-DD; invoices dated later are rejected
+ * @param {string} [params.notes]
+ * @param {string} params.actor
+ * @returns {Promise<{ batchId, reference, vendorCount, invoiceCount, totals }>}
+ */
+async function createPayoutBatch(db, { invoiceIds, periodEnd, notes = '', actor }) {
+    const {
+        buildPayoutBatch, validatePayoutBatch, getPayoutIneligibility,
+        getPayoutLifecycle, getPayoutBatchReference, MAX_BATCH_INVOICES,
+    } = await loadShared('payoutBatches');
+    const { groupAdjustmentsByInvoice } = await loadShared('invoiceAdjustments');
+
+    const ids = [...new Set((invoiceIds || []).filter(Boolean))];
+    if (!ids.length) throw new HttpsError('invalid-argument', 'Select at least one invoice.');
+    if (ids.length > MAX_BATCH_INVOICES) throw new HttpsError('invalid-argument', `A batch can hold at most ${MAX_BATCH_INVOICES} invoices.`);
+    if (!DATE_RE.test(periodEnd || '')) throw new HttpsError('invalid-argument', 'periodEnd must be YYYY-MM-DD.');
+
+    return db.runTransaction(async (txn) => {
+        const snaps = await txn.getAll(...ids.map(id => db.collection('vendorInvoices').doc(id)));
+        const missing = snaps.find(s => !s.exists);
+        if (missing) throw new HttpsError('not-found', `Vendor invoice ${missing.id} not found.`);
+
+        const invoices = snaps.map(s => ({ id: s.id, ...s.data() }));
+        const blocked = invoices
+            .map(inv => ({ inv, reason: getPayoutIneligibility(inv, periodEnd) }))
+            .filter(x => x.reason);
+        if (blocked.length) {
+            throw new HttpsError('failed-precondition', `Cannot batch ${blocked.map(x => `${x.inv.invoiceNumber || x.inv.id} (${x.reason})`).join(', ')}.`);
+        }
+
+        const vendorIds = [...new Set(invoices.map(inv => inv.vendorId).filter(Boolean))];
+        const vendorSnaps = vendorIds.length ? await txn.getAll(...vendorIds.map(id => db.collection('vendors').doc(id))) : [];
+        const vendors = Object.fromEntries(vendorSnaps.filter(s => s.exists).map(s => [s.id, s.data()]));
+        const accountSnaps = vendorIds.length ? await txn.getAll(...vendorIds.map(id => db.collection('vendorPayoutAccounts').doc(id))) : [];
+        const accounts = Object.fromEntries(accountSnaps.filter(s => s.exists).map(s => [s.id, s.data()]));
+        const adjustmentsByInvoice = groupAdjustmentsByInvoice(await readAdjustments(txn, db, ids), 'vendor');
+
+        const built = buildPayoutBatch({ invoices, adjustmentsByInvoice, vendors, accounts, periodEnd });
+        const error = validatePayoutBatch(built);
+        if (error) throw new HttpsError('failed-precondition', error);
+
+        const batchRef = db.collection('payoutBatches').doc();
+        const reference = getPayoutBatchReference(batchRef.id, periodEnd);
+
+        txn.create(batchRef, {
+            reference,
+            periodEnd,
+            status: 'open',
+            payouts: built.payouts,
+            invoiceIds: built.invoiceIds,
+            vendorIds: built.vendorIds,
+            totals: built.totals,
+            invoiceCount: built.invoiceCount,
+            vendorCount: built.vendorCount,
+            notes: String(notes || '').trim(),
+            createdBy: actor,
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+
+        invoices.forEach(inv => {
+            const from = getPayoutLifecycle(inv);
+            txn.update(db.collection('vendorInvoices').doc(inv.id), {
+                payoutBatchId: batchRef.id,
+                payoutBatchReference: reference,
+                payoutLifecycle: 'pending_payment',
+                paymentStatus: 'PENDING',
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            if (from !== 'pending_payment') {
+                lifecycleLog(db, txn, { invoiceId: inv.id, from, to: 'pending_payment', actor, metadata: { payoutBatchId: batchRef.id, reference } });
+            }
+        });
+
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'payoutBatch',
+            entityId: batchRef.id,
+            action: 'payout_batch_created',
+            changedBy: actor,
+            afterState: { reference, periodEnd, invoiceCount: built.invoiceCount, vendorCount: built.vendorCount, netPayable: built.totals.netPayable },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        return { batchId: batchRef.id, reference, vendorCount: built.vendorCount, invoiceCount: built.invoiceCount, totals: built.totals };
+    });
+}
+
+// ─── Pay ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Mark a batch paid: every invoice → `paid`, one notification per vendor.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.batchId
+ * @param {string} params.paymentDate — YYYY-MM-DD the bank released the funds
+ * @param {string} [params.paymentReference] — bank file / confirmation number
+ * @param {string} params.actor
+ * @returns {Promise<{ batchId, reference, invoiceCount, vendorCount }>}
+ */
+async function markPayoutBatchPaid(db, { batchId, paymentDate, paymentReference = '', actor }) {
+    const { PAYOUT_TRANSITIONS, getPayoutLifecycle } = await loadShared('payoutBatches');
+    if (!DATE_RE.test(paymentDate || '')) throw new HttpsError('invalid-argument', 'paymentDate must be YYYY-MM-DD.');
+
+    return db.runTransaction(async (txn) => {
+        const { batchRef, batch, invoiceSnaps } = await readOpenBatch(txn, db, batchId);
+
+        const blocked = invoiceSnaps.filter(s => {
+            if (!s.exists) return true;
+            const inv = s.data();
+            return inv.payoutBatchId !== batchId || !PAYOUT_TRANSITIONS[getPayoutLifecycle(inv)]?.includes('paid');
+        });
+        if (blocked.length) {
+            const names = blocked.map(s => (s.exists ? `${s.data().invoiceNumber || s.id} (${getPayoutLifecycle(s.data())})` : `${s.id} (deleted)`));
+            throw new HttpsError('failed-precondition', `Cannot pay ${batch.reference}: ${names.join(', ')}. Cancel the batch and create a new one without them.`);
+        }
+
+        const reference = String(paymentReference || '').trim() || batch.reference;
+        invoiceSnaps.forEach(s => {
+            txn.update(s.ref, {
+                payoutLifecycle: 'paid',
+                paymentStatus: 'PAID',
+                paidAt: FieldValue.serverTimestamp(),
+                paymentDate,
+                paymentReference: reference,
+                paidByAdminName: actor,
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            lifecycleLog(db, txn, { invoiceId: s.id, from: 'pending_payment', to: 'paid', actor, metadata: { payoutBatchId: batchId, paymentDate, paymentReference: reference } });
+        });
+
+        batch.payouts.forEach(p => {
+            // One per vendor per batch — a retried call overwrites rather than duplicates
+            txn.set(db.collection('notifications').doc(`payout_${batchId}_${p.vendorId}`), {
+                type: 'PAYOUT_COMPLETED',
+                role: 'VENDOR',
+                vendorId: p.vendorId,
+                payoutBatchId: batchId,
+                title: `💰 Payout sent: $${p.netPayable.toFixed(2)}`,
+                message: `${p.invoiceCount} invoice(s) paid on ${paymentDate} — reference ${reference}.`,
+                isRead: false,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+        });
+
+        txn.update(batchRef, {
+            status: 'paid',
+            paymentDate,
+            paymentReference: reference,
+            paidBy: actor,
+            paidAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'payoutBatch',
+            entityId: batchId,
+            action: 'payout_batch_paid',
+            changedBy: actor,
+            changedFields: { status: { from: 'open', to: 'paid' } },
+            metadata: { reference: batch.reference, paymentDate, paymentReference: reference, netPayable: batch.totals?.netPayable },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        return { batchId, reference: batch.reference, invoiceCount: invoiceSnaps.length, vendorCount: batch.payouts.length };
+    });
+}
+
+// ─── Cancel ───────────────────────────────────────────────────────────────────
+
+/**
+ * Cancel an open batch. Its invoices stay `pending_payment` and can be batched again.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.batchId
+ * @param {string} params.reason
+ * @param {string} params.actor
+ * @returns {Promise<{ batchId, reference, released: number }>}
+ */
+async function cancelPayoutBatch(db, { batchId, reason, actor }) {
+    const why = String(reason || '').trim();
+    if (!why) throw new HttpsError('invalid-argument', 'Give a reason for cancelling the batch.');
+
+    return db.runTransaction(async (txn) => {
+        const { batchRef, batch, invoiceSnaps } = await readOpenBatch(txn, db, batchId);
+
+        // Only release invoices still pointing at this batch
+        const released = invoiceSnaps.filter(s => s.exists && s.data().payoutBatchId === batchId);
+        released.forEach(s => txn.update(s.ref, {
+            payoutBatchId: FieldValue.delete(),
+            payoutBatchReference: FieldValue.delete(),
+            updatedAt: FieldValue.serverTimestamp(),
+        }));
+
+        txn.update(batchRef, {
+            status: 'cancelled',
+            cancelReason: why,
+            cancelledBy: actor,
+            cancelledAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'payoutBatch',
+            entityId: batchId,
+            action: 'payout_batch_cancelled',
+            changedBy: actor,
+            changedFields: { status: { from: 'open', to: 'cancelled' } },
+            metadata: { reference: batch.reference, reason: why },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        return { batchId, reference: batch.reference, released: released.length };
+    });
+}
+
+// ─── Payout Accounts ──────────────────────────────────────────────────────────
+
+/**
+ * Save a vendor's bank details. The full account goes to
+ * vendorPayoutAccounts/{vendorId}; the vendor doc keeps the masked account.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.vendorId
+ * @param {Object} params.account — PAYOUT_ACCOUNT_FIELDS
+ * @param {string} params.actor
+ * @returns {Promise<{ vendorId: string, payoutAccount: { accountName, last4 } }>}
+ */
+async function savePayoutAccount(db, { vendorId, account, actor }) {
+    const { validatePayoutAccount, maskPayoutAccount } = await loadShared('payoutBatches');
+    if (!vendorId) throw new HttpsError('invalid-argument', 'Missing vendorId.');
+    const { account: clean, error } = validatePayoutAccount(account);
+    if (error) throw new HttpsError('invalid-argument', `Payout account: ${error}`);
+
+    const vendorRef = db.collection('vendors').doc(vendorId);
+    const masked = maskPayoutAccount(clean);
+    return db.runTransaction(async (txn) => {
+        const vendorSnap = await txn.get(vendorRef);
+        if (!vendorSnap.exists) throw new HttpsError('not-found', `Vendor ${vendorId} not found.`);
+
+        txn.set(db.collection('vendorPayoutAccounts').doc(vendorId), {
+            vendorId,
+            ...clean,
+            updatedBy: actor,
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+        txn.update(vendorRef, { payoutAccount: masked, updatedAt: FieldValue.serverTimestamp() });
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'vendor',
+            entityId: vendorId,
+            action: 'payout_account_updated',
+            changedBy: actor,
+            afterState: { payoutAccount: masked },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+        return { vendorId, payoutAccount: masked };
+    });
+}
+
+/**
+ * Bank-upload CSV for a batch, with each vendor's current bank details.
+ * Fails while any vendor in the batch lacks a valid account.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.batchId
+ * @param {string} params.actor
+ * @returns {Promise<{ reference: string, csv: string }>}
+ */
+async function buildPayoutBankFile(db, { batchId, actor }) {
+    const { buildBankUploadCsv } = await loadShared('payoutBatches');
+    if (!batchId) throw new HttpsError('invalid-argument', 'Missing batchId.');
+
+    const batchSnap = await db.collection('payoutBatches').doc(batchId).get();
+    if (!batchSnap.exists) throw new HttpsError('not-found', `Payout batch ${batchId} not found.`);
+    const batch = batchSnap.data();
+    if (batch.status === 'cancelled') throw new HttpsError('failed-precondition', `Payout batch ${batch.reference} is cancelled.`);
+
+    const vendorIds = batch.vendorIds || [];
+    const accountSnaps = vendorIds.length ? await db.getAll(...vendorIds.map(id => db.collection('vendorPayoutAccounts').doc(id))) : [];
+    const accounts = Object.fromEntries(accountSnaps.filter(s => s.exists).map(s => [s.id, s.data()]));
+
+    let csv;
+    try {
+        csv = buildBankUploadCsv(batch, accounts);
+    } catch (err) {
+        throw new HttpsError('failed-precondition', err.message);
+    }
+
+    await db.collection('adminChangeLogs').add({
+        entityType: 'payoutBatch',
+        entityId: batchId,
+        action: 'payout_bank_file_exported',
+        changedBy: actor,
+        metadata: { reference: batch.reference, vendorCount: vendorIds.length },
+        timestamp: FieldValue.serverTimestamp(),
+    });
+    return { reference: batch.reference, csv };
+}
+
+module.exports = { createPayoutBatch, markPayoutBatchPaid, cancelPayoutBatch, savePayoutAccount, buildPayoutBankFile };
@@ -0,0 +1,313 @@
+/**
+ * receivables.js
+ *
+ * Restaurant payments and overdue tracking (src/shared/receivables.js).
+ *
+ *   restaurantInvoices/{id}         — `amountPaid`, `balanceDue`, `paymentStatus` (written)
+ *   invoiceAdjustments              — notes on those invoices (read)
+ *   RestaurantPaymentHistory        — one document per payment received
+ *   adminChangeLogs                 — one `payment_recorded` / `payment_reversed` entry per payment
+ *
+ * A payment is applied in one transaction: the invoices and their notes are
+ * re-read, the amount is spread over them (oldest due first unless finance
+ * allocated it), and every invoice it touches gets its new balance and
+ * status. Payments are never deleted: a correction is a reversing payment
+ * that takes the same allocations back off the invoices. The daily sweep
+ * moves invoices past their due date to OVERDUE.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+
+const IN_QUERY_LIMIT = 30;
+const BATCH_LIMIT = 400;
+// gRPC status of a write whose lastUpdateTime precondition no longer holds
+const FAILED_PRECONDITION = 9;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** Notes on the given restaurant invoices, read inside the transaction. */
+async function readAdjustments(txn, db, invoiceIds) {
+    const adjustments = [];
+    for (let i = 0; i < invoiceIds.length; i += IN_QUERY_LIMIT) {
+        const snap = await txn.get(db.collection('invoiceAdjustments').where('restaurantInvoiceId', 'in', invoiceIds.slice(i, i + IN_QUERY_LIMIT)));
+        snap.docs.forEach(d => adjustments.push({ id: d.id, ...d.data() }));
+    }
+    return adjustments;
+}
+
+/** Invoice fields that follow from a receivable summary. */
+function receivableFields(receivable) {
+    return {
+        amountPaid: receivable.amountPaid,
+        balanceDue: receivable.balanceDue,
+        paymentStatus: receivable.paymentStatus,
+    };
+}
+
+// ─── Payments ─────────────────────────────────────────────────────────────────
+
+/**
+ * Record a payment from a restaurant and apply it to its invoices.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.restaurantId
+ * @param {number} params.amount
+ * @param {string} params.paymentMethod — key of PAYMENT_METHODS
+ * @param {Object} [params.details] — method details (cheque number, collected by, …)
+ * @param {Array<{ invoiceId: string, amount: number }>} [params.allocations] — explicit split
+ * @param {string[]} [params.invoiceIds] — invoices to pay, oldest due first; defaults to all open invoices
+ * @param {string} [params.notes]
+ * @param {string} [params.reversesPaymentId] — record a reversal of this payment instead (see reverseRestaurantPayment)
+ * @param {string} params.actor
+ * @param {Date}   [params.now]
+ * @returns {Promise<{ paymentId: string, amount: number, allocations: Array, invoices: Array<{ invoiceId, paymentStatus, balanceDue }> }>}
+ */
+async function recordRestaurantPayment(db, {
+    restaurantId, amount, paymentMethod, details = {}, allocations, invoiceIds, notes = '', reversesPaymentId, actor, now = new Date(),
+}) {
+    if (reversesPaymentId) return reverseRestaurantPayment(db, { restaurantId, paymentId: reversesPaymentId, notes, actor, now });
+
+    const {
+        PAYMENT_METHODS, OPEN_RECEIVABLE_STATUSES,
+        validatePaymentDetails, summarizeReceivable, allocatePayment,
+    } = await loadShared('receivables');
+    const { groupAdjustmentsByInvoice } = await loadShared('invoiceAdjustments');
+
+    if (!restaurantId) throw new HttpsError('invalid-argument', 'Missing restaurantId.');
+    const detailsError = validatePaymentDetails(paymentMethod, details);
+    if (detailsError) throw new HttpsError('invalid-argument', detailsError);
+
+    // Only the details the method asks for are stored
+    const methodDetails = Object.fromEntries(PAYMENT_METHODS[paymentMethod].map(f => [f, String(details[f]).trim()]));
+    const requestedIds = [...new Set([
+        ...(Array.isArray(allocations) ? allocations.map(a => a.invoiceId) : []),
+        ...(Array.isArray(invoiceIds) ? invoiceIds : []),
+    ].filter(Boolean))];
+
+    return db.runTransaction(async (txn) => {
+        let snaps;
+        if (requestedIds.length) {
+            snaps = await txn.getAll(...requestedIds.map(id => db.collection('restaurantInvoices').doc(id)));
+            const missing = snaps.find(s => !s.exists);
+            if (missing) throw new HttpsError('not-found', `Invoice ${missing.id} not found.`);
+            const foreign = snaps.find(s => s.data().restaurantId !== restaurantId);
+            if (foreign) throw new HttpsError('failed-precondition', `Invoice ${foreign.data().invoiceNumber || foreign.id} belongs to another restaurant.`);
+        } else {
+            const q = await txn.get(db.collection('restaurantInvoices')
+                .where('restaurantId', '==', restaurantId)
+                .where('paymentStatus', 'in', OPEN_RECEIVABLE_STATUSES));
+            snaps = q.docs;
+        }
+        if (!snaps.length) throw new HttpsError('failed-precondition', 'This restaurant has no open invoices.');
+
+        const invoices = snaps.map(s => ({ id: s.id, ...s.data() }));
+        const notesByInvoice = groupAdjustmentsByInvoice(await readAdjustments(txn, db, invoices.map(inv => inv.id)), 'restaurant');
+        const receivables = invoices.map(inv => summarizeReceivable(inv, notesByInvoice[inv.id], now));
+        const total = round2(amount);
+
+        const result = allocatePayment({ amount: total, receivables, allocations: Array.isArray(allocations) ? allocations : undefined });
+        if (!result.valid) throw new HttpsError('failed-precondition', result.error);
+
+        const paymentRef = db.collection('RestaurantPaymentHistory').doc();
+        const byId = Object.fromEntries(invoices.map(inv => [inv.id, inv]));
+        const paidBefore = Object.fromEntries(receivables.map(r => [r.id, r.amountPaid]));
+        const applied = result.allocations.map(a => ({ invoiceId: a.invoiceId, invoiceNumber: a.invoiceNumber, amount: a.amount }));
+        const first = byId[applied[0].invoiceId];
+
+        txn.create(paymentRef, {
+            restaurantId,
+            restaurantName: first.restaurantName || restaurantId,
+            amount: total,
+            paymentMethod,
+            ...methodDetails,
+            paymentDate: methodDetails.paymentDate || methodDetails.chequeDepositDate,
+            allocations: applied,
+            invoiceIds: applied.map(a => a.invoiceId),
+            // Single-invoice fields kept for the payment history views
+            ...(applied.length === 1 ? {
+                invoiceId: first.id,
+                invoiceNumber: first.invoiceNumber || '',
+                orderId: first.orderId || '',
+                orderGroupId: first.orderGroupId || '',
+                vendorName: first.vendorName || '',
+            } : {}),
+            notes: String(notes || '').trim(),
+            status: 'applied',
+            recordedBy: actor,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+
+        const updated = result.allocations.map(a => {
+            const amountPaid = round2(paidBefore[a.invoiceId] + a.amount);
+            const receivable = summarizeReceivable({ ...byId[a.invoiceId], amountPaid }, notesByInvoice[a.invoiceId], now);
+            txn.update(db.collection('restaurantInvoices').doc(a.invoiceId), {
+                ...receivableFields(receivable),
+                paymentMethod,
+                paymentIds: FieldValue.arrayUnion(paymentRef.id),
+                lastPaymentAt: FieldValue.serverTimestamp(),
+                ...(receivable.paymentStatus === 'PAID' ? { paidAt: FieldValue.serverTimestamp(), paidByAdminName: actor } : {}),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            return { invoiceId: a.invoiceId, paymentStatus: receivable.paymentStatus, balanceDue: receivable.balanceDue };
+        });
+
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'restaurantPayment',
+            entityId: paymentRef.id,
+            action: 'payment_recorded',
+            changedBy: actor,
+            afterState: { amount: total, paymentMethod, allocations: applied },
+            metadata: { restaurantId },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        return { paymentId: paymentRef.id, amount: total, allocations: applied, invoices: updated };
+    });
+}
+
+/**
+ * Reverse a recorded payment: a new payment with the allocations negated is
+ * written, the original is marked `reversed`, and each invoice it paid gets
+ * its balance and status back. Neither payment can be reversed again.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.restaurantId
+ * @param {string} params.paymentId — RestaurantPaymentHistory doc to reverse
+ * @param {string} params.notes — why (required)
+ * @param {string} params.actor
+ * @param {Date}   [params.now]
+ * @returns {Promise<{ paymentId: string, amount: number, allocations: Array, invoices: Array<{ invoiceId, paymentStatus, balanceDue }> }>}
+ */
+async function reverseRestaurantPayment(db, { restaurantId, paymentId, notes = '', actor, now = new Date() }) {
+    const { summarizeReceivable, buildPaymentReversal, toBusinessDate } = await loadShared('receivables');
+    const { groupAdjustmentsByInvoice } = await loadShared('invoiceAdjustments');
+
+    const reason = String(notes || '').trim();
+    if (!reason) throw new HttpsError('invalid-argument', 'Give a reason for the reversal.');
+
+    return db.runTransaction(async (txn) => {
+        const originalRef = db.collection('RestaurantPaymentHistory').doc(paymentId);
+        const originalSnap = await txn.get(originalRef);
+        const original = originalSnap.exists ? originalSnap.data() : null;
+        if (original && original.restaurantId !== restaurantId) {
+            throw new HttpsError('failed-precondition', 'This payment belongs to another restaurant.');
+        }
+        const reversal = buildPaymentReversal(original);
+        if (!reversal.valid) throw new HttpsError(original ? 'failed-precondition' : 'not-found', reversal.error);
+
+        const ids = [...new Set(reversal.allocations.map(a => a.invoiceId))];
+        const snaps = await txn.getAll(...ids.map(id => db.collection('restaurantInvoices').doc(id)));
+        const missing = snaps.find(s => !s.exists);
+        if (missing) throw new HttpsError('not-found', `Invoice ${missing.id} not found.`);
+
+        const invoices = snaps.map(s => ({ id: s.id, ...s.data() }));
+        const byId = Object.fromEntries(invoices.map(inv => [inv.id, inv]));
+        const notesByInvoice = groupAdjustmentsByInvoice(await readAdjustments(txn, db, ids), 'restaurant');
+        const paidBefore = Object.fromEntries(invoices.map(inv => [inv.id, summarizeReceivable(inv, notesByInvoice[inv.id], now).amountPaid]));
+
+        const reversalRef = db.collection('RestaurantPaymentHistory').doc();
+        txn.create(reversalRef, {
+            restaurantId,
+            restaurantName: original.restaurantName || restaurantId,
+            amount: reversal.amount,
+            paymentMethod: original.paymentMethod || '',
+            paymentDate: toBusinessDate(now),
+            allocations: reversal.allocations,
+            invoiceIds: ids,
+            ...(reversal.allocations.length === 1 ? {
+                invoiceId: ids[0],
+                invoiceNumber: byId[ids[0]].invoiceNumber || '',
+                orderId: byId[ids[0]].orderId || '',
+                orderGroupId: byId[ids[0]].orderGroupId || '',
+                vendorName: byId[ids[0]].vendorName || '',
+            } : {}),
+            notes: reason,
+            reversesPaymentId: paymentId,
+            status: 'applied',
+            recordedBy: actor,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        txn.update(originalRef, {
+            status: 'reversed',
+            reversedByPaymentId: reversalRef.id,
+            reversedAt: FieldValue.serverTimestamp(),
+            reversedBy: actor,
+        });
+
+        const updated = reversal.allocations.map(a => {
+            const amountPaid = round2(paidBefore[a.invoiceId] + a.amount);
+            if (amountPaid < 0) {
+                throw new HttpsError('failed-precondition', `${byId[a.invoiceId].invoiceNumber || a.invoiceId} has less paid than this payment applied.`);
+            }
+            const receivable = summarizeReceivable({ ...byId[a.invoiceId], amountPaid }, notesByInvoice[a.invoiceId], now);
+            txn.update(db.collection('restaurantInvoices').doc(a.invoiceId), {
+                ...receivableFields(receivable),
+                paymentIds: FieldValue.arrayUnion(reversalRef.id),
+                ...(receivable.paymentStatus !== 'PAID' ? { paidAt: FieldValue.delete(), paidByAdminName: FieldValue.delete() } : {}),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            return { invoiceId: a.invoiceId, paymentStatus: receivable.paymentStatus, balanceDue: receivable.balanceDue };
+        });
+
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'restaurantPayment',
+            entityId: paymentId,
+            action: 'payment_reversed',
+            changedBy: actor,
+            changedFields: { status: { from: original.status || 'applied', to: 'reversed' } },
+            afterState: { reversalPaymentId: reversalRef.id, amount: reversal.amount, allocations: reversal.allocations },
+            metadata: { restaurantId, reason },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        return { paymentId: reversalRef.id, amount: reversal.amount, allocations: reversal.allocations, invoices: updated };
+    });
+}
+
+// ─── Overdue Sweep ────────────────────────────────────────────────────────────
+
+/**
+ * Move unpaid invoices past their due date to OVERDUE. Each update is
+ * conditional on the invoice being unchanged since it was read, so a payment
+ * recorded in between is never overwritten; those invoices are left to the
+ * next sweep.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {Date}   [options.now]
+ * @returns {Promise<{ checked: number, overdue: number, skipped: number }>}
+ */
+async function markOverdueInvoices(db, { now = new Date() } = {}) {
+    const { getDueDate, toBusinessDate } = await loadShared('receivables');
+    const today = toBusinessDate(now);
+
+    const snap = await db.collection('restaurantInvoices')
+        .where('paymentStatus', 'in', ['PENDING', 'PARTIALLY_PAID'])
+        .get();
+    const pastDue = snap.docs.filter(d => {
+        const due = getDueDate(d.data());
+        return due && today > due;
+    });
+
+    const results = [];
+    for (let i = 0; i < pastDue.length; i += BATCH_LIMIT) {
+        results.push(...await Promise.allSettled(pastDue.slice(i, i + BATCH_LIMIT).map(d => d.ref.update({
+            paymentStatus: 'OVERDUE',
+            overdueAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { lastUpdateTime: d.updateTime }))));
+    }
+    const failed = results.find(r => r.status === 'rejected' && r.reason?.code !== FAILED_PRECONDITION);
+    if (failed) throw failed.reason;
+    const overdue = results.filter(r => r.status === 'fulfilled').length;
+    const skipped = results.length - overdue;
+
+    console.log(`[Receivables] Overdue sweep ${today}: ${snap.size} open invoices checked, ${overdue} now overdue, ${skipped} changed since read`);
+    return { checked: snap.size, overdue, skipped };
+}
+
+module.exports = { recordRestaurantPayment, reverseRestaurantPayment, markOverdueInvoices, receivableFields };
@@ -0,0 +1,220 @@
+/**
+ * reconciliation.js
+ *
+ * Weekly financial reconciliation (src/shared/weeklyReconciliation.js).
+ *
+ *   vendorInvoices, restaurantInvoices   — dated in the week (read)
+ *   marketplaceOrders                    — source orders of those invoices, and orders delivered in the week (read)
+ *   vendorDispatches                     — `weekStart` == the week (read)
+ *   vendorInvoices                       — of the orders delivered in the week, for the dispatch check (read)
+ *   invoiceAdjustments                   — notes on all those orders (read)
+ *   reconciliationReports/{weekStart}    — the week's report (written)
+ *   systemExceptions/reconciliation_{weekStart} — open while the week is flagged
+ *
+ * Runs every Monday for the previous week (index.js) or on demand from the
+ * Finance Reconciliation tab. Re-running a week replaces its report but keeps
+ * the explanations finance has recorded for discrepancies that are unchanged.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+
+const REPORTS_COLLECTION = 'reconciliationReports';
+const READ_CHUNK = 100;
+const IN_QUERY_LIMIT = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const exceptionId = (weekStart) => `reconciliation_${weekStart}`;
+
+// ─── Reads ────────────────────────────────────────────────────────────────────
+
+/**
+ * Invoices dated in the week. The query window is padded by a day on each
+ * side so the business-time-zone filter decides the edges.
+ */
+async function fetchWeekInvoices(db, collectionName, week, isInWeek) {
+    const from = new Date(Date.parse(`${week.weekStart}T00:00:00Z`) - DAY_MS);
+    const to = new Date(Date.parse(`${week.weekEnd}T00:00:00Z`) + 2 * DAY_MS);
+    const snap = await db.collection(collectionName)
+        .where('invoiceDate', '>=', from)
+        .where('invoiceDate', '<', to)
+        .get();
+    return snap.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(inv => isInWeek(inv.invoiceDate, week));
+}
+
+/**
+ * Orders delivered in the week — the week their dispatch planned. Padded like
+ * fetchWeekInvoices(); orders stamped only in `timestamps` are not found.
+ */
+async function fetchDeliveredOrders(db, week, isInWeek, getOrderDeliveredAt) {
+    const from = new Date(Date.parse(`${week.weekStart}T00:00:00Z`) - DAY_MS);
+    const to = new Date(Date.parse(`${week.weekEnd}T00:00:00Z`) + 2 * DAY_MS);
+    const snap = await db.collection('marketplaceOrders')
+        .where('deliveredAt', '>=', from)
+        .where('deliveredAt', '<', to)
+        .get();
+    return snap.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(order => isInWeek(getOrderDeliveredAt(order), week));
+}
+
+async function fetchDocs(db, collectionName, ids) {
+    const docs = [];
+    for (let i = 0; i < ids.length; i += READ_CHUNK) {
+        const snaps = await db.getAll(...ids.slice(i, i + READ_CHUNK).map(id => db.collection(collectionName).doc(id)));
+        snaps.forEach(s => { if (s.exists) docs.push({ id: s.id, ...s.data() }); });
+    }
+    return docs;
+}
+
+async function fetchAdjustments(db, orderIds) {
+    const adjustments = [];
+    for (let i = 0; i < orderIds.length; i += IN_QUERY_LIMIT) {
+        const snap = await db.collection('invoiceAdjustments').where('orderId', 'in', orderIds.slice(i, i + IN_QUERY_LIMIT)).get();
+        snap.docs.forEach(d => adjustments.push({ id: d.id, ...d.data() }));
+    }
+    return adjustments;
+}
+
+// ─── Run ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Reconcile one week and store the report.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {string} [options.weekStart] — Monday, YYYY-MM-DD; defaults to the previous week
+ * @param {string} [options.actor] — 'schedule' or the admin who ran it
+ * @param {Date}   [options.now]
+ * @returns {Promise<{ weekStart: string, weekEnd: string, status: string, invoiceCount: number, discrepancyCount: number, openCount: number, globalDifference: number }>}
+ */
+async function runWeeklyReconciliation(db, { weekStart, actor = 'schedule', now = new Date() } = {}) {
+    const {
+        isWeekStart, getWeekRange, getPreviousWeek, isInWeek, getOrderDeliveredAt,
+        buildReconciliationReport, mergeDiscrepancyReviews, summarizeDiscrepancies,
+    } = await loadShared('weeklyReconciliation');
+
+    if (weekStart !== undefined && !isWeekStart(weekStart)) {
+        throw new HttpsError('invalid-argument', 'weekStart must be a Monday in YYYY-MM-DD form.');
+    }
+    const week = weekStart ? getWeekRange(weekStart) : getPreviousWeek(now);
+
+    const [vendorInvoices, restaurantInvoices, dispatchSnap, deliveredOrders] = await Promise.all([
+        fetchWeekInvoices(db, 'vendorInvoices', week, isInWeek),
+        fetchWeekInvoices(db, 'restaurantInvoices', week, isInWeek),
+        db.collection('vendorDispatches').where('weekStart', '==', week.weekStart).get(),
+        fetchDeliveredOrders(db, week, isInWeek, getOrderDeliveredAt),
+    ]);
+    const orderIds = [...new Set([...vendorInvoices, ...restaurantInvoices].map(inv => inv.orderId || inv.id))];
+    // Vendor invoice doc ID = order ID
+    const deliveredIds = deliveredOrders.map(o => o.id);
+    const noteOrderIds = [...new Set([...orderIds, ...deliveredIds])];
+    const [orders, deliveredVendorInvoices, adjustments] = await Promise.all([
+        fetchDocs(db, 'marketplaceOrders', orderIds),
+        fetchDocs(db, 'vendorInvoices', deliveredIds),
+        fetchAdjustments(db, noteOrderIds),
+    ]);
+
+    const built = buildReconciliationReport({
+        weekStart: week.weekStart,
+        vendorInvoices,
+        restaurantInvoices,
+        orders,
+        dispatches: dispatchSnap.docs.map(d => ({ id: d.id, ...d.data() })),
+        deliveredVendorInvoices,
+        adjustments,
+    });
+
+    const reportRef = db.collection(REPORTS_COLLECTION).doc(week.weekStart);
+    const previousSnap = await reportRef.get();
+    const discrepancies = mergeDiscrepancyReviews(previousSnap.exists ? previousSnap.data().discrepancies : [], built.discrepancies);
+    const report = { ...built, discrepancies, ...summarizeDiscrepancies(discrepancies) };
+
+    const batch = db.batch();
+    batch.set(reportRef, {
+        ...report,
+        runAt: now.toISOString(),
+        runBy: actor,
+        runCount: FieldValue.increment(1),
+        ...(previousSnap.exists ? {} : { createdAt: FieldValue.serverTimestamp() }),
+        updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    // One exception per week — opened when flagged, closed when everything is balanced or explained
+    const exceptionRef = db.collection('systemExceptions').doc(exceptionId(week.weekStart));
+    if (report.status === 'flagged' || previousSnap.exists) {
+        batch.set(exceptionRef, {
+            type: 'reconciliation_mismatch',
+            weekStart: week.weekStart,
+            globalDifference: report.globalDifference,
+            discrepancyCount: report.discrepancyCount,
+            openCount: report.openCount,
+            severity: Math.abs(report.globalDifference) > 100 ? 'critical' : 'warning',
+            status: report.status === 'flagged' ? 'open' : 'resolved',
+            updatedAt: FieldValue.serverTimestamp(),
+            ...(previousSnap.exists ? {} : { createdAt: FieldValue.serverTimestamp() }),
+        }, { merge: true });
+    }
+    await batch.commit();
+
+    console.log(`[Reconciliation] Week ${week.weekStart}: ${vendorInvoices.length} vendor / ${restaurantInvoices.length} restaurant invoices — ${report.status}, ${report.discrepancyCount} discrepancies (${report.openCount} open), difference $${report.globalDifference.toFixed(2)}`);
+    return {
+        weekStart: week.weekStart,
+        weekEnd: week.weekEnd,
+        status: report.status,
+        invoiceCount: report.invoiceCount,
+        discrepancyCount: report.discrepancyCount,
+        openCount: report.openCount,
+        globalDifference: report.globalDifference,
+    };
+}
+
+// ─── Finance Review ───────────────────────────────────────────────────────────
+
+/**
+ * Mark one discrepancy explained with a note.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.weekStart
+ * @param {string} params.discrepancyId
+ * @param {string} params.note
+ * @param {string} [params.actor]
+ * @param {Date}   [params.now]
+ * @returns {Promise<{ success: boolean, weekStart: string, status: string, openCount: number }>}
+ */
+async function explainReconciliationDiscrepancy(db, { weekStart, discrepancyId, note, actor = 'system', now = new Date() }) {
+    const { applyDiscrepancyExplanation } = await loadShared('weeklyReconciliation');
+    if (!weekStart || !discrepancyId) throw new HttpsError('invalid-argument', 'Missing weekStart or discrepancyId.');
+
+    const reportRef = db.collection(REPORTS_COLLECTION).doc(weekStart);
+    return db.runTransaction(async (txn) => {
+        const snap = await txn.get(reportRef);
+        if (!snap.exists) throw new HttpsError('not-found', `No reconciliation report for week ${weekStart}.`);
+
+        const result = applyDiscrepancyExplanation(snap.data(), discrepancyId, { note, actor, now });
+        if (!result.valid) throw new HttpsError('failed-precondition', result.error);
+        const { update } = result;
+
+        txn.update(reportRef, { ...update, updatedAt: FieldValue.serverTimestamp() });
+        txn.set(db.collection('systemExceptions').doc(exceptionId(weekStart)), {
+            openCount: update.openCount,
+            status: update.status === 'flagged' ? 'open' : 'resolved',
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'reconciliation',
+            entityId: weekStart,
+            action: 'discrepancy_explained',
+            changedBy: actor,
+            afterState: { discrepancyId, explanation: String(note).trim(), status: update.status },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+        return { success: true, weekStart, status: update.status, openCount: update.openCount };
+    });
+}
+
+module.exports = { runWeeklyReconciliation, explainReconciliationDiscrepancy };
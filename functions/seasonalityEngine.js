@@ -1,42 +1,43 @@
 /**
- * Evaluates active festival calendars against the given item and date window.
+ * seasonalityEngine.js
+ *
+ * Reads the `festivalCalendar` collection for the forecast job. Matching and
+ * applying uplift rules lives in the shared forecast core
+ * (src/shared/forecastCore.js) so the Cloud Function and the React pages
+ * uplift the same lines by the same amount.
  */
-async function getSeasonalityUplifts(db, itemId, category, targetDate) {
+
+const { loadShared } = require('./sharedModules');
+
+/**
+ * All active festival events (`isActive == true`).
+ */
+async function fetchActiveFestivalEvents(db) {
     const activeEventsSnap = await db.collection('festivalCalendar')
         .where('isActive', '==', true)
         .get();
 
-    const applicableUplifts = [];
+    return activeEventsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
 
-    activeEventsSnap.forEach(doc => {
-        const event = doc.data();
-        // Check date intersection
-        const eventStart = new Date(event.startDate);
-        const eventEnd = new Date(event.endDate);
-        if (targetDate >= eventStart && targetDate <= eventEnd) {
+/**
+ * Evaluates active festival calendars against the given item and date window.
+ */
+async function getSeasonalityUplifts(db, itemId, category, targetDate) {
+    const { matchFestivalUplifts, toDateString } = await loadShared('forecastCore');
+    const day = toDateString(targetDate);
 
-            // Check rules
-            if (event.upliftRules && Array.isArray(event.upliftRules)) {
-                for (const rule of event.upliftRules) {
-                    if (rule.targetType === 'category' && rule.targetValue === category) {
-                        applicableUplifts.push({
-                            eventName: event.eventName,
-                            percent: rule.percent
-                        });
-                    } else if (rule.targetType === 'item' && rule.targetValue === itemId) {
-                        applicableUplifts.push({
-                            eventName: event.eventName,
-                            percent: rule.percent
-                        });
-                    }
-                }
-            }
-        }
+    const events = (await fetchActiveFestivalEvents(db)).filter(event => {
+        const start = toDateString(event.startDate);
+        const end = toDateString(event.endDate) || start;
+        return start && day >= start && day <= end;
     });
 
-    return applicableUplifts;
+    return matchFestivalUplifts(events, { itemId, category })
+        .map(({ eventName, percent }) => ({ eventName, percent }));
 }
 
 module.exports = {
+    fetchActiveFestivalEvents,
     getSeasonalityUplifts
 };
@@ -188,9 +188,84 @@ async function sendVendorWelcomeEmail({ vendorName, contactName, toEmail, userna
     }
 }
 
+/**
+ * Sends an operations alert (stuck order / SLA breach) escalation email.
+ *
+ * @param {Object} params
+ * @param {string} params.toEmail - Recipient address
+ * @param {string} params.recipientName - Vendor contact or admin on call
+ * @param {Object} params.alert - The `operationsAlerts` document
+ * @param {string} params.escalationLabel - e.g. 'Email to vendor contact'
+ */
+async function sendSlaAlertEmail({ toEmail, recipientName, alert, escalationLabel }) {
+    try {
+        sgMail.setApiKey(SENDGRID_API_KEY.value());
+
+        if (!toEmail) {
+            console.warn(`No email provided for alert ${alert.alertId}, cannot send escalation.`);
+            return false;
+        }
+
+        const severityColor = { critical: '#f43f5e', high: '#fb923c', medium: '#fbbf24' }[alert.severity] || '#94a3b8';
+        const entityLabel = alert.entityType === 'order' ? 'Order' : 'Dispatch';
+
+        const html = `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"></head>
+<body style="margin:0;padding:0;background-color:#0b1120;font-family:'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+<table width="100%" cellpadding="0" cellspacing="0" style="background-color:#0b1120;padding:40px 0;">
+<tr><td align="center">
+<table width="580" cellpadding="0" cellspacing="0" style="background:#131d2e;border-radius:16px;border:1px solid rgba(255,255,255,0.06);overflow:hidden;">
+
+<tr><td style="padding:32px 40px 12px;">
+  <div style="font-size:11px;font-weight:700;color:${severityColor};text-transform:uppercase;letter-spacing:1px;">⏱️ ${alert.severity} — ${escalationLabel}</div>
+  <div style="font-size:22px;font-weight:800;color:#f8fafc;margin-top:8px;">${entityLabel} needs attention</div>
+</td></tr>
+
+<tr><td style="padding:8px 40px 24px;">
+  <div style="font-size:15px;color:#e2e8f0;line-height:1.7;">
+    Hi <strong>${recipientName || 'there'}</strong>,<br><br>
+    ${alert.message}
+  </div>
+  <div style="font-size:13px;color:#94a3b8;margin-top:14px;">
+    ${entityLabel} ID: <strong style="font-family:monospace;color:#f8fafc;">${alert.entityId}</strong> • Status: <strong style="color:#f8fafc;">${alert.entityStatus}</strong>
+  </div>
+</td></tr>
+
+<tr><td style="background:#0b1120;padding:24px 40px;text-align:center;border-top:1px solid rgba(255,255,255,0.04);">
+  <div style="font-size:11px;color:#334155;">© ${new Date().getFullYear()} RestIQ Solutions • Vendor Management Platform</div>
+  <div style="font-size:10px;color:#1e293b;margin-top:6px;">This is an automated message. Please do not reply directly.</div>
+</td></tr>
+
+</table>
+</td></tr></table>
+</body></html>`;
+
+        await sgMail.send({
+            to: toEmail,
+            from: {
+                email: 'support@restiqsolutions.com',
+                name: 'RestIQ Solutions'
+            },
+            subject: `[${alert.severity.toUpperCase()}] ${entityLabel} ${alert.entityId.slice(-8).toUpperCase()} — ${alert.entityStatus}`,
+            html: html,
+        });
+        console.log(`SLA alert email sent to ${toEmail} for alert ${alert.alertId}`);
+        return true;
+    } catch (error) {
+        console.error("Error sending SLA alert email via SendGrid:", error);
+        if (error.response) {
+            console.error(error.response.body);
+        }
+        return false;
+    }
+}
+
 module.exports = {
     sendOrderConfirmationEmail,
     sendVendorWelcomeEmail,
+    sendSlaAlertEmail,
     SENDGRID_API_KEY,
     SENDGRID_ORDER_CONFIRMATION_TEMPLATE_ID
 };
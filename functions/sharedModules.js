@@ -0,0 +1,27 @@
+/**
+ * sharedModules.js
+ *
+ * Loader for the pure ES modules shared with the React app. The sources live
+ * in `src/shared/` and are copied into `functions/shared/` by
+ * `scripts/syncSharedModules.js` (run automatically before serve/shell/deploy).
+ *
+ * The shared modules are ESM, so they are loaded with dynamic import().
+ */
+
+const cache = {};
+
+/**
+ * @param {string} name — module file name without extension, e.g. 'forecastCore'
+ * @returns {Promise<Object>} the module namespace
+ */
+function loadShared(name) {
+    if (!cache[name]) {
+        cache[name] = import(`./shared/${name}.js`).catch(err => {
+            delete cache[name];
+            throw new Error(`Shared module "${name}" not found in functions/shared — run "npm run sync-shared" first (${err.message})`);
+        });
+    }
+    return cache[name];
+}
+
+module.exports = { loadShared };
@@ -0,0 +1,198 @@
+/**
+ * slaMonitor.js
+ *
+ * Scheduled stuck-order / SLA-breach monitor.
+ *
+ *   operationsConfig/global       — thresholds and the admin on call (read)
+ *   operationsAlerts/{alertId}    — one alert per entity per status (written)
+ *   notifications/{alertId}_L1_*  — in-app escalation (TopBar bell)
+ *
+ * Every 30 minutes the detectors in src/shared/stuckStateDetector.js run
+ * against the live `marketplaceOrders` and `vendorDispatches` still in flight.
+ * src/shared/slaMonitor.js decides what to write and how far each alert
+ * escalates; this module reads Firestore, writes the alerts and sends the
+ * notifications and emails. Operators acknowledge, snooze or resolve alerts
+ * through updateOperationsAlert().
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+const { sendSlaAlertEmail } = require('./sendGridIntegration');
+
+const ALERTS_COLLECTION = 'operationsAlerts';
+
+// Statuses the detectors look at — everything else is either done or not started
+const MONITORED_ORDER_STATUSES = ['pending_confirmation', 'pending_customer_approval', 'pending_fulfillment', 'delivery_in_route', 'in_review'];
+const MONITORED_DISPATCH_STATUSES = ['Sent', 'Vendor Reviewing', 'Confirmed', 'Partially Confirmed', 'Packed', 'Warehouse Ready', 'Out for Delivery', 'Delivery Delayed'];
+
+// ─── Reads ────────────────────────────────────────────────────────────────────
+
+async function fetchSlaMonitorConfig(db) {
+    const { normalizeSlaMonitorConfig } = await loadShared('slaMonitor');
+    try {
+        const snap = await db.collection('operationsConfig').doc('global').get();
+        return normalizeSlaMonitorConfig(snap.exists ? snap.data() : {});
+    } catch (err) {
+        console.warn('[SlaMonitor] Could not load operationsConfig, using defaults:', err.message);
+        return normalizeSlaMonitorConfig({});
+    }
+}
+
+async function fetchInFlight(db, collectionName, statuses) {
+    const snap = await db.collection(collectionName).where('status', 'in', statuses).get();
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Stored alerts the run needs: every active alert (to clear the ones that went
+ * away) plus any stored doc for a detected id (to reopen resolved ones).
+ */
+async function fetchExistingAlerts(db, detectedIds, activeStates) {
+    const existing = {};
+    const activeSnap = await db.collection(ALERTS_COLLECTION).where('state', 'in', activeStates).get();
+    activeSnap.docs.forEach(d => { existing[d.id] = d.data(); });
+
+    const missing = detectedIds.filter(id => !existing[id]);
+    if (missing.length > 0) {
+        const snaps = await db.getAll(...missing.map(id => db.collection(ALERTS_COLLECTION).doc(id)));
+        snaps.forEach(s => { if (s.exists) existing[s.id] = s.data(); });
+    }
+    return existing;
+}
+
+// ─── Escalation ───────────────────────────────────────────────────────────────
+
+/**
+ * Deliver one escalation step. Returns the record kept on the alert.
+ */
+async function escalate(db, alert, step, config) {
+    const record = { level: step.level, channel: step.channel, to: '', sent: false, reason: '', at: new Date().toISOString() };
+    const title = `${alert.severity === 'critical' ? '🚨' : '⏱️'} ${alert.entityType === 'order' ? 'Order' : 'Dispatch'} stuck: ${alert.entityStatus}`;
+
+    if (step.channel === 'in_app') {
+        const base = {
+            type: 'SLA_BREACH',
+            alertId: alert.alertId,
+            title,
+            message: alert.message,
+            isRead: false,
+            createdAt: FieldValue.serverTimestamp(),
+            ...(alert.entityType === 'order' ? { orderId: alert.entityId } : { dispatchId: alert.entityId }),
+        };
+        const batch = db.batch();
+        batch.set(db.collection('notifications').doc(`${alert.alertId}_L1_ADMIN`), { ...base, role: 'ADMIN' });
+        if (alert.vendorId) {
+            batch.set(db.collection('notifications').doc(`${alert.alertId}_L1_${alert.vendorId}`), { ...base, role: 'VENDOR', vendorId: alert.vendorId });
+        }
+        await batch.commit();
+        return { ...record, to: alert.vendorId ? 'admins, vendor' : 'admins', sent: true };
+    }
+
+    let toEmail = '';
+    let recipientName = '';
+    if (step.channel === 'vendor_email') {
+        const vendorSnap = alert.vendorId ? await db.collection('vendors').doc(alert.vendorId).get() : null;
+        const vendor = vendorSnap?.exists ? vendorSnap.data() : {};
+        toEmail = vendor.contactEmail || vendor.email || '';
+        recipientName = vendor.contactName || vendor.name || alert.vendorName || '';
+        if (!toEmail) return { ...record, reason: 'No vendor contact email on file' };
+    } else {
+        toEmail = config.onCallAdminEmail;
+        recipientName = config.onCallAdminName;
+        if (!toEmail) return { ...record, reason: 'No admin on call configured' };
+    }
+
+    const sent = await sendSlaAlertEmail({ toEmail, recipientName, alert, escalationLabel: step.label });
+    return { ...record, to: toEmail, sent, reason: sent ? '' : 'SendGrid send failed' };
+}
+
+// ─── Run ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Evaluate every in-flight order and dispatch, write alerts and escalate.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {Date}   [options.now]
+ * @returns {Promise<{ detected: number, opened: number, escalated: number, cleared: number }>}
+ */
+async function runSlaMonitor(db, { now = new Date() } = {}) {
+    const { collectSlaAlerts, reconcileAlerts, ACTIVE_ALERT_STATES } = await loadShared('slaMonitor');
+    const config = await fetchSlaMonitorConfig(db);
+
+    const [orders, dispatches] = await Promise.all([
+        fetchInFlight(db, 'marketplaceOrders', MONITORED_ORDER_STATUSES),
+        fetchInFlight(db, 'vendorDispatches', MONITORED_DISPATCH_STATUSES),
+    ]);
+
+    const detected = collectSlaAlerts({ orders, dispatches, config, now });
+    const existing = await fetchExistingAlerts(db, detected.map(a => a.alertId), ACTIVE_ALERT_STATES);
+    const { writes, cleared } = reconcileAlerts({ existing, detected, now });
+
+    const ops = [
+        ...writes.map(w => ({ alertId: w.alertId, data: w.data })),
+        ...cleared,
+    ];
+    for (let i = 0; i < ops.length; i += 400) {
+        const batch = db.batch();
+        ops.slice(i, i + 400).forEach(({ alertId, data }) => {
+            batch.set(db.collection(ALERTS_COLLECTION).doc(alertId), { ...data, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+        });
+        await batch.commit();
+    }
+
+    let escalated = 0;
+    for (const w of writes.filter(x => x.escalation)) {
+        try {
+            const record = await escalate(db, w.data, w.escalation, config);
+            await db.collection(ALERTS_COLLECTION).doc(w.alertId).update({ escalations: FieldValue.arrayUnion(record) });
+            if (record.sent) escalated++;
+        } catch (err) {
+            console.error(`[SlaMonitor] Escalation failed for ${w.alertId}:`, err.message);
+        }
+    }
+
+    const summary = {
+        detected: detected.length,
+        opened: writes.filter(w => w.isNew).length,
+        escalated,
+        cleared: cleared.length,
+    };
+    console.log(`[SlaMonitor] ${orders.length} orders, ${dispatches.length} dispatches checked — ${summary.detected} alerts (${summary.opened} new), ${summary.escalated} escalations sent, ${summary.cleared} cleared`);
+    return summary;
+}
+
+// ─── Operator Actions ─────────────────────────────────────────────────────────
+
+/**
+ * Acknowledge, snooze or resolve one alert.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.alertId
+ * @param {'acknowledge'|'snooze'|'resolve'} params.action
+ * @param {number} [params.snoozeHours]
+ * @param {string} [params.note]
+ * @param {string} [params.actor]
+ * @param {Date}   [params.now]
+ * @returns {Promise<{ success: boolean, alertId: string, state: string }>}
+ */
+async function updateOperationsAlert(db, { alertId, action, snoozeHours, note = '', actor = 'system', now = new Date() }) {
+    const { applyAlertAction } = await loadShared('slaMonitor');
+    if (!alertId || !action) throw new HttpsError('invalid-argument', 'Missing alertId or action.');
+
+    const ref = db.collection(ALERTS_COLLECTION).doc(alertId);
+    return db.runTransaction(async (txn) => {
+        const snap = await txn.get(ref);
+        if (!snap.exists) throw new HttpsError('not-found', `Alert ${alertId} not found.`);
+
+        const result = applyAlertAction(snap.data(), action, { actor, snoozeHours, note, now });
+        if (!result.valid) throw new HttpsError('failed-precondition', result.error);
+
+        txn.update(ref, { ...result.update, updatedAt: FieldValue.serverTimestamp() });
+        return { success: true, alertId, state: result.update.state };
+    });
+}
+
+module.exports = { runSlaMonitor, updateOperationsAlert };
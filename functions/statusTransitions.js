@@ -0,0 +1,101 @@
+/**
+ * statusTransitions.js
+ *
+ * The only writer of `marketplaceOrders.status` and `vendorDispatches.status`.
+ *
+ * Every move is checked against the shared state machine
+ * (src/shared/statusMachine.js) inside a transaction, so two admins racing on
+ * the same order cannot both move it, and a crafted client cannot jump past
+ * the lifecycle: Firestore rules reject direct `status` writes, and this
+ * endpoint rejects illegal moves with `failed-precondition`. Callers other
+ * than superadmins may only make the moves their party is listed for (`by`
+ * in the state machine), on orders and dispatches of their own vendor or
+ * restaurant; anything else is `permission-denied`.
+ *
+ * Each accepted move stamps the state's timestamp field (serverTimestamp),
+ * records `timestamps[status]`, and appends an entry to the document's
+ * `auditLog`, in the caller's name from their `login` profile.
+ */
+
+/**
+ * The party a caller acts for: superadmins, restaurant users, and vendor
+ * users (any other role with a vendor).
+ */
+function getCallerParty(caller) {
+    if (caller.role === 'superadmin') return 'superadmin';
+    if (caller.role === 'restaurant') return caller.restaurantId ? 'restaurant' : null;
+    return caller.vendorId ? 'vendor' : null;
+}
+
+/** Whether the caller may make this move on this document. */
+function canCallerTransition(caller, parties, current) {
+    const party = getCallerParty(caller);
+    if (party === 'superadmin') return true;
+    if (!party || !parties.includes(party)) return false;
+    return party === 'vendor'
+        ? current.vendorId === caller.vendorId
+        : current.restaurantId === caller.restaurantId;
+}
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+
+/**
+ * Move one order or dispatch to a new status.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {'order'|'dispatch'} params.entity
+ * @param {string} params.id — document id
+ * @param {string} params.toStatus
+ * @param {Object} [params.fields] — extra fields; only those the target state allows are written
+ * @param {string} [params.reason]
+ * @param {Array<{ action: string, reason?: string }>} [params.notes] — extra audit lines
+ * @param {string} [params.expectedStatus] — reject if the document has moved on since the caller read it
+ * @param {{ uid: string, name: string, role: string, vendorId: ?string, restaurantId: ?string }} params.caller —
+ *        the signed-in user, from their `login` profile
+ * @param {Date} [params.now]
+ * @returns {Promise<{ success: boolean, entity: string, id: string, fromStatus: string, toStatus: string }>}
+ */
+async function transitionStatus(db, { entity, id, toStatus, fields = {}, reason = '', notes = [], expectedStatus = null, caller, now = new Date() }) {
+    const { STATUS_MACHINES, validateStatusTransition, getTransitionParties, buildTransitionUpdate } = await loadShared('statusMachine');
+    const machine = STATUS_MACHINES[entity];
+    if (!machine) throw new HttpsError('invalid-argument', `Unknown entity "${entity}".`);
+    if (!id || !toStatus) throw new HttpsError('invalid-argument', 'Missing id or toStatus.');
+
+    const ref = db.collection(machine.collection).doc(id);
+
+    return db.runTransaction(async (txn) => {
+        const snap = await txn.get(ref);
+        if (!snap.exists) throw new HttpsError('not-found', `${machine.collection}/${id} not found.`);
+
+        const current = snap.data();
+        const fromStatus = current.status || '';
+        if (expectedStatus && expectedStatus !== fromStatus) {
+            throw new HttpsError('failed-precondition', `Status changed to "${fromStatus}" since it was loaded — reload and try again.`);
+        }
+
+        const check = validateStatusTransition(entity, fromStatus, toStatus);
+        if (!check.valid) throw new HttpsError('failed-precondition', check.error);
+        if (!canCallerTransition(caller, getTransitionParties(entity, fromStatus, toStatus), current)) {
+            throw new HttpsError('permission-denied', `You cannot move this ${entity} from "${fromStatus}" to "${toStatus}".`);
+        }
+        const actor = caller.name;
+
+        const { update } = buildTransitionUpdate(entity, current, toStatus, {
+            fields: fields || {},
+            actor,
+            reason,
+            notes,
+            now,
+            stampValue: FieldValue.serverTimestamp(),
+        });
+        txn.update(ref, { ...update, updatedAt: FieldValue.serverTimestamp() });
+
+        console.log(`[StatusTransition] ${entity} ${id}: ${fromStatus} → ${toStatus} by ${actor}`);
+        return { success: true, entity, id, fromStatus, toStatus };
+    });
+}
+
+module.exports = { transitionStatus };
@@ -0,0 +1,105 @@
+/**
+ * warehousePicking.js
+ *
+ * Warehouse pick / pack actions (src/shared/warehousePicking.js).
+ *
+ *   vendorDispatchRoutes/{routeDispatchId}   — the line's route; `warehouseStatus` (read, updated)
+ *   warehousePicks/{lineId}                  — the line's pick status (written)
+ *   adminChangeLogs                          — one entry per action
+ *
+ * Pick documents are only written here, so two devices working the same route
+ * cannot overwrite each other: every action is checked against the line's
+ * stored status, and the route's `warehouseStatus` is rolled up from all of its
+ * lines in the same transaction.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { loadShared } = require('./sharedModules');
+
+const PICKS_COLLECTION = 'warehousePicks';
+
+/**
+ * Apply a pick action to one route line.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} params
+ * @param {string} params.routeDispatchId
+ * @param {string} params.itemKey — getPickItemKey() of the route item
+ * @param {'pick'|'short'|'load'|'reset'} params.action
+ * @param {number} [params.qty] — quantity found (short)
+ * @param {string} [params.reason] — SHORT_PICK_REASONS key (short)
+ * @param {string} [params.note]
+ * @param {string} [params.source] — 'list' | 'scan'
+ * @param {string} params.actor
+ * @param {Date}   [params.now]
+ * @returns {Promise<{ lineId, status, warehouseStatus }>}
+ */
+async function recordWarehousePick(db, { routeDispatchId, itemKey, action, qty, reason, note = '', source = 'list', actor, now = new Date() }) {
+    const { applyPickAction, rollUpWarehouseStatus, getPickItemKey, getPickLineId, lineQty, WAREHOUSE_ELIGIBLE_STATUSES } = await loadShared('warehousePicking');
+    if (!routeDispatchId || !itemKey || !action) {
+        throw new HttpsError('invalid-argument', 'Missing routeDispatchId, itemKey or action.');
+    }
+
+    const routeRef = db.collection('vendorDispatchRoutes').doc(routeDispatchId);
+    return db.runTransaction(async (txn) => {
+        const routeSnap = await txn.get(routeRef);
+        if (!routeSnap.exists) throw new HttpsError('not-found', `Route dispatch ${routeDispatchId} not found.`);
+        const route = routeSnap.data();
+        if (!WAREHOUSE_ELIGIBLE_STATUSES.includes(route.status)) {
+            throw new HttpsError('failed-precondition', `Route dispatch is ${route.status || 'not confirmed'} — only confirmed dispatches are picked.`);
+        }
+
+        const items = (route.items || []).filter(i => lineQty(i) > 0);
+        const item = items.find(i => getPickItemKey(i) === itemKey);
+        if (!item) throw new HttpsError('not-found', `Item ${itemKey} is not on route ${routeDispatchId}.`);
+
+        const lineIds = items.map(i => getPickLineId(routeDispatchId, i));
+        const snaps = await txn.getAll(...lineIds.map(id => db.collection(PICKS_COLLECTION).doc(id)));
+        const stored = {};
+        snaps.forEach(s => { if (s.exists) stored[s.id] = s.data(); });
+
+        const lineId = getPickLineId(routeDispatchId, item);
+        const orderedQty = lineQty(item);
+        const line = { ...(stored[lineId] || {}), qty: orderedQty };
+        const result = applyPickAction(line, action, { qty, reason, note, actor, now });
+        if (!result.valid) throw new HttpsError('failed-precondition', result.error);
+
+        const after = { ...line, ...result.update };
+        const warehouseStatus = rollUpWarehouseStatus(lineIds.map(id => (id === lineId ? after : stored[id] || {})));
+
+        txn.set(db.collection(PICKS_COLLECTION).doc(lineId), {
+            ...result.update,
+            lineId,
+            routeDispatchId,
+            dispatchId: route.dispatchId || routeDispatchId,
+            routeDay: route.routeDay || '',
+            weekStart: route.weekStart || '',
+            vendorId: route.vendorId || '',
+            vendorName: route.vendorName || '',
+            itemKey,
+            itemName: item.itemName || '',
+            orderedQty,
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+
+        if (warehouseStatus !== (route.warehouseStatus || null)) {
+            txn.update(routeRef, { warehouseStatus, warehouseStatusAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() });
+        }
+
+        txn.set(db.collection('adminChangeLogs').doc(), {
+            entityType: 'warehousePick',
+            entityId: lineId,
+            action: `warehouse_${action}`,
+            changedBy: actor,
+            changedFields: { status: { from: line.status || 'Pending', to: after.status } },
+            afterState: { status: after.status, pickedQty: after.pickedQty ?? null, shortReason: after.shortReason || null },
+            metadata: { routeDispatchId, itemName: item.itemName || '', orderedQty, source, warehouseStatus },
+            timestamp: FieldValue.serverTimestamp(),
+        });
+
+        return { lineId, status: after.status, warehouseStatus };
+    });
+}
+
+module.exports = { recordWarehousePick };
@@ -0,0 +1,41 @@
+/**
+ * syncSharedModules.js
+ *
+ * Copies the pure modules in `src/shared/` into `functions/shared/` so the
+ * Cloud Functions run exactly the code the React app bundles. Cloud Functions
+ * only deploy the `functions/` directory, so the copy is made at deploy/serve
+ * time (see firebase.json `predeploy` and functions/package.json) and is
+ * git-ignored — always edit `src/shared/`, never the copy.
+ *
+ * Test files (`*.test.js`) and fixtures are not copied.
+ *
+ * Usage:
+ *   node scripts/syncSharedModules.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'src', 'shared');
+const TARGET_DIR = path.join(__dirname, '..', 'functions', 'shared');
+
+function shouldCopy(fileName) {
+    if (fileName === 'package.json') return true;
+    return fileName.endsWith('.js') && !fileName.endsWith('.test.js');
+}
+
+function syncSharedModules() {
+    fs.rmSync(TARGET_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TARGET_DIR, { recursive: true });
+
+    const copied = [];
+    fs.readdirSync(SOURCE_DIR, { withFileTypes: true }).forEach(entry => {
+        if (!entry.isFile() || !shouldCopy(entry.name)) return;
+        fs.copyFileSync(path.join(SOURCE_DIR, entry.name), path.join(TARGET_DIR, entry.name));
+        copied.push(entry.name);
+    });
+
+    console.log(`[syncSharedModules] Copied ${copied.length} file(s) to functions/shared: ${copied.join(', ')}`);
+}
+
+syncSharedModules();
@@ -208,6 +208,7 @@ function App() {
                                 <Route path="/admin/dispatch/confirmations" element={<Navigate to="/orders-fulfillment?tab=dispatch" replace />} />
                                 <Route path="/admin/dispatch/delivery" element={<Navigate to="/orders-fulfillment?tab=delivery" replace />} />
                                 <Route path="/admin/dispatch/issues" element={<Navigate to="/orders-fulfillment?tab=issues" replace />} />
+                                <Route path="/admin/dispatch/schedules" element={<Navigate to="/orders-fulfillment?tab=schedules" replace />} />
 
                                 {/* Vendor redirects */}
                                 <Route path="/vendors/add" element={<Navigate to="/vendors?tab=onboarding" replace />} />
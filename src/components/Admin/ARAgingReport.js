@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FiChevronDown, FiChevronRight } from 'react-icons/fi';
+import { subscribeToRestaurantInvoices, subscribeToInvoiceAdjustments } from '../../services/financialEngine';
+import { buildAgingReport, AGING_BUCKETS } from '../../shared/receivables';
+
+const BUCKET_COLORS = {
+    current: '#34d399',
+    days1to30: '#fbbf24',
+    days31to60: '#f59e0b',
+    days61to90: '#f97316',
+    days90plus: '#f43f5e',
+};
+
+const money = (n) => `${n < 0 ? '-' : ''}$${Math.abs(Number(n) || 0).toFixed(2)}`;
+
+/**
+ * ARAgingReport — open restaurant balances by days past due
+ * (current / 1–30 / 31–60 / 61–90 / 90+), net of credit/debit notes and
+ * payments. Expand a restaurant to see the invoices behind its total.
+ */
+export default function ARAgingReport() {
+    const navigate = useNavigate();
+    const [invoices, setInvoices] = useState([]);
+    const [adjustments, setAdjustments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        const unsubscribeInvoices = subscribeToRestaurantInvoices(
+            (list) => { setInvoices(list); setLoading(false); },
+            () => setLoading(false)
+        );
+        const unsubscribeAdjustments = subscribeToInvoiceAdjustments({}, setAdjustments);
+        return () => { unsubscribeInvoices(); unsubscribeAdjustments(); };
+    }, []);
+
+    const report = useMemo(() => buildAgingReport(invoices, adjustments), [invoices, adjustments]);
+    const overdueTotal = report.total - report.totals.current;
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6,1fr)', gap: 14 }}>
+                {[
+                    { key: 'total', label: 'Outstanding', value: report.total, color: '#38bdf8' },
+                    ...AGING_BUCKETS.map(b => ({ key: b.key, label: b.label, value: report.totals[b.key], color: BUCKET_COLORS[b.key] })),
+                ].map(k => (
+                    <div key={k.key} style={{ background: k.color + '0a', border: `1px solid ${k.color}22`, borderRadius: 12, padding: 18 }}>
+                        <div style={{ fontSize: 22, fontWeight: 700, color: k.color }}>{money(k.value)}</div>
+                        <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.3 }}>{k.label}</div>
+                    </div>
+                ))}
+            </div>
+
+            <p style={{ margin: 0, fontSize: 13, color: '#94a3b8' }}>
+                As of {report.asOf} — {report.invoiceCount} open invoice(s), {money(overdueTotal)} past due. Balances are net of credit/debit notes and payments applied; invoices move to Overdue the day after their due date.
+            </p>
+
+            <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, overflow: 'hidden' }}>
+                {loading ? (
+                    <div style={{ padding: 40, textAlign: 'center', color: '#94a3b8', fontSize: 13 }}>Loading receivables...</div>
+                ) : report.restaurants.length === 0 ? (
+                    <div style={{ padding: 30, textAlign: 'center' }}>
+                        <div style={{ fontSize: 40, marginBottom: 12 }}>✅</div>
+                        <div style={{ fontSize: 15, fontWeight: 700, color: '#e2e8f0', marginBottom: 6 }}>Nothing Outstanding</div>
+                        <div style={{ fontSize: 13, color: '#64748b' }}>Every restaurant invoice is paid.</div>
+                    </div>
+                ) : (
+                    <table className="ui-table" style={{ fontSize: 13, width: '100%' }}>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 28 }}></th>
+                                <th>Restaurant</th>
+                                <th style={{ textAlign: 'right' }}>Invoices</th>
+                                {AGING_BUCKETS.map(b => <th key={b.key} style={{ textAlign: 'right' }}>{b.label}</th>)}
+                                <th style={{ textAlign: 'right' }}>Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.restaurants.map(r => {
+                                const key = r.restaurantId || r.restaurantName;
+                                const isOpen = expanded === key;
+                                return (
+                                    <React.Fragment key={key}>
+                                        <tr onClick={() => setExpanded(isOpen ? null : key)} style={{ cursor: 'pointer' }}>
+                                            <td style={{ color: '#94a3b8' }}>{isOpen ? <FiChevronDown /> : <FiChevronRight />}</td>
+                                            <td>
+                                                <div style={{ fontWeight: 600, color: '#e2e8f0' }}>{r.restaurantName || r.restaurantId}</div>
+                                                {r.restaurantId && (
+                                                    <a
+                                                        href={`/admin/restaurants/${encodeURIComponent(r.restaurantId)}`}
+                                                        onClick={e => { e.preventDefault(); e.stopPropagation(); navigate(`/admin/restaurants/${encodeURIComponent(r.restaurantId)}`); }}
+                                                        style={{ fontSize: 11, color: '#38bdf8' }}
+                                                    >
+                                                        Account & statements →
+                                                    </a>
+                                                )}
+                                            </td>
+                                            <td style={{ textAlign: 'right' }}>{r.invoiceCount}</td>
+                                            {AGING_BUCKETS.map(b => (
+                                                <td key={b.key} style={{ textAlign: 'right', color: r.buckets[b.key] ? BUCKET_COLORS[b.key] : '#64748b', fontWeight: r.buckets[b.key] ? 600 : 400 }}>
+                                                    {r.buckets[b.key] ? money(r.buckets[b.key]) : '—'}
+                                                </td>
+                                            ))}
+                                            <td style={{ textAlign: 'right', fontWeight: 700, color: '#e2e8f0' }}>{money(r.total)}</td>
+                                        </tr>
+                                        {isOpen && (
+                                            <tr>
+                                                <td colSpan={AGING_BUCKETS.length + 4} style={{ background: 'rgba(0,0,0,0.2)', padding: 12 }}>
+                                                    <table className="ui-table" style={{ fontSize: 12, width: '100%' }}>
+                                                        <thead>
+                                                            <tr>
+                                                                <th>Invoice</th>
+                                                                <th>Invoice Date</th>
+                                                                <th>Due Date</th>
+                                                                <th style={{ textAlign: 'right' }}>Days Past Due</th>
+                                                                <th style={{ textAlign: 'right' }}>Net Total</th>
+                                                                <th style={{ textAlign: 'right' }}>Paid</th>
+                                                                <th style={{ textAlign: 'right' }}>Balance</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody>
+                                                            {r.invoices.map(inv => (
+                                                                <tr key={inv.id} className="is-row" style={{ cursor: 'pointer' }} onClick={() => navigate(`/admin/restaurant-invoices/${inv.id}`)}>
+                                                                    <td style={{ fontWeight: 600, color: '#e2e8f0' }}>{inv.invoiceNumber}</td>
+                                                                    <td>{inv.invoiceDate || '—'}</td>
+                                                                    <td>{inv.dueDate || '—'}</td>
+                                                                    <td style={{ textAlign: 'right', color: BUCKET_COLORS[inv.bucket] }}>{inv.daysOverdue || '—'}</td>
+                                                                    <td style={{ textAlign: 'right' }}>{money(inv.netTotal)}</td>
+                                                                    <td style={{ textAlign: 'right', color: '#94a3b8' }}>{inv.amountPaid ? money(inv.amountPaid) : '—'}</td>
+                                                                    <td style={{ textAlign: 'right', fontWeight: 600 }}>{money(inv.balanceDue)}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
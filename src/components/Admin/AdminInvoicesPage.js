@@ -1,19 +1,22 @@
 import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { UserContext } from '../../contexts/UserContext';
 import { db } from '../../firebase';
-import { collection, query, orderBy, onSnapshot, doc, writeBatch, getDocs, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { collection, query, orderBy, onSnapshot, doc, getDocs, updateDoc, serverTimestamp } from 'firebase/firestore';
 import { toast } from 'react-toastify';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { getTaxRate } from '../../constants/taxRates';
+import { backfillMissingInvoices } from '../../services/invoiceGenerationService';
+import InvoiceNumberingReport from './InvoiceNumberingReport';
+import { subscribeToInvoiceAdjustments } from '../../services/financialEngine';
+import { groupAdjustmentsByInvoice, summarizeInvoiceBalance } from '../../shared/invoiceAdjustments';
 
 export default function AdminInvoicesPage() {
     const { isSuperAdmin, displayName } = useContext(UserContext);
     const [invoices, setInvoices] = useState([]);
     const [vendors, setVendors] = useState([]);
-    const [restaurants, setRestaurants] = useState([]);
     const [loading, setLoading] = useState(true);
     const [scanning, setScanning] = useState(false);
     const [processingId, setProcessingId] = useState(null);
+    const [adjustments, setAdjustments] = useState([]);
     const navigate = useNavigate();
     const [searchParams] = useSearchParams();
 
@@ -30,15 +33,7 @@ export default function AdminInvoicesPage() {
             const vSnap = await getDocs(collection(db, 'vendors'));
             setVendors(vSnap.docs.map(d => ({ id: d.id, ...d.data() })));
         };
-        // Load restaurants for name resolution
-        const loadRestaurants = async () => {
-            try {
-                const rSnap = await getDocs(collection(db, 'restaurants'));
-                setRestaurants(rSnap.docs.map(d => ({ id: d.id, ...d.data() })));
-            } catch (e) { /* optional */ }
-        };
         loadVendors();
-        loadRestaurants();
 
         // Listen to Invoices
         const q = query(collection(db, 'vendorInvoices'), orderBy('createdAt', 'desc'));
@@ -51,156 +46,26 @@ export default function AdminInvoicesPage() {
             setLoading(false);
         });
 
-        return () => unsubscribe();
+        // Credit/debit notes — payouts below are net of the note chain
+        const unsubscribeAdjustments = subscribeToInvoiceAdjustments({}, setAdjustments);
+
+        return () => { unsubscribe(); unsubscribeAdjustments(); };
     }, [isSuperAdmin]);
 
+    const adjustmentsByInvoice = useMemo(() => groupAdjustmentsByInvoice(adjustments, 'vendor'), [adjustments]);
+
     const handleGenerateInvoices = async () => {
         setScanning(true);
-        let createdCount = 0;
         try {
-            // 1. Fetch all FULFILLED orders
-            const ordersReq = await getDocs(collection(db, 'marketplaceOrders'));
-            const eligibleOrders = ordersReq.docs
-                .map(d => ({ id: d.id, ...d.data() }))
-                .filter(o => o.status === 'fulfilled'); // Only generate invoices for fulfilled orders
-
-            // 2. Check which orders are missing invoices (using deterministic doc ID = orderId)
-            const missingOrders = [];
-            for (const order of eligibleOrders) {
-                const invSnap = await getDoc(doc(db, 'vendorInvoices', order.id));
-                if (!invSnap.exists()) {
-                    missingOrders.push(order);
-                }
-            }
-
-            if (missingOrders.length === 0) {
+            // Invoices are created server-side — see functions/invoiceGeneration.js
+            const result = await backfillMissingInvoices();
+            if (result.missing === 0) {
                 toast.info('All eligible orders already have invoices.');
-                setScanning(false);
-                return;
-            }
-
-            // 4. Batch create invoices
-            const batch = writeBatch(db);
-            const now = new Date();
-
-            for (let i = 0; i < missingOrders.length; i++) {
-                const order = missingOrders[i];
-                const invRef = doc(db, 'vendorInvoices', order.id); // Deterministic ID = orderId
-
-                // 4a. Check for Snapshot
-                const hasSnapshot = order.subtotalBeforeTax !== undefined;
-
-                // Fetch Vendor for Commission % (and Legacy Tax)
-                const vendorSnap = await getDoc(doc(db, 'vendors', order.vendorId));
-                const vData = vendorSnap.exists() ? vendorSnap.data() : {};
-                const vendorCommissionPercent = Number(vData.commissionPercent ?? 10);
-
-                let subtotalVendorAmount = 0;
-                let totalTaxAmount = 0;
-                let formattedItems = [];
-
-                if (hasSnapshot) {
-                    // Use snapshot subtotal but recalculate tax per-item
-                    // to ensure only taxable items contribute to tax
-                    const taxRate = getTaxRate(vData.country || 'Canada', vData.province);
-                    subtotalVendorAmount = order.subtotalBeforeTax;
-                    formattedItems = (order.items || []).map(item => {
-                        const price = Number(item.vendorPrice ?? item.price ?? 0);
-                        const qty = item.qty || 1;
-                        const lineTotal = item.lineSubtotal || Number((price * qty).toFixed(2));
-                        const isTaxable = !!item.taxable;
-                        const lineTax = isTaxable ? Number((lineTotal * (taxRate / 100)).toFixed(2)) : 0;
-                        totalTaxAmount += lineTax;
-                        return {
-                            itemId: item.itemId,
-                            itemName: item.itemName || item.name || 'Unknown Item',  // v2-first
-                            unit: item.baseUnit || item.unit || 'unit',              // v2-first
-                            qty,
-                            vendorPrice: price,
-                            lineTotalVendor: lineTotal,
-                            isTaxable,
-                            lineTax
-                        };
-                    });
-                } else {
-                    // Legacy Fallback
-                    const taxRate = getTaxRate(vData.country || 'Canada', vData.province);
-
-                    const itemsRef = collection(db, `vendors/${order.vendorId}/items`);
-                    const itemsSnap = await getDocs(itemsRef);
-                    const itemTaxMap = {};
-                    itemsSnap.docs.forEach(d => {
-                        itemTaxMap[d.id] = !!d.data().taxable;
-                    });
-
-                    formattedItems = (order.items || []).map(item => {
-                        const price = Number(item.vendorPrice ?? item.price ?? 0);
-                        const qty = Number(item.qty || 1);
-                        const lineSubtotal = Number((price * qty).toFixed(2));
-
-                        const isTaxable = item.itemId ? itemTaxMap[item.itemId] : !!item.taxable;
-                        const lineTax = isTaxable ? Number((lineSubtotal * (taxRate / 100)).toFixed(2)) : 0;
-
-                        subtotalVendorAmount += lineSubtotal;
-                        totalTaxAmount += lineTax;
-
-                        return {
-                            itemId: item.itemId,
-                            itemName: item.itemName || item.name || 'Unknown Item',
-                            unit: item.unit || 'unit',
-                            qty,
-                            vendorPrice: price,
-                            lineTotalVendor: lineSubtotal,
-                            isTaxable,
-                            lineTax
-                        };
-                    });
-                }
-
-                const grossVendorAmount = Number(subtotalVendorAmount.toFixed(2));
-                const commissionAmount = Number((grossVendorAmount * (vendorCommissionPercent / 100)).toFixed(2));
-                const netVendorPayable = Number((grossVendorAmount - commissionAmount).toFixed(2));
-                const totalVendorAmount = Number((subtotalVendorAmount + totalTaxAmount).toFixed(2));
-                const invoiceNumber = `INV-V-${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(Date.now()).slice(-5)}${i}`;
-
-                // Resolution priority: restaurantId → restaurants collection → order.restaurantName → minimal fallback
-                const resolvedRestaurant = (() => {
-                    if (!order.restaurantId) return order.restaurantName || 'Not Specified';
-                    const rDoc = restaurants.find(r => r.id === order.restaurantId);
-                    return (rDoc?.name || rDoc?.restaurantName) || order.restaurantName || order.restaurantId;
-                })();
-
-                const invoiceData = {
-                    orderId: order.id,
-                    orderGroupId: order.orderGroupId || order.id.slice(-8).toUpperCase(),
-                    vendorId: order.vendorId,
-                    restaurantId: order.restaurantId || '',
-                    restaurantName: resolvedRestaurant,
-                    invoiceNumber,
-                    invoiceDate: serverTimestamp(),
-                    dueDate: new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-                    paymentStatus: 'PENDING',
-                    subtotalVendorAmount: grossVendorAmount,
-                    totalTaxAmount: Number(totalTaxAmount.toFixed(2)),
-                    totalVendorAmount: totalVendorAmount,
-                    grossVendorAmount,
-                    commissionPercent: vendorCommissionPercent,
-                    commissionAmount,
-                    netVendorPayable,
-                    commissionModel: 'VENDOR_FLAT_PERCENT',
-                    items: formattedItems,
-                    createdAt: serverTimestamp(),
-                    updatedAt: serverTimestamp(),
-                    adminNotes: hasSnapshot ? 'Manually generated (Snapshot)' : 'Manually generated (Dynamic Fallback)'
-                };
-
-                batch.set(invRef, invoiceData);
-                createdCount++;
+            } else if (result.failed.length > 0) {
+                toast.warn(`Generated invoices for ${result.generated.length} order(s); ${result.failed.length} failed.`);
+            } else {
+                toast.success(`Successfully generated invoices for ${result.generated.length} order(s).`);
             }
-
-            await batch.commit();
-            toast.success(`Successfully generated ${createdCount} missing invoice(s).`);
-
         } catch (err) {
             console.error('Failed scanning for invoices:', err);
             toast.error('Failed to generate missing invoices.');
@@ -268,6 +133,8 @@ export default function AdminInvoicesPage() {
                 </button>
             </div>
 
+            <InvoiceNumberingReport />
+
             <div className="ui-card" style={{ marginBottom: 20 }}>
                 <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
                     <input
@@ -332,10 +199,8 @@ export default function AdminInvoicesPage() {
                                         <td>{vName}</td>
                                         <td>{formatDate(inv.invoiceDate)}</td>
                                         <td style={{ fontWeight: 600, color: '#4ade80' }}>
-                                            {/* Net Payout = netVendorPayable (after commission deduction = 215.98) */}
-                                            ${Number(inv.netVendorPayable ||
-                                                ((inv.grossVendorAmount || inv.subtotalVendorAmount || 0) - (inv.commissionAmount || 0))
-                                            ).toFixed(2)}
+                                            {/* Net Payout = netVendorPayable (after commission) + payout change of applied notes */}
+                                            ${summarizeInvoiceBalance(inv, adjustmentsByInvoice[inv.id], 'vendor').netPayout.toFixed(2)}
                                         </td>
                                         <td>
                                             <span className={`badge ${isPending ? 'amber' : 'green'}`}>
@@ -343,7 +208,10 @@ export default function AdminInvoicesPage() {
                                             </span>
                                         </td>
                                         <td style={{ textAlign: 'right' }}>
-                                            {isPending && (
+                                            {isPending && inv.payoutBatchId && (
+                                                <span className="badge blue" title="Paid together with its payout batch (Finance → Vendor Payouts)">{inv.payoutBatchReference}</span>
+                                            )}
+                                            {isPending && !inv.payoutBatchId && (
                                                 <button
                                                     className="ui-btn small primary"
                                                     onClick={(e) => { e.stopPropagation(); handleMarkPaid(inv.id); }}
@@ -2,13 +2,24 @@ import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { UserContext } from '../../contexts/UserContext';
 import { db } from '../../firebase';
-import { collection, query, getDocs, orderBy, doc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { collection, query, getDocs, orderBy } from 'firebase/firestore';
 import { toast } from 'react-toastify';
 import { authFetch } from '../../utils/authFetch';
+import { generateStatementPDF } from '../../utils/generateInvoicePDF';
+import { subscribeToInvoiceAdjustments, getRestaurantAccount } from '../../services/financialEngine';
+import { groupAdjustmentsByInvoice, summarizeInvoiceBalance } from '../../shared/invoiceAdjustments';
+import { summarizeReceivable, buildRestaurantStatement, toBusinessDate } from '../../shared/receivables';
+import RecordPaymentModal, { paymentStatusBadge, formatPaymentStatus } from './RecordPaymentModal';
+
+// Last complete month (YYYY-MM) in business time — the default statement period
+const previousMonth = () => {
+    const [year, month] = toBusinessDate(new Date()).split('-').map(Number);
+    return month === 1 ? `${year - 1}-12` : `${year}-${String(month - 1).padStart(2, '0')}`;
+};
 
 export default function AdminRestaurantDetailPage() {
     const { restaurantId } = useParams();
-    const { isSuperAdmin, displayName } = useContext(UserContext);
+    const { isSuperAdmin } = useContext(UserContext);
     const navigate = useNavigate();
 
     const [orders, setOrders] = useState([]);
@@ -16,7 +27,10 @@ export default function AdminRestaurantDetailPage() {
     const [vendors, setVendors] = useState([]);
     const [restaurantInfo, setRestaurantInfo] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [processingId, setProcessingId] = useState(null);
+    const [adjustments, setAdjustments] = useState([]);
+    const [paymentInvoice, setPaymentInvoice] = useState(null);
+    const [statementMonth, setStatementMonth] = useState(previousMonth);
+    const [generatingStatement, setGeneratingStatement] = useState(false);
 
     // Filters for invoices table
     const [invoiceSearch, setInvoiceSearch] = useState('');
@@ -71,6 +85,17 @@ export default function AdminRestaurantDetailPage() {
         fetchData();
     }, [isSuperAdmin, decodedId]);
 
+    // Credit/debit notes — the statement is net of the note chain
+    useEffect(() => {
+        if (!isSuperAdmin) return;
+        return subscribeToInvoiceAdjustments({ restaurantId: decodedId }, setAdjustments);
+    }, [isSuperAdmin, decodedId]);
+
+    const adjustmentsByInvoice = useMemo(() => groupAdjustmentsByInvoice(adjustments, 'restaurant'), [adjustments]);
+    const receivableById = useMemo(() => Object.fromEntries(
+        invoices.map(inv => [inv.id, summarizeReceivable(inv, adjustmentsByInvoice[inv.id])])
+    ), [invoices, adjustmentsByInvoice]);
+
     // ── KPI Aggregation ──
     const kpis = useMemo(() => {
         let totalOrders = orders.length;
@@ -87,16 +112,18 @@ export default function AdminRestaurantDetailPage() {
         let billed = 0;
         let paid = 0;
         let pending = 0;
+        let overdue = 0;
 
         invoices.forEach(inv => {
-            const amount = Number(inv.grandTotal || 0);
-            billed += amount;
-            if (inv.paymentStatus === 'PAID') paid += amount;
-            else if (inv.paymentStatus === 'PENDING') pending += amount;
+            const receivable = receivableById[inv.id];
+            billed += summarizeInvoiceBalance(inv, adjustmentsByInvoice[inv.id], 'restaurant').netTotal;
+            paid += receivable.amountPaid;
+            if (receivable.balanceDue > 0) pending += receivable.balanceDue;
+            if (receivable.paymentStatus === 'OVERDUE') overdue += receivable.balanceDue;
         });
 
-        return { totalOrders, revenue, invoiceCount, billed, paid, pending };
-    }, [orders, invoices]);
+        return { totalOrders, revenue, invoiceCount, billed, paid, pending, overdue };
+    }, [orders, invoices, adjustmentsByInvoice, receivableById]);
 
     // ── Top Ordered Products (top 10 by qty) ──
     const topProducts = useMemo(() => {
@@ -137,7 +164,7 @@ export default function AdminRestaurantDetailPage() {
                 const matchSearch = !invoiceSearch ||
                     (inv.invoiceNumber || '').toLowerCase().includes(invoiceSearch.toLowerCase()) ||
                     (inv.orderId || '').toLowerCase().includes(invoiceSearch.toLowerCase());
-                const matchStatus = statusFilter === 'All' || inv.paymentStatus === statusFilter;
+                const matchStatus = statusFilter === 'All' || receivableById[inv.id]?.paymentStatus === statusFilter;
                 return matchSearch && matchStatus;
             })
             .sort((a, b) => {
@@ -145,29 +172,36 @@ export default function AdminRestaurantDetailPage() {
                 const tB = b.createdAt?.toMillis?.() || b.createdAt?.seconds * 1000 || 0;
                 return tB - tA;
             });
-    }, [invoices, invoiceSearch, statusFilter]);
+    }, [invoices, receivableById, invoiceSearch, statusFilter]);
 
-    // ── Mark Paid ──
-    const handleMarkPaid = async (invoiceId) => {
-        if (!window.confirm('Mark this restaurant invoice as PAID?')) return;
-        setProcessingId(invoiceId);
+    // ── Payments ──
+    const refreshInvoices = async () => {
+        const account = await getRestaurantAccount(decodedId);
+        setInvoices(account.invoices);
+    };
+
+    // ── Monthly Statement ──
+    const handleGenerateStatement = async () => {
+        setGeneratingStatement(true);
         try {
-            await updateDoc(doc(db, 'restaurantInvoices', invoiceId), {
-                paymentStatus: 'PAID',
-                paidAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
-                paidByAdminName: displayName || 'Admin'
-            });
-            // Update local state
-            setInvoices(prev => prev.map(inv =>
-                inv.id === invoiceId ? { ...inv, paymentStatus: 'PAID' } : inv
-            ));
-            toast.success('Restaurant invoice marked as PAID.');
+            const account = await getRestaurantAccount(decodedId);
+            const statement = buildRestaurantStatement({ month: statementMonth, ...account });
+            if (!statement) {
+                toast.error('Pick a month for the statement.');
+                return;
+            }
+            const restaurantName = account.invoices[0]?.restaurantName || decodedId;
+            const pdf = await generateStatementPDF(statement, restaurantInfo || {}, restaurantName);
+            const link = document.createElement('a');
+            link.href = pdf;
+            link.download = `Statement-${decodedId.replace(/[^\w-]+/g, '_')}-${statementMonth}.pdf`;
+            link.click();
+            toast.success(`Statement for ${statementMonth} generated — balance due $${statement.closingBalance.toFixed(2)}.`);
         } catch (err) {
-            console.error('Failed to update restaurant invoice status:', err);
-            toast.error('Failed to mark invoice as paid.');
+            console.error('Failed to generate statement:', err);
+            toast.error('Failed to generate the statement PDF.');
         } finally {
-            setProcessingId(null);
+            setGeneratingStatement(false);
         }
     };
 
@@ -205,12 +239,28 @@ export default function AdminRestaurantDetailPage() {
                         </div>
                     </div>
                 </div>
-                <button
-                    className="ui-btn primary small"
-                    onClick={() => navigate(`/admin/restaurant-invoices?status=All&restaurantId=${encodeURIComponent(decodedId)}`)}
-                >
-                    🧾 View All Invoices
-                </button>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                    <input
+                        type="month"
+                        className="ui-input"
+                        value={statementMonth}
+                        onChange={e => setStatementMonth(e.target.value)}
+                        style={{ maxWidth: 160, fontSize: 13 }}
+                    />
+                    <button
+                        className="ui-btn ghost small"
+                        onClick={handleGenerateStatement}
+                        disabled={generatingStatement || !statementMonth}
+                    >
+                        {generatingStatement ? '⏳ Generating...' : '📄 Statement PDF'}
+                    </button>
+                    <button
+                        className="ui-btn primary small"
+                        onClick={() => navigate(`/admin/restaurant-invoices?status=All&restaurantId=${encodeURIComponent(decodedId)}`)}
+                    >
+                        🧾 View All Invoices
+                    </button>
+                </div>
             </div>
 
             {/* ── Restaurant Details Card ── */}
@@ -282,12 +332,14 @@ export default function AdminRestaurantDetailPage() {
                 <div className="ui-card stat-card" style={{ padding: 20 }}>
                     <div className="stat-label">Total Paid</div>
                     <div className="stat-value" style={{ color: '#4ade80' }}>${kpis.paid.toFixed(2)}</div>
-                    <div className="stat-context">Settled invoices</div>
+                    <div className="stat-context">Payments applied to invoices</div>
                 </div>
                 <div className="ui-card stat-card" style={{ padding: 20, borderLeft: kpis.pending > 0 ? '3px solid #f06595' : undefined }}>
                     <div className="stat-label">Total Pending</div>
                     <div className="stat-value" style={{ color: kpis.pending > 0 ? '#f06595' : 'inherit' }}>${kpis.pending.toFixed(2)}</div>
-                    <div className="stat-context">Outstanding balance</div>
+                    <div className="stat-context">
+                        Outstanding balance{kpis.overdue > 0 && <span style={{ color: '#f87171' }}> • ${kpis.overdue.toFixed(2)} overdue</span>}
+                    </div>
                 </div>
             </div>
 
@@ -355,6 +407,8 @@ export default function AdminRestaurantDetailPage() {
                         >
                             <option value="All">All Status</option>
                             <option value="PENDING">Pending</option>
+                            <option value="PARTIALLY_PAID">Partially Paid</option>
+                            <option value="OVERDUE">Overdue</option>
                             <option value="PAID">Paid</option>
                         </select>
                     </div>
@@ -384,7 +438,8 @@ export default function AdminRestaurantDetailPage() {
                                 filteredInvoices.map(inv => {
                                     const v = vendors.find(x => x.id === inv.vendorId);
                                     const vName = inv.vendorName || (v ? (v.name || v.businessName) : 'Unknown Vendor');
-                                    const isPending = inv.paymentStatus === 'PENDING';
+                                    const receivable = receivableById[inv.id];
+                                    const isOpen = receivable.paymentStatus !== 'PAID' && inv.paymentStatus !== 'VOIDED';
 
                                     return (
                                         <tr
@@ -400,21 +455,25 @@ export default function AdminRestaurantDetailPage() {
                                             <td>{vName}</td>
                                             <td>{formatDate(inv.invoiceDate)}</td>
                                             <td style={{ textAlign: 'right', fontWeight: 600, color: '#4ade80' }}>
-                                                ${Number(inv.grandTotal || 0).toFixed(2)}
+                                                ${receivable.netTotal.toFixed(2)}
+                                                {isOpen && receivable.amountPaid > 0 && (
+                                                    <div style={{ fontSize: 11, fontWeight: 400, color: '#f59e0b' }}>
+                                                        Balance ${receivable.balanceDue.toFixed(2)}
+                                                    </div>
+                                                )}
                                             </td>
                                             <td>
-                                                <span className={`badge ${isPending ? 'amber' : 'green'}`}>
-                                                    {inv.paymentStatus}
+                                                <span className={`badge ${paymentStatusBadge(receivable.paymentStatus)}`}>
+                                                    {formatPaymentStatus(receivable.paymentStatus)}
                                                 </span>
                                             </td>
                                             <td style={{ textAlign: 'right' }}>
-                                                {isPending && (
+                                                {isOpen && (
                                                     <button
                                                         className="ui-btn small primary"
-                                                        onClick={(e) => { e.stopPropagation(); handleMarkPaid(inv.id); }}
-                                                        disabled={processingId === inv.id}
+                                                        onClick={(e) => { e.stopPropagation(); setPaymentInvoice(inv); }}
                                                     >
-                                                        {processingId === inv.id ? 'Saving...' : 'Mark Paid'}
+                                                        Record Payment
                                                     </button>
                                                 )}
                                             </td>
@@ -426,6 +485,17 @@ export default function AdminRestaurantDetailPage() {
                     </table>
                 </div>
             </div>
+
+            {paymentInvoice && (
+                <RecordPaymentModal
+                    restaurantId={decodedId}
+                    invoices={invoices}
+                    adjustmentsByInvoice={adjustmentsByInvoice}
+                    initialInvoiceIds={[paymentInvoice.id]}
+                    onClose={() => setPaymentInvoice(null)}
+                    onRecorded={refreshInvoices}
+                />
+            )}
         </div>
     );
 }
@@ -1,19 +1,23 @@
 import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { UserContext } from '../../contexts/UserContext';
 import { db } from '../../firebase';
-import { collection, query, orderBy, onSnapshot, doc, updateDoc, setDoc, addDoc, serverTimestamp, getDocs, getDoc } from 'firebase/firestore';
+import { collection, query, orderBy, onSnapshot, getDocs } from 'firebase/firestore';
 import { toast } from 'react-toastify';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { getTaxRate } from '../../constants/taxRates';
+import { backfillMissingInvoices } from '../../services/invoiceGenerationService';
+import InvoiceNumberingReport from './InvoiceNumberingReport';
+import { subscribeToInvoiceAdjustments } from '../../services/financialEngine';
+import { groupAdjustmentsByInvoice, summarizeInvoiceBalance } from '../../shared/invoiceAdjustments';
+import { summarizeReceivable } from '../../shared/receivables';
+import RecordPaymentModal, { paymentStatusBadge, formatPaymentStatus } from './RecordPaymentModal';
 
 export default function AdminRestaurantInvoicesPage() {
-    const { isSuperAdmin, displayName } = useContext(UserContext);
+    const { isSuperAdmin } = useContext(UserContext);
     const [invoices, setInvoices] = useState([]);
     const [vendors, setVendors] = useState([]);
-    const [restaurants, setRestaurants] = useState([]); // lookup cache
     const [loading, setLoading] = useState(true);
     const [scanning, setScanning] = useState(false);
-    const [processingId, setProcessingId] = useState(null);
+    const [adjustments, setAdjustments] = useState([]);
     const navigate = useNavigate();
     const [searchParams] = useSearchParams();
 
@@ -23,11 +27,8 @@ export default function AdminRestaurantInvoicesPage() {
     const [statusFilter, setStatusFilter] = useState(searchParams.get('status') || 'All');
     const [search, setSearch] = useState('');
 
-    // Payment modal state
-    const [showPaymentModal, setShowPaymentModal] = useState(false);
-    const [selectedInvoice, setSelectedInvoice] = useState(null);
-    const [paymentMethod, setPaymentMethod] = useState('');
-    const [paymentFields, setPaymentFields] = useState({});
+    // Payment modal — restaurant's open invoices, starting from the one clicked
+    const [paymentInvoice, setPaymentInvoice] = useState(null);
 
     useEffect(() => {
         if (!isSuperAdmin) return;
@@ -37,16 +38,7 @@ export default function AdminRestaurantInvoicesPage() {
             setVendors(vSnap.docs.map(d => ({ id: d.id, ...d.data() })));
         };
 
-        // Load restaurants for name resolution
-        const loadRestaurants = async () => {
-            try {
-                const rSnap = await getDocs(collection(db, 'restaurants'));
-                setRestaurants(rSnap.docs.map(d => ({ id: d.id, ...d.data() })));
-            } catch (e) { /* optional collection */ }
-        };
-
         loadVendors();
-        loadRestaurants();
 
         const q = query(collection(db, 'restaurantInvoices'), orderBy('createdAt', 'desc'));
         const unsubscribe = onSnapshot(q, (snapshot) => {
@@ -58,99 +50,31 @@ export default function AdminRestaurantInvoicesPage() {
             setLoading(false);
         });
 
-        return () => unsubscribe();
+        // Credit/debit notes — amounts below are net of the note chain
+        const unsubscribeAdjustments = subscribeToInvoiceAdjustments({}, setAdjustments);
+
+        return () => { unsubscribe(); unsubscribeAdjustments(); };
     }, [isSuperAdmin]);
 
+    const adjustmentsByInvoice = useMemo(() => groupAdjustmentsByInvoice(adjustments, 'restaurant'), [adjustments]);
+    const getBalance = (inv) => summarizeInvoiceBalance(inv, adjustmentsByInvoice[inv.id], 'restaurant');
+    // Status is derived from the balance and due date, so it is current between overdue sweeps
+    const receivableById = useMemo(() => Object.fromEntries(
+        invoices.map(inv => [inv.id, summarizeReceivable(inv, adjustmentsByInvoice[inv.id])])
+    ), [invoices, adjustmentsByInvoice]);
+
     const handleGenerateInvoices = async () => {
         setScanning(true);
-        let createdCount = 0;
         try {
-            const ordersReq = await getDocs(collection(db, 'marketplaceOrders'));
-            const eligibleOrders = ordersReq.docs
-                .map(d => ({ id: d.id, ...d.data() }))
-                .filter(o => o.status === 'fulfilled');
-
-            const missingOrders = [];
-            for (const order of eligibleOrders) {
-                const invSnap = await getDoc(doc(db, 'restaurantInvoices', order.id));
-                if (!invSnap.exists()) {
-                    missingOrders.push(order);
-                }
-            }
-
-            if (missingOrders.length === 0) {
-                toast.info('All eligible orders already have restaurant invoices.');
-                setScanning(false);
-                return;
+            // Invoices are created server-side — see functions/invoiceGeneration.js
+            const result = await backfillMissingInvoices();
+            if (result.missing === 0) {
+                toast.info('All eligible orders already have invoices.');
+            } else if (result.failed.length > 0) {
+                toast.warn(`Generated invoices for ${result.generated.length} order(s); ${result.failed.length} failed.`);
+            } else {
+                toast.success(`Successfully generated restaurant invoices for ${result.generated.length} order(s).`);
             }
-
-            const now = new Date();
-
-            for (let i = 0; i < missingOrders.length; i++) {
-                const order = missingOrders[i];
-
-                const vendorSnap = await getDoc(doc(db, 'vendors', order.vendorId));
-                const vData = vendorSnap.exists() ? vendorSnap.data() : {};
-                const taxRate = getTaxRate(vData.country || 'Canada', vData.province);
-
-                let subtotal = 0;
-                let totalTax = 0;
-                const formattedItems = (order.items || []).map(item => {
-                    const price = Number(item.vendorPrice ?? item.price ?? 0);
-                    const qty = item.qty || 1;
-                    const lineTotal = item.lineSubtotal || Number((price * qty).toFixed(2));
-                    const isTaxable = !!item.taxable;
-                    const lineTax = isTaxable ? Number((lineTotal * (taxRate / 100)).toFixed(2)) : 0;
-                    subtotal += lineTotal;
-                    totalTax += lineTax;
-                    return {
-                        itemId: item.itemId,
-                        itemName: item.itemName || item.name || 'Unknown Item',
-                        unit: item.unit || 'unit',
-                        qty,
-                        price,
-                        lineTotal,
-                        isTaxable,
-                        lineTax
-                    };
-                });
-
-                subtotal = Number(subtotal.toFixed(2));
-                totalTax = Number(totalTax.toFixed(2));
-                const grandTotal = Number((subtotal + totalTax).toFixed(2));
-                const invoiceNumber = `INV-C-${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(Date.now()).slice(-5)}${i}`;
-
-                    // Resolution priority: restaurantId → restaurants collection → order.restaurantName → fallback
-                    const resolvedRestaurant = (() => {
-                        if (!order.restaurantId) return order.restaurantName || 'Not Specified';
-                        const rDoc = restaurants.find(r => r.id === order.restaurantId);
-                        return (rDoc?.name || rDoc?.restaurantName) || order.restaurantName || order.restaurantId;
-                    })();
-
-                    const invRef = doc(db, 'restaurantInvoices', order.id);
-                    await setDoc(invRef, {
-                        orderId: order.id,
-                        vendorId: order.vendorId,
-                        vendorName: order.vendorName || vData.name || 'Unknown Vendor',
-                        restaurantId: order.restaurantId || '',
-                        restaurantName: resolvedRestaurant,
-                    invoiceNumber,
-                    invoiceDate: serverTimestamp(),
-                    dueDate: new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-                    paymentStatus: 'PENDING',
-                    subtotal,
-                    totalTax,
-                    grandTotal,
-                    items: formattedItems,
-                    createdAt: serverTimestamp(),
-                    updatedAt: serverTimestamp(),
-                    adminNotes: 'Manually generated for restaurant'
-                });
-                createdCount++;
-            }
-
-            toast.success(`Successfully generated ${createdCount} missing restaurant invoice(s).`);
-
         } catch (err) {
             console.error('Failed scanning for restaurant invoices:', err);
             toast.error('Failed to generate missing restaurant invoices.');
@@ -159,84 +83,9 @@ export default function AdminRestaurantInvoicesPage() {
         }
     };
 
-    // Open payment modal instead of direct mark-paid
-    const handleMarkPaidClick = (inv, e) => {
+    const handleRecordPaymentClick = (inv, e) => {
         e.stopPropagation();
-        setSelectedInvoice(inv);
-        setPaymentMethod('');
-        setPaymentFields({});
-        setShowPaymentModal(true);
-    };
-
-    const handlePaymentFieldChange = (field, value) => {
-        setPaymentFields(prev => ({ ...prev, [field]: value }));
-    };
-
-    const handleConfirmPayment = async () => {
-        if (!paymentMethod) {
-            toast.error('Please select a payment method.');
-            return;
-        }
-
-        // Validate required fields per method
-        if (paymentMethod === 'Card Terminal') {
-            if (!paymentFields.transactionNumber || !paymentFields.collectedBy || !paymentFields.paymentDate) {
-                toast.error('Please fill in all required Card Terminal fields.');
-                return;
-            }
-        } else if (paymentMethod === 'Cheque') {
-            if (!paymentFields.chequeNumber || !paymentFields.collectedBy || !paymentFields.chequeDepositDate) {
-                toast.error('Please fill in all required Cheque fields.');
-                return;
-            }
-        } else if (paymentMethod === 'E-Transfer') {
-            if (!paymentFields.validatedBy || !paymentFields.paymentDate) {
-                toast.error('Please fill in all required E-Transfer fields.');
-                return;
-            }
-        } else if (paymentMethod === 'Cash') {
-            if (!paymentFields.receivedBy || !paymentFields.paymentDate) {
-                toast.error('Please fill in all required Cash fields.');
-                return;
-            }
-        }
-
-        setProcessingId(selectedInvoice.id);
-        try {
-            // 1. Save to RestaurantPaymentHistory collection
-            await addDoc(collection(db, 'RestaurantPaymentHistory'), {
-                invoiceId: selectedInvoice.id,
-                invoiceNumber: selectedInvoice.invoiceNumber || '',
-                orderId: selectedInvoice.orderId || '',
-                orderGroupId: selectedInvoice.orderGroupId || '',
-                restaurantId: selectedInvoice.restaurantId || '',
-                restaurantName: selectedInvoice.restaurantName || selectedInvoice.restaurantId || '',
-                vendorName: selectedInvoice.vendorName || '',
-                amount: Number(selectedInvoice.grandTotal || 0),
-                paymentMethod: paymentMethod,
-                ...paymentFields,
-                recordedBy: displayName || 'Admin',
-                createdAt: serverTimestamp()
-            });
-
-            // 2. Update the invoice status to PAID
-            await updateDoc(doc(db, 'restaurantInvoices', selectedInvoice.id), {
-                paymentStatus: 'PAID',
-                paymentMethod: paymentMethod,
-                paidAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
-                paidByAdminName: displayName || 'Admin'
-            });
-
-            toast.success('Payment recorded & invoice marked as PAID.');
-            setShowPaymentModal(false);
-            setSelectedInvoice(null);
-        } catch (err) {
-            console.error('Failed to record payment:', err);
-            toast.error('Failed to record payment.');
-        } finally {
-            setProcessingId(null);
-        }
+        setPaymentInvoice(inv);
     };
 
     const formatDate = (timestamp) => {
@@ -256,24 +105,15 @@ export default function AdminRestaurantInvoicesPage() {
                 (inv.orderId || '').toLowerCase().includes(search.toLowerCase());
             const matchVendor = vendorFilter === 'All' || inv.vendorId === vendorFilter;
             const matchRestaurant = restaurantFilter === 'All' || inv.restaurantId === restaurantFilter;
-            const matchStatus = statusFilter === 'All' || inv.paymentStatus === statusFilter;
+            const matchStatus = statusFilter === 'All' || receivableById[inv.id]?.paymentStatus === statusFilter;
             return matchSearch && matchVendor && matchRestaurant && matchStatus;
         });
-    }, [invoices, search, vendorFilter, restaurantFilter, statusFilter]);
+    }, [invoices, receivableById, search, vendorFilter, restaurantFilter, statusFilter]);
 
     if (!isSuperAdmin) {
         return <div style={{ padding: 40, textAlign: 'center' }}>Access Denied.</div>;
     }
 
-    // Shared modal styles
-    const inputStyle = {
-        width: '100%', padding: '10px 12px', borderRadius: 8,
-        border: '1px solid var(--border)', background: 'var(--bg-card)',
-        color: 'var(--text)', fontSize: 14, fontFamily: 'inherit', boxSizing: 'border-box'
-    };
-    const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, color: 'var(--muted)', marginBottom: 6, textTransform: 'uppercase', letterSpacing: '.5px' };
-    const fieldGroup = { marginBottom: 16 };
-
     return (
         <div>
             <div className="page-header">
@@ -292,6 +132,8 @@ export default function AdminRestaurantInvoicesPage() {
                 </button>
             </div>
 
+            <InvoiceNumberingReport />
+
             <div className="ui-card" style={{ marginBottom: 20 }}>
                 <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
                     <input
@@ -331,6 +173,8 @@ export default function AdminRestaurantInvoicesPage() {
                     >
                         <option value="All">All Status</option>
                         <option value="PENDING">Pending</option>
+                        <option value="PARTIALLY_PAID">Partially Paid</option>
+                        <option value="OVERDUE">Overdue</option>
                         <option value="PAID">Paid</option>
                     </select>
                 </div>
@@ -359,7 +203,8 @@ export default function AdminRestaurantInvoicesPage() {
                             filteredInvoices.map(inv => {
                                 const v = vendors.find(x => x.id === inv.vendorId);
                                 const vName = inv.vendorName || (v ? (v.name || v.businessName) : 'Unknown Vendor');
-                                const isPending = inv.paymentStatus === 'PENDING';
+                                const receivable = receivableById[inv.id];
+                                const isOpen = receivable.paymentStatus !== 'PAID' && inv.paymentStatus !== 'VOIDED';
 
                                 return (
                                     <tr key={inv.id} className="is-row" style={{ cursor: 'pointer' }} onClick={() => navigate(`/admin/restaurant-invoices/${inv.id}`)}>
@@ -369,21 +214,33 @@ export default function AdminRestaurantInvoicesPage() {
                                         <td>{vName}</td>
                                         <td>{formatDate(inv.invoiceDate)}</td>
                                         <td style={{ fontWeight: 600, color: '#4ade80' }}>
-                                            ${Number(inv.grandTotal || 0).toFixed(2)}
+                                            ${getBalance(inv).netTotal.toFixed(2)}
+                                            {getBalance(inv).adjustmentCount > 0 && (
+                                                <div style={{ fontSize: 11, fontWeight: 400, color: 'var(--muted)' }}>
+                                                    Invoiced ${Number(inv.grandTotal || 0).toFixed(2)}
+                                                </div>
+                                            )}
+                                            {isOpen && receivable.amountPaid > 0 && (
+                                                <div style={{ fontSize: 11, fontWeight: 400, color: '#f59e0b' }}>
+                                                    Balance ${receivable.balanceDue.toFixed(2)}
+                                                </div>
+                                            )}
                                         </td>
                                         <td>
-                                            <span className={`badge ${isPending ? 'amber' : 'green'}`}>
-                                                {inv.paymentStatus}
+                                            <span className={`badge ${paymentStatusBadge(receivable.paymentStatus)}`}>
+                                                {formatPaymentStatus(receivable.paymentStatus)}
                                             </span>
+                                            {receivable.daysOverdue > 0 && (
+                                                <div style={{ fontSize: 11, color: 'var(--muted)', marginTop: 2 }}>{receivable.daysOverdue}d past due</div>
+                                            )}
                                         </td>
                                         <td style={{ textAlign: 'right' }}>
-                                            {isPending && (
+                                            {isOpen && (
                                                 <button
                                                     className="ui-btn small primary"
-                                                    onClick={(e) => handleMarkPaidClick(inv, e)}
-                                                    disabled={processingId === inv.id}
+                                                    onClick={(e) => handleRecordPaymentClick(inv, e)}
                                                 >
-                                                    {processingId === inv.id ? 'Saving...' : 'Mark Paid'}
+                                                    Record Payment
                                                 </button>
                                             )}
                                         </td>
@@ -396,172 +253,14 @@ export default function AdminRestaurantInvoicesPage() {
             </div>
 
             {/* ─── Payment Collection Modal ─── */}
-            {showPaymentModal && selectedInvoice && (
-                <div style={{
-                    position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', zIndex: 1000,
-                    display: 'flex', alignItems: 'center', justifyContent: 'center',
-                    backdropFilter: 'blur(4px)'
-                }} onClick={() => setShowPaymentModal(false)}>
-                    <div style={{
-                        background: 'var(--bg-card)', borderRadius: 16, padding: 32,
-                        width: '100%', maxWidth: 520, maxHeight: '90vh', overflowY: 'auto',
-                        border: '1px solid var(--border)',
-                        boxShadow: '0 20px 60px rgba(0,0,0,0.4)'
-                    }} onClick={e => e.stopPropagation()}>
-                        {/* Modal Header */}
-                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
-                            <div>
-                                <h3 style={{ margin: 0, fontSize: 18, fontWeight: 700 }}>💳 Record Payment</h3>
-                                <div style={{ fontSize: 13, color: 'var(--muted)', marginTop: 4 }}>
-                                    {selectedInvoice.invoiceNumber} • <span style={{ color: '#4ade80', fontWeight: 600 }}>${Number(selectedInvoice.grandTotal || 0).toFixed(2)}</span>
-                                </div>
-                            </div>
-                            <button onClick={() => setShowPaymentModal(false)} style={{
-                                background: 'none', border: 'none', color: 'var(--muted)',
-                                fontSize: 20, cursor: 'pointer', padding: 4
-                            }}>✕</button>
-                        </div>
-
-                        {/* Payment Method Selector */}
-                        <div style={fieldGroup}>
-                            <label style={labelStyle}>Payment Method *</label>
-                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
-                                {['Card Terminal', 'Cheque', 'E-Transfer', 'Cash'].map(method => (
-                                    <button
-                                        key={method}
-                                        onClick={() => { setPaymentMethod(method); setPaymentFields({}); }}
-                                        style={{
-                                            padding: '12px 16px', borderRadius: 10,
-                                            border: paymentMethod === method ? '2px solid #4dabf7' : '1px solid var(--border)',
-                                            background: paymentMethod === method ? 'rgba(77, 171, 247, 0.1)' : 'var(--bg)',
-                                            color: paymentMethod === method ? '#4dabf7' : 'var(--text)',
-                                            fontWeight: 600, fontSize: 13, cursor: 'pointer',
-                                            transition: 'all .15s ease', fontFamily: 'inherit'
-                                        }}
-                                    >
-                                        {method === 'Card Terminal' && '💳 '}
-                                        {method === 'Cheque' && '📝 '}
-                                        {method === 'E-Transfer' && '📲 '}
-                                        {method === 'Cash' && '💵 '}
-                                        {method}
-                                    </button>
-                                ))}
-                            </div>
-                        </div>
-
-                        {/* Conditional Fields */}
-                        {paymentMethod === 'Card Terminal' && (
-                            <div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Transaction # *</label>
-                                    <input type="text" placeholder="Enter transaction number" style={inputStyle}
-                                        value={paymentFields.transactionNumber || ''}
-                                        onChange={e => handlePaymentFieldChange('transactionNumber', e.target.value)} />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Collected By *</label>
-                                    <input type="text" placeholder="Name of person who collected payment" style={inputStyle}
-                                        value={paymentFields.collectedBy || ''}
-                                        onChange={e => handlePaymentFieldChange('collectedBy', e.target.value)} />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Payment Date *</label>
-                                    <input type="date" style={inputStyle}
-                                        value={paymentFields.paymentDate || ''}
-                                        onChange={e => handlePaymentFieldChange('paymentDate', e.target.value)} />
-                                </div>
-                            </div>
-                        )}
-
-                        {paymentMethod === 'Cheque' && (
-                            <div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Cheque Number *</label>
-                                    <input type="text" placeholder="Enter cheque number" style={inputStyle}
-                                        value={paymentFields.chequeNumber || ''}
-                                        onChange={e => handlePaymentFieldChange('chequeNumber', e.target.value)} />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Collected By *</label>
-                                    <input type="text" placeholder="Name of person who collected cheque" style={inputStyle}
-                                        value={paymentFields.collectedBy || ''}
-                                        onChange={e => handlePaymentFieldChange('collectedBy', e.target.value)} />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Cheque Date to Deposit *</label>
-                                    <input type="date" style={inputStyle}
-                                        value={paymentFields.chequeDepositDate || ''}
-                                        onChange={e => handlePaymentFieldChange('chequeDepositDate', e.target.value)} />
-                                </div>
-                            </div>
-                        )}
-
-                        {paymentMethod === 'E-Transfer' && (
-                            <div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Validated By *</label>
-                                    <input type="text" placeholder="Name of person who validated the e-transfer" style={inputStyle}
-                                        value={paymentFields.validatedBy || ''}
-                                        onChange={e => handlePaymentFieldChange('validatedBy', e.target.value)} />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Payment Date *</label>
-                                    <input type="date" style={inputStyle}
-                                        value={paymentFields.paymentDate || ''}
-                                        onChange={e => handlePaymentFieldChange('paymentDate', e.target.value)} />
-                                </div>
-                            </div>
-                        )}
-
-                        {paymentMethod === 'Cash' && (
-                            <div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Received By *</label>
-                                    <input type="text" placeholder="Name of person who received cash" style={inputStyle}
-                                        value={paymentFields.receivedBy || ''}
-                                        onChange={e => handlePaymentFieldChange('receivedBy', e.target.value)} />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Payment Date *</label>
-                                    <input type="date" style={inputStyle}
-                                        value={paymentFields.paymentDate || ''}
-                                        onChange={e => handlePaymentFieldChange('paymentDate', e.target.value)} />
-                                </div>
-                            </div>
-                        )}
-
-                        {/* Confirm / Cancel */}
-                        {paymentMethod && (
-                            <div style={{ display: 'flex', gap: 12, marginTop: 24 }}>
-                                <button
-                                    onClick={() => setShowPaymentModal(false)}
-                                    style={{
-                                        flex: 1, padding: '12px', borderRadius: 10,
-                                        border: '1px solid var(--border)', background: 'var(--bg)',
-                                        color: 'var(--muted)', fontWeight: 600, fontSize: 14,
-                                        cursor: 'pointer', fontFamily: 'inherit'
-                                    }}
-                                >
-                                    Cancel
-                                </button>
-                                <button
-                                    onClick={handleConfirmPayment}
-                                    disabled={processingId === selectedInvoice.id}
-                                    style={{
-                                        flex: 2, padding: '12px', borderRadius: 10,
-                                        border: 'none', background: 'linear-gradient(135deg, #4ade80, #22c55e)',
-                                        color: '#fff', fontWeight: 700, fontSize: 14,
-                                        cursor: processingId ? 'not-allowed' : 'pointer',
-                                        opacity: processingId ? 0.7 : 1, fontFamily: 'inherit',
-                                        boxShadow: '0 4px 16px rgba(74, 222, 128, 0.3)'
-                                    }}
-                                >
-                                    {processingId === selectedInvoice.id ? '⏳ Recording...' : `✅ Confirm Payment — $${Number(selectedInvoice.grandTotal || 0).toFixed(2)}`}
-                                </button>
-                            </div>
-                        )}
-                    </div>
-                </div>
+            {paymentInvoice && (
+                <RecordPaymentModal
+                    restaurantId={paymentInvoice.restaurantId}
+                    invoices={invoices.filter(inv => inv.restaurantId === paymentInvoice.restaurantId)}
+                    adjustmentsByInvoice={adjustmentsByInvoice}
+                    initialInvoiceIds={[paymentInvoice.id]}
+                    onClose={() => setPaymentInvoice(null)}
+                />
             )}
         </div>
     );
@@ -0,0 +1,415 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FiChevronDown, FiChevronRight, FiPlus, FiTrash2 } from 'react-icons/fi';
+import { toast } from 'react-toastify';
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '../../firebase';
+import {
+    subscribeToCommissionRules,
+    saveCommissionRuleVersion,
+    getVendorInvoicesSince,
+} from '../../services/financialEngine';
+import {
+    COMMISSION_RULE_SCOPES,
+    MAX_COMMISSION_TIERS,
+    getCommissionDate,
+    getRuleVersion,
+    validateRuleScope,
+    validateRuleVersion,
+    simulateCommissionChange,
+} from '../../shared/commissionRules';
+
+const ITEM_CATEGORIES = ['Spices', 'Meat', 'Produce', 'Dairy', 'Seafood', 'Grains', 'Beverages', 'Packaging', 'Cleaning', 'Other'];
+
+const SIMULATION_WEEKS = [4, 8, 12, 26];
+
+const SCOPE_COLORS = {
+    vendor_category: '#a78bfa',
+    vendor: '#38bdf8',
+    category: '#fbbf24',
+    platform: '#34d399',
+};
+
+const money = (n) => `${n < 0 ? '-' : ''}$${Math.abs(Number(n) || 0).toFixed(2)}`;
+const signedMoney = (n) => (n > 0 ? `+${money(n)}` : money(n));
+
+const inputStyle = { padding: '6px 10px', borderRadius: 6, background: 'rgba(0,0,0,0.4)', color: '#f8fafc', border: '1px solid rgba(255,255,255,0.1)', fontSize: 12, outline: 'none' };
+
+const emptyForm = () => ({
+    scope: 'vendor',
+    vendorId: '',
+    category: '',
+    name: '',
+    effectiveFrom: getCommissionDate(new Date()),
+    basePercent: '',
+    tiers: [],
+    retired: false,
+    notes: '',
+});
+
+const describeVersion = (v) => {
+    if (!v) return '—';
+    if (v.retired) return 'Retired';
+    const tiers = (v.tiers || []).map(t => `${t.percent}% from ${money(t.minMonthlyGmv)}/mo`);
+    return [`${v.basePercent}%`, ...tiers].join(' · ');
+};
+
+function ScopeBadge({ scope }) {
+    const def = COMMISSION_RULE_SCOPES.find(s => s.key === scope);
+    const color = SCOPE_COLORS[scope] || '#94a3b8';
+    return (
+        <span style={{ padding: '2px 8px', borderRadius: 10, fontSize: 11, fontWeight: 700, textTransform: 'uppercase', color, background: color + '1a' }}>{def?.label || scope}</span>
+    );
+}
+
+/** Dated versions of one rule, oldest first. */
+function VersionHistory({ rule, today }) {
+    const current = getRuleVersion(rule, today);
+    return (
+        <table className="ui-table" style={{ fontSize: 12, width: '100%' }}>
+            <thead>
+                <tr>
+                    <th>Version</th>
+                    <th>Effective From</th>
+                    <th>Rate</th>
+                    <th>Notes</th>
+                    <th>Added By</th>
+                </tr>
+            </thead>
+            <tbody>
+                {(rule.versions || []).map(v => (
+                    <tr key={v.version}>
+                        <td style={{ fontWeight: 600, color: '#e2e8f0' }}>
+                            v{v.version}
+                            {current?.version === v.version && <span style={{ marginLeft: 6, fontSize: 10, color: '#34d399' }}>IN EFFECT</span>}
+                            {v.effectiveFrom > today && <span style={{ marginLeft: 6, fontSize: 10, color: '#fbbf24' }}>SCHEDULED</span>}
+                        </td>
+                        <td>{v.effectiveFrom}</td>
+                        <td style={{ color: v.retired ? '#94a3b8' : '#cbd5e1' }}>{describeVersion(v)}</td>
+                        <td style={{ color: '#94a3b8' }}>{v.notes || '—'}</td>
+                        <td style={{ color: '#94a3b8' }}>{v.createdBy || '—'}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+/** Commission on recent invoices as charged vs. under the proposal. */
+function SimulationResult({ result, weeks, proposalIsCategory }) {
+    const rows = [
+        { label: 'GMV', value: money(result.gmv), color: '#38bdf8' },
+        { label: 'Commission Charged', value: money(result.commission), sub: `${result.takeRate}% take rate`, color: '#94a3b8' },
+        { label: 'Proposed Commission', value: money(result.proposedCommission), sub: `${result.proposedTakeRate}% take rate`, color: '#a78bfa' },
+        { label: 'Change', value: signedMoney(result.delta), color: result.delta < 0 ? '#f43f5e' : '#34d399' },
+        { label: 'Invoices Affected', value: `${result.affected.invoiceCount} / ${result.invoiceCount}`, sub: `${money(result.affected.gmv)} GMV`, color: '#fbbf24' },
+    ];
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 14 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5,1fr)', gap: 12 }}>
+                {rows.map(k => (
+                    <div key={k.label} style={{ background: k.color + '0a', border: `1px solid ${k.color}22`, borderRadius: 12, padding: 14 }}>
+                        <div style={{ fontSize: 18, fontWeight: 700, color: k.color }}>{k.value}</div>
+                        <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.3 }}>{k.label}</div>
+                        {k.sub && <div style={{ fontSize: 11, color: '#64748b', marginTop: 2 }}>{k.sub}</div>}
+                    </div>
+                ))}
+            </div>
+            <p style={{ margin: 0, fontSize: 12, color: '#94a3b8' }}>
+                Invoices since {result.fromDate} (last {weeks} weeks), repriced as if the proposal had been in effect throughout; other rules apply as they did on each invoice date.
+                {proposalIsCategory && result.uncategorizedLines > 0 && ` ${result.uncategorizedLines} line(s) on older invoices have no category and are not matched by category rules.`}
+            </p>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1.4fr', gap: 14 }}>
+                <table className="ui-table" style={{ fontSize: 12, width: '100%' }}>
+                    <thead>
+                        <tr>
+                            <th>Week Of</th>
+                            <th style={{ textAlign: 'right' }}>GMV</th>
+                            <th style={{ textAlign: 'right' }}>Charged</th>
+                            <th style={{ textAlign: 'right' }}>Proposed</th>
+                            <th style={{ textAlign: 'right' }}>Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {result.byWeek.map(w => (
+                            <tr key={w.weekStart}>
+                                <td>{w.weekStart}</td>
+                                <td style={{ textAlign: 'right' }}>{money(w.gmv)}</td>
+                                <td style={{ textAlign: 'right', color: '#94a3b8' }}>{money(w.commission)}</td>
+                                <td style={{ textAlign: 'right' }}>{money(w.proposedCommission)}</td>
+                                <td style={{ textAlign: 'right', fontWeight: 600, color: w.delta < 0 ? '#f43f5e' : w.delta > 0 ? '#34d399' : '#64748b' }}>{w.delta ? signedMoney(w.delta) : '—'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <table className="ui-table" style={{ fontSize: 12, width: '100%' }}>
+                    <thead>
+                        <tr>
+                            <th>Vendor</th>
+                            <th style={{ textAlign: 'right' }}>Invoices</th>
+                            <th style={{ textAlign: 'right' }}>GMV</th>
+                            <th style={{ textAlign: 'right' }}>Charged</th>
+                            <th style={{ textAlign: 'right' }}>Proposed</th>
+                            <th style={{ textAlign: 'right' }}>Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {result.byVendor.slice(0, 20).map(v => (
+                            <tr key={v.vendorId}>
+                                <td style={{ fontWeight: 600, color: '#e2e8f0' }}>{v.vendorName}</td>
+                                <td style={{ textAlign: 'right' }}>{v.invoiceCount}</td>
+                                <td style={{ textAlign: 'right' }}>{money(v.gmv)}</td>
+                                <td style={{ textAlign: 'right', color: '#94a3b8' }}>{money(v.commission)}</td>
+                                <td style={{ textAlign: 'right' }}>{money(v.proposedCommission)}</td>
+                                <td style={{ textAlign: 'right', fontWeight: 600, color: v.delta < 0 ? '#f43f5e' : v.delta > 0 ? '#34d399' : '#64748b' }}>{v.delta ? signedMoney(v.delta) : '—'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * CommissionRulesManager — the commission rules invoices are priced with
+ * (per vendor, per category, vendor + category, platform default), each with
+ * dated versions and optional monthly-GMV tiers. A proposed version can be
+ * simulated against the last N weeks of vendor invoices before it is saved.
+ */
+export default function CommissionRulesManager() {
+    const [rules, setRules] = useState([]);
+    const [vendors, setVendors] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [expanded, setExpanded] = useState(null);
+    const [form, setForm] = useState(emptyForm);
+    const [saving, setSaving] = useState(false);
+    const [weeks, setWeeks] = useState(8);
+    const [simulating, setSimulating] = useState(false);
+    const [simulation, setSimulation] = useState(null);
+
+    useEffect(() => {
+        const unsubscribe = subscribeToCommissionRules(
+            (list) => { setRules(list); setLoading(false); },
+            () => setLoading(false)
+        );
+        getDocs(collection(db, 'vendors'))
+            .then(snap => setVendors(Object.fromEntries(snap.docs.map(d => [d.id, d.data()]))))
+            .catch(err => console.error('[CommissionRules] Failed to load vendors:', err));
+        return unsubscribe;
+    }, []);
+
+    const today = getCommissionDate(new Date());
+    const scopeDef = COMMISSION_RULE_SCOPES.find(s => s.key === form.scope);
+    const vendorOptions = useMemo(
+        () => Object.entries(vendors).map(([id, v]) => ({ id, name: v.name || v.businessName || id })).sort((a, b) => a.name.localeCompare(b.name)),
+        [vendors]
+    );
+    const sortedRules = useMemo(() => {
+        const rank = Object.fromEntries(COMMISSION_RULE_SCOPES.map((s, i) => [s.key, i]));
+        return [...rules].sort((a, b) => rank[a.scope] - rank[b.scope] || String(a.name).localeCompare(String(b.name)));
+    }, [rules]);
+
+    const update = (patch) => { setForm(prev => ({ ...prev, ...patch })); setSimulation(null); };
+    const updateTier = (index, patch) => update({ tiers: form.tiers.map((t, i) => (i === index ? { ...t, ...patch } : t)) });
+
+    const editRule = (rule) => {
+        const current = getRuleVersion(rule, today) || [...(rule.versions || [])].pop() || {};
+        setForm({
+            ...emptyForm(),
+            scope: rule.scope,
+            vendorId: rule.vendorId || '',
+            category: rule.category || '',
+            name: rule.name || '',
+            basePercent: current.retired ? '' : String(current.basePercent ?? ''),
+            tiers: (current.tiers || []).map(t => ({ minMonthlyGmv: String(t.minMonthlyGmv), percent: String(t.percent) })),
+        });
+        setSimulation(null);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    const formError = () => validateRuleScope(form).error || validateRuleVersion(form).error;
+
+    const handleSimulate = async () => {
+        const scopeError = validateRuleScope(form).error;
+        const versionError = validateRuleVersion({ ...form, effectiveFrom: today }).error;
+        if (scopeError || versionError) {
+            toast.error(scopeError || versionError);
+            return;
+        }
+        setSimulating(true);
+        try {
+            const from = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000);
+            const fromDate = getCommissionDate(from);
+            // From the first of that month, so volume tiers see the whole month
+            const invoices = await getVendorInvoicesSince(new Date(from.getFullYear(), from.getMonth(), 1));
+            const { version } = validateRuleVersion({ ...form, effectiveFrom: today });
+            const proposal = { ...validateRuleScope(form).scope, name: form.name, ...version };
+            setSimulation({ weeks, result: simulateCommissionChange({ invoices, rules, proposal, vendors, fromDate }) });
+        } catch (err) {
+            console.error('[CommissionRules] Simulation failed:', err);
+            toast.error(`❌ ${err.message || 'Could not run the simulation'}`);
+        } finally {
+            setSimulating(false);
+        }
+    };
+
+    const handleSave = async () => {
+        const error = formError();
+        if (error) {
+            toast.error(error);
+            return;
+        }
+        const label = form.retired ? 'Retire this rule' : `Save ${describeVersion(validateRuleVersion(form).version)}`;
+        if (!window.confirm(`${label} from ${form.effectiveFrom}? Invoices generated from then on are priced with it; existing invoices keep their rate.`)) return;
+        setSaving(true);
+        try {
+            const { scope, vendorId, category } = validateRuleScope(form).scope;
+            const result = await saveCommissionRuleVersion({
+                scope, vendorId, category,
+                name: form.name,
+                version: {
+                    effectiveFrom: form.effectiveFrom,
+                    basePercent: form.basePercent,
+                    tiers: form.tiers,
+                    retired: form.retired,
+                    notes: form.notes,
+                },
+            });
+            const replaced = result.superseded.length ? ` — replaces scheduled v${result.superseded.join(', v')}` : '';
+            toast.success(`✅ Version ${result.version} effective ${result.effectiveFrom}${replaced}`);
+            setExpanded(result.ruleId);
+            setForm(emptyForm());
+            setSimulation(null);
+        } catch (err) {
+            console.error('[CommissionRules] Save failed:', err);
+            toast.error(`❌ ${err.message || 'Could not save the rule'}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+            <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, padding: 18, display: 'flex', flexDirection: 'column', gap: 12 }}>
+                <div style={{ fontSize: 14, fontWeight: 700, color: '#e2e8f0' }}>New Rule Version</div>
+                <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+                    <select style={inputStyle} value={form.scope} onChange={e => update({ scope: e.target.value })} aria-label="Scope">
+                        {COMMISSION_RULE_SCOPES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+                    </select>
+                    {scopeDef?.needsVendor && (
+                        <select style={inputStyle} value={form.vendorId} onChange={e => update({ vendorId: e.target.value })} aria-label="Vendor">
+                            <option value="">Vendor…</option>
+                            {vendorOptions.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+                        </select>
+                    )}
+                    {scopeDef?.needsCategory && (
+                        <select style={inputStyle} value={form.category} onChange={e => update({ category: e.target.value })} aria-label="Category">
+                            <option value="">Category…</option>
+                            {ITEM_CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                    )}
+                    <input style={{ ...inputStyle, width: 200 }} placeholder="Rule name (optional)" value={form.name} onChange={e => update({ name: e.target.value })} />
+                    <span style={{ fontSize: 12, color: '#94a3b8' }}>Effective</span>
+                    <input style={inputStyle} type="date" min={today} value={form.effectiveFrom} onChange={e => update({ effectiveFrom: e.target.value })} aria-label="Effective from" />
+                    <label style={{ fontSize: 12, color: '#94a3b8', display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                        <input type="checkbox" checked={form.retired} onChange={e => update({ retired: e.target.checked })} /> Retire rule
+                    </label>
+                </div>
+
+                {!form.retired && (
+                    <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+                        <span style={{ fontSize: 12, color: '#94a3b8' }}>Base rate</span>
+                        <input style={{ ...inputStyle, width: 80 }} type="number" min="0" max="100" step="0.1" placeholder="%" value={form.basePercent} onChange={e => update({ basePercent: e.target.value })} aria-label="Base rate" />
+                        {form.tiers.map((tier, i) => (
+                            <span key={i} style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: 12, color: '#94a3b8' }}>
+                                · from $
+                                <input style={{ ...inputStyle, width: 90 }} type="number" min="0" step="100" placeholder="GMV / month" value={tier.minMonthlyGmv} onChange={e => updateTier(i, { minMonthlyGmv: e.target.value })} aria-label="Tier monthly GMV" />
+                                <input style={{ ...inputStyle, width: 70 }} type="number" min="0" max="100" step="0.1" placeholder="%" value={tier.percent} onChange={e => updateTier(i, { percent: e.target.value })} aria-label="Tier rate" />
+                                <button className="ui-btn ghost mini" onClick={() => update({ tiers: form.tiers.filter((_, j) => j !== i) })} aria-label="Remove tier"><FiTrash2 /></button>
+                            </span>
+                        ))}
+                        {form.tiers.length < MAX_COMMISSION_TIERS && (
+                            <button className="ui-btn ghost mini" onClick={() => update({ tiers: [...form.tiers, { minMonthlyGmv: '', percent: '' }] })} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                                <FiPlus /> Volume tier
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+                    <input style={{ ...inputStyle, flex: 1, minWidth: 240 }} placeholder="Notes — e.g. the agreement this reflects" value={form.notes} onChange={e => update({ notes: e.target.value })} />
+                    <select style={inputStyle} value={weeks} onChange={e => { setWeeks(Number(e.target.value)); setSimulation(null); }} aria-label="Simulation window">
+                        {SIMULATION_WEEKS.map(w => <option key={w} value={w}>Last {w} weeks</option>)}
+                    </select>
+                    <button className="ui-btn ghost small" disabled={simulating} onClick={handleSimulate}>{simulating ? 'Simulating...' : '🧪 Simulate'}</button>
+                    <button className="ui-btn primary small" disabled={saving} onClick={handleSave}>{saving ? 'Saving...' : '💾 Save Version'}</button>
+                    <button className="ui-btn ghost small" onClick={() => { setForm(emptyForm()); setSimulation(null); }}>Clear</button>
+                </div>
+                <div style={{ fontSize: 12, color: '#64748b' }}>
+                    The most specific rule in effect prices each line: vendor + category, then vendor, then category, then the platform default. Lines no rule covers use the vendor's own commission %.
+                    Tiers apply once the vendor's GMV for the calendar month, including the invoice, reaches the amount. Versions that have started cannot be changed — add a later one.
+                </div>
+
+                {simulation && <SimulationResult result={simulation.result} weeks={simulation.weeks} proposalIsCategory={!!scopeDef?.needsCategory} />}
+            </div>
+
+            <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, overflow: 'hidden' }}>
+                {loading ? (
+                    <div style={{ padding: 40, textAlign: 'center', color: '#94a3b8', fontSize: 13 }}>Loading commission rules...</div>
+                ) : sortedRules.length === 0 ? (
+                    <div style={{ padding: 30, textAlign: 'center' }}>
+                        <div style={{ fontSize: 40, marginBottom: 12 }}>💵</div>
+                        <div style={{ fontSize: 15, fontWeight: 700, color: '#e2e8f0', marginBottom: 6 }}>No Commission Rules</div>
+                        <div style={{ fontSize: 13, color: '#64748b' }}>Every invoice uses its vendor's commission %. Add a rule above to price by vendor, category or volume.</div>
+                    </div>
+                ) : (
+                    <table className="ui-table" style={{ fontSize: 13, width: '100%' }}>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 28 }}></th>
+                                <th>Rule</th>
+                                <th>Scope</th>
+                                <th>In Effect Today</th>
+                                <th>Scheduled</th>
+                                <th style={{ textAlign: 'right' }}>Versions</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedRules.map(rule => {
+                                const isOpen = expanded === rule.id;
+                                const current = getRuleVersion(rule, today);
+                                const scheduled = (rule.versions || []).filter(v => v.effectiveFrom > today);
+                                return (
+                                    <React.Fragment key={rule.id}>
+                                        <tr onClick={() => setExpanded(isOpen ? null : rule.id)} style={{ cursor: 'pointer' }}>
+                                            <td style={{ color: '#94a3b8' }}>{isOpen ? <FiChevronDown /> : <FiChevronRight />}</td>
+                                            <td>
+                                                <div style={{ fontWeight: 600, color: '#e2e8f0' }}>{rule.name}</div>
+                                                <div style={{ fontSize: 11, color: '#64748b' }}>{[rule.vendorName, rule.category].filter(Boolean).join(' · ') || 'All vendors'}</div>
+                                            </td>
+                                            <td><ScopeBadge scope={rule.scope} /></td>
+                                            <td style={{ color: current ? '#cbd5e1' : '#64748b' }}>{current ? `v${current.version}: ${describeVersion(current)}` : 'Not in effect'}</td>
+                                            <td style={{ color: '#fbbf24' }}>{scheduled.map(v => `${v.effectiveFrom}: ${describeVersion(v)}`).join('; ') || '—'}</td>
+                                            <td style={{ textAlign: 'right' }}>{(rule.versions || []).length}</td>
+                                            <td style={{ textAlign: 'right' }}>
+                                                <button className="ui-btn ghost mini" onClick={e => { e.stopPropagation(); editRule(rule); }}>New Version</button>
+                                            </td>
+                                        </tr>
+                                        {isOpen && (
+                                            <tr>
+                                                <td colSpan={7} style={{ background: 'rgba(0,0,0,0.2)', padding: 12 }}>
+                                                    <VersionHistory rule={rule} today={today} />
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,334 @@
+import React, { useState, useMemo } from 'react';
+import { toast } from 'react-toastify';
+import { db, storage } from '../../firebase';
+import { doc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { createInvoiceAdjustment } from '../../services/financialEngine';
+import {
+    ADJUSTMENT_REASONS,
+    buildInvoiceAdjustment,
+    getEffectiveLines,
+    sortAdjustmentChain,
+    toNoteDocument,
+} from '../../shared/invoiceAdjustments';
+import { generateInvoicePDF } from '../../utils/generateInvoicePDF';
+import { authFetch } from '../../utils/authFetch';
+
+/**
+ * Credit/debit notes for one invoice — the applied chain with its PDFs, and
+ * (for admins) the form that issues a new note from line corrections.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice — vendor or restaurant invoice ({ id, ...data })
+ * @param {'restaurant'|'vendor'} props.side
+ * @param {Array}  props.adjustments — notes for this invoice (live)
+ * @param {boolean} props.canAdjust — may issue new notes
+ * @param {string} [props.actorName]
+ */
+export default function InvoiceAdjustmentsPanel({ invoice, side, adjustments, canAdjust, actorName }) {
+    const [showModal, setShowModal] = useState(false);
+    const [selected, setSelected] = useState({});   // index → { qty, price }
+    const [reason, setReason] = useState('quantity_correction');
+    const [notes, setNotes] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [pdfBusyId, setPdfBusyId] = useState(null);
+
+    const chain = useMemo(() => sortAdjustmentChain(adjustments), [adjustments]);
+    const commissionPercent = Number(invoice.commissionPercent ?? 10);
+    const lines = useMemo(() => getEffectiveLines(invoice, adjustments, commissionPercent), [invoice, adjustments, commissionPercent]);
+
+    const corrections = Object.entries(selected).map(([index, values]) => ({ index: Number(index), ...values }));
+    const preview = corrections.length > 0
+        ? buildInvoiceAdjustment({ invoice, adjustments, corrections, reason, notes, commissionPercent })
+        : null;
+
+    const money = (n) => `${n < 0 ? '-' : ''}$${Math.abs(Number(n) || 0).toFixed(2)}`;
+    const noteAmount = (adj) => side === 'vendor' ? adj.vendor?.payout : adj.restaurant?.total;
+
+    const formatDate = (timestamp) => {
+        if (!timestamp) return '—';
+        const d = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+        return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    };
+
+    const openModal = () => {
+        setSelected({});
+        setReason('quantity_correction');
+        setNotes('');
+        setShowModal(true);
+    };
+
+    const toggleLine = (line) => {
+        setSelected(prev => {
+            const next = { ...prev };
+            if (next[line.index]) delete next[line.index];
+            else next[line.index] = { qty: line.qty, price: line.price };
+            return next;
+        });
+    };
+
+    const setLineValue = (index, field, value) => {
+        setSelected(prev => ({ ...prev, [index]: { ...prev[index], [field]: value } }));
+    };
+
+    const handleSubmit = async () => {
+        if (!preview || preview.error) {
+            toast.error(preview?.error || 'Select at least one line to correct.');
+            return;
+        }
+        setSubmitting(true);
+        try {
+            const result = await createInvoiceAdjustment({
+                collection: side === 'vendor' ? 'vendorInvoices' : 'restaurantInvoices',
+                invoiceId: invoice.id,
+                reason,
+                corrections: corrections.map(c => ({ index: c.index, qty: Number(c.qty), price: Number(c.price) })),
+                notes,
+            });
+            toast.success(`${result.noteType === 'credit_note' ? 'Credit' : 'Debit'} note ${result.noteNumber} issued.`);
+            setShowModal(false);
+        } catch (err) {
+            console.error('Failed to issue note:', err);
+            toast.error(err.message || 'Failed to issue the note.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleNotePDF = async (adj) => {
+        const existing = adj.pdfUrls?.[side];
+        if (existing) {
+            window.open(existing, '_blank');
+            return;
+        }
+        setPdfBusyId(adj.id);
+        try {
+            let restaurantInfo = {};
+            if (invoice.restaurantId) {
+                try {
+                    const res = await authFetch(`/api/restaurant-info/${invoice.restaurantId}`);
+                    if (res.ok) restaurantInfo = await res.json();
+                } catch (fetchErr) {
+                    console.warn('Could not fetch restaurant info:', fetchErr);
+                }
+            }
+            let vendorInfo = {};
+            if (side === 'vendor' && invoice.vendorId) {
+                const vendorSnap = await getDoc(doc(db, 'vendors', invoice.vendorId));
+                if (vendorSnap.exists()) vendorInfo = vendorSnap.data();
+            }
+
+            const base64Pdf = await generateInvoicePDF(toNoteDocument(adj, invoice, side), restaurantInfo, side, vendorInfo);
+            const blob = await (await fetch(base64Pdf)).blob();
+            const storageRef = ref(storage, `invoices/notes/${adj.id}-${side}.pdf`);
+            await uploadBytes(storageRef, blob, { contentType: 'application/pdf' });
+            const downloadUrl = await getDownloadURL(storageRef);
+
+            await updateDoc(doc(db, 'invoiceAdjustments', adj.id), {
+                pdfUrls: { ...(adj.pdfUrls || {}), [side]: downloadUrl },
+                pdfGeneratedAt: serverTimestamp(),
+                pdfGeneratedBy: actorName || 'Admin',
+            });
+            window.open(downloadUrl, '_blank');
+        } catch (err) {
+            console.error('Failed to generate note PDF:', err);
+            toast.error('Failed to generate the note PDF.');
+        } finally {
+            setPdfBusyId(null);
+        }
+    };
+
+    const inputStyle = {
+        width: '100%', padding: '6px 8px', borderRadius: 6,
+        border: '1px solid var(--border)', background: 'var(--bg-card)',
+        color: 'var(--text)', fontSize: 13, fontFamily: 'inherit', boxSizing: 'border-box'
+    };
+    const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, color: 'var(--muted)', marginBottom: 6, textTransform: 'uppercase', letterSpacing: '.5px' };
+
+    return (
+        <div className="ui-card" style={{ padding: 24, marginTop: 24 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+                <h3 style={{ margin: 0 }}>Credit &amp; Debit Notes</h3>
+                {canAdjust && (
+                    <button className="ui-btn small primary" onClick={openModal}>
+                        ✏️ Issue Credit / Debit Note
+                    </button>
+                )}
+            </div>
+
+            {chain.length === 0 ? (
+                <div style={{ color: 'var(--muted)', fontSize: 13 }}>No corrections have been issued against this invoice.</div>
+            ) : (
+                <div className="ui-table-wrap">
+                    <table className="ui-table">
+                        <thead>
+                            <tr>
+                                <th>Note #</th>
+                                <th>Type</th>
+                                <th>Reason</th>
+                                <th>Lines</th>
+                                <th>Date</th>
+                                <th style={{ textAlign: 'right' }}>{side === 'vendor' ? 'Payout Change' : 'Amount'}</th>
+                                <th style={{ textAlign: 'right' }}>PDF</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {chain.map(adj => (
+                                <tr key={adj.id}>
+                                    <td style={{ fontWeight: 600, fontFamily: 'monospace' }}>{adj.noteNumber}</td>
+                                    <td>
+                                        <span className={`badge ${adj.noteType === 'credit_note' ? 'blue' : 'amber'}`}>
+                                            {adj.noteType === 'credit_note' ? 'Credit' : 'Debit'}
+                                        </span>
+                                    </td>
+                                    <td style={{ fontSize: 13 }}>
+                                        {ADJUSTMENT_REASONS[adj.reason] || adj.reason}
+                                        {adj.notes && <div style={{ fontSize: 12, color: 'var(--muted)' }}>{adj.notes}</div>}
+                                    </td>
+                                    <td style={{ fontSize: 12, color: 'var(--muted)' }}>
+                                        {(adj.lines || []).map(l => (
+                                            <div key={l.index}>
+                                                {l.itemName}: {l.fromQty !== l.toQty && `qty ${l.fromQty} → ${l.toQty}`}
+                                                {l.fromQty !== l.toQty && l.fromPrice !== l.toPrice && ', '}
+                                                {l.fromPrice !== l.toPrice && `${money(l.fromPrice)} → ${money(l.toPrice)}`}
+                                            </div>
+                                        ))}
+                                    </td>
+                                    <td>{formatDate(adj.createdAt)}</td>
+                                    <td style={{ textAlign: 'right', fontWeight: 600, color: noteAmount(adj) < 0 ? '#f43f5e' : '#4ade80' }}>
+                                        {money(noteAmount(adj))}
+                                    </td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        <button className="ui-btn small" onClick={() => handleNotePDF(adj)} disabled={pdfBusyId === adj.id}>
+                                            {pdfBusyId === adj.id ? '⏳' : adj.pdfUrls?.[side] ? '📄 View' : '📄 Generate'}
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {/* ─── Issue Note Modal ─── */}
+            {showModal && (
+                <div style={{
+                    position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', zIndex: 1000,
+                    display: 'flex', alignItems: 'center', justifyContent: 'center',
+                    backdropFilter: 'blur(4px)'
+                }} onClick={() => setShowModal(false)}>
+                    <div style={{
+                        background: 'var(--bg-card)', borderRadius: 16, padding: 32,
+                        width: '100%', maxWidth: 760, maxHeight: '90vh', overflowY: 'auto',
+                        border: '1px solid var(--border)',
+                        boxShadow: '0 20px 60px rgba(0,0,0,0.4)'
+                    }} onClick={e => e.stopPropagation()}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 20 }}>
+                            <div>
+                                <h3 style={{ margin: 0, fontSize: 18, fontWeight: 700 }}>✏️ Issue Credit / Debit Note</h3>
+                                <div style={{ fontSize: 13, color: 'var(--muted)', marginTop: 4 }}>
+                                    Against {invoice.invoiceNumber} — the invoice itself is not changed.
+                                </div>
+                            </div>
+                            <button onClick={() => setShowModal(false)} style={{
+                                background: 'none', border: 'none', color: 'var(--muted)',
+                                fontSize: 20, cursor: 'pointer', padding: 4
+                            }}>✕</button>
+                        </div>
+
+                        <div className="ui-table-wrap" style={{ marginBottom: 16 }}>
+                            <table className="ui-table">
+                                <thead>
+                                    <tr>
+                                        <th></th>
+                                        <th>Item</th>
+                                        <th>Current Qty</th>
+                                        <th>Current Price</th>
+                                        <th style={{ width: 100 }}>New Qty</th>
+                                        <th style={{ width: 110 }}>New Price</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {lines.map(line => {
+                                        const edit = selected[line.index];
+                                        return (
+                                            <tr key={line.index}>
+                                                <td>
+                                                    <input type="checkbox" checked={!!edit} onChange={() => toggleLine(line)} />
+                                                </td>
+                                                <td style={{ fontWeight: 600 }}>
+                                                    {line.itemName}
+                                                    {line.adjusted && <span style={{ fontSize: 11, color: 'var(--muted)', marginLeft: 6 }}>(adjusted)</span>}
+                                                </td>
+                                                <td>{line.qty} {line.unit}</td>
+                                                <td>{money(line.price)}</td>
+                                                <td>
+                                                    {edit && (
+                                                        <input type="number" min="0" step="any" style={inputStyle}
+                                                            value={edit.qty}
+                                                            onChange={e => setLineValue(line.index, 'qty', e.target.value)} />
+                                                    )}
+                                                </td>
+                                                <td>
+                                                    {edit && (
+                                                        <input type="number" min="0" step="0.01" style={inputStyle}
+                                                            value={edit.price}
+                                                            onChange={e => setLineValue(line.index, 'price', e.target.value)} />
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: 16, marginBottom: 16 }}>
+                            <div>
+                                <label style={labelStyle}>Reason *</label>
+                                <select className="ui-input" value={reason} onChange={e => setReason(e.target.value)} style={{ width: '100%' }}>
+                                    {Object.entries(ADJUSTMENT_REASONS).map(([key, label]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label style={labelStyle}>Notes{reason === 'other' ? ' *' : ''}</label>
+                                <input type="text" className="ui-input" value={notes} onChange={e => setNotes(e.target.value)}
+                                    placeholder="e.g. 2 cases returned damaged" style={{ width: '100%' }} />
+                            </div>
+                        </div>
+
+                        {preview && (
+                            <div style={{ padding: 12, borderRadius: 8, background: 'rgba(255,255,255,0.03)', border: '1px solid var(--border)', marginBottom: 16, fontSize: 13 }}>
+                                {preview.error ? (
+                                    <span style={{ color: '#f59e0b' }}>{preview.error}</span>
+                                ) : (
+                                    <div style={{ display: 'flex', gap: 24, flexWrap: 'wrap' }}>
+                                        <span>
+                                            <strong>{preview.adjustment.noteType === 'credit_note' ? 'Credit note' : 'Debit note'}</strong>
+                                        </span>
+                                        <span>Subtotal: {money(preview.adjustment.restaurant.subtotal)}</span>
+                                        <span>Tax: {money(preview.adjustment.restaurant.tax)}</span>
+                                        <span>Total: <strong>{money(preview.adjustment.restaurant.total)}</strong></span>
+                                        {side === 'vendor' && (
+                                            <span>Vendor payout: <strong>{money(preview.adjustment.vendor.payout)}</strong></span>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        <div style={{ display: 'flex', gap: 12 }}>
+                            <button className="ui-btn" style={{ flex: 1 }} onClick={() => setShowModal(false)}>Cancel</button>
+                            <button className="ui-btn primary" style={{ flex: 2 }} onClick={handleSubmit}
+                                disabled={submitting || !preview || !!preview.error}>
+                                {submitting ? '⏳ Issuing...' : '✅ Issue Note'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { getInvoiceNumberingReport } from '../../services/invoiceGenerationService';
+import { getFiscalYear } from '../../shared/invoiceNumbering';
+
+/**
+ * Gap report for the sequential invoice series — one row per series showing
+ * the counter, how many invoices carry a number, and any number that is
+ * missing, duplicated or outside the counter's range.
+ */
+export default function InvoiceNumberingReport() {
+    const [fiscalYear, setFiscalYear] = useState(String(getFiscalYear()));
+    const [report, setReport] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    const runReport = async () => {
+        const year = Number(fiscalYear);
+        if (!Number.isInteger(year) || year < 2000) {
+            toast.error('Enter a fiscal year, e.g. 2026.');
+            return;
+        }
+        setRunning(true);
+        try {
+            const result = await getInvoiceNumberingReport({ fiscalYear: year });
+            setReport(result);
+            if (result.gapFree) toast.success(`FY${result.fiscalYear} invoice numbering has no gaps.`);
+            else toast.warn(`FY${result.fiscalYear} invoice numbering has problems — see the report.`);
+        } catch (err) {
+            console.error('Failed to run invoice numbering report:', err);
+            toast.error('Failed to run the numbering report.');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const listNumbers = (items, max = 10) => {
+        const shown = items.slice(0, max).join(', ');
+        return items.length > max ? `${shown} … (+${items.length - max} more)` : shown;
+    };
+
+    return (
+        <div className="ui-card" style={{ marginBottom: 20 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+                <div style={{ fontWeight: 600 }}>🔢 Invoice Numbering Report</div>
+                <input
+                    className="ui-input"
+                    type="number"
+                    value={fiscalYear}
+                    onChange={e => setFiscalYear(e.target.value)}
+                    style={{ maxWidth: 110 }}
+                    aria-label="Fiscal year"
+                />
+                <button className="ui-btn small primary" onClick={runReport} disabled={running}>
+                    {running ? 'Checking...' : 'Check for Gaps'}
+                </button>
+                {report && (
+                    <span className={`badge ${report.gapFree ? 'green' : 'red'}`}>
+                        {report.gapFree ? 'Gap-free' : 'Gaps found'}
+                    </span>
+                )}
+            </div>
+
+            {report && (
+                <div className="ui-table-wrap" style={{ marginTop: 16 }}>
+                    <table className="ui-table">
+                        <thead>
+                            <tr>
+                                <th>Series</th>
+                                <th>Range</th>
+                                <th>Counter</th>
+                                <th>Invoices</th>
+                                <th>Result</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.series.map(s => (
+                                <tr key={s.series}>
+                                    <td style={{ fontWeight: 600 }}>{s.label}</td>
+                                    <td style={{ fontFamily: 'monospace', fontSize: 13 }}>
+                                        {s.firstNumber ? `${s.firstNumber} → ${s.lastInvoiceNumber}` : 'No numbers issued'}
+                                    </td>
+                                    <td>{s.lastNumber}</td>
+                                    <td>{s.invoiceCount}</td>
+                                    <td style={{ fontSize: 13 }}>
+                                        {s.gapFree ? (
+                                            <span className="badge green">No gaps</span>
+                                        ) : (
+                                            <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                                                {s.missing.length > 0 && <div>Missing #: {listNumbers(s.missing)}</div>}
+                                                {s.duplicates.length > 0 && <div>Duplicated: {listNumbers(s.duplicates.map(d => d.invoiceNumber))}</div>}
+                                                {s.beyondCounter.length > 0 && <div>Beyond counter: {listNumbers(s.beyondCounter.map(b => b.invoiceNumber))}</div>}
+                                                {s.mismatched.length > 0 && <div>Malformed: {listNumbers(s.mismatched.map(m => m.invoiceNumber || m.id))}</div>}
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -5,6 +5,7 @@ import { UserContext } from '../../contexts/UserContext';
 import { generateRestaurantId, validateRestaurant } from '../../utils/catalogUtils';
 import { migrateRestaurants } from '../../utils/migrateRestaurants';
 import { logAdminChange } from '../../utils/adminAuditLogger';
+import { normalizeLocation, normalizeTimeWindow } from '../../shared/routePlanning';
 import { toast } from 'react-toastify';
 
 const STATUS_OPTIONS = ['active', 'hold', 'inactive'];
@@ -46,6 +47,8 @@ export default function ManageRestaurantsPage() {
             phone: '', email: '', addressLine1: '', city: '', province: 'ON', postalCode: '',
             deliveryDays: [], preferredVendors: '', accountManager: '', notes: '',
             forecastEnabled: true, subscriptionPlan: 'marketplace-basic',
+            cuisineType: '', seats: '', expectedWeeklySpend: '',
+            lat: '', lng: '', windowStart: '', windowEnd: '',
         };
     }
 
@@ -82,12 +85,20 @@ export default function ManageRestaurantsPage() {
     // ---------- SAVE ----------
     const handleSave = async () => {
         const rid = form.restaurantId || generateRestaurantId(form.name);
+        const { lat, lng, windowStart, windowEnd, ...fields } = form;
+        if ((lat !== '' || lng !== '') && !normalizeLocation({ lat, lng })) { toast.warn('Enter both latitude and longitude, or neither'); return; }
+        if (windowStart && windowEnd && windowEnd < windowStart) { toast.warn('Delivery window must end after it starts'); return; }
         const docData = {
-            ...form,
+            ...fields,
             restaurantId: rid,
             code: form.code || rid.replace(/_/g, '-'),
             deliveryDays: form.deliveryDays || [],
             preferredVendors: form.preferredVendors ? form.preferredVendors.split(',').map(v => v.trim()).filter(Boolean) : [],
+            cuisineType: (form.cuisineType || '').trim(),
+            seats: Number(form.seats) > 0 ? Math.round(Number(form.seats)) : null,
+            expectedWeeklySpend: Number(form.expectedWeeklySpend) > 0 ? Number(form.expectedWeeklySpend) : null,
+            location: normalizeLocation({ lat, lng }),
+            deliveryWindow: normalizeTimeWindow({ start: windowStart, end: windowEnd }),
         };
         const { valid, errors } = validateRestaurant(docData);
         if (!valid) { toast.warn(errors[0]); return; }
@@ -118,6 +129,9 @@ export default function ManageRestaurantsPage() {
             preferredVendors: Array.isArray(item.preferredVendors) ? item.preferredVendors.join(', ') : (item.preferredVendors || ''),
             accountManager: item.accountManager || '', notes: item.notes || '',
             forecastEnabled: item.forecastEnabled !== false, subscriptionPlan: item.subscriptionPlan || 'marketplace-basic',
+            cuisineType: item.cuisineType || '', seats: item.seats ?? '', expectedWeeklySpend: item.expectedWeeklySpend ?? '',
+            lat: item.location?.lat ?? '', lng: item.location?.lng ?? '',
+            windowStart: item.deliveryWindow?.start || '', windowEnd: item.deliveryWindow?.end || '',
         });
         setEditingId(item.id);
         setShowModal(true);
@@ -316,6 +330,8 @@ export default function ManageRestaurantsPage() {
                                 ['Address', detailItem.addressLine1], ['City', detailItem.city], ['Province', detailItem.province],
                                 ['Postal Code', detailItem.postalCode], ['Account Mgr', detailItem.accountManager],
                                 ['Plan', detailItem.subscriptionPlan], ['Forecast', detailItem.forecastEnabled ? 'Enabled' : 'Disabled'],
+                                ['Cuisine', detailItem.cuisineType], ['Seats', detailItem.seats],
+                                ['Expected Weekly Spend', detailItem.expectedWeeklySpend ? `$${Number(detailItem.expectedWeeklySpend).toLocaleString()}` : ''],
                             ].map(([label, val]) => (
                                 <div key={label} style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, borderBottom: '1px solid rgba(255,255,255,0.04)', paddingBottom: 6 }}>
                                     <span style={{ color: '#94a3b8' }}>{label}</span>
@@ -376,6 +392,17 @@ export default function ManageRestaurantsPage() {
                             </div>
                         </div>
 
+                        <div style={{ marginTop: 14 }}>
+                            <label style={labelStyle}>Route Planning</label>
+                            <div style={{ fontSize: 11, color: '#64748b', marginBottom: 8 }}>Coordinates place this restaurant on planned delivery routes; the window is when it can receive.</div>
+                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 12 }}>
+                                <div><label style={labelStyle}>Latitude</label><input type="number" step="any" value={form.lat} onChange={e => setForm(f => ({ ...f, lat: e.target.value }))} style={inputStyle} placeholder="43.6532" /></div>
+                                <div><label style={labelStyle}>Longitude</label><input type="number" step="any" value={form.lng} onChange={e => setForm(f => ({ ...f, lng: e.target.value }))} style={inputStyle} placeholder="-79.3832" /></div>
+                                <div><label style={labelStyle}>Window From</label><input type="time" value={form.windowStart} onChange={e => setForm(f => ({ ...f, windowStart: e.target.value }))} style={inputStyle} /></div>
+                                <div><label style={labelStyle}>Window To</label><input type="time" value={form.windowEnd} onChange={e => setForm(f => ({ ...f, windowEnd: e.target.value }))} style={inputStyle} /></div>
+                            </div>
+                        </div>
+
                         <div style={{ marginTop: 14 }}><label style={labelStyle}>Preferred Vendors (comma-separated)</label>
                             <input value={form.preferredVendors} onChange={e => setForm(f => ({ ...f, preferredVendors: e.target.value }))} style={inputStyle} placeholder="ON Thyme, Fresh Direct" /></div>
                         <div style={{ marginTop: 14 }}><label style={labelStyle}>Notes</label>
@@ -388,6 +415,16 @@ export default function ManageRestaurantsPage() {
                             </div>
                         </div>
 
+                        <div style={{ marginTop: 14 }}>
+                            <label style={labelStyle}>Forecast Profile</label>
+                            <div style={{ fontSize: 11, color: '#64748b', marginBottom: 8 }}>Until this restaurant has its own order history, suggestions are seeded from the most similar restaurants by cuisine, seats and spend.</div>
+                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+                                <div><label style={labelStyle}>Cuisine Type</label><input value={form.cuisineType} onChange={e => setForm(f => ({ ...f, cuisineType: e.target.value }))} style={inputStyle} placeholder="e.g. Kerala" /></div>
+                                <div><label style={labelStyle}>Seats</label><input type="number" min="0" value={form.seats} onChange={e => setForm(f => ({ ...f, seats: e.target.value }))} style={inputStyle} placeholder="40" /></div>
+                                <div><label style={labelStyle}>Expected Weekly Spend ($)</label><input type="number" min="0" value={form.expectedWeeklySpend} onChange={e => setForm(f => ({ ...f, expectedWeeklySpend: e.target.value }))} style={inputStyle} placeholder="1500" /></div>
+                            </div>
+                        </div>
+
                         <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 10, marginTop: 20, paddingTop: 14, borderTop: '1px solid rgba(255,255,255,0.08)' }}>
                             <button onClick={() => setShowModal(false)} style={cancelBtnStyle}>Cancel</button>
                             <button onClick={handleSave} style={saveBtnStyle}>{editingId ? '💾 Update' : '💾 Create'}</button>
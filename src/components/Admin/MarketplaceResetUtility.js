@@ -7,6 +7,8 @@
  * Phase 1 — Dry run:  counts every clearable document.
  * Phase 2 — Preview:  show exact counts, protected items, confirm gate.
  * Phase 3 — Execute:  batched delete (top-level + vendors + deep vendor subcollections).
+ *                     Collections firestore.rules locks (`server: true`) are counted
+ *                     and cleared by the resetMarketplaceCollections Cloud Function.
  * Phase 4 — Validate: post-reset check that all UI data sources are empty.
  * Phase 5 — Audit:    write final reset log to adminChangeLogs.
  *
@@ -21,7 +23,8 @@ import {
     collection, getDocs, writeBatch, doc, addDoc, deleteDoc,
     Timestamp, query, limit, startAfter,
 } from 'firebase/firestore';
-import { db } from '../../firebase';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { db, app } from '../../firebase';
 import { UserContext } from '../../contexts/UserContext';
 import { toast } from 'react-toastify';
 
@@ -31,17 +34,22 @@ import { toast } from 'react-toastify';
 
 const TOP_LEVEL_COLLECTIONS = [
     // ── Orders & Fulfillment ──────────────────────────────────────────────
-    { id: 'marketplaceOrders',          label: 'Marketplace Orders',           group: 'Orders & Fulfillment' },
+    { id: 'marketplaceOrders',          label: 'Marketplace Orders',           group: 'Orders & Fulfillment', server: true },
     { id: 'submittedOrders',            label: 'Submitted Orders',             group: 'Orders & Fulfillment' },
-    { id: 'vendorDispatches',           label: 'Vendor Dispatches',            group: 'Orders & Fulfillment' },
+    { id: 'vendorDispatches',           label: 'Vendor Dispatches',            group: 'Orders & Fulfillment', server: true },
     { id: 'vendorDispatchRoutes',       label: 'Vendor Dispatch Routes',       group: 'Orders & Fulfillment' },
+    { id: 'warehousePicks',             label: 'Warehouse Picks',              group: 'Orders & Fulfillment', server: true },
     // ── Finance ───────────────────────────────────────────────────────────
-    { id: 'vendorInvoices',             label: 'Vendor Invoices',              group: 'Finance' },
-    { id: 'restaurantInvoices',         label: 'Restaurant Invoices',          group: 'Finance' },
-    { id: 'RestaurantPaymentHistory',   label: 'Restaurant Payment History',   group: 'Finance' },
-    { id: 'invoiceAdjustments',         label: 'Invoice Adjustments',          group: 'Finance' },
+    { id: 'vendorInvoices',             label: 'Vendor Invoices',              group: 'Finance', server: true },
+    { id: 'restaurantInvoices',         label: 'Restaurant Invoices',          group: 'Finance', server: true },
+    { id: 'invoiceCounters',            label: 'Invoice Number Counters',      group: 'Finance', server: true },
+    { id: 'RestaurantPaymentHistory',   label: 'Restaurant Payment History',   group: 'Finance', server: true },
+    { id: 'invoiceAdjustments',         label: 'Invoice Adjustments',          group: 'Finance', server: true },
     { id: 'payouts',                    label: 'Payouts',                      group: 'Finance' },
-    { id: 'reconciliationReports',      label: 'Reconciliation Reports',       group: 'Finance' },
+    { id: 'payoutBatches',              label: 'Payout Batches',               group: 'Finance', server: true },
+    { id: 'vendorPayoutAccounts',       label: 'Vendor Payout Accounts',       group: 'Finance', server: true },
+    { id: 'commissionVolumes',          label: 'Commission Volumes',           group: 'Finance', server: true },
+    { id: 'reconciliationReports',      label: 'Reconciliation Reports',       group: 'Finance', server: true },
     { id: 'financeDisputes',            label: 'Finance Disputes',             group: 'Finance' },
     // ── Issues / Disputes ─────────────────────────────────────────────────
     { id: 'issuesDisputes',             label: 'Issues & Disputes',            group: 'Issues' },
@@ -84,6 +92,9 @@ const TOP_LEVEL_COLLECTIONS = [
     { id: 'containerPredictionHistory', label: 'Container Prediction History', group: 'Legacy' },
 ];
 
+/** Collections cleared by the resetMarketplaceCollections Cloud Function. */
+const SERVER_COLLECTIONS = TOP_LEVEL_COLLECTIONS.filter(c => c.server).map(c => c.id);
+
 /** Per-item LEVEL-2 subcollections under vendors/{id}/items/{itemId}. */
 const VENDOR_ITEM_SUBS = ['history', 'auditLog'];
 
@@ -126,6 +137,13 @@ async function withRetry(fn, retries = 3) {
     }
 }
 
+/** Count (dryRun) or clear collections that only the Admin SDK may delete. */
+async function resetOnServer(collections, dryRun = false) {
+    const reset = httpsCallable(getFunctions(app), 'resetMarketplaceCollections');
+    const result = await reset({ collections, dryRun });
+    return Object.fromEntries(result.data.results.map(r => [r.id, r]));
+}
+
 async function countColl(collPath) {
     let count = 0, lastDoc = null;
     while (true) {
@@ -219,9 +237,10 @@ export default function MarketplaceResetUtility() {
         try {
             const byGroup = {};
             let topLevelTotal = 0;
+            const serverCounts = await resetOnServer(SERVER_COLLECTIONS, true);
 
             for (const c of TOP_LEVEL_COLLECTIONS) {
-                const count = await countColl(c.id).catch(() => 0);
+                const count = c.server ? serverCounts[c.id].count : await countColl(c.id).catch(() => 0);
                 if (!byGroup[c.group]) byGroup[c.group] = [];
                 byGroup[c.group].push({ id: c.id, label: c.label, count });
                 topLevelTotal += count;
@@ -293,7 +312,7 @@ export default function MarketplaceResetUtility() {
                     continue;
                 }
                 addLog(`🗑️  Deleting ${c.id} (${entry.count} docs)…`, 'warn');
-                const n = await deleteColl(c.id);
+                const n = c.server ? (await resetOnServer([c.id]))[c.id].deleted : await deleteColl(c.id);
                 totalDeleted += n;
                 deleteSummary.push({ key: c.id, deleted: n });
                 addLog(`   ✅ ${c.id} — ${n} deleted`, 'success');
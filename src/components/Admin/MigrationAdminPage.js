@@ -3,11 +3,12 @@ import { db } from '../../firebase';
 import { collection, getDocs, doc, updateDoc, deleteDoc, serverTimestamp, query, orderBy, limit } from 'firebase/firestore';
 import { migrateRestaurants } from '../../utils/migrateRestaurants';
 import { migrateCatalogItems } from '../../utils/migrateCatalogItems';
+import { migrateCorrectionItemIds } from '../../utils/migrateCorrectionItemIds';
 import { toast } from 'react-toastify';
 
 export default function MigrationAdminPage() {
     const [activeTab, setActiveTab] = useState('overview');
-    const [migrating, setMigrating] = useState(null); // 'restaurants' | 'catalog' | null
+    const [migrating, setMigrating] = useState(null); // 'restaurants' | 'catalog' | 'corrections' | null
     const [progressLog, setProgressLog] = useState([]);
     const [migrationResult, setMigrationResult] = useState(null);
 
@@ -60,7 +61,9 @@ export default function MigrationAdminPage() {
         setProgressLog([]);
         setMigrationResult(null);
         try {
-            const fn = type === 'restaurants' ? migrateRestaurants : migrateCatalogItems;
+            const fn = type === 'restaurants' ? migrateRestaurants
+                : type === 'corrections' ? migrateCorrectionItemIds
+                : migrateCatalogItems;
             const result = await fn((msg) => setProgressLog(prev => [...prev, msg]));
             setMigrationResult(result);
             toast.success(`${type} migration complete!`);
@@ -193,6 +196,23 @@ export default function MigrationAdminPage() {
                         </div>
                     </div>
 
+                    {/* Correction Re-key */}
+                    <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.07)', borderRadius: 12, padding: 22 }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+                            <div>
+                                <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700 }}>🧠 Correction Item Re-key</h3>
+                                <p style={{ margin: '4px 0 0', fontSize: 12, color: '#94a3b8' }}>Moves forecast corrections from name slugs → catalog item IDs (run after Catalog Backfill)</p>
+                            </div>
+                            <button onClick={() => handleMigrate('corrections')} disabled={!!migrating}
+                                style={{ padding: '10px 20px', borderRadius: 8, background: migrating === 'corrections' ? 'rgba(56,189,248,0.2)' : '#10b981', color: '#fff', border: 'none', cursor: migrating ? 'not-allowed' : 'pointer', fontSize: 13, fontWeight: 600, opacity: migrating && migrating !== 'corrections' ? 0.5 : 1 }}>
+                                {migrating === 'corrections' ? '⏳ Running...' : '▶ Run Correction Re-key'}
+                            </button>
+                        </div>
+                        <div style={{ fontSize: 12, color: '#64748b' }}>
+                            Sources: <code>catalogItems</code>, <code>correctionEntries</code> → Target: <code>correctionEntries</code> (old ID kept in <code>legacyItemId</code>)
+                        </div>
+                    </div>
+
                     {/* Live Progress */}
                     {progressLog.length > 0 && (
                         <div style={{ background: 'rgba(0,0,0,0.3)', border: '1px solid rgba(255,255,255,0.06)', borderRadius: 10, padding: 16, maxHeight: 300, overflowY: 'auto' }}>
@@ -296,8 +316,8 @@ export default function MigrationAdminPage() {
                                     <div key={log.id} style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.07)', borderRadius: 10, padding: 18 }}>
                                         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
                                             <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-                                                <span style={{ fontSize: 11, fontWeight: 700, padding: '2px 8px', borderRadius: 6, background: log.type === 'restaurantsBackfill' ? 'rgba(16,185,129,0.1)' : 'rgba(56,189,248,0.1)', color: log.type === 'restaurantsBackfill' ? '#10b981' : '#38bdf8' }}>
-                                                    {log.type === 'restaurantsBackfill' ? '🏪 Restaurants' : '📦 Catalog Items'}
+                                                <span style={{ fontSize: 11, fontWeight: 700, padding: '2px 8px', borderRadius: 6, background: log.type === 'restaurantsBackfill' ? 'rgba(16,185,129,0.1)' : log.type === 'correctionItemRekey' ? 'rgba(167,139,250,0.1)' : 'rgba(56,189,248,0.1)', color: log.type === 'restaurantsBackfill' ? '#10b981' : log.type === 'correctionItemRekey' ? '#a78bfa' : '#38bdf8' }}>
+                                                    {log.type === 'restaurantsBackfill' ? '🏪 Restaurants' : log.type === 'correctionItemRekey' ? '🧠 Correction Re-key' : '📦 Catalog Items'}
                                                 </span>
                                                 <span style={{ fontSize: 11, fontWeight: 700, color: isSuccess ? '#10b981' : '#fbbf24' }}>● {log.status}</span>
                                             </div>
@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { FiRefreshCw, FiChevronDown, FiChevronRight, FiMessageSquare } from 'react-icons/fi';
+import { toast } from 'react-toastify';
+import { UserContext } from '../../contexts/UserContext';
+import {
+    runReconciliation,
+    subscribeToReconciliationReports,
+    explainReconciliationDiscrepancy,
+} from '../../services/financialEngine';
+import { getPreviousWeek, getWeekStart } from '../../shared/weeklyReconciliation';
+
+const STATUS_STYLES = {
+    balanced: { label: 'Balanced', color: '#34d399' },
+    explained: { label: 'Explained', color: '#38bdf8' },
+    flagged: { label: 'Flagged', color: '#f43f5e' },
+    // Reports written before the scheduled job
+    clean: { label: 'Balanced', color: '#34d399' },
+};
+
+const money = (n) => (n === null || n === undefined ? '—' : `${n < 0 ? '-' : ''}$${Math.abs(Number(n)).toFixed(2)}`);
+
+const entityLink = (d) => {
+    if (d.entityType === 'dispatch') return `/dispatch-requests/${d.entityId}`;
+    if (d.entityType === 'invoice' && d.invoiceId) {
+        return d.invoiceCollection === 'restaurantInvoices' ? `/admin/restaurant-invoices/${d.invoiceId}` : `/admin/invoices/${d.invoiceId}`;
+    }
+    return null;
+};
+
+const inputStyle = { padding: '6px 10px', borderRadius: 6, background: 'rgba(0,0,0,0.4)', color: '#f8fafc', border: '1px solid rgba(255,255,255,0.1)', fontSize: 12, outline: 'none' };
+
+function StatusBadge({ status }) {
+    const s = STATUS_STYLES[status] || { label: status || '—', color: '#94a3b8' };
+    return (
+        <span style={{ padding: '2px 8px', borderRadius: 10, fontSize: 11, fontWeight: 700, textTransform: 'uppercase', color: s.color, background: s.color + '1a' }}>{s.label}</span>
+    );
+}
+
+function DiscrepancyTable({ report, busyId, onExplain }) {
+    const discrepancies = report.discrepancies || [];
+    if (discrepancies.length === 0) {
+        return <div style={{ padding: 16, fontSize: 13, color: '#64748b' }}>Every invoice, order and dispatch for this week reconciles.</div>;
+    }
+    return (
+        <table className="ui-table" style={{ fontSize: 12, width: '100%' }}>
+            <thead>
+                <tr>
+                    <th>Check</th>
+                    <th>Detail</th>
+                    <th>Vendor</th>
+                    <th style={{ textAlign: 'right' }}>Expected</th>
+                    <th style={{ textAlign: 'right' }}>Actual</th>
+                    <th style={{ textAlign: 'right' }}>Difference</th>
+                    <th>Review</th>
+                </tr>
+            </thead>
+            <tbody>
+                {discrepancies.map((d, i) => {
+                    const link = entityLink(d);
+                    const explained = d.status === 'explained';
+                    return (
+                        <tr key={d.id || i} style={{ opacity: explained ? 0.7 : 1 }}>
+                            <td style={{ fontWeight: 600, color: '#e2e8f0', whiteSpace: 'nowrap' }}>{d.label || d.type}</td>
+                            <td>
+                                <div style={{ color: '#cbd5e1' }}>{d.message}</div>
+                                {link ? (
+                                    <a href={link} style={{ fontSize: 11, color: '#38bdf8' }}>
+                                        {d.entityType === 'dispatch' ? 'Dispatch' : 'Invoice'} {d.invoiceNumber || d.entityId} →
+                                    </a>
+                                ) : d.orderId && <div style={{ fontSize: 11, color: '#64748b' }}>Order {d.orderId}</div>}
+                            </td>
+                            <td style={{ color: '#94a3b8' }}>{d.vendorName || '—'}</td>
+                            <td style={{ textAlign: 'right' }}>{money(d.expected)}</td>
+                            <td style={{ textAlign: 'right' }}>{money(d.actual)}</td>
+                            <td style={{ textAlign: 'right', fontWeight: 600, color: d.difference ? '#f43f5e' : '#94a3b8' }}>{money(d.difference)}</td>
+                            <td style={{ minWidth: 180 }}>
+                                {explained ? (
+                                    <div>
+                                        <div style={{ color: '#38bdf8', fontWeight: 600 }}>Explained</div>
+                                        <div style={{ color: '#cbd5e1' }}>{d.explanation}</div>
+                                        <div style={{ fontSize: 11, color: '#64748b' }}>
+                                            {d.explainedBy}{d.explainedAt ? ` · ${new Date(d.explainedAt).toLocaleDateString('en-CA', { month: 'short', day: 'numeric' })}` : ''}
+                                        </div>
+                                    </div>
+                                ) : d.id ? (
+                                    <button className="ui-btn ghost mini" disabled={busyId === d.id} onClick={() => onExplain(report, d)} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                                        <FiMessageSquare /> {busyId === d.id ? 'Saving...' : 'Explain'}
+                                    </button>
+                                ) : <span style={{ color: '#64748b' }}>Re-run the week to review</span>}
+                            </td>
+                        </tr>
+                    );
+                })}
+            </tbody>
+        </table>
+    );
+}
+
+/**
+ * ReconciliationDashboard — weekly reconciliation reports written every Monday
+ * by functions/reconciliation.js. Shows which weeks balanced, drills into the
+ * discrepancies of a week, and lets finance mark each one explained.
+ */
+export default function ReconciliationDashboard() {
+    const { displayName } = useContext(UserContext);
+    const [reports, setReports] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [weekStart, setWeekStart] = useState(getPreviousWeek().weekStart);
+    const [running, setRunning] = useState(false);
+    const [expanded, setExpanded] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        const unsubscribe = subscribeToReconciliationReports(
+            (list) => { setReports(list); setLoading(false); },
+            () => setLoading(false)
+        );
+        return unsubscribe;
+    }, []);
+
+    const handleRun = async () => {
+        if (!weekStart) return;
+        const monday = getWeekStart(weekStart);
+        setRunning(true);
+        try {
+            const summary = await runReconciliation(monday, displayName);
+            setExpanded(summary.weekStart);
+            if (summary.status === 'flagged') toast.warn(`⚠️ Week of ${summary.weekStart}: ${summary.openCount} open discrepancies`);
+            else toast.success(`✅ Week of ${summary.weekStart} reconciled — ${summary.invoiceCount} invoices`);
+        } catch (err) {
+            console.error('[Reconciliation] Run failed:', err);
+            toast.error(`❌ Reconciliation failed: ${err.message || 'Unknown error'}`);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const handleExplain = async (report, discrepancy) => {
+        const note = window.prompt(`Explain "${discrepancy.label}" (${money(discrepancy.difference)}):`, '');
+        if (note === null) return;
+        if (!note.trim()) {
+            toast.error('An explanation note is required.');
+            return;
+        }
+        setBusyId(discrepancy.id);
+        try {
+            await explainReconciliationDiscrepancy(report.weekStart, discrepancy.id, note.trim(), displayName);
+        } catch (err) {
+            console.error('[Reconciliation] Explain failed:', err);
+            toast.error(`❌ ${err.message || 'Could not save the explanation'}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const flaggedWeeks = reports.filter(r => r.status === 'flagged').length;
+    const openDiscrepancies = reports.reduce((s, r) => s + (r.openCount ?? 0), 0);
+    const latest = reports[0];
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4,1fr)', gap: 14 }}>
+                {[
+                    { label: 'Weeks Reconciled', value: reports.length, color: '#38bdf8', icon: '📅' },
+                    { label: 'Flagged Weeks', value: flaggedWeeks, color: flaggedWeeks > 0 ? '#f43f5e' : '#10b981', icon: '🚩' },
+                    { label: 'Open Discrepancies', value: openDiscrepancies, color: openDiscrepancies > 0 ? '#f59e0b' : '#10b981', icon: '🔍' },
+                    { label: 'Latest Week', value: latest ? (STATUS_STYLES[latest.status]?.label || latest.status) : '—', color: STATUS_STYLES[latest?.status]?.color || '#94a3b8', icon: '🧮' },
+                ].map(k => (
+                    <div key={k.label} style={{ background: k.color + '0a', border: `1px solid ${k.color}22`, borderRadius: 12, padding: 20 }}>
+                        <div style={{ fontSize: 20, marginBottom: 6 }}>{k.icon}</div>
+                        <div style={{ fontSize: 26, fontWeight: 700, color: k.color }}>{k.value}</div>
+                        <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.3 }}>{k.label}</div>
+                    </div>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
+                <p style={{ margin: 0, fontSize: 13, color: '#94a3b8' }}>
+                    Runs every Monday for the previous week. Each invoice is checked against its order and its pair, and each vendor dispatch's commission against the vendor's invoices — net of credit/debit notes.
+                </p>
+                <div style={{ display: 'flex', gap: 8, flexShrink: 0, alignItems: 'center' }}>
+                    <input style={inputStyle} type="date" value={weekStart} onChange={e => setWeekStart(e.target.value)} aria-label="Week" />
+                    <button className="ui-btn primary small" onClick={handleRun} disabled={running || !weekStart} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                        <FiRefreshCw style={{ animation: running ? 'spin 1s linear infinite' : 'none' }} />
+                        {running ? 'Reconciling...' : 'Run Week'}
+                    </button>
+                </div>
+            </div>
+
+            <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, overflow: 'hidden' }}>
+                {loading ? (
+                    <div style={{ padding: 40, textAlign: 'center', color: '#94a3b8', fontSize: 13 }}>Loading reports...</div>
+                ) : reports.length === 0 ? (
+                    <div style={{ padding: 30, textAlign: 'center' }}>
+                        <div style={{ fontSize: 40, marginBottom: 12 }}>🧮</div>
+                        <div style={{ fontSize: 15, fontWeight: 700, color: '#e2e8f0', marginBottom: 6 }}>No Reconciliation Reports Yet</div>
+                        <div style={{ fontSize: 13, color: '#64748b' }}>The first report is written next Monday, or run a week now.</div>
+                    </div>
+                ) : (
+                    <table className="ui-table" style={{ fontSize: 13, width: '100%' }}>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 28 }}></th>
+                                <th>Week</th>
+                                <th>Status</th>
+                                <th style={{ textAlign: 'right' }}>Invoices</th>
+                                <th style={{ textAlign: 'right' }}>Billed</th>
+                                <th style={{ textAlign: 'right' }}>Vendor Payout</th>
+                                <th style={{ textAlign: 'right' }}>Commission</th>
+                                <th style={{ textAlign: 'right' }}>Tax</th>
+                                <th style={{ textAlign: 'right' }}>Difference</th>
+                                <th style={{ textAlign: 'right' }}>Discrepancies</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {reports.map(r => {
+                                const isOpen = expanded === r.weekStart;
+                                return (
+                                    <React.Fragment key={r.id}>
+                                        <tr onClick={() => setExpanded(isOpen ? null : r.weekStart)} style={{ cursor: 'pointer' }}>
+                                            <td style={{ color: '#94a3b8' }}>{isOpen ? <FiChevronDown /> : <FiChevronRight />}</td>
+                                            <td>
+                                                <div style={{ fontWeight: 600, color: '#e2e8f0' }}>{r.weekStart} → {r.weekEnd || '—'}</div>
+                                                {r.runAt && <div style={{ fontSize: 11, color: '#64748b' }}>Run {new Date(r.runAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })} by {r.runBy || 'schedule'}</div>}
+                                            </td>
+                                            <td><StatusBadge status={r.status} /></td>
+                                            <td style={{ textAlign: 'right' }}>{r.invoiceCount ?? 0}</td>
+                                            <td style={{ textAlign: 'right' }}>{money(r.totalBilled)}</td>
+                                            <td style={{ textAlign: 'right' }}>{money(r.totalVendorPayout)}</td>
+                                            <td style={{ textAlign: 'right' }}>{money(r.totalCommission)}</td>
+                                            <td style={{ textAlign: 'right' }}>{money(r.totalTax)}</td>
+                                            <td style={{ textAlign: 'right', color: r.isBalanced ? '#94a3b8' : '#f43f5e', fontWeight: 600 }}>{money(r.globalDifference)}</td>
+                                            <td style={{ textAlign: 'right' }}>
+                                                {r.openCount > 0 && <span style={{ color: '#f59e0b', fontWeight: 700 }}>{r.openCount} open</span>}
+                                                {r.openCount > 0 && r.discrepancyCount > r.openCount && ' · '}
+                                                {(r.discrepancyCount ?? 0) > (r.openCount ?? 0) && <span style={{ color: '#38bdf8' }}>{r.discrepancyCount - (r.openCount ?? 0)} explained</span>}
+                                                {!r.discrepancyCount && <span style={{ color: '#64748b' }}>None</span>}
+                                            </td>
+                                        </tr>
+                                        {isOpen && (
+                                            <tr>
+                                                <td colSpan={10} style={{ background: 'rgba(0,0,0,0.2)', padding: 12 }}>
+                                                    <DiscrepancyTable report={r} busyId={busyId} onExplain={handleExplain} />
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
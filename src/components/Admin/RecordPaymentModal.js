@@ -0,0 +1,280 @@
+import React, { useState, useMemo } from 'react';
+import { toast } from 'react-toastify';
+import { recordRestaurantPayment } from '../../services/financialEngine';
+import { PAYMENT_METHODS, summarizeReceivable, allocatePayment, validatePaymentDetails } from '../../shared/receivables';
+
+const METHOD_ICONS = { 'Card Terminal': '💳', 'Cheque': '📝', 'E-Transfer': '📲', 'Cash': '💵' };
+
+// [label, placeholder, input type] per payment detail
+const DETAIL_FIELDS = {
+    transactionNumber: ['Transaction #', 'Enter transaction number', 'text'],
+    chequeNumber: ['Cheque Number', 'Enter cheque number', 'text'],
+    collectedBy: ['Collected By', 'Name of person who collected payment', 'text'],
+    validatedBy: ['Validated By', 'Name of person who validated the e-transfer', 'text'],
+    receivedBy: ['Received By', 'Name of person who received cash', 'text'],
+    paymentDate: ['Payment Date', '', 'date'],
+    chequeDepositDate: ['Cheque Date to Deposit', '', 'date'],
+};
+
+/** Badge colour for a receivable status. */
+export const paymentStatusBadge = (status) => ({
+    PAID: 'green',
+    OVERDUE: 'red',
+    PARTIALLY_PAID: 'amber',
+    PENDING: 'amber',
+}[status] || 'gray');
+
+/** "PARTIALLY_PAID" → "PARTIALLY PAID" */
+export const formatPaymentStatus = (status) => String(status || '').replace(/_/g, ' ');
+
+const inputStyle = {
+    width: '100%', padding: '10px 12px', borderRadius: 8,
+    border: '1px solid var(--border)', background: 'var(--bg-card)',
+    color: 'var(--text)', fontSize: 14, fontFamily: 'inherit', boxSizing: 'border-box'
+};
+const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, color: 'var(--muted)', marginBottom: 6, textTransform: 'uppercase', letterSpacing: '.5px' };
+const fieldGroup = { marginBottom: 16 };
+
+/**
+ * Record one payment from a restaurant against one or more of its open
+ * invoices. The amount is applied oldest due first unless the admin splits
+ * it by hand; the server re-checks every allocation (functions/receivables.js).
+ *
+ * @param {string}   restaurantId
+ * @param {Array}    invoices — the restaurant's invoices (open ones are offered)
+ * @param {Object}   adjustmentsByInvoice — notes keyed by restaurant invoice ID
+ * @param {string[]} [initialInvoiceIds] — invoices ticked when the modal opens
+ */
+export default function RecordPaymentModal({ restaurantId, invoices = [], adjustmentsByInvoice = {}, initialInvoiceIds = [], onClose, onRecorded }) {
+
+    const receivables = useMemo(() => invoices
+        .filter(inv => inv.paymentStatus !== 'VOIDED')
+        .map(inv => summarizeReceivable(inv, adjustmentsByInvoice[inv.id]))
+        .filter(r => r.balanceDue > 0)
+        .sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate))),
+    [invoices, adjustmentsByInvoice]);
+
+    const [selected, setSelected] = useState(() => {
+        const ids = initialInvoiceIds.length ? initialInvoiceIds : receivables.map(r => r.id);
+        return receivables.filter(r => ids.includes(r.id)).map(r => r.id);
+    });
+    const [amount, setAmount] = useState(() => receivables
+        .filter(r => selected.includes(r.id))
+        .reduce((s, r) => s + r.balanceDue, 0)
+        .toFixed(2));
+    const [manual, setManual] = useState(false);
+    const [manualAmounts, setManualAmounts] = useState({});
+    const [paymentMethod, setPaymentMethod] = useState('');
+    const [paymentFields, setPaymentFields] = useState({});
+    const [notes, setNotes] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const selectedReceivables = receivables.filter(r => selected.includes(r.id));
+    const manualTotal = selectedReceivables.reduce((s, r) => s + (Number(manualAmounts[r.id]) || 0), 0);
+    const total = manual ? Math.round(manualTotal * 100) / 100 : Number(amount);
+
+    const preview = manual
+        ? allocatePayment({
+            amount: total,
+            receivables: selectedReceivables,
+            allocations: selectedReceivables
+                .filter(r => Number(manualAmounts[r.id]) > 0)
+                .map(r => ({ invoiceId: r.id, amount: Number(manualAmounts[r.id]) })),
+        })
+        : allocatePayment({ amount: total, receivables: selectedReceivables });
+    const appliedById = Object.fromEntries(preview.allocations.map(a => [a.invoiceId, a.amount]));
+
+    const toggleInvoice = (id) => {
+        setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    const handleConfirm = async () => {
+        const detailsError = validatePaymentDetails(paymentMethod, paymentFields);
+        if (detailsError) { toast.error(detailsError); return; }
+        if (!selectedReceivables.length) { toast.error('Select at least one invoice.'); return; }
+        if (!preview.valid) { toast.error(preview.error); return; }
+
+        setSaving(true);
+        try {
+            const result = await recordRestaurantPayment({
+                restaurantId,
+                amount: total,
+                paymentMethod,
+                details: paymentFields,
+                ...(manual
+                    ? { allocations: preview.allocations.map(a => ({ invoiceId: a.invoiceId, amount: a.amount })) }
+                    : { invoiceIds: selected }),
+                notes,
+            });
+            const paidCount = result.invoices.filter(i => i.paymentStatus === 'PAID').length;
+            toast.success(`Payment of $${result.amount.toFixed(2)} applied to ${result.allocations.length} invoice(s)${paidCount ? ` — ${paidCount} now paid` : ''}.`);
+            if (onRecorded) onRecorded(result);
+            onClose();
+        } catch (err) {
+            console.error('Failed to record payment:', err);
+            toast.error(err.message || 'Failed to record payment.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div style={{
+            position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', zIndex: 1000,
+            display: 'flex', alignItems: 'center', justifyContent: 'center',
+            backdropFilter: 'blur(4px)'
+        }} onClick={onClose}>
+            <div style={{
+                background: 'var(--bg-card)', borderRadius: 16, padding: 32,
+                width: '100%', maxWidth: 600, maxHeight: '90vh', overflowY: 'auto',
+                border: '1px solid var(--border)',
+                boxShadow: '0 20px 60px rgba(0,0,0,0.4)'
+            }} onClick={e => e.stopPropagation()}>
+                {/* Modal Header */}
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+                    <div>
+                        <h3 style={{ margin: 0, fontSize: 18, fontWeight: 700 }}>💳 Record Payment</h3>
+                        <div style={{ fontSize: 13, color: 'var(--muted)', marginTop: 4 }}>
+                            {receivables[0]?.restaurantName || restaurantId} • {receivables.length} open invoice(s), <span style={{ color: '#f59e0b', fontWeight: 600 }}>${receivables.reduce((s, r) => s + r.balanceDue, 0).toFixed(2)}</span> outstanding
+                        </div>
+                    </div>
+                    <button onClick={onClose} style={{
+                        background: 'none', border: 'none', color: 'var(--muted)',
+                        fontSize: 20, cursor: 'pointer', padding: 4
+                    }}>✕</button>
+                </div>
+
+                {receivables.length === 0 ? (
+                    <div style={{ padding: 24, textAlign: 'center', color: 'var(--muted)' }}>This restaurant has no open invoices.</div>
+                ) : (
+                    <>
+                        {/* Invoices */}
+                        <div style={fieldGroup}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6 }}>
+                                <label style={{ ...labelStyle, marginBottom: 0 }}>Apply To *</label>
+                                <label style={{ fontSize: 12, color: 'var(--muted)', cursor: 'pointer' }}>
+                                    <input type="checkbox" checked={manual} onChange={e => setManual(e.target.checked)} style={{ marginRight: 6 }} />
+                                    Split by hand
+                                </label>
+                            </div>
+                            <div style={{ border: '1px solid var(--border)', borderRadius: 10, overflow: 'hidden' }}>
+                                {receivables.map(r => (
+                                    <div key={r.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '10px 12px', borderBottom: '1px solid var(--border)', fontSize: 13 }}>
+                                        <input type="checkbox" checked={selected.includes(r.id)} onChange={() => toggleInvoice(r.id)} />
+                                        <div style={{ flex: 1 }}>
+                                            <div style={{ fontWeight: 600 }}>{r.invoiceNumber}</div>
+                                            <div style={{ fontSize: 11, color: r.paymentStatus === 'OVERDUE' ? '#f87171' : 'var(--muted)' }}>
+                                                Due {r.dueDate || '—'}{r.daysOverdue > 0 ? ` • ${r.daysOverdue} days overdue` : ''}
+                                            </div>
+                                        </div>
+                                        <div style={{ textAlign: 'right', minWidth: 90 }}>
+                                            <div style={{ fontWeight: 600 }}>${r.balanceDue.toFixed(2)}</div>
+                                            {r.amountPaid > 0 && <div style={{ fontSize: 11, color: 'var(--muted)' }}>of ${r.netTotal.toFixed(2)}</div>}
+                                        </div>
+                                        {manual ? (
+                                            <input type="number" min="0" step="0.01" placeholder="0.00" disabled={!selected.includes(r.id)}
+                                                style={{ ...inputStyle, width: 100, padding: '6px 8px', fontSize: 13 }}
+                                                value={manualAmounts[r.id] || ''}
+                                                onChange={e => setManualAmounts(prev => ({ ...prev, [r.id]: e.target.value }))} />
+                                        ) : (
+                                            <div style={{ width: 100, textAlign: 'right', color: appliedById[r.id] ? '#4ade80' : 'var(--muted)', fontWeight: 600 }}>
+                                                {appliedById[r.id] ? `−$${appliedById[r.id].toFixed(2)}` : '—'}
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Amount */}
+                        <div style={fieldGroup}>
+                            <label style={labelStyle}>Amount Received *</label>
+                            <input type="number" min="0" step="0.01" style={inputStyle}
+                                value={manual ? total.toFixed(2) : amount}
+                                disabled={manual}
+                                onChange={e => setAmount(e.target.value)} />
+                            {!preview.valid && total > 0 && (
+                                <div style={{ fontSize: 12, color: '#f87171', marginTop: 6 }}>{preview.error}</div>
+                            )}
+                        </div>
+
+                        {/* Payment Method Selector */}
+                        <div style={fieldGroup}>
+                            <label style={labelStyle}>Payment Method *</label>
+                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
+                                {Object.keys(PAYMENT_METHODS).map(method => (
+                                    <button
+                                        key={method}
+                                        onClick={() => { setPaymentMethod(method); setPaymentFields({}); }}
+                                        style={{
+                                            padding: '12px 16px', borderRadius: 10,
+                                            border: paymentMethod === method ? '2px solid #4dabf7' : '1px solid var(--border)',
+                                            background: paymentMethod === method ? 'rgba(77, 171, 247, 0.1)' : 'var(--bg)',
+                                            color: paymentMethod === method ? '#4dabf7' : 'var(--text)',
+                                            fontWeight: 600, fontSize: 13, cursor: 'pointer',
+                                            transition: 'all .15s ease', fontFamily: 'inherit'
+                                        }}
+                                    >
+                                        {METHOD_ICONS[method]} {method}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Method details */}
+                        {paymentMethod && PAYMENT_METHODS[paymentMethod].map(field => {
+                            const [label, placeholder, type] = DETAIL_FIELDS[field];
+                            return (
+                                <div key={field} style={fieldGroup}>
+                                    <label style={labelStyle}>{label} *</label>
+                                    <input type={type} placeholder={placeholder} style={inputStyle}
+                                        value={paymentFields[field] || ''}
+                                        onChange={e => setPaymentFields(prev => ({ ...prev, [field]: e.target.value }))} />
+                                </div>
+                            );
+                        })}
+
+                        {paymentMethod && (
+                            <div style={fieldGroup}>
+                                <label style={labelStyle}>Notes</label>
+                                <input type="text" placeholder="Optional" style={inputStyle}
+                                    value={notes} onChange={e => setNotes(e.target.value)} />
+                            </div>
+                        )}
+
+                        {/* Confirm / Cancel */}
+                        {paymentMethod && (
+                            <div style={{ display: 'flex', gap: 12, marginTop: 24 }}>
+                                <button
+                                    onClick={onClose}
+                                    style={{
+                                        flex: 1, padding: '12px', borderRadius: 10,
+                                        border: '1px solid var(--border)', background: 'var(--bg)',
+                                        color: 'var(--muted)', fontWeight: 600, fontSize: 14,
+                                        cursor: 'pointer', fontFamily: 'inherit'
+                                    }}
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={handleConfirm}
+                                    disabled={saving || !preview.valid}
+                                    style={{
+                                        flex: 2, padding: '12px', borderRadius: 10,
+                                        border: 'none', background: 'linear-gradient(135deg, #4ade80, #22c55e)',
+                                        color: '#fff', fontWeight: 700, fontSize: 14,
+                                        cursor: saving || !preview.valid ? 'not-allowed' : 'pointer',
+                                        opacity: saving || !preview.valid ? 0.7 : 1, fontFamily: 'inherit',
+                                        boxShadow: '0 4px 16px rgba(74, 222, 128, 0.3)'
+                                    }}
+                                >
+                                    {saving ? '⏳ Recording...' : `✅ Confirm Payment — $${(total || 0).toFixed(2)}`}
+                                </button>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,12 +1,18 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { UserContext } from '../../contexts/UserContext';
 import { db, storage } from '../../firebase';
-import { doc, getDoc, updateDoc, addDoc, collection, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
 import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { toast } from 'react-toastify';
 import { generateInvoicePDF } from '../../utils/generateInvoicePDF';
 import { authFetch } from '../../utils/authFetch';
+import { subscribeToInvoiceAdjustments, getRestaurantAccount, recordRestaurantPayment } from '../../services/financialEngine';
+import { summarizeInvoiceBalance, groupAdjustmentsByInvoice } from '../../shared/invoiceAdjustments';
+import { formatTaxLineLabel, getTaxCategoryLabel } from '../../shared/taxEngine';
+import { summarizeReceivable, getPaymentAllocations, getPaymentDate } from '../../shared/receivables';
+import InvoiceAdjustmentsPanel from './InvoiceAdjustmentsPanel';
+import RecordPaymentModal, { paymentStatusBadge, formatPaymentStatus } from './RecordPaymentModal';
 
 export default function RestaurantInvoiceDetailPage() {
     const { invoiceId } = useParams();
@@ -15,14 +21,15 @@ export default function RestaurantInvoiceDetailPage() {
 
     const [invoice, setInvoice] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [processing, setProcessing] = useState(false);
+    const [loadingAccount, setLoadingAccount] = useState(false);
     const [generatingPdf, setGeneratingPdf] = useState(false);
     const [pdfUrl, setPdfUrl] = useState(null);
+    const [adjustments, setAdjustments] = useState([]);
 
-    // Payment modal state
-    const [showPaymentModal, setShowPaymentModal] = useState(false);
-    const [paymentMethod, setPaymentMethod] = useState('');
-    const [paymentFields, setPaymentFields] = useState({});
+    // Payment modal — the restaurant's account, loaded when it opens
+    const [paymentAccount, setPaymentAccount] = useState(null);
+    const [payments, setPayments] = useState([]);
+    const [reversingId, setReversingId] = useState(null);
 
     useEffect(() => {
         const fetchInvoice = async () => {
@@ -67,6 +74,29 @@ export default function RestaurantInvoiceDetailPage() {
         fetchInvoice();
     }, [invoiceId, isSuperAdmin, navigate]);
 
+    // Credit/debit notes — balances come from this chain, never from edits to the invoice
+    useEffect(() => {
+        if (!isSuperAdmin) return;
+        return subscribeToInvoiceAdjustments({ restaurantInvoiceId: invoiceId }, setAdjustments);
+    }, [invoiceId, isSuperAdmin]);
+
+    // Payments applied to this invoice, reversals included
+    const paymentIdsKey = (invoice?.paymentIds || []).join(',');
+    useEffect(() => {
+        if (!paymentIdsKey) { setPayments([]); return; }
+        let cancelled = false;
+        Promise.all(paymentIdsKey.split(',').map(id => getDoc(doc(db, 'RestaurantPaymentHistory', id))))
+            .then(snaps => {
+                if (cancelled) return;
+                setPayments(snaps.filter(d => d.exists()).map(d => ({ id: d.id, ...d.data() })));
+            })
+            .catch(err => console.error('Failed to load payments:', err));
+        return () => { cancelled = true; };
+    }, [paymentIdsKey]);
+
+    const balance = useMemo(() => summarizeInvoiceBalance(invoice, adjustments, 'restaurant'), [invoice, adjustments]);
+    const receivable = useMemo(() => summarizeReceivable(invoice, adjustments), [invoice, adjustments]);
+
     const handleGeneratePDF = async () => {
         setGeneratingPdf(true);
         try {
@@ -122,94 +152,54 @@ export default function RestaurantInvoiceDetailPage() {
         }
     };
 
-    // Open payment collection modal instead of directly marking as paid
-    const handleMarkPaidClick = () => {
-        setPaymentMethod('');
-        setPaymentFields({});
-        setShowPaymentModal(true);
+    // Payments can cover this restaurant's other open invoices too
+    const handleRecordPaymentClick = async () => {
+        setLoadingAccount(true);
+        try {
+            const account = await getRestaurantAccount(invoice.restaurantId);
+            setPaymentAccount({
+                invoices: account.invoices,
+                adjustmentsByInvoice: groupAdjustmentsByInvoice(account.adjustments, 'restaurant'),
+            });
+        } catch (err) {
+            console.error('Failed to load restaurant account:', err);
+            toast.error('Could not load the restaurant\'s open invoices.');
+        } finally {
+            setLoadingAccount(false);
+        }
     };
 
-    const handlePaymentFieldChange = (field, value) => {
-        setPaymentFields(prev => ({ ...prev, [field]: value }));
+    const handlePaymentRecorded = async () => {
+        const snap = await getDoc(doc(db, 'restaurantInvoices', invoiceId));
+        if (snap.exists()) setInvoice({ id: snap.id, ...snap.data() });
     };
 
-    const handleConfirmPayment = async () => {
-        if (!paymentMethod) {
-            toast.error('Please select a payment method.');
-            return;
-        }
-
-        // Validate required fields per method
-        if (paymentMethod === 'Card Terminal') {
-            if (!paymentFields.transactionNumber || !paymentFields.collectedBy || !paymentFields.paymentDate) {
-                toast.error('Please fill in all required Card Terminal fields.');
-                return;
-            }
-        } else if (paymentMethod === 'Cheque') {
-            if (!paymentFields.chequeNumber || !paymentFields.collectedBy || !paymentFields.chequeDepositDate) {
-                toast.error('Please fill in all required Cheque fields.');
-                return;
-            }
-        } else if (paymentMethod === 'E-Transfer') {
-            if (!paymentFields.validatedBy || !paymentFields.paymentDate) {
-                toast.error('Please fill in all required E-Transfer fields.');
-                return;
-            }
-        } else if (paymentMethod === 'Cash') {
-            if (!paymentFields.receivedBy || !paymentFields.paymentDate) {
-                toast.error('Please fill in all required Cash fields.');
-                return;
-            }
-        }
-
-        setProcessing(true);
+    // Payments are never deleted — a mistake is corrected with a reversing payment
+    const handleReversePayment = async (payment) => {
+        const reason = window.prompt(`Reverse the $${Number(payment.amount).toFixed(2)} ${payment.paymentMethod || ''} payment? Give a reason:`);
+        if (reason === null) return;
+        if (!reason.trim()) { toast.warn('A reason is required to reverse a payment.'); return; }
+        setReversingId(payment.id);
         try {
-            // 1. Save to RestaurantPaymentHistory collection
-            await addDoc(collection(db, 'RestaurantPaymentHistory'), {
-                invoiceId: invoiceId,
-                invoiceNumber: invoice.invoiceNumber || '',
-                orderId: invoice.orderId || '',
-                orderGroupId: invoice.orderGroupId || '',
-                restaurantId: invoice.restaurantId || '',
-                restaurantName: invoice.restaurantName || invoice.restaurantId || '',
-                vendorName: invoice.vendorName || '',
-                amount: Number(invoice.grandTotal || 0),
-                paymentMethod: paymentMethod,
-                ...paymentFields,
-                recordedBy: displayName || 'Admin',
-                createdAt: serverTimestamp()
+            await recordRestaurantPayment({
+                restaurantId: invoice.restaurantId,
+                reversesPaymentId: payment.id,
+                notes: reason,
             });
-
-            // 2. Update the invoice status to PAID
-            await updateDoc(doc(db, 'restaurantInvoices', invoiceId), {
-                paymentStatus: 'PAID',
-                paymentMethod: paymentMethod,
-                paidAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
-                paidByAdminName: displayName || 'Admin'
-            });
-
-            toast.success('Payment recorded & invoice marked as PAID.');
-            setShowPaymentModal(false);
-
-            setInvoice(prev => ({
-                ...prev,
-                paymentStatus: 'PAID',
-                paymentMethod: paymentMethod,
-                paidAt: new Date()
-            }));
+            toast.success('Payment reversed.');
+            await handlePaymentRecorded();
         } catch (err) {
-            console.error('Failed to record payment:', err);
-            toast.error('Failed to record payment.');
+            console.error('Failed to reverse payment:', err);
+            toast.error(err.message || 'Failed to reverse payment.');
         } finally {
-            setProcessing(false);
+            setReversingId(null);
         }
     };
 
     if (loading) return <div style={{ padding: 40, textAlign: 'center' }}>Loading invoice details...</div>;
     if (!invoice) return null;
 
-    const isPending = invoice.paymentStatus === 'PENDING';
+    const isOpen = receivable.paymentStatus !== 'PAID' && invoice.paymentStatus !== 'VOIDED';
 
     const formatDate = (timestamp) => {
         if (!timestamp) return 'N/A';
@@ -217,15 +207,6 @@ export default function RestaurantInvoiceDetailPage() {
         return d.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
     };
 
-    // Shared modal input style
-    const inputStyle = {
-        width: '100%', padding: '10px 12px', borderRadius: 8,
-        border: '1px solid var(--border)', background: 'var(--bg-card)',
-        color: 'var(--text)', fontSize: 14, fontFamily: 'inherit', boxSizing: 'border-box'
-    };
-    const labelStyle = { display: 'block', fontSize: 12, fontWeight: 600, color: 'var(--muted)', marginBottom: 6, textTransform: 'uppercase', letterSpacing: '.5px' };
-    const fieldGroup = { marginBottom: 16 };
-
     return (
         <div>
             {/* Header & Breadcrumb */}
@@ -241,8 +222,8 @@ export default function RestaurantInvoiceDetailPage() {
                 <div>
                     <h2 style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
                         Invoice {invoice.invoiceNumber}
-                        <span className={`badge ${isPending ? 'amber' : 'green'}`} style={{ fontSize: 13, textTransform: 'uppercase' }}>
-                            {invoice.paymentStatus}
+                        <span className={`badge ${paymentStatusBadge(receivable.paymentStatus)}`} style={{ fontSize: 13, textTransform: 'uppercase' }}>
+                            {formatPaymentStatus(receivable.paymentStatus)}
                         </span>
                     </h2>
                     <div style={{ color: 'var(--muted)', fontSize: 14, marginTop: 4 }}>
@@ -271,13 +252,13 @@ export default function RestaurantInvoiceDetailPage() {
                     >
                         {generatingPdf ? '⏳ Generating...' : pdfUrl ? '🔄 Regenerate PDF' : '📄 Generate PDF'}
                     </button>
-                    {isSuperAdmin && isPending && (
+                    {isSuperAdmin && isOpen && (
                         <button
                             className="ui-btn primary"
-                            onClick={handleMarkPaidClick}
-                            disabled={processing}
+                            onClick={handleRecordPaymentClick}
+                            disabled={loadingAccount}
                         >
-                            {processing ? 'Processing...' : '💳 Mark as Paid'}
+                            {loadingAccount ? 'Loading...' : '💳 Record Payment'}
                         </button>
                     )}
                 </div>
@@ -307,8 +288,10 @@ export default function RestaurantInvoiceDetailPage() {
                                         <td>{item.qty}</td>
                                         <td style={{ textAlign: 'right', fontSize: 12, color: 'var(--muted)' }}>
                                             {item.isTaxable ? (
-                                                <span style={{ color: '#f59e0b' }}>${Number(item.lineTax || 0).toFixed(2)}</span>
-                                            ) : '—'}
+                                                <span style={{ color: '#f59e0b' }} title={(item.taxes || []).map(t => `${formatTaxLineLabel(t)}: $${Number(t.amount).toFixed(2)}`).join('\n') || undefined}>
+                                                    ${Number(item.lineTax || 0).toFixed(2)}
+                                                </span>
+                                            ) : (item.taxCategory ? getTaxCategoryLabel(item.taxCategory) : '—')}
                                         </td>
                                         <td style={{ textAlign: 'right', color: 'var(--muted)' }}>
                                             ${Number(item.vendorPrice ?? item.price ?? 0).toFixed(2)}
@@ -340,9 +323,12 @@ export default function RestaurantInvoiceDetailPage() {
                     <div className="idp-field">
                         <div className="idp-field__label">Due Date</div>
                         <div className="idp-field__value" style={{ fontSize: 14 }}>{formatDate(invoice.dueDate)}</div>
+                        {receivable.daysOverdue > 0 && (
+                            <div className="idp-field__value" style={{ fontSize: 12, color: '#f87171', marginTop: 4 }}>{receivable.daysOverdue} days overdue</div>
+                        )}
                     </div>
 
-                    {!isPending && invoice.paidAt && (
+                    {!isOpen && invoice.paidAt && (
                         <div className="idp-field" style={{ padding: '8px 12px', background: 'rgba(74, 222, 128, 0.08)', borderRadius: 8, border: '1px solid rgba(74, 222, 128, 0.2)' }}>
                             <div className="idp-field__label" style={{ color: '#4ade80' }}>Paid On</div>
                             <div className="idp-field__value" style={{ fontSize: 14 }}>{formatDate(invoice.paidAt)}</div>
@@ -357,225 +343,103 @@ export default function RestaurantInvoiceDetailPage() {
                         <span style={{ fontWeight: 600 }}>${Number(invoice.subtotal || 0).toFixed(2)}</span>
                     </div>
 
-                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 12 }}>
-                        <span style={{ color: 'var(--muted)' }}>Tax Amount</span>
-                        <span style={{ fontWeight: 600, color: '#f59e0b' }}>+ ${Number(invoice.totalTax || 0).toFixed(2)}</span>
-                    </div>
+                    {(invoice.taxLines?.length ? invoice.taxLines : [{ label: 'Tax Amount', amount: invoice.totalTax }]).map(t => (
+                        <div key={`${t.code}-${t.rate}`} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 12 }}>
+                            {/* one row per tax component (GST/HST/PST/QST) on invoices from the tax engine */}
+                            <span style={{ color: 'var(--muted)' }}>{t.code ? formatTaxLineLabel(t) : t.label}</span>
+                            <span style={{ fontWeight: 600, color: '#f59e0b' }}>+ ${Number(t.amount || 0).toFixed(2)}</span>
+                        </div>
+                    ))}
+                    {invoice.taxJurisdiction?.region && (
+                        <div style={{ fontSize: 12, color: 'var(--muted)', marginBottom: 12 }}>Taxed for {invoice.taxJurisdiction.name} ({invoice.taxJurisdiction.region})</div>
+                    )}
 
                     <hr style={{ border: 'none', borderTop: '1px solid var(--border)', margin: '16px 0' }} />
 
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                         <span style={{ fontSize: 16, fontWeight: 600, color: 'var(--muted)' }}>Grand Total</span>
-                        <span style={{ fontSize: 24, fontWeight: 700, color: '#4ade80' }}>
+                        <span style={{ fontSize: balance.adjustmentCount > 0 ? 16 : 24, fontWeight: 700, color: balance.adjustmentCount > 0 ? 'var(--text)' : '#4ade80' }}>
                             ${Number(invoice.grandTotal || 0).toFixed(2)}
                         </span>
                     </div>
-                </div>
-            </div>
 
-            {/* ─── Payment Collection Modal ─── */}
-            {showPaymentModal && (
-                <div style={{
-                    position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', zIndex: 1000,
-                    display: 'flex', alignItems: 'center', justifyContent: 'center',
-                    backdropFilter: 'blur(4px)'
-                }} onClick={() => setShowPaymentModal(false)}>
-                    <div style={{
-                        background: 'var(--bg-card)', borderRadius: 16, padding: 32,
-                        width: '100%', maxWidth: 520, maxHeight: '90vh', overflowY: 'auto',
-                        border: '1px solid var(--border)',
-                        boxShadow: '0 20px 60px rgba(0,0,0,0.4)'
-                    }} onClick={e => e.stopPropagation()}>
-                        {/* Modal Header */}
-                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
-                            <div>
-                                <h3 style={{ margin: 0, fontSize: 18, fontWeight: 700 }}>💳 Record Payment</h3>
-                                <div style={{ fontSize: 13, color: 'var(--muted)', marginTop: 4 }}>
-                                    {invoice.invoiceNumber} • <span style={{ color: '#4ade80', fontWeight: 600 }}>${Number(invoice.grandTotal || 0).toFixed(2)}</span>
+                    {balance.adjustmentCount > 0 && (
+                        <>
+                            {balance.creditTotal !== 0 && (
+                                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 12 }}>
+                                    <span style={{ color: 'var(--muted)' }}>Credit Notes</span>
+                                    <span style={{ fontWeight: 600, color: '#f43f5e' }}>- ${Math.abs(balance.creditTotal).toFixed(2)}</span>
                                 </div>
-                            </div>
-                            <button onClick={() => setShowPaymentModal(false)} style={{
-                                background: 'none', border: 'none', color: 'var(--muted)',
-                                fontSize: 20, cursor: 'pointer', padding: 4
-                            }}>✕</button>
-                        </div>
-
-                        {/* Payment Method Selector */}
-                        <div style={fieldGroup}>
-                            <label style={labelStyle}>Payment Method *</label>
-                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
-                                {['Card Terminal', 'Cheque', 'E-Transfer', 'Cash'].map(method => (
-                                    <button
-                                        key={method}
-                                        onClick={() => { setPaymentMethod(method); setPaymentFields({}); }}
-                                        style={{
-                                            padding: '12px 16px', borderRadius: 10,
-                                            border: paymentMethod === method ? '2px solid #4dabf7' : '1px solid var(--border)',
-                                            background: paymentMethod === method ? 'rgba(77, 171, 247, 0.1)' : 'var(--bg)',
-                                            color: paymentMethod === method ? '#4dabf7' : 'var(--text)',
-                                            fontWeight: 600, fontSize: 13, cursor: 'pointer',
-                                            transition: 'all .15s ease', fontFamily: 'inherit'
-                                        }}
-                                    >
-                                        {method === 'Card Terminal' && '💳 '}
-                                        {method === 'Cheque' && '📝 '}
-                                        {method === 'E-Transfer' && '📲 '}
-                                        {method === 'Cash' && '💵 '}
-                                        {method}
-                                    </button>
-                                ))}
-                            </div>
-                        </div>
-
-                        {/* Conditional Fields based on Payment Method */}
-                        {paymentMethod === 'Card Terminal' && (
-                            <div style={{ animation: 'fadeIn .2s ease' }}>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Transaction # *</label>
-                                    <input
-                                        type="text"
-                                        placeholder="Enter transaction number"
-                                        style={inputStyle}
-                                        value={paymentFields.transactionNumber || ''}
-                                        onChange={e => handlePaymentFieldChange('transactionNumber', e.target.value)}
-                                    />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Collected By *</label>
-                                    <input
-                                        type="text"
-                                        placeholder="Name of person who collected payment"
-                                        style={inputStyle}
-                                        value={paymentFields.collectedBy || ''}
-                                        onChange={e => handlePaymentFieldChange('collectedBy', e.target.value)}
-                                    />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Payment Date *</label>
-                                    <input
-                                        type="date"
-                                        style={inputStyle}
-                                        value={paymentFields.paymentDate || ''}
-                                        onChange={e => handlePaymentFieldChange('paymentDate', e.target.value)}
-                                    />
+                            )}
+                            {balance.debitTotal !== 0 && (
+                                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 12 }}>
+                                    <span style={{ color: 'var(--muted)' }}>Debit Notes</span>
+                                    <span style={{ fontWeight: 600, color: '#f59e0b' }}>+ ${balance.debitTotal.toFixed(2)}</span>
                                 </div>
+                            )}
+                            <hr style={{ border: 'none', borderTop: '1px solid var(--border)', margin: '16px 0' }} />
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                                <span style={{ fontSize: 16, fontWeight: 600, color: 'var(--muted)' }}>Net Balance</span>
+                                <span style={{ fontSize: 24, fontWeight: 700, color: '#4ade80' }}>
+                                    ${balance.netTotal.toFixed(2)}
+                                </span>
                             </div>
-                        )}
+                        </>
+                    )}
 
-                        {paymentMethod === 'Cheque' && (
-                            <div style={{ animation: 'fadeIn .2s ease' }}>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Cheque Number *</label>
-                                    <input
-                                        type="text"
-                                        placeholder="Enter cheque number"
-                                        style={inputStyle}
-                                        value={paymentFields.chequeNumber || ''}
-                                        onChange={e => handlePaymentFieldChange('chequeNumber', e.target.value)}
-                                    />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Collected By *</label>
-                                    <input
-                                        type="text"
-                                        placeholder="Name of person who collected cheque"
-                                        style={inputStyle}
-                                        value={paymentFields.collectedBy || ''}
-                                        onChange={e => handlePaymentFieldChange('collectedBy', e.target.value)}
-                                    />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Cheque Date to Deposit *</label>
-                                    <input
-                                        type="date"
-                                        style={inputStyle}
-                                        value={paymentFields.chequeDepositDate || ''}
-                                        onChange={e => handlePaymentFieldChange('chequeDepositDate', e.target.value)}
-                                    />
-                                </div>
+                    {(receivable.amountPaid > 0 || payments.length > 0) && (
+                        <>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 12 }}>
+                                <span style={{ color: 'var(--muted)' }}>Payments</span>
+                                <span style={{ fontWeight: 600, color: '#4ade80' }}>- ${receivable.amountPaid.toFixed(2)}</span>
                             </div>
-                        )}
-
-                        {paymentMethod === 'E-Transfer' && (
-                            <div style={{ animation: 'fadeIn .2s ease' }}>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Validated By *</label>
-                                    <input
-                                        type="text"
-                                        placeholder="Name of person who validated the e-transfer"
-                                        style={inputStyle}
-                                        value={paymentFields.validatedBy || ''}
-                                        onChange={e => handlePaymentFieldChange('validatedBy', e.target.value)}
-                                    />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Payment Date *</label>
-                                    <input
-                                        type="date"
-                                        style={inputStyle}
-                                        value={paymentFields.paymentDate || ''}
-                                        onChange={e => handlePaymentFieldChange('paymentDate', e.target.value)}
-                                    />
-                                </div>
+                            {payments.map(p => {
+                                const applied = getPaymentAllocations(p).find(a => a.invoiceId === invoice.id);
+                                const canReverse = isSuperAdmin && p.status === 'applied' && !p.reversesPaymentId;
+                                return (
+                                    <div key={p.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 6, fontSize: 12, color: 'var(--muted)' }}>
+                                        <span style={{ textDecoration: p.status === 'reversed' ? 'line-through' : 'none' }}>
+                                            {getPaymentDate(p) || '—'} · {p.reversesPaymentId ? 'Reversal' : p.paymentMethod}
+                                            {applied ? ` · $${Number(applied.amount).toFixed(2)}` : ''}
+                                            {p.reversesPaymentId && p.notes ? ` — ${p.notes}` : ''}
+                                        </span>
+                                        {canReverse && (
+                                            <button className="ui-btn ghost small" onClick={() => handleReversePayment(p)} disabled={reversingId === p.id}>
+                                                {reversingId === p.id ? 'Reversing...' : 'Reverse'}
+                                            </button>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 12 }}>
+                                <span style={{ fontSize: 16, fontWeight: 600, color: 'var(--muted)' }}>Balance Due</span>
+                                <span style={{ fontSize: 20, fontWeight: 700, color: receivable.balanceDue > 0 ? '#f59e0b' : '#4ade80' }}>
+                                    ${receivable.balanceDue.toFixed(2)}
+                                </span>
                             </div>
-                        )}
+                        </>
+                    )}
+                </div>
+            </div>
 
-                        {paymentMethod === 'Cash' && (
-                            <div style={{ animation: 'fadeIn .2s ease' }}>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Received By *</label>
-                                    <input
-                                        type="text"
-                                        placeholder="Name of person who received cash"
-                                        style={inputStyle}
-                                        value={paymentFields.receivedBy || ''}
-                                        onChange={e => handlePaymentFieldChange('receivedBy', e.target.value)}
-                                    />
-                                </div>
-                                <div style={fieldGroup}>
-                                    <label style={labelStyle}>Payment Date *</label>
-                                    <input
-                                        type="date"
-                                        style={inputStyle}
-                                        value={paymentFields.paymentDate || ''}
-                                        onChange={e => handlePaymentFieldChange('paymentDate', e.target.value)}
-                                    />
-                                </div>
-                            </div>
-                        )}
+            <InvoiceAdjustmentsPanel
+                invoice={invoice}
+                side="restaurant"
+                adjustments={adjustments}
+                canAdjust={isSuperAdmin}
+                actorName={displayName}
+            />
 
-                        {/* Confirm / Cancel */}
-                        {paymentMethod && (
-                            <div style={{ display: 'flex', gap: 12, marginTop: 24 }}>
-                                <button
-                                    onClick={() => setShowPaymentModal(false)}
-                                    style={{
-                                        flex: 1, padding: '12px', borderRadius: 10,
-                                        border: '1px solid var(--border)', background: 'var(--bg)',
-                                        color: 'var(--muted)', fontWeight: 600, fontSize: 14,
-                                        cursor: 'pointer', fontFamily: 'inherit'
-                                    }}
-                                >
-                                    Cancel
-                                </button>
-                                <button
-                                    onClick={handleConfirmPayment}
-                                    disabled={processing}
-                                    style={{
-                                        flex: 2, padding: '12px', borderRadius: 10,
-                                        border: 'none', background: 'linear-gradient(135deg, #4ade80, #22c55e)',
-                                        color: '#fff', fontWeight: 700, fontSize: 14,
-                                        cursor: processing ? 'not-allowed' : 'pointer',
-                                        opacity: processing ? 0.7 : 1, fontFamily: 'inherit',
-                                        boxShadow: '0 4px 16px rgba(74, 222, 128, 0.3)'
-                                    }}
-                                >
-                                    {processing ? '⏳ Recording...' : `✅ Confirm Payment — $${Number(invoice.grandTotal || 0).toFixed(2)}`}
-                                </button>
-                            </div>
-                        )}
-                    </div>
-                </div>
+            {/* ─── Payment Collection Modal ─── */}
+            {paymentAccount && (
+                <RecordPaymentModal
+                    restaurantId={invoice.restaurantId}
+                    invoices={paymentAccount.invoices}
+                    adjustmentsByInvoice={paymentAccount.adjustmentsByInvoice}
+                    initialInvoiceIds={[invoice.id]}
+                    onClose={() => setPaymentAccount(null)}
+                    onRecorded={handlePaymentRecorded}
+                />
             )}
         </div>
     );
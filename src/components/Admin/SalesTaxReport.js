@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FiChevronDown, FiChevronRight, FiDownload } from 'react-icons/fi';
+import { subscribeToRestaurantInvoices, subscribeToInvoiceAdjustments } from '../../services/financialEngine';
+import { isAppliedAdjustment } from '../../shared/invoiceAdjustments';
+import { toBusinessDate } from '../../shared/receivables';
+import { buildTaxSummary, buildTaxSummaryCsv, formatTaxLineLabel, TAX_PERIODS } from '../../shared/taxEngine';
+
+const money = (n) => `${n < 0 ? '-' : ''}$${Math.abs(Number(n) || 0).toFixed(2)}`;
+
+/**
+ * SalesTaxReport — tax collected on restaurant invoices per filing period
+ * (month / quarter / year), by component (GST, HST, PST, QST, state sales
+ * tax) and jurisdiction, with taxable / zero-rated / exempt sales. Credit and
+ * debit notes count in the period they were issued. Expand a period for the
+ * per-jurisdiction and per-vendor breakdown; export it as CSV for filing.
+ */
+export default function SalesTaxReport() {
+    const [invoices, setInvoices] = useState([]);
+    const [adjustments, setAdjustments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [period, setPeriod] = useState('month');
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        const unsubscribeInvoices = subscribeToRestaurantInvoices(
+            (list) => { setInvoices(list); setLoading(false); },
+            () => setLoading(false)
+        );
+        const unsubscribeAdjustments = subscribeToInvoiceAdjustments({}, setAdjustments);
+        return () => { unsubscribeInvoices(); unsubscribeAdjustments(); };
+    }, []);
+
+    const summary = useMemo(() => buildTaxSummary({
+        invoices: invoices.map(inv => ({ ...inv, date: toBusinessDate(inv.invoiceDate || inv.createdAt) })),
+        notes: adjustments.filter(isAppliedAdjustment).map(adj => ({ ...adj, date: toBusinessDate(adj.createdAt) })),
+        period,
+    }), [invoices, adjustments, period]);
+
+    const latest = summary[0];
+    const hasUnsplit = summary.some(p => p.components.some(c => c.code === 'TAX'));
+
+    const handleExportCsv = () => {
+        const blob = new Blob([buildTaxSummaryCsv(summary)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `sales-tax-${period}-${new Date().toISOString().slice(0, 10)}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4,1fr)', gap: 14 }}>
+                {[
+                    { key: 'tax', label: `Tax collected${latest ? ` · ${latest.period}` : ''}`, value: latest?.tax || 0, color: '#f59e0b' },
+                    { key: 'taxable', label: 'Taxable sales', value: latest?.sales.taxable || 0, color: '#38bdf8' },
+                    { key: 'zeroRated', label: 'Zero-rated sales', value: latest?.sales.zeroRated || 0, color: '#34d399' },
+                    { key: 'exempt', label: 'Exempt sales', value: latest?.sales.exempt || 0, color: '#94a3b8' },
+                ].map(k => (
+                    <div key={k.key} style={{ background: k.color + '0a', border: `1px solid ${k.color}22`, borderRadius: 12, padding: 18 }}>
+                        <div style={{ fontSize: 22, fontWeight: 700, color: k.color }}>{money(k.value)}</div>
+                        <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.3 }}>{k.label}</div>
+                    </div>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                <span style={{ fontSize: 12, color: '#94a3b8' }}>Filing period</span>
+                {Object.entries(TAX_PERIODS).map(([key, label]) => (
+                    <button key={key} className={`ui-btn small ${period === key ? 'primary' : 'ghost'}`} onClick={() => { setPeriod(key); setExpanded(null); }}>
+                        {label}
+                    </button>
+                ))}
+                <div style={{ flex: 1 }} />
+                <button className="ui-btn ghost small" onClick={handleExportCsv} disabled={!summary.length}>
+                    <FiDownload style={{ marginRight: 6 }} /> Export CSV
+                </button>
+            </div>
+
+            {hasUnsplit && (
+                <div style={{ background: 'rgba(245,158,11,0.06)', border: '1px solid rgba(245,158,11,0.15)', borderRadius: 8, padding: '10px 16px', fontSize: 12, color: '#94a3b8' }}>
+                    Invoices issued before tax was split by component show their tax as "Tax (not split)". Allocate it to GST/HST/PST/QST by hand when filing those periods.
+                </div>
+            )}
+
+            <div className="ui-table-wrap">
+                {loading ? (
+                    <div style={{ padding: 24, color: '#94a3b8' }}>Loading invoices…</div>
+                ) : summary.length === 0 ? (
+                    <div style={{ padding: 24, color: '#94a3b8' }}>No restaurant invoices yet.</div>
+                ) : (
+                    <table className="ui-table">
+                        <thead>
+                            <tr>
+                                <th style={{ width: 28 }} />
+                                <th>Period</th>
+                                <th style={{ textAlign: 'right' }}>Documents</th>
+                                <th style={{ textAlign: 'right' }}>Sales</th>
+                                <th>Tax by Component</th>
+                                <th style={{ textAlign: 'right' }}>Tax Collected</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {summary.map(p => {
+                                const isOpen = expanded === p.period;
+                                return (
+                                    <React.Fragment key={p.period}>
+                                        <tr className="is-row" style={{ cursor: 'pointer' }} onClick={() => setExpanded(isOpen ? null : p.period)}>
+                                            <td>{isOpen ? <FiChevronDown /> : <FiChevronRight />}</td>
+                                            <td style={{ fontWeight: 600, color: '#e2e8f0' }}>{p.period}</td>
+                                            <td style={{ textAlign: 'right' }}>{p.documentCount}</td>
+                                            <td style={{ textAlign: 'right' }}>{money(p.sales.total)}</td>
+                                            <td style={{ fontSize: 12, color: '#94a3b8' }}>
+                                                {p.components.map(c => `${formatTaxLineLabel(c)} ${money(c.amount)}`).join(' · ') || '—'}
+                                            </td>
+                                            <td style={{ textAlign: 'right', fontWeight: 700, color: '#f59e0b' }}>{money(p.tax)}</td>
+                                        </tr>
+                                        {isOpen && (
+                                            <tr>
+                                                <td colSpan={6} style={{ background: 'rgba(0,0,0,0.2)', padding: 12 }}>
+                                                    <div style={{ display: 'grid', gridTemplateColumns: '3fr 2fr', gap: 16 }}>
+                                                        <table className="ui-table" style={{ fontSize: 12, width: '100%' }}>
+                                                            <thead>
+                                                                <tr>
+                                                                    <th>Jurisdiction</th>
+                                                                    <th>Tax</th>
+                                                                    <th style={{ textAlign: 'right' }}>Taxable Sales</th>
+                                                                    <th style={{ textAlign: 'right' }}>Tax Collected</th>
+                                                                </tr>
+                                                            </thead>
+                                                            <tbody>
+                                                                {p.jurisdictions.map(j => (
+                                                                    <tr key={`${j.jurisdiction}-${j.code}-${j.rate}`}>
+                                                                        <td>{j.name} <span style={{ color: '#64748b' }}>({j.jurisdiction})</span></td>
+                                                                        <td>{j.code === 'TAX' ? j.label : formatTaxLineLabel(j)}</td>
+                                                                        <td style={{ textAlign: 'right' }}>{money(j.taxableAmount)}</td>
+                                                                        <td style={{ textAlign: 'right', fontWeight: 600 }}>{money(j.amount)}</td>
+                                                                    </tr>
+                                                                ))}
+                                                            </tbody>
+                                                        </table>
+                                                        <table className="ui-table" style={{ fontSize: 12, width: '100%' }}>
+                                                            <thead>
+                                                                <tr>
+                                                                    <th>Vendor</th>
+                                                                    <th style={{ textAlign: 'right' }}>Sales</th>
+                                                                    <th style={{ textAlign: 'right' }}>Tax</th>
+                                                                </tr>
+                                                            </thead>
+                                                            <tbody>
+                                                                {p.vendors.map(v => (
+                                                                    <tr key={v.vendorId || v.vendorName}>
+                                                                        <td>{v.vendorName}</td>
+                                                                        <td style={{ textAlign: 'right' }}>{money(v.sales)}</td>
+                                                                        <td style={{ textAlign: 'right', fontWeight: 600 }}>{money(v.tax)}</td>
+                                                                    </tr>
+                                                                ))}
+                                                            </tbody>
+                                                        </table>
+                                                    </div>
+                                                    <div style={{ marginTop: 10, fontSize: 12, color: '#94a3b8' }}>
+                                                        Taxable {money(p.sales.taxable)} · Zero-rated {money(p.sales.zeroRated)} · Exempt {money(p.sales.exempt)}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
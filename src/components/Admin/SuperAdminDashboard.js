@@ -7,6 +7,7 @@ import { toast } from 'react-toastify';
 import {
     LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
 } from 'recharts';
+import { hasCommissionModel } from '../../shared/commissionRules';
 
 // Date utility helpers
 const getStartOfDay = (date = new Date()) => {
@@ -165,7 +166,7 @@ export default function SuperAdminDashboard() {
         // Calculate pending payouts globally (all time)
         invoices.forEach(inv => {
             if (inv.paymentStatus === 'PENDING') {
-                if (inv.commissionModel === 'VENDOR_FLAT_PERCENT') {
+                if (hasCommissionModel(inv)) {
                     totalPendingPayout += Number(inv.netVendorPayable || 0) + Number(inv.totalTaxAmount || 0);
                 } else {
                     totalPendingPayout += Number(inv.totalVendorAmount || 0);
@@ -226,7 +227,7 @@ export default function SuperAdminDashboard() {
                 }
 
                 let amount = 0;
-                if (inv.commissionModel === 'VENDOR_FLAT_PERCENT') {
+                if (hasCommissionModel(inv)) {
                     amount = Number(inv.netVendorPayable || 0) + Number(inv.totalTaxAmount || 0);
                 } else {
                     amount = Number(inv.totalVendorAmount || 0);
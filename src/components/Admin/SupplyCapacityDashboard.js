@@ -7,6 +7,7 @@
  * Data sources:
  *   - vendors/{id}/items  → vendor catalog
  *   - marketplaceOrders   → demand forecasting + estimated vendor capacity
+ *   - deliverySchedules   → delivery days per restaurant / vendor pair
  *   - supplyCapacityEngine.forecastSupplyHealth() → core algorithm
  */
 import React, { useState, useEffect, useMemo } from 'react';
@@ -19,8 +20,10 @@ import { toast } from 'react-toastify';
 import { db } from '../../firebase';
 import { collection, getDocs } from 'firebase/firestore';
 import { fetchOrderHistory } from '../Forecast/forecastHelpers';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { getPairSchedule, getOrderRouteDay, normalizeDeliveryDays } from '../../shared/deliverySchedules';
 import {
-    forecastSupplyHealth, supplyHealthLabel,
+    forecastSupplyHealth, supplyHealthLabel, splitByDayHistory,
 } from '../Vendors/supplyCapacityEngine';
 
 const C = { green: '#34d399', red: '#f87171', amber: '#fbbf24', blue: '#38bdf8', purple: '#a78bfa', cyan: '#22d3ee', orange: '#fb923c', muted: '#94a3b8', fg: '#f8fafc' };
@@ -67,8 +70,10 @@ async function loadAllVendorItems() {
     return allItems;
 }
 
-function computeCapacityForecasts(allItems, orderRecords) {
+function computeCapacityForecasts(allItems, orderRecords, schedules = {}) {
     const weekStart = getNextMonday();
+    const vendorIdByName = {};
+    allItems.forEach(item => { vendorIdByName[item.vendorName] = item.vendorId; });
 
     // 1. Group items by normalized name
     const itemGroups = {};
@@ -84,22 +89,27 @@ function computeCapacityForecasts(allItems, orderRecords) {
         }
     });
 
-    // 2. Compute demand per item from order history (weekly average over ~12 weeks)
+    // 2. Compute demand per item from order history (weekly average over ~12 weeks).
+    // Each delivery counts toward the route its restaurant / vendor pair runs that weekday.
     const itemDemand = {};
     const vendorItemHistory = {}; // vendorId_itemKey → total qty delivered
 
     orderRecords.forEach(rec => {
         const key = rec.itemName.toLowerCase();
-        if (!itemDemand[key]) itemDemand[key] = { total: 0, count: 0 };
+        const { days } = getPairSchedule(schedules, vendorIdByName[rec.vendor], rec.restaurantId);
+        const day = getOrderRouteDay(rec, days);
+        if (!itemDemand[key]) itemDemand[key] = { total: 0, count: 0, dayTotals: {} };
         itemDemand[key].total += rec.qty;
         itemDemand[key].count++;
+        itemDemand[key].dayTotals[day] = (itemDemand[key].dayTotals[day] || 0) + rec.qty;
 
         // Track vendor-level deliveries for capacity estimation
         if (rec.vendor) {
             const vk = `${rec.vendor}_${key}`;
-            if (!vendorItemHistory[vk]) vendorItemHistory[vk] = { total: 0, count: 0 };
+            if (!vendorItemHistory[vk]) vendorItemHistory[vk] = { total: 0, count: 0, dayTotals: {} };
             vendorItemHistory[vk].total += rec.qty;
             vendorItemHistory[vk].count++;
+            vendorItemHistory[vk].dayTotals[day] = (vendorItemHistory[vk].dayTotals[day] || 0) + rec.qty;
         }
     });
 
@@ -110,8 +120,7 @@ function computeCapacityForecasts(allItems, orderRecords) {
         if (!demand || demand.total === 0) return;
 
         const weeklyAvg = Math.round(demand.total / 12);
-        const monday = Math.round(weeklyAvg * 0.6);
-        const thursday = Math.round(weeklyAvg * 0.4);
+        const dayQtys = splitByDayHistory(weeklyAvg, demand.dayTotals);
 
         // Build vendor capacity estimates from order history
         const vendorList = Object.values(group.vendors).map(v => {
@@ -119,13 +128,10 @@ function computeCapacityForecasts(allItems, orderRecords) {
             const hist = vendorItemHistory[vk];
             // Estimate weekly capacity as ~1.2x average weekly delivery (vendors can deliver a bit more than average)
             const weeklyCapEst = hist ? Math.round((hist.total / 12) * 1.2) : 0;
-            const monCap = Math.round(weeklyCapEst * 0.6);
-            const thuCap = Math.round(weeklyCapEst * 0.4);
             return {
                 vendorId: v.vendorId,
                 vendorName: v.vendorName,
-                mondayCapacity: monCap,
-                thursdayCapacity: thuCap,
+                dayCapacities: splitByDayHistory(weeklyCapEst, hist ? hist.dayTotals : demand.dayTotals),
                 weeklyCapacity: weeklyCapEst,
                 stockStatus: v.inStock ? 'in_stock' : 'out_of_stock',
                 leadTimeDays: 1,
@@ -141,7 +147,7 @@ function computeCapacityForecasts(allItems, orderRecords) {
             comparableGroup: group.itemName.toLowerCase().replace(/\s+/g, '_'),
             category: group.category,
             weekStart,
-            demand: { monday, thursday, weekly: weeklyAvg },
+            demand: { dayQtys, weekly: weeklyAvg },
             vendors: vendorList,
         });
 
@@ -173,7 +179,13 @@ export default function SupplyCapacityDashboard() {
             console.log(`[Capacity] Loaded ${allItems.length} vendor items`);
             const orderRecords = await fetchOrderHistory(12);
             console.log(`[Capacity] Loaded ${orderRecords.length} order records`);
-            const forecasts = computeCapacityForecasts(allItems, orderRecords);
+            let schedules = {};
+            try {
+                schedules = await fetchDeliverySchedules();
+            } catch (err) {
+                console.warn('[Capacity] Could not load delivery schedules, using the default days:', err);
+            }
+            const forecasts = computeCapacityForecasts(allItems, orderRecords, schedules);
             console.log(`[Capacity] Computed ${forecasts.length} capacity forecasts`);
             setAllForecasts(forecasts);
         } catch (err) {
@@ -195,6 +207,9 @@ export default function SupplyCapacityDashboard() {
         return data;
     }, [search, selectedCategory, selectedHealth, allForecasts]);
 
+    // One column per delivery day any listed item runs on
+    const routeDays = useMemo(() => normalizeDeliveryDays(rows.flatMap(r => r.routeDays)), [rows]);
+
     const healthy = allForecasts.filter(f => f.supplyHealthStatus === 'Healthy').length;
     const tight = allForecasts.filter(f => f.supplyHealthStatus === 'Tight' || f.supplyHealthStatus === 'Watch').length;
     const shortage = allForecasts.filter(f => f.supplyHealthStatus === 'Shortage Risk').length;
@@ -339,7 +354,8 @@ export default function SupplyCapacityDashboard() {
                                         <tr>
                                             <th style={thS}>Item</th><th style={thS}>Category</th><th style={thS}>Demand</th>
                                             <th style={thS}>Capacity</th><th style={thS}>Gap</th><th style={thS}>Status</th>
-                                            <th style={thS}>Mon</th><th style={thS}>Thu</th><th style={thS}>Vendors</th>
+                                            {routeDays.map(day => <th key={day} style={thS}>{day.slice(0, 3)}</th>)}
+                                            <th style={thS}>Vendors</th>
                                             <th style={thS}></th>
                                         </tr>
                                     </thead>
@@ -360,16 +376,15 @@ export default function SupplyCapacityDashboard() {
                                                             {hl.icon} {hl.text}
                                                         </span>
                                                     </td>
-                                                    <td style={{ ...tdS, fontSize: 12 }}>
-                                                        <span style={{ color: supplyHealthLabel(r.mondayCapacity > 0 && r.mondayForecastDemand > 0 ? (r.mondayCapacity - Math.ceil(r.mondayForecastDemand * (1 + r.safetyMargin))) / Math.ceil(r.mondayForecastDemand * (1 + r.safetyMargin)) : 1).color }}>
-                                                            {r.mondayHealth}
-                                                        </span>
-                                                    </td>
-                                                    <td style={{ ...tdS, fontSize: 12 }}>
-                                                        <span style={{ color: supplyHealthLabel(r.thursdayCapacity > 0 && r.thursdayForecastDemand > 0 ? (r.thursdayCapacity - Math.ceil(r.thursdayForecastDemand * (1 + r.safetyMargin))) / Math.ceil(r.thursdayForecastDemand * (1 + r.safetyMargin)) : 1).color }}>
-                                                            {r.thursdayHealth}
-                                                        </span>
-                                                    </td>
+                                                    {routeDays.map(day => (
+                                                        <td key={day} style={{ ...tdS, fontSize: 12 }}>
+                                                            {r.dayHealth[day] ? (
+                                                                <span style={{ color: supplyHealthLabel(r.dayGapPct[day]).color }}>
+                                                                    {r.dayHealth[day]}
+                                                                </span>
+                                                            ) : <span style={{ color: C.muted }}>—</span>}
+                                                        </td>
+                                                    ))}
                                                     <td style={{ ...tdS, color: C.muted }}>{r.activeVendorCount}</td>
                                                     <td style={tdS}>
                                                         <button onClick={e => { e.stopPropagation(); setDrawerRow(r); }} style={{
@@ -382,7 +397,7 @@ export default function SupplyCapacityDashboard() {
                                             );
                                         })}
                                         {rows.length === 0 && (
-                                            <tr><td colSpan={10} style={{ padding: 40, textAlign: 'center', color: C.muted }}>No items match filters</td></tr>
+                                            <tr><td colSpan={8 + routeDays.length} style={{ padding: 40, textAlign: 'center', color: C.muted }}>No items match filters</td></tr>
                                         )}
                                     </tbody>
                                 </table>
@@ -459,11 +474,10 @@ function CapacityDrawer({ row, onClose }) {
             <div style={{ padding: '16px 20px', borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
                 <div style={{ fontSize: 12, fontWeight: 700, color: C.purple, textTransform: 'uppercase', letterSpacing: 0.4, marginBottom: 10 }}>📅 Delivery Day Breakdown</div>
                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 10 }}>
-                    {[
-                        { day: 'Monday', demand: row.mondayForecastDemand, cap: row.mondayCapacity, health: row.mondayHealth, gap: row.mondayGap },
-                        { day: 'Thursday', demand: row.thursdayForecastDemand, cap: row.thursdayCapacity, health: row.thursdayHealth, gap: row.thursdayGap },
-                    ].map((d, i) => {
-                        const dhl = supplyHealthLabel(d.cap > 0 && d.demand > 0 ? (d.gap) / (d.demand * (1 + row.safetyMargin)) : 1);
+                    {row.routeDays.map(day => ({
+                        day, demand: row.dayDemand[day], cap: row.dayCapacity[day], health: row.dayHealth[day], gap: row.dayGaps[day],
+                    })).map((d, i) => {
+                        const dhl = supplyHealthLabel(row.dayGapPct[d.day]);
                         return (
                             <div key={i} style={{ padding: '10px 12px', background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.05)', borderRadius: 8 }}>
                                 <div style={{ fontSize: 12, fontWeight: 700, color: C.blue, marginBottom: 6 }}>{d.day}</div>
@@ -496,8 +510,9 @@ function CapacityDrawer({ row, onClose }) {
                             <span style={{ fontWeight: 700, color: C.blue, fontSize: 13 }}>{v.weeklyCapacity} units</span>
                         </div>
                         <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', fontSize: 10 }}>
-                            <span style={{ padding: '2px 6px', borderRadius: 4, background: `${C.blue}15`, color: C.blue }}>Mon: {v.mondayCapacity}</span>
-                            <span style={{ padding: '2px 6px', borderRadius: 4, background: `${C.blue}15`, color: C.blue }}>Thu: {v.thursdayCapacity}</span>
+                            {Object.entries(v.dayCapacities).map(([day, cap]) => (
+                                <span key={day} style={{ padding: '2px 6px', borderRadius: 4, background: `${C.blue}15`, color: C.blue }}>{day.slice(0, 3)}: {cap}</span>
+                            ))}
                             <span style={{ padding: '2px 6px', borderRadius: 4, background: `${C.purple}15`, color: C.purple }}>Share: {Math.round(v.shareOfCapacity * 100)}%</span>
                             <span style={{ padding: '2px 6px', borderRadius: 4, background: `${C.muted}15`, color: C.muted }}>{v.capacityConfidence}</span>
                         </div>
@@ -8,6 +8,7 @@
  * Data sources:
  *   - vendors/{id}/items → vendor catalog, prices
  *   - marketplaceOrders → demand computation (via fetchOrderHistory)
+ *   - restaurants → delivery days each order's demand is routed to (deliveryScheduleService)
  *   - vendorAllocationEngine.allocateDemand() → allocation algorithm
  */
 import React, { useState, useEffect, useMemo } from 'react';
@@ -20,6 +21,8 @@ import { toast } from 'react-toastify';
 import { db } from '../../firebase';
 import { collection, getDocs } from 'firebase/firestore';
 import { fetchOrderHistory } from '../Forecast/forecastHelpers';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { normalizeDeliveryDays, resolveDeliveryDays, getOrderRouteDay, sumDayQtys } from '../../shared/deliverySchedules';
 import {
     allocateDemand, supplyStabilityScore, ALLOCATION_CONFIG,
 } from '../Vendors/vendorAllocationEngine';
@@ -77,7 +80,7 @@ async function loadAllVendorItems() {
     return allItems;
 }
 
-function computeAllocations(allItems, orderRecords) {
+function computeAllocations(allItems, orderRecords, schedules = {}) {
     // 1. Group items by normalized name (across vendors)
     const itemGroups = {};
     allItems.forEach(item => {
@@ -88,23 +91,23 @@ function computeAllocations(allItems, orderRecords) {
     });
 
     // 2. Compute demand per item per day from order history
-    //    Use forecast logic: weekly average over last 12 weeks, split Mon/Thu
-    const itemDemand = {}; // itemName (lower) → { monday: qty, thursday: qty }
+    //    Use forecast logic: weekly average over last 12 weeks, each order on
+    //    its restaurant's route for the day it was delivered
+    const itemDemand = {}; // itemName (lower) → { day → qty }
     orderRecords.forEach(rec => {
         const key = rec.itemName.toLowerCase();
-        if (!itemDemand[key]) itemDemand[key] = { total: 0, count: 0 };
-        itemDemand[key].total += rec.qty;
-        itemDemand[key].count++;
+        const { days } = resolveDeliveryDays({ restaurantDays: schedules.restaurants?.[rec.restaurantId] });
+        const day = getOrderRouteDay(rec, days);
+        if (!itemDemand[key]) itemDemand[key] = {};
+        itemDemand[key][day] = (itemDemand[key][day] || 0) + rec.qty;
     });
 
     // Compute weekly averages (12 weeks of data)
     const weeklyDemand = {};
-    Object.entries(itemDemand).forEach(([key, data]) => {
-        const weeklyAvg = Math.round(data.total / 12); // ~12 weeks
-        weeklyDemand[key] = {
-            monday: Math.round(weeklyAvg * 0.6),   // Mon gets ~60%
-            thursday: Math.round(weeklyAvg * 0.4),  // Thu gets ~40%
-        };
+    Object.entries(itemDemand).forEach(([key, dayTotals]) => {
+        weeklyDemand[key] = Object.fromEntries(
+            Object.entries(dayTotals).map(([day, total]) => [day, Math.round(total / 12)]) // ~12 weeks
+        );
     });
 
     // 3. For each item group with 1+ vendors and demand, run allocation
@@ -112,7 +115,7 @@ function computeAllocations(allItems, orderRecords) {
     Object.entries(itemGroups).forEach(([key, group]) => {
         if (group.vendors.length < 1) return;
         const demand = weeklyDemand[key];
-        if (!demand || (demand.monday + demand.thursday) === 0) return;
+        if (!demand || sumDayQtys(demand) === 0) return;
 
         // Compute competitiveness scores for each vendor
         const prices = group.vendors.map(v => v.price);
@@ -145,9 +148,9 @@ function computeAllocations(allItems, orderRecords) {
             };
         });
 
-        // Run allocations for Monday and Thursday
-        ['Monday', 'Thursday'].forEach(day => {
-            const qty = day === 'Monday' ? demand.monday : demand.thursday;
+        // Run allocations for each delivery day with demand
+        normalizeDeliveryDays(Object.keys(demand)).forEach(day => {
+            const qty = demand[day];
             if (qty <= 0) return;
             const result = allocateDemand({
                 itemName: group.itemName,
@@ -180,7 +183,11 @@ export default function VendorAllocationDashboard() {
             console.log(`[Allocation] Loaded ${allItems.length} vendor items`);
             const orderRecords = await fetchOrderHistory(12);
             console.log(`[Allocation] Loaded ${orderRecords.length} order records`);
-            const allocations = computeAllocations(allItems, orderRecords);
+            const schedules = await fetchDeliverySchedules().catch(err => {
+                console.warn('[Allocation] Could not load delivery schedules, using the default days:', err);
+                return {};
+            });
+            const allocations = computeAllocations(allItems, orderRecords, schedules);
             console.log(`[Allocation] Computed ${allocations.length} allocations`);
             setAllAllocations(allocations);
         } catch (err) {
@@ -192,7 +199,7 @@ export default function VendorAllocationDashboard() {
 
     useEffect(() => { loadData(); }, []);
 
-    const days = useMemo(() => ['All', ...new Set(allAllocations.map(a => a.deliveryDay).filter(Boolean))], [allAllocations]);
+    const days = useMemo(() => ['All', ...normalizeDeliveryDays(allAllocations.map(a => a.deliveryDay))], [allAllocations]);
 
     const rows = useMemo(() => {
         let data = [...allAllocations];
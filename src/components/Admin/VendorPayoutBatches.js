@@ -0,0 +1,444 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { FiChevronDown, FiChevronRight, FiDownload, FiFileText } from 'react-icons/fi';
+import { toast } from 'react-toastify';
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '../../firebase';
+import {
+    subscribeToVendorInvoices,
+    subscribeToInvoiceAdjustments,
+    subscribeToPayoutBatches,
+    createPayoutBatch,
+    markPayoutBatchPaid,
+    cancelPayoutBatch,
+    buildPayoutBankFile,
+} from '../../services/financialEngine';
+import { groupAdjustmentsByInvoice } from '../../shared/invoiceAdjustments';
+import {
+    getDefaultPeriodEnd,
+    getPayoutIneligibility,
+    buildPayoutBatch,
+    validatePayoutBatch,
+} from '../../shared/payoutBatches';
+import { generateRemittanceAdvicePDF } from '../../utils/generateInvoicePDF';
+
+const STATUS_STYLES = {
+    open: { label: 'Awaiting Payment', color: '#f59e0b' },
+    paid: { label: 'Paid', color: '#34d399' },
+    cancelled: { label: 'Cancelled', color: '#94a3b8' },
+};
+
+const money = (n) => `${n < 0 ? '-' : ''}$${Math.abs(Number(n) || 0).toFixed(2)}`;
+
+const inputStyle = { padding: '6px 10px', borderRadius: 6, background: 'rgba(0,0,0,0.4)', color: '#f8fafc', border: '1px solid rgba(255,255,255,0.1)', fontSize: 12, outline: 'none' };
+
+const today = () => new Date().toLocaleDateString('en-CA');
+
+const fileSafe = (s) => String(s || '').replace(/[^\w-]+/g, '_');
+
+function StatusBadge({ status }) {
+    const s = STATUS_STYLES[status] || { label: status || '—', color: '#94a3b8' };
+    return (
+        <span style={{ padding: '2px 8px', borderRadius: 10, fontSize: 11, fontWeight: 700, textTransform: 'uppercase', color: s.color, background: s.color + '1a' }}>{s.label}</span>
+    );
+}
+
+function download(href, fileName) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = fileName;
+    link.click();
+}
+
+/** Per-vendor payouts of one batch, with remittance advice and the pay/cancel actions. */
+function BatchDetail({ batch, busy, onPay, onCancel, onRemittance }) {
+    const [paymentDate, setPaymentDate] = useState(today());
+    const [paymentReference, setPaymentReference] = useState('');
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+            <table className="ui-table" style={{ fontSize: 12, width: '100%' }}>
+                <thead>
+                    <tr>
+                        <th>Vendor</th>
+                        <th>Bank Account</th>
+                        <th style={{ textAlign: 'right' }}>Invoices</th>
+                        <th style={{ textAlign: 'right' }}>Gross</th>
+                        <th style={{ textAlign: 'right' }}>Commission</th>
+                        <th style={{ textAlign: 'right' }}>Adjustments</th>
+                        <th style={{ textAlign: 'right' }}>Net Payout</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {batch.payouts.map(p => (
+                        <tr key={p.vendorId}>
+                            <td>
+                                <div style={{ fontWeight: 600, color: '#e2e8f0' }}>{p.vendorName}</div>
+                                <div style={{ fontSize: 11, color: '#64748b' }}>{p.invoices.map(i => i.invoiceNumber).join(', ')}</div>
+                            </td>
+                            <td>
+                                {p.payoutAccount
+                                    ? <span style={{ color: '#cbd5e1' }}>····{p.payoutAccount.last4}</span>
+                                    : <span style={{ color: '#f59e0b' }}>⚠️ {p.payoutAccountError}</span>}
+                            </td>
+                            <td style={{ textAlign: 'right' }}>{p.invoiceCount}</td>
+                            <td style={{ textAlign: 'right' }}>{money(p.grossTotal)}</td>
+                            <td style={{ textAlign: 'right', color: '#94a3b8' }}>{money(-p.commissionTotal)}</td>
+                            <td style={{ textAlign: 'right', color: p.adjustmentTotal ? '#f59e0b' : '#64748b' }}>{p.adjustmentTotal ? money(p.adjustmentTotal) : '—'}</td>
+                            <td style={{ textAlign: 'right', fontWeight: 700, color: '#4ade80' }}>{money(p.netPayable)}</td>
+                            <td style={{ textAlign: 'right' }}>
+                                <button className="ui-btn ghost mini" onClick={() => onRemittance(batch, p)} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                                    <FiFileText /> Remittance
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {batch.status === 'open' && (
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+                    <span style={{ fontSize: 12, color: '#94a3b8' }}>Paid on</span>
+                    <input style={inputStyle} type="date" value={paymentDate} onChange={e => setPaymentDate(e.target.value)} aria-label="Payment date" />
+                    <input style={{ ...inputStyle, width: 200 }} placeholder={`Bank reference (default ${batch.reference})`} value={paymentReference} onChange={e => setPaymentReference(e.target.value)} />
+                    <button className="ui-btn primary small" disabled={busy || !paymentDate} onClick={() => onPay(batch, paymentDate, paymentReference)}>
+                        {busy ? 'Saving...' : '✅ Mark Batch Paid'}
+                    </button>
+                    <button className="ui-btn ghost small" disabled={busy} onClick={() => onCancel(batch)}>Cancel Batch</button>
+                </div>
+            )}
+            {batch.status === 'paid' && (
+                <div style={{ fontSize: 12, color: '#94a3b8' }}>
+                    Paid {batch.paymentDate} · reference {batch.paymentReference} · by {batch.paidBy}
+                </div>
+            )}
+            {batch.status === 'cancelled' && (
+                <div style={{ fontSize: 12, color: '#94a3b8' }}>
+                    Cancelled by {batch.cancelledBy}: {batch.cancelReason}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * VendorPayoutBatches — pays vendors for a period in one action. Due vendor
+ * invoices are grouped into one payout per vendor (net of commission and
+ * credit/debit notes) by functions/payoutBatches.js; each batch exports a
+ * bank-upload CSV and a remittance advice per vendor, and marking it paid
+ * moves every invoice to paid together and notifies the vendors.
+ */
+export default function VendorPayoutBatches() {
+    const [invoices, setInvoices] = useState([]);
+    const [adjustments, setAdjustments] = useState([]);
+    const [vendors, setVendors] = useState({});
+    const [batches, setBatches] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [periodEnd, setPeriodEnd] = useState(getDefaultPeriodEnd());
+    const [excluded, setExcluded] = useState(() => new Set());
+    const [openVendor, setOpenVendor] = useState(null);
+    const [expanded, setExpanded] = useState(null);
+    const [creating, setCreating] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        const unsubscribeInvoices = subscribeToVendorInvoices(
+            (list) => { setInvoices(list); setLoading(false); },
+            () => setLoading(false)
+        );
+        const unsubscribeAdjustments = subscribeToInvoiceAdjustments({}, setAdjustments);
+        const unsubscribeBatches = subscribeToPayoutBatches(setBatches);
+        getDocs(collection(db, 'vendors'))
+            .then(snap => setVendors(Object.fromEntries(snap.docs.map(d => [d.id, d.data()]))))
+            .catch(err => console.error('[Payouts] Failed to load vendors:', err));
+        return () => { unsubscribeInvoices(); unsubscribeAdjustments(); unsubscribeBatches(); };
+    }, []);
+
+    const adjustmentsByInvoice = useMemo(() => groupAdjustmentsByInvoice(adjustments, 'vendor'), [adjustments]);
+
+    const dueInvoices = useMemo(
+        () => invoices.filter(inv => !getPayoutIneligibility(inv, periodEnd)),
+        [invoices, periodEnd]
+    );
+    const heldCount = useMemo(
+        () => invoices.filter(inv => ['on_hold', 'disputed'].includes(inv.payoutLifecycle) && inv.paymentStatus !== 'PAID').length,
+        [invoices]
+    );
+
+    // Bank details are readable only by Cloud Functions; the preview goes by
+    // the masked account the vendor doc keeps once a valid one is saved
+    const withMaskedAccounts = useCallback((batch) => ({
+        ...batch,
+        payouts: batch.payouts.map(p => {
+            const masked = vendors[p.vendorId]?.payoutAccount || null;
+            return { ...p, payoutAccount: masked, payoutAccountError: masked ? null : 'No payout account on file' };
+        }),
+    }), [vendors]);
+
+    // Everything due, to list per vendor; the selection excludes what finance unticked
+    const due = useMemo(
+        () => withMaskedAccounts(buildPayoutBatch({ invoices: dueInvoices, adjustmentsByInvoice, vendors, periodEnd })),
+        [dueInvoices, adjustmentsByInvoice, vendors, periodEnd, withMaskedAccounts]
+    );
+    const selected = useMemo(
+        () => withMaskedAccounts(buildPayoutBatch({ invoices: dueInvoices.filter(inv => !excluded.has(inv.id)), adjustmentsByInvoice, vendors, periodEnd })),
+        [dueInvoices, excluded, adjustmentsByInvoice, vendors, periodEnd, withMaskedAccounts]
+    );
+    const selectionError = validatePayoutBatch(selected);
+    const missingAccounts = selected.payouts.filter(p => !p.payoutAccount);
+
+    const openBatches = batches.filter(b => b.status === 'open');
+    const awaiting = openBatches.reduce((s, b) => s + (b.totals?.netPayable || 0), 0);
+
+    const toggleInvoices = (ids, include) => {
+        setExcluded(prev => {
+            const next = new Set(prev);
+            ids.forEach(id => (include ? next.delete(id) : next.add(id)));
+            return next;
+        });
+    };
+
+    const handleCreate = async () => {
+        if (selectionError) {
+            toast.error(selectionError);
+            return;
+        }
+        if (missingAccounts.length && !window.confirm(`${missingAccounts.map(p => p.vendorName).join(', ')} ${missingAccounts.length === 1 ? 'has' : 'have'} no valid payout account — the bank file cannot be exported until they have one. Create the batch anyway?`)) return;
+        setCreating(true);
+        try {
+            const result = await createPayoutBatch({ invoiceIds: selected.invoiceIds, periodEnd });
+            toast.success(`✅ ${result.reference}: ${result.vendorCount} vendor(s), ${money(result.totals.netPayable)}`);
+            setExcluded(new Set());
+            setExpanded(result.batchId);
+        } catch (err) {
+            console.error('[Payouts] Create failed:', err);
+            toast.error(`❌ ${err.message || 'Could not create the batch'}`);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handlePay = async (batch, paymentDate, paymentReference) => {
+        if (!window.confirm(`Mark ${batch.reference} paid? ${batch.invoiceCount} invoice(s) move to PAID and ${batch.vendorCount} vendor(s) are notified. This cannot be undone.`)) return;
+        setBusyId(batch.id);
+        try {
+            await markPayoutBatchPaid({ batchId: batch.id, paymentDate, paymentReference });
+            toast.success(`✅ ${batch.reference} paid — vendors notified`);
+        } catch (err) {
+            console.error('[Payouts] Pay failed:', err);
+            toast.error(`❌ ${err.message || 'Could not mark the batch paid'}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleCancel = async (batch) => {
+        const reason = window.prompt(`Cancel ${batch.reference}? Its invoices can be batched again. Reason:`, '');
+        if (reason === null) return;
+        if (!reason.trim()) {
+            toast.error('A reason is required.');
+            return;
+        }
+        setBusyId(batch.id);
+        try {
+            await cancelPayoutBatch({ batchId: batch.id, reason: reason.trim() });
+            toast.info(`${batch.reference} cancelled`);
+        } catch (err) {
+            console.error('[Payouts] Cancel failed:', err);
+            toast.error(`❌ ${err.message || 'Could not cancel the batch'}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleExportCsv = async (batch) => {
+        setBusyId(batch.id);
+        try {
+            const { csv } = await buildPayoutBankFile({ batchId: batch.id });
+            const blob = new Blob([csv], { type: 'text/csv' });
+            const url = URL.createObjectURL(blob);
+            download(url, `${batch.reference}-bank-upload.csv`);
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('[Payouts] Bank file failed:', err);
+            toast.error(`❌ ${err.message || 'Could not build the bank file'}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleRemittance = async (batch, payout) => {
+        try {
+            const pdf = await generateRemittanceAdvicePDF(batch, payout);
+            download(pdf, `Remittance-${batch.reference}-${fileSafe(payout.vendorName)}.pdf`);
+        } catch (err) {
+            console.error('[Payouts] Remittance PDF failed:', err);
+            toast.error('Failed to generate the remittance advice.');
+        }
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4,1fr)', gap: 14 }}>
+                {[
+                    { label: 'Due for Payout', value: money(due.totals.netPayable), color: '#38bdf8', icon: '💰' },
+                    { label: 'Vendors Due', value: due.vendorCount, color: '#a855f7', icon: '🏪' },
+                    { label: 'Awaiting Payment', value: money(awaiting), color: openBatches.length ? '#f59e0b' : '#10b981', icon: '⏳' },
+                    { label: 'On Hold / Disputed', value: heldCount, color: heldCount ? '#f43f5e' : '#10b981', icon: '✋' },
+                ].map(k => (
+                    <div key={k.label} style={{ background: k.color + '0a', border: `1px solid ${k.color}22`, borderRadius: 12, padding: 20 }}>
+                        <div style={{ fontSize: 20, marginBottom: 6 }}>{k.icon}</div>
+                        <div style={{ fontSize: 26, fontWeight: 700, color: k.color }}>{k.value}</div>
+                        <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.3 }}>{k.label}</div>
+                    </div>
+                ))}
+            </div>
+
+            {/* ── New batch ── */}
+            <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, overflow: 'hidden' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12, padding: '14px 16px' }}>
+                    <p style={{ margin: 0, fontSize: 13, color: '#94a3b8' }}>
+                        Unpaid vendor invoices dated up to the period end, not on hold, disputed or already batched. Each vendor is paid its net payout — subtotal less commission, plus credit/debit notes.
+                    </p>
+                    <div style={{ display: 'flex', gap: 8, flexShrink: 0, alignItems: 'center' }}>
+                        <span style={{ fontSize: 12, color: '#94a3b8' }}>Through</span>
+                        <input style={inputStyle} type="date" value={periodEnd} onChange={e => setPeriodEnd(e.target.value)} aria-label="Period end" />
+                        <button className="ui-btn primary small" onClick={handleCreate} disabled={creating || !!selectionError}>
+                            {creating ? 'Creating...' : `Create Batch · ${money(selected.totals.netPayable)}`}
+                        </button>
+                    </div>
+                </div>
+                {loading ? (
+                    <div style={{ padding: 40, textAlign: 'center', color: '#94a3b8', fontSize: 13 }}>Loading vendor invoices...</div>
+                ) : due.payouts.length === 0 ? (
+                    <div style={{ padding: 30, textAlign: 'center', fontSize: 13, color: '#64748b' }}>No vendor invoices are due through {periodEnd}.</div>
+                ) : (
+                    <table className="ui-table" style={{ fontSize: 13, width: '100%' }}>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 28 }}></th>
+                                <th style={{ width: 28 }}></th>
+                                <th>Vendor</th>
+                                <th style={{ textAlign: 'right' }}>Invoices</th>
+                                <th style={{ textAlign: 'right' }}>Gross</th>
+                                <th style={{ textAlign: 'right' }}>Commission</th>
+                                <th style={{ textAlign: 'right' }}>Adjustments</th>
+                                <th style={{ textAlign: 'right' }}>Net Payout</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {due.payouts.map(p => {
+                                const ids = p.invoices.map(i => i.invoiceId);
+                                const chosen = selected.payouts.find(s => s.vendorId === p.vendorId);
+                                const isOpen = openVendor === p.vendorId;
+                                return (
+                                    <React.Fragment key={p.vendorId}>
+                                        <tr>
+                                            <td onClick={() => setOpenVendor(isOpen ? null : p.vendorId)} style={{ color: '#94a3b8', cursor: 'pointer' }}>{isOpen ? <FiChevronDown /> : <FiChevronRight />}</td>
+                                            <td>
+                                                <input type="checkbox" checked={!!chosen} onChange={e => toggleInvoices(ids, e.target.checked)} aria-label={`Pay ${p.vendorName}`} />
+                                            </td>
+                                            <td>
+                                                <div style={{ fontWeight: 600, color: '#e2e8f0' }}>{p.vendorName}</div>
+                                                {!p.payoutAccount && <div style={{ fontSize: 11, color: '#f59e0b' }}>⚠️ {p.payoutAccountError}</div>}
+                                            </td>
+                                            <td style={{ textAlign: 'right' }}>{chosen ? chosen.invoiceCount : 0} / {p.invoiceCount}</td>
+                                            <td style={{ textAlign: 'right' }}>{money(chosen?.grossTotal)}</td>
+                                            <td style={{ textAlign: 'right', color: '#94a3b8' }}>{money(-(chosen?.commissionTotal || 0))}</td>
+                                            <td style={{ textAlign: 'right', color: chosen?.adjustmentTotal ? '#f59e0b' : '#64748b' }}>{chosen?.adjustmentTotal ? money(chosen.adjustmentTotal) : '—'}</td>
+                                            <td style={{ textAlign: 'right', fontWeight: 700, color: '#4ade80' }}>{money(chosen?.netPayable)}</td>
+                                        </tr>
+                                        {isOpen && p.invoices.map(inv => (
+                                            <tr key={inv.invoiceId} style={{ background: 'rgba(0,0,0,0.2)', fontSize: 12 }}>
+                                                <td></td>
+                                                <td>
+                                                    <input type="checkbox" checked={!excluded.has(inv.invoiceId)} onChange={e => toggleInvoices([inv.invoiceId], e.target.checked)} aria-label={`Pay ${inv.invoiceNumber}`} />
+                                                </td>
+                                                <td>
+                                                    <a href={`/admin/invoices/${inv.invoiceId}`} style={{ color: '#38bdf8' }}>{inv.invoiceNumber}</a>
+                                                    <span style={{ color: '#64748b' }}> · {inv.invoiceDate}</span>
+                                                </td>
+                                                <td></td>
+                                                <td style={{ textAlign: 'right' }}>{money(inv.gross)}</td>
+                                                <td style={{ textAlign: 'right', color: '#94a3b8' }}>{money(-inv.commission)}</td>
+                                                <td style={{ textAlign: 'right', color: inv.adjustments ? '#f59e0b' : '#64748b' }}>{inv.adjustments ? money(inv.adjustments) : '—'}</td>
+                                                <td style={{ textAlign: 'right' }}>{money(inv.netPayable)}</td>
+                                            </tr>
+                                        ))}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+                {!loading && due.payouts.length > 0 && selectionError && (
+                    <div style={{ padding: '10px 16px', fontSize: 12, color: '#f59e0b' }}>⚠️ {selectionError}</div>
+                )}
+            </div>
+
+            {/* ── Batches ── */}
+            <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, overflow: 'hidden' }}>
+                {batches.length === 0 ? (
+                    <div style={{ padding: 30, textAlign: 'center' }}>
+                        <div style={{ fontSize: 40, marginBottom: 12 }}>🏦</div>
+                        <div style={{ fontSize: 15, fontWeight: 700, color: '#e2e8f0', marginBottom: 6 }}>No Payout Batches Yet</div>
+                        <div style={{ fontSize: 13, color: '#64748b' }}>Create a batch above to pay vendors for a period.</div>
+                    </div>
+                ) : (
+                    <table className="ui-table" style={{ fontSize: 13, width: '100%' }}>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 28 }}></th>
+                                <th>Batch</th>
+                                <th>Status</th>
+                                <th style={{ textAlign: 'right' }}>Vendors</th>
+                                <th style={{ textAlign: 'right' }}>Invoices</th>
+                                <th style={{ textAlign: 'right' }}>Commission</th>
+                                <th style={{ textAlign: 'right' }}>Net Payout</th>
+                                <th style={{ textAlign: 'right' }}>Bank File</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {batches.map(b => {
+                                const isOpen = expanded === b.id;
+                                return (
+                                    <React.Fragment key={b.id}>
+                                        <tr onClick={() => setExpanded(isOpen ? null : b.id)} style={{ cursor: 'pointer', opacity: b.status === 'cancelled' ? 0.6 : 1 }}>
+                                            <td style={{ color: '#94a3b8' }}>{isOpen ? <FiChevronDown /> : <FiChevronRight />}</td>
+                                            <td>
+                                                <div style={{ fontWeight: 600, color: '#e2e8f0' }}>{b.reference}</div>
+                                                <div style={{ fontSize: 11, color: '#64748b' }}>
+                                                    Through {b.periodEnd} · by {b.createdBy}
+                                                    {b.createdAt?.toDate && ` · ${b.createdAt.toDate().toLocaleDateString('en-CA', { month: 'short', day: 'numeric' })}`}
+                                                </div>
+                                            </td>
+                                            <td><StatusBadge status={b.status} /></td>
+                                            <td style={{ textAlign: 'right' }}>{b.vendorCount}</td>
+                                            <td style={{ textAlign: 'right' }}>{b.invoiceCount}</td>
+                                            <td style={{ textAlign: 'right', color: '#94a3b8' }}>{money(b.totals?.commission)}</td>
+                                            <td style={{ textAlign: 'right', fontWeight: 700, color: '#4ade80' }}>{money(b.totals?.netPayable)}</td>
+                                            <td style={{ textAlign: 'right' }}>
+                                                {b.status !== 'cancelled' && (
+                                                    <button className="ui-btn ghost mini" onClick={e => { e.stopPropagation(); handleExportCsv(b); }} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+                                                        <FiDownload /> CSV
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                        {isOpen && (
+                                            <tr>
+                                                <td colSpan={8} style={{ background: 'rgba(0,0,0,0.2)', padding: 12 }}>
+                                                    <BatchDetail batch={b} busy={busyId === b.id} onPay={handlePay} onCancel={handleCancel} onRemittance={handleRemittance} />
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -5,7 +5,12 @@
  *   - Restaurant Invoices / AdminRestaurantInvoicesPage
  *   - Vendor Invoices / AdminInvoicesPage
  *   - Commission Summary (derived from invoice data)
+ *   - Commission Rules (rule versions and the impact simulator, src/shared/commissionRules.js)
  *   - Payment Tracking (derived from invoice data)
+ *   - Vendor Payouts (payout batches from functions/payoutBatches.js)
+ *   - AR Aging (open restaurant balances by days past due)
+ *   - Sales Tax (tax collected per filing period, src/shared/taxEngine.js)
+ *   - Reconciliation (weekly reports from functions/reconciliation.js)
  *
  * Old routes redirect here via ?tab= parameter.
  */
@@ -17,6 +22,11 @@ import EmptyStatePanel from './EmptyStatePanel';
 
 import AdminRestaurantInvoicesPage from '../Admin/AdminRestaurantInvoicesPage';
 import AdminInvoicesPage from '../Admin/AdminInvoicesPage';
+import ReconciliationDashboard from '../Admin/ReconciliationDashboard';
+import ARAgingReport from '../Admin/ARAgingReport';
+import SalesTaxReport from '../Admin/SalesTaxReport';
+import VendorPayoutBatches from '../Admin/VendorPayoutBatches';
+import CommissionRulesManager from '../Admin/CommissionRulesManager';
 
 import { db } from '../../firebase';
 import { collection, getDocs } from 'firebase/firestore';
@@ -165,18 +175,48 @@ export default function FinancePage() {
             icon: '💵',
             content: <CommissionSummaryTab financials={financials} />,
         },
+        {
+            key: 'commission-rules',
+            label: 'Commission Rules',
+            icon: '📐',
+            content: <CommissionRulesManager />,
+        },
         {
             key: 'payments',
             label: 'Payment Tracking',
             icon: '📊',
             content: <PaymentTrackingTab financials={financials} />,
         },
+        {
+            key: 'vendor-payouts',
+            label: 'Vendor Payouts',
+            icon: '🏦',
+            content: <VendorPayoutBatches />,
+        },
+        {
+            key: 'aging',
+            label: 'AR Aging',
+            icon: '⏳',
+            content: <ARAgingReport />,
+        },
+        {
+            key: 'sales-tax',
+            label: 'Sales Tax',
+            icon: '🏛️',
+            content: <SalesTaxReport />,
+        },
+        {
+            key: 'reconciliation',
+            label: 'Reconciliation',
+            icon: '🧮',
+            content: <ReconciliationDashboard />,
+        },
     ], [financials]);
 
     return (
         <TabbedPageShell
             title="Finance"
-            subtitle="Restaurant invoices, vendor invoices, commissions, and payment tracking."
+            subtitle="Restaurant invoices, vendor invoices, commissions and commission rules, payment tracking, vendor payouts, receivables aging, sales tax, and weekly reconciliation."
             icon="💰"
             tabs={tabs}
             defaultTab="restaurant-invoices"
@@ -7,6 +7,7 @@
  *   - Dispatch Confirmations / DispatchConfirmationsPage
  *   - Delivery Status / DeliveryStatusPage
  *   - Issues & Disputes / IssuesDisputesPage
+ *   - Delivery Schedules / DeliverySchedulesPage
  *
  * Old routes redirect here via ?tab= parameter.
  */
@@ -20,6 +21,7 @@ import SubmittedOrdersPage from '../Forecast/SubmittedOrdersPage';
 import DispatchConfirmationsPage from '../Forecast/DispatchConfirmationsPage';
 import DeliveryStatusPage from '../Forecast/DeliveryStatusPage';
 import IssuesDisputesPage from '../Forecast/IssuesDisputesPage';
+import DeliverySchedulesPage from '../Forecast/DeliverySchedulesPage';
 
 export default function OrdersFulfillmentPage() {
     const tabs = useMemo(() => [
@@ -53,6 +55,12 @@ export default function OrdersFulfillmentPage() {
             icon: '🚨',
             content: <IssuesDisputesPage embedded />,
         },
+        {
+            key: 'schedules',
+            label: 'Schedules',
+            icon: '📅',
+            content: <DeliverySchedulesPage embedded />,
+        },
     ], []);
 
     return (
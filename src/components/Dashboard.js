@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { UserContext } from '../contexts/UserContext';
 import { db } from '../firebase';
 import { collection, getDocs, doc, getDoc, query, where } from 'firebase/firestore';
+import { getRouteDayColor } from './Forecast/DispatchShared';
+import { getWeekdayCode } from '../shared/deliverySchedules';
 
 /* ─────────────────────── Color Tokens ─────────────────────── */
 const C = {
@@ -438,7 +440,9 @@ export default function Dashboard() {
                                                 {d.weekLabel || d.weekStart || d.id.slice(-8).toUpperCase()}
                                             </div>
                                             <div style={{ fontSize: 11, color: C.muted, marginTop: 2 }}>
-                                                Mon: <b style={{ color: '#3b82f6' }}>{d.mondayTotalPacks || 0}</b> · Thu: <b style={{ color: '#8b5cf6' }}>{d.thursdayTotalPacks || 0}</b>
+                                                {Object.entries(d.dayTotalPacks || { Monday: d.mondayTotalPacks || 0, Thursday: d.thursdayTotalPacks || 0 }).map(([day, packs], i) => (
+                                                    <span key={day}>{i > 0 && ' · '}{getWeekdayCode(day)}: <b style={{ color: getRouteDayColor(day) }}>{packs}</b></span>
+                                                ))}
                                             </div>
                                         </div>
                                         <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
@@ -2,6 +2,9 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { db } from '../../firebase';
 import { collection, getDocs, onSnapshot } from 'firebase/firestore';
 import { getActiveWeekStart, formatWeekLabel } from './dispatchModel';
+import { getRouteDayColor } from './DispatchShared';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { getPairSchedule, getOrderRouteDay, collectRouteDays, sumDayQtys } from '../../shared/deliverySchedules';
 
 // ── Utility badges ──────────────────────────────────────────────────────────
 const StatusDot = ({ status }) => {
@@ -17,6 +20,7 @@ const StatusDot = ({ status }) => {
 
 export default function CombinedDemandPage({ hideHeader = false }) {
     const [aggregated, setAggregated] = useState([]);
+    const [routeDays, setRouteDays] = useState(() => collectRouteDays([]));
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
     const [viewMode, setViewMode] = useState('demand'); // 'demand' | 'picklist'
@@ -77,6 +81,7 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                                     ...itemData,
                                     price: dbPrice > 0 ? dbPrice : (catalogLookup[name]?.price || 0),
                                     vendor: v.name || 'Unknown Vendor',
+                                    vendorId: v.id,
                                     base_unit: itemData.unit || catalogLookup[name]?.base_unit,
                                     pack_size: itemData.packQuantity || catalogLookup[name]?.pack_size || 1,
                                     pack_label: itemData.itemSize || catalogLookup[name]?.pack_label,
@@ -95,7 +100,17 @@ export default function CombinedDemandPage({ hideHeader = false }) {
             return catalogLookup;
         }
 
-        loadCatalog().then(catalogLookup => {
+        // Delivery days per restaurant / vendor pair
+        async function loadSchedules() {
+            try {
+                return await fetchDeliverySchedules();
+            } catch (err) {
+                console.warn('[CombinedDemand] Could not load delivery schedules, using the default days:', err);
+                return {};
+            }
+        }
+
+        Promise.all([loadCatalog(), loadSchedules()]).then(([catalogLookup, schedules]) => {
             if (cancelled) return;
 
             // 2. Real-time listener on submittedOrders
@@ -108,13 +123,13 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                 const weekOrders = allOrders.filter(o => o.weekStart === activeWeek);
                 console.log(`[CombinedDemand] ${weekOrders.length} submitted orders for week ${activeWeek}`);
 
-                // Aggregate item lines across all restaurants and delivery days
+                // Aggregate item lines across all restaurants and delivery days.
+                // Each line rides its restaurant / vendor pair's route for the order's deliveryDay.
                 const itemMap = {}; // itemName → aggregated data
 
                 weekOrders.forEach(order => {
                     const restId = order.restaurantId || 'unknown';
                     const restName = order.restaurantName || restId;
-                    const deliveryDay = order.deliveryDay || 'Monday';
                     const orderStatus = order.status || 'Submitted';
 
                     (order.items || []).forEach(line => {
@@ -126,29 +141,24 @@ export default function CombinedDemandPage({ hideHeader = false }) {
 
                         if (!itemMap[itemName]) {
                             itemMap[itemName] = {
-                                mondayQty: 0,
-                                thursdayQty: 0,
-                                branches: {}, // restId → { name, mon, thu, status }
+                                dayQtys: {}, // day → qty
+                                branches: {}, // restId → { name, dayQtys, status }
                                 category: line.category || '',
                                 packLabel: line.packLabel || '',
                             };
                         }
 
-                        if (deliveryDay === 'Monday') {
-                            itemMap[itemName].mondayQty += qty;
-                        } else {
-                            itemMap[itemName].thursdayQty += qty;
-                        }
+                        const { days } = getPairSchedule(schedules, catalogLookup[itemName]?.vendorId, order.restaurantId);
+                        const deliveryDay = getOrderRouteDay(order, days);
+                        const dayQtys = itemMap[itemName].dayQtys;
+                        dayQtys[deliveryDay] = (dayQtys[deliveryDay] || 0) + qty;
 
                         // Per-branch tracking
                         if (!itemMap[itemName].branches[restId]) {
-                            itemMap[itemName].branches[restId] = { name: restName, mon: 0, thu: 0, status: orderStatus };
-                        }
-                        if (deliveryDay === 'Monday') {
-                            itemMap[itemName].branches[restId].mon += qty;
-                        } else {
-                            itemMap[itemName].branches[restId].thu += qty;
+                            itemMap[itemName].branches[restId] = { name: restName, dayQtys: {}, status: orderStatus };
                         }
+                        const branchQtys = itemMap[itemName].branches[restId].dayQtys;
+                        branchQtys[deliveryDay] = (branchQtys[deliveryDay] || 0) + qty;
                         // Keep the most advanced status
                         itemMap[itemName].branches[restId].status = orderStatus;
                     });
@@ -159,7 +169,7 @@ export default function CombinedDemandPage({ hideHeader = false }) {
 
                 Object.keys(itemMap).forEach(itemName => {
                     const item = itemMap[itemName];
-                    const totalQty = item.mondayQty + item.thursdayQty;
+                    const totalQty = sumDayQtys(item.dayQtys);
 
                     // Catalog enrichment
                     const catEntry = catalogLookup[itemName] || {};
@@ -222,9 +232,8 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                         const b = item.branches[bId];
                         return {
                             branchName: b.name,
-                            mon: b.mon,
-                            thu: b.thu,
-                            total: b.mon + b.thu,
+                            dayQtys: b.dayQtys,
+                            total: sumDayQtys(b.dayQtys),
                             status: b.status,
                         };
                     }).sort((a, b) => b.total - a.total);
@@ -239,10 +248,7 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                         locationDisplayStr,
                         totalQty,
                         vendorPacks: totalQty,
-                        monVendorPacks: item.mondayQty,
-                        thuVendorPacks: item.thursdayQty,
-                        mondayQty: item.mondayQty,
-                        thursdayQty: item.thursdayQty,
+                        dayQtys: item.dayQtys,
                         vendorName,
                         sortWeight: totalQty,
                         baseUnit: orderUnit,
@@ -261,6 +267,7 @@ export default function CombinedDemandPage({ hideHeader = false }) {
 
                 aggregatedResults.sort((a, b) => b.sortWeight - a.sortWeight);
                 setAggregated(aggregatedResults);
+                setRouteDays(collectRouteDays([{ routeDays: Object.values(itemMap).flatMap(i => Object.keys(i.dayQtys)) }]));
                 setLoading(false);
             }, err => {
                 console.error('[CombinedDemand] Listener error:', err);
@@ -317,9 +324,10 @@ export default function CombinedDemandPage({ hideHeader = false }) {
         filteredAggregated.forEach(item => {
             if (item.totalQty <= 0) return;
             const vendor = item.vendorName || 'Unknown Vendor';
-            if (!rollups[vendor]) rollups[vendor] = { m: 0, t: 0, r: 0, p: 0, c: 0, count: 0 };
-            rollups[vendor].m += item.mondayQty;
-            rollups[vendor].t += item.thursdayQty;
+            if (!rollups[vendor]) rollups[vendor] = { dayQtys: {}, r: 0, p: 0, c: 0, count: 0 };
+            Object.entries(item.dayQtys).forEach(([day, qty]) => {
+                rollups[vendor].dayQtys[day] = (rollups[vendor].dayQtys[day] || 0) + qty;
+            });
             rollups[vendor].r += item.restaurantBilling;
             rollups[vendor].p += item.vendorPayout;
             rollups[vendor].c += item.marketplaceCommission;
@@ -328,9 +336,10 @@ export default function CombinedDemandPage({ hideHeader = false }) {
         return rollups;
     }, [filteredAggregated]);
 
+    // Item / vendor / locations, one column per route day, then pack and financial columns
+    const tableColumns = 9 + routeDays.length;
+
     // Sums
-    const totalMonday = filteredAggregated.reduce((sum, item) => sum + item.mondayQty, 0);
-    const totalThursday = filteredAggregated.reduce((sum, item) => sum + item.thursdayQty, 0);
     const sumVendorPayout = filteredAggregated.reduce((sum, item) => sum + item.vendorPayout, 0);
     const sumCommission = filteredAggregated.reduce((sum, item) => sum + item.marketplaceCommission, 0);
     const sumBilling = filteredAggregated.reduce((sum, item) => sum + item.restaurantBilling, 0);
@@ -494,8 +503,9 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                                         <th style={{ width: 40 }}></th>
                                         <th>Item / Vendor</th>
                                         <th>Locations</th>
-                                        <th style={{ background: 'rgba(77, 171, 247, 0.05)' }}>Monday</th>
-                                        <th style={{ background: 'rgba(132, 94, 247, 0.05)' }}>Thursday</th>
+                                        {routeDays.map(day => (
+                                            <th key={day} style={{ background: `${getRouteDayColor(day)}0d` }}>{day}</th>
+                                        ))}
                                         <th>Vendor Pack Logic</th>
                                         <th>Packs Needed</th>
                                         <th>Catalog Price</th>
@@ -507,7 +517,7 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                                 <tbody>
                                     {filteredAggregated.length === 0 && (
                                         <tr>
-                                            <td colSpan={11} style={{ textAlign: 'center', padding: '32px 16px', color: 'var(--muted)' }}>
+                                            <td colSpan={tableColumns} style={{ textAlign: 'center', padding: '32px 16px', color: 'var(--muted)' }}>
                                                 No items match your filters.
                                             </td>
                                         </tr>
@@ -516,12 +526,13 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                                     {Object.keys(fullGridVendorRollups).map(vendor => (
                                         <React.Fragment key={`vendor-group-${vendor}`}>
                                             <tr style={{ background: 'rgba(0,0,0,0.2)', borderBottom: '2px solid rgba(255,255,255,0.05)' }}>
-                                                <td colSpan={11} style={{ padding: 0 }}>
+                                                <td colSpan={tableColumns} style={{ padding: 0 }}>
                                                     <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '12px 16px' }}>
                                                         <div style={{ fontWeight: 700, color: '#f8fafc', fontSize: 13, textTransform: 'uppercase', letterSpacing: 1 }}>{vendor}</div>
                                                         <div style={{ display: 'flex', gap: 24, fontSize: 13, color: 'var(--muted)' }}>
-                                                            <span>Monday Packs: <b style={{ color: '#3b82f6' }}>{fullGridVendorRollups[vendor].m}</b></span>
-                                                            <span>Thursday Packs: <b style={{ color: '#8b5cf6' }}>{fullGridVendorRollups[vendor].t}</b></span>
+                                                            {routeDays.map(day => (
+                                                                <span key={day}>{day} Packs: <b style={{ color: getRouteDayColor(day) }}>{fullGridVendorRollups[vendor].dayQtys[day] || 0}</b></span>
+                                                            ))}
                                                             <span>Restaurant Billing: <b style={{ color: '#ec4899' }}>${fullGridVendorRollups[vendor].r.toFixed(2)}</b></span>
                                                             <span>Vendor Payout: <b style={{ color: '#f59e0b' }}>${fullGridVendorRollups[vendor].p.toFixed(2)}</b></span>
                                                             <span>Commission: <b style={{ color: '#10b981' }}>${fullGridVendorRollups[vendor].c.toFixed(2)}</b></span>
@@ -551,12 +562,11 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                                                                 {a.locationDisplayStr}
                                                             </span>
                                                         </td>
-                                                        <td style={{ color: '#3b82f6', fontWeight: 600, background: 'rgba(77, 171, 247, 0.02)' }}>
-                                                            {a.mondayQty > 0 ? a.mondayQty : '0'}
-                                                        </td>
-                                                        <td style={{ color: '#8b5cf6', fontWeight: 600, background: 'rgba(132, 94, 247, 0.02)' }}>
-                                                            {a.thursdayQty > 0 ? a.thursdayQty : '0'}
-                                                        </td>
+                                                        {routeDays.map(day => (
+                                                            <td key={day} style={{ color: getRouteDayColor(day), fontWeight: 600, background: `${getRouteDayColor(day)}05` }}>
+                                                                {a.dayQtys[day] > 0 ? a.dayQtys[day] : '0'}
+                                                            </td>
+                                                        ))}
                                                         <td style={{ fontSize: 13, color: '#f8fafc' }}>
                                                             {a.displayVendorPackStr}
                                                         </td>
@@ -601,7 +611,7 @@ export default function CombinedDemandPage({ hideHeader = false }) {
 
                                                     {expandedItems.has(a.itemName) && a.branchDrilldownData.length > 0 && (
                                                         <tr style={{ borderTop: 'none', borderBottom: '1px solid var(--border)' }}>
-                                                            <td colSpan={11} style={{ padding: 0 }}>
+                                                            <td colSpan={tableColumns} style={{ padding: 0 }}>
                                                                 <div style={{ padding: '16px 40px 24px 64px', background: 'rgba(0,0,0,0.15)', boxShadow: 'inset 0 4px 6px rgba(0,0,0,0.2)' }}>
                                                                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', marginBottom: 12 }}>
                                                                         <h4 style={{ margin: 0, fontSize: 13, color: 'var(--muted)', textTransform: 'uppercase', letterSpacing: 1 }}>Branch Order Breakdown</h4>
@@ -611,8 +621,9 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                                                                         <thead>
                                                                             <tr>
                                                                                 <th style={{ padding: '12px 16px', textAlign: 'left', fontSize: 12, color: 'var(--muted)', borderBottom: '1px solid var(--border)', background: 'rgba(255,255,255,0.02)' }}>Restaurant</th>
-                                                                                <th style={{ padding: '12px 16px', textAlign: 'left', fontSize: 12, color: '#3b82f6', borderBottom: '1px solid var(--border)', background: 'rgba(255,255,255,0.02)' }}>Mon Qty</th>
-                                                                                <th style={{ padding: '12px 16px', textAlign: 'left', fontSize: 12, color: '#8b5cf6', borderBottom: '1px solid var(--border)', background: 'rgba(255,255,255,0.02)' }}>Thu Qty</th>
+                                                                                {routeDays.map(day => (
+                                                                                    <th key={day} style={{ padding: '12px 16px', textAlign: 'left', fontSize: 12, color: getRouteDayColor(day), borderBottom: '1px solid var(--border)', background: 'rgba(255,255,255,0.02)' }}>{day.slice(0, 3)} Qty</th>
+                                                                                ))}
                                                                                 <th style={{ padding: '12px 16px', textAlign: 'left', fontSize: 12, color: 'var(--text-primary)', borderBottom: '1px solid var(--border)', background: 'rgba(255,255,255,0.02)' }}>Total Ordered</th>
                                                                                 <th style={{ padding: '12px 16px', textAlign: 'left', fontSize: 12, color: 'var(--muted)', borderBottom: '1px solid var(--border)', background: 'rgba(255,255,255,0.02)' }}>Order Status</th>
                                                                             </tr>
@@ -621,8 +632,9 @@ export default function CombinedDemandPage({ hideHeader = false }) {
                                                                             {a.branchDrilldownData.map((branch, bid) => (
                                                                                 <tr key={bid}>
                                                                                     <td style={{ padding: '10px 16px', fontSize: 13, fontWeight: 500, borderBottom: '1px solid rgba(255,255,255,0.05)' }}>{branch.branchName}</td>
-                                                                                    <td style={{ padding: '10px 16px', fontSize: 13, fontWeight: 600, color: '#3b82f6', borderBottom: '1px solid rgba(255,255,255,0.05)' }}>{branch.mon}</td>
-                                                                                    <td style={{ padding: '10px 16px', fontSize: 13, fontWeight: 600, color: '#8b5cf6', borderBottom: '1px solid rgba(255,255,255,0.05)' }}>{branch.thu}</td>
+                                                                                    {routeDays.map(day => (
+                                                                                        <td key={day} style={{ padding: '10px 16px', fontSize: 13, fontWeight: 600, color: getRouteDayColor(day), borderBottom: '1px solid rgba(255,255,255,0.05)' }}>{branch.dayQtys[day] || 0}</td>
+                                                                                    ))}
                                                                                     <td style={{ padding: '10px 16px', fontSize: 13, fontWeight: 600, borderBottom: '1px solid rgba(255,255,255,0.05)' }}>{branch.total}</td>
                                                                                     <td style={{ padding: '10px 16px', borderBottom: '1px solid rgba(255,255,255,0.05)' }}><StatusDot status={branch.status} /></td>
                                                                                 </tr>
@@ -644,117 +656,65 @@ export default function CombinedDemandPage({ hideHeader = false }) {
 
                     {viewMode === 'picklist' && (
                         <div style={{ display: 'flex', gap: 24, paddingBottom: 64 }}>
-                            {/* MONDAY PICK LIST */}
-                            <div className="ui-card" style={{ flex: 1, padding: 0, overflow: 'hidden' }}>
-                                <div style={{ padding: 16, background: 'rgba(59, 130, 246, 0.1)', borderBottom: '1px solid var(--border)', display: 'flex', alignItems: 'center', gap: 12 }}>
-                                    <div style={{ width: 12, height: 12, borderRadius: '50%', background: '#3b82f6' }}></div>
-                                    <h3 style={{ margin: 0, color: '#3b82f6', fontSize: 18 }}>Monday Pick Route</h3>
-                                </div>
-
-                                {Object.keys(vendorRollups).map(vendor => {
-                                    const monItems = vendorRollups[vendor].filter(i => i.monVendorPacks > 0);
-                                    if (monItems.length === 0) return null;
-
-                                    const subPacks = monItems.reduce((s, i) => s + i.monVendorPacks, 0);
-                                    const subRestBilling = monItems.reduce((s, i) => s + (i.monVendorPacks * i.catalogSellPrice), 0);
-                                    const subComm = subRestBilling * 0.10;
-                                    const subVendorPayout = subRestBilling * 0.90;
-
-                                    return (
-                                        <div key={vendor} style={{ borderBottom: '1px solid var(--border)' }}>
-                                            <div style={{ padding: '16px 16px 8px 16px', fontSize: 13, color: '#f8fafc', fontWeight: 700, textTransform: 'uppercase' }}>Vendor: {vendor}</div>
-                                            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                                                <thead>
-                                                    <tr>
-                                                        <th style={{ textAlign: 'left', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Item</th>
-                                                        <th style={{ textAlign: 'left', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Zone</th>
-                                                        <th style={{ textAlign: 'center', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Qty</th>
-                                                        <th style={{ width: 60, textAlign: 'center', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Status</th>
-                                                    </tr>
-                                                </thead>
-                                                <tbody>
-                                                    {monItems.map((item, id) => (
-                                                        <tr key={id} style={{ borderTop: '1px solid rgba(255,255,255,0.05)' }}>
-                                                            <td style={{ padding: '10px 16px', fontSize: 13, fontWeight: 500 }}>{item.itemName}</td>
-                                                            <td style={{ padding: '10px 16px', fontSize: 12, color: 'var(--muted)' }}>
-                                                                <span style={{ background: 'rgba(255,255,255,0.05)', padding: '3px 6px', borderRadius: 4 }}>{item.storageZone}</span>
-                                                            </td>
-                                                            <td style={{ padding: '10px 16px', textAlign: 'center', fontSize: 14, fontWeight: 700, color: '#3b82f6' }}>{item.monVendorPacks} <span style={{ fontSize: 11, fontWeight: 400 }}>{item.baseUnit}</span></td>
-                                                            <td style={{ padding: '10px 16px', textAlign: 'center' }}>
-                                                                <input type="checkbox" style={{ width: 18, height: 18, cursor: 'pointer' }} />
-                                                            </td>
-                                                        </tr>
-                                                    ))}
-                                                </tbody>
-                                            </table>
-                                            <div style={{ background: 'rgba(255,255,255,0.02)', padding: '12px 16px', display: 'flex', justifyContent: 'space-between', fontSize: 13, color: 'var(--muted)' }}>
-                                                <div>Subtotal Packs: <b style={{ color: '#f8fafc' }}>{subPacks}</b></div>
-                                                <div style={{ display: 'flex', gap: 16 }}>
-                                                    <span>Rest. Billing: <b style={{ color: '#ec4899' }}>${subRestBilling.toFixed(2)}</b></span>
-                                                    <span>Vendor Payout: <b style={{ color: '#f59e0b' }}>${subVendorPayout.toFixed(2)}</b></span>
-                                                    <span>Comm: <b style={{ color: '#10b981' }}>${subComm.toFixed(2)}</b></span>
-                                                </div>
-                                            </div>
+                            {routeDays.map(day => {
+                                const color = getRouteDayColor(day);
+                                return (
+                                    <div key={day} className="ui-card" style={{ flex: 1, padding: 0, overflow: 'hidden' }}>
+                                        <div style={{ padding: 16, background: `${color}1a`, borderBottom: '1px solid var(--border)', display: 'flex', alignItems: 'center', gap: 12 }}>
+                                            <div style={{ width: 12, height: 12, borderRadius: '50%', background: color }}></div>
+                                            <h3 style={{ margin: 0, color, fontSize: 18 }}>{day} Pick Route</h3>
                                         </div>
-                                    )
-                                })}
-                            </div>
-
-                            {/* THURSDAY PICK LIST */}
-                            <div className="ui-card" style={{ flex: 1, padding: 0, overflow: 'hidden' }}>
-                                <div style={{ padding: 16, background: 'rgba(139, 92, 246, 0.1)', borderBottom: '1px solid var(--border)', display: 'flex', alignItems: 'center', gap: 12 }}>
-                                    <div style={{ width: 12, height: 12, borderRadius: '50%', background: '#8b5cf6' }}></div>
-                                    <h3 style={{ margin: 0, color: '#8b5cf6', fontSize: 18 }}>Thursday Pick Route</h3>
-                                </div>
 
-                                {Object.keys(vendorRollups).map(vendor => {
-                                    const thuItems = vendorRollups[vendor].filter(i => i.thuVendorPacks > 0);
-                                    if (thuItems.length === 0) return null;
-
-                                    const subPacks = thuItems.reduce((s, i) => s + i.thuVendorPacks, 0);
-                                    const subRestBilling = thuItems.reduce((s, i) => s + (i.thuVendorPacks * i.catalogSellPrice), 0);
-                                    const subComm = subRestBilling * 0.10;
-                                    const subVendorPayout = subRestBilling * 0.90;
-
-                                    return (
-                                        <div key={vendor} style={{ borderBottom: '1px solid var(--border)' }}>
-                                            <div style={{ padding: '16px 16px 8px 16px', fontSize: 13, color: '#f8fafc', fontWeight: 700, textTransform: 'uppercase' }}>Vendor: {vendor}</div>
-                                            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                                                <thead>
-                                                    <tr>
-                                                        <th style={{ textAlign: 'left', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Item</th>
-                                                        <th style={{ textAlign: 'left', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Zone</th>
-                                                        <th style={{ textAlign: 'center', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Qty</th>
-                                                        <th style={{ width: 60, textAlign: 'center', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Status</th>
-                                                    </tr>
-                                                </thead>
-                                                <tbody>
-                                                    {thuItems.map((item, id) => (
-                                                        <tr key={id} style={{ borderTop: '1px solid rgba(255,255,255,0.05)' }}>
-                                                            <td style={{ padding: '10px 16px', fontSize: 13, fontWeight: 500 }}>{item.itemName}</td>
-                                                            <td style={{ padding: '10px 16px', fontSize: 12, color: 'var(--muted)' }}>
-                                                                <span style={{ background: 'rgba(255,255,255,0.05)', padding: '3px 6px', borderRadius: 4 }}>{item.storageZone}</span>
-                                                            </td>
-                                                            <td style={{ padding: '10px 16px', textAlign: 'center', fontSize: 14, fontWeight: 700, color: '#8b5cf6' }}>{item.thuVendorPacks} <span style={{ fontSize: 11, fontWeight: 400 }}>{item.baseUnit}</span></td>
-                                                            <td style={{ padding: '10px 16px', textAlign: 'center' }}>
-                                                                <input type="checkbox" style={{ width: 18, height: 18, cursor: 'pointer' }} />
-                                                            </td>
-                                                        </tr>
-                                                    ))}
-                                                </tbody>
-                                            </table>
-                                            <div style={{ background: 'rgba(255,255,255,0.02)', padding: '12px 16px', display: 'flex', justifyContent: 'space-between', fontSize: 13, color: 'var(--muted)' }}>
-                                                <div>Subtotal Packs: <b style={{ color: '#f8fafc' }}>{subPacks}</b></div>
-                                                <div style={{ display: 'flex', gap: 16 }}>
-                                                    <span>Rest. Billing: <b style={{ color: '#ec4899' }}>${subRestBilling.toFixed(2)}</b></span>
-                                                    <span>Vendor Payout: <b style={{ color: '#f59e0b' }}>${subVendorPayout.toFixed(2)}</b></span>
-                                                    <span>Comm: <b style={{ color: '#10b981' }}>${subComm.toFixed(2)}</b></span>
+                                        {Object.keys(vendorRollups).map(vendor => {
+                                            const dayItems = vendorRollups[vendor].filter(i => i.dayQtys[day] > 0);
+                                            if (dayItems.length === 0) return null;
+
+                                            const subPacks = dayItems.reduce((s, i) => s + i.dayQtys[day], 0);
+                                            const subRestBilling = dayItems.reduce((s, i) => s + (i.dayQtys[day] * i.catalogSellPrice), 0);
+                                            const subComm = subRestBilling * 0.10;
+                                            const subVendorPayout = subRestBilling * 0.90;
+
+                                            return (
+                                                <div key={vendor} style={{ borderBottom: '1px solid var(--border)' }}>
+                                                    <div style={{ padding: '16px 16px 8px 16px', fontSize: 13, color: '#f8fafc', fontWeight: 700, textTransform: 'uppercase' }}>Vendor: {vendor}</div>
+                                                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                                                        <thead>
+                                                            <tr>
+                                                                <th style={{ textAlign: 'left', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Item</th>
+                                                                <th style={{ textAlign: 'left', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Zone</th>
+                                                                <th style={{ textAlign: 'center', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Qty</th>
+                                                                <th style={{ width: 60, textAlign: 'center', fontSize: 11, color: 'var(--muted)', padding: '0 16px 8px 16px' }}>Status</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody>
+                                                            {dayItems.map((item, id) => (
+                                                                <tr key={id} style={{ borderTop: '1px solid rgba(255,255,255,0.05)' }}>
+                                                                    <td style={{ padding: '10px 16px', fontSize: 13, fontWeight: 500 }}>{item.itemName}</td>
+                                                                    <td style={{ padding: '10px 16px', fontSize: 12, color: 'var(--muted)' }}>
+                                                                        <span style={{ background: 'rgba(255,255,255,0.05)', padding: '3px 6px', borderRadius: 4 }}>{item.storageZone}</span>
+                                                                    </td>
+                                                                    <td style={{ padding: '10px 16px', textAlign: 'center', fontSize: 14, fontWeight: 700, color }}>{item.dayQtys[day]} <span style={{ fontSize: 11, fontWeight: 400 }}>{item.baseUnit}</span></td>
+                                                                    <td style={{ padding: '10px 16px', textAlign: 'center' }}>
+                                                                        <input type="checkbox" style={{ width: 18, height: 18, cursor: 'pointer' }} />
+                                                                    </td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                    <div style={{ background: 'rgba(255,255,255,0.02)', padding: '12px 16px', display: 'flex', justifyContent: 'space-between', fontSize: 13, color: 'var(--muted)' }}>
+                                                        <div>Subtotal Packs: <b style={{ color: '#f8fafc' }}>{subPacks}</b></div>
+                                                        <div style={{ display: 'flex', gap: 16 }}>
+                                                            <span>Rest. Billing: <b style={{ color: '#ec4899' }}>${subRestBilling.toFixed(2)}</b></span>
+                                                            <span>Vendor Payout: <b style={{ color: '#f59e0b' }}>${subVendorPayout.toFixed(2)}</b></span>
+                                                            <span>Comm: <b style={{ color: '#10b981' }}>${subComm.toFixed(2)}</b></span>
+                                                        </div>
+                                                    </div>
                                                 </div>
-                                            </div>
-                                        </div>
-                                    )
-                                })}
-                            </div>
+                                            )
+                                        })}
+                                    </div>
+                                );
+                            })}
                         </div>
                     )}
                 </>
@@ -0,0 +1,236 @@
+/**
+ * DeliverySchedulesPage.js
+ *
+ * Delivery days per vendor and per restaurant / vendor pair — the schedule
+ * dispatch routes, the forecast split, the pick list and delivery tracking
+ * follow (src/shared/deliverySchedules.js). Restaurant days are edited on
+ * Manage Restaurants and shown here read-only.
+ */
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import { toast } from 'react-toastify';
+import { UserContext } from '../../contexts/UserContext';
+import { getRouteDayColor } from './DispatchShared';
+import { fetchDeliverySchedules, saveVendorDeliveryDays, savePairSchedule } from '../../services/deliveryScheduleService';
+import { WEEKDAYS, normalizeDeliveryDays, getWeekdayCode, getPairSchedule, getPairScheduleId } from '../../shared/deliverySchedules';
+
+const SOURCE_LABELS = {
+    pair: 'Pair override',
+    shared: 'Days both deliver',
+    restaurant: 'Restaurant days',
+    vendor: 'Vendor days',
+    default: 'Default (Monday / Thursday)',
+};
+
+const cardStyle = { background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.07)', borderRadius: 12, padding: 22, marginBottom: 20 };
+const selectStyle = { padding: '8px 12px', borderRadius: 8, background: 'rgba(0,0,0,0.4)', color: '#f8fafc', border: '1px solid rgba(255,255,255,0.1)', fontSize: 13, minWidth: 200 };
+
+function DayChips({ days, onToggle, disabled }) {
+    return (
+        <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
+            {WEEKDAYS.map(day => {
+                const on = days.includes(day);
+                const color = getRouteDayColor(day);
+                return (
+                    <button key={day} type="button" disabled={disabled || !onToggle} onClick={() => onToggle?.(day)} title={day} style={{
+                        padding: '4px 9px', borderRadius: 6, fontSize: 11, fontWeight: 700,
+                        cursor: disabled || !onToggle ? 'default' : 'pointer',
+                        background: on ? `${color}26` : 'rgba(255,255,255,0.03)',
+                        color: on ? color : '#64748b',
+                        border: `1px solid ${on ? `${color}59` : 'rgba(255,255,255,0.08)'}`,
+                    }}>
+                        {getWeekdayCode(day)}
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
+
+const toggleDay = (days, day) => normalizeDeliveryDays(days.includes(day) ? days.filter(d => d !== day) : [...days, day]);
+
+export default function DeliverySchedulesPage() {
+    const { displayName } = useContext(UserContext);
+    const [schedules, setSchedules] = useState(null);
+    const [vendorEdits, setVendorEdits] = useState({});
+    const [vendorId, setVendorId] = useState('');
+    const [restaurantId, setRestaurantId] = useState('');
+    const [pairDays, setPairDays] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const load = async () => {
+        try {
+            setSchedules(await fetchDeliverySchedules());
+        } catch (err) {
+            console.error('[DeliverySchedules] Load error:', err);
+            toast.error('Could not load delivery schedules');
+            setSchedules({ restaurants: {}, vendors: {}, pairs: {}, names: { restaurants: {}, vendors: {} } });
+        }
+    };
+
+    useEffect(() => { load(); }, []);
+
+    // Selecting a pair starts from its current override
+    useEffect(() => {
+        if (!schedules || !vendorId || !restaurantId) return;
+        setPairDays(schedules.pairs[getPairScheduleId(vendorId, restaurantId)] || []);
+    }, [schedules, vendorId, restaurantId]);
+
+    const byName = (names) => Object.keys(names).sort((a, b) => names[a].localeCompare(names[b]));
+    const vendorIds = schedules ? byName(schedules.names.vendors) : [];
+    const restaurantIds = schedules ? byName(schedules.names.restaurants) : [];
+
+    // Pairs whose restaurant and vendor days never meet, with no override
+    const conflicts = useMemo(() => {
+        if (!schedules) return [];
+        const out = [];
+        Object.keys(schedules.vendors).forEach(vId => {
+            Object.keys(schedules.restaurants).forEach(rId => {
+                const resolved = getPairSchedule(schedules, vId, rId);
+                if (resolved.conflict) out.push({ vendorId: vId, restaurantId: rId, ...resolved });
+            });
+        });
+        return out;
+    }, [schedules]);
+
+    const handleSaveVendor = async (vId) => {
+        setSaving(true);
+        try {
+            await saveVendorDeliveryDays(vId, vendorEdits[vId], { displayName });
+            setVendorEdits(prev => { const next = { ...prev }; delete next[vId]; return next; });
+            await load();
+            toast.success(`Delivery days saved for ${schedules.names.vendors[vId]}`);
+        } catch (err) {
+            console.error('[DeliverySchedules] Vendor save error:', err);
+            toast.error(err.message || 'Failed to save delivery days');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSavePair = async (days) => {
+        setSaving(true);
+        try {
+            await savePairSchedule(vendorId, restaurantId, days, { displayName });
+            await load();
+            toast.success(days.length ? 'Pair override saved' : 'Pair override removed');
+        } catch (err) {
+            console.error('[DeliverySchedules] Pair save error:', err);
+            toast.error(err.message || 'Failed to save pair override');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!schedules) return <div style={{ padding: 48, textAlign: 'center', color: '#94a3b8' }}>Loading delivery schedules...</div>;
+
+    const resolved = vendorId && restaurantId ? getPairSchedule(schedules, vendorId, restaurantId) : null;
+
+    return (
+        <div style={{ padding: '24px 32px', maxWidth: 1400, margin: '0 auto', color: '#f8fafc', paddingBottom: 80 }}>
+            {/* Header */}
+            <div style={{ marginBottom: 22 }}>
+                <h1 style={{ fontSize: 26, fontWeight: 700, margin: '0 0 6px 0', background: 'linear-gradient(90deg,#f8fafc,#94a3b8)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent' }}>
+                    Delivery Schedules
+                </h1>
+                <p style={{ color: '#94a3b8', fontSize: 14, margin: 0 }}>
+                    A pair delivers on its override, else on the days the restaurant and vendor share, else on whichever is set — Monday / Thursday when neither is. Restaurant days are set on Manage Restaurants.
+                </p>
+            </div>
+
+            {/* Pair schedule */}
+            <div style={cardStyle}>
+                <h3 style={{ fontSize: 15, fontWeight: 600, margin: '0 0 14px 0', color: '#e2e8f0' }}>Restaurant / Vendor Pair</h3>
+                <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', marginBottom: 16 }}>
+                    <select value={vendorId} onChange={e => setVendorId(e.target.value)} style={selectStyle}>
+                        <option value="">Select vendor…</option>
+                        {vendorIds.map(id => <option key={id} value={id}>{schedules.names.vendors[id]}</option>)}
+                    </select>
+                    <select value={restaurantId} onChange={e => setRestaurantId(e.target.value)} style={selectStyle}>
+                        <option value="">Select restaurant…</option>
+                        {restaurantIds.map(id => <option key={id} value={id}>{schedules.names.restaurants[id]}</option>)}
+                    </select>
+                </div>
+                {resolved ? (
+                    <div style={{ display: 'grid', gridTemplateColumns: '180px 1fr', gap: '10px 16px', alignItems: 'center', fontSize: 13 }}>
+                        <span style={{ color: '#94a3b8' }}>Restaurant days</span>
+                        <DayChips days={schedules.restaurants[restaurantId] || []} />
+                        <span style={{ color: '#94a3b8' }}>Vendor days</span>
+                        <DayChips days={schedules.vendors[vendorId] || []} />
+                        <span style={{ color: '#94a3b8' }}>Override</span>
+                        <DayChips days={pairDays} onToggle={day => setPairDays(prev => toggleDay(prev, day))} disabled={saving} />
+                        <span style={{ color: '#94a3b8' }}>Delivers on</span>
+                        <div style={{ display: 'flex', gap: 10, alignItems: 'center', flexWrap: 'wrap' }}>
+                            <strong>{resolved.days.join(', ')}</strong>
+                            <span style={{ color: '#64748b' }}>{SOURCE_LABELS[resolved.source]}</span>
+                            {resolved.conflict && <span style={{ background: 'rgba(244,63,94,0.12)', color: '#f43f5e', padding: '2px 8px', borderRadius: 10, fontSize: 11, fontWeight: 700 }}>⚠ No shared day — set an override</span>}
+                        </div>
+                        <span />
+                        <div style={{ display: 'flex', gap: 8 }}>
+                            <button className="ui-btn primary small" onClick={() => handleSavePair(pairDays)} disabled={saving || pairDays.length === 0}>{saving ? 'Saving...' : 'Save Override'}</button>
+                            {schedules.pairs[getPairScheduleId(vendorId, restaurantId)] && (
+                                <button className="ui-btn ghost small" onClick={() => handleSavePair([])} disabled={saving}>Remove Override</button>
+                            )}
+                        </div>
+                    </div>
+                ) : (
+                    <div style={{ color: '#64748b', fontSize: 13 }}>Pick a vendor and a restaurant to see or override the days they deliver on.</div>
+                )}
+            </div>
+
+            {/* Conflicts */}
+            {conflicts.length > 0 && (
+                <div style={{ ...cardStyle, borderColor: 'rgba(244,63,94,0.25)' }}>
+                    <h3 style={{ fontSize: 15, fontWeight: 600, margin: '0 0 6px 0', color: '#f43f5e' }}>⚠ Schedule Conflicts ({conflicts.length})</h3>
+                    <p style={{ fontSize: 12, color: '#94a3b8', margin: '0 0 14px 0' }}>These vendors never deliver on a day the restaurant takes deliveries; their orders ride the restaurant's days until an override is set.</p>
+                    <table className="ui-table" style={{ width: '100%', fontSize: 13 }}>
+                        <thead>
+                            <tr><th>Vendor</th><th>Restaurant</th><th>Vendor Days</th><th>Restaurant Days</th><th /></tr>
+                        </thead>
+                        <tbody>
+                            {conflicts.map(c => (
+                                <tr key={`${c.vendorId}__${c.restaurantId}`}>
+                                    <td>{schedules.names.vendors[c.vendorId]}</td>
+                                    <td>{schedules.names.restaurants[c.restaurantId]}</td>
+                                    <td>{schedules.vendors[c.vendorId].join(', ')}</td>
+                                    <td>{schedules.restaurants[c.restaurantId].join(', ')}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        <button className="ui-btn ghost small" onClick={() => { setVendorId(c.vendorId); setRestaurantId(c.restaurantId); }}>Resolve</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {/* Vendor days */}
+            <div style={cardStyle}>
+                <h3 style={{ fontSize: 15, fontWeight: 600, margin: '0 0 14px 0', color: '#e2e8f0' }}>Vendor Delivery Days</h3>
+                <table className="ui-table" style={{ width: '100%', fontSize: 13 }}>
+                    <thead>
+                        <tr><th>Vendor</th><th>Delivers On</th><th /></tr>
+                    </thead>
+                    <tbody>
+                        {vendorIds.map(id => {
+                            const days = vendorEdits[id] || schedules.vendors[id] || [];
+                            return (
+                                <tr key={id}>
+                                    <td style={{ fontWeight: 600 }}>{schedules.names.vendors[id]}</td>
+                                    <td><DayChips days={days} onToggle={day => setVendorEdits(prev => ({ ...prev, [id]: toggleDay(days, day) }))} disabled={saving} /></td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {vendorEdits[id] && (
+                                            <button className="ui-btn primary small" onClick={() => handleSaveVendor(id)} disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                        {vendorIds.length === 0 && (
+                            <tr><td colSpan={3} style={{ padding: 24, textAlign: 'center', color: '#64748b' }}>No vendors found.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
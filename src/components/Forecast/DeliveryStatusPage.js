@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { db } from '../../firebase';
 import { collection, onSnapshot } from 'firebase/firestore';
-import { RouteDayBadge, RaiseIssueModal } from './DispatchShared';
+import { RouteDayBadge, RaiseIssueModal, getRouteDayColor } from './DispatchShared';
+import RoutePlanModal, { StopProgress } from './RoutePlanModal';
+import { collectRouteDays, DEFAULT_DELIVERY_DAYS } from '../../shared/deliverySchedules';
 
 const STATUS_CONFIG = {
     'Awaiting Confirmation': { color: '#fbbf24', bg: 'rgba(251,191,36,0.12)', icon: '⏳' },
@@ -94,6 +96,7 @@ export default function DeliveryStatusPage() {
     const [activeSource, setActiveSource] = useState('All');
     const [search, setSearch] = useState('');
     const [raiseIssue, setRaiseIssue] = useState(null);
+    const [planRouteId, setPlanRouteId] = useState(null);
     const unsubDispatchRef = useRef(null);
     const unsubMarketRef = useRef(null);
 
@@ -164,6 +167,7 @@ export default function DeliveryStatusPage() {
     });
 
     const allStatuses = ['All', ...Object.keys(STATUS_CONFIG)];
+    const routeDays = collectRouteDays(allRecords);
 
     const filtered = allRecords.filter(d => {
         if (activeSource !== 'All' && d.source !== activeSource) return false;
@@ -179,6 +183,9 @@ export default function DeliveryStatusPage() {
         return true;
     });
 
+    // Route being planned, kept live from the snapshot
+    const planRoute = planRouteId ? dispatches.find(d => d.id === planRouteId) : null;
+
     // KPI counts
     const activeCount = allRecords.filter(d => !['Delivered', 'Fulfilled', 'Closed', 'Cancelled'].includes(d.deliveryStatus)).length;
     const deliveredCount = allRecords.filter(d => ['Delivered', 'Fulfilled'].includes(d.deliveryStatus)).length;
@@ -201,7 +208,7 @@ export default function DeliveryStatusPage() {
                     Delivery Status
                 </h1>
                 <p style={{ color: '#94a3b8', fontSize: 14, margin: 0 }}>
-                    End-to-end delivery tracker — dispatch routes and marketplace orders grouped by week.
+                    End-to-end delivery tracker — dispatch routes and marketplace orders grouped by week. Plan a dispatch route's stops to print a driver manifest and track it stop by stop.
                 </p>
             </div>
 
@@ -244,11 +251,11 @@ export default function DeliveryStatusPage() {
                 </div>
                 {/* Route Day filter */}
                 <div style={{ display: 'flex', gap: 6 }}>
-                    {['All', 'Monday', 'Thursday'].map(d => (
+                    {['All', ...routeDays].map(d => (
                         <button key={d} onClick={() => setActiveDay(d)} style={{
                             padding: '6px 14px', borderRadius: 20, fontSize: 12, fontWeight: 700, cursor: 'pointer',
-                            background: activeDay === d ? (d === 'Monday' ? 'rgba(129,140,248,0.15)' : d === 'Thursday' ? 'rgba(167,139,250,0.15)' : 'rgba(255,255,255,0.1)') : 'rgba(255,255,255,0.04)',
-                            color: activeDay === d ? (d === 'Monday' ? '#818cf8' : d === 'Thursday' ? '#a78bfa' : '#f8fafc') : '#94a3b8',
+                            background: activeDay === d ? (d === 'All' ? 'rgba(255,255,255,0.1)' : `${getRouteDayColor(d)}26`) : 'rgba(255,255,255,0.04)',
+                            color: activeDay === d ? (d === 'All' ? '#f8fafc' : getRouteDayColor(d)) : '#94a3b8',
                             border: `1px solid ${activeDay === d ? 'rgba(255,255,255,0.2)' : 'rgba(255,255,255,0.08)'}`,
                         }}>
                             {d === 'All' ? 'All Days' : `📅 ${d}`}
@@ -317,19 +324,28 @@ export default function DeliveryStatusPage() {
                                                 <td style={{ padding: '11px 14px', fontWeight: 600, color: '#f8fafc' }}>{d.vendorName}</td>
                                                 <td style={{ padding: '11px 14px', color: '#94a3b8', fontSize: 12 }}>{d.restaurant}</td>
                                                 <td style={{ padding: '11px 14px', color: '#475569', fontSize: 11, fontFamily: 'monospace', maxWidth: 140, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={d.orderId}>{d.orderId?.slice(0, 22) || '—'}</td>
-                                                <td style={{ padding: '11px 14px' }}><StatusBadge status={d.deliveryStatus} /></td>
+                                                <td style={{ padding: '11px 14px' }}>
+                                                    <StatusBadge status={d.deliveryStatus} />
+                                                    {d.source === 'dispatch' && <StopProgress routePlan={d.raw.routePlan} />}
+                                                </td>
                                                 <td style={{ padding: '11px 14px', color: '#94a3b8', fontSize: 12 }}>{fmt(d.sentAt)}</td>
                                                 <td style={{ padding: '11px 14px', color: '#94a3b8', fontSize: 12 }}>{fmt(d.confirmedAt)}</td>
                                                 <td style={{ padding: '11px 14px', color: '#94a3b8', fontSize: 12 }}>{fmt(d.deliveredAt)}</td>
                                                 <td style={{ padding: '11px 14px', color: '#64748b', fontSize: 12, maxWidth: 160, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={d.notes}>{d.notes || '—'}</td>
-                                                <td style={{ padding: '11px 14px' }}>
+                                                <td style={{ padding: '11px 14px', whiteSpace: 'nowrap' }}>
+                                                    {d.source === 'dispatch' && (
+                                                        <button onClick={() => setPlanRouteId(d.id)}
+                                                            style={{ padding: '4px 10px', borderRadius: 8, fontSize: 11, fontWeight: 700, cursor: 'pointer', background: 'rgba(56,189,248,0.08)', color: '#38bdf8', border: '1px solid rgba(56,189,248,0.2)', whiteSpace: 'nowrap', marginRight: 6 }}>
+                                                            🗺️ {d.raw.routePlan ? 'Stops' : 'Plan'}
+                                                        </button>
+                                                    )}
                                                     <button onClick={() => setRaiseIssue({
                                                         dispatchId: d.orderId,
                                                         vendorId: d.raw.vendorId || '',
                                                         vendorName: d.vendorName || '',
                                                         restaurantId: d.raw.restaurantId || '',
                                                         restaurantName: d.restaurant || '',
-                                                        routeDay: d.routeDay || 'Monday',
+                                                        routeDay: d.routeDay && d.routeDay !== '—' ? d.routeDay : DEFAULT_DELIVERY_DAYS[0],
                                                     })}
                                                         style={{ padding: '4px 10px', borderRadius: 8, fontSize: 11, fontWeight: 700, cursor: 'pointer', background: 'rgba(244,63,94,0.08)', color: '#f43f5e', border: '1px solid rgba(244,63,94,0.2)', whiteSpace: 'nowrap' }}>
                                                         🚨 Issue
@@ -350,6 +366,7 @@ export default function DeliveryStatusPage() {
             </div>
 
             {raiseIssue && <RaiseIssueModal defaults={raiseIssue} onClose={() => setRaiseIssue(null)} />}
+            {planRoute && <RoutePlanModal route={planRoute} onClose={() => setPlanRouteId(null)} />}
         </div>
     );
 }
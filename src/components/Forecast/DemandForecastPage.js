@@ -1,7 +1,10 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { fetchOrderHistory, getRestaurantList, buildRestaurantForecast } from './forecastHelpers';
+import { fetchOrderHistory, fetchForecastConfig, fetchFestivalEvents, getRestaurantList, buildRestaurantForecast, getForecastWeekStart } from './forecastHelpers';
 import { db } from '../../firebase';
 import { collection, getDocs } from 'firebase/firestore';
+import { getRouteDayColor } from './DispatchShared';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { collectRouteDays, getWeekdayCode, sumDayQtys } from '../../shared/deliverySchedules';
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 const CATEGORIES = ['All', 'Produce', 'Packaging', 'Cleaning Supplies'];
@@ -26,8 +29,14 @@ export default function DemandForecastPage() {
         async function loadData() {
             setLoading(true);
             try {
-                const records = await fetchOrderHistory(12);
+                const [records, forecastConfig, festivalEvents, schedules] = await Promise.all([
+                    fetchOrderHistory(12),
+                    fetchForecastConfig(),
+                    fetchFestivalEvents(),
+                    fetchDeliverySchedules().catch(() => ({ restaurants: {} })),
+                ]);
                 const restaurants = getRestaurantList(records);
+                const weekStart = getForecastWeekStart(new Date());
 
                 // Load vendor catalog for pack info
                 const vendorCatalog = {};
@@ -55,7 +64,7 @@ export default function DemandForecastPage() {
                 // Aggregate forecasts across all restaurants
                 const itemMap = {};
                 for (const rest of restaurants) {
-                    const forecast = buildRestaurantForecast(records, rest);
+                    const forecast = buildRestaurantForecast(records, rest, restaurants, {}, { config: forecastConfig, festivalEvents, weekStart, deliveryDays: schedules.restaurants[rest] });
                     forecast.forEach(item => {
                         const key = item.itemName.toLowerCase();
                         if (!itemMap[key]) {
@@ -63,8 +72,7 @@ export default function DemandForecastPage() {
                             itemMap[key] = {
                                 itemName: item.itemName,
                                 category: cat?.category || item.category || 'Produce',
-                                mondayForecast: 0,
-                                thursdayForecast: 0,
+                                dayQtys: {},
                                 weeklyTotal: 0,
                                 confidence: item.confidence || 'Medium',
                                 vendorPackLogic: cat ? `${cat.packSize} / ${cat.packLabel}` : '—',
@@ -73,9 +81,10 @@ export default function DemandForecastPage() {
                                 packSize: cat?.packSize || 1,
                             };
                         }
-                        itemMap[key].mondayForecast += item.mondayQty || 0;
-                        itemMap[key].thursdayForecast += item.thursdayQty || 0;
-                        itemMap[key].weeklyTotal += (item.mondayQty || 0) + (item.thursdayQty || 0);
+                        Object.entries(item.dayQtys || {}).forEach(([day, qty]) => {
+                            itemMap[key].dayQtys[day] = (itemMap[key].dayQtys[day] || 0) + qty;
+                        });
+                        itemMap[key].weeklyTotal += sumDayQtys(item.dayQtys);
                         // Take highest confidence
                         if (item.confidence === 'High') itemMap[key].confidence = 'High';
                         else if (item.confidence === 'Medium' && itemMap[key].confidence === 'Low') itemMap[key].confidence = 'Medium';
@@ -111,18 +120,22 @@ export default function DemandForecastPage() {
             .filter(r => !searchTerm || r.itemName.toLowerCase().includes(searchTerm.toLowerCase()))
             .sort((a, b) => {
                 const dir = sortDir === 'asc' ? 1 : -1;
-                const va = a[sortCol] ?? 0;
-                const vb = b[sortCol] ?? 0;
+                // Route-day columns sort on that day's quantity
+                const va = a[sortCol] ?? a.dayQtys[sortCol] ?? 0;
+                const vb = b[sortCol] ?? b.dayQtys[sortCol] ?? 0;
                 return typeof va === 'string' ? va.localeCompare(vb) * dir : (va - vb) * dir;
             });
     }, [rows, activeCategory, searchTerm, sortCol, sortDir]);
 
-    const totals = useMemo(() => filtered.reduce((acc, r) => ({
-        mon: acc.mon + r.mondayForecast,
-        thu: acc.thu + r.thursdayForecast,
-        total: acc.total + r.weeklyTotal,
-        packs: acc.packs + r.estimatedVendorPacks
-    }), { mon: 0, thu: 0, total: 0, packs: 0 }), [filtered]);
+    // Days any restaurant takes deliveries on this week
+    const routeDays = useMemo(() => collectRouteDays([{ routeDays: rows.flatMap(r => Object.keys(r.dayQtys)) }]), [rows]);
+
+    const totals = useMemo(() => filtered.reduce((acc, r) => {
+        Object.entries(r.dayQtys).forEach(([day, qty]) => { acc.byDay[day] = (acc.byDay[day] || 0) + qty; });
+        acc.total += r.weeklyTotal;
+        acc.packs += r.estimatedVendorPacks;
+        return acc;
+    }, { byDay: {}, total: 0, packs: 0 }), [filtered]);
 
     const SortIcon = ({ col }) => (
         <span style={{ marginLeft: 4, opacity: sortCol === col ? 1 : 0.3, fontSize: 10 }}>
@@ -143,11 +156,10 @@ export default function DemandForecastPage() {
             </div>
 
             {/* KPI Strip */}
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 16, marginBottom: 24 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: `repeat(${routeDays.length + 2}, 1fr)`, gap: 16, marginBottom: 24 }}>
                 {[
                     { label: 'Total Items', value: filtered.length, icon: '📦', color: '#38bdf8' },
-                    { label: 'Monday Total', value: `${totals.mon} units`, icon: '📅', color: '#4dabf7' },
-                    { label: 'Thursday Total', value: `${totals.thu} units`, icon: '📅', color: '#845ef7' },
+                    ...routeDays.map(day => ({ label: `${day} Total`, value: `${totals.byDay[day] || 0} units`, icon: '📅', color: getRouteDayColor(day) })),
                     { label: 'Est. Vendor Packs', value: totals.packs, icon: '🏭', color: '#34d399' },
                 ].map(k => (
                     <div key={k.label} style={{ background: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, padding: 20 }}>
@@ -200,8 +212,7 @@ export default function DemandForecastPage() {
                                     {[
                                         { key: 'itemName', label: 'Item' },
                                         { key: 'category', label: 'Category' },
-                                        { key: 'mondayForecast', label: 'Mon Forecast' },
-                                        { key: 'thursdayForecast', label: 'Thu Forecast' },
+                                        ...routeDays.map(day => ({ key: day, label: `${getWeekdayCode(day)} Forecast` })),
                                         { key: 'weeklyTotal', label: 'Weekly Total' },
                                         { key: 'confidence', label: 'Confidence' },
                                         { key: 'vendorPackLogic', label: 'Vendor Pack' },
@@ -229,8 +240,9 @@ export default function DemandForecastPage() {
                                                     {row.category}
                                                 </span>
                                             </td>
-                                            <td style={{ padding: '11px 16px', color: '#4dabf7', fontWeight: 600 }}>{row.mondayForecast}</td>
-                                            <td style={{ padding: '11px 16px', color: '#845ef7', fontWeight: 600 }}>{row.thursdayForecast}</td>
+                                            {routeDays.map(day => (
+                                                <td key={day} style={{ padding: '11px 16px', color: getRouteDayColor(day), fontWeight: 600 }}>{row.dayQtys[day] || 0}</td>
+                                            ))}
                                             <td style={{ padding: '11px 16px', color: '#f8fafc', fontWeight: 700, fontSize: 15 }}>{row.weeklyTotal}</td>
                                             <td style={{ padding: '11px 16px' }}>
                                                 <span style={{ color: confColor, fontWeight: 700, fontSize: 12 }}>● {row.confidence}</span>
@@ -245,8 +257,9 @@ export default function DemandForecastPage() {
                             <tfoot>
                                 <tr style={{ background: 'rgba(255,255,255,0.04)', borderTop: '1px solid rgba(255,255,255,0.1)', fontWeight: 700 }}>
                                     <td colSpan={2} style={{ padding: '12px 16px', color: '#94a3b8' }}>TOTAL ({filtered.length} items)</td>
-                                    <td style={{ padding: '12px 16px', color: '#4dabf7' }}>{totals.mon}</td>
-                                    <td style={{ padding: '12px 16px', color: '#845ef7' }}>{totals.thu}</td>
+                                    {routeDays.map(day => (
+                                        <td key={day} style={{ padding: '12px 16px', color: getRouteDayColor(day) }}>{totals.byDay[day] || 0}</td>
+                                    ))}
                                     <td style={{ padding: '12px 16px', color: '#f8fafc', fontSize: 15 }}>{totals.total}</td>
                                     <td colSpan={2} />
                                     <td style={{ padding: '12px 16px', color: '#10b981' }}>{totals.packs}</td>
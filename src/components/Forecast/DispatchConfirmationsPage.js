@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { db } from '../../firebase';
 import { collection, onSnapshot } from 'firebase/firestore';
-import { RouteDayBadge, RaiseIssueModal } from './DispatchShared';
+import { RouteDayBadge, RaiseIssueModal, getRouteDayColor } from './DispatchShared';
+import { collectRouteDays, DEFAULT_DELIVERY_DAYS } from '../../shared/deliverySchedules';
 
 // Unified statuses across both dispatch routes and marketplace orders
 const STATUSES = ['All', 'Pending', 'Confirmed', 'In Transit', 'Delivered', 'Fulfilled', 'Rejected', 'Cancelled'];
@@ -158,6 +159,8 @@ export default function DispatchConfirmationsPage() {
         return tb - ta;
     });
 
+    const routeDays = collectRouteDays(allRecords);
+
     const filtered = allRecords.filter(d => {
         if (activeSource !== 'All' && d.source !== activeSource) return false;
         if (activeStatus !== 'All' && d.displayStatus !== activeStatus) return false;
@@ -226,11 +229,11 @@ export default function DispatchConfirmationsPage() {
                 </div>
                 {/* Route Day filter */}
                 <div style={{ display: 'flex', gap: 6 }}>
-                    {['All', 'Monday', 'Thursday'].map(d => (
+                    {['All', ...routeDays].map(d => (
                         <button key={d} onClick={() => setActiveDay(d)} style={{
                             padding: '6px 14px', borderRadius: 20, fontSize: 12, fontWeight: 700, cursor: 'pointer',
-                            background: activeDay === d ? (d === 'Monday' ? 'rgba(129,140,248,0.15)' : d === 'Thursday' ? 'rgba(167,139,250,0.15)' : 'rgba(255,255,255,0.1)') : 'rgba(255,255,255,0.04)',
-                            color: activeDay === d ? (d === 'Monday' ? '#818cf8' : d === 'Thursday' ? '#a78bfa' : '#f8fafc') : '#94a3b8',
+                            background: activeDay === d ? (d === 'All' ? 'rgba(255,255,255,0.1)' : `${getRouteDayColor(d)}26`) : 'rgba(255,255,255,0.04)',
+                            color: activeDay === d ? (d === 'All' ? '#f8fafc' : getRouteDayColor(d)) : '#94a3b8',
                             border: `1px solid ${activeDay === d ? 'rgba(255,255,255,0.2)' : 'rgba(255,255,255,0.08)'}`,
                         }}>
                             {d === 'All' ? 'All Days' : `📅 ${d}`}
@@ -302,7 +305,7 @@ export default function DispatchConfirmationsPage() {
                                                 vendorName: d.vendorName || '',
                                                 restaurantId: d.raw.restaurantId || '',
                                                 restaurantName: d.restaurant || '',
-                                                routeDay: d.routeDay || 'Monday',
+                                                routeDay: d.routeDay && d.routeDay !== '—' ? d.routeDay : DEFAULT_DELIVERY_DAYS[0],
                                             })}
                                                 style={{ padding: '4px 10px', borderRadius: 8, fontSize: 11, fontWeight: 700, cursor: 'pointer', background: 'rgba(244,63,94,0.08)', color: '#f43f5e', border: '1px solid rgba(244,63,94,0.2)', whiteSpace: 'nowrap' }}>
                                                 🚨 Issue
@@ -1,18 +1,28 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { db } from '../../firebase';
 import { collection, onSnapshot, addDoc, serverTimestamp } from 'firebase/firestore';
+import { WEEKDAYS, DEFAULT_DELIVERY_DAYS } from '../../shared/deliverySchedules';
+
+// ── Shared route-day colours and badge ───────────────────────────────────────
+const ROUTE_DAY_COLORS = {
+    Monday: '#818cf8', Tuesday: '#38bdf8', Wednesday: '#34d399', Thursday: '#a78bfa',
+    Friday: '#f59e0b', Saturday: '#f472b6', Sunday: '#fb923c',
+};
+
+export function getRouteDayColor(routeDay) {
+    return ROUTE_DAY_COLORS[routeDay] || '#94a3b8';
+}
 
-// ── Shared route-day badge ────────────────────────────────────────────────────
 export function RouteDayBadge({ routeDay, size = 'normal' }) {
-    const isMonday = routeDay === 'Monday';
+    const color = getRouteDayColor(routeDay);
     const pad = size === 'small' ? '2px 9px' : '3px 11px';
     return (
         <span style={{
-            background: isMonday ? 'rgba(129,140,248,0.13)' : 'rgba(167,139,250,0.13)',
-            color: isMonday ? '#818cf8' : '#a78bfa',
+            background: `${color}21`,
+            color,
             padding: pad, borderRadius: 12, fontSize: 11, fontWeight: 700, whiteSpace: 'nowrap',
         }}>
-            {isMonday ? '📅 Monday' : '📅 Thursday'}
+            📅 {routeDay || '—'}
         </span>
     );
 }
@@ -25,7 +35,7 @@ export function RaiseIssueModal({ defaults = {}, onClose }) {
         restaurantName: defaults.restaurantName || '',
         vendorName: defaults.vendorName || '',
         itemName: defaults.itemName || '',
-        deliveryDay: defaults.routeDay || 'Monday',
+        deliveryDay: defaults.routeDay || DEFAULT_DELIVERY_DAYS[0],
         description: '',
         submittedOrderId: defaults.submittedOrderId || '',
         dispatchId: defaults.dispatchId || '',
@@ -73,7 +83,7 @@ export function RaiseIssueModal({ defaults = {}, onClose }) {
                         <div>
                             <div style={{ fontSize: 11, color: '#94a3b8', marginBottom: 4, fontWeight: 600, textTransform: 'uppercase' }}>Route Day</div>
                             <select value={form.deliveryDay} onChange={e => setForm(f => ({ ...f, deliveryDay: e.target.value }))} style={fs}>
-                                <option>Monday</option><option>Thursday</option>
+                                {WEEKDAYS.map(d => <option key={d}>{d}</option>)}
                             </select>
                         </div>
                     </div>
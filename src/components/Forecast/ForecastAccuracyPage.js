@@ -1,134 +1,378 @@
-import React, { useState, useEffect } from 'react';
-import { fetchOrderHistory, getRestaurantList, buildRestaurantForecast } from './forecastHelpers';
+import React, { useState, useEffect, useContext } from 'react';
+import { UserContext } from '../../contexts/UserContext';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { saveForecastModels, FORECAST_MODELS, DEFAULT_FORECAST_MODEL } from './forecastHelpers';
+import { runModelBacktest, fetchAccuracyHistory } from './forecastAccuracyEngine';
+import { buildAccuracyTrend, latestRunPerWeek, getModelVersion, TREND_GROUPS } from '../../shared/forecastReconciliation';
+
+const MODEL_IDS = Object.keys(FORECAST_MODELS);
+
+const formatPct = (value, signed = false) => (value === null || value === undefined ? '—' : `${signed && value > 0 ? '+' : ''}${value}%`);
+
+function ModelBacktestPanel() {
+    const { userId, displayName } = useContext(UserContext);
+    const [running, setRunning] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [result, setResult] = useState(null);
+    const [defaultModel, setDefaultModel] = useState(DEFAULT_FORECAST_MODEL);
+    const [categoryModels, setCategoryModels] = useState({});
+    const [showItems, setShowItems] = useState(false);
+
+    const handleRun = async () => {
+        setRunning(true);
+        try {
+            const { config, result: backtest } = await runModelBacktest(26);
+            setResult(backtest);
+            setDefaultModel(config.defaultModel || DEFAULT_FORECAST_MODEL);
+            setCategoryModels(config.categoryModels || {});
+        } catch (err) {
+            console.error('Model backtest failed', err);
+            alert('Backtest failed. Check the console for details.');
+        }
+        setRunning(false);
+    };
+
+    const handleCategoryModel = (category, modelId) => {
+        const next = { ...categoryModels };
+        if (!modelId) delete next[category];
+        else next[category] = modelId;
+        setCategoryModels(next);
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const version = await saveForecastModels({ defaultModel, categoryModels }, { userId, displayName });
+            alert(`Model choices saved as config version ${version}. They will apply to the next engine run.`);
+        } catch (err) {
+            console.error('Failed to save model choices', err);
+            alert('Error saving model choices.');
+        }
+        setSaving(false);
+    };
+
+    const bestOverall = result
+        ? MODEL_IDS.filter(id => result.byModel[id]?.mape !== null).sort((a, b) => result.byModel[a].mape - result.byModel[b].mape)[0]
+        : null;
+
+    return (
+        <div className="ui-card" style={{ padding: 24, marginBottom: 24 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+                <div>
+                    <h3 style={{ margin: 0 }}>Model Backtest</h3>
+                    <p style={{ margin: '4px 0 0 0', fontSize: 13, color: 'var(--muted)' }}>
+                        Replays the last 26 weeks of marketplace orders week by week — each model forecasts from earlier orders only.
+                    </p>
+                </div>
+                <button className="ui-btn primary small" onClick={handleRun} disabled={running}>
+                    {running ? 'Running...' : result ? 'Re-run Backtest' : 'Run Backtest'}
+                </button>
+            </div>
+
+            {!result ? null : result.weeks.length === 0 ? (
+                <div style={{ fontSize: 13, color: 'var(--muted)' }}>Not enough order history to backtest — at least 5 weeks of orders are needed.</div>
+            ) : (
+                <>
+                    <div style={{ fontSize: 12, color: 'var(--muted)', marginBottom: 12 }}>
+                        {result.weeks.length} weeks scored ({result.weeks[0]} → {result.weeks[result.weeks.length - 1]}), {result.observations} item-weeks.
+                    </div>
+
+                    <div className="ui-table-wrap" style={{ marginBottom: 24 }}>
+                        <table className="ui-table" style={{ fontSize: 13 }}>
+                            <thead>
+                                <tr>
+                                    <th>Model</th>
+                                    <th>MAPE</th>
+                                    <th>Bias</th>
+                                    <th>Stockout Rate</th>
+                                    <th>Packs Short</th>
+                                    <th>Overage Rate</th>
+                                    <th>Packs Over</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {MODEL_IDS.map(id => {
+                                    const m = result.byModel[id];
+                                    return (
+                                        <tr key={id}>
+                                            <td style={{ fontWeight: 600 }} title={FORECAST_MODELS[id].description}>
+                                                {FORECAST_MODELS[id].label}
+                                                {id === bestOverall && <span style={{ marginLeft: 6, color: '#4ade80', fontSize: 11 }}>★ lowest MAPE</span>}
+                                            </td>
+                                            <td>{formatPct(m.mape)}</td>
+                                            <td style={{ color: m.bias > 0 ? '#ff6b7a' : m.bias < 0 ? '#f59f00' : 'inherit' }}>{formatPct(m.bias, true)}</td>
+                                            <td>{formatPct(m.stockoutRate)}</td>
+                                            <td>{m.stockoutQty}</td>
+                                            <td>{formatPct(m.overageRate)}</td>
+                                            <td>{m.overageQty}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <h4 style={{ margin: '0 0 8px 0' }}>Model per Category</h4>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 12, fontSize: 13 }}>
+                        <label className="ui-label" style={{ margin: 0 }}>Default model</label>
+                        <select className="ui-input" style={{ maxWidth: 220 }} value={defaultModel} onChange={e => setDefaultModel(e.target.value)}>
+                            {MODEL_IDS.map(id => <option key={id} value={id}>{FORECAST_MODELS[id].label}</option>)}
+                        </select>
+                    </div>
+                    <div className="ui-table-wrap" style={{ marginBottom: 12 }}>
+                        <table className="ui-table" style={{ fontSize: 13 }}>
+                            <thead>
+                                <tr>
+                                    <th>Category</th>
+                                    {MODEL_IDS.map(id => <th key={id}>{FORECAST_MODELS[id].label} MAPE / Bias</th>)}
+                                    <th>Model Used</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.entries(result.byCategory).map(([category, { models, recommendedModel }]) => (
+                                    <tr key={category}>
+                                        <td style={{ fontWeight: 600 }}>{category}</td>
+                                        {MODEL_IDS.map(id => (
+                                            <td key={id} style={{ color: id === recommendedModel ? '#4ade80' : 'inherit', fontWeight: id === recommendedModel ? 700 : 400 }}>
+                                                {formatPct(models[id].mape)} / {formatPct(models[id].bias, true)}
+                                            </td>
+                                        ))}
+                                        <td>
+                                            <select className="ui-input" style={{ minWidth: 180 }} value={categoryModels[category] || ''} onChange={e => handleCategoryModel(category, e.target.value)}>
+                                                <option value="">Default ({FORECAST_MODELS[defaultModel].label})</option>
+                                                {MODEL_IDS.map(id => (
+                                                    <option key={id} value={id}>{FORECAST_MODELS[id].label}{id === recommendedModel ? ' ★' : ''}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <button className="ui-btn ghost small" onClick={() => setShowItems(!showItems)}>
+                            {showItems ? 'Hide' : 'Show'} per-item results ({result.byItem.length})
+                        </button>
+                        <button className="ui-btn primary small" onClick={handleSave} disabled={saving}>
+                            {saving ? 'Saving...' : 'Save Model Choices'}
+                        </button>
+                    </div>
+
+                    {showItems && (
+                        <div className="ui-table-wrap" style={{ marginTop: 12 }}>
+                            <table className="ui-table" style={{ fontSize: 12 }}>
+                                <thead>
+                                    <tr>
+                                        <th>Item</th>
+                                        <th>Category</th>
+                                        {MODEL_IDS.map(id => <th key={id}>{FORECAST_MODELS[id].label}</th>)}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.byItem.map(item => (
+                                        <tr key={item.itemId}>
+                                            <td style={{ fontWeight: 600 }}>{item.itemName}</td>
+                                            <td style={{ color: 'var(--muted)' }}>{item.category}</td>
+                                            {MODEL_IDS.map(id => {
+                                                const m = item.models[id];
+                                                return (
+                                                    <td key={id} style={{ color: id === item.bestModel ? '#4ade80' : 'inherit' }}>
+                                                        MAPE {formatPct(m.mape)} · bias {formatPct(m.bias, true)}
+                                                        <div style={{ color: 'var(--muted)', fontSize: 11 }}>short {m.stockoutQty} · over {m.overageQty}</div>
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+function AccuracyTrendPanel({ accuracyDocs }) {
+    const [groupBy, setGroupBy] = useState('restaurant');
+    const trend = buildAccuracyTrend(accuracyDocs, groupBy);
+    const weeks = trend.weeks.slice(-6);
+
+    return (
+        <div className="ui-card" style={{ padding: 24, marginBottom: 24 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+                <div>
+                    <h3 style={{ margin: 0 }}>Week-over-Week Accuracy</h3>
+                    <p style={{ margin: '4px 0 0 0', fontSize: 13, color: 'var(--muted)' }}>
+                        MAPE of the forecast restaurants actually saw, reconciled against fulfilled orders once each delivery week closes.
+                    </p>
+                </div>
+                <select className="ui-input" style={{ maxWidth: 200 }} value={groupBy} onChange={e => setGroupBy(e.target.value)}>
+                    {Object.entries(TREND_GROUPS).map(([key, label]) => <option key={key} value={key}>By {label}</option>)}
+                </select>
+            </div>
+
+            <div className="ui-table-wrap">
+                <table className="ui-table" style={{ fontSize: 13 }}>
+                    <thead>
+                        <tr>
+                            <th>{TREND_GROUPS[groupBy]}</th>
+                            {weeks.map(w => <th key={w}>{w}</th>)}
+                            <th>Bias (latest)</th>
+                            <th>Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr style={{ fontWeight: 700 }}>
+                            <td>All</td>
+                            {weeks.map(w => <td key={w}>{formatPct(trend.overall[w]?.mape)}</td>)}
+                            <td>{formatPct(trend.overall[weeks[weeks.length - 1]]?.bias, true)}</td>
+                            <td />
+                        </tr>
+                        {trend.rows.map(row => (
+                            <tr key={row.key}>
+                                <td style={{ fontWeight: 600 }}>{row.key}</td>
+                                {weeks.map(w => <td key={w}>{formatPct(row.byWeek[w]?.mape)}</td>)}
+                                <td>{formatPct(row.latest?.bias, true)}</td>
+                                <td style={{ fontWeight: 600, color: row.mapeChange === null ? 'var(--muted)' : row.mapeChange <= 0 ? '#4ade80' : '#ff6b7a' }}>
+                                    {row.mapeChange === null ? '—' : `${row.mapeChange > 0 ? '+' : ''}${row.mapeChange} pts`}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
 
 export default function ForecastAccuracyPage() {
-    const [logs, setLogs] = useState([]);
+    const [accuracyDocs, setAccuracyDocs] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [reconciling, setReconciling] = useState(false);
+
+    const loadAccuracy = async () => {
+        setLoading(true);
+        try {
+            setAccuracyDocs(await fetchAccuracyHistory(12));
+        } catch (err) {
+            console.error('ForecastAccuracyPage load error', err);
+        }
+        setLoading(false);
+    };
+
+    useEffect(() => { loadAccuracy(); }, []);
 
-    useEffect(() => {
-        async function loadAccuracy() {
-            setLoading(true);
-            try {
-                const records = await fetchOrderHistory(12);
-                if (records.length === 0) { setLogs([]); setLoading(false); return; }
-
-                const restaurants = getRestaurantList(records);
-                const generatedLogs = [];
-                let logCount = 1;
-
-                // Group orders by date to find the latest and previous cycles
-                const dateSet = new Set();
-                records.forEach(r => { if (r.date) dateSet.add(r.date); });
-                const allDates = [...dateSet].sort((a, b) => new Date(b) - new Date(a));
-                const latestCycle = allDates[0];
-
-                // For each restaurant, build forecast (which simulates what we would have predicted)
-                // then compare with actual latest cycle orders
-                for (const rest of restaurants.slice(0, 3)) {
-                    const forecast = buildRestaurantForecast(records, rest);
-                    const latestActuals = {};
-                    records.filter(r => r.restaurantName === rest && r.date === latestCycle)
-                        .forEach(r => { latestActuals[r.itemName] = (latestActuals[r.itemName] || 0) + r.qty; });
-
-                    forecast.forEach(item => {
-                        const predicted = (item.mondayQty || 0) + (item.thursdayQty || 0);
-                        const actual = latestActuals[item.itemName] || 0;
-                        if (predicted === 0 && actual === 0) return;
-
-                        const varianceQty = actual - predicted;
-                        const variancePercent = predicted > 0 ? Math.round((Math.abs(varianceQty) / predicted) * 100) : 0;
-                        let status = 'Accurate';
-                        if (varianceQty > 0) status = 'Under Forecast';
-                        else if (varianceQty < 0) status = 'Over Forecast';
-
-                        generatedLogs.push({
-                            id: `log-${logCount++}`,
-                            weekStart: latestCycle,
-                            restaurantId: rest,
-                            itemId: item.itemName,
-                            confidenceAtForecastTime: item.confidence || 'Medium',
-                            wasEventAffected: false,
-                            predictedWeeklyQty: predicted,
-                            actualWeeklyQty: actual,
-                            varianceQty, variancePercent, status
-                        });
-                    });
-                }
-
-                setLogs(generatedLogs.sort((a, b) => Math.abs(b.variancePercent) - Math.abs(a.variancePercent)));
-            } catch (err) {
-                console.error('ForecastAccuracyPage load error', err);
-            }
-            setLoading(false);
+    const handleReconcile = async () => {
+        setReconciling(true);
+        try {
+            const reconcile = httpsCallable(getFunctions(), 'reconcileForecastRunsNow');
+            const result = await reconcile();
+            alert(`Reconciled ${result.data?.reconciled || 0} forecast run(s); ${result.data?.skipped || 0} still within their delivery week.`);
+            await loadAccuracy();
+        } catch (err) {
+            console.error('Forecast reconciliation failed', err);
+            alert('Reconciliation failed. Check the console for details.');
         }
-        loadAccuracy();
-    }, []);
+        setReconciling(false);
+    };
+
+    // Detail rows: the latest reconciled week, the run each restaurant actually saw
+    const latestDocs = latestRunPerWeek(accuracyDocs);
+    const latestWeek = latestDocs.map(d => d.weekStart).sort().pop();
+    const logs = latestDocs
+        .filter(d => d.weekStart === latestWeek)
+        .flatMap(d => (d.lines || []).map(l => ({
+            id: `${d.id}-${l.id}`,
+            weekStart: d.weekStart,
+            restaurantId: d.restaurantId,
+            itemName: l.itemName,
+            modelVersion: l.forecast === false ? 'Not forecast' : getModelVersion(l.model, d.configVersion),
+            predictedWeeklyQty: l.predictedQty,
+            actualWeeklyQty: l.actualQty,
+            varianceQty: l.actualQty - l.predictedQty,
+            absPctError: l.absPctError,
+            status: l.errorQty === 0 ? 'Accurate' : l.errorQty > 0 ? 'Over Forecast' : 'Under Forecast',
+        })))
+        .sort((a, b) => Math.abs(b.varianceQty) - Math.abs(a.varianceQty));
 
     return (
         <div style={{ padding: '0 24px', maxWidth: 1200, margin: '0 auto' }}>
-            <div className="page-header" style={{ marginBottom: 24 }}>
+            <div className="page-header" style={{ marginBottom: 24, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                 <div>
                     <h1>Prediction Accuracy Tracking</h1>
                     <p className="subtitle" style={{ margin: 0 }}>Review how well the forecast model performed against actual Firestore order data.</p>
                 </div>
+                <button className="ui-btn ghost small" onClick={handleReconcile} disabled={reconciling}>
+                    {reconciling ? 'Reconciling...' : 'Reconcile Now'}
+                </button>
             </div>
 
+            <ModelBacktestPanel />
+
             {loading ? (
                 <div style={{ padding: 40, textAlign: 'center', color: 'var(--muted)' }}>Retrieving analytical reconciliations...</div>
             ) : logs.length === 0 ? (
                 <div className="ui-card" style={{ padding: 40, textAlign: 'center', color: 'var(--muted)' }}>
-                    No accuracy logs available — insufficient order history in Firestore.
+                    No accuracy logs available — forecast runs are reconciled two days after their delivery week ends.
                 </div>
             ) : (
-                <div className="ui-table-wrap fade-in">
-                    <table className="ui-table">
-                        <thead>
-                            <tr>
-                                <th>Week Start</th>
-                                <th>Restaurant</th>
-                                <th>Item</th>
-                                <th>Confidence</th>
-                                <th>Predicted Total</th>
-                                <th>Actual Ordered</th>
-                                <th>Variance Qty</th>
-                                <th>Variance %</th>
-                                <th>Status Result</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {logs.map(log => {
-                                let statusColor = '#a0aec0';
-                                if (log.status === 'Accurate') statusColor = '#4ade80';
-                                else if (log.status === 'Over Forecast') statusColor = '#ff6b7a';
-                                else if (log.status === 'Under Forecast') statusColor = '#f59f00';
-
-                                return (
-                                    <tr key={log.id}>
-                                        <td data-label="Week Start" style={{ color: 'var(--muted)' }}>{log.weekStart}</td>
-                                        <td data-label="Restaurant" style={{ fontSize: 13, color: 'var(--text-secondary)' }}>{log.restaurantId}</td>
-                                        <td data-label="Item" style={{ fontWeight: 600 }}>{log.itemId}</td>
-                                        <td data-label="Confidence">
-                                            <span style={{ fontSize: 12, padding: '2px 6px', background: 'rgba(255,255,255,0.05)', borderRadius: 4 }}>
-                                                {log.confidenceAtForecastTime}
-                                            </span>
-                                        </td>
-                                        <td data-label="Predicted Total" style={{ color: '#4dabf7', fontWeight: 600 }}>{log.predictedWeeklyQty}</td>
-                                        <td data-label="Actual Ordered" style={{ fontWeight: 600 }}>{log.actualWeeklyQty}</td>
-                                        <td data-label="Variance Qty" style={{ fontWeight: 600, color: log.varianceQty === 0 ? 'var(--text-secondary)' : (log.varianceQty > 0 ? '#f59f00' : '#ff6b7a') }}>
-                                            {(log.varianceQty > 0 ? '+' : '')}{log.varianceQty}
-                                        </td>
-                                        <td data-label="Variance %" style={{ fontWeight: 600 }}>
-                                            {log.variancePercent}%
-                                        </td>
-                                        <td data-label="Status Result">
-                                            <span style={{ color: statusColor, fontWeight: 700, fontSize: 12 }}>{log.status}</span>
-                                        </td>
-                                    </tr>
-                                );
-                            })}
-                        </tbody>
-                    </table>
-                </div>
+                <>
+                    <AccuracyTrendPanel accuracyDocs={accuracyDocs} />
+
+                    <h3 style={{ margin: '0 0 12px 0' }}>Week of {latestWeek}</h3>
+                    <div className="ui-table-wrap fade-in">
+                        <table className="ui-table">
+                            <thead>
+                                <tr>
+                                    <th>Week Start</th>
+                                    <th>Restaurant</th>
+                                    <th>Item</th>
+                                    <th>Model Version</th>
+                                    <th>Predicted Total</th>
+                                    <th>Actual Ordered</th>
+                                    <th>Variance Qty</th>
+                                    <th>Variance %</th>
+                                    <th>Status Result</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {logs.map(log => {
+                                    let statusColor = '#a0aec0';
+                                    if (log.status === 'Accurate') statusColor = '#4ade80';
+                                    else if (log.status === 'Over Forecast') statusColor = '#ff6b7a';
+                                    else if (log.status === 'Under Forecast') statusColor = '#f59f00';
+
+                                    return (
+                                        <tr key={log.id}>
+                                            <td data-label="Week Start" style={{ color: 'var(--muted)' }}>{log.weekStart}</td>
+                                            <td data-label="Restaurant" style={{ fontSize: 13, color: 'var(--text-secondary)' }}>{log.restaurantId}</td>
+                                            <td data-label="Item" style={{ fontWeight: 600 }}>{log.itemName}</td>
+                                            <td data-label="Model Version">
+                                                <span style={{ fontSize: 12, padding: '2px 6px', background: 'rgba(255,255,255,0.05)', borderRadius: 4 }}>
+                                                    {log.modelVersion}
+                                                </span>
+                                            </td>
+                                            <td data-label="Predicted Total" style={{ color: '#4dabf7', fontWeight: 600 }}>{log.predictedWeeklyQty}</td>
+                                            <td data-label="Actual Ordered" style={{ fontWeight: 600 }}>{log.actualWeeklyQty}</td>
+                                            <td data-label="Variance Qty" style={{ fontWeight: 600, color: log.varianceQty === 0 ? 'var(--text-secondary)' : (log.varianceQty > 0 ? '#f59f00' : '#ff6b7a') }}>
+                                                {(log.varianceQty > 0 ? '+' : '')}{log.varianceQty}
+                                            </td>
+                                            <td data-label="Variance %" style={{ fontWeight: 600 }}>
+                                                {formatPct(log.absPctError)}
+                                            </td>
+                                            <td data-label="Status Result">
+                                                <span style={{ color: statusColor, fontWeight: 700, fontSize: 12 }}>{log.status}</span>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
             )}
         </div>
     );
@@ -54,6 +54,31 @@ export const ConfidenceBadge = ({ confidence }) => {
     );
 };
 
+// Festival uplift badges — "+15% Onam Week" per event that changed the line
+export const SeasonalUpliftBadges = ({ uplifts }) => {
+    if (!uplifts || uplifts.length === 0) return null;
+
+    return (
+        <span style={{ display: 'inline-flex', flexWrap: 'wrap', gap: 4 }}>
+            {uplifts.map(u => {
+                const color = u.percent >= 0 ? '#c084fc' : '#f59f00';
+                return (
+                    <span
+                        key={u.eventId || u.eventName}
+                        title={`${u.ruleType === 'item' ? 'Item' : 'Category'} rule — ${u.qtyDelta >= 0 ? '+' : ''}${u.qtyDelta} pack${Math.abs(u.qtyDelta) === 1 ? '' : 's'}`}
+                        style={{
+                            padding: '2px 6px', borderRadius: 4, fontSize: 10, fontWeight: 700, whiteSpace: 'nowrap',
+                            color, background: `${color}1a`, border: `1px solid ${color}4d`
+                        }}
+                    >
+                        {u.percent > 0 ? '+' : ''}{u.percent}% {u.eventName}
+                    </span>
+                );
+            })}
+        </span>
+    );
+};
+
 // Card Widget
 export const ForecastSummaryCard = ({ title, value, subtitle, icon, color = '#4dabf7' }) => {
     return (
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { ForecastSummaryCard } from './ForecastComponents';
-import { fetchOrderHistory, getRestaurantList, buildRestaurantForecast } from './forecastHelpers';
+import { fetchOrderHistory, fetchForecastConfig, getRestaurantList, buildRestaurantForecast } from './forecastHelpers';
+import { getRouteDayColor } from './DispatchShared';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { collectRouteDays, sumDayQtys } from '../../shared/deliverySchedules';
 import {
     BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
 } from 'recharts';
@@ -8,51 +11,56 @@ import {
 export default function ForecastOverviewPage() {
     const [loading, setLoading] = useState(true);
     const [stats, setStats] = useState({
-        totalMon: 0, totalThu: 0, totalWeekly: 0, activeEvents: 0, totalItems: 0
+        totalsByDay: {}, totalWeekly: 0, activeEvents: 0, totalItems: 0
     });
     const [chartData, setChartData] = useState([]);
 
     const fetchOverview = async () => {
         setLoading(true);
         try {
-            const records = await fetchOrderHistory(12);
+            const [records, forecastConfig, schedules] = await Promise.all([
+                fetchOrderHistory(12),
+                fetchForecastConfig(),
+                fetchDeliverySchedules().catch(() => ({ restaurants: {} })),
+            ]);
             if (records.length === 0) {
-                setStats({ totalMon: 0, totalThu: 0, totalWeekly: 0, activeEvents: 0, totalItems: 0 });
+                setStats({ totalsByDay: {}, totalWeekly: 0, activeEvents: 0, totalItems: 0 });
                 setChartData([]);
                 setLoading(false);
                 return;
             }
 
             const restaurants = getRestaurantList(records);
-            let tMon = 0, tThu = 0, tWeek = 0, tItems = 0;
+            const tByDay = {};
+            let tWeek = 0, tItems = 0;
             const catMap = {};
             const seenItems = new Set();
 
-            for (const rest of restaurants) {
-                const forecast = buildRestaurantForecast(records, rest);
-                forecast.forEach(item => {
-                    const mondayQty = item.mondayQty || 0;
-                    const thursdayQty = item.thursdayQty || 0;
-                    const total = mondayQty + thursdayQty;
-                    if (total <= 0) return;
+            const forecastItems = restaurants.flatMap(rest =>
+                buildRestaurantForecast(records, rest, restaurants, {}, { config: forecastConfig, deliveryDays: schedules.restaurants[rest] })
+            );
+            for (const item of forecastItems) {
+                const dayQtys = item.dayQtys || {};
+                const total = sumDayQtys(dayQtys);
+                if (total <= 0) continue;
 
-                    if (!seenItems.has(item.itemName)) {
-                        seenItems.add(item.itemName);
-                        tItems++;
-                    }
-                    tMon += mondayQty;
-                    tThu += thursdayQty;
-                    tWeek += total;
+                if (!seenItems.has(item.itemName)) {
+                    seenItems.add(item.itemName);
+                    tItems++;
+                }
+                tWeek += total;
 
-                    const cat = item.category || 'Other';
-                    if (!catMap[cat]) catMap[cat] = { name: cat, Monday: 0, Thursday: 0 };
-                    catMap[cat].Monday += mondayQty;
-                    catMap[cat].Thursday += thursdayQty;
+                const cat = item.category || 'Other';
+                if (!catMap[cat]) catMap[cat] = { name: cat, total: 0 };
+                Object.entries(dayQtys).forEach(([day, qty]) => {
+                    tByDay[day] = (tByDay[day] || 0) + qty;
+                    catMap[cat][day] = (catMap[cat][day] || 0) + qty;
                 });
+                catMap[cat].total += total;
             }
 
-            setStats({ totalMon: tMon, totalThu: tThu, totalWeekly: tWeek, totalItems: tItems, activeEvents: 0 });
-            setChartData(Object.values(catMap).sort((a, b) => (b.Monday + b.Thursday) - (a.Monday + a.Thursday)).slice(0, 10));
+            setStats({ totalsByDay: tByDay, totalWeekly: tWeek, totalItems: tItems, activeEvents: 0 });
+            setChartData(Object.values(catMap).sort((a, b) => b.total - a.total).slice(0, 10));
         } catch (err) {
             console.error('ForecastOverviewPage load error', err);
         }
@@ -63,6 +71,8 @@ export default function ForecastOverviewPage() {
 
     if (loading) return <div className="page-padding loader-text">Generating Forecast Engine Data...</div>;
 
+    const routeDays = collectRouteDays([{ routeDays: Object.keys(stats.totalsByDay).filter(day => stats.totalsByDay[day] > 0) }]);
+
     return (
         <div className="forecast-dashboard fade-in">
             <div className="flex-between" style={{ marginBottom: 24 }}>
@@ -81,8 +91,9 @@ export default function ForecastOverviewPage() {
             </div>
 
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 20, marginBottom: 24 }}>
-                <ForecastSummaryCard title="Monday Delivery Total" value={`${stats.totalMon.toLocaleString()} units`} subtitle="Across all regions" icon="📦" color="#4dabf7" />
-                <ForecastSummaryCard title="Thursday Delivery Total" value={`${stats.totalThu.toLocaleString()} units`} subtitle="Weekend prep load" icon="🚚" color="#845ef7" />
+                {routeDays.map(day => (
+                    <ForecastSummaryCard key={day} title={`${day} Delivery Total`} value={`${(stats.totalsByDay[day] || 0).toLocaleString()} units`} subtitle="Across all regions" icon="🚚" color={getRouteDayColor(day)} />
+                ))}
                 <ForecastSummaryCard title="Total Weekly Volume" value={`${stats.totalWeekly.toLocaleString()} units`} subtitle={`Forecasted for ${stats.totalItems} items`} icon="📈" color="#4ade80" />
                 <ForecastSummaryCard title="Active Events/Festivals" value={stats.activeEvents} subtitle="Impacting next week's demand" icon="🎉" color="#ff6b7a" />
             </div>
@@ -97,8 +108,9 @@ export default function ForecastOverviewPage() {
                             <YAxis stroke="var(--text-secondary)" tick={{ fill: 'var(--text-secondary)' }} />
                             <Tooltip contentStyle={{ backgroundColor: 'var(--card-bg)', border: '1px solid var(--border)', borderRadius: 8, color: 'var(--text-primary)' }} />
                             <Legend verticalAlign="top" height={36} />
-                            <Bar dataKey="Monday" stackId="a" fill="#4dabf7" radius={[0, 0, 4, 4]} />
-                            <Bar dataKey="Thursday" stackId="a" fill="#845ef7" radius={[4, 4, 0, 0]} />
+                            {routeDays.map((day, i) => (
+                                <Bar key={day} dataKey={day} stackId="a" fill={getRouteDayColor(day)} radius={i === routeDays.length - 1 ? [4, 4, 0, 0] : [0, 0, 0, 0]} />
+                            ))}
                         </BarChart>
                     </ResponsiveContainer>
                 </div>
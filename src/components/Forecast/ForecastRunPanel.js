@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { FiRefreshCw, FiSend } from 'react-icons/fi';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { fetchForecastRuns } from './forecastHelpers';
+
+const RUN_STATUS_COLORS = {
+    published: '#10b981',
+    partially_published: '#38bdf8',
+    draft: '#f59e0b',
+    failed: '#f43f5e',
+    skipped: '#94a3b8',
+};
+
+const formatRunTime = (ts) => {
+    const d = ts?.toDate ? ts.toDate() : ts ? new Date(ts) : null;
+    return d ? d.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+};
+
+function DiffLines({ diff }) {
+    return (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 16, padding: '8px 0', fontSize: 12 }}>
+            <div>
+                <div style={{ color: '#10b981', fontWeight: 600, marginBottom: 4 }}>Added</div>
+                {diff.added.length === 0 ? <div style={{ color: 'var(--muted)' }}>—</div> : diff.added.map(l => <div key={l.id}>{l.itemName} <span style={{ color: 'var(--muted)' }}>({l.toQty})</span></div>)}
+            </div>
+            <div>
+                <div style={{ color: '#f43f5e', fontWeight: 600, marginBottom: 4 }}>Removed</div>
+                {diff.removed.length === 0 ? <div style={{ color: 'var(--muted)' }}>—</div> : diff.removed.map(l => <div key={l.id}>{l.itemName} <span style={{ color: 'var(--muted)' }}>({l.fromQty})</span></div>)}
+            </div>
+            <div>
+                <div style={{ color: '#f59e0b', fontWeight: 600, marginBottom: 4 }}>Quantity Changed</div>
+                {diff.changed.length === 0 ? <div style={{ color: 'var(--muted)' }}>—</div> : diff.changed.map(l => (
+                    <div key={l.id}>{l.itemName} <span style={{ color: 'var(--muted)' }}>{l.fromQty} → {l.toQty}</span></div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Dry-run preview, selective publishing and run log for the suggested
+ * forecast engine. Rendered as a modal from SuggestedOrderReview.
+ */
+export default function ForecastRunPanel({ onClose, onPublished }) {
+    const [runs, setRuns] = useState([]);
+    const [preview, setPreview] = useState(null); // { runId, weekStart, diffs }
+    const [selected, setSelected] = useState({});
+    const [expanded, setExpanded] = useState({});
+    const [running, setRunning] = useState(false);
+    const [publishing, setPublishing] = useState(false);
+
+    const loadRuns = () => fetchForecastRuns(10)
+        .then(setRuns)
+        .catch(err => console.warn('[ForecastRuns] Could not load run history:', err.message));
+
+    useEffect(() => { loadRuns(); }, []);
+
+    const handleDryRun = async () => {
+        setRunning(true);
+        try {
+            const runForecast = httpsCallable(getFunctions(), 'runSuggestedForecastNow');
+            const result = await runForecast({ dryRun: true });
+            const diffs = result.data?.diffs || [];
+            setPreview({ runId: result.data?.runId, weekStart: result.data?.weekStart, diffs });
+            setSelected(Object.fromEntries(diffs.filter(d => d.hasChanges).map(d => [d.restaurantId, true])));
+            setExpanded({});
+            if (diffs.length === 0) toast.info('No order data — nothing to preview.');
+        } catch (err) {
+            console.error('[ForecastRuns] Dry run failed:', err);
+            toast.error(`❌ Dry run failed: ${err.message || 'Unknown error'}`);
+        } finally {
+            setRunning(false);
+            loadRuns();
+        }
+    };
+
+    const handlePublish = async (restaurantIds) => {
+        setPublishing(true);
+        try {
+            const publish = httpsCallable(getFunctions(), 'publishForecastRunNow');
+            const result = await publish({ runId: preview.runId, restaurantIds });
+            toast.success(`✅ Published ${result.data?.published?.length || 0} restaurant(s)`);
+            const published = new Set(result.data?.published || []);
+            setPreview(p => ({ ...p, diffs: p.diffs.map(d => (published.has(d.restaurantId) ? { ...d, published: true } : d)) }));
+            setSelected({});
+            if (onPublished) onPublished();
+        } catch (err) {
+            console.error('[ForecastRuns] Publish failed:', err);
+            toast.error(`❌ Publish failed: ${err.message || 'Unknown error'}`);
+        } finally {
+            setPublishing(false);
+            loadRuns();
+        }
+    };
+
+    const unpublished = preview ? preview.diffs.filter(d => !d.published) : [];
+    const selectedIds = unpublished.filter(d => selected[d.restaurantId]).map(d => d.restaurantId);
+
+    return (
+        <div style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, background: 'rgba(0,0,0,0.6)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000, padding: 24 }}>
+            <div className="ui-card" style={{ width: '100%', maxWidth: 960, maxHeight: '90vh', display: 'flex', flexDirection: 'column', background: '#0f172a', border: '1px solid var(--border)', borderRadius: 12, overflow: 'hidden' }}>
+                <div style={{ padding: '16px 24px', background: 'rgba(255,255,255,0.02)', borderBottom: '1px solid var(--border)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h3 style={{ margin: 0, fontSize: 18 }}>Forecast Engine Runs</h3>
+                    <button onClick={onClose} style={{ background: 'transparent', border: 'none', color: 'var(--muted)', cursor: 'pointer', fontSize: 24 }}>&times;</button>
+                </div>
+
+                <div style={{ padding: 24, overflowY: 'auto' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+                        <p style={{ margin: 0, fontSize: 13, color: 'var(--muted)' }}>
+                            A dry run computes this week's forecast without changing what restaurants see, and compares it with the current suggestion.
+                        </p>
+                        <button className="ui-btn primary small" onClick={handleDryRun} disabled={running || publishing} style={{ display: 'flex', alignItems: 'center', gap: 6, flexShrink: 0 }}>
+                            <FiRefreshCw style={{ animation: running ? 'spin 1s linear infinite' : 'none' }} />
+                            {running ? 'Running...' : 'Dry Run'}
+                        </button>
+                    </div>
+
+                    {preview && preview.diffs.length > 0 && (
+                        <div style={{ marginBottom: 24 }}>
+                            <h4 style={{ margin: '0 0 8px 0' }}>Preview — week of {preview.weekStart}</h4>
+                            <div className="ui-table-wrap">
+                                <table className="ui-table" style={{ fontSize: 13 }}>
+                                    <thead>
+                                        <tr>
+                                            <th style={{ width: 32 }} />
+                                            <th>Restaurant</th>
+                                            <th>Status</th>
+                                            <th>Packs</th>
+                                            <th>Added</th>
+                                            <th>Removed</th>
+                                            <th>Changed</th>
+                                            <th />
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {preview.diffs.map(d => (
+                                            <React.Fragment key={d.restaurantId}>
+                                                <tr style={{ opacity: d.hasChanges || d.published ? 1 : 0.6 }}>
+                                                    <td>
+                                                        {d.published ? <span style={{ color: '#10b981' }}>✓</span> : (
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={!!selected[d.restaurantId]}
+                                                                onChange={e => setSelected(s => ({ ...s, [d.restaurantId]: e.target.checked }))}
+                                                            />
+                                                        )}
+                                                    </td>
+                                                    <td style={{ fontWeight: 600 }}>
+                                                        {d.restaurantId}
+                                                        {d.isNew && <span style={{ marginLeft: 6, fontSize: 11, color: '#38bdf8' }}>new</span>}
+                                                    </td>
+                                                    <td style={{ color: 'var(--muted)' }}>
+                                                        {d.statusBefore && d.statusBefore !== d.statusAfter ? `${d.statusBefore} → ${d.statusAfter}` : d.statusAfter}
+                                                    </td>
+                                                    <td>
+                                                        {d.packsBefore} → {d.packsAfter}
+                                                        {d.packDelta !== 0 && (
+                                                            <span style={{ marginLeft: 6, color: d.packDelta > 0 ? '#10b981' : '#f43f5e' }}>({d.packDelta > 0 ? '+' : ''}{d.packDelta})</span>
+                                                        )}
+                                                    </td>
+                                                    <td>{d.added.length}</td>
+                                                    <td>{d.removed.length}</td>
+                                                    <td>{d.changed.length}</td>
+                                                    <td>
+                                                        {d.hasChanges ? (
+                                                            <button className="ui-btn ghost mini" onClick={() => setExpanded(x => ({ ...x, [d.restaurantId]: !x[d.restaurantId] }))}>
+                                                                {expanded[d.restaurantId] ? 'Hide' : 'Details'}
+                                                            </button>
+                                                        ) : <span style={{ fontSize: 12, color: 'var(--muted)' }}>No changes</span>}
+                                                    </td>
+                                                </tr>
+                                                {expanded[d.restaurantId] && (
+                                                    <tr>
+                                                        <td />
+                                                        <td colSpan={7}><DiffLines diff={d} /></td>
+                                                    </tr>
+                                                )}
+                                            </React.Fragment>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {unpublished.length > 0 && (
+                                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 12 }}>
+                                    <button className="ui-btn ghost small" onClick={() => handlePublish(selectedIds)} disabled={publishing || selectedIds.length === 0}>
+                                        Publish Selected ({selectedIds.length})
+                                    </button>
+                                    <button className="ui-btn primary small" onClick={() => handlePublish(unpublished.map(d => d.restaurantId))} disabled={publishing} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                                        <FiSend /> {publishing ? 'Publishing...' : `Publish All (${unpublished.length})`}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <h4 style={{ margin: '0 0 8px 0' }}>Run History</h4>
+                    {runs.length === 0 ? (
+                        <div style={{ fontSize: 13, color: 'var(--muted)' }}>No runs logged yet.</div>
+                    ) : (
+                        <div className="ui-table-wrap">
+                            <table className="ui-table" style={{ fontSize: 12 }}>
+                                <thead>
+                                    <tr>
+                                        <th>Started</th>
+                                        <th>Week</th>
+                                        <th>Trigger</th>
+                                        <th>Mode</th>
+                                        <th>Triggered By</th>
+                                        <th>Status</th>
+                                        <th>Restaurants</th>
+                                        <th>Packs</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {runs.map(run => (
+                                        <tr key={run.id}>
+                                            <td style={{ color: 'var(--muted)' }}>{formatRunTime(run.createdAt)}</td>
+                                            <td>{run.weekStart || '—'}</td>
+                                            <td style={{ textTransform: 'capitalize' }}>{run.trigger}</td>
+                                            <td>{run.mode === 'dry-run' ? 'Dry run' : 'Publish'}</td>
+                                            <td>{run.triggeredByName || run.triggeredBy || (run.trigger === 'scheduled' ? 'Scheduler' : '—')}</td>
+                                            <td>
+                                                <span style={{ color: RUN_STATUS_COLORS[run.status] || 'var(--muted)', fontWeight: 600 }}>{(run.status || '').replace('_', ' ')}</span>
+                                                {run.error && <div style={{ color: '#f43f5e', fontSize: 11 }}>{run.error}</div>}
+                                                {run.skipReason && <div style={{ color: 'var(--muted)', fontSize: 11 }}>{run.skipReason}</div>}
+                                                {run.status === 'partially_published' && (
+                                                    <div style={{ color: 'var(--muted)', fontSize: 11 }}>{run.publishedRestaurants?.length || 0} of {run.totals?.restaurants || 0} published</div>
+                                                )}
+                                            </td>
+                                            <td>{run.totals?.restaurants ?? '—'}</td>
+                                            <td>{run.totals?.packs ?? '—'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,13 +1,182 @@
-import React, { useState, useEffect } from 'react';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import React, { useState, useEffect, useContext } from 'react';
+import { collection, getDocs, query, orderBy, limit } from 'firebase/firestore';
 import { db } from '../../firebase';
+import { UserContext } from '../../contexts/UserContext';
+import { fetchForecastConfig, saveForecastConfig, DEFAULT_FORECAST_CONFIG, FORECAST_TUNABLES, SERVICE_LEVELS } from './forecastHelpers';
+
+// Field metadata for every engine tunable (values are fractions, e.g. 0.15 = 15%)
+const TUNABLE_FIELDS = {
+    safetyBufferPercent: { label: 'Safety Buffer', step: 0.01, hint: 'Added on top of the allocated baseline to cover mid-week spikes (0.15 = +15%).' },
+    defaultMondaySplit: { label: 'Monday Delivery Share', step: 0.01, hint: 'Share of the weekly quantity delivered Monday, for restaurants on Monday / Thursday delivery. Other delivery schedules split evenly.' },
+    defaultThursdaySplit: { label: 'Thursday Delivery Share', step: 0.01, hint: 'Share delivered Thursday. Normalised against the Monday share.' },
+    spikeCapMultiplier: { label: 'Spike Cap (× 8-cycle median)', step: 0.1, hint: 'Forecast never exceeds this multiple of the 8-cycle median.' },
+    recentMedianWeight: { label: 'Recent Median Weight', step: 0.05, hint: 'Weight of the last-4-cycle median; the 8-cycle median gets the rest.' },
+    minAppearances: { label: 'Min Appearances (of last 8)', step: 1, hint: 'Cycles an item must appear in before it is forecast.' },
+    minSplitSamples: { label: 'Min Orders for Learned Split', step: 1, hint: "Delivered orders a restaurant needs before its own split across its delivery days replaces the shares above (0 = never learn)." },
+};
+
+const KNOWN_CATEGORIES = ['Produce', 'Packaging', 'Cleaning', 'Cleaning Supplies', 'Dairy', 'Meat', 'Dry Goods'];
+
+const parseTunable = (value) => (value === '' ? '' : parseFloat(value));
+
+function OverridesEditor({ title, description, scopeLabel, overrides, suggestions, listId, onChange }) {
+    const [newKey, setNewKey] = useState('');
+
+    const handleAdd = () => {
+        const key = newKey.trim();
+        if (!key || overrides[key]) return;
+        onChange({ ...overrides, [key]: {} });
+        setNewKey('');
+    };
+
+    const handleField = (key, field, value) => {
+        const next = { ...overrides[key], [field]: parseTunable(value) };
+        if (next[field] === '' || Number.isNaN(next[field])) delete next[field];
+        onChange({ ...overrides, [key]: next });
+    };
+
+    const handleRemove = (key) => {
+        const next = { ...overrides };
+        delete next[key];
+        onChange(next);
+    };
+
+    return (
+        <>
+            <h3 style={{ margin: '32px 0 8px 0', borderBottom: '1px solid var(--border)', paddingBottom: 12 }}>{title}</h3>
+            <p style={{ margin: '0 0 16px 0', fontSize: 13, color: 'var(--muted)' }}>{description}</p>
+
+            {Object.keys(overrides).length === 0 ? (
+                <div style={{ fontSize: 13, color: 'var(--muted)', marginBottom: 12 }}>No overrides — global values apply.</div>
+            ) : (
+                <div className="ui-table-wrap" style={{ marginBottom: 12 }}>
+                    <table className="ui-table" style={{ width: '100%', fontSize: 13 }}>
+                        <thead>
+                            <tr>
+                                <th style={{ textAlign: 'left' }}>{scopeLabel}</th>
+                                {FORECAST_TUNABLES.map(field => <th key={field} style={{ textAlign: 'left' }}>{TUNABLE_FIELDS[field].label}</th>)}
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(overrides).map(([key, values]) => (
+                                <tr key={key}>
+                                    <td style={{ fontWeight: 600 }}>{key}</td>
+                                    {FORECAST_TUNABLES.map(field => (
+                                        <td key={field}>
+                                            <input
+                                                type="number"
+                                                step={TUNABLE_FIELDS[field].step}
+                                                className="ui-input"
+                                                style={{ width: 90 }}
+                                                placeholder="inherit"
+                                                value={values[field] ?? ''}
+                                                onChange={e => handleField(key, field, e.target.value)}
+                                            />
+                                        </td>
+                                    ))}
+                                    <td>
+                                        <button className="ui-btn ghost small" onClick={() => handleRemove(key)}>Remove</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: 8 }}>
+                <input
+                    className="ui-input"
+                    list={listId}
+                    placeholder={`Add ${scopeLabel.toLowerCase()} override...`}
+                    value={newKey}
+                    onChange={e => setNewKey(e.target.value)}
+                    style={{ maxWidth: 280 }}
+                />
+                <datalist id={listId}>
+                    {suggestions.map(s => <option key={s} value={s} />)}
+                </datalist>
+                <button className="ui-btn" onClick={handleAdd} disabled={!newKey.trim()}>Add</button>
+            </div>
+        </>
+    );
+}
+
+function ServiceLevelSelect({ value, onChange, emptyLabel }) {
+    return (
+        <select className="ui-input" style={{ maxWidth: 200 }} value={value || ''} onChange={e => onChange(e.target.value || null)}>
+            <option value="">{emptyLabel}</option>
+            {Object.entries(SERVICE_LEVELS).map(([id, level]) => <option key={id} value={id}>{level.label}</option>)}
+        </select>
+    );
+}
+
+function ServiceLevelMapEditor({ scopeLabel, levels, suggestions, listId, labelOf, onChange }) {
+    const [newKey, setNewKey] = useState('');
+
+    const handleAdd = () => {
+        const key = newKey.trim();
+        if (!key || levels[key]) return;
+        onChange({ ...levels, [key]: 'balanced' });
+        setNewKey('');
+    };
+
+    const handleLevel = (key, level) => {
+        const next = { ...levels };
+        if (level) next[key] = level;
+        else delete next[key];
+        onChange(next);
+    };
+
+    return (
+        <div style={{ marginBottom: 16 }}>
+            {Object.keys(levels).length > 0 && (
+                <div className="ui-table-wrap" style={{ marginBottom: 12 }}>
+                    <table className="ui-table" style={{ width: '100%', fontSize: 13 }}>
+                        <thead>
+                            <tr>
+                                <th style={{ textAlign: 'left' }}>{scopeLabel}</th>
+                                <th style={{ textAlign: 'left' }}>Service Level</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(levels).map(([key, level]) => (
+                                <tr key={key}>
+                                    <td style={{ fontWeight: 600 }}>{labelOf ? labelOf(key) : key}</td>
+                                    <td><ServiceLevelSelect value={level} onChange={v => handleLevel(key, v)} emptyLabel="Remove" /></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: 8 }}>
+                <input
+                    className="ui-input"
+                    list={listId}
+                    placeholder={`Add ${scopeLabel.toLowerCase()} service level...`}
+                    value={newKey}
+                    onChange={e => setNewKey(e.target.value)}
+                    style={{ maxWidth: 280 }}
+                />
+                <datalist id={listId}>
+                    {suggestions.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                </datalist>
+                <button className="ui-btn" onClick={handleAdd} disabled={!newKey.trim()}>Add</button>
+            </div>
+        </div>
+    );
+}
 
 export default function ForecastSettingsPage() {
-    const [config, setConfig] = useState({
-        safetyBufferPercent: 0.15,
-        defaultMondaySplit: 0.40,
-        defaultThursdaySplit: 0.60
-    });
+    const { userId, displayName } = useContext(UserContext);
+    const [config, setConfig] = useState(DEFAULT_FORECAST_CONFIG);
+    const [changeNote, setChangeNote] = useState('');
+    const [versions, setVersions] = useState([]);
+    const [restaurantIds, setRestaurantIds] = useState([]);
+    const [catalogItems, setCatalogItems] = useState([]);
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
 
@@ -18,10 +187,18 @@ export default function ForecastSettingsPage() {
     const loadSettings = async () => {
         setLoading(true);
         try {
-            const docSnap = await getDoc(doc(db, 'forecastConfig', 'global'));
-            if (docSnap.exists()) {
-                setConfig(docSnap.data());
-            }
+            const [loaded, versionSnap, restSnap, catalogSnap] = await Promise.all([
+                fetchForecastConfig(),
+                getDocs(query(collection(db, 'forecastConfig', 'global', 'versions'), orderBy('configVersion', 'desc'), limit(10))),
+                getDocs(collection(db, 'restaurants')),
+                getDocs(collection(db, 'catalogItems')),
+            ]);
+            setConfig(loaded);
+            setVersions(versionSnap.docs.map(d => ({ id: d.id, ...d.data() })));
+            setRestaurantIds(restSnap.docs.map(d => d.id).sort());
+            setCatalogItems(catalogSnap.docs
+                .map(d => ({ value: d.id, label: d.data().canonicalName || d.data().itemName || d.id }))
+                .sort((a, b) => a.label.localeCompare(b.label)));
         } catch (err) {
             console.error("Failed to load settings:", err);
         } finally {
@@ -32,8 +209,10 @@ export default function ForecastSettingsPage() {
     const handleSave = async () => {
         setSaving(true);
         try {
-            await setDoc(doc(db, 'forecastConfig', 'global'), config, { merge: true });
-            alert("Settings updated successfully. They will apply to the next engine run.");
+            const version = await saveForecastConfig(config, { userId, displayName }, changeNote);
+            setChangeNote('');
+            alert(`Settings saved as version ${version}. They will apply to the next engine run.`);
+            await loadSettings();
         } catch (err) {
             console.error("Failed to save settings:", err);
             alert("Error saving settings.");
@@ -47,58 +226,147 @@ export default function ForecastSettingsPage() {
             <div className="page-header" style={{ marginBottom: 24 }}>
                 <div>
                     <h1>Forecast Algorithm Settings</h1>
-                    <p className="subtitle" style={{ margin: 0 }}>Configure buffers, rules, and global properties for the deterministic logic engine.</p>
+                    <p className="subtitle" style={{ margin: 0 }}>
+                        Configure buffers, rules, and global properties for the deterministic logic engine.
+                        {!loading && <> Current version: <strong>v{config.configVersion}</strong>.</>}
+                    </p>
                 </div>
             </div>
 
             {loading ? (
                 <div style={{ padding: 40, textAlign: 'center', color: 'var(--muted)' }}>Loading configuration...</div>
             ) : (
-                <div className="ui-card" style={{ padding: 24, maxWidth: 600 }}>
-                    <h3 style={{ margin: '0 0 20px 0', borderBottom: '1px solid var(--border)', paddingBottom: 12 }}>Safety Stock Rules</h3>
-                    <div style={{ marginBottom: 20 }}>
-                        <label className="ui-label">Default Safety Buffer (%)</label>
-                        <p style={{ margin: '0 0 8px 0', fontSize: 13, color: 'var(--muted)' }}>Applied on top of calculated baseline demand to cover sudden mid-week spikes.</p>
-                        <input
-                            type="number"
-                            step="0.01"
-                            className="ui-input"
-                            value={config.safetyBufferPercent || 0}
-                            onChange={e => setConfig({ ...config, safetyBufferPercent: parseFloat(e.target.value) })}
-                        />
+                <div className="ui-card" style={{ padding: 24, maxWidth: 1100 }}>
+                    <h3 style={{ margin: '0 0 20px 0', borderBottom: '1px solid var(--border)', paddingBottom: 12 }}>Global Engine Parameters</h3>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20 }}>
+                        {FORECAST_TUNABLES.map(field => (
+                            <div key={field}>
+                                <label className="ui-label">{TUNABLE_FIELDS[field].label}</label>
+                                <p style={{ margin: '0 0 8px 0', fontSize: 13, color: 'var(--muted)' }}>{TUNABLE_FIELDS[field].hint}</p>
+                                <input
+                                    type="number"
+                                    step={TUNABLE_FIELDS[field].step}
+                                    className="ui-input"
+                                    value={config[field] ?? ''}
+                                    onChange={e => setConfig({ ...config, [field]: parseTunable(e.target.value) })}
+                                />
+                            </div>
+                        ))}
                     </div>
 
-                    <h3 style={{ margin: '32px 0 20px 0', borderBottom: '1px solid var(--border)', paddingBottom: 12 }}>New User / Low History Splitting Defaults</h3>
-                    <p style={{ margin: '0 0 16px 0', fontSize: 13, color: 'var(--muted)' }}>When a restaurant lacks enough weekday history, the engine falls back to this raw split metric across the weekly boundary.</p>
+                    <OverridesEditor
+                        title="Category Overrides"
+                        description="Override any parameter for every item in a category. Blank fields inherit the global value."
+                        scopeLabel="Category"
+                        listId="forecast-override-categories"
+                        overrides={config.categoryOverrides || {}}
+                        suggestions={KNOWN_CATEGORIES}
+                        onChange={categoryOverrides => setConfig({ ...config, categoryOverrides })}
+                    />
+
+                    <OverridesEditor
+                        title="Restaurant Overrides"
+                        description="Override parameters for one restaurant. Restaurant overrides win over category overrides."
+                        scopeLabel="Restaurant"
+                        listId="forecast-override-restaurants"
+                        overrides={config.restaurantOverrides || {}}
+                        suggestions={restaurantIds}
+                        onChange={restaurantOverrides => setConfig({ ...config, restaurantOverrides })}
+                    />
+
+                    <h3 style={{ margin: '32px 0 8px 0', borderBottom: '1px solid var(--border)', paddingBottom: 12 }}>Service Levels</h3>
+                    <p style={{ margin: '0 0 16px 0', fontSize: 13, color: 'var(--muted)' }}>
+                        Size an item's order to a quantile of its P10–P90 demand band instead of the flat safety buffer.
+                        Item settings win over category settings, which win over the global setting.
+                    </p>
+                    <div style={{ marginBottom: 16 }}>
+                        <label className="ui-label">Global</label>
+                        <ServiceLevelSelect
+                            value={config.serviceLevel}
+                            onChange={serviceLevel => setConfig({ ...config, serviceLevel })}
+                            emptyLabel="None — use safety buffer"
+                        />
+                        <p style={{ margin: '8px 0 0 0', fontSize: 12, color: 'var(--muted)' }}>
+                            {Object.values(SERVICE_LEVELS).map(level => `${level.label}: ${level.hint}`).join(' ')}
+                        </p>
+                    </div>
+                    <label className="ui-label">By Category</label>
+                    <ServiceLevelMapEditor
+                        scopeLabel="Category"
+                        listId="forecast-service-level-categories"
+                        levels={config.categoryServiceLevels || {}}
+                        suggestions={KNOWN_CATEGORIES.map(c => ({ value: c, label: c }))}
+                        onChange={categoryServiceLevels => setConfig({ ...config, categoryServiceLevels })}
+                    />
+                    <label className="ui-label">By Item</label>
+                    <ServiceLevelMapEditor
+                        scopeLabel="Item"
+                        listId="forecast-service-level-items"
+                        levels={config.itemServiceLevels || {}}
+                        suggestions={catalogItems}
+                        labelOf={key => catalogItems.find(c => c.value === key)?.label || key}
+                        onChange={itemServiceLevels => setConfig({ ...config, itemServiceLevels })}
+                    />
 
+                    <h3 style={{ margin: '32px 0 8px 0', borderBottom: '1px solid var(--border)', paddingBottom: 12 }}>New Restaurants</h3>
+                    <p style={{ margin: '0 0 16px 0', fontSize: 13, color: 'var(--muted)' }}>
+                        Restaurants tagged with a cuisine, seats or expected weekly spend are seeded from their most similar peers,
+                        scaled to size. The seed fades out linearly as the restaurant builds its own order cycles.
+                    </p>
                     <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20 }}>
                         <div>
-                            <label className="ui-label">Default Mon-Wed Need (%)</label>
-                            <input
-                                type="number"
-                                step="0.01"
-                                className="ui-input"
-                                value={config.defaultMondaySplit || 0}
-                                onChange={e => setConfig({ ...config, defaultMondaySplit: parseFloat(e.target.value) })}
-                            />
+                            <label className="ui-label">Cycles Until Fully Own History</label>
+                            <p style={{ margin: '0 0 8px 0', fontSize: 13, color: 'var(--muted)' }}>Order cycles after which the peer seed is gone. Peers need at least this many cycles themselves (0 = no seeding).</p>
+                            <input type="number" step="1" className="ui-input" value={config.coldStartCycles ?? ''} onChange={e => setConfig({ ...config, coldStartCycles: parseTunable(e.target.value) })} />
                         </div>
                         <div>
-                            <label className="ui-label">Default Thu-Sun Need (%)</label>
-                            <input
-                                type="number"
-                                step="0.01"
-                                className="ui-input"
-                                value={config.defaultThursdaySplit || 0}
-                                onChange={e => setConfig({ ...config, defaultThursdaySplit: parseFloat(e.target.value) })}
-                            />
+                            <label className="ui-label">Peers to Blend</label>
+                            <p style={{ margin: '0 0 8px 0', fontSize: 13, color: 'var(--muted)' }}>How many similar restaurants the seed is averaged over, weighted by similarity.</p>
+                            <input type="number" step="1" className="ui-input" value={config.coldStartPeers ?? ''} onChange={e => setConfig({ ...config, coldStartPeers: parseTunable(e.target.value) })} />
                         </div>
                     </div>
 
-                    <div style={{ marginTop: 32, display: 'flex', justifyContent: 'flex-end' }}>
+                    <div style={{ marginTop: 32, display: 'flex', justifyContent: 'flex-end', gap: 12, alignItems: 'center' }}>
+                        <input
+                            className="ui-input"
+                            placeholder="Reason for change (optional)"
+                            value={changeNote}
+                            onChange={e => setChangeNote(e.target.value)}
+                            style={{ maxWidth: 360 }}
+                        />
                         <button className="ui-btn primary" onClick={handleSave} disabled={saving}>
                             {saving ? 'Saving...' : 'Update Engine Parameters'}
                         </button>
                     </div>
+
+                    <h3 style={{ margin: '32px 0 12px 0', borderBottom: '1px solid var(--border)', paddingBottom: 12 }}>Version History</h3>
+                    <p style={{ margin: '0 0 12px 0', fontSize: 13, color: 'var(--muted)' }}>
+                        Each forecast document records the <code>configVersion</code> it was generated with.
+                    </p>
+                    {versions.length === 0 ? (
+                        <div style={{ fontSize: 13, color: 'var(--muted)' }}>No saved versions yet — the engine is running on defaults.</div>
+                    ) : (
+                        <table className="ui-table" style={{ width: '100%', fontSize: 13 }}>
+                            <thead>
+                                <tr>
+                                    <th style={{ textAlign: 'left' }}>Version</th>
+                                    <th style={{ textAlign: 'left' }}>Saved</th>
+                                    <th style={{ textAlign: 'left' }}>By</th>
+                                    <th style={{ textAlign: 'left' }}>Note</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {versions.map(v => (
+                                    <tr key={v.id}>
+                                        <td style={{ fontWeight: 600 }}>v{v.configVersion}</td>
+                                        <td>{v.updatedAt?.toDate ? v.updatedAt.toDate().toLocaleString() : '—'}</td>
+                                        <td>{v.updatedBy || '—'}</td>
+                                        <td>{v.changeNote || '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
                 </div>
             )}
         </div>
@@ -3,8 +3,11 @@ import { db } from '../../firebase';
 import { collection, query, getDocs, onSnapshot, doc, setDoc } from 'firebase/firestore';
 import { getActiveWeekStart, getWeekEnd, formatWeekLabel, isInWeek, sendVendorDispatch } from './dispatchModel';
 import CombinedDemandPage from './CombinedDemandPage';
-import { fetchOrderHistory, getRestaurantList, buildRestaurantForecast } from './forecastHelpers';
+import { fetchOrderHistory, fetchForecastConfig, getRestaurantList, buildRestaurantForecast, getForecastDeliveryDays } from './forecastHelpers';
 import { computeForecastAccuracy, computeCorrectionIntelligence } from './forecastAccuracyEngine';
+import { getRouteDayColor } from './DispatchShared';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { DEFAULT_DELIVERY_DAYS, normalizeDeliveryDays, getPairSchedule, getOrderRouteDay, getWeekdayCode, getDeliveredDays, sumDayQtys } from '../../shared/deliverySchedules';
 
 // Import Icons from react-icons
 import { FiRefreshCw, FiDownload, FiAlertCircle, FiTrendingUp, FiTrendingDown, FiActivity, FiBox, FiDollarSign } from 'react-icons/fi';
@@ -18,11 +21,15 @@ import { computeSeasonalUplifts } from '../AI/seasonalUpliftEngine';
 import { computeDispatchOptimization } from '../AI/dispatchOptimizationEngine';
 import { generateWeeklySummary } from '../AI/aiSummaryEngine';
 import PriceIntelligenceSection from './PriceIntelligenceSection';
+import OperationsAlertsTab from './OperationsAlertsTab';
 import SectionContainer from '../Consolidated/SectionContainer';
 import PipelineFlow from '../Consolidated/PipelineFlow';
 import AlertCardRow from '../Consolidated/AlertCardRow';
 import CTAButtonGroup from '../Consolidated/CTAButtonGroup';
 
+// { day → qty } in week order
+const sortByDay = (byDay) => Object.fromEntries(normalizeDeliveryDays(Object.keys(byDay)).map(day => [day, byDay[day]]));
+
 const Toast = ({ message, type }) => (
     <div style={{ position: 'fixed', bottom: 24, right: 24, padding: '12px 24px', background: type === 'error' ? '#f43f5e' : '#10b981', color: '#fff', borderRadius: 8, fontWeight: 600, boxShadow: '0 4px 12px rgba(0,0,0,0.15)', zIndex: 9999 }}>
         {message}
@@ -42,11 +49,7 @@ const SendToVendorModal = ({ vendor, onClose, onSend }) => {
 
 Please find the Marketplace supply order for the delivery week of ${weekStr}.
 
-Monday Delivery:
-${vendor.mon} units
-
-Thursday Delivery:
-${vendor.thu} units
+${Object.entries(vendor.dayTotals || {}).map(([day, qty]) => `${day} Delivery:\n${qty} units`).join('\n\n')}
 
 Estimated Vendor Payout: $${vendor.pay.toFixed(2)}
 
@@ -97,8 +100,7 @@ export default function GlobalSupplyControlTower() {
 
     const [metrics, setMetrics] = useState({
         activeItems: 0,
-        totalMonday: 0,
-        totalThursday: 0,
+        totalsByDay: {},     // route day → packs ordered this week
         billing: 0,
         payout: 0,
         commission: 0,
@@ -124,7 +126,9 @@ export default function GlobalSupplyControlTower() {
     const [selectedForecastRest, setSelectedForecastRest] = useState('');
     const [forecastItems, setForecastItems] = useState([]);
     const [forecastOrderRecords, setForecastOrderRecords] = useState([]);
+    const [forecastConfig, setForecastConfig] = useState(null);
     const [forecastLoading, setForecastLoading] = useState(false);
+    const [schedules, setSchedules] = useState({ restaurants: {}, vendors: {}, pairs: {} });
     const forecastLoadedRef = useRef(false);
 
     // Load forecast data once (lazy — on first tab switch or after data loads)
@@ -132,7 +136,8 @@ export default function GlobalSupplyControlTower() {
         if (forecastLoadedRef.current || loading) return;
         forecastLoadedRef.current = true;
         setForecastLoading(true);
-        fetchOrderHistory(12).then(records => {
+        Promise.all([fetchOrderHistory(12), fetchForecastConfig()]).then(([records, config]) => {
+            setForecastConfig(config);
             setForecastOrderRecords(records);
             const restList = getRestaurantList(records);
             setForecastRestaurants(restList);
@@ -145,15 +150,14 @@ export default function GlobalSupplyControlTower() {
     useEffect(() => {
         if (!selectedForecastRest || forecastOrderRecords.length === 0) return;
         try {
-            const forecast = buildRestaurantForecast(forecastOrderRecords, selectedForecastRest);
+            const forecast = buildRestaurantForecast(forecastOrderRecords, selectedForecastRest, forecastRestaurants, {}, { config: forecastConfig, deliveryDays: schedules.restaurants[selectedForecastRest] });
             const results = forecast
-                .filter(item => (item.mondayQty || 0) + (item.thursdayQty || 0) > 0)
+                .filter(item => sumDayQtys(item.dayQtys) > 0)
                 .map(item => ({
                     itemName: item.itemName,
                     category: item.category || 'Produce',
-                    totalQty: (item.mondayQty || 0) + (item.thursdayQty || 0),
-                    mondayQty: item.mondayQty || 0,
-                    thursdayQty: item.thursdayQty || 0,
+                    totalQty: sumDayQtys(item.dayQtys),
+                    dayQtys: item.dayQtys || {},
                     trend: item.trend || 'stable',
                     confidence: item.confidence || 'Medium',
                 }))
@@ -163,7 +167,7 @@ export default function GlobalSupplyControlTower() {
             console.error('[Forecast] Build error:', err);
             setForecastItems([]);
         }
-    }, [selectedForecastRest, forecastOrderRecords]);
+    }, [selectedForecastRest, forecastOrderRecords, forecastRestaurants, forecastConfig, schedules]);
 
     // ── Intelligence tab state (Forecast Accuracy + Correction Intelligence) ──
     const [intelData, setIntelData] = useState({ accuracy: null, corrections: null });
@@ -204,7 +208,7 @@ export default function GlobalSupplyControlTower() {
             setMetrics(prev => {
                 const ordersStats = prev.restaurantCount > 0 || prev.activeItems > 0 ? {
                     totalItems: prev.activeItems || 0,
-                    totalQty: (prev.totalMonday || 0) + (prev.totalThursday || 0),
+                    totalQty: Object.values(prev.totalsByDay || {}).reduce((s, q) => s + q, 0),
                     restaurantCount: prev.restaurantCount || 0, // now always a number
                     topItems: [],
                 } : null;
@@ -289,13 +293,13 @@ export default function GlobalSupplyControlTower() {
             const deliveryWeekEnd = getWeekEnd(deliveryWeekStart);
             const weekLabel = formatWeekLabel(deliveryWeekStart);
 
-            await sendVendorDispatch(vendor, deliveryWeekStart, deliveryWeekEnd, weekLabel);
+            const { routeDays } = await sendVendorDispatch(vendor, deliveryWeekStart, deliveryWeekEnd, weekLabel);
 
-            showToast(`Dispatch sent to ${vendor.name}! Monday + Thursday routes created.`);
+            showToast(`Dispatch sent to ${vendor.name}! ${routeDays.join(' + ')} route${routeDays.length === 1 ? '' : 's'} created.`);
             setModalVendor(null);
         } catch (err) {
             console.error('Error sending dispatch:', err);
-            showToast('Failed to send dispatch.', 'error');
+            showToast(err.message || 'Failed to send dispatch.', 'error');
         }
     };
 
@@ -339,6 +343,15 @@ export default function GlobalSupplyControlTower() {
             console.error("Failed to load Firebase catalog:", err);
         }
 
+        // Delivery schedules — which route day each restaurant / vendor pair's orders ride
+        let localSchedules = { restaurants: {}, vendors: {}, pairs: {} };
+        try {
+            localSchedules = await fetchDeliverySchedules();
+            setSchedules(localSchedules);
+        } catch (err) {
+            console.warn('[ControlTower] Could not load delivery schedules, using Monday / Thursday:', err);
+        }
+
         // Fetch Dispatches for Risk Alerts
         try {
             const dispatchQ = query(collection(db, 'vendorDispatches'));
@@ -370,8 +383,7 @@ export default function GlobalSupplyControlTower() {
                 if (!localDispatchStatusMap[data.vendorId] || recordTime > localDispatchStatusMap[data.vendorId].recordTime) {
                     localDispatchStatusMap[data.vendorId] = {
                         status: data.status,
-                        monDelivered: data.mondayDelivered,
-                        thuDelivered: data.thursdayDelivered,
+                        deliveredDays: getDeliveredDays(data),
                         recordTime: recordTime
                     };
                 }
@@ -430,27 +442,35 @@ export default function GlobalSupplyControlTower() {
             console.warn('[ControlTower] Could not build invoice billing map:', invErr);
         }
 
-        // Aggregate item lines from marketplace orders (for quantity tracking)
-        const itemAgg = {}; // itemName → { mondayQty, thursdayQty, category }
+        // Aggregate item lines from marketplace orders (for quantity tracking).
+        // Each line rides its restaurant / vendor pair's route for the order's deliveryDay.
+        const itemAgg = {}; // itemName → { dayQtys: { day → qty }, dayDrops: { day → { dropKey → drop } }, category }
         weekOrders.forEach(order => {
-            const deliveryDay = order.deliveryDay || 'Monday';
+            const restaurantId = order.restaurantId || '';
+            const restaurantName = order.restaurantName || restaurantId || 'Unknown Restaurant';
             (order.items || []).forEach(line => {
                 const itemName = line.name || line.itemName;
                 if (!itemName) return;
                 const qty = Number(line.qty) || 0;
                 if (qty <= 0) return;
                 if (!itemAgg[itemName]) {
-                    itemAgg[itemName] = { mondayQty: 0, thursdayQty: 0, category: line.category || '' };
-                }
-                if (deliveryDay === 'Monday') {
-                    itemAgg[itemName].mondayQty += qty;
-                } else {
-                    itemAgg[itemName].thursdayQty += qty;
+                    itemAgg[itemName] = { dayQtys: {}, dayDrops: {}, category: line.category || '' };
                 }
+                const lineVendor = (catalogLookup[itemName]?.vendor || line.vendorName || order.vendorName || '').trim().toLowerCase();
+                const { days } = getPairSchedule(localSchedules, localVendorIdMap[lineVendor] || order.vendorId, restaurantId);
+                const deliveryDay = getOrderRouteDay(order, days);
+                const agg = itemAgg[itemName];
+                agg.dayQtys[deliveryDay] = (agg.dayQtys[deliveryDay] || 0) + qty;
+                // Per-restaurant drops — the warehouse prints one pick label per drop
+                const drops = agg.dayDrops[deliveryDay] || (agg.dayDrops[deliveryDay] = {});
+                const dropKey = restaurantId || restaurantName;
+                if (!drops[dropKey]) drops[dropKey] = { restaurantId, restaurantName, qty: 0 };
+                drops[dropKey].qty += qty;
             });
         });
 
-        let tActive = 0, tMon = 0, tThu = 0, tBill = 0, tPay = 0, tComm = 0, tMiss = 0;
+        const tByDay = {};
+        let tActive = 0, tBill = 0, tPay = 0, tComm = 0, tMiss = 0;
         let pDemand = { Produce: 0, Packaging: 0, 'Cleaning Supplies': 0 };
         let pCost = { Produce: 0, Packaging: 0, 'Cleaning Supplies': 0 };
         let vMap = {};
@@ -458,12 +478,11 @@ export default function GlobalSupplyControlTower() {
 
         Object.keys(itemAgg).forEach(itemName => {
             const agg = itemAgg[itemName];
-            const totalQty = agg.mondayQty + agg.thursdayQty;
+            const totalQty = Object.values(agg.dayQtys).reduce((s, q) => s + q, 0);
             if (totalQty <= 0) return;
 
             tActive++;
-            tMon += agg.mondayQty;
-            tThu += agg.thursdayQty;
+            Object.entries(agg.dayQtys).forEach(([day, qty]) => { tByDay[day] = (tByDay[day] || 0) + qty; });
 
             const catEntry = catalogLookup[itemName] || {};
             let price = catEntry.price || 0;
@@ -539,9 +558,9 @@ export default function GlobalSupplyControlTower() {
                     name: vName,
                     vendorId: resolvedVendorId,
                     dispatchStatus: localDispatchStatusMap[resolvedVendorId]?.status || null,
-                    monDelivered: localDispatchStatusMap[resolvedVendorId]?.monDelivered || false,
-                    thuDelivered: localDispatchStatusMap[resolvedVendorId]?.thuDelivered || false,
-                    activeItems: 0, mon: 0, thu: 0, total: 0, bill: 0, pay: 0, comm: 0,
+                    deliveredDays: localDispatchStatusMap[resolvedVendorId]?.deliveredDays || [],
+                    deliveryDays: localSchedules.vendors[resolvedVendorId] || [],
+                    activeItems: 0, dayTotals: {}, total: 0, bill: 0, pay: 0, comm: 0,
                     isPkg: vName.toLowerCase().includes('taas') || isPackaging,
                     items: []
                 };
@@ -550,8 +569,8 @@ export default function GlobalSupplyControlTower() {
             vMap[vName].items.push({
                 itemName,
                 displayVendorPackStr,
-                mondayQty: agg.mondayQty,
-                thursdayQty: agg.thursdayQty,
+                dayQtys: agg.dayQtys,
+                dayDrops: Object.fromEntries(Object.entries(agg.dayDrops).map(([day, drops]) => [day, Object.values(drops)])),
                 totalQty,
                 catalogSellPrice: price,
                 lineRestaurantBilling: lineBill,
@@ -560,8 +579,7 @@ export default function GlobalSupplyControlTower() {
             });
 
             vMap[vName].activeItems++;
-            vMap[vName].mon += agg.mondayQty;
-            vMap[vName].thu += agg.thursdayQty;
+            Object.entries(agg.dayQtys).forEach(([day, qty]) => { vMap[vName].dayTotals[day] = (vMap[vName].dayTotals[day] || 0) + qty; });
             vMap[vName].total += totalQty;
             vMap[vName].bill += lineBill;
             vMap[vName].pay += linePay;
@@ -570,6 +588,7 @@ export default function GlobalSupplyControlTower() {
             allItemsList.push({
                 name: itemName,
                 demand: totalQty,
+                dayQtys: agg.dayQtys,
                 bill: lineBill,
                 comm: lineComm,
                 category: catLabel,
@@ -623,7 +642,7 @@ export default function GlobalSupplyControlTower() {
         } catch (e) { /* service may not be available */ }
 
         setMetrics({
-            activeItems: tActive, totalMonday: tMon, totalThursday: tThu,
+            activeItems: tActive, totalsByDay: sortByDay(tByDay),
             billing: finalBilling, payout: finalPayout, commission: finalCommission,
             missingPrices: tMiss, unmappedVendorItems,
             // restaurantCount: numeric count for ordersStats interpolation
@@ -638,9 +657,10 @@ export default function GlobalSupplyControlTower() {
         // was committed, resulting in '4 items ordered across — restaurants'.
         //
         // ordersStats is non-null when there are orders this week.
-        const ordersStatsLocal = tMon + tThu > 0 ? {
+        const tQty = Object.values(tByDay).reduce((s, q) => s + q, 0);
+        const ordersStatsLocal = tQty > 0 ? {
             totalItems: tActive,
-            totalQty: tMon + tThu,
+            totalQty: tQty,
             restaurantCount,  // ← local variable, always correct
             topItems: [],
         } : null;
@@ -658,7 +678,7 @@ export default function GlobalSupplyControlTower() {
             }),
         }));
 
-        setVendors(Object.values(vMap).sort((a, b) => b.total - a.total));
+        setVendors(Object.values(vMap).map(v => ({ ...v, dayTotals: sortByDay(v.dayTotals) })).sort((a, b) => b.total - a.total));
         setCatDemand(pDemand);
         setCatCost(pCost);
         setTopItems(allItemsList
@@ -673,7 +693,7 @@ export default function GlobalSupplyControlTower() {
             setVendors(prev => prev.map(v => {
                 const live = liveMap[v.vendorId];
                 if (!live) return v;
-                return { ...v, dispatchStatus: live.status, monDelivered: live.monDelivered, thuDelivered: live.thuDelivered };
+                return { ...v, dispatchStatus: live.status, deliveredDays: live.deliveredDays };
             }));
         }
         setLoading(false);
@@ -698,8 +718,7 @@ export default function GlobalSupplyControlTower() {
                 if (!existing || newPriority > existingPriority || (newPriority === existingPriority && recordTime > existing.recordTime)) {
                     freshMap[data.vendorId] = {
                         status: data.status,
-                        monDelivered: !!data.mondayDelivered,
-                        thuDelivered: !!data.thursdayDelivered,
+                        deliveredDays: getDeliveredDays(data),
                         recordTime
                     };
                 }
@@ -711,7 +730,7 @@ export default function GlobalSupplyControlTower() {
                 return prev.map(v => {
                     const live = freshMap[v.vendorId];
                     if (!live) return v;
-                    return { ...v, dispatchStatus: live.status, monDelivered: live.monDelivered, thuDelivered: live.thuDelivered };
+                    return { ...v, dispatchStatus: live.status, deliveredDays: live.deliveredDays };
                 });
             });
         });
@@ -726,12 +745,18 @@ export default function GlobalSupplyControlTower() {
     // Week label uses the Monday-start active week (matches fetchData filter).
     const weekLabel = formatWeekLabel(activeWeekStart);
 
+    // Route days with demand this week (Monday / Thursday before any orders)
+    const routeDays = Object.keys(metrics.totalsByDay).length ? Object.keys(metrics.totalsByDay) : DEFAULT_DELIVERY_DAYS;
+    const dayTotal = (day) => metrics.totalsByDay[day] || 0;
+    const weekTotal = routeDays.reduce((s, day) => s + dayTotal(day), 0);
+
+    const forecastDays = getForecastDeliveryDays(schedules.restaurants[selectedForecastRest]);
+
     // ── KPI card definitions (with tab routing) ─────────────────────────
     const KPI_CARDS = [
         // Demand KPIs — filtered to the active week shown in the header
         { label: 'Ordered Items (This Week)', value: metrics.activeItems, icon: '📦', color: '#38bdf8', tab: 'demand', filter: { item: null } },
-        { label: 'Monday Demand (This Week)', value: `${metrics.totalMonday} packs`, icon: '📅', color: '#818cf8', tab: 'demand', filter: { day: 'Monday' } },
-        { label: 'Thursday Demand (This Week)', value: `${metrics.totalThursday} packs`, icon: '📅', color: '#a78bfa', tab: 'demand', filter: { day: 'Thursday' } },
+        ...routeDays.map(day => ({ label: `${day} Demand (This Week)`, value: `${dayTotal(day)} packs`, icon: '📅', color: getRouteDayColor(day), tab: 'demand', filter: { day } })),
         // Finance KPIs — all-time aggregated from restaurantInvoices / vendorInvoices
         // Labeled 'All-Time' so users know these are not week-filtered
         { label: 'Restaurant Billing (All-Time)', value: `$${metrics.billing.toFixed(2)}`, icon: '💰', color: '#ec4899', tab: 'demand', filter: { view: 'billing' } },
@@ -741,23 +766,22 @@ export default function GlobalSupplyControlTower() {
         { label: 'Items Missing Price', value: metrics.missingPrices, icon: '⚠️', color: metrics.missingPrices > 0 ? '#f43f5e' : '#94a3b8', tab: 'exceptions', filter: { view: 'missingPrice' } },
     ];
 
-    // ── Tab definitions (consolidated: 5 tabs) ──────────────────────────
+    // ── Tab definitions (consolidated: 6 tabs) ──────────────────────────
     const TABS = [
         { id: 'overview', label: '📊 Overview' },
         { id: 'demand', label: '📋 Demand' },
         { id: 'fulfillment', label: '🚚 Fulfillment' },
         { id: 'intelligence', label: '🧠 Intelligence' },
         { id: 'exceptions', label: '🚨 Exceptions' },
+        { id: 'operations', label: '⏱️ Operations' },
     ];
 
     // Forecast rows for Forecast tab (reuse existing topItems logic)
     const forecastRows = topItems.map(item => {
-        const mon = Math.round(item.demand * 0.6);
-        const thu = item.demand - mon;
         const conf = item.demand >= 5 ? 'High' : item.demand >= 2 ? 'Medium' : 'Low';
         const confColor = { High: '#34d399', Medium: '#fbbf24', Low: '#f87171' };
         const catColors = { Produce: '#34d399', Packaging: '#38bdf8', 'Cleaning Supplies': '#fb923c' };
-        return { ...item, mon, thu, conf, confColor: confColor[conf], catColor: catColors[item.category] || '#94a3b8' };
+        return { ...item, conf, confColor: confColor[conf], catColor: catColors[item.category] || '#94a3b8' };
     });
 
     const filteredForecastRows = tabFilter?.item
@@ -832,8 +856,7 @@ export default function GlobalSupplyControlTower() {
                             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: 10, marginBottom: 18 }}>
                                 {[
                                     { label: 'Restaurants Ordered', value: metrics.accuracyScore, icon: '🏪', color: '#10b981', tab: 'demand', filter: null },
-                                    { label: 'Monday Demand', value: `${metrics.totalMonday}`, icon: '📅', color: '#818cf8', tab: 'demand', filter: { day: 'Monday' }, sub: 'packs' },
-                                    { label: 'Thursday Demand', value: `${metrics.totalThursday}`, icon: '📅', color: '#a78bfa', tab: 'demand', filter: { day: 'Thursday' }, sub: 'packs' },
+                                    ...routeDays.map(day => ({ label: `${day} Demand`, value: `${dayTotal(day)}`, icon: '📅', color: getRouteDayColor(day), tab: 'demand', filter: { day }, sub: 'packs' })),
                                     { label: 'Restaurant Billing', value: `$${metrics.billing.toFixed(0)}`, icon: '💰', color: '#ec4899', tab: 'demand', filter: { view: 'billing' } },
                                     { label: 'Vendor Payout', value: `$${metrics.payout.toFixed(0)}`, icon: '💸', color: '#f59e0b', tab: 'fulfillment', filter: null },
                                     { label: 'Commission', value: `$${metrics.commission.toFixed(0)}`, icon: '✨', color: '#34d399', tab: 'demand', filter: { view: 'commission' } },
@@ -893,12 +916,14 @@ export default function GlobalSupplyControlTower() {
                                     >
                                         {/* Weekly demand split bar */}
                                         <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
-                                            <div style={{ flex: metrics.totalMonday || 1, background: 'linear-gradient(90deg,#3b82f6,#60a5fa)', height: 18, borderRadius: 5 }} />
-                                            <div style={{ flex: metrics.totalThursday || 1, background: 'linear-gradient(90deg,#8b5cf6,#a78bfa)', height: 18, borderRadius: 5 }} />
+                                            {routeDays.map(day => (
+                                                <div key={day} style={{ flex: dayTotal(day) || 1, background: getRouteDayColor(day), height: 18, borderRadius: 5 }} />
+                                            ))}
                                         </div>
                                         <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 14 }}>
-                                            <span style={{ color: '#60a5fa', fontWeight: 600 }}>Mon: {metrics.totalMonday} packs</span>
-                                            <span style={{ color: '#a78bfa', fontWeight: 600 }}>Thu: {metrics.totalThursday} packs</span>
+                                            {routeDays.map(day => (
+                                                <span key={day} style={{ color: getRouteDayColor(day), fontWeight: 600 }}>{getWeekdayCode(day)}: {dayTotal(day)} packs</span>
+                                            ))}
                                         </div>
 
                                         {/* 2-col: Category Cost + Financial split */}
@@ -1053,11 +1078,10 @@ export default function GlobalSupplyControlTower() {
                                 {tabFilter?.item && <button onClick={() => setTabFilter(null)} style={{ padding: '7px 14px', borderRadius: 20, fontSize: 12, fontWeight: 600, cursor: 'pointer', background: 'rgba(248,113,113,0.12)', color: '#f87171', border: '1px solid rgba(248,113,113,0.3)' }}>✕ Clear filter</button>}
                                 <span style={{ fontSize: 13, color: '#64748b' }}>{filteredForecastRows.length} items</span>
                             </div>
-                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4,1fr)', gap: 14, marginBottom: 24 }}>
+                            <div style={{ display: 'grid', gridTemplateColumns: `repeat(${routeDays.length + 2},1fr)`, gap: 14, marginBottom: 24 }}>
                                 {[
                                     { label: 'Total Items', value: filteredForecastRows.length, color: '#38bdf8' },
-                                    { label: 'Monday Total', value: filteredForecastRows.reduce((s, r) => s + r.mon, 0), color: '#818cf8' },
-                                    { label: 'Thursday Total', value: filteredForecastRows.reduce((s, r) => s + r.thu, 0), color: '#a78bfa' },
+                                    ...routeDays.map(day => ({ label: `${day} Total`, value: filteredForecastRows.reduce((s, r) => s + (r.dayQtys?.[day] || 0), 0), color: getRouteDayColor(day) })),
                                     { label: 'Weekly Total', value: filteredForecastRows.reduce((s, r) => s + r.demand, 0), color: '#34d399' },
                                 ].map(k => (
                                     <div key={k.label} style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.07)', borderRadius: 12, padding: 18 }}>
@@ -1070,7 +1094,7 @@ export default function GlobalSupplyControlTower() {
                                 <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
                                     <thead>
                                         <tr style={{ background: 'rgba(255,255,255,0.04)', borderBottom: '1px solid rgba(255,255,255,0.08)' }}>
-                                            {['Item', 'Category', 'Mon Qty', 'Thu Qty', 'Weekly Total', 'Confidence', 'Vendor'].map(h => (
+                                            {['Item', 'Category', ...routeDays.map(day => `${getWeekdayCode(day)} Qty`), 'Weekly Total', 'Confidence', 'Vendor'].map(h => (
                                                 <th key={h} style={{ padding: '11px 14px', textAlign: 'left', fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.4 }}>{h}</th>
                                             ))}
                                         </tr>
@@ -1082,8 +1106,9 @@ export default function GlobalSupplyControlTower() {
                                                 onMouseLeave={e => e.currentTarget.style.background = 'transparent'}>
                                                 <td style={{ padding: '11px 14px', fontWeight: 600, color: '#f8fafc' }}>{row.name}</td>
                                                 <td style={{ padding: '11px 14px' }}><span style={{ color: row.catColor, background: row.catColor + '18', padding: '2px 9px', borderRadius: 10, fontSize: 11, fontWeight: 600 }}>{row.category}</span></td>
-                                                <td style={{ padding: '11px 14px', color: '#818cf8', fontWeight: 600 }}>{row.mon}</td>
-                                                <td style={{ padding: '11px 14px', color: '#a78bfa', fontWeight: 600 }}>{row.thu}</td>
+                                                {routeDays.map(day => (
+                                                    <td key={day} style={{ padding: '11px 14px', color: getRouteDayColor(day), fontWeight: 600 }}>{row.dayQtys?.[day] || 0}</td>
+                                                ))}
                                                 <td style={{ padding: '11px 14px', fontWeight: 700, color: '#f8fafc', fontSize: 15 }}>{row.demand}</td>
                                                 <td style={{ padding: '11px 14px' }}><span style={{ color: row.confColor, fontWeight: 700, fontSize: 12 }}>● {row.conf}</span></td>
                                                 <td style={{ padding: '11px 14px', color: '#94a3b8' }}>{row.vendor}</td>
@@ -1114,11 +1139,10 @@ export default function GlobalSupplyControlTower() {
                             </div>
 
                             {/* Summary KPIs */}
-                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4,1fr)', gap: 14 }}>
+                            <div style={{ display: 'grid', gridTemplateColumns: `repeat(${forecastDays.length + 2},1fr)`, gap: 14 }}>
                                 {[
                                     { label: 'Predicted Items', value: forecastItems.length, color: '#38bdf8' },
-                                    { label: 'Monday Total', value: forecastItems.reduce((s, r) => s + r.mondayQty, 0), color: '#818cf8' },
-                                    { label: 'Thursday Total', value: forecastItems.reduce((s, r) => s + r.thursdayQty, 0), color: '#a78bfa' },
+                                    ...forecastDays.map(day => ({ label: `${day} Total`, value: forecastItems.reduce((s, r) => s + (r.dayQtys[day] || 0), 0), color: getRouteDayColor(day) })),
                                     { label: 'Weekly Total', value: forecastItems.reduce((s, r) => s + r.totalQty, 0), color: '#34d399' },
                                 ].map(k => (
                                     <div key={k.label} style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.07)', borderRadius: 12, padding: 18 }}>
@@ -1133,7 +1157,7 @@ export default function GlobalSupplyControlTower() {
                                 <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
                                     <thead>
                                         <tr style={{ background: 'rgba(255,255,255,0.04)', borderBottom: '1px solid rgba(255,255,255,0.08)' }}>
-                                            {['Item', 'Category', 'Mon Forecast', 'Thu Forecast', 'Weekly Total', 'Trend', 'Confidence'].map(h => (
+                                            {['Item', 'Category', ...forecastDays.map(day => `${getWeekdayCode(day)} Forecast`), 'Weekly Total', 'Trend', 'Confidence'].map(h => (
                                                 <th key={h} style={{ padding: '11px 14px', textAlign: 'left', fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.4 }}>{h}</th>
                                             ))}
                                         </tr>
@@ -1153,8 +1177,9 @@ export default function GlobalSupplyControlTower() {
                                                     <td style={{ padding: '11px 14px' }}>
                                                         <span style={{ color: catColors[row.category] || '#94a3b8', background: (catColors[row.category] || '#94a3b8') + '18', padding: '2px 9px', borderRadius: 10, fontSize: 11, fontWeight: 600 }}>{row.category}</span>
                                                     </td>
-                                                    <td style={{ padding: '11px 14px', color: '#818cf8', fontWeight: 600 }}>{row.mondayQty}</td>
-                                                    <td style={{ padding: '11px 14px', color: '#a78bfa', fontWeight: 600 }}>{row.thursdayQty}</td>
+                                                    {forecastDays.map(day => (
+                                                        <td key={day} style={{ padding: '11px 14px', color: getRouteDayColor(day), fontWeight: 600 }}>{row.dayQtys[day] || 0}</td>
+                                                    ))}
                                                     <td style={{ padding: '11px 14px', fontWeight: 700, color: '#f8fafc', fontSize: 15 }}>{row.totalQty}</td>
                                                     <td style={{ padding: '11px 14px' }}>
                                                         <span style={{ background: `${t.color}20`, color: t.color, padding: '3px 8px', borderRadius: 4, fontSize: 11, fontWeight: 600 }}>{t.label}</span>
@@ -1166,7 +1191,7 @@ export default function GlobalSupplyControlTower() {
                                             );
                                         })}
                                         {forecastItems.length === 0 && !forecastLoading && (
-                                            <tr><td colSpan={7} style={{ padding: 40, textAlign: 'center', color: '#94a3b8', fontSize: 13 }}>No forecast data for this restaurant. Forecasts require order history.</td></tr>
+                                            <tr><td colSpan={forecastDays.length + 5} style={{ padding: 40, textAlign: 'center', color: '#94a3b8', fontSize: 13 }}>No forecast data for this restaurant. Forecasts require order history.</td></tr>
                                         )}
                                     </tbody>
                                 </table>
@@ -1210,16 +1235,16 @@ export default function GlobalSupplyControlTower() {
                                             <h4 style={{ margin: '0 0 3px 0', fontSize: 15, color: v.isPkg ? '#a78bfa' : '#38bdf8' }}>{v.name}</h4>
                                             <div style={{ fontSize: 12, color: '#94a3b8', marginBottom: 14 }}>{v.activeItems} items forecast</div>
                                             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8, marginBottom: 14 }}>
-                                                <div style={{ background: 'rgba(0,0,0,0.25)', padding: 10, borderRadius: 6, position: 'relative' }}>
-                                                    <div style={{ fontSize: 10, color: '#94a3b8', textTransform: 'uppercase', marginBottom: 2 }}>Mon Load</div>
-                                                    <div style={{ fontSize: 16, fontWeight: 700, color: v.monDelivered ? '#10b981' : '#f8fafc' }}>{v.mon} <span style={{ fontSize: 11, fontWeight: 400 }}>pk</span></div>
-                                                    {v.monDelivered && <span style={{ position: 'absolute', top: 8, right: 6, fontSize: 9, background: 'rgba(16,185,129,0.2)', color: '#10b981', padding: '1px 5px', borderRadius: 3 }}>✓ DONE</span>}
-                                                </div>
-                                                <div style={{ background: 'rgba(0,0,0,0.25)', padding: 10, borderRadius: 6, position: 'relative' }}>
-                                                    <div style={{ fontSize: 10, color: '#94a3b8', textTransform: 'uppercase', marginBottom: 2 }}>Thu Load</div>
-                                                    <div style={{ fontSize: 16, fontWeight: 700, color: v.thuDelivered ? '#10b981' : '#f8fafc' }}>{v.thu} <span style={{ fontSize: 11, fontWeight: 400 }}>pk</span></div>
-                                                    {v.thuDelivered && <span style={{ position: 'absolute', top: 8, right: 6, fontSize: 9, background: 'rgba(16,185,129,0.2)', color: '#10b981', padding: '1px 5px', borderRadius: 3 }}>✓ DONE</span>}
-                                                </div>
+                                                {Object.entries(v.dayTotals).map(([day, qty]) => {
+                                                    const delivered = v.deliveredDays.includes(day);
+                                                    return (
+                                                        <div key={day} style={{ background: 'rgba(0,0,0,0.25)', padding: 10, borderRadius: 6, position: 'relative' }}>
+                                                            <div style={{ fontSize: 10, color: '#94a3b8', textTransform: 'uppercase', marginBottom: 2 }}>{getWeekdayCode(day)} Load</div>
+                                                            <div style={{ fontSize: 16, fontWeight: 700, color: delivered ? '#10b981' : '#f8fafc' }}>{qty} <span style={{ fontSize: 11, fontWeight: 400 }}>pk</span></div>
+                                                            {delivered && <span style={{ position: 'absolute', top: 8, right: 6, fontSize: 9, background: 'rgba(16,185,129,0.2)', color: '#10b981', padding: '1px 5px', borderRadius: 3 }}>✓ DONE</span>}
+                                                        </div>
+                                                    );
+                                                })}
                                             </div>
                                             <div style={{ fontSize: 13, borderTop: '1px dashed rgba(255,255,255,0.08)', paddingTop: 10 }}>
                                                 <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 3 }}><span style={{ color: '#94a3b8' }}>Billing:</span><span>${v.bill.toFixed(2)}</span></div>
@@ -1237,20 +1262,18 @@ export default function GlobalSupplyControlTower() {
 
                             {/* ── Warehouse Readiness (merged into Fulfillment) ── */}
                         <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
-                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
-                                <div style={{ background: 'rgba(0,0,0,0.3)', padding: 24, borderRadius: 12, border: '1px solid rgba(255,255,255,0.07)' }}>
-                                    <div style={{ fontSize: 12, color: '#94a3b8', textTransform: 'uppercase', marginBottom: 6 }}>Monday Pick Log</div>
-                                    <div style={{ fontSize: 28, fontWeight: 700, color: '#60a5fa' }}>{metrics.totalMonday} <span style={{ fontSize: 14, color: '#94a3b8', fontWeight: 400 }}>packs from {vendors.length} vendors</span></div>
-                                </div>
-                                <div style={{ background: 'rgba(0,0,0,0.3)', padding: 24, borderRadius: 12, border: '1px solid rgba(255,255,255,0.07)' }}>
-                                    <div style={{ fontSize: 12, color: '#94a3b8', textTransform: 'uppercase', marginBottom: 6 }}>Thursday Pick Log</div>
-                                    <div style={{ fontSize: 28, fontWeight: 700, color: '#a78bfa' }}>{metrics.totalThursday} <span style={{ fontSize: 14, color: '#94a3b8', fontWeight: 400 }}>packs from {vendors.length} vendors</span></div>
-                                </div>
+                            <div style={{ display: 'grid', gridTemplateColumns: `repeat(${Math.min(routeDays.length, 4)},1fr)`, gap: 16 }}>
+                                {routeDays.map(day => (
+                                    <div key={day} style={{ background: 'rgba(0,0,0,0.3)', padding: 24, borderRadius: 12, border: '1px solid rgba(255,255,255,0.07)' }}>
+                                        <div style={{ fontSize: 12, color: '#94a3b8', textTransform: 'uppercase', marginBottom: 6 }}>{day} Pick Log</div>
+                                        <div style={{ fontSize: 28, fontWeight: 700, color: getRouteDayColor(day) }}>{dayTotal(day)} <span style={{ fontSize: 14, color: '#94a3b8', fontWeight: 400 }}>packs from {vendors.filter(v => v.dayTotals[day]).length} vendors</span></div>
+                                    </div>
+                                ))}
                             </div>
                             <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.07)', borderRadius: 12, padding: 22 }}>
                                 <h3 style={{ fontSize: 14, fontWeight: 600, margin: '0 0 14px 0', color: '#e2e8f0' }}>Warehouse Zone Summary</h3>
                                 <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
-                                    {[['Zone A — Produce', metrics.totalMonday + metrics.totalThursday, '#34d399'], ['Zone B — Packaging', catDemand.Packaging || 0, '#38bdf8'], ['Zone F — Cleaning', catDemand['Cleaning Supplies'] || 0, '#fb923c']].map(([z, qty, c]) => (
+                                    {[['Zone A — Produce', weekTotal, '#34d399'], ['Zone B — Packaging', catDemand.Packaging || 0, '#38bdf8'], ['Zone F — Cleaning', catDemand['Cleaning Supplies'] || 0, '#fb923c']].map(([z, qty, c]) => (
                                         <div key={z} style={{ background: c + '10', border: `1px solid ${c}33`, borderRadius: 10, padding: '12px 20px', minWidth: 160 }}>
                                             <div style={{ fontSize: 11, color: '#94a3b8', marginBottom: 4 }}>{z}</div>
                                             <div style={{ fontSize: 22, fontWeight: 700, color: c }}>{qty} <span style={{ fontSize: 12, color: '#94a3b8', fontWeight: 400 }}>units</span></div>
@@ -1565,6 +1588,9 @@ export default function GlobalSupplyControlTower() {
                             </div>
                         </div>
                     )}{/* End of Exceptions tab */}
+
+                    {/* ═══════════════ OPERATIONS TAB ═══════════════ */}
+                    {activeTab === 'operations' && <OperationsAlertsTab />}
                 </>
             )}
         </div>
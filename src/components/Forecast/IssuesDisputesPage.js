@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { db } from '../../firebase';
 import { collection, onSnapshot, doc, updateDoc, addDoc, serverTimestamp } from 'firebase/firestore';
+import { getRouteDayColor } from './DispatchShared';
+import { WEEKDAYS, DEFAULT_DELIVERY_DAYS } from '../../shared/deliverySchedules';
 
 const ISSUE_TYPES = ['Missing Item', 'Incorrect Item', 'Damaged Item', 'Replacement Requested', 'Short Quantity', 'Wrong Pack Size'];
 
@@ -45,7 +47,7 @@ function RaiseDisputeModal({ onClose, onSubmit }) {
         restaurantName: '',
         vendorName: '',
         itemName: '',
-        deliveryDay: 'Monday',
+        deliveryDay: DEFAULT_DELIVERY_DAYS[0],
         description: '',
         submittedOrderId: '',
         dispatchId: '',
@@ -103,8 +105,7 @@ function RaiseDisputeModal({ onClose, onSubmit }) {
                         <div>
                             <label style={{ fontSize: 12, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', display: 'block', marginBottom: 6 }}>Delivery Day</label>
                             <select value={form.deliveryDay} onChange={e => setForm(f => ({ ...f, deliveryDay: e.target.value }))} style={fieldStyle}>
-                                <option>Monday</option>
-                                <option>Thursday</option>
+                                {WEEKDAYS.map(day => <option key={day}>{day}</option>)}
                             </select>
                         </div>
                     </div>
@@ -303,13 +304,14 @@ export default function IssuesDisputesPage() {
                                             onMouseLeave={e => e.currentTarget.style.background = 'transparent'}>
                                             <td style={{ padding: '13px 14px', whiteSpace: 'nowrap' }}>
                                                 <span style={{ fontWeight: 700, color: '#f8fafc' }}>{TYPE_ICON[d.issueType] || '⚠️'} {d.issueType || '—'}</span>
+                                                {d.source === 'proof_of_delivery' && <div style={{ fontSize: 10, color: '#38bdf8', marginTop: 2 }}>✍️ From proof of delivery</div>}
                                             </td>
                                             <td style={{ padding: '13px 14px', fontWeight: 600, color: '#e2e8f0' }}>{d.restaurantName || '—'}</td>
                                             <td style={{ padding: '13px 14px', color: '#94a3b8' }}>{d.vendorName || '—'}</td>
                                             <td style={{ padding: '13px 14px', color: '#e2e8f0', fontWeight: 600 }}>{d.itemName || '—'}</td>
                                             <td style={{ padding: '13px 14px' }}>
                                                 {d.deliveryDay
-                                                    ? <span style={{ background: d.deliveryDay === 'Monday' ? 'rgba(129,140,248,0.12)' : 'rgba(167,139,250,0.12)', color: d.deliveryDay === 'Monday' ? '#818cf8' : '#a78bfa', padding: '2px 10px', borderRadius: 10, fontSize: 11, fontWeight: 700 }}>{d.deliveryDay}</span>
+                                                    ? <span style={{ background: `${getRouteDayColor(d.deliveryDay)}1f`, color: getRouteDayColor(d.deliveryDay), padding: '2px 10px', borderRadius: 10, fontSize: 11, fontWeight: 700 }}>{d.deliveryDay}</span>
                                                     : '—'}
                                             </td>
                                             <td style={{ padding: '13px 14px' }}><StatusBadge status={d.status || 'Open'} /></td>
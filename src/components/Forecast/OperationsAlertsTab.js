@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { FiRefreshCw, FiCheck, FiClock, FiCheckCircle, FiSettings } from 'react-icons/fi';
+import { toast } from 'react-toastify';
+import { UserContext } from '../../contexts/UserContext';
+import {
+    subscribeToActiveAlerts,
+    actOnAlert,
+    runSlaMonitorNow,
+    fetchSlaMonitorConfig,
+    saveSlaMonitorConfig,
+} from '../../services/operationsAlertService';
+import { ESCALATION_LEVELS, DEFAULT_SLA_MONITOR_CONFIG } from '../../shared/slaMonitor';
+
+const SEVERITY_COLORS = {
+    critical: '#f43f5e',
+    high: '#f59e0b',
+    medium: '#38bdf8',
+};
+
+const STATE_LABELS = {
+    open: 'Open',
+    acknowledged: 'Acknowledged',
+    snoozed: 'Snoozed',
+};
+
+const SNOOZE_OPTIONS = [1, 4, 12, 24, 72];
+
+const THRESHOLD_LABELS = {
+    submitted_not_aggregated: 'Submitted, not aggregated',
+    aggregated_not_dispatched: 'Aggregated, not dispatched',
+    sent_not_confirmed: 'Sent, not confirmed',
+    approval_not_answered: 'Customer approval pending',
+    confirmed_not_warehouse: 'Confirmed, not at warehouse',
+    warehouse_not_delivered: 'Warehouse ready, not delivered',
+    in_route_not_delivered: 'Out for delivery, not delivered',
+    issue_unresolved: 'Issue unresolved',
+};
+
+const formatAge = (iso) => {
+    if (!iso) return '—';
+    const hours = (Date.now() - new Date(iso).getTime()) / (1000 * 60 * 60);
+    if (hours < 1) return `${Math.max(1, Math.round(hours * 60))}m`;
+    if (hours < 48) return `${Math.round(hours)}h`;
+    return `${Math.round(hours / 24)}d`;
+};
+
+const inputStyle = { padding: '6px 10px', borderRadius: 6, background: 'rgba(0,0,0,0.4)', color: '#f8fafc', border: '1px solid rgba(255,255,255,0.1)', fontSize: 12, outline: 'none' };
+
+function MonitorSettings({ onClose }) {
+    const { userId, displayName } = useContext(UserContext);
+    const [config, setConfig] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => { fetchSlaMonitorConfig().then(setConfig); }, []);
+
+    const setThreshold = (key, value) => setConfig(c => ({ ...c, thresholds: { ...c.thresholds, [key]: value } }));
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            setConfig(await saveSlaMonitorConfig(config, { userId, displayName }));
+            toast.success('✅ SLA monitor settings saved');
+            onClose();
+        } catch (err) {
+            console.error('[Operations] Could not save settings:', err);
+            toast.error(`❌ Save failed: ${err.message || 'Unknown error'}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!config) return <div style={{ padding: 16, fontSize: 13, color: '#94a3b8' }}>Loading settings...</div>;
+
+    return (
+        <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, padding: 20 }}>
+            <h4 style={{ margin: '0 0 12px 0', fontSize: 14, color: '#e2e8f0' }}>Monitor Settings</h4>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 16 }}>
+                <div>
+                    <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', marginBottom: 8 }}>Admin on call</div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+                        <input style={inputStyle} placeholder="Name" value={config.onCallAdminName} onChange={e => setConfig(c => ({ ...c, onCallAdminName: e.target.value }))} />
+                        <input style={inputStyle} placeholder="Email" type="email" value={config.onCallAdminEmail} onChange={e => setConfig(c => ({ ...c, onCallAdminEmail: e.target.value }))} />
+                    </div>
+                    <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', margin: '16px 0 8px' }}>SLA limits (hours)</div>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                        <label style={{ fontSize: 12, color: '#cbd5e1' }}>Confirm within <input style={{ ...inputStyle, width: 60 }} type="number" min="1" value={config.confirmationHours} onChange={e => setConfig(c => ({ ...c, confirmationHours: e.target.value }))} /></label>
+                        <label style={{ fontSize: 12, color: '#cbd5e1' }}>Deliver within <input style={{ ...inputStyle, width: 60 }} type="number" min="1" value={config.deliveryHours} onChange={e => setConfig(c => ({ ...c, deliveryHours: e.target.value }))} /></label>
+                    </div>
+                </div>
+                <div>
+                    <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', marginBottom: 8 }}>Stuck thresholds (hours)</div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                        {Object.keys(DEFAULT_SLA_MONITOR_CONFIG.thresholds).map(key => (
+                            <label key={key} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: 12, color: '#cbd5e1' }}>
+                                {THRESHOLD_LABELS[key] || key}
+                                <input style={{ ...inputStyle, width: 60 }} type="number" min="1" value={config.thresholds[key]} onChange={e => setThreshold(key, e.target.value)} />
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+                <button className="ui-btn ghost small" onClick={onClose} disabled={saving}>Cancel</button>
+                <button className="ui-btn primary small" onClick={handleSave} disabled={saving}>{saving ? 'Saving...' : 'Save Settings'}</button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * OperationsAlertsTab — open SLA breaches and stuck orders/dispatches raised by
+ * the scheduled monitor (functions/slaMonitor.js), with acknowledge, snooze and
+ * resolve actions.
+ */
+export default function OperationsAlertsTab() {
+    const { displayName } = useContext(UserContext);
+    const [alerts, setAlerts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [running, setRunning] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [snoozeHours, setSnoozeHours] = useState({});
+    const [showSettings, setShowSettings] = useState(false);
+
+    useEffect(() => {
+        const unsubscribe = subscribeToActiveAlerts(
+            (list) => { setAlerts(list); setLoading(false); },
+            (err) => { console.error('[Operations] Could not load alerts:', err); setLoading(false); }
+        );
+        return unsubscribe;
+    }, []);
+
+    const handleRunNow = async () => {
+        setRunning(true);
+        try {
+            const summary = await runSlaMonitorNow();
+            toast.success(`✅ ${summary.detected} alert(s) — ${summary.opened} new, ${summary.cleared} cleared`);
+        } catch (err) {
+            console.error('[Operations] Monitor run failed:', err);
+            toast.error(`❌ Monitor run failed: ${err.message || 'Unknown error'}`);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const handleAction = async (alert, action) => {
+        let note = '';
+        if (action === 'resolve') {
+            note = window.prompt('Resolution note (optional):', '');
+            if (note === null) return;
+        }
+        setBusyId(alert.id);
+        try {
+            await actOnAlert(alert.id, action, {
+                snoozeHours: snoozeHours[alert.id] || DEFAULT_SLA_MONITOR_CONFIG.defaultSnoozeHours,
+                note,
+                actorName: displayName || null,
+            });
+        } catch (err) {
+            console.error(`[Operations] ${action} failed:`, err);
+            toast.error(`❌ ${err.message || 'Action failed'}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const counts = {
+        critical: alerts.filter(a => a.severity === 'critical').length,
+        high: alerts.filter(a => a.severity === 'high').length,
+        medium: alerts.filter(a => a.severity === 'medium').length,
+        open: alerts.filter(a => a.state === 'open').length,
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4,1fr)', gap: 14 }}>
+                {[
+                    { label: 'Critical', value: counts.critical, color: SEVERITY_COLORS.critical, icon: '🚨' },
+                    { label: 'High', value: counts.high, color: SEVERITY_COLORS.high, icon: '⚠️' },
+                    { label: 'Medium', value: counts.medium, color: SEVERITY_COLORS.medium, icon: '⏱️' },
+                    { label: 'Unacknowledged', value: counts.open, color: counts.open > 0 ? '#f43f5e' : '#10b981', icon: '🔔' },
+                ].map(k => (
+                    <div key={k.label} style={{ background: k.color + '0a', border: `1px solid ${k.color}22`, borderRadius: 12, padding: 20 }}>
+                        <div style={{ fontSize: 20, marginBottom: 6 }}>{k.icon}</div>
+                        <div style={{ fontSize: 26, fontWeight: 700, color: k.color }}>{k.value}</div>
+                        <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.3 }}>{k.label}</div>
+                    </div>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <p style={{ margin: 0, fontSize: 13, color: '#94a3b8' }}>
+                    Checked every 30 minutes. Alerts escalate in-app first, then by email to the vendor contact and the admin on call.
+                </p>
+                <div style={{ display: 'flex', gap: 8, flexShrink: 0 }}>
+                    <button className="ui-btn ghost small" onClick={() => setShowSettings(s => !s)} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                        <FiSettings /> Settings
+                    </button>
+                    <button className="ui-btn primary small" onClick={handleRunNow} disabled={running} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                        <FiRefreshCw style={{ animation: running ? 'spin 1s linear infinite' : 'none' }} />
+                        {running ? 'Checking...' : 'Run Check Now'}
+                    </button>
+                </div>
+            </div>
+
+            {showSettings && <MonitorSettings onClose={() => setShowSettings(false)} />}
+
+            <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, overflow: 'hidden' }}>
+                {loading ? (
+                    <div style={{ padding: 40, textAlign: 'center', color: '#94a3b8', fontSize: 13 }}>Loading alerts...</div>
+                ) : alerts.length === 0 ? (
+                    <div style={{ padding: 30, textAlign: 'center' }}>
+                        <div style={{ fontSize: 40, marginBottom: 12 }}>✅</div>
+                        <div style={{ fontSize: 15, fontWeight: 700, color: '#34d399', marginBottom: 6 }}>No Open Breaches</div>
+                        <div style={{ fontSize: 13, color: '#64748b' }}>Every in-flight order and dispatch is within its SLA.</div>
+                    </div>
+                ) : (
+                    <table className="ui-table" style={{ fontSize: 13, width: '100%' }}>
+                        <thead>
+                            <tr>
+                                <th>Severity</th>
+                                <th>Alert</th>
+                                <th>Vendor</th>
+                                <th>State</th>
+                                <th>Escalation</th>
+                                <th>Age</th>
+                                <th style={{ textAlign: 'right' }}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {alerts.map(a => {
+                                const color = SEVERITY_COLORS[a.severity] || '#94a3b8';
+                                const level = ESCALATION_LEVELS[(a.escalationLevel || 0) - 1];
+                                const busy = busyId === a.id;
+                                return (
+                                    <tr key={a.id} style={{ opacity: a.state === 'open' ? 1 : 0.7 }}>
+                                        <td>
+                                            <span style={{ padding: '2px 8px', borderRadius: 10, fontSize: 11, fontWeight: 700, textTransform: 'uppercase', color, background: color + '1a' }}>{a.severity}</span>
+                                        </td>
+                                        <td>
+                                            <div style={{ fontWeight: 600, color: '#e2e8f0' }}>{a.message}</div>
+                                            <a href={`/dispatch-requests/${a.entityId}`} style={{ fontSize: 11, color: '#38bdf8' }}>
+                                                {a.entityType === 'order' ? 'Order' : 'Dispatch'} {a.entityId} · {a.entityStatus} →
+                                            </a>
+                                        </td>
+                                        <td style={{ color: '#94a3b8' }}>{a.vendorName || '—'}</td>
+                                        <td>
+                                            {STATE_LABELS[a.state] || a.state}
+                                            {a.state === 'acknowledged' && a.acknowledgedBy && <div style={{ fontSize: 11, color: '#64748b' }}>by {a.acknowledgedBy}</div>}
+                                            {a.state === 'snoozed' && a.snoozedUntil && <div style={{ fontSize: 11, color: '#64748b' }}>until {new Date(a.snoozedUntil).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</div>}
+                                        </td>
+                                        <td style={{ color: '#94a3b8' }}>{level ? level.label : 'Not yet'}</td>
+                                        <td style={{ color: '#94a3b8' }}>{formatAge(a.firstDetectedAt)}</td>
+                                        <td>
+                                            <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 6 }}>
+                                                {a.state !== 'acknowledged' && (
+                                                    <button className="ui-btn ghost mini" disabled={busy} onClick={() => handleAction(a, 'acknowledge')} title="Acknowledge — stops further escalation">
+                                                        <FiCheck /> Ack
+                                                    </button>
+                                                )}
+                                                {a.state !== 'snoozed' && (
+                                                    <>
+                                                        <select style={{ ...inputStyle, padding: '3px 6px' }} value={snoozeHours[a.id] || DEFAULT_SLA_MONITOR_CONFIG.defaultSnoozeHours} onChange={e => setSnoozeHours(s => ({ ...s, [a.id]: Number(e.target.value) }))}>
+                                                            {SNOOZE_OPTIONS.map(h => <option key={h} value={h}>{h}h</option>)}
+                                                        </select>
+                                                        <button className="ui-btn ghost mini" disabled={busy} onClick={() => handleAction(a, 'snooze')}>
+                                                            <FiClock /> Snooze
+                                                        </button>
+                                                    </>
+                                                )}
+                                                <button className="ui-btn primary mini" disabled={busy} onClick={() => handleAction(a, 'resolve')}>
+                                                    <FiCheckCircle /> Resolve
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
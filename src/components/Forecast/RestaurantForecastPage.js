@@ -1,5 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { fetchOrderHistory, getRestaurantList, buildRestaurantForecast } from './forecastHelpers';
+import { fetchOrderHistory, fetchForecastConfig, fetchFestivalEvents, getRestaurantList, buildRestaurantForecast, getForecastWeekStart, getForecastDeliveryDays } from './forecastHelpers';
+import { SeasonalUpliftBadges } from './ForecastComponents';
+import { getRouteDayColor } from './DispatchShared';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { getWeekdayCode, sumDayQtys } from '../../shared/deliverySchedules';
 
 const TrendBadge = ({ trend }) => {
     let color = '#f59e0b';
@@ -9,6 +13,21 @@ const TrendBadge = ({ trend }) => {
     return <span style={{ background: `${color}20`, color, padding: '4px 8px', borderRadius: 4, fontSize: 11, fontWeight: 600 }}>{text}</span>;
 };
 
+const SPLIT_SOURCE_LABELS = { item: 'learned', category: 'learned (category)', default: 'default' };
+
+const DeliverySplit = ({ split }) => {
+    if (!split) return <span style={{ color: 'var(--muted)' }}>—</span>;
+    const shares = split.shares || { Monday: split.mondayShare, Thursday: 1 - split.mondayShare };
+    return (
+        <div>
+            <span style={{ fontWeight: 600 }}>{Object.values(shares).map(share => Math.round(share * 100)).join(' / ')}</span>
+            <div style={{ fontSize: 11, color: split.source === 'default' ? 'var(--muted)' : '#10b981', marginTop: 2 }}>
+                {SPLIT_SOURCE_LABELS[split.source] || split.source} · {split.samples} order{split.samples !== 1 ? 's' : ''}
+            </div>
+        </div>
+    );
+};
+
 const ConfidenceBadge = ({ confidence }) => {
     let color = '#10b981';
     if (confidence === 'Medium') color = '#f59e0b';
@@ -22,12 +41,23 @@ export default function RestaurantForecastPage() {
     const [restaurants, setRestaurants] = useState([]);
     const [selectedRestId, setSelectedRestId] = useState('');
     const [orderRecords, setOrderRecords] = useState([]);
+    const [forecastConfig, setForecastConfig] = useState(null);
+    const [festivalEvents, setFestivalEvents] = useState([]);
+    const [restaurantDays, setRestaurantDays] = useState({});
 
     // Load order history on mount
     useEffect(() => {
         async function loadData() {
             try {
-                const records = await fetchOrderHistory(12);
+                const [records, config, events, schedules] = await Promise.all([
+                    fetchOrderHistory(12),
+                    fetchForecastConfig(),
+                    fetchFestivalEvents(),
+                    fetchDeliverySchedules().catch(() => ({ restaurants: {} })),
+                ]);
+                setForecastConfig(config);
+                setRestaurantDays(schedules.restaurants);
+                setFestivalEvents(events);
                 setOrderRecords(records);
                 const restList = getRestaurantList(records);
                 setRestaurants(restList);
@@ -48,18 +78,24 @@ export default function RestaurantForecastPage() {
         setLoading(true);
 
         try {
-            const forecast = buildRestaurantForecast(orderRecords, selectedRestId);
+            const forecast = buildRestaurantForecast(orderRecords, selectedRestId, restaurants, {}, {
+                config: forecastConfig,
+                festivalEvents,
+                weekStart: getForecastWeekStart(new Date()),
+                deliveryDays: restaurantDays[selectedRestId],
+            });
             const results = forecast
-                .filter(item => (item.mondayQty || 0) + (item.thursdayQty || 0) > 0)
+                .filter(item => sumDayQtys(item.dayQtys) > 0)
                 .map(item => ({
                     itemName: item.itemName,
                     category: item.category || 'Produce',
-                    totalQty: (item.mondayQty || 0) + (item.thursdayQty || 0),
-                    mondayQty: item.mondayQty || 0,
-                    thursdayQty: item.thursdayQty || 0,
+                    totalQty: sumDayQtys(item.dayQtys),
+                    dayQtys: item.dayQtys || {},
+                    deliverySplit: item.deliverySplit || null,
                     trend: item.trend || 'stable',
                     confidence: item.confidence || 'Medium',
-                    sortWeight: item.weeklyTotal || ((item.mondayQty || 0) + (item.thursdayQty || 0))
+                    seasonalUplifts: item.seasonalUplifts || [],
+                    sortWeight: item.weeklyTotal || sumDayQtys(item.dayQtys)
                 }))
                 .sort((a, b) => b.sortWeight - a.sortWeight);
 
@@ -69,7 +105,9 @@ export default function RestaurantForecastPage() {
             setForecasts([]);
         }
         setLoading(false);
-    }, [selectedRestId, orderRecords]);
+    }, [selectedRestId, orderRecords, restaurants, forecastConfig, festivalEvents, restaurantDays]);
+
+    const deliveryDays = getForecastDeliveryDays(restaurantDays[selectedRestId]);
 
     return (
         <div style={{ padding: '0 24px', maxWidth: 1400, margin: '0 auto' }}>
@@ -105,8 +143,8 @@ export default function RestaurantForecastPage() {
                                 <th>Item</th>
                                 <th>Category</th>
                                 <th>Location Weekly Target</th>
-                                <th>Monday Route Qt.</th>
-                                <th>Thursday Route Qt.</th>
+                                {deliveryDays.map(day => <th key={day}>{day} Route Qt.</th>)}
+                                <th>{deliveryDays.map(getWeekdayCode).join(' / ')} Split</th>
                                 <th>Location Trend</th>
                                 <th>Confidence</th>
                             </tr>
@@ -118,13 +156,16 @@ export default function RestaurantForecastPage() {
                                     <td style={{ color: 'var(--muted)', fontSize: 13 }}>{f.category}</td>
                                     <td style={{ fontSize: 15, fontWeight: 700, color: '#f8fafc' }}>
                                         {f.totalQty}
+                                        {f.seasonalUplifts.length > 0 && (
+                                            <div style={{ marginTop: 4 }}><SeasonalUpliftBadges uplifts={f.seasonalUplifts} /></div>
+                                        )}
                                     </td>
-                                    <td>
-                                        <span style={{ color: '#3b82f6', fontWeight: 600 }}>{f.mondayQty}</span>
-                                    </td>
-                                    <td>
-                                        <span style={{ color: '#8b5cf6', fontWeight: 600 }}>{f.thursdayQty}</span>
-                                    </td>
+                                    {deliveryDays.map(day => (
+                                        <td key={day}>
+                                            <span style={{ color: getRouteDayColor(day), fontWeight: 600 }}>{f.dayQtys[day] || 0}</span>
+                                        </td>
+                                    ))}
+                                    <td><DeliverySplit split={f.deliverySplit} /></td>
                                     <td><TrendBadge trend={f.trend} /></td>
                                     <td><ConfidenceBadge confidence={f.confidence} /></td>
                                 </tr>
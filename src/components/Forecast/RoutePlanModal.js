@@ -0,0 +1,183 @@
+/**
+ * RoutePlanModal.js
+ *
+ * Stop plan for one route-day dispatch (src/shared/routePlanning.js): plans
+ * the stops, prints the driver manifest and records each stop's progress.
+ * Opened from Delivery Status.
+ */
+import React, { useState, useContext } from 'react';
+import { toast } from 'react-toastify';
+import { UserContext } from '../../contexts/UserContext';
+import { RouteDayBadge } from './DispatchShared';
+import { planRouteDispatch, updateStopStatus } from '../../services/routePlanningService';
+import { generateDriverManifestPDF } from '../../utils/generateDriverManifestPDF';
+import { DEFAULT_PLAN_OPTIONS, formatTimeWindow, getStopProgress } from '../../shared/routePlanning';
+
+const STOP_STATUS_CONFIG = {
+    pending: { label: 'Pending', color: '#94a3b8', bg: 'rgba(148,163,184,0.1)' },
+    arrived: { label: 'Arrived', color: '#38bdf8', bg: 'rgba(56,189,248,0.12)' },
+    delivered: { label: 'Delivered', color: '#34d399', bg: 'rgba(52,211,153,0.12)' },
+    skipped: { label: 'Skipped', color: '#f43f5e', bg: 'rgba(244,63,94,0.12)' },
+};
+
+// status → actions offered from it
+const STOP_ACTIONS = {
+    pending: [['arrived', 'Arrived'], ['delivered', 'Delivered'], ['skipped', 'Skip']],
+    arrived: [['delivered', 'Delivered'], ['skipped', 'Skip']],
+    delivered: [['pending', 'Undo']],
+    skipped: [['pending', 'Undo']],
+};
+
+const fieldStyle = { padding: '7px 10px', borderRadius: 7, background: 'rgba(0,0,0,0.35)', border: '1px solid rgba(255,255,255,0.1)', color: '#f8fafc', fontSize: 13, outline: 'none' };
+const labelStyle = { fontSize: 11, color: '#94a3b8', marginBottom: 4, fontWeight: 600, textTransform: 'uppercase' };
+
+export function StopProgress({ routePlan }) {
+    const { total, done, skipped } = getStopProgress(routePlan);
+    if (!total) return null;
+    const pct = Math.round((done / total) * 100);
+    return (
+        <div title={skipped ? `${skipped} skipped` : undefined} style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 4 }}>
+            <div style={{ width: 54, height: 4, borderRadius: 2, background: 'rgba(255,255,255,0.08)', overflow: 'hidden' }}>
+                <div style={{ width: `${pct}%`, height: '100%', background: done === total ? '#34d399' : '#38bdf8' }} />
+            </div>
+            <span style={{ fontSize: 10, color: '#94a3b8', whiteSpace: 'nowrap' }}>{done}/{total} stops</span>
+        </div>
+    );
+}
+
+export default function RoutePlanModal({ route, onClose }) {
+    const { displayName } = useContext(UserContext);
+    const plan = route.routePlan;
+    const [startTime, setStartTime] = useState(plan?.startTime || DEFAULT_PLAN_OPTIONS.startTime);
+    const [serviceMinutes, setServiceMinutes] = useState(plan?.serviceMinutes ?? DEFAULT_PLAN_OPTIONS.serviceMinutes);
+    const [planning, setPlanning] = useState(false);
+    const [updating, setUpdating] = useState('');
+
+    const handlePlan = async () => {
+        setPlanning(true);
+        try {
+            const saved = await planRouteDispatch(route, { startTime, serviceMinutes: Number(serviceMinutes) }, { displayName });
+            toast.success(`Route planned — ${saved.stops.length} stops, ${saved.totalKm} km`);
+        } catch (err) {
+            console.error('[RoutePlan] Plan error:', err);
+            toast.error(err.message || 'Failed to plan route');
+        } finally {
+            setPlanning(false);
+        }
+    };
+
+    const handleStatus = async (stop, status) => {
+        setUpdating(stop.restaurantId);
+        try {
+            await updateStopStatus(route.id, stop.restaurantId, status, { displayName });
+        } catch (err) {
+            console.error('[RoutePlan] Stop update error:', err);
+            toast.error(err.message || 'Failed to update stop');
+        } finally {
+            setUpdating('');
+        }
+    };
+
+    const handlePrint = () => {
+        const url = generateDriverManifestPDF(route);
+        window.open(url, '_blank');
+    };
+
+    const progress = getStopProgress(plan);
+
+    return (
+        <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 2000, padding: 24 }} onClick={onClose}>
+            <div onClick={e => e.stopPropagation()} style={{ width: '100%', maxWidth: 960, maxHeight: '88vh', display: 'flex', flexDirection: 'column', background: '#0f172a', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 14, overflow: 'hidden', color: '#f8fafc' }}>
+                <div style={{ padding: '14px 22px', borderBottom: '1px solid rgba(255,255,255,0.07)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700, display: 'flex', alignItems: 'center', gap: 10 }}>
+                        🗺️ Route Plan — {route.vendorName || route.vendorId}
+                        {route.routeDay && <RouteDayBadge routeDay={route.routeDay} size="small" />}
+                        {route.deliveryDate && <span style={{ fontSize: 12, color: '#64748b', fontWeight: 500 }}>{route.deliveryDate}</span>}
+                    </h3>
+                    <button onClick={onClose} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: 22, cursor: 'pointer', lineHeight: 1 }}>×</button>
+                </div>
+
+                <div style={{ padding: '16px 22px', overflowY: 'auto' }}>
+                    {/* Planning controls */}
+                    <div style={{ display: 'flex', gap: 14, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 16 }}>
+                        <div>
+                            <div style={labelStyle}>Departs</div>
+                            <input type="time" value={startTime} onChange={e => setStartTime(e.target.value)} style={fieldStyle} />
+                        </div>
+                        <div>
+                            <div style={labelStyle}>Unload (min / stop)</div>
+                            <input type="number" min="0" value={serviceMinutes} onChange={e => setServiceMinutes(e.target.value)} style={{ ...fieldStyle, width: 90 }} />
+                        </div>
+                        <button className="ui-btn primary small" onClick={handlePlan} disabled={planning}>
+                            {planning ? 'Planning...' : plan ? '🔄 Re-plan' : '🧭 Plan Route'}
+                        </button>
+                        {plan && <button className="ui-btn ghost small" onClick={handlePrint}>🖨️ Driver Manifest</button>}
+                    </div>
+
+                    {!plan ? (
+                        <div style={{ padding: 32, textAlign: 'center', color: '#64748b', fontSize: 13 }}>
+                            Not planned yet. Stops are built from this route's restaurant drops and sequenced by distance and each restaurant's delivery window.
+                        </div>
+                    ) : (
+                        <>
+                            {/* Summary */}
+                            <div style={{ display: 'flex', gap: 18, flexWrap: 'wrap', fontSize: 12, color: '#94a3b8', marginBottom: 12 }}>
+                                <span><strong style={{ color: '#f8fafc' }}>{progress.done}/{progress.total}</strong> stops done</span>
+                                <span><strong style={{ color: '#f8fafc' }}>{plan.totalKm}</strong> km</span>
+                                <span>{plan.startTime} → ~{plan.finishTime}</span>
+                                {plan.lateCount > 0 && <span style={{ color: '#f43f5e', fontWeight: 700 }}>⚠ {plan.lateCount} miss{plan.lateCount === 1 ? 'es its' : ' their'} window</span>}
+                                <span style={{ marginLeft: 'auto' }}>Distances: {plan.providerLabel || plan.provider}{plan.plannedBy ? ` · planned by ${plan.plannedBy}` : ''}</span>
+                            </div>
+                            {plan.unlocatedCount > 0 && (
+                                <div style={{ background: 'rgba(251,191,36,0.08)', border: '1px solid rgba(251,191,36,0.2)', borderRadius: 8, padding: '8px 12px', fontSize: 12, color: '#fbbf24', marginBottom: 12 }}>
+                                    {plan.unlocatedCount} restaurant{plan.unlocatedCount === 1 ? ' has' : 's have'} no coordinates and {plan.unlocatedCount === 1 ? 'is' : 'are'} listed last — add a location on Manage Restaurants and re-plan.
+                                </div>
+                            )}
+
+                            {/* Stops */}
+                            <table className="ui-table" style={{ width: '100%', fontSize: 13 }}>
+                                <thead>
+                                    <tr><th>#</th><th>Restaurant</th><th>Window</th><th>ETA</th><th style={{ textAlign: 'right' }}>Packs</th><th>Status</th><th /></tr>
+                                </thead>
+                                <tbody>
+                                    {plan.stops.map(stop => {
+                                        const cfg = STOP_STATUS_CONFIG[stop.status] || STOP_STATUS_CONFIG.pending;
+                                        return (
+                                            <tr key={stop.restaurantId || stop.restaurantName}>
+                                                <td style={{ fontWeight: 700, color: '#64748b' }}>{stop.sequence}</td>
+                                                <td>
+                                                    <div style={{ fontWeight: 600 }}>{stop.restaurantName}</div>
+                                                    <div style={{ fontSize: 11, color: '#64748b' }}>{stop.address || 'No address on file'}</div>
+                                                </td>
+                                                <td style={{ color: '#94a3b8', fontSize: 12 }}>{formatTimeWindow(stop.timeWindow) || '—'}</td>
+                                                <td>
+                                                    <span style={{ fontWeight: 700, color: stop.windowStatus === 'late' ? '#f43f5e' : '#f8fafc' }}>{stop.eta || '—'}</span>
+                                                    {stop.waitMinutes > 0 && <div style={{ fontSize: 10, color: '#64748b' }}>waits {stop.waitMinutes} min</div>}
+                                                    {stop.windowStatus === 'late' && <div style={{ fontSize: 10, color: '#f43f5e' }}>misses window</div>}
+                                                    {stop.windowStatus === 'unlocated' && <div style={{ fontSize: 10, color: '#fbbf24' }}>no location</div>}
+                                                </td>
+                                                <td style={{ textAlign: 'right' }}>{stop.totalQty}</td>
+                                                <td>
+                                                    <span style={{ background: cfg.bg, color: cfg.color, padding: '3px 10px', borderRadius: 12, fontSize: 11, fontWeight: 700, whiteSpace: 'nowrap' }}>{cfg.label}</span>
+                                                    {stop.statusAt && <div style={{ fontSize: 10, color: '#64748b', marginTop: 2 }}>{new Date(stop.statusAt).toLocaleTimeString('en-CA', { hour: '2-digit', minute: '2-digit' })}</div>}
+                                                </td>
+                                                <td style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                                                    {(STOP_ACTIONS[stop.status] || STOP_ACTIONS.pending).map(([status, label]) => (
+                                                        <button key={status} className={`ui-btn ${status === 'delivered' ? 'primary' : 'ghost'} small`} style={{ marginLeft: 6 }}
+                                                            disabled={updating === stop.restaurantId} onClick={() => handleStatus(stop, status)}>
+                                                            {label}
+                                                        </button>
+                                                    ))}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { db } from '../../firebase';
 import { collection, onSnapshot, doc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { getRouteDayColor } from './DispatchShared';
 
 const STATUS_CONFIG = {
     'pending_confirmation': { color: '#fbbf24', bg: 'rgba(251,191,36,0.12)', icon: '⏳', label: 'Pending Confirmation' },
@@ -174,7 +175,7 @@ export default function SubmittedOrdersPage() {
                                             <td style={{ padding: '13px 14px', color: '#94a3b8', fontSize: 12, whiteSpace: 'nowrap' }}>{fmt(order.createdAt)}</td>
                                             <td style={{ padding: '13px 14px' }}>
                                                 {order.deliveryDay
-                                                    ? <span style={{ background: order.deliveryDay === 'Monday' ? 'rgba(129,140,248,0.12)' : 'rgba(167,139,250,0.12)', color: order.deliveryDay === 'Monday' ? '#818cf8' : '#a78bfa', padding: '2px 10px', borderRadius: 10, fontSize: 11, fontWeight: 700 }}>{order.deliveryDay}</span>
+                                                    ? <span style={{ background: `${getRouteDayColor(order.deliveryDay)}1f`, color: getRouteDayColor(order.deliveryDay), padding: '2px 10px', borderRadius: 10, fontSize: 11, fontWeight: 700 }}>{order.deliveryDay}</span>
                                                     : <span style={{ color: '#475569' }}>—</span>}
                                             </td>
                                             <td style={{ padding: '13px 14px', fontWeight: 600, color: '#f8fafc' }}>{itemCount}</td>
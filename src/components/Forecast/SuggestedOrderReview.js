@@ -6,10 +6,14 @@ import useCorrectionLearning from './useCorrectionLearning';
 import { runCorrectionEngine } from './forecastCorrectionEngine';
 import SavingsOpportunityBanner from './SavingsOpportunityBanner';
 import BundleCompatibilityAlert from './BundleCompatibilityAlert';
+import { SeasonalUpliftBadges } from './ForecastComponents';
+import ForecastRunPanel from './ForecastRunPanel';
+import { SERVICE_LEVELS, classifyAgainstBand } from './forecastHelpers';
 import { findMissingBundlePairs } from '../Vendors/marketplaceIntelligence';
 import { db } from '../../firebase';
 import { collection, getDocs, query, where, orderBy, limit } from 'firebase/firestore';
 import { getFunctions, httpsCallable } from 'firebase/functions';
+import { WEEKDAYS, DEFAULT_DELIVERY_DAYS, normalizeDeliveryDays } from '../../shared/deliverySchedules';
 
 // Catalog for the 'Add Item' flow — loaded from Firestore
 
@@ -43,9 +47,15 @@ export default function SuggestedOrderReview() {
     const [forecastDocs, setForecastDocs] = useState({}); // restaurantId → forecast document from Cloud Function
     const [orderStats, setOrderStats] = useState(null); // diagnostic stats from Cloud Function
     const [runningEngine, setRunningEngine] = useState(false); // true while the engine is running
+    const [isRunPanelOpen, setIsRunPanelOpen] = useState(false); // dry-run preview + run history
+
+    // The restaurant's delivery days, as the forecast run split the week over them
+    const forecastDays = normalizeDeliveryDays(forecastDocs[selectedRestaurant]?.deliveryDays);
+    const deliveryDays = forecastDays.length ? forecastDays : DEFAULT_DELIVERY_DAYS;
+    const firstDeliveryDay = deliveryDays[0];
 
     // Correction Learning Hook — for sidebar display only
-    const { learningProfiles, insights: learningInsights } = useCorrectionLearning(selectedRestaurant || 'oruma-takeout', 'Monday');
+    const { learningProfiles, insights: learningInsights } = useCorrectionLearning(selectedRestaurant || 'oruma-takeout', firstDeliveryDay);
 
     // ── Step 1: Load pre-computed forecasts from Cloud Function + item catalog ──
     useEffect(() => {
@@ -157,24 +167,25 @@ export default function SuggestedOrderReview() {
     }, [selectedRestaurant, forecastSource, forecastDocs]);
 
     // Time references — Correct sequence: Generated < Cutoff < Delivery Day
-    //   Generated: Saturday 23:30 of the current week (AI run)
-    //   Cutoff:    Sunday 10:00 (restaurant must submit by then)
-    //   Delivery:  next Monday (or Thursday)
+    //   Generated: 23:30 two days before delivery (AI run)
+    //   Cutoff:    10:00 the day before delivery (restaurant must submit by then)
+    //   Delivery:  the restaurant's next first delivery day of the week
     const now = new Date();
     const dayOfWeek = now.getDay(); // 0=Sun .. 6=Sat
 
-    // Find next Monday from today
-    const daysUntilMonday = dayOfWeek === 0 ? 1 : (8 - dayOfWeek) % 7 || 7;
+    // Find the next first delivery day from today (WEEKDAYS starts on Monday, getDay() on Sunday)
+    const deliveryDayOfWeek = (WEEKDAYS.indexOf(firstDeliveryDay) + 1) % 7;
+    const daysUntilDelivery = (deliveryDayOfWeek - dayOfWeek + 7) % 7 || 7;
     const deliveryDate = new Date(now);
-    deliveryDate.setDate(now.getDate() + daysUntilMonday);
+    deliveryDate.setDate(now.getDate() + daysUntilDelivery);
     deliveryDate.setHours(6, 0, 0, 0);
 
-    // Cutoff = Sunday before delivery at 10:00
+    // Cutoff = day before delivery at 10:00
     const cutoffDate = new Date(deliveryDate);
     cutoffDate.setDate(deliveryDate.getDate() - 1);
     cutoffDate.setHours(10, 0, 0, 0);
 
-    // Generated = Saturday at 23:30 (day before cutoff)
+    // Generated = 23:30 the day before cutoff
     const generatedDate = new Date(cutoffDate);
     generatedDate.setDate(cutoffDate.getDate() - 1);
     generatedDate.setHours(23, 30, 0, 0);
@@ -217,6 +228,12 @@ export default function SuggestedOrderReview() {
         return { added, increased, reduced, removed };
     }, [lines]);
 
+    // ── Edits outside the forecast's plausible P10–P90 band ──
+    const outOfBandLines = useMemo(() => lines
+        .filter(l => l.deltaType !== 'Unchanged' && classifyAgainstBand(l.finalQty, l.predictionInterval))
+        .map(l => ({ ...l, bandSide: classifyAgainstBand(l.finalQty, l.predictionInterval) })),
+    [lines]);
+
     // ── Savings opportunities: live cross-vendor price comparison ──
     const savingsData = useMemo(() => {
         if (allVendorItems.length === 0) return {};
@@ -314,7 +331,7 @@ export default function SuggestedOrderReview() {
             suggestionId: `sug_${Date.now()}`,
             restaurantId: selectedRestaurant,
             restaurantName: selectedRestaurant,
-            deliveryDay: 'Monday',
+            deliveryDay: firstDeliveryDay,
             weekStart: generatedDate.toISOString(),
             cutoffAt: cutoffDate.toISOString(),
             generatedAt: generatedDate.toISOString(),
@@ -349,7 +366,10 @@ export default function SuggestedOrderReview() {
     };
 
     const handleSubmitOrder = async () => {
-        if (!window.confirm('Are you sure you want to submit this order? You will not be able to edit it after submission.')) return;
+        const bandWarning = outOfBandLines.length > 0
+            ? `${outOfBandLines.length} item(s) are outside the usual range: ${outOfBandLines.map(l => l.itemName).join(', ')}.\n\n`
+            : '';
+        if (!window.confirm(`${bandWarning}Are you sure you want to submit this order? You will not be able to edit it after submission.`)) return;
         setSubmitting(true);
         try {
             const weekStart = generatedDate.toISOString();
@@ -357,7 +377,7 @@ export default function SuggestedOrderReview() {
                 suggestionId: `sug_${selectedRestaurant}_${Date.now()}`,
                 restaurantId: selectedRestaurant,
                 restaurantName: selectedRestaurant,
-                deliveryDay: 'Monday',
+                deliveryDay: firstDeliveryDay,
                 weekStart,
                 lines,
                 metrics,
@@ -387,6 +407,27 @@ export default function SuggestedOrderReview() {
         );
     }
 
+    // ── Reload forecast data from Firestore (after a run or a publish) ──
+    const reloadForecastDocs = async () => {
+        const snap = await getDocs(collection(db, 'suggestedOrderAIForcast_Model'));
+        const docs = {};
+        const restSet = new Set();
+        snap.forEach(d => {
+            const data = d.data();
+            if (data.restaurantId) {
+                docs[data.restaurantId] = data;
+                restSet.add(data.restaurantId);
+            }
+        });
+        setForecastDocs(docs);
+        const restArr = [...restSet].sort();
+        setRestaurants(restArr);
+        if (restArr.length > 0 && !restArr.includes(selectedRestaurant)) {
+            setSelectedRestaurant(restArr[0]);
+        }
+        setForecastSource('cloud-function');
+    };
+
     // ── Manual Engine Run ──
     const handleRunEngine = async () => {
         setRunningEngine(true);
@@ -396,25 +437,7 @@ export default function SuggestedOrderReview() {
             const result = await runForecast();
             console.log('[SuggestedOrder] Engine run result:', result.data);
             toast.success(`✅ Forecast engine complete — ${result.data?.restaurants || 0} restaurant(s) processed`);
-
-            // Reload forecast data from Firestore
-            const snap = await getDocs(collection(db, 'suggestedOrderAIForcast_Model'));
-            const docs = {};
-            const restSet = new Set();
-            snap.forEach(d => {
-                const data = d.data();
-                if (data.restaurantId) {
-                    docs[data.restaurantId] = data;
-                    restSet.add(data.restaurantId);
-                }
-            });
-            setForecastDocs(docs);
-            const restArr = [...restSet].sort();
-            setRestaurants(restArr);
-            if (restArr.length > 0 && !restArr.includes(selectedRestaurant)) {
-                setSelectedRestaurant(restArr[0]);
-            }
-            setForecastSource('cloud-function');
+            await reloadForecastDocs();
         } catch (err) {
             console.error('[SuggestedOrder] Engine run failed:', err);
             toast.error(`❌ Engine failed: ${err.message || 'Unknown error'}`);
@@ -465,8 +488,8 @@ export default function SuggestedOrderReview() {
                     </div>
                     <div style={{ width: 1, height: 32, background: 'var(--border)' }}></div>
                     <div>
-                        <div style={{ fontSize: 11, color: 'var(--muted)', textTransform: 'uppercase', fontWeight: 600, marginBottom: 2 }}>Delivery Day</div>
-                        <div style={{ fontSize: 14, fontWeight: 600, color: '#f8fafc' }}>Monday</div>
+                        <div style={{ fontSize: 11, color: 'var(--muted)', textTransform: 'uppercase', fontWeight: 600, marginBottom: 2 }}>{deliveryDays.length > 1 ? 'Delivery Days' : 'Delivery Day'}</div>
+                        <div style={{ fontSize: 14, fontWeight: 600, color: '#f8fafc' }}>{deliveryDays.join(' / ')}</div>
                     </div>
                     <div style={{ width: 1, height: 32, background: 'var(--border)' }}></div>
                     <div>
@@ -498,6 +521,13 @@ export default function SuggestedOrderReview() {
                             <FiRefreshCw style={{ animation: runningEngine ? 'spin 1s linear infinite' : 'none' }} />
                             {runningEngine ? 'Running Engine...' : 'Run Engine Now'}
                         </button>
+                        <button
+                            onClick={() => setIsRunPanelOpen(true)}
+                            disabled={runningEngine}
+                            style={{ marginTop: 4, background: 'transparent', border: 'none', color: '#a5b4fc', fontSize: 11, cursor: 'pointer', padding: 0 }}
+                        >
+                            Dry run &amp; run history
+                        </button>
                     </div>
                     <div style={{ width: 1, height: 32, background: 'var(--border)' }}></div>
                     <div>
@@ -572,6 +602,34 @@ export default function SuggestedOrderReview() {
                         />
                     )}
 
+                    {/* COLD-START SEED NOTICE */}
+                    {forecastDocs[selectedRestaurant]?.coldStart && (
+                        <div style={{ display: 'flex', gap: 10, alignItems: 'flex-start', padding: '12px 16px', marginBottom: 16, borderRadius: 8, background: 'rgba(56, 189, 248, 0.08)', border: '1px solid rgba(56, 189, 248, 0.25)', fontSize: 13, color: '#38bdf8' }}>
+                            <FiAlertCircle style={{ marginTop: 2, flexShrink: 0 }} />
+                            <div>
+                                <strong>{Math.round(forecastDocs[selectedRestaurant].coldStart.seedWeight * 100)}% seeded from similar restaurants</strong>
+                                <div style={{ color: 'var(--muted)', marginTop: 4 }}>
+                                    This restaurant has {forecastDocs[selectedRestaurant].coldStart.ownCycles} order cycle(s) of its own. Based on{' '}
+                                    {forecastDocs[selectedRestaurant].coldStart.peers.map(p => `${p.restaurantId} (${Math.round(p.similarity * 100)}% match, ×${p.scale})`).join(' · ')}.
+                                    The seed fades out as real orders come in.
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* OUT-OF-BAND EDIT WARNING */}
+                    {outOfBandLines.length > 0 && (
+                        <div style={{ display: 'flex', gap: 10, alignItems: 'flex-start', padding: '12px 16px', marginBottom: 16, borderRadius: 8, background: 'rgba(245, 158, 11, 0.08)', border: '1px solid rgba(245, 158, 11, 0.25)', fontSize: 13, color: '#fbbf24' }}>
+                            <FiAlertCircle style={{ marginTop: 2, flexShrink: 0 }} />
+                            <div>
+                                <strong>{outOfBandLines.length} edited item{outOfBandLines.length !== 1 ? 's are' : ' is'} outside the usual range</strong>
+                                <div style={{ color: 'var(--muted)', marginTop: 4 }}>
+                                    {outOfBandLines.map(l => `${l.itemName} (${l.finalQty} vs ${l.predictionInterval.p10}–${l.predictionInterval.p90})`).join(' · ')}
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
                     <div className="ui-card" style={{ padding: 0, overflow: 'hidden' }}>
                         <table className="ui-table" style={{ margin: 0, width: '100%', borderCollapse: 'collapse' }}>
                             <thead>
@@ -745,6 +803,7 @@ export default function SuggestedOrderReview() {
                                         Unchanged: { bg: 'transparent', color: 'var(--muted)' }
                                     };
                                     const badge = badgeStyles[line.deltaType];
+                                    const bandSide = line.deltaType !== 'Unchanged' ? classifyAgainstBand(line.finalQty, line.predictionInterval) : null;
 
                                     return (
                                         <React.Fragment key={line.id}>
@@ -789,6 +848,15 @@ export default function SuggestedOrderReview() {
                                                         <span style={{ color: line.adjustedPredictedQty !== line.predictedQty ? '#e2e8f0' : 'inherit' }}>
                                                             {line.adjustedPredictedQty}
                                                         </span>
+                                                        {line.seasonalUplifts?.length > 0 && (
+                                                            <div style={{ marginTop: 4 }}><SeasonalUpliftBadges uplifts={line.seasonalUplifts} /></div>
+                                                        )}
+                                                        {line.predictionInterval && (
+                                                            <div title="P10–P90: the range this item's demand usually falls in" style={{ marginTop: 4, fontSize: 11, fontWeight: 500 }}>
+                                                                {line.predictionInterval.p10}–{line.predictionInterval.p90}
+                                                                {line.serviceLevel && <span style={{ marginLeft: 4, opacity: 0.8 }}>· {SERVICE_LEVELS[line.serviceLevel]?.label || line.serviceLevel}</span>}
+                                                            </div>
+                                                        )}
                                                     </div>
                                                 )}
                                             </td>
@@ -805,6 +873,11 @@ export default function SuggestedOrderReview() {
                                                         color: '#f8fafc', fontWeight: 700, outline: 'none'
                                                     }}
                                                 />
+                                                {bandSide && (
+                                                    <div style={{ marginTop: 4, fontSize: 10, fontWeight: 700, color: '#f59e0b', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 3 }}>
+                                                        <FiAlertCircle /> {bandSide === 'above' ? `Above ${line.predictionInterval.p90}` : `Below ${line.predictionInterval.p10}`}
+                                                    </div>
+                                                )}
                                             </td>
                                             <td>
                                                 {line.deltaType !== 'Unchanged' ? (
@@ -1005,6 +1078,14 @@ export default function SuggestedOrderReview() {
                 </div>
             </div>
 
+            {/* FORECAST RUNS MODAL */}
+            {isRunPanelOpen && (
+                <ForecastRunPanel
+                    onClose={() => setIsRunPanelOpen(false)}
+                    onPublished={() => reloadForecastDocs().catch(err => console.error('[SuggestedOrder] Reload failed:', err))}
+                />
+            )}
+
             {/* ADD ITEM MODAL */}
             {
                 isAddModalOpen && (
@@ -1,8 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { ForecastInsightPanel } from './ForecastComponents';
 import { db } from '../../firebase';
-import { collection, getDocs, onSnapshot, doc, setDoc } from 'firebase/firestore';
+import { collection, getDocs, onSnapshot, doc, setDoc, arrayUnion } from 'firebase/firestore';
 import { getActiveWeekStart, formatWeekLabel } from './dispatchModel';
+import { getRouteDayColor } from './DispatchShared';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { normalizeDeliveryDays, getPairSchedule, getOrderRouteDay, getWeekdayCode, getSentDays, getDeliveredDays } from '../../shared/deliverySchedules';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 
@@ -36,11 +39,7 @@ export default function VendorPlanningPage() {
         // Optimistic update
         setVendors(prev => prev.map(v => {
             if (v.vendorId !== vendor.vendorId) return v;
-            return {
-                ...v,
-                mondaySent: day === 'Monday' ? true : v.mondaySent,
-                thuSent: day === 'Thursday' ? true : v.thuSent
-            };
+            return { ...v, sentDays: normalizeDeliveryDays([...v.sentDays, day]) };
         }));
 
         const today = new Date();
@@ -53,10 +52,10 @@ export default function VendorPlanningPage() {
         const docRef = doc(collection(db, 'vendorDispatches'), dispatchId);
 
         const itemsPayload = vendor.items.map(i => ({
-            itemId: i.itemName.toLowerCase().replace(/\s+/g, '-'),
+            itemId: i.catalogItemId || i.itemName.toLowerCase().replace(/\s+/g, '-'),
+            catalogItemId: i.catalogItemId || null,
             itemName: i.itemName,
-            mondayQty: i.mondayQty,
-            thursdayQty: i.thursdayQty,
+            dayQtys: i.dayQtys,
             packLabel: i.displayVendorPackStr,
             catalogSellPrice: i.catalogSellPrice || 0,
             lineMarketplaceCommission: i.lineMarketplaceCommission || 0,
@@ -73,8 +72,8 @@ export default function VendorPlanningPage() {
             restaurantId: 'marketplace_network',
             restaurantName: 'Marketplace Network',
             status: 'Sent',
-            mondayTotalPacks: vendor.totalMondayDemand,
-            thursdayTotalPacks: vendor.totalThursdayDemand,
+            routeDays: vendor.routeDays,
+            dayTotalPacks: vendor.dayTotals,
             restaurantBilling: vendor.totalRestaurantBilling,
             vendorPayout: vendor.estimatedVendorPayout,
             marketplaceCommission: vendor.marketplaceCommission,
@@ -82,21 +81,14 @@ export default function VendorPlanningPage() {
             confirmedAt: null,
             deliveredAt: null,
             updatedAt: new Date(),
-            mondayDelivered: false,
-            thursdayDelivered: false,
-            mondaySent: false,
-            thursdaySent: false,
             confirmationNotes: '',
             rejectionReason: '',
             partialReason: '',
             items: itemsPayload
         };
 
-        const dayField = day === 'Monday' ? 'mondaySent' : 'thursdaySent';
-        const sentAtField = day === 'Monday' ? 'mondaySentAt' : 'thursdaySentAt';
-
         try {
-            await setDoc(docRef, { ...basePayload, [dayField]: true, [sentAtField]: new Date() }, { merge: true });
+            await setDoc(docRef, { ...basePayload, sentDays: arrayUnion(day), daySentAt: { [day]: new Date() } }, { merge: true });
             showToast(`${day} order sent to ${vendor.vendorName}!`);
         } catch (err) {
             console.error('Error sending dispatch:', err);
@@ -128,10 +120,8 @@ export default function VendorPlanningPage() {
                 if (!existing || newPriority > existingPriority || (newPriority === existingPriority && recordTime > existing.recordTime)) {
                     freshMap[data.vendorId] = {
                         status: data.status,
-                        monDelivered: !!data.mondayDelivered,
-                        thuDelivered: !!data.thursdayDelivered,
-                        mondaySent: !!data.mondaySent,
-                        thuSent: !!data.thursdaySent,
+                        sentDays: getSentDays(data),
+                        deliveredDays: getDeliveredDays(data),
                         recordTime
                     };
                 }
@@ -142,7 +132,7 @@ export default function VendorPlanningPage() {
                 return prev.map(v => {
                     const live = freshMap[v.vendorId];
                     if (!live) return v;
-                    return { ...v, dispatchStatus: live.status, monDelivered: live.monDelivered, thuDelivered: live.thuDelivered, mondaySent: live.mondaySent, thuSent: live.thuSent };
+                    return { ...v, dispatchStatus: live.status, sentDays: live.sentDays, deliveredDays: live.deliveredDays };
                 });
             });
         });
@@ -190,6 +180,14 @@ export default function VendorPlanningPage() {
                 console.error("Failed to load Firebase catalog:", err);
             }
 
+            // Delivery days per restaurant / vendor pair
+            let schedules = {};
+            try {
+                schedules = await fetchDeliverySchedules();
+            } catch (err) {
+                console.warn('[VendorPlanning] Could not load delivery schedules, using the default days:', err);
+            }
+
             // 2. Load submittedOrders and filter to active week
             let weekOrders = [];
             try {
@@ -201,11 +199,11 @@ export default function VendorPlanningPage() {
                 console.error('[VendorPlanning] Failed to fetch submitted orders:', err);
             }
 
-            // 3. Aggregate item lines by item, then group by vendor
-            const itemAgg = {}; // itemName → { mondayQty, thursdayQty, restaurants[] }
+            // 3. Aggregate item lines by item, then group by vendor.
+            // Each line rides its restaurant / vendor pair's route for the order's deliveryDay.
+            const itemAgg = {}; // itemName → { dayQtys: { day → qty }, catalogItemId, restaurants[] }
 
             weekOrders.forEach(order => {
-                const deliveryDay = order.deliveryDay || 'Monday';
                 const restName = order.restaurantName || order.restaurantId || 'unknown';
 
                 (order.items || []).forEach(line => {
@@ -215,14 +213,13 @@ export default function VendorPlanningPage() {
                     if (qty <= 0) return;
 
                     if (!itemAgg[itemName]) {
-                        itemAgg[itemName] = { mondayQty: 0, thursdayQty: 0, category: line.category || '', restaurants: new Set() };
+                        itemAgg[itemName] = { dayQtys: {}, category: line.category || '', catalogItemId: '', restaurants: new Set() };
                     }
+                    if (!itemAgg[itemName].catalogItemId && line.catalogItemId) itemAgg[itemName].catalogItemId = line.catalogItemId;
 
-                    if (deliveryDay === 'Monday') {
-                        itemAgg[itemName].mondayQty += qty;
-                    } else {
-                        itemAgg[itemName].thursdayQty += qty;
-                    }
+                    const { days } = getPairSchedule(schedules, localVendorIdMap[catalogLookup[itemName]?.vendor], order.restaurantId);
+                    const deliveryDay = getOrderRouteDay(order, days);
+                    itemAgg[itemName].dayQtys[deliveryDay] = (itemAgg[itemName].dayQtys[deliveryDay] || 0) + qty;
                     itemAgg[itemName].restaurants.add(restName);
                 });
             });
@@ -232,7 +229,7 @@ export default function VendorPlanningPage() {
 
             Object.keys(itemAgg).forEach(itemName => {
                 const item = itemAgg[itemName];
-                const totalQty = item.mondayQty + item.thursdayQty;
+                const totalQty = Object.values(item.dayQtys).reduce((s, q) => s + q, 0);
                 if (totalQty <= 0) return;
 
                 const catEntry = catalogLookup[itemName] || {};
@@ -281,12 +278,12 @@ export default function VendorPlanningPage() {
                         vendorId: resolvedVendorId,
                         vendorName: vendorName,
                         dispatchStatus: null,
-                        monDelivered: false,
-                        thuDelivered: false,
+                        sentDays: [],
+                        deliveredDays: [],
                         isPackagingVendor: vendorName.toLowerCase().includes('taas') || isPackaging,
                         items: [],
-                        totalMondayDemand: 0,
-                        totalThursdayDemand: 0,
+                        routeDays: [],
+                        dayTotals: {},
                         totalWeeklyDemand: 0,
                         estimatedVendorPayout: 0,
                         marketplaceCommission: 0,
@@ -305,9 +302,9 @@ export default function VendorPlanningPage() {
 
                 vendorGroupMap[vendorName].items.push({
                     itemName,
+                    catalogItemId: item.catalogItemId,
                     displayVendorPackStr,
-                    mondayQty: item.mondayQty,
-                    thursdayQty: item.thursdayQty,
+                    dayQtys: item.dayQtys,
                     totalQty,
                     catalogSellPrice,
                     lineRestaurantBilling,
@@ -315,8 +312,8 @@ export default function VendorPlanningPage() {
                     lineVendorPayout,
                 });
 
-                vendorGroupMap[vendorName].totalMondayDemand += item.mondayQty;
-                vendorGroupMap[vendorName].totalThursdayDemand += item.thursdayQty;
+                const dayTotals = vendorGroupMap[vendorName].dayTotals;
+                Object.entries(item.dayQtys).forEach(([day, qty]) => { dayTotals[day] = (dayTotals[day] || 0) + qty; });
                 vendorGroupMap[vendorName].totalWeeklyDemand += totalQty;
                 vendorGroupMap[vendorName].estimatedVendorPayout += lineVendorPayout;
                 vendorGroupMap[vendorName].marketplaceCommission += lineMarketplaceCommission;
@@ -325,6 +322,7 @@ export default function VendorPlanningPage() {
 
             let arrayResults = Object.values(vendorGroupMap).map(v => {
                 v.items.sort((a, b) => b.totalQty - a.totalQty);
+                v.routeDays = normalizeDeliveryDays(Object.keys(v.dayTotals).filter(day => v.dayTotals[day] > 0));
                 const topItems = v.items.slice(0, 3).map(i => i.itemName);
                 const restCount = v.orderingRestaurants.size;
 
@@ -343,7 +341,7 @@ export default function VendorPlanningPage() {
             arrayResults = arrayResults.map(v => {
                 const live = liveMap[v.vendorId];
                 if (!live) return v;
-                return { ...v, dispatchStatus: live.status, monDelivered: live.monDelivered, thuDelivered: live.thuDelivered, mondaySent: live.mondaySent, thuSent: live.thuSent };
+                return { ...v, dispatchStatus: live.status, sentDays: live.sentDays, deliveredDays: live.deliveredDays };
             });
 
             setVendors(arrayResults);
@@ -370,57 +368,27 @@ export default function VendorPlanningPage() {
 
         let currentY = 50;
 
-        pdfDoc.setFontSize(12);
-        pdfDoc.setFont(undefined, 'bold');
-        pdfDoc.text('MONDAY DELIVERY', 14, currentY);
-        pdfDoc.setFont(undefined, 'normal');
-        currentY += 8;
+        vendor.routeDays.forEach(day => {
+            pdfDoc.setFontSize(12);
+            pdfDoc.setFont(undefined, 'bold');
+            pdfDoc.text(`${day.toUpperCase()} DELIVERY`, 14, currentY);
+            pdfDoc.setFont(undefined, 'normal');
+            currentY += 8;
 
-        const monItems = vendor.items.filter(i => i.mondayQty > 0);
-        if (monItems.length > 0) {
-            monItems.forEach(i => {
+            vendor.items.filter(i => i.dayQtys[day] > 0).forEach(i => {
                 pdfDoc.setFontSize(10);
-                pdfDoc.text(`${i.itemName} – ${i.mondayQty} (${i.displayVendorPackStr})`, 14, currentY);
+                pdfDoc.text(`${i.itemName} – ${i.dayQtys[day]} (${i.displayVendorPackStr})`, 14, currentY);
                 currentY += 6;
             });
-        } else {
-            pdfDoc.setFontSize(10);
-            pdfDoc.text('No items for Monday route.', 14, currentY);
-            currentY += 6;
-        }
 
-        currentY += 4;
-        pdfDoc.setFontSize(10);
-        pdfDoc.setFont(undefined, 'bold');
-        pdfDoc.text(`Total Monday Units: ${vendor.totalMondayDemand}`, 14, currentY);
-        pdfDoc.setFont(undefined, 'normal');
-        currentY += 14;
-
-        pdfDoc.setFontSize(12);
-        pdfDoc.setFont(undefined, 'bold');
-        pdfDoc.text('THURSDAY DELIVERY', 14, currentY);
-        pdfDoc.setFont(undefined, 'normal');
-        currentY += 8;
-
-        const thuItems = vendor.items.filter(i => i.thursdayQty > 0);
-        if (thuItems.length > 0) {
-            thuItems.forEach(i => {
-                pdfDoc.setFontSize(10);
-                pdfDoc.text(`${i.itemName} – ${i.thursdayQty} (${i.displayVendorPackStr})`, 14, currentY);
-                currentY += 6;
-            });
-        } else {
+            currentY += 4;
             pdfDoc.setFontSize(10);
-            pdfDoc.text('No items for Thursday route.', 14, currentY);
-            currentY += 6;
-        }
-
-        currentY += 4;
-        pdfDoc.setFontSize(10);
-        pdfDoc.setFont(undefined, 'bold');
-        pdfDoc.text(`Total Thursday Units: ${vendor.totalThursdayDemand}`, 14, currentY);
-        pdfDoc.setFont(undefined, 'normal');
-        currentY += 16;
+            pdfDoc.setFont(undefined, 'bold');
+            pdfDoc.text(`Total ${day} Units: ${vendor.dayTotals[day]}`, 14, currentY);
+            pdfDoc.setFont(undefined, 'normal');
+            currentY += 14;
+        });
+        currentY += 2;
 
         autoTable(pdfDoc, {
             startY: currentY,
@@ -516,21 +484,19 @@ export default function VendorPlanningPage() {
                                     </span>
                                 </div>
 
-                                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 20 }}>
-                                    <div style={{ border: '1px solid var(--border)', padding: 16, borderRadius: 8, background: 'rgba(77, 171, 247, 0.05)', position: 'relative' }}>
-                                        <div style={{ fontSize: 11, color: '#4dabf7', marginBottom: 6, fontWeight: 700, letterSpacing: 0.5 }}>MONDAY TOTAL</div>
-                                        <div style={{ fontSize: 28, fontWeight: 700, color: v.monDelivered ? '#10b981' : '#f8fafc' }}>
-                                            {v.totalMondayDemand} <span style={{ fontSize: 14, fontWeight: 400, color: v.monDelivered ? '#10b981' : 'var(--muted)' }}>Units</span>
-                                        </div>
-                                        {v.monDelivered && <span style={{ position: 'absolute', top: 12, right: 12, fontSize: 11, background: 'rgba(16, 185, 129, 0.2)', color: '#10b981', padding: '2px 8px', borderRadius: 6, fontWeight: 700 }}>✓ DONE</span>}
-                                    </div>
-                                    <div style={{ border: '1px solid var(--border)', padding: 16, borderRadius: 8, background: 'rgba(132, 94, 247, 0.05)', position: 'relative' }}>
-                                        <div style={{ fontSize: 11, color: '#845ef7', marginBottom: 6, fontWeight: 700, letterSpacing: 0.5 }}>THURSDAY TOTAL</div>
-                                        <div style={{ fontSize: 28, fontWeight: 700, color: v.thuDelivered ? '#10b981' : '#f8fafc' }}>
-                                            {v.totalThursdayDemand} <span style={{ fontSize: 14, fontWeight: 400, color: v.thuDelivered ? '#10b981' : 'var(--muted)' }}>Units</span>
-                                        </div>
-                                        {v.thuDelivered && <span style={{ position: 'absolute', top: 12, right: 12, fontSize: 11, background: 'rgba(16, 185, 129, 0.2)', color: '#10b981', padding: '2px 8px', borderRadius: 6, fontWeight: 700 }}>✓ DONE</span>}
-                                    </div>
+                                <div style={{ display: 'grid', gridTemplateColumns: `repeat(${Math.min(v.routeDays.length, 3)}, 1fr)`, gap: 12, marginBottom: 20 }}>
+                                    {v.routeDays.map(day => {
+                                        const delivered = v.deliveredDays.includes(day);
+                                        return (
+                                            <div key={day} style={{ border: '1px solid var(--border)', padding: 16, borderRadius: 8, background: `${getRouteDayColor(day)}0d`, position: 'relative' }}>
+                                                <div style={{ fontSize: 11, color: getRouteDayColor(day), marginBottom: 6, fontWeight: 700, letterSpacing: 0.5 }}>{day.toUpperCase()} TOTAL</div>
+                                                <div style={{ fontSize: 28, fontWeight: 700, color: delivered ? '#10b981' : '#f8fafc' }}>
+                                                    {v.dayTotals[day]} <span style={{ fontSize: 14, fontWeight: 400, color: delivered ? '#10b981' : 'var(--muted)' }}>Units</span>
+                                                </div>
+                                                {delivered && <span style={{ position: 'absolute', top: 12, right: 12, fontSize: 11, background: 'rgba(16, 185, 129, 0.2)', color: '#10b981', padding: '2px 8px', borderRadius: 6, fontWeight: 700 }}>✓ DONE</span>}
+                                            </div>
+                                        );
+                                    })}
                                 </div>
 
                                 <div style={{ background: 'var(--bg-lighter)', padding: 16, borderRadius: 8, marginBottom: 20, borderTop: '2px solid #f59e0b' }}>
@@ -577,40 +543,29 @@ export default function VendorPlanningPage() {
                                     <button className="ui-btn small primary ghost" style={{ flex: 1, padding: '12px 0' }} onClick={() => handleExportPDF(v)}>
                                         📄 Export PDF
                                     </button>
-                                    {/* Send Monday */}
-                                    <button
-                                        className="ui-btn small"
-                                        style={{
-                                            flex: 1, padding: '12px 0',
-                                            background: v.mondaySent ? 'rgba(16,185,129,0.1)' : 'rgba(77, 171, 247, 0.15)',
-                                            color: v.mondaySent ? '#10b981' : '#4dabf7',
-                                            border: `1px solid ${v.mondaySent ? 'rgba(16,185,129,0.3)' : 'rgba(77,171,247,0.3)'}`,
-                                            cursor: v.mondaySent ? 'not-allowed' : 'pointer',
-                                            fontWeight: 600,
-                                            opacity: v.mondaySent ? 0.8 : 1
-                                        }}
-                                        disabled={v.mondaySent}
-                                        onClick={() => handleSendDayDispatch(v, 'Monday')}
-                                    >
-                                        {v.mondaySent ? '✓ Mon Sent' : '📤 Send Monday'}
-                                    </button>
-                                    {/* Send Thursday */}
-                                    <button
-                                        className="ui-btn small"
-                                        style={{
-                                            flex: 1, padding: '12px 0',
-                                            background: v.thuSent ? 'rgba(16,185,129,0.1)' : 'rgba(132, 94, 247, 0.15)',
-                                            color: v.thuSent ? '#10b981' : '#845ef7',
-                                            border: `1px solid ${v.thuSent ? 'rgba(16,185,129,0.3)' : 'rgba(132,94,247,0.3)'}`,
-                                            cursor: v.thuSent ? 'not-allowed' : 'pointer',
-                                            fontWeight: 600,
-                                            opacity: v.thuSent ? 0.8 : 1
-                                        }}
-                                        disabled={v.thuSent}
-                                        onClick={() => handleSendDayDispatch(v, 'Thursday')}
-                                    >
-                                        {v.thuSent ? '✓ Thu Sent' : '📤 Send Thursday'}
-                                    </button>
+                                    {v.routeDays.map(day => {
+                                        const sent = v.sentDays.includes(day);
+                                        const color = getRouteDayColor(day);
+                                        return (
+                                            <button
+                                                key={day}
+                                                className="ui-btn small"
+                                                style={{
+                                                    flex: 1, padding: '12px 0',
+                                                    background: sent ? 'rgba(16,185,129,0.1)' : `${color}26`,
+                                                    color: sent ? '#10b981' : color,
+                                                    border: `1px solid ${sent ? 'rgba(16,185,129,0.3)' : `${color}4d`}`,
+                                                    cursor: sent ? 'not-allowed' : 'pointer',
+                                                    fontWeight: 600,
+                                                    opacity: sent ? 0.8 : 1
+                                                }}
+                                                disabled={sent}
+                                                onClick={() => handleSendDayDispatch(v, day)}
+                                            >
+                                                {sent ? `✓ ${getWeekdayCode(day)} Sent` : `📤 Send ${day}`}
+                                            </button>
+                                        );
+                                    })}
                                 </div>
                                 <button
                                     onClick={() => toggleExpand(v.id)}
@@ -624,35 +579,22 @@ export default function VendorPlanningPage() {
                             {expandedVendors.has(v.id) && (
                                 <div style={{ padding: '0 24px 24px 24px', background: 'rgba(0,0,0,0.2)' }}>
                                     <div style={{ background: 'var(--bg-panel)', border: '1px solid var(--border)', borderRadius: 8, marginTop: 4 }}>
-                                        <div style={{ padding: '16px', borderBottom: '1px solid var(--border)' }}>
-                                            <h5 style={{ margin: '0 0 12px 0', color: '#4dabf7', fontSize: 14 }}>Monday Route</h5>
-                                            {v.items.filter(i => i.mondayQty > 0).map((item, idx) => (
-                                                <div key={idx} style={{ padding: '8px 0', borderBottom: '1px dashed rgba(255,255,255,0.05)', fontSize: 13, display: 'flex', alignItems: 'center' }}>
-                                                    <span style={{ width: 40, color: '#38bdf8', fontWeight: 700, fontSize: 15 }}>{item.mondayQty}</span>
-                                                    <span style={{ flex: 1, fontWeight: 500 }}>{item.itemName}</span>
-                                                    <span style={{ color: 'var(--muted)', fontSize: 12 }}>({item.displayVendorPackStr})</span>
-                                                </div>
-                                            ))}
-                                            <div style={{ padding: '12px 0 0 0', fontSize: 13, fontWeight: 600, color: '#f8fafc', display: 'flex', justifyContent: 'space-between' }}>
-                                                <span>Total:</span>
-                                                <span>{v.totalMondayDemand} packs</span>
-                                            </div>
-                                        </div>
-
-                                        <div style={{ padding: '16px' }}>
-                                            <h5 style={{ margin: '0 0 12px 0', color: '#845ef7', fontSize: 14 }}>Thursday Route</h5>
-                                            {v.items.filter(i => i.thursdayQty > 0).map((item, idx) => (
-                                                <div key={idx} style={{ padding: '8px 0', borderBottom: '1px dashed rgba(255,255,255,0.05)', fontSize: 13, display: 'flex', alignItems: 'center' }}>
-                                                    <span style={{ width: 40, color: '#8b5cf6', fontWeight: 700, fontSize: 15 }}>{item.thursdayQty}</span>
-                                                    <span style={{ flex: 1, fontWeight: 500 }}>{item.itemName}</span>
-                                                    <span style={{ color: 'var(--muted)', fontSize: 12 }}>({item.displayVendorPackStr})</span>
+                                        {v.routeDays.map((day, dayIdx) => (
+                                            <div key={day} style={{ padding: '16px', borderBottom: dayIdx < v.routeDays.length - 1 ? '1px solid var(--border)' : 'none' }}>
+                                                <h5 style={{ margin: '0 0 12px 0', color: getRouteDayColor(day), fontSize: 14 }}>{day} Route</h5>
+                                                {v.items.filter(i => i.dayQtys[day] > 0).map((item, idx) => (
+                                                    <div key={idx} style={{ padding: '8px 0', borderBottom: '1px dashed rgba(255,255,255,0.05)', fontSize: 13, display: 'flex', alignItems: 'center' }}>
+                                                        <span style={{ width: 40, color: getRouteDayColor(day), fontWeight: 700, fontSize: 15 }}>{item.dayQtys[day]}</span>
+                                                        <span style={{ flex: 1, fontWeight: 500 }}>{item.itemName}</span>
+                                                        <span style={{ color: 'var(--muted)', fontSize: 12 }}>({item.displayVendorPackStr})</span>
+                                                    </div>
+                                                ))}
+                                                <div style={{ padding: '12px 0 0 0', fontSize: 13, fontWeight: 600, color: '#f8fafc', display: 'flex', justifyContent: 'space-between' }}>
+                                                    <span>Total:</span>
+                                                    <span>{v.dayTotals[day]} packs</span>
                                                 </div>
-                                            ))}
-                                            <div style={{ padding: '12px 0 0 0', fontSize: 13, fontWeight: 600, color: '#f8fafc', display: 'flex', justifyContent: 'space-between' }}>
-                                                <span>Total:</span>
-                                                <span>{v.totalThursdayDemand} packs</span>
                                             </div>
-                                        </div>
+                                        ))}
                                     </div>
                                 </div>
                             )}
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { SHORT_PICK_REASONS, UNASSIGNED_ZONE } from '../../shared/warehousePicking';
+
+export const PICK_STATUS = {
+    Pending: { color: '#fbbf24', bg: 'rgba(251,191,36,0.12)' },
+    Picked: { color: '#38bdf8', bg: 'rgba(56,189,248,0.12)' },
+    Short: { color: '#f43f5e', bg: 'rgba(244,63,94,0.12)' },
+    Loaded: { color: '#34d399', bg: 'rgba(52,211,153,0.12)' },
+};
+
+const fs = {
+    width: '100%', padding: '8px 12px', borderRadius: 7,
+    background: 'rgba(0,0,0,0.35)', border: '1px solid rgba(255,255,255,0.1)',
+    color: '#f8fafc', fontSize: 13, outline: 'none', boxSizing: 'border-box',
+};
+
+const labelStyle = { fontSize: 11, color: '#94a3b8', marginBottom: 4, fontWeight: 600, textTransform: 'uppercase' };
+
+function ModalShell({ title, maxWidth = 500, onClose, children }) {
+    return (
+        <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 2000, padding: 24 }}>
+            <div style={{ width: '100%', maxWidth, maxHeight: '90vh', display: 'flex', flexDirection: 'column', background: '#0f172a', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 14, overflow: 'hidden' }}>
+                <div style={{ padding: '14px 22px', borderBottom: '1px solid rgba(255,255,255,0.07)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700 }}>{title}</h3>
+                    <button onClick={onClose} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: 22, cursor: 'pointer', lineHeight: 1 }}>×</button>
+                </div>
+                {children}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Who picked / loaded a line and when, for a tooltip.
+ */
+export function describePick(row) {
+    const when = (iso) => (iso ? new Date(iso).toLocaleString('en-CA', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '');
+    const parts = [];
+    if (row.pickedBy) parts.push(`${row.status === 'Short' ? 'Short-picked' : 'Picked'} by ${row.pickedBy} · ${when(row.pickedAt)}`);
+    if (row.status === 'Short') {
+        const reason = SHORT_PICK_REASONS.find(r => r.key === row.shortReason)?.label || row.shortReason;
+        parts.push(`Found ${row.pickedQty} of ${row.qty} — ${reason}${row.shortNote ? `: ${row.shortNote}` : ''}`);
+    }
+    if (row.loadedBy) parts.push(`Loaded by ${row.loadedBy} · ${when(row.loadedAt)}`);
+    return parts.join('\n');
+}
+
+/**
+ * Record a short pick: quantity found, reason, and a note (required for "Other").
+ */
+export function ShortPickModal({ row, onSubmit, onClose }) {
+    const [qty, setQty] = useState(row.status === 'Picked' ? Math.max(row.qty - 1, 0) : 0);
+    const [reason, setReason] = useState(SHORT_PICK_REASONS[0].key);
+    const [note, setNote] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const handleSubmit = async () => {
+        setSubmitting(true);
+        try {
+            await onSubmit({ qty: Number(qty), reason, note });
+            onClose();
+        } catch (e) {
+            // onSubmit reports the error
+        }
+        setSubmitting(false);
+    };
+
+    return (
+        <ModalShell title="⚠️ Short Pick" maxWidth={440} onClose={onClose}>
+            <div style={{ padding: '18px 22px', display: 'flex', flexDirection: 'column', gap: 12 }}>
+                <div style={{ fontSize: 14, fontWeight: 600 }}>{row.itemName}</div>
+                <div style={{ fontSize: 12, color: '#94a3b8' }}>{row.vendorName} · {row.packLabel} · ordered {row.qty}</div>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: 10 }}>
+                    <div>
+                        <div style={labelStyle}>Qty Found</div>
+                        <input type="number" min={0} max={row.qty - 1} value={qty} onChange={e => setQty(e.target.value)} style={fs} />
+                    </div>
+                    <div>
+                        <div style={labelStyle}>Reason</div>
+                        <select value={reason} onChange={e => setReason(e.target.value)} style={fs}>
+                            {SHORT_PICK_REASONS.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div>
+                    <div style={labelStyle}>Note{reason === 'other' ? ' *' : ''}</div>
+                    <textarea value={note} onChange={e => setNote(e.target.value)} rows={2} placeholder="What happened?" style={{ ...fs, resize: 'vertical', fontFamily: 'inherit' }} />
+                </div>
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+                    <button className="ui-btn ghost small" onClick={onClose}>Cancel</button>
+                    <button className="ui-btn primary small" onClick={handleSubmit} disabled={submitting}>{submitting ? 'Saving…' : `Record ${Math.max(row.qty - (Number(qty) || 0), 0)} short`}</button>
+                </div>
+            </div>
+        </ModalShell>
+    );
+}
+
+/**
+ * Mobile scan mode. A hardware scanner types the code and presses Enter into
+ * the focused input; on devices with the BarcodeDetector API the camera can
+ * read the label instead. Scanning a pending line picks it, scanning a picked
+ * line loads it — short picks still go through the Short button.
+ */
+export function ScanModePanel({ rows, onScan, onShort, busy }) {
+    const [code, setCode] = useState('');
+    const [cameraOn, setCameraOn] = useState(false);
+    const [cameraError, setCameraError] = useState('');
+    const inputRef = useRef(null);
+    const videoRef = useRef(null);
+    const lastCameraCode = useRef({ code: '', at: 0 });
+    const cameraSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+    const next = rows.find(r => r.status === 'Pending') || rows.find(r => r.status === 'Picked');
+    const remaining = rows.filter(r => r.status === 'Pending').length;
+
+    useEffect(() => { if (!busy) inputRef.current?.focus(); }, [busy]);
+
+    useEffect(() => {
+        if (!cameraOn) return undefined;
+        let stream = null;
+        let timer = null;
+        let cancelled = false;
+        (async () => {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+                if (cancelled) return;
+                videoRef.current.srcObject = stream;
+                await videoRef.current.play();
+                const detector = new window.BarcodeDetector({ formats: ['code_39', 'code_128', 'qr_code', 'ean_13', 'upc_a'] });
+                timer = setInterval(async () => {
+                    try {
+                        const found = await detector.detect(videoRef.current);
+                        const value = found[0]?.rawValue;
+                        const now = Date.now();
+                        // The same label stays in view for a while — read it once
+                        if (value && (value !== lastCameraCode.current.code || now - lastCameraCode.current.at > 3000)) {
+                            lastCameraCode.current = { code: value, at: now };
+                            onScan(value);
+                        }
+                    } catch (e) { /* frame not ready */ }
+                }, 400);
+            } catch (err) {
+                setCameraError(err.message || 'Camera unavailable');
+                setCameraOn(false);
+            }
+        })();
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+            stream?.getTracks().forEach(t => t.stop());
+        };
+    }, [cameraOn, onScan]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!code.trim()) return;
+        onScan(code);
+        setCode('');
+    };
+
+    return (
+        <div style={{ maxWidth: 560, margin: '0 auto 24px', display: 'flex', flexDirection: 'column', gap: 14 }}>
+            <form onSubmit={handleSubmit} style={{ display: 'flex', gap: 8 }}>
+                <input ref={inputRef} value={code} onChange={e => setCode(e.target.value)} disabled={busy}
+                    placeholder="Scan a pick label or item barcode…" autoComplete="off" autoCapitalize="characters"
+                    style={{ ...fs, fontSize: 18, padding: '14px 16px', fontFamily: 'monospace' }} />
+                {cameraSupported && (
+                    <button type="button" className={`ui-btn small ${cameraOn ? 'primary' : 'ghost'}`} onClick={() => { setCameraError(''); setCameraOn(v => !v); }}>
+                        📷 {cameraOn ? 'Stop' : 'Camera'}
+                    </button>
+                )}
+            </form>
+            {cameraError && <div style={{ fontSize: 12, color: '#f43f5e' }}>{cameraError}</div>}
+            {cameraOn && <video ref={videoRef} muted playsInline style={{ width: '100%', borderRadius: 12, background: '#000' }} />}
+
+            {next ? (
+                <div style={{ background: 'rgba(56,189,248,0.06)', border: '1px solid rgba(56,189,248,0.2)', borderRadius: 14, padding: 20 }}>
+                    <div style={{ fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.5 }}>
+                        {next.status === 'Pending' ? `Next to pick · ${remaining} left` : 'Next to load'}
+                    </div>
+                    <div style={{ fontSize: 28, fontWeight: 800, margin: '8px 0 4px' }}>
+                        {next.bin || next.zoneName}
+                    </div>
+                    <div style={{ fontSize: 20, fontWeight: 700 }}>{next.itemName} <span style={{ color: '#38bdf8' }}>× {next.status === 'Pending' ? next.qty : next.pickedQty}</span></div>
+                    <div style={{ fontSize: 13, color: '#94a3b8', marginTop: 4 }}>{next.packLabel} · {next.vendorName} · {next.zoneName}</div>
+                    <div style={{ fontSize: 12, color: '#64748b', marginTop: 8, fontFamily: 'monospace' }}>{next.pickCode}</div>
+                    {next.status === 'Pending' && (
+                        <div style={{ display: 'flex', gap: 8, marginTop: 14 }}>
+                            <button className="ui-btn ghost small" onClick={() => onShort(next)} disabled={busy}>⚠️ Short</button>
+                        </div>
+                    )}
+                </div>
+            ) : (
+                <div style={{ padding: 32, textAlign: 'center', color: '#34d399', fontWeight: 700, background: 'rgba(52,211,153,0.06)', borderRadius: 14 }}>
+                    ✅ Everything on this route day is picked and loaded
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Edit zones (name, categories, walking order) and the bin location of each
+ * item on the current pick list.
+ */
+export function WarehouseLayoutModal({ layout, rows, onSave, onClose }) {
+    const [zones, setZones] = useState(layout.zones.map(z => ({ ...z, categoriesText: z.categories.join(', ') })));
+    const [bins, setBins] = useState({ ...layout.bins });
+    const [saving, setSaving] = useState(false);
+
+    const items = [];
+    const seen = new Set();
+    rows.forEach(r => {
+        if (seen.has(r.itemKey)) return;
+        seen.add(r.itemKey);
+        items.push(r);
+    });
+    const unassigned = [...new Set(rows.filter(r => r.zoneId === UNASSIGNED_ZONE.id && r.category).map(r => r.category))];
+
+    const updateZone = (i, patch) => setZones(prev => prev.map((z, j) => (j === i ? { ...z, ...patch } : z)));
+    const moveZone = (i, delta) => setZones(prev => {
+        const next = [...prev];
+        const j = i + delta;
+        if (j < 0 || j >= next.length) return prev;
+        [next[i], next[j]] = [next[j], next[i]];
+        return next;
+    });
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            await onSave({
+                zones: zones.map(z => ({ id: z.id, name: z.name, categories: z.categoriesText.split(',') })),
+                bins,
+            });
+            onClose();
+        } catch (e) {
+            // onSave reports the error
+        }
+        setSaving(false);
+    };
+
+    return (
+        <ModalShell title="🗺️ Warehouse Layout" maxWidth={760} onClose={onClose}>
+            <div style={{ padding: '18px 22px', display: 'flex', flexDirection: 'column', gap: 16, overflowY: 'auto' }}>
+                <div>
+                    <div style={labelStyle}>Zones — in walking order</div>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                        {zones.map((z, i) => (
+                            <div key={i} style={{ display: 'grid', gridTemplateColumns: '70px 140px 1fr auto', gap: 6, alignItems: 'center' }}>
+                                <input value={z.id} onChange={e => updateZone(i, { id: e.target.value })} placeholder="ID" style={fs} />
+                                <input value={z.name} onChange={e => updateZone(i, { name: e.target.value })} placeholder="Name" style={fs} />
+                                <input value={z.categoriesText} onChange={e => updateZone(i, { categoriesText: e.target.value })} placeholder="Categories, comma separated" style={fs} />
+                                <div style={{ display: 'flex', gap: 4 }}>
+                                    <button className="ui-btn ghost small" onClick={() => moveZone(i, -1)} disabled={i === 0}>↑</button>
+                                    <button className="ui-btn ghost small" onClick={() => moveZone(i, 1)} disabled={i === zones.length - 1}>↓</button>
+                                    <button className="ui-btn ghost small" onClick={() => setZones(prev => prev.filter((_, j) => j !== i))}>✕</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <button className="ui-btn ghost small" style={{ marginTop: 8 }} onClick={() => setZones(prev => [...prev, { id: '', name: '', categoriesText: '' }])}>+ Add zone</button>
+                    {unassigned.length > 0 && (
+                        <div style={{ marginTop: 8, fontSize: 12, color: '#fbbf24' }}>No zone yet for: {unassigned.join(', ')}</div>
+                    )}
+                </div>
+
+                <div>
+                    <div style={labelStyle}>Bin locations — items on this pick list</div>
+                    {items.length === 0 ? (
+                        <div style={{ fontSize: 12, color: '#64748b' }}>No items on the pick list.</div>
+                    ) : (
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 6 }}>
+                            {items.map(r => (
+                                <div key={r.itemKey} style={{ display: 'grid', gridTemplateColumns: '1fr 110px', gap: 6, alignItems: 'center' }}>
+                                    <span style={{ fontSize: 12, color: '#cbd5e1', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={r.itemName}>{r.itemName}</span>
+                                    <input value={bins[r.itemKey] || ''} onChange={e => setBins(prev => ({ ...prev, [r.itemKey]: e.target.value }))} placeholder="e.g. A-03-2" style={{ ...fs, fontFamily: 'monospace' }} />
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+                    <button className="ui-btn ghost small" onClick={onClose}>Cancel</button>
+                    <button className="ui-btn primary small" onClick={handleSave} disabled={saving}>{saving ? 'Saving…' : 'Save layout'}</button>
+                </div>
+            </div>
+        </ModalShell>
+    );
+}
@@ -1,95 +1,113 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, useContext } from 'react';
+import { toast } from 'react-toastify';
 import { db } from '../../firebase';
 import { collection, onSnapshot } from 'firebase/firestore';
-import { RouteDayBadge, RaiseIssueModal } from './DispatchShared';
-
-const PICK_STATUS = {
-    Pending: { color: '#fbbf24', bg: 'rgba(251,191,36,0.12)' },
-    Picked: { color: '#38bdf8', bg: 'rgba(56,189,248,0.12)' },
-    Loaded: { color: '#34d399', bg: 'rgba(52,211,153,0.12)' },
-};
-
-const ZONES = { Produce: 'Zone A', Packaging: 'Zone B', Spices: 'Zone C', Meat: 'Zone D', Dairy: 'Zone E', 'Cleaning Supplies': 'Zone F' };
+import { UserContext } from '../../contexts/UserContext';
+import { RouteDayBadge, RaiseIssueModal, getRouteDayColor } from './DispatchShared';
+import { PICK_STATUS, describePick, ShortPickModal, ScanModePanel, WarehouseLayoutModal } from './WarehousePickComponents';
+import { subscribeToWarehousePicks, recordPick, subscribeToWarehouseLayout, saveWarehouseLayout } from '../../services/warehouseService';
+import { buildPickRows, buildPickLabels, matchScan, getScanAction, WAREHOUSE_ELIGIBLE_STATUSES, DEFAULT_WAREHOUSE_LAYOUT } from '../../shared/warehousePicking';
+import { generatePickLabelsPDF } from '../../utils/generatePickLabelsPDF';
+import { collectRouteDays, DEFAULT_DELIVERY_DAYS } from '../../shared/deliverySchedules';
 
 // ── Inclusion rule: Confirmed + Partially Confirmed + Delivered enter warehouse ─
-const WAREHOUSE_STATUSES = ['Confirmed', 'Partially Confirmed', 'Delivered'];
+const WAREHOUSE_STATUSES = WAREHOUSE_ELIGIBLE_STATUSES;
+
+const ACTION_LABELS = { pick: 'Picked', short: 'Short pick recorded', load: 'Loaded', reset: 'Reset to Pending' };
 
 export default function WarehousePickListPage() {
+    const { displayName } = useContext(UserContext);
     const [allDispatches, setAllDispatches] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [activeDay, setActiveDay] = useState('Monday');
-    const [pickStatus, setPickStatus] = useState({});
+    const [activeDay, setActiveDay] = useState(DEFAULT_DELIVERY_DAYS[0]);
+    const [picks, setPicks] = useState({});
+    const [layout, setLayout] = useState(DEFAULT_WAREHOUSE_LAYOUT);
+    const [mode, setMode] = useState('list');
+    const [busyLine, setBusyLine] = useState(null);
+    const [shortRow, setShortRow] = useState(null);
+    const [showLayout, setShowLayout] = useState(false);
     const [raiseIssue, setRaiseIssue] = useState(null);
     const unsubRef = useRef(null);
 
     useEffect(() => {
         unsubRef.current = onSnapshot(collection(db, 'vendorDispatchRoutes'), snap => {
-            const docs = snap.docs
-                .map(d => ({ id: d.id, ...d.data() }))
-                // Inclusion rule: only Confirmed | Partially Confirmed | Delivered
-                .filter(d => WAREHOUSE_STATUSES.includes(d.status));
+            const docs = snap.docs.map(d => ({ id: d.id, ...d.data() }));
             setAllDispatches(docs);
             setLoading(false);
         }, err => { console.error(err); setLoading(false); });
         return () => unsubRef.current?.();
     }, []);
 
+    useEffect(() => subscribeToWarehouseLayout(setLayout), []);
+
+    useEffect(() => {
+        setPicks({});
+        return subscribeToWarehousePicks(activeDay, setPicks, err => console.error('[Warehouse] Picks listener error:', err));
+    }, [activeDay]);
+
     // Included = Confirmed/Partially Confirmed/Delivered
-    const includedDispatches = allDispatches.filter(d => WAREHOUSE_STATUSES.includes(d.status));
+    const includedDispatches = useMemo(() => allDispatches.filter(d => WAREHOUSE_STATUSES.includes(d.status)), [allDispatches]);
+    // One toggle per route day with eligible dispatches (Monday / Thursday when there are none)
+    const routeDays = useMemo(() => collectRouteDays(includedDispatches), [includedDispatches]);
     // Excluded = non-warehouse-eligible route records this week
     const excludedDispatches = allDispatches
-        .filter(d => !WAREHOUSE_STATUSES.includes(d.status) && d.status && d.status !== 'Closed')
-        .concat(
-            // Also show parent dispatches still in Sent state
-            []
-        );
-
-    // Build pick rows — each vendorDispatchRoutes record is already for one routeDay
-    const pickRows = [];
-    includedDispatches
-        .filter(d => d.routeDay === activeDay) // Only show rows for active route day
-        .forEach(dispatch => {
-            (dispatch.items || []).forEach(item => {
-                const qty = item.qty || item.mondayQty || item.thursdayQty || 0;
-                if (!qty) return;
-                pickRows.push({
-                    key: `${dispatch.id}-${item.itemId || item.itemName}`,
-                    itemName: item.itemName,
-                    vendor: dispatch.vendorName,
-                    vendorId: dispatch.vendorId || '',
-                    dispatchId: dispatch.routeDispatchId || dispatch.dispatchId || dispatch.id,
-                    routeDispatchId: dispatch.routeDispatchId || dispatch.id,
-                    restaurantId: dispatch.restaurantId || '',
-                    restaurantName: dispatch.restaurantName || '',
-                    category: item.category || 'Produce',
-                    zone: ZONES[item.category] || 'Zone A',
-                    qty,
-                    packLabel: item.packLabel || '—',
-                    routeDay: dispatch.routeDay || activeDay,
-                    weekLabel: dispatch.weekLabel || '',
-                });
-            });
-        });
-
-    pickRows.sort((a, b) => a.zone.localeCompare(b.zone) || a.itemName.localeCompare(b.itemName));
-
-    const toggleStatus = (key) => {
-        setPickStatus(prev => {
-            const cur = prev[key] || 'Pending';
-            const next = cur === 'Pending' ? 'Picked' : cur === 'Picked' ? 'Loaded' : 'Pending';
-            return { ...prev, [key]: next };
-        });
+        .filter(d => !WAREHOUSE_STATUSES.includes(d.status) && d.status && d.status !== 'Closed' && d.routeDay === activeDay);
+
+    // Pick rows in walking order — each vendorDispatchRoutes record is already for one routeDay
+    const pickRows = useMemo(
+        () => buildPickRows(includedDispatches, { routeDay: activeDay, layout, picks }),
+        [includedDispatches, activeDay, layout, picks]
+    );
+
+    const runAction = useCallback(async (row, action, options = {}) => {
+        setBusyLine(row.lineId);
+        try {
+            await recordPick(row, action, { ...options, actorName: displayName || null });
+            if (options.source === 'scan') toast.success(`✅ ${row.itemName} — ${ACTION_LABELS[action]}`, { autoClose: 1500 });
+        } catch (err) {
+            console.error('[Warehouse] Pick action failed:', err);
+            toast.error(`❌ ${err.message || 'Pick action failed'}`);
+            throw err;
+        } finally {
+            setBusyLine(null);
+        }
+    }, [displayName]);
+
+    const handleScan = useCallback((code) => {
+        const row = matchScan(pickRows, code);
+        if (!row) { toast.error(`❌ No line on the ${activeDay} pick list for "${code.trim()}"`); return; }
+        const action = getScanAction(row);
+        if (!action) { toast.info(`${row.itemName} is already ${row.status}`); return; }
+        runAction(row, action, { source: 'scan' }).catch(() => {});
+    }, [pickRows, activeDay, runAction]);
+
+    const handleSaveLayout = async (next) => {
+        try {
+            setLayout(await saveWarehouseLayout(next, { displayName }));
+            toast.success('✅ Warehouse layout saved');
+        } catch (err) {
+            toast.error(`❌ Save failed: ${err.message || 'Unknown error'}`);
+            throw err;
+        }
+    };
+
+    const handlePrintLabels = () => {
+        const labels = buildPickLabels(pickRows.filter(r => r.status !== 'Short' || r.pickedQty > 0));
+        if (labels.length === 0) { toast.info('Nothing to label on this route day.'); return; }
+        window.open(generatePickLabelsPDF(labels), '_blank');
     };
 
     const totalQty = pickRows.reduce((s, r) => s + r.qty, 0);
-    const loadedCount = pickRows.filter(r => (pickStatus[r.key] || 'Pending') === 'Loaded').length;
-    const pickedCount = pickRows.filter(r => (pickStatus[r.key] || 'Pending') === 'Picked').length;
-    const pendingCount = pickRows.length - loadedCount - pickedCount;
+    const countOf = (status) => pickRows.filter(r => r.status === status).length;
+    const loadedCount = countOf('Loaded');
+    const pickedCount = countOf('Picked');
+    const shortCount = countOf('Short');
+    const pendingCount = countOf('Pending');
 
     const byZone = {};
     pickRows.forEach(r => {
-        if (!byZone[r.zone]) byZone[r.zone] = [];
-        byZone[r.zone].push(r);
+        if (!byZone[r.zoneName]) byZone[r.zoneName] = [];
+        byZone[r.zoneName].push(r);
     });
 
     return (
@@ -100,22 +118,30 @@ export default function WarehousePickListPage() {
                     Warehouse Pick List
                 </h1>
                 <p style={{ color: '#94a3b8', fontSize: 14, margin: 0 }}>
-                    Operational pick requirements for <strong style={{ color: '#34d399' }}>Confirmed</strong> vendor dispatches. Tap status to advance. Unconfirmed dispatches are excluded.
+                    Operational pick requirements for <strong style={{ color: '#34d399' }}>Confirmed</strong> vendor dispatches, in walking order by zone and bin. Pick status is saved per line — scan labels or item barcodes in Scan mode. Unconfirmed dispatches are excluded.
                 </p>
             </div>
 
             {/* Day Toggle */}
             <div style={{ display: 'flex', gap: 10, marginBottom: 18 }}>
-                {['Monday', 'Thursday'].map(d => (
+                {routeDays.map(d => (
                     <button key={d} onClick={() => setActiveDay(d)} style={{
                         padding: '10px 28px', borderRadius: 24, fontWeight: 700, fontSize: 14, cursor: 'pointer',
-                        background: activeDay === d ? (d === 'Monday' ? 'rgba(129,140,248,0.15)' : 'rgba(167,139,250,0.15)') : 'rgba(255,255,255,0.04)',
-                        color: activeDay === d ? (d === 'Monday' ? '#818cf8' : '#a78bfa') : '#94a3b8',
-                        border: `1px solid ${activeDay === d ? (d === 'Monday' ? 'rgba(129,140,248,0.35)' : 'rgba(167,139,250,0.35)') : 'rgba(255,255,255,0.08)'}`,
+                        background: activeDay === d ? `${getRouteDayColor(d)}26` : 'rgba(255,255,255,0.04)',
+                        color: activeDay === d ? getRouteDayColor(d) : '#94a3b8',
+                        border: `1px solid ${activeDay === d ? `${getRouteDayColor(d)}59` : 'rgba(255,255,255,0.08)'}`,
                     }}>
                         📅 {d} Route
                     </button>
                 ))}
+                <div style={{ flex: 1 }} />
+                {['list', 'scan'].map(m => (
+                    <button key={m} className={`ui-btn small ${mode === m ? 'primary' : 'ghost'}`} onClick={() => setMode(m)}>
+                        {m === 'list' ? '📋 List' : '📷 Scan'}
+                    </button>
+                ))}
+                <button className="ui-btn ghost small" onClick={() => setShowLayout(true)}>🗺️ Layout</button>
+                <button className="ui-btn ghost small" onClick={handlePrintLabels} disabled={pickRows.length === 0}>🏷️ Print Labels</button>
             </div>
 
             {/* Excluded vendors banner */}
@@ -136,12 +162,13 @@ export default function WarehousePickListPage() {
             )}
 
             {/* KPI Strip */}
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 14, marginBottom: 24 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 14, marginBottom: 24 }}>
                 {[
                     { label: 'Total Line Items', value: pickRows.length, color: '#38bdf8', icon: '📋' },
                     { label: 'Total Qty', value: totalQty, color: '#f8fafc', icon: '📦' },
                     { label: 'Pending', value: pendingCount, color: '#fbbf24', icon: '⏳' },
                     { label: 'Picked / Loaded', value: `${pickedCount} / ${loadedCount}`, color: '#34d399', icon: '✅' },
+                    { label: 'Short Picks', value: shortCount, color: shortCount > 0 ? '#f43f5e' : '#94a3b8', icon: '⚠️' },
                 ].map(k => (
                     <div key={k.label} style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.08)', borderRadius: 12, padding: 18 }}>
                         <div>{k.icon}</div>
@@ -159,6 +186,8 @@ export default function WarehousePickListPage() {
                     <div style={{ fontSize: 15, fontWeight: 600, color: '#f8fafc', marginBottom: 6 }}>No confirmed dispatches for {activeDay} route</div>
                     <div style={{ fontSize: 13 }}>Only Confirmed or Partially Confirmed dispatches appear here. Confirm dispatches in Dispatch Confirmations to generate pick rows.</div>
                 </div>
+            ) : mode === 'scan' ? (
+                <ScanModePanel rows={pickRows} onScan={handleScan} onShort={setShortRow} busy={!!busyLine} />
             ) : (
                 Object.entries(byZone).map(([zone, rows]) => (
                     <div key={zone} style={{ marginBottom: 24 }}>
@@ -171,37 +200,64 @@ export default function WarehousePickListPage() {
                             <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
                                 <thead>
                                     <tr style={{ background: 'rgba(255,255,255,0.04)', borderBottom: '1px solid rgba(255,255,255,0.08)' }}>
-                                        {['Item', 'Vendor', 'Dispatch ID', 'Route', 'Pack Size', 'Qty', 'Status', ''].map(h => (
+                                        {['Bin', 'Item', 'Vendor', 'Dispatch ID', 'Route', 'Pack Size', 'Qty', 'Status', 'Actions', ''].map(h => (
                                             <th key={h} style={{ padding: '10px 14px', textAlign: 'left', fontSize: 11, color: '#94a3b8', fontWeight: 600, textTransform: 'uppercase', letterSpacing: 0.5 }}>{h}</th>
                                         ))}
                                     </tr>
                                 </thead>
                                 <tbody>
                                     {rows.map(row => {
-                                        const st = pickStatus[row.key] || 'Pending';
+                                        const st = row.status;
                                         const cfg = PICK_STATUS[st];
+                                        const busy = busyLine === row.lineId;
                                         return (
-                                            <tr key={row.key} style={{ borderBottom: '1px solid rgba(255,255,255,0.05)' }}
+                                            <tr key={row.lineId} style={{ borderBottom: '1px solid rgba(255,255,255,0.05)' }}
                                                 onMouseEnter={e => e.currentTarget.style.background = 'rgba(255,255,255,0.03)'}
                                                 onMouseLeave={e => e.currentTarget.style.background = 'transparent'}>
-                                                <td style={{ padding: '11px 14px', fontWeight: 600, color: st === 'Loaded' ? '#94a3b8' : '#f8fafc', textDecoration: st === 'Loaded' ? 'line-through' : 'none' }}>{row.itemName}</td>
-                                                <td style={{ padding: '11px 14px', color: '#94a3b8' }}>{row.vendor}</td>
+                                                <td style={{ padding: '11px 14px', color: row.bin ? '#cbd5e1' : '#475569', fontFamily: 'monospace', fontSize: 12 }}>{row.bin || '—'}</td>
+                                                <td style={{ padding: '11px 14px', fontWeight: 600, color: st === 'Loaded' ? '#94a3b8' : '#f8fafc', textDecoration: st === 'Loaded' ? 'line-through' : 'none' }}>
+                                                    {row.itemName}
+                                                    {row.substitutionFor && <div style={{ fontSize: 10, color: '#a78bfa', fontWeight: 500 }}>🔄 Substitute for {row.substitutionFor}</div>}
+                                                    {row.substitutedQty > 0 && <div style={{ fontSize: 10, color: '#64748b', fontWeight: 500 }}>{row.substitutedQty} substituted</div>}
+                                                </td>
+                                                <td style={{ padding: '11px 14px', color: '#94a3b8' }}>{row.vendorName}</td>
                                                 <td style={{ padding: '11px 14px', color: '#475569', fontSize: 11, fontFamily: 'monospace', maxWidth: 130, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={row.dispatchId}>{row.dispatchId?.slice(0, 20) || '—'}</td>
                                                 <td style={{ padding: '11px 14px' }}><RouteDayBadge routeDay={row.routeDay} size="small" /></td>
                                                 <td style={{ padding: '11px 14px', color: '#64748b', fontSize: 12 }}>{row.packLabel}</td>
-                                                <td style={{ padding: '11px 14px', fontWeight: 700, color: '#f8fafc' }}>{row.qty}</td>
-                                                <td style={{ padding: '11px 14px' }}>
-                                                    <button onClick={() => toggleStatus(row.key)} style={{ background: cfg.bg, color: cfg.color, border: `1px solid ${cfg.color}44`, padding: '4px 12px', borderRadius: 12, fontSize: 11, fontWeight: 700, cursor: 'pointer' }}>
+                                                <td style={{ padding: '11px 14px', fontWeight: 700, color: '#f8fafc' }}>
+                                                    {st === 'Short' ? <><span style={{ color: '#f43f5e' }}>{row.pickedQty}</span><span style={{ color: '#64748b', fontWeight: 400 }}> / {row.qty}</span></> : row.qty}
+                                                </td>
+                                                <td style={{ padding: '11px 14px' }} title={describePick(row)}>
+                                                    <span style={{ background: cfg.bg, color: cfg.color, border: `1px solid ${cfg.color}44`, padding: '4px 12px', borderRadius: 12, fontSize: 11, fontWeight: 700, whiteSpace: 'nowrap' }}>
                                                         {st}
-                                                    </button>
+                                                    </span>
+                                                    {(row.loadedBy || row.pickedBy) && (
+                                                        <div style={{ fontSize: 10, color: '#64748b', marginTop: 4 }}>{row.loadedBy || row.pickedBy}</div>
+                                                    )}
+                                                </td>
+                                                <td style={{ padding: '11px 14px', whiteSpace: 'nowrap' }}>
+                                                    <div style={{ display: 'flex', gap: 6 }}>
+                                                        {(st === 'Pending' || st === 'Short') && (
+                                                            <button className="ui-btn primary small" disabled={busy} onClick={() => runAction(row, 'pick').catch(() => {})}>{st === 'Short' ? 'Found all' : 'Pick'}</button>
+                                                        )}
+                                                        {(st === 'Pending' || st === 'Picked') && (
+                                                            <button className="ui-btn ghost small" disabled={busy} onClick={() => setShortRow(row)}>Short</button>
+                                                        )}
+                                                        {(st === 'Picked' || (st === 'Short' && row.pickedQty > 0)) && (
+                                                            <button className="ui-btn primary small" disabled={busy} onClick={() => runAction(row, 'load').catch(() => {})}>Load</button>
+                                                        )}
+                                                        {st !== 'Pending' && (
+                                                            <button className="ui-btn ghost small" disabled={busy} title="Reset to Pending" onClick={() => runAction(row, 'reset').catch(() => {})}>↺</button>
+                                                        )}
+                                                    </div>
                                                 </td>
                                                 <td style={{ padding: '11px 14px' }}>
                                                     <button onClick={() => setRaiseIssue({
                                                         dispatchId: row.dispatchId,
                                                         vendorId: row.vendorId,
-                                                        vendorName: row.vendor,
-                                                        restaurantId: row.restaurantId,
-                                                        restaurantName: row.restaurantName,
+                                                        vendorName: row.vendorName,
+                                                        restaurantId: row.drops.length === 1 ? row.drops[0].restaurantId : '',
+                                                        restaurantName: row.drops.length === 1 ? row.drops[0].restaurantName : '',
                                                         itemName: row.itemName,
                                                         routeDay: row.routeDay,
                                                     })}
@@ -220,9 +276,17 @@ export default function WarehousePickListPage() {
             )}
 
             <div style={{ marginTop: 8, background: 'rgba(56,189,248,0.06)', border: '1px solid rgba(56,189,248,0.12)', borderRadius: 10, padding: '12px 18px', fontSize: 13, color: '#94a3b8' }}>
-                📦 <strong style={{ color: '#34d399' }}>Inclusion rule:</strong> Only Confirmed / Partially Confirmed dispatches generate pick rows. Unconfirmed dispatches show in the yellow exclusion banner above.
+                📦 <strong style={{ color: '#34d399' }}>Inclusion rule:</strong> Only Confirmed / Partially Confirmed dispatches generate pick rows. Unconfirmed dispatches show in the yellow exclusion banner above. Zones and bins come from the warehouse layout; categories with no zone are listed under Unassigned.
             </div>
 
+            {shortRow && (
+                <ShortPickModal
+                    row={shortRow}
+                    onSubmit={(values) => runAction(shortRow, 'short', { ...values, source: mode === 'scan' ? 'scan' : 'list' })}
+                    onClose={() => setShortRow(null)}
+                />
+            )}
+            {showLayout && <WarehouseLayoutModal layout={layout} rows={pickRows} onSave={handleSaveLayout} onClose={() => setShowLayout(false)} />}
             {raiseIssue && <RaiseIssueModal defaults={raiseIssue} onClose={() => setRaiseIssue(null)} />}
         </div>
     );
@@ -5,7 +5,8 @@
  *
  * Data model:
  *   vendorDispatches       — weekly parent (one per vendor per week)
- *   vendorDispatchRoutes   — route-day children (one per routeDay per dispatchId)
+ *   vendorDispatchRoutes   — route-day children (one per routeDay per dispatchId;
+ *                            the days come from the delivery schedules)
  *
  * Usage:
  *   Financial summaries, vendor cards → use vendorDispatches
@@ -23,6 +24,8 @@ import {
 } from 'firebase/firestore';
 import { logDispatchSent } from '../../utils/adminAuditLogger';
 import { ops } from '../../services/operationsLogger';
+import { normalizeDeliveryDays, collectRouteDays, getRouteDispatchId, getDeliveryDate } from '../../shared/deliverySchedules';
+import { DISPATCH_STATUS_MACHINE } from '../../shared/statusMachine';
 
 // ── Week helpers ──────────────────────────────────────────────────────────────
 
@@ -102,11 +105,22 @@ export function deriveOverallStatus(routeStatuses = []) {
 /**
  * Write or update the parent weekly dispatch record.
  * vendorDispatches/{dispatchId}
+ *
+ * A new record starts as `Sent`; after that `status` moves only through
+ * the transitionStatus callable, so a re-send leaves it alone. Once the vendor
+ * has acted on it (past `Sent`) it cannot be re-sent — the payload clears the
+ * confirmation and delivery stamps the kept status relies on.
  */
 export async function upsertParentDispatch(payload) {
     const ref = doc(db, 'vendorDispatches', payload.dispatchId);
+    const existing = await getDoc(ref);
+    const status = existing.exists() ? existing.data().status : null;
+    if (status && !DISPATCH_STATUS_MACHINE.initial.includes(status)) {
+        throw new Error(`This week's dispatch is already ${status} — it can no longer be re-sent.`);
+    }
     await setDoc(ref, {
         ...payload,
+        ...(!existing.exists() && { status: 'Sent' }),
         updatedAt: serverTimestamp(),
     }, { merge: true });
 }
@@ -125,44 +139,58 @@ export async function writeRouteDispatch(payload) {
 }
 
 /**
- * Full send: writes parent + both route-day children in one call.
+ * Full send: writes the parent and one route-day child per delivery day the
+ * vendor's items are ordered for (restaurant / vendor schedules —
+ * src/shared/deliverySchedules.js). Throws, writing nothing, when the week's
+ * dispatch has moved past `Sent`.
  *
- * @param {Object} vendor - vendor object from Control Tower state
+ * @param {Object} vendor - vendor object from Control Tower state; items carry
+ *                          `dayQtys` and `dayDrops` keyed by delivery day
  * @param {string} weekStart - ISO date string for Monday of delivery week
  * @param {string} weekEnd   - ISO date string for Sunday
  * @param {string} weekLabel - Human readable label
- * @returns {Promise<{dispatchId, monRouteId, thuRouteId}>}
+ * @returns {Promise<{dispatchId, routeDays, routeDispatchIds}>}
  */
 export async function sendVendorDispatch(vendor, weekStart, weekEnd, weekLabel) {
     const dispatchId = `disp_${vendor.vendorId}_${weekStart.replace(/-/g, '')}`;
-    const monRouteId = `${dispatchId}_Mon`;
-    const thuRouteId = `${dispatchId}_Thu`;
-
-    const itemsPayload = (vendor.items || []).map(i => ({
-        itemId: i.itemName.toLowerCase().replace(/\s+/g, '-'),
-        itemName: i.itemName,
-        packLabel: i.displayVendorPackStr || i.packLabel || '—',
-        mondayQty: i.mondayQty || 0,
-        thursdayQty: i.thursdayQty || 0,
-        catalogSellPrice: i.catalogSellPrice || 0,
-        lineMarketplaceCommission: i.lineMarketplaceCommission || 0,
-        lineVendorPayout: i.lineVendorPayout || 0,
-        lineRestaurantBilling: i.lineRestaurantBilling || 0,
-        category: i.category || '',
-        // Snapshot fields for historical accuracy
-        vendorItemId: i.vendorItemId || i.itemId || null,
-        catalogItemId: i.catalogItemId || null,
-        itemNameSnapshot: i.itemName || 'Unknown Item',
-        priceSnapshot: Number(i.vendorPrice ?? i.price ?? i.catalogSellPrice ?? 0),
-        unitSnapshot: i.unit || i.packLabel || 'unit',
-        vendorNameSnapshot: vendor.name || null,
-        packSizeSnapshot: i.packQuantity || i.packSize || null,
-        categorySnapshot: i.category || null,
-        taxableSnapshot: !!i.taxable,
-    }));
-
-    const monItems = itemsPayload.filter(i => i.mondayQty > 0).map(i => ({ ...i, qty: i.mondayQty }));
-    const thuItems = itemsPayload.filter(i => i.thursdayQty > 0).map(i => ({ ...i, qty: i.thursdayQty }));
+
+    const itemsPayload = (vendor.items || []).map(i => {
+        const dayQtys = i.dayQtys || { Monday: i.mondayQty || 0, Thursday: i.thursdayQty || 0 };
+        const dayDrops = i.dayDrops || { Monday: i.mondayDrops || [], Thursday: i.thursdayDrops || [] };
+        return {
+            itemId: i.catalogItemId || i.itemName.toLowerCase().replace(/\s+/g, '-'),
+            itemName: i.itemName,
+            packLabel: i.displayVendorPackStr || i.packLabel || '—',
+            dayQtys,
+            mondayQty: dayQtys.Monday || 0,
+            thursdayQty: dayQtys.Thursday || 0,
+            // Per-restaurant split of each day's qty: { day: [{ restaurantId, restaurantName, qty }] }
+            dayDrops,
+            catalogSellPrice: i.catalogSellPrice || 0,
+            lineMarketplaceCommission: i.lineMarketplaceCommission || 0,
+            lineVendorPayout: i.lineVendorPayout || 0,
+            lineRestaurantBilling: i.lineRestaurantBilling || 0,
+            category: i.category || '',
+            // Snapshot fields for historical accuracy
+            vendorItemId: i.vendorItemId || i.itemId || null,
+            catalogItemId: i.catalogItemId || null,
+            itemNameSnapshot: i.itemName || 'Unknown Item',
+            priceSnapshot: Number(i.vendorPrice ?? i.price ?? i.catalogSellPrice ?? 0),
+            unitSnapshot: i.unit || i.packLabel || 'unit',
+            vendorNameSnapshot: vendor.name || null,
+            packSizeSnapshot: i.packQuantity || i.packSize || null,
+            categorySnapshot: i.category || null,
+            taxableSnapshot: !!i.taxable,
+        };
+    });
+
+    // One route per day anything is ordered for
+    const orderedDays = normalizeDeliveryDays(itemsPayload.flatMap(i => Object.keys(i.dayQtys).filter(day => i.dayQtys[day] > 0)));
+    const routeDays = orderedDays.length ? orderedDays : collectRouteDays([{ routeDays: vendor.deliveryDays }]);
+    const dayTotalPacks = Object.fromEntries(routeDays.map(day => [day, itemsPayload.reduce((s, i) => s + (i.dayQtys[day] || 0), 0)]));
+
+    // Route items carry only their own day's drops, as `drops`
+    const routeItem = ({ dayQtys, dayDrops, ...i }, day) => ({ ...i, qty: dayQtys[day], drops: dayDrops[day] || [] });
 
     // Parent record
     await upsertParentDispatch({
@@ -172,15 +200,15 @@ export async function sendVendorDispatch(vendor, weekStart, weekEnd, weekLabel)
         weekStart,
         weekEnd,
         weekLabel,
-        routeDays: ['Monday', 'Thursday'],
-        mondayTotalPacks: vendor.mon || 0,
-        thursdayTotalPacks: vendor.thu || 0,
+        routeDays,
+        dayTotalPacks,
+        mondayTotalPacks: dayTotalPacks.Monday || 0,
+        thursdayTotalPacks: dayTotalPacks.Thursday || 0,
         restaurantBillingTotal: vendor.bill || 0,
         vendorPayoutTotal: vendor.pay || 0,
         marketplaceCommissionTotal: vendor.comm || 0,
         overallStatus: 'Sent',
-        mondaySent: true,
-        thursdaySent: true,
+        sentDays: routeDays,
         sentAt: serverTimestamp(),
         confirmedAt: null,
         deliveredAt: null,
@@ -188,49 +216,35 @@ export async function sendVendorDispatch(vendor, weekStart, weekEnd, weekLabel)
         createdAt: serverTimestamp(),
     });
 
-    // Monday route child
-    await writeRouteDispatch({
-        routeDispatchId: monRouteId,
-        dispatchId,
-        vendorId: vendor.vendorId,
-        vendorName: vendor.name,
-        weekStart,
-        weekEnd,
-        weekLabel,
-        routeDay: 'Monday',
-        totalPacks: vendor.mon || 0,
-        status: 'Sent',
-        sentAt: serverTimestamp(),
-        confirmedAt: null,
-        deliveredAt: null,
-        warehouseStatus: null,
-        items: monItems,
-        notes: '',
-    });
-
-    // Thursday route child
-    await writeRouteDispatch({
-        routeDispatchId: thuRouteId,
-        dispatchId,
-        vendorId: vendor.vendorId,
-        vendorName: vendor.name,
-        weekStart,
-        weekEnd,
-        weekLabel,
-        routeDay: 'Thursday',
-        totalPacks: vendor.thu || 0,
-        status: 'Sent',
-        sentAt: serverTimestamp(),
-        confirmedAt: null,
-        deliveredAt: null,
-        warehouseStatus: null,
-        items: thuItems,
-        notes: '',
-    });
+    // Route-day children
+    const routeDispatchIds = [];
+    for (const day of routeDays) {
+        const routeDispatchId = getRouteDispatchId(dispatchId, day);
+        await writeRouteDispatch({
+            routeDispatchId,
+            dispatchId,
+            vendorId: vendor.vendorId,
+            vendorName: vendor.name,
+            weekStart,
+            weekEnd,
+            weekLabel,
+            routeDay: day,
+            deliveryDate: getDeliveryDate(weekStart, day),
+            totalPacks: dayTotalPacks[day],
+            status: 'Sent',
+            sentAt: serverTimestamp(),
+            confirmedAt: null,
+            deliveredAt: null,
+            warehouseStatus: null,
+            items: itemsPayload.filter(i => i.dayQtys[day] > 0).map(i => routeItem(i, day)),
+            notes: '',
+        });
+        routeDispatchIds.push(routeDispatchId);
+    }
 
     // Audit log
-    logDispatchSent({ dispatchId, vendorId: vendor.vendorId, vendorName: vendor.name, weekStart });
-    ops.info('dispatch_sent', { dispatchId, vendorId: vendor.vendorId, vendorName: vendor.name, weekStart });
+    logDispatchSent({ dispatchId, vendorId: vendor.vendorId, vendorName: vendor.name, weekStart, metadata: { routeDays } });
+    ops.info('dispatch_sent', { dispatchId, vendorId: vendor.vendorId, vendorName: vendor.name, weekStart, routeDays });
 
-    return { dispatchId, monRouteId, thuRouteId };
+    return { dispatchId, routeDays, routeDispatchIds };
 }
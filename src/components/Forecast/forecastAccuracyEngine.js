@@ -1,77 +1,62 @@
 /**
  * forecastAccuracyEngine.js
  *
- * Computes forecast accuracy by comparing AI predictions against
- * actual submittedOrders, and aggregates correction intelligence
- * from the correction learning system.
+ * Reads forecast accuracy reconciled from persisted forecast runs
+ * (forecastAccuracy), backtests the demand models against order
+ * history, and aggregates correction intelligence from the correction
+ * learning system.
  *
  * All data is real — sourced from Firestore.
  */
 import { db } from '../../firebase';
 import { collection, getDocs, query, where, orderBy, limit } from 'firebase/firestore';
-import { fetchOrderHistory, getRestaurantList, buildRestaurantForecast } from './forecastHelpers';
+import { fetchOrderHistory, fetchForecastConfig } from './forecastHelpers';
+import { runForecastBacktest } from '../../shared/forecastBacktest';
+import { latestRunPerWeek } from '../../shared/forecastReconciliation';
 
 // ─── Forecast Accuracy ────────────────────────────────────────────────────────
 
 /**
- * Compare forecast predictions against actual submitted orders for the current week.
- * Returns accuracy metrics: { accuracy, correct, overPredicted, underPredicted, totalPredicted, details }
+ * Reconciled `forecastAccuracy` documents (one per restaurant per run) for
+ * delivery weeks starting in the last `weeksBack` weeks, written by the
+ * forecastReconciliationSchedule Cloud Function.
+ */
+export async function fetchAccuracyHistory(weeksBack = 12) {
+    const since = new Date();
+    since.setDate(since.getDate() - weeksBack * 7);
+    const q = query(
+        collection(db, 'forecastAccuracy'),
+        where('weekStart', '>=', since.toISOString().slice(0, 10)),
+        orderBy('weekStart', 'desc')
+    );
+    const snap = await getDocs(q);
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Forecast vs actual for the most recent reconciled delivery week, per item
+ * across all restaurants.
+ * Returns accuracy metrics: { accuracy, correct, overPredicted, underPredicted, totalPredicted, details, weekStart }
  */
 export async function computeForecastAccuracy() {
     try {
-        // 1. Get forecast predictions (from order history)
-        const records = await fetchOrderHistory(12);
-        if (records.length === 0) return getEmptyAccuracy();
-
-        const restaurants = getRestaurantList(records);
-        const forecastMap = {}; // itemName → predicted qty
-
-        for (const rest of restaurants) {
-            const forecast = buildRestaurantForecast(records, rest);
-            forecast.forEach(item => {
-                const total = (item.mondayQty || 0) + (item.thursdayQty || 0);
-                if (total <= 0) return;
-                const name = item.itemName;
-                if (!forecastMap[name]) forecastMap[name] = { predicted: 0, category: item.category || 'Other' };
-                forecastMap[name].predicted += total;
-            });
-        }
-
-        // 2. Get actual completed orders for comparison
-        const ordersRef = collection(db, 'marketplaceOrders');
-        const now = new Date();
-        const twoWeeksAgo = new Date(now);
-        twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
-
-        const ordersQ = query(
-            ordersRef,
-            where('status', '==', 'completed'),
-            where('createdAt', '>=', twoWeeksAgo),
-            orderBy('createdAt', 'desc')
-        );
-        const ordersSnap = await getDocs(ordersQ);
-
-        const actualMap = {}; // itemName → actual qty
-        ordersSnap.docs.forEach(doc => {
-            const order = doc.data();
-
-            (order.items || []).forEach(item => {
-                const name = item.name || item.itemName || '';
-                if (!name) return;
-                if (!actualMap[name]) actualMap[name] = 0;
-                actualMap[name] += Number(item.qty) || 0;
+        const docs = latestRunPerWeek(await fetchAccuracyHistory(4));
+        if (docs.length === 0) return getEmptyAccuracy();
+
+        const weekStart = docs.map(d => d.weekStart).sort().pop();
+        const byItem = {}; // itemName → { predicted, actual, category }
+        docs.filter(d => d.weekStart === weekStart).forEach(d => {
+            (d.lines || []).forEach(l => {
+                if (!byItem[l.itemName]) byItem[l.itemName] = { predicted: 0, actual: 0, category: l.category || 'Other' };
+                byItem[l.itemName].predicted += l.predictedQty || 0;
+                byItem[l.itemName].actual += l.actualQty || 0;
             });
         });
 
-        // 3. Compare forecast vs actual
-        const allItems = new Set([...Object.keys(forecastMap), ...Object.keys(actualMap)]);
         let correct = 0, overPredicted = 0, underPredicted = 0;
         const details = [];
 
-        allItems.forEach(itemName => {
-            const predicted = forecastMap[itemName]?.predicted || 0;
-            const actual = actualMap[itemName] || 0;
-
+        Object.entries(byItem).forEach(([itemName, { predicted, actual, category }]) => {
             if (predicted === 0 && actual === 0) return;
 
             const diff = predicted - actual;
@@ -89,14 +74,7 @@ export async function computeForecastAccuracy() {
                 underPredicted++;
             }
 
-            details.push({
-                itemName,
-                predicted: Math.round(predicted),
-                actual: Math.round(actual),
-                diff: Math.round(diff),
-                status,
-                category: forecastMap[itemName]?.category || 'Other',
-            });
+            details.push({ itemName, predicted, actual, diff, status, category });
         });
 
         const total = correct + overPredicted + underPredicted;
@@ -109,6 +87,7 @@ export async function computeForecastAccuracy() {
             underPredicted,
             totalPredicted: total,
             details: details.sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff)),
+            weekStart,
         };
     } catch (err) {
         console.error('[ForecastAccuracy] Error:', err);
@@ -117,7 +96,19 @@ export async function computeForecastAccuracy() {
 }
 
 function getEmptyAccuracy() {
-    return { accuracy: 0, correct: 0, overPredicted: 0, underPredicted: 0, totalPredicted: 0, details: [] };
+    return { accuracy: 0, correct: 0, overPredicted: 0, underPredicted: 0, totalPredicted: 0, details: [], weekStart: null };
+}
+
+// ─── Model Backtest ───────────────────────────────────────────────────────────
+
+/**
+ * Replay the last `weeksBack` weeks of marketplaceOrders week by week and
+ * score every registered model (MAPE, bias, stockout/overage).
+ * Returns: { config, result } — result from runForecastBacktest()
+ */
+export async function runModelBacktest(weeksBack = 26) {
+    const [records, config] = await Promise.all([fetchOrderHistory(weeksBack), fetchForecastConfig()]);
+    return { config, result: runForecastBacktest(records, { config }) };
 }
 
 // ─── Correction Intelligence ──────────────────────────────────────────────────
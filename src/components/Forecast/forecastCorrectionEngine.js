@@ -26,6 +26,7 @@ import {
     serverTimestamp,
     writeBatch,
 } from 'firebase/firestore';
+import { classifyAgainstBand } from '../../shared/forecastIntervals';
 
 // ── Delta type resolver (canonical) ─────────────────────────────────────────
 export function getDeltaType(predictedQty, finalQty) {
@@ -83,6 +84,7 @@ export async function runCorrectionEngine({
             restaurantId,
             restaurantName,
             itemId: line.id,
+            catalogItemId: line.catalogItemId || null,
             itemName: line.itemName,
             category: line.category,
             deliveryDay,
@@ -93,6 +95,8 @@ export async function runCorrectionEngine({
             deltaQty,
             deltaType,
             packLabel: line.packLabel,
+            predictionInterval: line.predictionInterval || null,
+            outsideInterval: classifyAgainstBand(line.finalQty, line.predictionInterval),
             catalogPrice,
             submittedAt: serverTimestamp(),
             suggestionId: orderDocId,
@@ -132,6 +136,7 @@ export async function runCorrectionEngine({
         spendDelta: finalSpend - predictedSpend,
         items: lines.map(l => ({
             itemId: l.id,
+            catalogItemId: l.catalogItemId || null,
             itemName: l.itemName,
             category: l.category,
             packLabel: l.packLabel,
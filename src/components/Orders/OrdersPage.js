@@ -2,17 +2,17 @@ import React, { useState, useEffect, useContext } from 'react';
 import { useLocation, useSearchParams, useNavigate } from 'react-router-dom';
 import { db, app } from '../../firebase';
 import { getFunctions, httpsCallable } from 'firebase/functions';
-import { collection, query, where, orderBy, onSnapshot, doc, updateDoc, deleteDoc, getDoc, getDocs, serverTimestamp } from 'firebase/firestore';
+import { collection, query, where, orderBy, onSnapshot, doc, deleteDoc, getDoc, getDocs } from 'firebase/firestore';
 import { toast } from 'react-toastify';
 import { UserContext } from '../../contexts/UserContext';
-import { getTaxRate } from '../../constants/taxRates';
 import './OrdersPage.css';
 import { authFetch } from '../../utils/authFetch';
+import { requestStatusTransition } from '../../services/statusTransitionService';
 
 const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
 
 export default function OrdersPage() {
-    const { isSuperAdmin, isAdmin, vendorId, permissions, displayName } = useContext(UserContext);
+    const { isSuperAdmin, isAdmin, vendorId, permissions } = useContext(UserContext);
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(true);
     const [selectedOrder, setSelectedOrder] = useState(null);
@@ -157,15 +157,26 @@ export default function OrdersPage() {
         return new Intl.NumberFormat('en-CA', { style: 'currency', currency: 'CAD' }).format(amount || 0);
     };
 
+    // Status, stamps and the audit log are written by the server — read them back
+    const refreshSelectedOrder = async (orderId) => {
+        const snap = await getDoc(doc(db, 'marketplaceOrders', orderId));
+        if (!snap.exists()) return;
+        setSelectedOrder(prev => prev && prev.id === orderId
+            ? { ...prev, ...snap.data(), restaurantName: prev.restaurantName }
+            : prev);
+    };
+
     const updateOrderStatus = async (orderId, newStatus) => {
         try {
-            const orderRef = doc(db, 'marketplaceOrders', orderId);
-            await updateDoc(orderRef, { status: newStatus });
+            await requestStatusTransition('order', orderId, newStatus, {
+                expectedStatus: selectedOrder?.status,
+            });
             toast.success(`Order status updated to ${newStatus.replace(/_/g, ' ')}`);
             setSelectedOrder(prev => prev ? { ...prev, status: newStatus } : null);
+            await refreshSelectedOrder(orderId);
         } catch (error) {
             console.error("Error updating order status:", error);
-            toast.error("Failed to update order status");
+            toast.error(error.message || "Failed to update order status");
         }
     };
 
@@ -190,8 +201,6 @@ export default function OrdersPage() {
                     auditLogEntries.push({
                         action: `Item "${item.name}" ${actionName} from ${originalItem.qty} to ${item.qty}`,
                         reason: reason,
-                        timestamp: new Date().toISOString(),
-                        user: displayName || 'Admin'
                     });
                 }
             }
@@ -225,9 +234,7 @@ export default function OrdersPage() {
             const hasModifications = auditLogEntries.length > 0;
             const newStatus = hasModifications ? 'pending_customer_approval' : 'pending_fulfillment';
 
-            const orderRef = doc(db, 'marketplaceOrders', selectedOrder.id);
             const updatePayload = {
-                status: newStatus,
                 pickupDate,
                 pickupTime,
                 items: editableItems,
@@ -238,13 +245,12 @@ export default function OrdersPage() {
                 total: grandTotalAfterTax
             };
 
-            // Only append audit log if there are changes
-            if (hasModifications) {
-                const updatedAuditLog = [...(selectedOrder.auditLog || []), ...auditLogEntries];
-                updatePayload.auditLog = updatedAuditLog;
-            }
-
-            await updateDoc(orderRef, updatePayload);
+            // Item-level changes are logged ahead of the status change
+            await requestStatusTransition('order', selectedOrder.id, newStatus, {
+                fields: updatePayload,
+                notes: auditLogEntries,
+                expectedStatus: selectedOrder.status,
+            });
             toast.success(hasModifications ? 'Changes submitted for customer approval!' : 'Order accepted with scheduled pickup!');
 
             // Send order confirmation email via Cloud Function
@@ -280,12 +286,14 @@ export default function OrdersPage() {
 
             setSelectedOrder(prev => prev ? {
                 ...prev,
-                ...updatePayload
+                ...updatePayload,
+                status: newStatus
             } : null);
+            await refreshSelectedOrder(selectedOrder.id);
             setShowAcceptForm(false);
         } catch (error) {
             console.error("Error accepting order:", error);
-            toast.error("Failed to accept order");
+            toast.error(error.message || "Failed to accept order");
         }
     };
 
@@ -298,66 +306,39 @@ export default function OrdersPage() {
         const actionLabel = cancelModalAction === 'reject' ? 'Order rejected by vendor' : 'Order cancelled by vendor';
 
         try {
-            const orderRef = doc(db, 'marketplaceOrders', selectedOrder.id);
-            const auditEntry = {
-                action: actionLabel,
+            await requestStatusTransition('order', selectedOrder.id, 'cancelled_by_vendor', {
+                fields: { cancelReason: cancelReason.trim() },
+                notes: [{ action: actionLabel, reason: cancelReason.trim() }],
                 reason: cancelReason.trim(),
-                timestamp: new Date().toISOString(),
-                user: displayName || 'Vendor'
-            };
-            const updatedAuditLog = [...(selectedOrder.auditLog || []), auditEntry];
-
-            const updatePayload = {
-                status: 'cancelled_by_vendor',
-                auditLog: updatedAuditLog,
-                cancelledAt: serverTimestamp(),
-                cancelReason: cancelReason.trim()
-            };
-
-            await updateDoc(orderRef, updatePayload);
+                expectedStatus: selectedOrder.status,
+            });
 
             toast.success('Order has been cancelled.');
-            setSelectedOrder(prev => prev ? { ...prev, status: 'cancelled_by_vendor', auditLog: updatedAuditLog } : null);
+            setSelectedOrder(prev => prev ? { ...prev, status: 'cancelled_by_vendor' } : null);
+            await refreshSelectedOrder(selectedOrder.id);
             setCancelModalAction(null);
             setCancelReason('');
         } catch (error) {
             console.error('Error cancelling order:', error);
-            toast.error('Failed to cancel order');
+            toast.error(error.message || 'Failed to cancel order');
         }
     };
 
-    // Mark as Delivered → delivered_awaiting_confirmation
+    // Mark as Delivered → delivered_awaiting_confirmation (server opens the review window)
     const handleMarkDelivered = async () => {
         try {
-            const orderRef = doc(db, 'marketplaceOrders', selectedOrder.id);
-            const now = new Date();
-            const reviewWindowEndsAt = new Date(now.getTime() + 48 * 60 * 60 * 1000).toISOString();
-            const auditEntry = {
-                action: 'Order marked as delivered — awaiting restaurant confirmation',
+            await requestStatusTransition('order', selectedOrder.id, 'delivered_awaiting_confirmation', {
+                notes: [{ action: 'Order marked as delivered — awaiting restaurant confirmation', reason: 'Delivery completed' }],
                 reason: 'Delivery completed',
-                timestamp: new Date().toISOString(),
-                user: displayName || 'Vendor'
-            };
-            const updatedAuditLog = [...(selectedOrder.auditLog || []), auditEntry];
-
-            await updateDoc(orderRef, {
-                status: 'delivered_awaiting_confirmation',
-                deliveredAt: serverTimestamp(),
-                reviewWindowEndsAt,
-                auditLog: updatedAuditLog
+                expectedStatus: selectedOrder.status,
             });
 
             toast.success('Order marked as delivered. Awaiting restaurant confirmation.');
-            setSelectedOrder(prev => prev ? {
-                ...prev,
-                status: 'delivered_awaiting_confirmation',
-                deliveredAt: serverTimestamp(),
-                reviewWindowEndsAt,
-                auditLog: updatedAuditLog
-            } : null);
+            setSelectedOrder(prev => prev ? { ...prev, status: 'delivered_awaiting_confirmation' } : null);
+            await refreshSelectedOrder(selectedOrder.id);
         } catch (error) {
             console.error('Error marking delivered:', error);
-            toast.error('Failed to mark as delivered');
+            toast.error(error.message || 'Failed to mark as delivered');
         }
     };
 
@@ -369,8 +350,6 @@ export default function OrdersPage() {
         }
 
         try {
-            const orderRef = doc(db, 'marketplaceOrders', selectedOrder.id);
-
             // Recalculate totals from resolution items
             let subtotalBeforeTax = 0;
             let totalTax = 0;
@@ -387,8 +366,6 @@ export default function OrdersPage() {
             totalTax = round2(totalTax);
             const grandTotalAfterTax = round2(subtotalBeforeTax + totalTax);
 
-            const now = new Date();
-
             // Build granular per-item audit entries for any changes
             const originalItems = selectedOrder.items || [];
             const itemAuditEntries = [];
@@ -404,23 +381,17 @@ export default function OrdersPage() {
 
                 if (newQty === 0 && origQty > 0) {
                     itemAuditEntries.push({
-                        action: `Item "${itemName}" removed (qty ${origQty} → 0)`,
-                        timestamp: new Date().toISOString(),
-                        user: displayName || 'SuperAdmin'
+                        action: `Item "${itemName}" removed (qty ${origQty} → 0)`
                     });
                 } else if (newQty !== origQty) {
                     itemAuditEntries.push({
-                        action: `Item "${itemName}" qty adjusted from ${origQty} to ${newQty}`,
-                        timestamp: new Date().toISOString(),
-                        user: displayName || 'SuperAdmin'
+                        action: `Item "${itemName}" qty adjusted from ${origQty} to ${newQty}`
                     });
                 }
 
                 if (newPrice !== origPrice && newQty > 0) {
                     itemAuditEntries.push({
-                        action: `Item "${itemName}" price adjusted from $${origPrice.toFixed(2)} to $${newPrice.toFixed(2)}`,
-                        timestamp: new Date().toISOString(),
-                        user: displayName || 'SuperAdmin'
+                        action: `Item "${itemName}" price adjusted from $${origPrice.toFixed(2)} to $${newPrice.toFixed(2)}`
                     });
                 }
             });
@@ -429,123 +400,45 @@ export default function OrdersPage() {
             const resolutionEntry = {
                 action: `Issue resolved — ${resolutionAction.replace(/_/g, ' ')}`,
                 reason: resolutionNotes || 'Resolved by admin',
-                timestamp: new Date().toISOString(),
-                user: displayName || 'SuperAdmin'
             };
 
-            // Combine: item-level changes first, then the resolution summary
-            const updatedAuditLog = [...(selectedOrder.auditLog || []), ...itemAuditEntries, resolutionEntry];
-
-            await updateDoc(orderRef, {
-                status: 'fulfilled',
-                issueStatus: 'resolved',
-                resolutionAction: {
-                    type: resolutionAction,
-                    details: resolutionNotes,
-                    resolvedBy: displayName || 'SuperAdmin',
-                    resolvedAt: serverTimestamp()
+            // Item-level changes first, then the resolution summary; the
+            // server stamps resolvedBy / resolvedAt
+            await requestStatusTransition('order', selectedOrder.id, 'fulfilled', {
+                fields: {
+                    issueStatus: 'resolved',
+                    resolutionAction: {
+                        type: resolutionAction,
+                        details: resolutionNotes,
+                    },
+                    items: resolutionItems,
+                    subtotalBeforeTax,
+                    totalTax,
+                    grandTotalAfterTax,
+                    total: grandTotalAfterTax,
                 },
-                resolvedAt: serverTimestamp(),
-                items: resolutionItems,
-                subtotalBeforeTax,
-                totalTax,
-                grandTotalAfterTax,
-                total: grandTotalAfterTax,
-                auditLog: updatedAuditLog
+                notes: [...itemAuditEntries, resolutionEntry],
+                expectedStatus: selectedOrder.status,
             });
 
             toast.success('Issue resolved. Order finalized and invoice will be generated.');
 
-            // ── Sync existing invoices with recalculated totals ──
-            try {
-                // Fetch vendor info for tax rate (needed for per-item invoice formatting)
-                const vendorSnap = await getDoc(doc(db, 'vendors', selectedOrder.vendorId));
-                const vData = vendorSnap.exists() ? vendorSnap.data() : {};
-                const invoiceTaxRate = getTaxRate(vData.country || 'Canada', vData.province);
-                const vendorCommissionPercent = Number(vData.commissionPercent ?? 10);
-
-                // Build formatted items for invoices
-                let invSubtotal = 0;
-                let invTotalTax = 0;
-                const invoiceItems = resolutionItems.map(item => {
-                    const price = Number(item.vendorPrice ?? item.price ?? 0);
-                    const qty = item.qty || 1;
-                    const lineTotal = item.lineSubtotal || round2(price * qty);
-                    const isTaxable = !!item.taxable;
-                    const lineTax = isTaxable ? round2(lineTotal * (invoiceTaxRate / 100)) : 0;
-                    invSubtotal += lineTotal;
-                    invTotalTax += lineTax;
-                    return {
-                        itemId: item.itemId,
-                        itemName: item.itemName || item.name || 'Unknown Item',
-                        unit: item.unit || 'unit',
-                        qty,
-                        price,
-                        vendorPrice: price,
-                        lineTotal,
-                        lineTotalVendor: lineTotal,
-                        isTaxable,
-                        lineTax
-                    };
-                });
-                invSubtotal = round2(invSubtotal);
-                invTotalTax = round2(invTotalTax);
-                const invGrandTotal = round2(invSubtotal + invTotalTax);
-
-                // Update Restaurant Invoice (uses orderId as doc ID)
-                const restInvRef = doc(db, 'restaurantInvoices', selectedOrder.id);
-                const restInvSnap = await getDoc(restInvRef);
-                if (restInvSnap.exists()) {
-                    await updateDoc(restInvRef, {
-                        items: invoiceItems,
-                        subtotal: invSubtotal,
-                        totalTax: invTotalTax,
-                        grandTotal: invGrandTotal,
-                        updatedAt: serverTimestamp(),
-                        adminNotes: 'Updated after issue resolution'
-                    });
-                }
-
-                // Update Vendor Invoice (uses orderId as doc ID)
-                const vendorInvRef = doc(db, 'vendorInvoices', selectedOrder.id);
-                const vendorInvSnap = await getDoc(vendorInvRef);
-                if (vendorInvSnap.exists()) {
-                    const commissionAmount = round2(invSubtotal * (vendorCommissionPercent / 100));
-                    const netVendorPayable = round2(invSubtotal - commissionAmount);
-                    await updateDoc(vendorInvRef, {
-                        items: invoiceItems,
-                        subtotalVendorAmount: invSubtotal,
-                        grossVendorAmount: invSubtotal,
-                        totalTaxAmount: invTotalTax,
-                        totalVendorAmount: invGrandTotal,
-                        commissionAmount,
-                        netVendorPayable,
-                        updatedAt: serverTimestamp(),
-                        adminNotes: 'Updated after issue resolution'
-                    });
-                }
-            } catch (invoiceErr) {
-                console.error('Failed to sync invoices after resolution:', invoiceErr);
-                // Don't block the resolution — invoices can be manually regenerated
-            }
-
             setSelectedOrder(prev => prev ? {
                 ...prev,
                 status: 'fulfilled',
                 issueStatus: 'resolved',
-                resolvedAt: serverTimestamp(),
                 items: resolutionItems,
                 subtotalBeforeTax,
                 totalTax,
                 grandTotalAfterTax,
                 total: grandTotalAfterTax,
-                auditLog: updatedAuditLog
             } : null);
+            await refreshSelectedOrder(selectedOrder.id);
             setResolutionAction('');
             setResolutionNotes('');
         } catch (error) {
             console.error('Error resolving issue:', error);
-            toast.error('Failed to resolve issue');
+            toast.error(error.message || 'Failed to resolve issue');
         }
     };
 
@@ -49,7 +49,12 @@ const SEARCH_TARGETS = [
     { to: '/finance?tab=restaurant-invoices',   icon: '🧾', label: 'Restaurant Invoices',       group: 'Finance' },
     { to: '/finance?tab=vendor-invoices',       icon: '🧾', label: 'Vendor Invoices',           group: 'Finance' },
     { to: '/finance?tab=commission',            icon: '💵', label: 'Commission Summary',        group: 'Finance' },
+    { to: '/finance?tab=commission-rules',      icon: '📐', label: 'Commission Rules',          group: 'Finance' },
     { to: '/finance?tab=payments',              icon: '📊', label: 'Payment Tracking',          group: 'Finance' },
+    { to: '/finance?tab=vendor-payouts',        icon: '🏦', label: 'Vendor Payouts',            group: 'Finance' },
+    { to: '/finance?tab=aging',                 icon: '⏳', label: 'AR Aging',                  group: 'Finance' },
+    { to: '/finance?tab=sales-tax',             icon: '🏛️', label: 'Sales Tax',                 group: 'Finance' },
+    { to: '/finance?tab=reconciliation',        icon: '🧮', label: 'Reconciliation',            group: 'Finance' },
     // Platform Admin tabs
     { to: '/platform-admin?tab=restaurants',    icon: '🏪', label: 'Restaurants',               group: 'Platform Admin' },
     { to: '/platform-admin?tab=users',          icon: '👥', label: 'Users & Roles',             group: 'Platform Admin' },
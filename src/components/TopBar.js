@@ -77,8 +77,10 @@ export default function TopBar({ onMenuClick }) {
             }
         }
         setShowDropdown(false);
-        // Navigate based on type if needed. For now, just navigate to Orders page.
-        if (notif.orderId) {
+        // Substitutions are answered on the dispatch page; the rest open the Orders page
+        if (notif.type === 'SUBSTITUTION_PROPOSED' || notif.type === 'SUBSTITUTION_RESPONDED') {
+            navigate(`/dispatch-requests/${notif.dispatchId || notif.orderId}`);
+        } else if (notif.orderId) {
             navigate(`/orders?orderId=${notif.orderId}&search=${notif.orderId.slice(-8).toUpperCase()}`);
         }
     };
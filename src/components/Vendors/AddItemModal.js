@@ -5,12 +5,13 @@ import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { toast } from 'react-toastify';
 import PricingIntelligencePanel from './PricingIntelligencePanel';
 import { matchCatalogItem } from '../../utils/catalogUtils';
+import { TAX_CATEGORIES, getItemTaxCategory } from '../../shared/taxEngine';
 
 const ITEM_CATEGORIES = ['Spices', 'Meat', 'Produce', 'Dairy', 'Seafood', 'Grains', 'Beverages', 'Packaging', 'Cleaning', 'Other'];
 const UNITS = ['kg', 'lb', 'g', 'oz', 'L', 'mL', 'unit', 'dozen', 'case', 'packet', 'bag', 'bundle', 'box'];
 
 export default function AddItemModal({ vendorId, isSuperAdmin, userId, displayName, onClose, onItemAdded, logAudit }) {
-    const [itemForm, setItemForm] = useState({ name: '', brand: '', category: '', unit: 'kg', packQuantity: 1, itemSize: '', price: '', sku: '', description: '', notes: '', taxable: false });
+    const [itemForm, setItemForm] = useState({ name: '', brand: '', category: '', unit: 'kg', packQuantity: 1, itemSize: '', price: '', sku: '', description: '', notes: '', taxable: false, taxCategory: 'zero_rated' });
     const [imageFile, setImageFile] = useState(null);
     const [proofFiles, setProofFiles] = useState([]);
     const [uploadingImage, setUploadingImage] = useState(false);
@@ -104,6 +105,7 @@ export default function AddItemModal({ vendorId, isSuperAdmin, userId, displayNa
                 description: itemForm.description.trim(),
                 notes: itemForm.notes.trim(),
                 taxable: !!itemForm.taxable,
+                taxCategory: getItemTaxCategory(itemForm),
                 createdAt: serverTimestamp(),
                 imageUrl: '',
                 ...(catalogMatch ? { catalogItemId: catalogMatch.catalogItemId } : {}),
@@ -292,13 +294,22 @@ export default function AddItemModal({ vendorId, isSuperAdmin, userId, displayNa
                         <label className="ui-label" style={{ margin: 0, cursor: 'pointer' }}>Taxable</label>
                         <div
                             className={`idp-toggle ${itemForm.taxable ? 'active' : ''}`}
-                            onClick={() => setItemForm(p => ({ ...p, taxable: !p.taxable }))}
+                            onClick={() => setItemForm(p => ({ ...p, taxable: !p.taxable, taxCategory: p.taxable ? 'zero_rated' : 'standard' }))}
                             role="switch"
                             style={{ width: 44, height: 24, borderRadius: 12, background: itemForm.taxable ? '#4dabf7' : 'rgba(255,255,255,0.1)', position: 'relative', cursor: 'pointer', transition: 'background 0.2s' }}
                         >
                             <div style={{ width: 20, height: 20, borderRadius: '50%', background: '#fff', position: 'absolute', top: 2, left: itemForm.taxable ? 22 : 2, transition: 'left 0.2s' }} />
                         </div>
-                        <span style={{ fontSize: 13, color: 'var(--muted)' }}>{itemForm.taxable ? 'This item is subject to tax' : 'Not taxable'}</span>
+                        <select
+                            className="ui-input"
+                            style={{ width: 'auto', padding: '4px 8px', fontSize: 13 }}
+                            value={itemForm.taxCategory}
+                            onChange={e => setItemForm(p => ({ ...p, taxCategory: e.target.value }))}
+                        >
+                            {TAX_CATEGORIES.filter(c => c.taxable === !!itemForm.taxable).map(c => (
+                                <option key={c.key} value={c.key}>{c.label} — {c.description}</option>
+                            ))}
+                        </select>
                     </div>
 
                     {!isSuperAdmin && (
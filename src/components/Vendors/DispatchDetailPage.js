@@ -3,13 +3,21 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { UserContext } from '../../contexts/UserContext';
 import { db, app } from '../../firebase';
 import { getFunctions, httpsCallable } from 'firebase/functions';
-import { doc, getDoc, getDocs, updateDoc, deleteDoc, serverTimestamp, collection, query, where, limit } from 'firebase/firestore';
+import { doc, getDoc, getDocs, updateDoc, serverTimestamp, collection, query, where, limit, arrayUnion } from 'firebase/firestore';
 import { toast } from 'react-toastify';
 import { logDispatchSent } from '../../utils/adminAuditLogger';
 import { ops } from '../../services/operationsLogger';
 import '../../components/Orders/OrdersPage.css';
-import { getTaxRate } from '../../constants/taxRates';
 import { authFetch } from '../../utils/authFetch';
+import { requestStatusTransition } from '../../services/statusTransitionService';
+import { toDispatchViewStatus, toOrderStatusForDispatchAction, canTransition } from '../../shared/statusMachine';
+import { DEFAULT_DELIVERY_DAYS, getItemDayQtys, getDispatchRouteDays, getDeliveredDays, getWeekdayCode, sumDayQtys } from '../../shared/deliverySchedules';
+import { subscribeToProofs } from '../../services/proofOfDeliveryService';
+import ProofOfDeliveryModal from './ProofOfDeliveryModal';
+import { respondToSubstitution } from '../../services/dispatchLifecycleService';
+import { canSubstitute, canRespondToSubstitution, getSubstitutableQty } from '../../shared/substitutions';
+import { getLineKey } from '../../shared/proofOfDelivery';
+import SubstitutionModal from './SubstitutionModal';
 
 
 const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
@@ -92,7 +100,7 @@ function WorkflowProgress({ currentStatus }) {
 export default function DispatchDetailPage() {
     const { dispatchId } = useParams();
     const navigate = useNavigate();
-    const { vendorId, isSuperAdmin, displayName } = useContext(UserContext);
+    const { vendorId, isSuperAdmin, displayName, role, restaurantId } = useContext(UserContext);
 
     const [dispatch, setDispatch] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -122,6 +130,14 @@ export default function DispatchDetailPage() {
     const [resolutionAction, setResolutionAction] = useState('');
     const [resolutionNotes, setResolutionNotes] = useState('');
 
+    // ── Proof of delivery ──
+    const [proofTarget, setProofTarget] = useState(null); // { routeDay } while the modal is open
+    const [proofs, setProofs] = useState({});
+
+    // ── Substitutions ──
+    const [substitutionTarget, setSubstitutionTarget] = useState(null); // { item, lineKey, routeDay, maxQty } while the modal is open
+    const [respondingTo, setRespondingTo] = useState('');
+
     const canManageOrders = !isSuperAdmin; // vendor admins manage their own orders
 
     useEffect(() => {
@@ -152,18 +168,10 @@ export default function DispatchDetailPage() {
                             return;
                         }
                         // Map marketplace order status to dispatch status
-                        let dispatchStatus = 'Sent';
                         const s = data.status || '';
-                        if (s === 'pending_confirmation') dispatchStatus = 'Sent';
-                        else if (s === 'pending_fulfillment') dispatchStatus = 'Confirmed';
-                        else if (s === 'pending_customer_approval') dispatchStatus = 'Pending Customer Approval';
-                        else if (s === 'delivery_in_route') dispatchStatus = 'Out for Delivery';
-                        else if (s === 'delivered_awaiting_confirmation' || s === 'fulfilled') dispatchStatus = 'Delivered';
-                        else if (s === 'cancelled_by_vendor' || s === 'rejected') dispatchStatus = 'Rejected';
-                        else if (s === 'cancelled_by_customer') dispatchStatus = 'Cancelled by Customer';
-                        else if (s === 'in_review') dispatchStatus = 'Vendor Reviewing';
-
-                        // Keep raw marketplace items (no Monday/Thursday conversion)
+                        const dispatchStatus = toDispatchViewStatus(s);
+
+                        // Keep raw marketplace items (no route-day conversion)
                         const rawItems = data.items || [];
                         const total = data.grandTotalAfterTax || data.total || 0;
 
@@ -171,10 +179,8 @@ export default function DispatchDetailPage() {
                         const dispatchItems = rawItems.map(item => ({
                             itemName: item.name || item.itemName || 'Unknown Item',
                             packLabel: item.unit || item.packSize || '—',
-                            mondayQty: item.qty || 0,
-                            thursdayQty: 0,
-                            confirmedMondayQty: item.qty || 0,
-                            confirmedThursdayQty: 0,
+                            dayQtys: { [DEFAULT_DELIVERY_DAYS[0]]: item.qty || 0 },
+                            confirmedDayQtys: { [DEFAULT_DELIVERY_DAYS[0]]: item.qty || 0 },
                         }));
 
                         const orderData = {
@@ -214,6 +220,7 @@ export default function DispatchDetailPage() {
                             issueStatus: data.issueStatus || '',
                             reviewWindowEndsAt: data.reviewWindowEndsAt || null,
                             taxIntegrityStatus: data.taxIntegrityStatus || '',
+                            substitutions: data.substitutions || [],
                         };
                         setDispatch(orderData);
                         // Initialize editable items from raw marketplace items
@@ -244,6 +251,11 @@ export default function DispatchDetailPage() {
         fetchDispatch();
     }, [dispatchId, isSuperAdmin, vendorId, navigate]);
 
+    useEffect(() => {
+        if (!dispatch?.id) return undefined;
+        return subscribeToProofs(dispatch.id, setProofs);
+    }, [dispatch?.id]);
+
     // Fetch restaurant contact info once dispatch.restaurantId is available
     useEffect(() => {
         if (!dispatch?.restaurantId) return;
@@ -278,35 +290,46 @@ export default function DispatchDetailPage() {
 
     // ── Action Handlers ─────────────────────────────────────────────────
 
-    const updateStatus = async (newStatus, extras = {}) => {
+    // Pull the server-written status, stamps and audit log back into view
+    const reloadStatusFields = async (collectionName) => {
+        const snap = await getDoc(doc(db, collectionName, dispatchId));
+        if (!snap.exists()) return;
+        const data = snap.data();
+        setDispatch(prev => ({
+            ...prev,
+            auditLog: data.auditLog || [],
+            timestamps: data.timestamps || {},
+            reviewWindowEndsAt: data.reviewWindowEndsAt || prev.reviewWindowEndsAt,
+        }));
+    };
+
+    const updateStatus = async (newStatus, extras = {}, reason = '') => {
         setSaving(true);
         try {
             const beforeStatus = dispatch.status;
 
             if (dispatch._source === 'marketplace') {
                 // Map dispatch status back to marketplace status
-                let marketplaceStatus = 'pending_confirmation';
-                if (newStatus === 'Confirmed') marketplaceStatus = 'pending_fulfillment';
-                else if (newStatus === 'Packed') marketplaceStatus = 'pending_fulfillment';
-                else if (newStatus === 'Out for Delivery') marketplaceStatus = 'delivery_in_route';
-                else if (newStatus === 'Delivered') marketplaceStatus = 'delivered_awaiting_confirmation';
-                else if (newStatus === 'Rejected') marketplaceStatus = 'cancelled_by_vendor';
-
-                const marketRef = doc(db, 'marketplaceOrders', dispatchId);
-                await updateDoc(marketRef, {
-                    status: marketplaceStatus,
-                    updatedAt: serverTimestamp(),
-                });
+                const marketplaceStatus = toOrderStatusForDispatchAction(newStatus);
+                if (!marketplaceStatus) throw new Error(`"${newStatus}" does not apply to marketplace orders`);
+
+                // Packed has no marketplace equivalent — the order stays pending_fulfillment
+                if (marketplaceStatus !== dispatch._marketplaceStatus) {
+                    await requestStatusTransition('order', dispatchId, marketplaceStatus, {
+                        reason,
+                        expectedStatus: dispatch._marketplaceStatus,
+                    });
+                    await reloadStatusFields('marketplaceOrders');
+                }
                 setDispatch(prev => ({ ...prev, status: newStatus, _marketplaceStatus: marketplaceStatus }));
             } else {
-                const docRef = doc(db, 'vendorDispatches', dispatchId);
-                const updates = {
-                    status: newStatus,
-                    updatedAt: serverTimestamp(),
-                    ...extras,
-                };
-                await updateDoc(docRef, updates);
-                setDispatch(prev => ({ ...prev, ...updates, status: newStatus }));
+                await requestStatusTransition('dispatch', dispatchId, newStatus, {
+                    fields: extras,
+                    reason,
+                    expectedStatus: beforeStatus,
+                });
+                setDispatch(prev => ({ ...prev, ...extras, status: newStatus }));
+                await reloadStatusFields('vendorDispatches');
             }
 
             // Audit logging
@@ -316,66 +339,60 @@ export default function DispatchDetailPage() {
             toast.success(`Status updated to ${newStatus}`);
         } catch (err) {
             console.error(`Error updating to ${newStatus}:`, err);
-            toast.error(`Failed to update status`);
+            toast.error(err.message || 'Failed to update status');
         } finally {
             setSaving(false);
         }
     };
 
     const handleConfirm = () => updateStatus('Confirmed', {
-        confirmedAt: serverTimestamp(),
         confirmationNotes: notes,
         estimatedDeliveryTime: estimatedDelivery || null,
     });
 
-    const handleMarkPacked = () => updateStatus('Packed', { packedAt: serverTimestamp() });
+    const handleMarkPacked = () => updateStatus('Packed');
 
-    const handleMarkOutForDelivery = () => updateStatus('Out for Delivery', { outForDeliveryAt: serverTimestamp() });
+    const handleMarkOutForDelivery = () => updateStatus('Out for Delivery');
 
     const handleMarkDelivered = async (day) => {
         setSaving(true);
         try {
             if (dispatch._source === 'marketplace') {
                 // For marketplace orders, just mark as delivered
-                const marketRef = doc(db, 'marketplaceOrders', dispatchId);
-                await updateDoc(marketRef, {
-                    status: 'delivered_awaiting_confirmation',
-                    deliveredAt: serverTimestamp(),
-                    updatedAt: serverTimestamp(),
+                await requestStatusTransition('order', dispatchId, 'delivered_awaiting_confirmation', {
+                    expectedStatus: dispatch._marketplaceStatus,
                 });
                 setDispatch(prev => ({ ...prev, status: 'Delivered', _marketplaceStatus: 'delivered_awaiting_confirmation' }));
+                await reloadStatusFields('marketplaceOrders');
                 toast.success('Delivery marked as done!');
             } else {
                 const docRef = doc(db, 'vendorDispatches', dispatchId);
-                const updates = { updatedAt: serverTimestamp() };
-                if (day === 'Monday') {
-                    updates.mondayDelivered = true;
-                    updates.mondayDeliveredAt = serverTimestamp();
-                } else {
-                    updates.thursdayDelivered = true;
-                    updates.thursdayDeliveredAt = serverTimestamp();
-                }
+                const updates = {
+                    deliveredDays: arrayUnion(day),
+                    [`dayDeliveredAt.${day}`]: serverTimestamp(),
+                    updatedAt: serverTimestamp(),
+                };
 
-                const newMonStatus = day === 'Monday' ? true : dispatch.mondayDelivered;
-                const newThuStatus = day === 'Thursday' ? true : dispatch.thursdayDelivered;
-                const hasMondayItems = (dispatch.items || []).some(i => i.mondayQty > 0);
-                const hasThursdayItems = (dispatch.items || []).some(i => i.thursdayQty > 0);
-                let allDelivered = true;
-                if (hasMondayItems && !newMonStatus) allDelivered = false;
-                if (hasThursdayItems && !newThuStatus) allDelivered = false;
-                if (allDelivered) {
-                    updates.status = 'Delivered';
-                    updates.deliveredAt = serverTimestamp();
-                }
+                const deliveredDays = [...getDeliveredDays(dispatch), day];
+                const allDelivered = getDispatchRouteDays(dispatch)
+                    .filter(d => (dispatch.items || []).some(i => getItemDayQtys(i)[d] > 0))
+                    .every(d => deliveredDays.includes(d));
 
                 await updateDoc(docRef, updates);
-                setDispatch(prev => ({ ...prev, ...updates, status: allDelivered ? 'Delivered' : prev.status }));
+                if (allDelivered) {
+                    await requestStatusTransition('dispatch', dispatchId, 'Delivered', {
+                        reason: `${day} delivery completed`,
+                        expectedStatus: dispatch.status,
+                    });
+                }
+                setDispatch(prev => ({ ...prev, deliveredDays, status: allDelivered ? 'Delivered' : prev.status }));
+                if (allDelivered) await reloadStatusFields('vendorDispatches');
                 ops.info('dispatch_delivery_marked', { dispatchId, day, allDelivered });
                 toast.success(`${day} delivery marked as done!`);
             }
         } catch (err) {
             console.error('Error marking delivered:', err);
-            toast.error('Failed to update status');
+            toast.error(err.message || 'Failed to update status');
         } finally {
             setSaving(false);
         }
@@ -386,17 +403,15 @@ export default function DispatchDetailPage() {
         await updateStatus('Rejected', {
             rejectionReason: rejectReason,
             confirmationNotes: notes,
-        });
+        }, rejectReason);
         setShowRejectModal(false);
     };
 
     const openPartialModal = () => {
         const itemsCopy = dispatch.items.map(i => ({
             ...i,
-            confirmedMondayQty: i.confirmedMondayQty !== undefined ? i.confirmedMondayQty : (i.mondayQty || 0),
-            confirmedThursdayQty: i.confirmedThursdayQty !== undefined ? i.confirmedThursdayQty : (i.thursdayQty || 0),
-            unavailableMondayQty: i.unavailableMondayQty || 0,
-            unavailableThursdayQty: i.unavailableThursdayQty || 0,
+            dayQtys: getItemDayQtys(i),
+            confirmedDayQtys: { ...getItemDayQtys(i), ...getItemDayQtys(i, 'confirmed') },
             status: i.status || 'available',
             note: i.note || '',
             substituteText: i.substituteText || '',
@@ -414,19 +429,18 @@ export default function DispatchDetailPage() {
             // Compute unavailable quantities
             const enrichedItems = partialItems.map(item => ({
                 ...item,
-                unavailableMondayQty: Math.max(0, (item.mondayQty || 0) - (item.confirmedMondayQty || 0)),
-                unavailableThursdayQty: Math.max(0, (item.thursdayQty || 0) - (item.confirmedThursdayQty || 0)),
+                unavailableDayQtys: Object.fromEntries(Object.entries(item.dayQtys).map(([day, qty]) => [day, Math.max(0, (qty || 0) - (item.confirmedDayQtys[day] || 0))])),
             }));
 
-            const docRef = doc(db, 'vendorDispatches', dispatchId);
-            await updateDoc(docRef, {
-                status: 'Partially Confirmed',
-                confirmedAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
-                partialReason: partialReason,
-                confirmationNotes: notes,
-                estimatedDeliveryTime: estimatedDelivery || null,
-                items: enrichedItems,
+            await requestStatusTransition('dispatch', dispatchId, 'Partially Confirmed', {
+                fields: {
+                    partialReason: partialReason,
+                    confirmationNotes: notes,
+                    estimatedDeliveryTime: estimatedDelivery || null,
+                    items: enrichedItems,
+                },
+                reason: partialReason,
+                expectedStatus: dispatch.status,
             });
             setDispatch(prev => ({
                 ...prev,
@@ -440,7 +454,7 @@ export default function DispatchDetailPage() {
             toast.success('Partially Confirmed Successfully');
         } catch (err) {
             console.error('Error partially confirming:', err);
-            toast.error('Failed to partially confirm');
+            toast.error(err.message || 'Failed to partially confirm');
         } finally {
             setSaving(false);
         }
@@ -482,8 +496,6 @@ export default function DispatchDetailPage() {
                     auditLogEntries.push({
                         action: `Item "${item.name}" ${actionName} from ${originalItem.qty} to ${item.qty}`,
                         reason: reason,
-                        timestamp: new Date().toISOString(),
-                        user: dispatch.vendorName || 'Vendor'
                     });
                 }
             }
@@ -517,9 +529,7 @@ export default function DispatchDetailPage() {
             const hasModifications = auditLogEntries.length > 0;
             const newStatus = hasModifications ? 'pending_customer_approval' : 'pending_fulfillment';
 
-            const orderRef = doc(db, 'marketplaceOrders', dispatchId);
             const updatePayload = {
-                status: newStatus,
                 pickupDate,
                 pickupTime,
                 items: editableItems,
@@ -529,12 +539,12 @@ export default function DispatchDetailPage() {
                 total: grandTotalAfterTax
             };
 
-            if (hasModifications) {
-                const updatedAuditLog = [...(dispatch.auditLog || []), ...auditLogEntries];
-                updatePayload.auditLog = updatedAuditLog;
-            }
-
-            await updateDoc(orderRef, updatePayload);
+            await requestStatusTransition('order', dispatchId, newStatus, {
+                fields: updatePayload,
+                notes: auditLogEntries,
+                expectedStatus: dispatch._marketplaceStatus,
+            });
+            await reloadStatusFields('marketplaceOrders');
             toast.success(hasModifications ? 'Changes submitted for customer approval!' : 'Order accepted with scheduled pickup!');
 
             // Send order confirmation email via Cloud Function
@@ -579,7 +589,7 @@ export default function DispatchDetailPage() {
             setShowAcceptForm(false);
         } catch (error) {
             console.error('Error accepting order:', error);
-            toast.error('Failed to accept order');
+            toast.error(error.message || 'Failed to accept order');
         } finally {
             setSaving(false);
         }
@@ -595,77 +605,153 @@ export default function DispatchDetailPage() {
 
         setSaving(true);
         try {
-            const orderRef = doc(db, 'marketplaceOrders', dispatchId);
-            const auditEntry = {
-                action: actionLabel,
+            await requestStatusTransition('order', dispatchId, 'cancelled_by_vendor', {
+                fields: { cancelReason: cancelReason.trim() },
+                notes: [{ action: actionLabel, reason: cancelReason.trim() }],
                 reason: cancelReason.trim(),
-                timestamp: new Date().toISOString(),
-                user: dispatch.vendorName || 'Vendor'
-            };
-            const updatedAuditLog = [...(dispatch.auditLog || []), auditEntry];
-
-            const updatePayload = {
-                status: 'cancelled_by_vendor',
-                auditLog: updatedAuditLog,
-                cancelledAt: serverTimestamp(),
-                cancelReason: cancelReason.trim()
-            };
-
-            await updateDoc(orderRef, updatePayload);
+                expectedStatus: dispatch._marketplaceStatus,
+            });
             toast.success('Order has been cancelled.');
-            setDispatch(prev => ({ ...prev, status: 'Rejected', _marketplaceStatus: 'cancelled_by_vendor', auditLog: updatedAuditLog }));
+            setDispatch(prev => ({ ...prev, status: 'Rejected', _marketplaceStatus: 'cancelled_by_vendor' }));
+            await reloadStatusFields('marketplaceOrders');
             setCancelModalAction(null);
             setCancelReason('');
         } catch (error) {
             console.error('Error cancelling order:', error);
-            toast.error('Failed to cancel order');
+            toast.error(error.message || 'Failed to cancel order');
         } finally {
             setSaving(false);
         }
     };
 
-    const handleMarketplaceMark = async (newMarketplaceStatus, newDisplayStatus, extras = {}) => {
+    const handleMarketplaceMark = async (newMarketplaceStatus) => {
         setSaving(true);
         try {
-            const orderRef = doc(db, 'marketplaceOrders', dispatchId);
-            const auditEntry = {
-                action: `Order status changed to ${newMarketplaceStatus.replace(/_/g, ' ')}`,
-                timestamp: new Date().toISOString(),
-                user: dispatch.vendorName || 'Vendor'
-            };
-            const updatedAuditLog = [...(dispatch.auditLog || []), auditEntry];
-
-            await updateDoc(orderRef, {
-                status: newMarketplaceStatus,
-                updatedAt: serverTimestamp(),
-                auditLog: updatedAuditLog,
-                ...extras,
+            await requestStatusTransition('order', dispatchId, newMarketplaceStatus, {
+                expectedStatus: dispatch._marketplaceStatus,
             });
 
+            const newDisplayStatus = toDispatchViewStatus(newMarketplaceStatus);
             setDispatch(prev => ({
                 ...prev,
                 status: newDisplayStatus,
                 _marketplaceStatus: newMarketplaceStatus,
-                auditLog: updatedAuditLog,
             }));
+            await reloadStatusFields('marketplaceOrders');
             toast.success(`Status updated to ${newDisplayStatus}`);
         } catch (err) {
             console.error(`Error updating to ${newMarketplaceStatus}:`, err);
-            toast.error('Failed to update status');
+            toast.error(err.message || 'Failed to update status');
         } finally {
             setSaving(false);
         }
     };
 
-    const handleMarketplaceInRoute = () => handleMarketplaceMark('delivery_in_route', 'Out for Delivery');
+    const handleMarketplaceInRoute = () => handleMarketplaceMark('delivery_in_route');
 
-    const handleMarketplaceDelivered = () => {
-        const now = new Date();
-        const reviewWindowEndsAt = new Date(now.getTime() + 48 * 60 * 60 * 1000).toISOString();
-        handleMarketplaceMark('delivered_awaiting_confirmation', 'Delivered', {
-            deliveredAt: serverTimestamp(),
-            reviewWindowEndsAt,
-        });
+    // Delivery is recorded through proof of delivery; the server stamps
+    // deliveredAt and opens the review window
+    const handleMarketplaceDelivered = () => setProofTarget({ routeDay: '' });
+
+    // A route day is delivered once every restaurant drop on it has a proof
+    const handleProofCaptured = async ({ remaining }) => {
+        if (dispatch._source === 'marketplace') {
+            setProofTarget(null);
+            const snap = await getDoc(doc(db, 'marketplaceOrders', dispatchId));
+            const data = snap.exists() ? snap.data() : {};
+            setDispatch(prev => ({
+                ...prev,
+                status: 'Delivered',
+                _marketplaceStatus: 'delivered_awaiting_confirmation',
+                _rawItems: data.items || prev._rawItems,
+                subtotalBeforeTax: data.subtotalBeforeTax ?? prev.subtotalBeforeTax,
+                totalTax: data.totalTax ?? prev.totalTax,
+                grandTotalAfterTax: data.grandTotalAfterTax ?? prev.grandTotalAfterTax,
+                total: data.total ?? prev.total,
+            }));
+            await reloadStatusFields('marketplaceOrders');
+            return;
+        }
+        if (remaining.length) return;
+        const day = proofTarget.routeDay;
+        setProofTarget(null);
+        await handleMarkDelivered(day);
+    };
+
+    // ── Substitutions ───────────────────────────────────────────────────
+    const substitutionSource = dispatch?._source === 'marketplace' ? 'marketplace' : 'dispatch';
+    // Marketplace lines live on `_rawItems`; dispatch lines on `items`
+    const substitutionRecord = substitutionSource === 'marketplace'
+        ? { items: dispatch?._rawItems || [], substitutions: dispatch?.substitutions, restaurantId: dispatch?.restaurantId }
+        : dispatch;
+
+    const openSubstitution = (item, index, routeDay = '') => {
+        const lineKey = getLineKey(item, index);
+        setSubstitutionTarget({ item, lineKey, routeDay, maxQty: getSubstitutableQty(substitutionRecord, lineKey, routeDay) });
+    };
+
+    // Accepting rewrites lines and totals, so re-read them along with the proposals
+    const reloadSubstitutions = async () => {
+        const collectionName = substitutionSource === 'marketplace' ? 'marketplaceOrders' : 'vendorDispatches';
+        const snap = await getDoc(doc(db, collectionName, dispatchId));
+        if (!snap.exists()) return;
+        const data = snap.data();
+        if (substitutionSource === 'marketplace') {
+            setDispatch(prev => ({
+                ...prev,
+                substitutions: data.substitutions || [],
+                _rawItems: data.items || prev._rawItems,
+                subtotalBeforeTax: data.subtotalBeforeTax ?? prev.subtotalBeforeTax,
+                totalTax: data.totalTax ?? prev.totalTax,
+                grandTotalAfterTax: data.grandTotalAfterTax ?? prev.grandTotalAfterTax,
+                total: data.total ?? prev.total,
+            }));
+            setEditableItems(JSON.parse(JSON.stringify(data.items || [])));
+            setResolutionItems(JSON.parse(JSON.stringify(data.items || [])));
+        } else {
+            setDispatch(prev => ({
+                ...prev,
+                substitutions: data.substitutions || [],
+                items: data.items || prev.items,
+                restaurantBillingTotal: data.restaurantBillingTotal ?? prev.restaurantBillingTotal,
+                vendorPayoutTotal: data.vendorPayoutTotal ?? prev.vendorPayoutTotal,
+                marketplaceCommissionTotal: data.marketplaceCommissionTotal ?? prev.marketplaceCommissionTotal,
+            }));
+        }
+    };
+
+    const handleSubstitutionProposed = async () => {
+        setSubstitutionTarget(null);
+        await reloadSubstitutions();
+    };
+
+    const handleRespondToSubstitution = async (substitution, decision) => {
+        let note = '';
+        if (decision === 'declined') {
+            note = window.prompt(`Decline ${substitution.substituteItemName} for ${substitution.originalItemName}? Reason (optional):`, '');
+            if (note === null) return;
+        } else if (!window.confirm(`Accept ${substitution.qty} × ${substitution.substituteItemName} in place of ${substitution.originalItemName}?`)) {
+            return;
+        }
+        setRespondingTo(substitution.id);
+        try {
+            const { correctionCount } = await respondToSubstitution(dispatch.id, substitution.id, decision, {
+                role,
+                restaurantId,
+                performedBy: displayName || 'admin',
+                note,
+                source: substitutionSource,
+            });
+            toast.success(decision === 'accepted'
+                ? `Substitution accepted${correctionCount ? ` — ${correctionCount} forecast correction${correctionCount === 1 ? '' : 's'} updated` : ''}`
+                : 'Substitution declined');
+            await reloadSubstitutions();
+        } catch (err) {
+            console.error('[Substitution] Respond error:', err);
+            toast.error(err.message || 'Failed to update substitution');
+        } finally {
+            setRespondingTo('');
+        }
     };
 
     const formatMarketplaceDate = (timestamp) => {
@@ -680,16 +766,30 @@ export default function DispatchDetailPage() {
 
     // ── Super Admin Handlers ────────────────────────────────────────────
 
-    const deleteOrder = async () => {
-        if (!window.confirm("Are you sure you want to delete this order? This action cannot be undone.")) return;
+    // Orders are never deleted from the client; an admin cancels them through the state machine
+    const adminCancelOrder = async () => {
+        const reason = window.prompt('Reason for cancelling this order:', '');
+        if (reason === null) return;
+        if (!reason.trim()) {
+            toast.warn('Please provide a reason for cancellation.');
+            return;
+        }
+        setSaving(true);
         try {
-            const orderRef = doc(db, 'marketplaceOrders', dispatchId);
-            await deleteDoc(orderRef);
-            toast.success("Order deleted successfully");
-            navigate('/dispatch-requests');
+            await requestStatusTransition('order', dispatchId, 'cancelled', {
+                fields: { cancelReason: reason.trim() },
+                notes: [{ action: 'Order cancelled by admin', reason: reason.trim() }],
+                reason: reason.trim(),
+                expectedStatus: dispatch._marketplaceStatus,
+            });
+            toast.success('Order has been cancelled.');
+            setDispatch(prev => ({ ...prev, status: toDispatchViewStatus('cancelled'), _marketplaceStatus: 'cancelled', cancellationReason: reason.trim() }));
+            await reloadStatusFields('marketplaceOrders');
         } catch (error) {
-            console.error("Error deleting order:", error);
-            toast.error("Failed to delete order");
+            console.error('Error cancelling order:', error);
+            toast.error(error.message || 'Failed to cancel order');
+        } finally {
+            setSaving(false);
         }
     };
 
@@ -708,7 +808,6 @@ export default function DispatchDetailPage() {
         if (!resolutionAction) { toast.warn('Please select a resolution action.'); return; }
         setSaving(true);
         try {
-            const orderRef = doc(db, 'marketplaceOrders', dispatchId);
             const taxRate = dispatch.taxRate || 0;
 
             let subtotalBeforeTax = 0;
@@ -730,8 +829,6 @@ export default function DispatchDetailPage() {
                     itemAuditEntries.push({
                         action: `Item "${item.name}" qty adjusted from ${orig.qty} to ${item.qty}`,
                         reason: resolutionNotes || 'Admin resolution',
-                        timestamp: new Date().toISOString(),
-                        user: displayName || 'SuperAdmin'
                     });
                 }
             });
@@ -739,71 +836,28 @@ export default function DispatchDetailPage() {
             const resolutionEntry = {
                 action: `Issue resolved — ${resolutionAction.replace(/_/g, ' ')}`,
                 reason: resolutionNotes || 'Resolved by admin',
-                timestamp: new Date().toISOString(),
-                user: displayName || 'SuperAdmin'
             };
 
-            const updatedAuditLog = [...(dispatch.auditLog || []), ...itemAuditEntries, resolutionEntry];
-
-            await updateDoc(orderRef, {
-                status: 'fulfilled',
-                issueStatus: 'resolved',
-                resolutionAction: {
-                    type: resolutionAction,
-                    details: resolutionNotes,
-                    resolvedBy: displayName || 'SuperAdmin',
-                    resolvedAt: serverTimestamp()
+            // resolvedBy / resolvedAt are stamped by the server
+            await requestStatusTransition('order', dispatchId, 'fulfilled', {
+                fields: {
+                    issueStatus: 'resolved',
+                    resolutionAction: {
+                        type: resolutionAction,
+                        details: resolutionNotes,
+                    },
+                    items: resolutionItems,
+                    subtotalBeforeTax,
+                    totalTax,
+                    grandTotalAfterTax,
+                    total: grandTotalAfterTax,
                 },
-                resolvedAt: serverTimestamp(),
-                items: resolutionItems,
-                subtotalBeforeTax,
-                totalTax,
-                grandTotalAfterTax,
-                total: grandTotalAfterTax,
-                auditLog: updatedAuditLog
+                notes: [...itemAuditEntries, resolutionEntry],
+                expectedStatus: dispatch._marketplaceStatus,
             });
 
             toast.success('Issue resolved. Order finalized.');
 
-            // Sync invoices
-            try {
-                const vendorSnap = await getDoc(doc(db, 'vendors', dispatch.vendorId || ''));
-                const vData = vendorSnap.exists() ? vendorSnap.data() : {};
-                const invoiceTaxRate = getTaxRate(vData.country || 'Canada', vData.province);
-                const vendorCommissionPercent = Number(vData.commissionPercent ?? 10);
-
-                let invSubtotal = 0, invTotalTax = 0;
-                const invoiceItems = resolutionItems.map(item => {
-                    const price = Number(item.vendorPrice ?? item.price ?? 0);
-                    const qty = item.qty || 1;
-                    const lineTotal = round2(price * qty);
-                    const isTaxable = !!item.taxable;
-                    const lineTax = isTaxable ? round2(lineTotal * (invoiceTaxRate / 100)) : 0;
-                    invSubtotal += lineTotal;
-                    invTotalTax += lineTax;
-                    return { itemId: item.itemId, itemName: item.name || 'Unknown Item', unit: item.unit || 'unit', qty, price, vendorPrice: price, lineTotal, lineTotalVendor: lineTotal, isTaxable, lineTax };
-                });
-                invSubtotal = round2(invSubtotal);
-                invTotalTax = round2(invTotalTax);
-                const invGrandTotal = round2(invSubtotal + invTotalTax);
-
-                const restInvRef = doc(db, 'restaurantInvoices', dispatchId);
-                const restInvSnap = await getDoc(restInvRef);
-                if (restInvSnap.exists()) {
-                    await updateDoc(restInvRef, { items: invoiceItems, subtotal: invSubtotal, totalTax: invTotalTax, grandTotal: invGrandTotal, updatedAt: serverTimestamp(), adminNotes: 'Updated after issue resolution' });
-                }
-
-                const vendorInvRef = doc(db, 'vendorInvoices', dispatchId);
-                const vendorInvSnap = await getDoc(vendorInvRef);
-                if (vendorInvSnap.exists()) {
-                    const commissionAmount = round2(invSubtotal * (vendorCommissionPercent / 100));
-                    const netVendorPayable = round2(invSubtotal - commissionAmount);
-                    await updateDoc(vendorInvRef, { items: invoiceItems, subtotalVendorAmount: invSubtotal, grossVendorAmount: invSubtotal, totalTaxAmount: invTotalTax, totalVendorAmount: invGrandTotal, commissionAmount, netVendorPayable, updatedAt: serverTimestamp(), adminNotes: 'Updated after issue resolution' });
-                }
-            } catch (invoiceErr) {
-                console.error('Failed to sync invoices after resolution:', invoiceErr);
-            }
-
             setDispatch(prev => ({
                 ...prev,
                 status: 'Delivered',
@@ -813,13 +867,13 @@ export default function DispatchDetailPage() {
                 _rawItems: resolutionItems,
                 subtotalBeforeTax, totalTax, grandTotalAfterTax,
                 total: grandTotalAfterTax,
-                auditLog: updatedAuditLog
             }));
+            await reloadStatusFields('marketplaceOrders');
             setResolutionAction('');
             setResolutionNotes('');
         } catch (error) {
             console.error('Error resolving issue:', error);
-            toast.error('Failed to resolve issue');
+            toast.error(error.message || 'Failed to resolve issue');
         } finally {
             setSaving(false);
         }
@@ -836,19 +890,38 @@ export default function DispatchDetailPage() {
     const canOutForDelivery = status === 'Packed';
     const canDeliver = status === 'Out for Delivery' || status === 'Confirmed' || status === 'Partially Confirmed' || status === 'Packed';
 
-    const hasMondayItems = (dispatch.items || []).some(i => i.mondayQty > 0);
-    const hasThursdayItems = (dispatch.items || []).some(i => i.thursdayQty > 0);
-    const isMondayDelivered = dispatch.mondayDelivered || (status === 'Delivered');
-    const isThursdayDelivered = dispatch.thursdayDelivered || (status === 'Delivered');
-    const canActionMonDeliver = canDeliver && hasMondayItems && !isMondayDelivered;
-    const canActionThuDeliver = canDeliver && hasThursdayItems && !isThursdayDelivered;
+    const routeDays = getDispatchRouteDays(dispatch);
+    const deliveredDays = getDeliveredDays(dispatch);
+    const hasItemsFor = (day) => (dispatch.items || []).some(i => getItemDayQtys(i)[day] > 0);
+    const isDayDelivered = (day) => deliveredDays.includes(day) || status === 'Delivered';
+    const canActionDeliver = (day) => canDeliver && hasItemsFor(day) && !isDayDelivered(day);
+    const canProposeSubstitute = !isSuperAdmin && canSubstitute(substitutionSource, substitutionSource === 'marketplace' ? dispatch._marketplaceStatus : status);
+    const canRespondToSubstitute = canSubstitute(substitutionSource, substitutionSource === 'marketplace' ? dispatch._marketplaceStatus : status)
+        && (dispatch.substitutions || []).some(sub => canRespondToSubstitution({ role, restaurantId }, substitutionSource, substitutionRecord, sub));
+
+    const substituteButton = (item, index, routeDay = '') => {
+        const open = getSubstitutableQty(substitutionRecord, getLineKey(item, index), routeDay);
+        return (
+            <button className="ui-btn ghost small" onClick={() => openSubstitution(item, index, routeDay)} disabled={!open}
+                title={open ? 'Propose a substitute from your catalog' : 'Already covered by proposals'} style={{ color: '#a78bfa', borderColor: 'rgba(167,139,250,0.4)' }}>
+                🔄 Substitute
+            </button>
+        );
+    };
+
+    // Substitute lines and substituted quantities, under the item name
+    const substitutionLabel = (item, substitutedQty) => (
+        <>
+            {item.substitutionFor && <div style={{ fontSize: 11, color: '#a78bfa' }}>🔄 Substitute for {item.substitutionFor.itemName}</div>}
+            {substitutedQty > 0 && <div style={{ fontSize: 11, color: '#a78bfa' }}>{substitutedQty} substituted</div>}
+        </>
+    );
 
     // ── Render Item Table ───────────────────────────────────────────────
-    const renderTable = (isMonday) => {
+    const renderTable = (day) => {
         const items = dispatch.items || [];
-        const hasItemsForDay = items.some(i => isMonday ? i.mondayQty > 0 : i.thursdayQty > 0);
-        if (!hasItemsForDay) {
-            return <div style={{ color: '#64748b', fontSize: 14, padding: '16px 0' }}>No items requested for {isMonday ? 'Monday' : 'Thursday'}</div>;
+        if (!hasItemsFor(day)) {
+            return <div style={{ color: '#64748b', fontSize: 14, padding: '16px 0' }}>No items requested for {day}</div>;
         }
 
         const showPartialCols = status === 'Partially Confirmed';
@@ -864,17 +937,21 @@ export default function DispatchDetailPage() {
                         {showPartialCols && <th style={{ color: '#94a3b8', padding: '12px 16px', textAlign: 'right' }}>Unavail.</th>}
                         {showPartialCols && <th style={{ color: '#94a3b8', padding: '12px 16px', textAlign: 'left' }}>Substitute</th>}
                         {showPartialCols && <th style={{ color: '#94a3b8', padding: '12px 16px', textAlign: 'left' }}>Note</th>}
+                        {canProposeSubstitute && <th style={{ padding: '12px 16px' }} />}
                     </tr>
                 </thead>
                 <tbody>
-                    {items.filter(i => isMonday ? (i.mondayQty > 0 || i.confirmedMondayQty !== undefined) : (i.thursdayQty > 0 || i.confirmedThursdayQty !== undefined)).map((item, idx) => {
-                        const requested = isMonday ? item.mondayQty : item.thursdayQty;
-                        const confirmed = isMonday ? item.confirmedMondayQty : item.confirmedThursdayQty;
-                        const unavailable = isMonday ? item.unavailableMondayQty : item.unavailableThursdayQty;
+                    {items.map((item, index) => ({ item, index })).filter(({ item: i }) => getItemDayQtys(i)[day] > 0 || getItemDayQtys(i, 'confirmed')[day] !== undefined).map(({ item, index }, idx) => {
+                        const requested = getItemDayQtys(item)[day];
+                        const confirmed = getItemDayQtys(item, 'confirmed')[day];
+                        const unavailable = getItemDayQtys(item, 'unavailable')[day];
 
                         return (
                             <tr key={idx} style={{ borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
-                                <td style={{ padding: '12px 16px', fontWeight: 500 }}>{item.itemName}</td>
+                                <td style={{ padding: '12px 16px', fontWeight: 500 }}>
+                                    {item.itemName}
+                                    {substitutionLabel(item, item.substitutedDayQtys?.[day])}
+                                </td>
                                 <td style={{ padding: '12px 16px', color: '#94a3b8', fontSize: 13 }}>{item.packLabel}</td>
                                 <td style={{ padding: '12px 16px', textAlign: 'right', fontWeight: 600 }}>{requested || 0}</td>
                                 {showPartialCols && (
@@ -895,6 +972,11 @@ export default function DispatchDetailPage() {
                                 {showPartialCols && (
                                     <td style={{ padding: '12px 16px', color: '#94a3b8', fontSize: 13, fontStyle: 'italic' }}>{item.note || item.vendorReason || '—'}</td>
                                 )}
+                                {canProposeSubstitute && (
+                                    <td style={{ padding: '12px 16px', textAlign: 'right' }}>
+                                        {!item.substitutionFor && requested > 0 && substituteButton(item, index, day)}
+                                    </td>
+                                )}
                             </tr>
                         );
                     })}
@@ -903,6 +985,80 @@ export default function DispatchDetailPage() {
         );
     };
 
+    // ── Substitutions Panel ─────────────────────────────────────────────
+    const SUBSTITUTION_STATUS_STYLE = {
+        proposed: { color: '#f59e0b', label: 'Awaiting approval' },
+        accepted: { color: '#10b981', label: 'Accepted' },
+        declined: { color: '#f43f5e', label: 'Declined' },
+    };
+
+    const renderSubstitutions = () => {
+        const substitutions = dispatch.substitutions || [];
+        if (!substitutions.length) return null;
+        return (
+            <div style={{ marginTop: 32, padding: 20, background: 'rgba(167,139,250,0.05)', border: '1px solid rgba(167,139,250,0.2)', borderRadius: 12 }}>
+                <h3 style={{ fontSize: 16, fontWeight: 600, margin: '0 0 12px 0', color: '#a78bfa' }}>🔄 Substitutions</h3>
+                <table className="ui-table" style={{ width: '100%' }}>
+                    <thead>
+                        <tr style={{ background: 'rgba(0,0,0,0.3)' }}>
+                            {substitutionSource === 'dispatch' && <th style={{ color: '#94a3b8', padding: '10px 12px', textAlign: 'left' }}>Day</th>}
+                            <th style={{ color: '#94a3b8', padding: '10px 12px', textAlign: 'left' }}>Ordered</th>
+                            <th style={{ color: '#94a3b8', padding: '10px 12px', textAlign: 'left' }}>Substitute</th>
+                            <th style={{ color: '#94a3b8', padding: '10px 12px', textAlign: 'right' }}>Qty</th>
+                            <th style={{ color: '#94a3b8', padding: '10px 12px', textAlign: 'right' }}>Price</th>
+                            <th style={{ color: '#94a3b8', padding: '10px 12px', textAlign: 'left' }}>Status</th>
+                            {canRespondToSubstitute && <th style={{ padding: '10px 12px' }} />}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {substitutions.map((sub, idx) => {
+                            const subStyle = SUBSTITUTION_STATUS_STYLE[sub.status] || { color: '#94a3b8', label: sub.status || 'Registered' };
+                            const priceChange = sub.originalPrice > 0 && sub.substitutePrice !== sub.originalPrice
+                                ? ` (was ${formatMarketplaceCurrency(sub.originalPrice)})` : '';
+                            return (
+                                <tr key={sub.id || idx} style={{ borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
+                                    {substitutionSource === 'dispatch' && <td style={{ padding: '10px 12px', fontSize: 13 }}>{sub.routeDay || '—'}</td>}
+                                    <td style={{ padding: '10px 12px', fontSize: 13 }}>
+                                        {sub.originalItemName}
+                                        {sub.originalPackLabel && <span style={{ color: '#64748b' }}> · {sub.originalPackLabel}</span>}
+                                    </td>
+                                    <td style={{ padding: '10px 12px', fontSize: 13 }}>
+                                        <div style={{ fontWeight: 500 }}>{sub.substituteItemName}{sub.substitutePackSize && <span style={{ color: '#64748b', fontWeight: 400 }}> · {sub.substitutePackSize}</span>}</div>
+                                        {sub.note && <div style={{ fontSize: 12, color: '#94a3b8', fontStyle: 'italic' }}>{sub.note}</div>}
+                                    </td>
+                                    <td style={{ padding: '10px 12px', textAlign: 'right', fontWeight: 600 }}>{sub.qty ?? sub.substituteQty ?? '—'}</td>
+                                    <td style={{ padding: '10px 12px', textAlign: 'right', fontSize: 13 }}>
+                                        {sub.substitutePrice != null ? formatMarketplaceCurrency(sub.substitutePrice) : '—'}
+                                        {priceChange && <div style={{ fontSize: 11, color: '#64748b' }}>{priceChange}</div>}
+                                    </td>
+                                    <td style={{ padding: '10px 12px', fontSize: 12 }}>
+                                        <span style={{ color: subStyle.color, fontWeight: 600 }}>{subStyle.label}</span>
+                                        <div style={{ color: '#64748b', fontSize: 11 }}>
+                                            {sub.respondedBy ? `by ${sub.respondedBy}` : `from ${sub.registeredBy || 'vendor'}`}
+                                        </div>
+                                        {sub.responseNote && <div style={{ color: '#94a3b8', fontSize: 11, fontStyle: 'italic' }}>{sub.responseNote}</div>}
+                                    </td>
+                                    {canRespondToSubstitute && (
+                                        <td style={{ padding: '10px 12px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                                            {sub.status === 'proposed' && canRespondToSubstitution({ role, restaurantId }, substitutionSource, substitutionRecord, sub) && (<>
+                                                <button className="ui-btn primary small" onClick={() => handleRespondToSubstitution(sub, 'accepted')} disabled={!!respondingTo} style={{ marginRight: 6 }}>
+                                                    {respondingTo === sub.id ? 'Saving...' : 'Accept'}
+                                                </button>
+                                                <button className="ui-btn ghost small" onClick={() => handleRespondToSubstitution(sub, 'declined')} disabled={!!respondingTo} style={{ color: '#f43f5e' }}>
+                                                    Decline
+                                                </button>
+                                            </>)}
+                                        </td>
+                                    )}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        );
+    };
+
     // ── Marketplace Order Render ──────────────────────────────────────────
     const renderMarketplaceOrder = () => {
         const mStatus = dispatch._marketplaceStatus || '';
@@ -1004,6 +1160,10 @@ export default function DispatchDetailPage() {
                                                     {item.brand && `${item.brand} • `}{item.packSize || item.unit}
                                                     {item.taxable && <span style={{ marginLeft: 6, fontSize: '10px', fontWeight: 700, color: '#10b981', background: 'rgba(16,185,129,0.12)', padding: '1px 5px', borderRadius: 4, verticalAlign: 'middle' }}>TAX</span>}
                                                 </div>
+                                                {substitutionLabel(originalItem, originalItem.substitutedQty)}
+                                                {canProposeSubstitute && !originalItem.substitutionFor && originalItem.qty > 0 && (
+                                                    <div style={{ marginTop: 6 }}>{substituteButton(originalItem, idx)}</div>
+                                                )}
                                             </div>
                                         </td>
                                         <td>{formatMarketplaceCurrency(item.price)}</td>
@@ -1277,9 +1437,9 @@ export default function DispatchDetailPage() {
                     </div>
                 </div>
                 <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
-                    {dispatch._source === 'marketplace' && isSuperAdmin && (
-                        <button onClick={deleteOrder} style={{ background: 'transparent', border: '1px solid rgba(239, 68, 68, 0.5)', color: '#ef4444', padding: '6px 14px', borderRadius: 6, cursor: 'pointer', fontSize: 13, fontWeight: 600 }}>
-                            🗑 Delete Order
+                    {dispatch._source === 'marketplace' && isSuperAdmin && canTransition('order', dispatch._marketplaceStatus, 'cancelled') && (
+                        <button onClick={adminCancelOrder} disabled={saving} style={{ background: 'transparent', border: '1px solid rgba(239, 68, 68, 0.5)', color: '#ef4444', padding: '6px 14px', borderRadius: 6, cursor: 'pointer', fontSize: 13, fontWeight: 600 }}>
+                            🚫 Cancel Order
                         </button>
                     )}
                     <div style={{ background: st.bg, color: st.color, padding: '8px 16px', borderRadius: 8, fontSize: 13, fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.5px', display: 'flex', alignItems: 'center', gap: 6 }}>
@@ -1339,16 +1499,15 @@ export default function DispatchDetailPage() {
 
             {/* Route Breakdowns */}
             <div style={{ background: 'rgba(255,255,255,0.02)', border: '1px solid rgba(255,255,255,0.06)', borderRadius: 12, padding: 24, marginBottom: 32 }}>
-                <h3 style={{ fontSize: 16, fontWeight: 600, marginBottom: 16, color: '#e2e8f0', display: 'flex', alignItems: 'center', gap: 8 }}>
-                    Monday Route Breakdown
-                    {isMondayDelivered && <span style={{ fontSize: 11, background: 'rgba(16, 185, 129, 0.15)', color: '#10b981', padding: '2px 8px', borderRadius: 12, textTransform: 'uppercase' }}>✓ Delivered</span>}
-                </h3>
-                {renderTable(true)}
-                <h3 style={{ fontSize: 16, fontWeight: 600, marginBottom: 16, color: '#e2e8f0', marginTop: 16, display: 'flex', alignItems: 'center', gap: 8 }}>
-                    Thursday Route Breakdown
-                    {isThursdayDelivered && <span style={{ fontSize: 11, background: 'rgba(16, 185, 129, 0.15)', color: '#10b981', padding: '2px 8px', borderRadius: 12, textTransform: 'uppercase' }}>✓ Delivered</span>}
-                </h3>
-                {renderTable(false)}
+                {routeDays.map((day, i) => (
+                    <React.Fragment key={day}>
+                        <h3 style={{ fontSize: 16, fontWeight: 600, marginBottom: 16, color: '#e2e8f0', marginTop: i > 0 ? 16 : 0, display: 'flex', alignItems: 'center', gap: 8 }}>
+                            {day} Route Breakdown
+                            {isDayDelivered(day) && <span style={{ fontSize: 11, background: 'rgba(16, 185, 129, 0.15)', color: '#10b981', padding: '2px 8px', borderRadius: 12, textTransform: 'uppercase' }}>✓ Delivered</span>}
+                        </h3>
+                        {renderTable(day)}
+                    </React.Fragment>
+                ))}
             </div>
 
             {/* Notes + Estimated Delivery */}
@@ -1359,7 +1518,7 @@ export default function DispatchDetailPage() {
                 </div>
                 <div>
                     <label style={{ display: 'block', marginBottom: 8, color: '#94a3b8', fontSize: 14, fontWeight: 500 }}>Estimated Delivery Time</label>
-                    <input className="ui-input" disabled={!canActionConfirm} value={estimatedDelivery} onChange={(e) => setEstimatedDelivery(e.target.value)} style={{ width: '100%', background: 'rgba(0,0,0,0.3)', color: '#fff', border: '1px solid var(--border)', padding: 12, borderRadius: 8 }} placeholder="e.g. Monday 6:00 AM, Thursday 7:00 AM" />
+                    <input className="ui-input" disabled={!canActionConfirm} value={estimatedDelivery} onChange={(e) => setEstimatedDelivery(e.target.value)} style={{ width: '100%', background: 'rgba(0,0,0,0.3)', color: '#fff', border: '1px solid var(--border)', padding: 12, borderRadius: 8 }} placeholder={`e.g. ${routeDays.map((day, i) => `${day} ${6 + i}:00 AM`).join(', ')}`} />
                 </div>
             </div>
 
@@ -1372,8 +1531,9 @@ export default function DispatchDetailPage() {
                 </>)}
                 {canPack && <button className="ui-btn primary" onClick={handleMarkPacked} disabled={saving} style={{ background: '#6366f1', color: '#fff', border: 'none' }}>{saving ? 'Saving...' : '📦 Mark Packed'}</button>}
                 {canOutForDelivery && <button className="ui-btn primary" onClick={handleMarkOutForDelivery} disabled={saving} style={{ background: '#0ea5e9', color: '#fff', border: 'none' }}>{saving ? 'Saving...' : '🚚 Out for Delivery'}</button>}
-                {canActionMonDeliver && <button className="ui-btn primary" onClick={() => handleMarkDelivered('Monday')} disabled={saving} style={{ background: '#3b82f6', color: '#fff', border: 'none' }}>{saving ? 'Saving...' : '✓ Monday Delivered'}</button>}
-                {canActionThuDeliver && <button className="ui-btn primary" onClick={() => handleMarkDelivered('Thursday')} disabled={saving} style={{ background: '#3b82f6', color: '#fff', border: 'none' }}>{saving ? 'Saving...' : '✓ Thursday Delivered'}</button>}
+                {routeDays.filter(canActionDeliver).map(day => (
+                    <button key={day} className="ui-btn primary" onClick={() => setProofTarget({ routeDay: day })} disabled={saving} style={{ background: '#3b82f6', color: '#fff', border: 'none' }}>{saving ? 'Saving...' : `✍️ ${day} Proof of Delivery`}</button>
+                ))}
             </div>
 
             {/* Dispatch Reject Modal */}
@@ -1400,11 +1560,11 @@ export default function DispatchDetailPage() {
                         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 24 }}>
                             <div>
                                 <label style={{ display: 'block', marginBottom: 8, color: '#e2e8f0', fontSize: 14, fontWeight: 500 }}>Overall Reason <span style={{ color: '#f43f5e' }}>*</span></label>
-                                <input className="ui-input" value={partialReason} onChange={(e) => setPartialReason(e.target.value)} style={{ width: '100%', padding: '10px 12px', borderRadius: 8, background: 'rgba(0,0,0,0.3)', color: '#fff', border: '1px solid var(--border)' }} placeholder="e.g. Tomato shortage, reducing Monday qty..." />
+                                <input className="ui-input" value={partialReason} onChange={(e) => setPartialReason(e.target.value)} style={{ width: '100%', padding: '10px 12px', borderRadius: 8, background: 'rgba(0,0,0,0.3)', color: '#fff', border: '1px solid var(--border)' }} placeholder={`e.g. Tomato shortage, reducing ${routeDays[0]} qty...`} />
                             </div>
                             <div>
                                 <label style={{ display: 'block', marginBottom: 8, color: '#e2e8f0', fontSize: 14, fontWeight: 500 }}>Estimated Delivery</label>
-                                <input className="ui-input" value={estimatedDelivery} onChange={(e) => setEstimatedDelivery(e.target.value)} style={{ width: '100%', padding: '10px 12px', borderRadius: 8, background: 'rgba(0,0,0,0.3)', color: '#fff', border: '1px solid var(--border)' }} placeholder="e.g. Monday 6:00 AM" />
+                                <input className="ui-input" value={estimatedDelivery} onChange={(e) => setEstimatedDelivery(e.target.value)} style={{ width: '100%', padding: '10px 12px', borderRadius: 8, background: 'rgba(0,0,0,0.3)', color: '#fff', border: '1px solid var(--border)' }} placeholder={`e.g. ${routeDays[0]} 6:00 AM`} />
                             </div>
                         </div>
                         <div style={{ overflowX: 'auto', marginBottom: 24 }}>
@@ -1412,8 +1572,7 @@ export default function DispatchDetailPage() {
                                 <thead><tr>
                                     <th style={{ textAlign: 'left', color: '#94a3b8', fontSize: 12 }}>Item</th>
                                     <th style={{ textAlign: 'center', color: '#94a3b8', fontSize: 12 }}>Available</th>
-                                    <th style={{ textAlign: 'center', color: '#94a3b8', fontSize: 12 }}>Mon Qty</th>
-                                    <th style={{ textAlign: 'center', color: '#94a3b8', fontSize: 12 }}>Thu Qty</th>
+                                    {routeDays.map(day => <th key={day} style={{ textAlign: 'center', color: '#94a3b8', fontSize: 12 }}>{getWeekdayCode(day)} Qty</th>)}
                                     <th style={{ textAlign: 'left', color: '#94a3b8', fontSize: 12 }}>Substitute</th>
                                     <th style={{ textAlign: 'left', color: '#94a3b8', fontSize: 12 }}>Reason / Note</th>
                                 </tr></thead>
@@ -1422,10 +1581,11 @@ export default function DispatchDetailPage() {
                                         <tr key={idx} style={{ borderBottom: '1px solid rgba(255,255,255,0.06)' }}>
                                             <td style={{ fontWeight: 500, padding: '10px 12px' }}><div>{item.itemName}</div><div style={{ fontSize: 11, color: '#94a3b8' }}>{item.packLabel}</div></td>
                                             <td style={{ textAlign: 'center', padding: '10px 8px' }}>
-                                                <input type="checkbox" checked={item.status !== 'unavailable'} onChange={(e) => { const copy = [...partialItems]; copy[idx].status = e.target.checked ? 'available' : 'unavailable'; if (!e.target.checked) { copy[idx].confirmedMondayQty = 0; copy[idx].confirmedThursdayQty = 0; } else { copy[idx].confirmedMondayQty = item.mondayQty || 0; copy[idx].confirmedThursdayQty = item.thursdayQty || 0; } setPartialItems(copy); }} style={{ transform: 'scale(1.2)', cursor: 'pointer' }} />
+                                                <input type="checkbox" checked={item.status !== 'unavailable'} onChange={(e) => { const copy = [...partialItems]; copy[idx].status = e.target.checked ? 'available' : 'unavailable'; copy[idx].confirmedDayQtys = Object.fromEntries(Object.entries(item.dayQtys).map(([day, qty]) => [day, e.target.checked ? (qty || 0) : 0])); setPartialItems(copy); }} style={{ transform: 'scale(1.2)', cursor: 'pointer' }} />
                                             </td>
-                                            <td style={{ textAlign: 'center', padding: '10px 8px' }}><div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 4 }}><span style={{ fontSize: 11, color: '#94a3b8' }}>{item.mondayQty || 0}→</span><input type="number" className="ui-input" style={{ width: 56, padding: 6, textAlign: 'center', background: 'rgba(0,0,0,0.5)' }} min="0" max={item.mondayQty || 0} value={item.confirmedMondayQty} disabled={item.status === 'unavailable'} onChange={(e) => { const copy = [...partialItems]; copy[idx].confirmedMondayQty = parseInt(e.target.value) || 0; setPartialItems(copy); }} /></div></td>
-                                            <td style={{ textAlign: 'center', padding: '10px 8px' }}><div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 4 }}><span style={{ fontSize: 11, color: '#94a3b8' }}>{item.thursdayQty || 0}→</span><input type="number" className="ui-input" style={{ width: 56, padding: 6, textAlign: 'center', background: 'rgba(0,0,0,0.5)' }} min="0" max={item.thursdayQty || 0} value={item.confirmedThursdayQty} disabled={item.status === 'unavailable'} onChange={(e) => { const copy = [...partialItems]; copy[idx].confirmedThursdayQty = parseInt(e.target.value) || 0; setPartialItems(copy); }} /></div></td>
+                                            {routeDays.map(day => (
+                                                <td key={day} style={{ textAlign: 'center', padding: '10px 8px' }}><div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 4 }}><span style={{ fontSize: 11, color: '#94a3b8' }}>{item.dayQtys[day] || 0}→</span><input type="number" className="ui-input" style={{ width: 56, padding: 6, textAlign: 'center', background: 'rgba(0,0,0,0.5)' }} min="0" max={item.dayQtys[day] || 0} value={item.confirmedDayQtys[day] || 0} disabled={item.status === 'unavailable' || !item.dayQtys[day]} onChange={(e) => { const copy = [...partialItems]; copy[idx].confirmedDayQtys = { ...item.confirmedDayQtys, [day]: parseInt(e.target.value) || 0 }; setPartialItems(copy); }} /></div></td>
+                                            ))}
                                             <td style={{ padding: '10px 8px' }}><input className="ui-input" style={{ width: '100%', padding: '6px 8px', background: 'rgba(0,0,0,0.5)', fontSize: 12 }} placeholder="e.g. Roma tomatoes instead..." value={item.substituteText || ''} onChange={(e) => { const copy = [...partialItems]; copy[idx].substituteText = e.target.value; setPartialItems(copy); }} /></td>
                                             <td style={{ padding: '10px 8px' }}><input className="ui-input" style={{ width: '100%', padding: '6px 8px', background: 'rgba(0,0,0,0.5)', fontSize: 12 }} placeholder="Reason..." value={item.vendorReason || item.note || ''} onChange={(e) => { const copy = [...partialItems]; copy[idx].vendorReason = e.target.value; copy[idx].note = e.target.value; setPartialItems(copy); }} /></td>
                                         </tr>
@@ -1434,8 +1594,8 @@ export default function DispatchDetailPage() {
                             </table>
                         </div>
                         {partialItems.length > 0 && (() => {
-                            const totalReq = partialItems.reduce((s, i) => s + (i.mondayQty || 0) + (i.thursdayQty || 0), 0);
-                            const totalConf = partialItems.reduce((s, i) => s + (i.confirmedMondayQty || 0) + (i.confirmedThursdayQty || 0), 0);
+                            const totalReq = partialItems.reduce((s, i) => s + sumDayQtys(i.dayQtys), 0);
+                            const totalConf = partialItems.reduce((s, i) => s + sumDayQtys(i.confirmedDayQtys), 0);
                             const totalUnavail = totalReq - totalConf;
                             const withSubs = partialItems.filter(i => i.substituteText?.trim()).length;
                             return (
@@ -1456,6 +1616,27 @@ export default function DispatchDetailPage() {
             )}
             </>
             )}
+
+            {renderSubstitutions()}
+
+            {substitutionTarget && (
+                <SubstitutionModal
+                    dispatch={dispatch}
+                    line={substitutionTarget}
+                    onProposed={handleSubstitutionProposed}
+                    onClose={() => setSubstitutionTarget(null)}
+                />
+            )}
+
+            {proofTarget && (
+                <ProofOfDeliveryModal
+                    dispatch={dispatch}
+                    routeDay={proofTarget.routeDay}
+                    proofs={proofs}
+                    onCaptured={handleProofCaptured}
+                    onClose={() => setProofTarget(null)}
+                />
+            )}
         </div>
     );
 }
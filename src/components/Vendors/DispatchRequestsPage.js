@@ -1,11 +1,13 @@
 import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { UserContext } from '../../contexts/UserContext';
 import { db } from '../../firebase';
-import { collection, query, where, onSnapshot, doc, updateDoc, orderBy, serverTimestamp } from 'firebase/firestore';
+import { collection, query, where, onSnapshot, orderBy } from 'firebase/firestore';
 import { toast } from 'react-toastify';
 import { useNavigate } from 'react-router-dom';
 import StatusChip from '../ui/StatusChip';
 import GuidanceText, { pendingDuration } from '../ui/GuidanceText';
+import { requestStatusTransition } from '../../services/statusTransitionService';
+import { toDispatchViewStatus, toOrderStatusForDispatchAction } from '../../shared/statusMachine';
 
 export default function DispatchRequestsPage() {
     const { vendorId, isSuperAdmin } = useContext(UserContext);
@@ -83,16 +85,8 @@ export default function DispatchRequestsPage() {
                 const data = d.data();
                 const createdAt = data.createdAt?.toDate ? data.createdAt.toDate().getTime() : new Date(data.createdAt || 0).getTime();
                 // Map marketplace order status to dispatch-style status
-                let dispatchStatus = 'Sent';
                 const s = data.status || '';
-                if (s === 'pending_confirmation') dispatchStatus = 'Sent';
-                else if (s === 'pending_fulfillment') dispatchStatus = 'Confirmed';
-                else if (s === 'pending_customer_approval') dispatchStatus = 'Pending Customer Approval';
-                else if (s === 'delivery_in_route') dispatchStatus = 'Out for Delivery';
-                else if (s === 'delivered_awaiting_confirmation' || s === 'fulfilled') dispatchStatus = 'Delivered';
-                else if (s === 'cancelled_by_vendor' || s === 'rejected') dispatchStatus = 'Rejected';
-                else if (s === 'cancelled_by_customer') dispatchStatus = 'Cancelled by Customer';
-                else if (s === 'in_review') dispatchStatus = 'Vendor Reviewing';
+                const dispatchStatus = toDispatchViewStatus(s);
 
                 return {
                     id: d.id,
@@ -168,21 +162,27 @@ export default function DispatchRequestsPage() {
 
     const pendingDispatches = dispatches.filter(d => d.status === 'Sent' || d.status === 'Vendor Reviewing');
 
+    // Marketplace rows move the underlying marketplaceOrders doc
+    const transitionRow = (dispatch, dispatchStatus) => (
+        dispatch._source === 'marketplace'
+            ? requestStatusTransition('order', dispatch.id, toOrderStatusForDispatchAction(dispatchStatus), {
+                expectedStatus: dispatch._marketplaceStatus,
+            })
+            : requestStatusTransition('dispatch', dispatch.id, dispatchStatus, {
+                expectedStatus: dispatch.status,
+            })
+    );
+
     // ── Inline Quick Actions ─────────────────────────────────────────
     const handleQuickConfirm = async (dispatch, e) => {
         e.stopPropagation();
         setSavingIds(prev => new Set([...prev, dispatch.id]));
         try {
-            const docRef = doc(db, 'vendorDispatches', dispatch.id);
-            await updateDoc(docRef, {
-                status: 'Confirmed',
-                confirmedAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
-            });
+            await transitionRow(dispatch, 'Confirmed');
             toast.success(`Order ${dispatch.dispatchId || dispatch.id.slice(-6)} confirmed`);
         } catch (err) {
             console.error('Quick confirm error:', err);
-            toast.error('Failed to confirm');
+            toast.error(err.message || 'Failed to confirm');
         } finally {
             setSavingIds(prev => { const n = new Set(prev); n.delete(dispatch.id); return n; });
         }
@@ -192,16 +192,11 @@ export default function DispatchRequestsPage() {
         e.stopPropagation();
         setSavingIds(prev => new Set([...prev, dispatch.id]));
         try {
-            const docRef = doc(db, 'vendorDispatches', dispatch.id);
-            await updateDoc(docRef, {
-                status: 'Rejected',
-                rejectedAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
-            });
+            await transitionRow(dispatch, 'Rejected');
             toast.info(`Order ${dispatch.dispatchId || dispatch.id.slice(-6)} rejected`);
         } catch (err) {
             console.error('Quick reject error:', err);
-            toast.error('Failed to reject');
+            toast.error(err.message || 'Failed to reject');
         } finally {
             setSavingIds(prev => { const n = new Set(prev); n.delete(dispatch.id); return n; });
         }
@@ -215,11 +210,7 @@ export default function DispatchRequestsPage() {
         let ok = 0, fail = 0;
         for (const d of pendingDispatches) {
             try {
-                await updateDoc(doc(db, 'vendorDispatches', d.id), {
-                    status: 'Confirmed',
-                    confirmedAt: serverTimestamp(),
-                    updatedAt: serverTimestamp(),
-                });
+                await transitionRow(d, 'Confirmed');
                 ok++;
             } catch { fail++; }
         }
@@ -234,11 +225,7 @@ export default function DispatchRequestsPage() {
         let ok = 0, fail = 0;
         for (const d of pendingDispatches) {
             try {
-                await updateDoc(doc(db, 'vendorDispatches', d.id), {
-                    status: 'Rejected',
-                    rejectedAt: serverTimestamp(),
-                    updatedAt: serverTimestamp(),
-                });
+                await transitionRow(d, 'Rejected');
                 ok++;
             } catch { fail++; }
         }
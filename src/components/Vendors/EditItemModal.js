@@ -9,6 +9,7 @@ import PricingIntelligencePanel from './PricingIntelligencePanel';
 import CompetitivenessScorePanel from './CompetitivenessScorePanel';
 import { matchCatalogItem } from '../../utils/catalogUtils';
 import { validateCatalogItem } from '../../services/validationService';
+import { TAX_CATEGORIES, getItemTaxCategory } from '../../shared/taxEngine';
 
 const ITEM_CATEGORIES = ['Spices', 'Meat', 'Produce', 'Dairy', 'Seafood', 'Grains', 'Beverages', 'Packaging', 'Cleaning', 'Other'];
 const UNITS = ['kg', 'lb', 'g', 'oz', 'L', 'mL', 'unit', 'dozen', 'case', 'packet', 'bag', 'bundle', 'box'];
@@ -28,6 +29,7 @@ export default function EditItemModal({ item, vendorId, vendorName, onClose, onI
         description: item.description || '',
         notes: item.notes || '',
         taxable: !!item.taxable,
+        taxCategory: getItemTaxCategory(item),
     });
 
     // New Actions
@@ -91,7 +93,8 @@ export default function EditItemModal({ item, vendorId, vendorName, onClose, onI
             form.sku.trim() !== (item.sku || '') ||
             form.description.trim() !== (item.description || '') ||
             form.notes.trim() !== (item.notes || '') ||
-            form.taxable !== !!item.taxable
+            form.taxable !== !!item.taxable ||
+            form.taxCategory !== getItemTaxCategory(item)
         );
     };
 
@@ -151,6 +154,7 @@ export default function EditItemModal({ item, vendorId, vendorName, onClose, onI
                 description: form.description.trim(),
                 notes: form.notes.trim(),
                 taxable: !!form.taxable,
+                taxCategory: getItemTaxCategory(form),
             };
 
             const originalData = {
@@ -166,6 +170,7 @@ export default function EditItemModal({ item, vendorId, vendorName, onClose, onI
                 description: item.description || '',
                 notes:       item.notes || '',
                 taxable:     !!item.taxable,
+                taxCategory: getItemTaxCategory(item),
             };
 
             if (isSuperAdmin) {
@@ -337,13 +342,22 @@ export default function EditItemModal({ item, vendorId, vendorName, onClose, onI
                                     <label className="ui-label" style={{ margin: 0, cursor: 'pointer' }}>Taxable</label>
                                     <div
                                         className={`idp-toggle ${form.taxable ? 'active' : ''}`}
-                                        onClick={() => handleChange('taxable', !form.taxable)}
+                                        onClick={() => setForm(prev => ({ ...prev, taxable: !prev.taxable, taxCategory: prev.taxable ? 'zero_rated' : 'standard' }))}
                                         role="switch"
                                         aria-checked={!!form.taxable}
                                     >
                                         <div className="idp-toggle__knob" />
                                     </div>
-                                    <span style={{ fontSize: 12, color: 'var(--muted)' }}>{form.taxable ? 'This item is subject to tax' : 'Not taxable'}</span>
+                                    <select
+                                        className="ui-input"
+                                        style={{ width: 'auto', padding: '4px 8px', fontSize: 13 }}
+                                        value={form.taxCategory}
+                                        onChange={e => setForm(p => ({ ...p, taxCategory: e.target.value }))}
+                                    >
+                                        {TAX_CATEGORIES.filter(c => c.taxable === !!form.taxable).map(c => (
+                                            <option key={c.key} value={c.key}>{c.label} — {c.description}</option>
+                                        ))}
+                                    </select>
                                 </div>
 
                                 {!isSuperAdmin && (
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { UserContext } from '../../contexts/UserContext';
 import { db, storage } from '../../firebase';
@@ -7,6 +7,10 @@ import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { toast } from 'react-toastify';
 import { generateInvoicePDF } from '../../utils/generateInvoicePDF';
 import { authFetch } from '../../utils/authFetch';
+import { subscribeToInvoiceAdjustments } from '../../services/financialEngine';
+import { summarizeInvoiceBalance } from '../../shared/invoiceAdjustments';
+import { formatTaxLineLabel, getTaxCategoryLabel } from '../../shared/taxEngine';
+import InvoiceAdjustmentsPanel from '../Admin/InvoiceAdjustmentsPanel';
 
 export default function InvoiceDetailPage() {
     const { invoiceId } = useParams();
@@ -18,6 +22,7 @@ export default function InvoiceDetailPage() {
     const [processing, setProcessing] = useState(false);
     const [generatingPdf, setGeneratingPdf] = useState(false);
     const [pdfUrl, setPdfUrl] = useState(null); // Storage download URL
+    const [adjustments, setAdjustments] = useState([]);
 
     useEffect(() => {
         const fetchInvoice = async () => {
@@ -65,6 +70,16 @@ export default function InvoiceDetailPage() {
         fetchInvoice();
     }, [invoiceId, isSuperAdmin, vendorId, navigate]);
 
+    // Credit/debit notes — the payout comes from this chain, never from edits to the invoice
+    // (subscribed once the invoice has passed the access check above)
+    const invoiceLoaded = !!invoice;
+    useEffect(() => {
+        if (!invoiceLoaded) return;
+        return subscribeToInvoiceAdjustments({ vendorInvoiceId: invoiceId }, setAdjustments);
+    }, [invoiceId, invoiceLoaded]);
+
+    const balance = useMemo(() => summarizeInvoiceBalance(invoice, adjustments, 'vendor'), [invoice, adjustments]);
+
     const handleMarkPaid = async () => {
         if (!isSuperAdmin) return;
         if (!window.confirm('Mark this invoice as PAID? This action is permanent.')) return;
@@ -218,7 +233,12 @@ export default function InvoiceDetailPage() {
                     >
                         {generatingPdf ? '⏳ Generating...' : pdfUrl ? '🔄 Regenerate PDF' : '📄 Generate PDF'}
                     </button>
-                    {isSuperAdmin && isPending && (
+                    {isPending && invoice.payoutBatchId && (
+                        <span className="badge blue" style={{ alignSelf: 'center' }} title="Paid together with its payout batch (Finance → Vendor Payouts)">
+                            In payout batch {invoice.payoutBatchReference}
+                        </span>
+                    )}
+                    {isSuperAdmin && isPending && !invoice.payoutBatchId && (
                         <button
                             className="ui-btn primary"
                             onClick={handleMarkPaid}
@@ -254,8 +274,10 @@ export default function InvoiceDetailPage() {
                                         <td>{item.qty}</td>
                                         <td style={{ textAlign: 'right', fontSize: 12, color: 'var(--muted)' }}>
                                             {item.isTaxable ? (
-                                                <span style={{ color: '#f59e0b' }}>${Number(item.lineTax || 0).toFixed(2)}</span>
-                                            ) : '—'}
+                                                <span style={{ color: '#f59e0b' }} title={(item.taxes || []).map(t => `${formatTaxLineLabel(t)}: $${Number(t.amount).toFixed(2)}`).join('\n') || undefined}>
+                                                    ${Number(item.lineTax || 0).toFixed(2)}
+                                                </span>
+                                            ) : (item.taxCategory ? getTaxCategoryLabel(item.taxCategory) : '—')}
                                         </td>
                                         <td style={{ textAlign: 'right', color: 'var(--muted)' }}>
                                             ${Number(item.vendorPrice || 0).toFixed(2)}
@@ -299,16 +321,43 @@ export default function InvoiceDetailPage() {
 
                     {isSuperAdmin && (
                         <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
-                            <span style={{ color: 'var(--muted)' }}>Commission ({invoice.commissionPercent || 10}%)</span>
+                            <span style={{ color: 'var(--muted)' }}>Commission ({invoice.commissionPercent ?? 10}%)</span>
                             {/* commissionAmount = platform fee deducted from gross */}
                             <span style={{ fontWeight: 600, color: '#f43f5e' }}>- ${Number(invoice.commissionAmount || 0).toFixed(2)}</span>
                         </div>
                     )}
 
-                    {(invoice.totalTaxAmount > 0) && (
+                    {isSuperAdmin && invoice.commissionPricing?.rules?.some(r => r.ruleId) && (
+                        <div style={{ fontSize: 12, color: 'var(--muted)', marginBottom: 8 }}>
+                            {/* the commission rule versions that priced this invoice — frozen at generation */}
+                            Priced by {invoice.commissionPricing.rules.map(r => (r.ruleId
+                                ? `${r.ruleName} v${r.version} (${r.percent}%${r.tierMinMonthlyGmv ? ` tier from $${r.tierMinMonthlyGmv}/mo` : ''})`
+                                : `vendor rate (${r.percent}%)`)).join(', ')}
+                        </div>
+                    )}
+
+                    {(invoice.totalTaxAmount > 0) && (invoice.taxLines?.length ? invoice.taxLines : [{ label: 'Tax Amount', amount: invoice.totalTaxAmount }]).map(t => (
+                        <div key={`${t.code}-${t.rate}`} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+                            {/* one row per tax component (GST/HST/PST/QST) on invoices from the tax engine */}
+                            <span style={{ color: 'var(--muted)' }}>{t.code ? formatTaxLineLabel(t) : t.label}</span>
+                            <span style={{ fontWeight: 600, color: '#f59e0b' }}>+ ${Number(t.amount || 0).toFixed(2)}</span>
+                        </div>
+                    ))}
+                    {invoice.totalTaxAmount > 0 && invoice.taxJurisdiction?.region && (
+                        <div style={{ fontSize: 12, color: 'var(--muted)', marginBottom: 8 }}>Taxed for {invoice.taxJurisdiction.name} ({invoice.taxJurisdiction.region})</div>
+                    )}
+
+                    {balance.creditTotal !== 0 && (
+                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
+                            <span style={{ color: 'var(--muted)' }}>Credit Notes</span>
+                            <span style={{ fontWeight: 600, color: '#f43f5e' }}>- ${Math.abs(balance.creditTotal).toFixed(2)}</span>
+                        </div>
+                    )}
+
+                    {balance.debitTotal !== 0 && (
                         <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 8 }}>
-                            <span style={{ color: 'var(--muted)' }}>Tax Amount</span>
-                            <span style={{ fontWeight: 600, color: '#f59e0b' }}>+ ${Number(invoice.totalTaxAmount || 0).toFixed(2)}</span>
+                            <span style={{ color: 'var(--muted)' }}>Debit Notes</span>
+                            <span style={{ fontWeight: 600, color: '#f59e0b' }}>+ ${balance.debitTotal.toFixed(2)}</span>
                         </div>
                     )}
 
@@ -316,11 +365,9 @@ export default function InvoiceDetailPage() {
 
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                         <span style={{ fontSize: 16, fontWeight: 600, color: 'var(--muted)' }}>Net Payout</span>
-                        {/* netVendorPayable = grossVendorAmount - commissionAmount (correct value = 215.98) */}
+                        {/* netVendorPayable (gross − commission) plus the payout change of every applied note */}
                         <span style={{ fontSize: 24, fontWeight: 700, color: '#4ade80' }}>
-                            ${Number(invoice.netVendorPayable ||
-                                ((invoice.grossVendorAmount || invoice.subtotalVendorAmount || 0) - (invoice.commissionAmount || 0))
-                            ).toFixed(2)}
+                            ${balance.netPayout.toFixed(2)}
                         </span>
                     </div>
 
@@ -337,6 +384,13 @@ export default function InvoiceDetailPage() {
                 </div>
             </div>
 
+            <InvoiceAdjustmentsPanel
+                invoice={invoice}
+                side="vendor"
+                adjustments={adjustments}
+                canAdjust={isSuperAdmin}
+                actorName={displayName}
+            />
         </div>
     );
 }
@@ -8,6 +8,7 @@ import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { UserContext } from '../../contexts/UserContext';
 import { toast } from 'react-toastify';
 import { getTaxRate } from '../../constants/taxRates';
+import { TAX_CATEGORIES, getItemTaxCategory, getTaxCategoryLabel } from '../../shared/taxEngine';
 import { formatItemSize } from './VendorDetailPage';
 import ConfirmDialog from '../ConfirmDialog';
 import PricingIntelligencePanel from './PricingIntelligencePanel';
@@ -181,7 +182,8 @@ export default function ItemDetailPage() {
             String(editForm.vendorPrice || '') !== String(item.vendorPrice ?? item.price ?? '') ||
             (editForm.sku || '').trim() !== (item.sku || '').trim() ||
             (editForm.notes || '').trim() !== (item.notes || '').trim() ||
-            !!editForm.taxable !== !!item.taxable
+            !!editForm.taxable !== !!item.taxable ||
+            getItemTaxCategory(editForm) !== getItemTaxCategory(item)
         );
     };
 
@@ -204,6 +206,7 @@ export default function ItemDetailPage() {
                 sku:         (editForm.sku || editForm.vendorSKU || '').trim(),
                 notes:       editForm.notes?.trim() || '',
                 taxable:     !!editForm.taxable,
+                taxCategory: getItemTaxCategory(editForm),
             };
             const originalData = {
                 itemName:    item.itemName || item.name || '',
@@ -216,6 +219,7 @@ export default function ItemDetailPage() {
                 sku:         item.sku || item.vendorSKU || '',
                 notes:       item.notes || '',
                 taxable:     !!item.taxable,
+                taxCategory: getItemTaxCategory(item),
             };
             const itemRef = doc(db, `vendors/${vendorId}/items`, itemId);
 
@@ -736,7 +740,7 @@ export default function ItemDetailPage() {
                                 </>
                             )}
                             {canEdit && (
-                                <button className="ui-btn primary small" onClick={() => { setEditForm({ ...item }); setEditing(true); }}>
+                                <button className="ui-btn primary small" onClick={() => { setEditForm({ ...item, taxCategory: getItemTaxCategory(item) }); setEditing(true); }}>
                                     ✏️ Edit
                                 </button>
                             )}
@@ -928,13 +932,22 @@ export default function ItemDetailPage() {
                                         <label className="ui-label" style={{ margin: 0, cursor: 'pointer' }}>Taxable</label>
                                         <div
                                             className={`idp-toggle ${editForm.taxable ? 'active' : ''}`}
-                                            onClick={() => setEditForm(prev => ({ ...prev, taxable: !prev.taxable }))}
+                                            onClick={() => setEditForm(prev => ({ ...prev, taxable: !prev.taxable, taxCategory: prev.taxable ? 'zero_rated' : 'standard' }))}
                                             role="switch"
                                             aria-checked={!!editForm.taxable}
                                         >
                                             <div className="idp-toggle__knob" />
                                         </div>
-                                        <span style={{ fontSize: 12, color: 'var(--muted)' }}>{editForm.taxable ? 'This item is subject to tax' : 'Not taxable'}</span>
+                                        <select
+                                            className="ui-input"
+                                            style={{ width: 'auto', padding: '4px 8px', fontSize: 13 }}
+                                            value={editForm.taxCategory}
+                                            onChange={e => setEditForm(prev => ({ ...prev, taxCategory: e.target.value }))}
+                                        >
+                                            {TAX_CATEGORIES.filter(c => c.taxable === !!editForm.taxable).map(c => (
+                                                <option key={c.key} value={c.key}>{c.label} — {c.description}</option>
+                                            ))}
+                                        </select>
                                     </div>
                                     {editForm.taxable && (() => {
                                         const rate = vendor ? getTaxRate(vendor.country || 'Canada', vendor.province) : 0;
@@ -1016,7 +1029,7 @@ export default function ItemDetailPage() {
                                 </div>
                                 <div className="idp-field">
                                     <div className="idp-field__label">Taxable</div>
-                                    <div className="idp-field__value" style={{ color: item.taxable ? '#4ade80' : 'var(--muted)' }}>{item.taxable ? '✅ Yes' : 'No'}</div>
+                                    <div className="idp-field__value" style={{ color: item.taxable ? '#4ade80' : 'var(--muted)' }}>{item.taxable ? '✅ ' : ''}{getTaxCategoryLabel(getItemTaxCategory(item))}</div>
                                 </div>
                                 {item.taxable && vendor && (() => {
                                     const rate = getTaxRate(vendor.country || 'Canada', vendor.province);
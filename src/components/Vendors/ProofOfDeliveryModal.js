@@ -0,0 +1,296 @@
+/**
+ * ProofOfDeliveryModal.js
+ *
+ * Proof-of-delivery step for one restaurant drop (src/shared/proofOfDelivery.js):
+ * received and damaged quantities per line, temperatures for cold-chain
+ * lines, the receiver's name and signature, and photos. Short or damaged
+ * lines open issues automatically. Opened from the dispatch detail page in
+ * place of marking a day (or a marketplace order) delivered.
+ */
+import React, { useState, useContext, useRef, useMemo, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { UserContext } from '../../contexts/UserContext';
+import { captureProofOfDelivery } from '../../services/proofOfDeliveryService';
+import {
+    getProofId,
+    getColdChainLimit,
+    getDispatchDrops,
+    getDispatchDropLines,
+    getOrderLines,
+    summarizeProofLines,
+    validateProof,
+} from '../../shared/proofOfDelivery';
+
+const fieldStyle = { padding: '6px 8px', borderRadius: 7, background: 'rgba(0,0,0,0.35)', border: '1px solid rgba(255,255,255,0.1)', color: '#f8fafc', fontSize: 13, outline: 'none' };
+const labelStyle = { fontSize: 11, color: '#94a3b8', marginBottom: 4, fontWeight: 600, textTransform: 'uppercase' };
+
+function SignaturePad({ padRef, onChange }) {
+    const drawing = useRef(false);
+
+    const point = (e) => {
+        const rect = padRef.current.getBoundingClientRect();
+        return {
+            x: ((e.clientX - rect.left) / rect.width) * padRef.current.width,
+            y: ((e.clientY - rect.top) / rect.height) * padRef.current.height,
+        };
+    };
+
+    const start = (e) => {
+        const ctx = padRef.current.getContext('2d');
+        const { x, y } = point(e);
+        ctx.lineWidth = 2.5;
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = '#0f172a';
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        drawing.current = true;
+        padRef.current.setPointerCapture?.(e.pointerId);
+    };
+
+    const move = (e) => {
+        if (!drawing.current) return;
+        const ctx = padRef.current.getContext('2d');
+        const { x, y } = point(e);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        onChange(true);
+    };
+
+    const end = () => { drawing.current = false; };
+
+    const clear = () => {
+        padRef.current.getContext('2d').clearRect(0, 0, padRef.current.width, padRef.current.height);
+        onChange(false);
+    };
+
+    return (
+        <div>
+            <canvas ref={padRef} width={520} height={150}
+                onPointerDown={start} onPointerMove={move} onPointerUp={end} onPointerLeave={end}
+                style={{ width: '100%', height: 150, background: '#f8fafc', borderRadius: 8, touchAction: 'none', cursor: 'crosshair', display: 'block' }} />
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 4 }}>
+                <span style={{ fontSize: 11, color: '#64748b' }}>Receiver signs above</span>
+                <button type="button" className="ui-btn ghost small" onClick={clear}>Clear</button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.dispatch — dispatch page record (`vendorDispatches` doc or marketplace order view)
+ * @param {string} [props.routeDay] — dispatch route day
+ * @param {Object<string, Object>} props.proofs — proofs already recorded, by proof id
+ * @param {(result: Object) => void} props.onCaptured — after each drop is recorded
+ * @param {Function} props.onClose
+ */
+export default function ProofOfDeliveryModal({ dispatch, routeDay = '', proofs = {}, onCaptured, onClose }) {
+    const { displayName } = useContext(UserContext);
+    const source = dispatch._source === 'marketplace' ? 'marketplace' : 'dispatch';
+    const drops = useMemo(() => (source === 'dispatch'
+        ? getDispatchDrops(dispatch, routeDay)
+        : [{ restaurantId: dispatch.restaurantId || '', restaurantName: dispatch.restaurantName || '' }]), [dispatch, routeDay, source]);
+    const proofIdFor = (drop) => getProofId(dispatch.id, source === 'dispatch' ? routeDay : '', drop.restaurantId);
+
+    const [dropIndex, setDropIndex] = useState(() => Math.max(0, drops.findIndex(d => !proofs[proofIdFor(d)])));
+    const drop = drops[dropIndex] || drops[0];
+
+    const buildLines = (d) => (source === 'dispatch'
+        ? getDispatchDropLines(dispatch, routeDay, d.restaurantId)
+        : getOrderLines({ items: dispatch._rawItems }))
+        .map(line => ({ ...line, receivedQty: line.dispatchedQty, damagedQty: 0, temperatureC: '', note: '' }));
+
+    const [lines, setLines] = useState(() => buildLines(drop));
+    const [receiverName, setReceiverName] = useState('');
+    const [signed, setSigned] = useState(false);
+    const [photos, setPhotos] = useState([]);
+    const [notes, setNotes] = useState('');
+    const [saving, setSaving] = useState(false);
+    const padRef = useRef(null);
+
+    // A new drop starts a fresh form
+    useEffect(() => {
+        setLines(buildLines(drop));
+        setReceiverName('');
+        setPhotos([]);
+        setNotes('');
+        if (padRef.current) padRef.current.getContext('2d').clearRect(0, 0, padRef.current.width, padRef.current.height);
+        setSigned(false);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [dropIndex]);
+
+    const summary = summarizeProofLines(lines);
+    const captured = proofs[proofIdFor(drop)];
+
+    const updateLine = (index, field, value) => {
+        setLines(prev => prev.map((l, i) => (i === index ? { ...l, [field]: value } : l)));
+    };
+
+    const handleSubmit = async () => {
+        const errors = validateProof({ receiverName, hasSignature: signed, lines });
+        if (errors.length) { toast.warn(errors[0]); return; }
+        setSaving(true);
+        try {
+            const result = await captureProofOfDelivery({
+                source,
+                record: dispatch,
+                routeDay,
+                drop,
+                lines,
+                receiverName,
+                signatureDataUrl: padRef.current.toDataURL('image/png'),
+                photos,
+                notes,
+            }, { displayName });
+            toast.success(result.issueIds.length
+                ? `Proof of delivery saved — ${result.issueIds.length} issue${result.issueIds.length === 1 ? '' : 's'} opened`
+                : 'Proof of delivery saved');
+            // `proofs` may not have caught up with this drop yet
+            const remaining = drops.filter((d, i) => i !== dropIndex && !proofs[proofIdFor(d)]);
+            onCaptured({ ...result, drop, remaining });
+            if (remaining.length) setDropIndex(drops.indexOf(remaining[0]));
+        } catch (err) {
+            console.error('[ProofOfDelivery] Capture error:', err);
+            toast.error(err.message || 'Failed to save proof of delivery');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 2000, padding: 24 }} onClick={onClose}>
+            <div onClick={e => e.stopPropagation()} style={{ width: '100%', maxWidth: 980, maxHeight: '90vh', display: 'flex', flexDirection: 'column', background: '#0f172a', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 14, overflow: 'hidden', color: '#f8fafc' }}>
+                <div style={{ padding: '14px 22px', borderBottom: '1px solid rgba(255,255,255,0.07)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700 }}>
+                        ✍️ Proof of Delivery — {dispatch.vendorName || dispatch.vendorId}{routeDay ? ` · ${routeDay}` : ''}
+                    </h3>
+                    <button onClick={onClose} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: 22, cursor: 'pointer', lineHeight: 1 }}>×</button>
+                </div>
+
+                <div style={{ padding: '16px 22px', overflowY: 'auto' }}>
+                    {/* Drops */}
+                    {drops.length > 1 && (
+                        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 16 }}>
+                            {drops.map((d, i) => {
+                                const done = !!proofs[proofIdFor(d)];
+                                return (
+                                    <button key={d.restaurantId || i} type="button" className={`ui-btn ${i === dropIndex ? 'primary' : 'ghost'} small`} onClick={() => setDropIndex(i)}>
+                                        {done ? '✓ ' : ''}{d.restaurantName}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    )}
+                    <div style={{ fontSize: 14, fontWeight: 600, marginBottom: 12 }}>
+                        {drop.restaurantName}
+                        {captured && (
+                            <span style={{ marginLeft: 10, fontSize: 11, color: '#34d399', fontWeight: 600 }}>
+                                Recorded — signed by {captured.receiverName}. Saving again replaces the received quantities.
+                            </span>
+                        )}
+                    </div>
+
+                    {/* Lines */}
+                    <table className="ui-table" style={{ width: '100%', fontSize: 13, marginBottom: 16 }}>
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th style={{ textAlign: 'right' }}>Dispatched</th>
+                                <th style={{ textAlign: 'center' }}>Received</th>
+                                <th style={{ textAlign: 'center' }}>Damaged</th>
+                                <th style={{ textAlign: 'right' }}>Short</th>
+                                <th style={{ textAlign: 'center' }}>Temp °C</th>
+                                <th>Note</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {lines.map((line, i) => {
+                                const s = summary.lines[i];
+                                const limit = getColdChainLimit(line.category);
+                                return (
+                                    <tr key={line.lineKey}>
+                                        <td>
+                                            <div style={{ fontWeight: 600 }}>{line.itemName}</div>
+                                            <div style={{ fontSize: 11, color: '#64748b' }}>{line.packLabel}</div>
+                                        </td>
+                                        <td style={{ textAlign: 'right' }}>{line.dispatchedQty}</td>
+                                        <td style={{ textAlign: 'center' }}>
+                                            <input type="number" min="0" max={line.dispatchedQty} value={line.receivedQty} onChange={e => updateLine(i, 'receivedQty', e.target.value)} style={{ ...fieldStyle, width: 64, textAlign: 'center' }} />
+                                        </td>
+                                        <td style={{ textAlign: 'center' }}>
+                                            <input type="number" min="0" max={line.dispatchedQty} value={line.damagedQty} onChange={e => updateLine(i, 'damagedQty', e.target.value)} style={{ ...fieldStyle, width: 64, textAlign: 'center' }} />
+                                        </td>
+                                        <td style={{ textAlign: 'right', fontWeight: 700, color: s.shortQty > 0 ? '#f59e0b' : '#64748b' }}>{s.shortQty}</td>
+                                        <td style={{ textAlign: 'center' }}>
+                                            {limit != null ? (
+                                                <>
+                                                    <input type="number" step="0.1" value={line.temperatureC} onChange={e => updateLine(i, 'temperatureC', e.target.value)}
+                                                        style={{ ...fieldStyle, width: 64, textAlign: 'center', borderColor: s.temperatureBreach ? '#f43f5e' : fieldStyle.border }} />
+                                                    <div style={{ fontSize: 10, color: s.temperatureBreach ? '#f43f5e' : '#64748b' }}>max {limit}°C</div>
+                                                </>
+                                            ) : <span style={{ color: '#475569' }}>—</span>}
+                                        </td>
+                                        <td>
+                                            <input value={line.note} onChange={e => updateLine(i, 'note', e.target.value)} placeholder="Condition, reason..." style={{ ...fieldStyle, width: '100%' }} />
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+
+                    {(summary.discrepancies.length > 0 || summary.totals.temperatureBreaches > 0) && (
+                        <div style={{ background: 'rgba(245,158,11,0.08)', border: '1px solid rgba(245,158,11,0.25)', borderRadius: 8, padding: '8px 12px', fontSize: 12, color: '#fbbf24', marginBottom: 16 }}>
+                            {summary.discrepancies.length > 0 && (
+                                <div>
+                                    {summary.discrepancies.length} issue{summary.discrepancies.length === 1 ? '' : 's'} will be opened: {summary.discrepancies.map(d => `${d.itemName} ${d.type} ${d.qty}`).join(', ')}.
+                                    {source === 'marketplace' && ' The order is billed for the received quantities.'}
+                                </div>
+                            )}
+                            {summary.totals.temperatureBreaches > 0 && (
+                                <div style={{ color: '#f43f5e' }}>⚠ {summary.totals.temperatureBreaches} line{summary.totals.temperatureBreaches === 1 ? '' : 's'} above the cold-chain limit — note the condition or mark the stock damaged.</div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Receiver */}
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20 }}>
+                        <div>
+                            <div style={labelStyle}>Received by *</div>
+                            <input value={receiverName} onChange={e => setReceiverName(e.target.value)} placeholder="Receiver's full name" style={{ ...fieldStyle, width: '100%', marginBottom: 14 }} />
+                            <div style={labelStyle}>Photos</div>
+                            <input type="file" accept="image/*" capture="environment" multiple
+                                onChange={e => { setPhotos(prev => [...prev, ...Array.from(e.target.files || [])]); e.target.value = ''; }}
+                                style={{ fontSize: 12, color: '#94a3b8', marginBottom: 6 }} />
+                            {photos.map((file, i) => (
+                                <div key={`${file.name}_${i}`} style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, color: '#cbd5e1', padding: '2px 0' }}>
+                                    <span>📷 {file.name}</span>
+                                    <button type="button" onClick={() => setPhotos(prev => prev.filter((_, j) => j !== i))} style={{ background: 'none', border: 'none', color: '#f43f5e', cursor: 'pointer' }}>Remove</button>
+                                </div>
+                            ))}
+                            <div style={{ ...labelStyle, marginTop: 14 }}>Notes</div>
+                            <textarea value={notes} onChange={e => setNotes(e.target.value)} placeholder="Anything the receiver flagged..." style={{ ...fieldStyle, width: '100%', minHeight: 60 }} />
+                        </div>
+                        <div>
+                            <div style={labelStyle}>Signature *</div>
+                            <SignaturePad padRef={padRef} onChange={setSigned} />
+                        </div>
+                    </div>
+                </div>
+
+                <div style={{ padding: '12px 22px', borderTop: '1px solid rgba(255,255,255,0.07)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span style={{ fontSize: 12, color: '#94a3b8' }}>
+                        {summary.totals.receivedQty} of {summary.totals.dispatchedQty} received
+                        {drops.length > 1 && ` · ${drops.filter(d => proofs[proofIdFor(d)]).length}/${drops.length} drops recorded`}
+                    </span>
+                    <div style={{ display: 'flex', gap: 10 }}>
+                        <button className="ui-btn ghost small" onClick={onClose} disabled={saving}>Close</button>
+                        <button className="ui-btn primary small" onClick={handleSubmit} disabled={saving || !lines.length}>
+                            {saving ? 'Saving...' : '✓ Save Proof of Delivery'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
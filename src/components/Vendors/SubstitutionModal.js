@@ -0,0 +1,165 @@
+/**
+ * SubstitutionModal.js
+ *
+ * Lets a vendor propose a substitute from its own catalog for a dispatch or
+ * order line it cannot fill (src/shared/substitutions.js): the item, pack
+ * size, price and how many of the line it covers. The proposal waits on the
+ * dispatch page for an admin to accept or decline it.
+ */
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { db } from '../../firebase';
+import { UserContext } from '../../contexts/UserContext';
+import { registerSubstitution } from '../../services/dispatchLifecycleService';
+import { validateSubstitution } from '../../shared/substitutions';
+
+const fieldStyle = { padding: '6px 8px', borderRadius: 7, background: 'rgba(0,0,0,0.35)', border: '1px solid rgba(255,255,255,0.1)', color: '#f8fafc', fontSize: 13, outline: 'none' };
+const labelStyle = { fontSize: 11, color: '#94a3b8', marginBottom: 4, fontWeight: 600, textTransform: 'uppercase' };
+
+/**
+ * @param {Object} props
+ * @param {Object} props.dispatch — dispatch page record (`vendorDispatches` doc or marketplace order view)
+ * @param {{ item: Object, lineKey: string, routeDay: string, maxQty: number }} props.line
+ * @param {(result: Object) => void} props.onProposed
+ * @param {Function} props.onClose
+ */
+export default function SubstitutionModal({ dispatch, line, onProposed, onClose }) {
+    const { displayName } = useContext(UserContext);
+    const source = dispatch._source === 'marketplace' ? 'marketplace' : 'dispatch';
+    const originalName = line.item.itemName || line.item.name || '';
+
+    const [catalog, setCatalog] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [search, setSearch] = useState('');
+    const [selectedId, setSelectedId] = useState('');
+    const [packSize, setPackSize] = useState('');
+    const [price, setPrice] = useState('');
+    const [qty, setQty] = useState(line.maxQty);
+    const [note, setNote] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getDocs(collection(db, 'vendors', dispatch.vendorId, 'items'))
+            .then(snap => {
+                if (cancelled) return;
+                setCatalog(snap.docs
+                    .map(d => ({ id: d.id, ...d.data() }))
+                    .filter(i => (i.status || 'Active').toLowerCase() === 'active' && !i.outOfStock && !i.disabled)
+                    .sort((a, b) => (a.name || a.itemName || '').localeCompare(b.name || b.itemName || '')));
+            })
+            .catch(err => {
+                console.error('[Substitution] Catalog load error:', err);
+                toast.error('Failed to load your catalog');
+            })
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [dispatch.vendorId]);
+
+    const matches = useMemo(() => {
+        const q = search.trim().toLowerCase();
+        return catalog.filter(i => i.id !== line.item.vendorItemId
+            && (!q || `${i.name || i.itemName || ''} ${i.category || ''}`.toLowerCase().includes(q)));
+    }, [catalog, search, line.item.vendorItemId]);
+
+    const selected = catalog.find(i => i.id === selectedId) || null;
+
+    const selectItem = (item) => {
+        setSelectedId(item.id);
+        setPackSize(item.packSize || '');
+        setPrice(String(item.vendorPrice ?? item.price ?? ''));
+    };
+
+    const substitute = selected && {
+        vendorItemId: selected.id,
+        catalogItemId: selected.catalogItemId || null,
+        itemName: selected.name || selected.itemName || '',
+        packSize: packSize.trim(),
+        unit: selected.unit || '',
+        price: Number(price),
+        category: selected.category || '',
+        taxable: !!selected.taxable,
+        taxCategory: selected.taxCategory || '',
+    };
+
+    const handleSubmit = async () => {
+        const errors = validateSubstitution({ qty: Number(qty), maxQty: line.maxQty, original: line.item, substitute });
+        if (errors.length) { toast.warn(errors[0]); return; }
+        setSaving(true);
+        try {
+            const result = await registerSubstitution(dispatch.id, {
+                lineKey: line.lineKey,
+                routeDay: line.routeDay,
+                qty: Number(qty),
+                substitute,
+                note,
+            }, { performedBy: displayName || dispatch.vendorName || 'vendor', source });
+            toast.success(result.duplicate ? 'This substitution is already waiting for approval' : 'Substitution proposed — waiting for approval');
+            onProposed(result);
+        } catch (err) {
+            console.error('[Substitution] Propose error:', err);
+            toast.error(err.message || 'Failed to propose substitution');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.7)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 2000, padding: 24 }} onClick={onClose}>
+            <div onClick={e => e.stopPropagation()} style={{ width: '100%', maxWidth: 640, maxHeight: '90vh', display: 'flex', flexDirection: 'column', background: '#0f172a', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 14, overflow: 'hidden', color: '#f8fafc' }}>
+                <div style={{ padding: '14px 22px', borderBottom: '1px solid rgba(255,255,255,0.07)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700 }}>
+                        🔄 Substitute for {originalName}{line.routeDay ? ` · ${line.routeDay}` : ''}
+                    </h3>
+                    <button onClick={onClose} style={{ background: 'none', border: 'none', color: '#94a3b8', fontSize: 22, cursor: 'pointer', lineHeight: 1 }}>×</button>
+                </div>
+
+                <div style={{ padding: '16px 22px', overflowY: 'auto' }}>
+                    <div style={{ fontSize: 13, color: '#94a3b8', marginBottom: 14 }}>
+                        Ordered: <strong style={{ color: '#e2e8f0' }}>{originalName}</strong> ({line.item.packLabel || line.item.packSize || line.item.unit || '—'}) · {line.maxQty} open to substitute
+                    </div>
+
+                    <div style={labelStyle}>Substitute item *</div>
+                    <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search your catalog..." style={{ ...fieldStyle, width: '100%', marginBottom: 8 }} />
+                    <div style={{ maxHeight: 200, overflowY: 'auto', border: '1px solid rgba(255,255,255,0.06)', borderRadius: 8, marginBottom: 16 }}>
+                        {loading && <div style={{ padding: 12, fontSize: 13, color: '#64748b' }}>Loading catalog...</div>}
+                        {!loading && !matches.length && <div style={{ padding: 12, fontSize: 13, color: '#64748b' }}>No active catalog items match.</div>}
+                        {matches.map(item => (
+                            <div key={item.id} onClick={() => selectItem(item)}
+                                style={{ padding: '8px 12px', cursor: 'pointer', fontSize: 13, display: 'flex', justifyContent: 'space-between', background: item.id === selectedId ? 'rgba(167,139,250,0.15)' : 'transparent', borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+                                <span>{item.name || item.itemName}<span style={{ color: '#64748b' }}>{item.packSize ? ` · ${item.packSize}` : ''}</span></span>
+                                <span style={{ color: '#94a3b8' }}>${Number(item.vendorPrice ?? item.price ?? 0).toFixed(2)}</span>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: 12, marginBottom: 14 }}>
+                        <div>
+                            <div style={labelStyle}>Pack size</div>
+                            <input value={packSize} onChange={e => setPackSize(e.target.value)} disabled={!selected} placeholder="e.g. 10 kg" style={{ ...fieldStyle, width: '100%' }} />
+                        </div>
+                        <div>
+                            <div style={labelStyle}>Price *</div>
+                            <input type="number" min="0" step="0.01" value={price} onChange={e => setPrice(e.target.value)} disabled={!selected} style={{ ...fieldStyle, width: '100%' }} />
+                        </div>
+                        <div>
+                            <div style={labelStyle}>Qty *</div>
+                            <input type="number" min="1" max={line.maxQty} value={qty} onChange={e => setQty(e.target.value)} style={{ ...fieldStyle, width: '100%' }} />
+                        </div>
+                    </div>
+
+                    <div style={labelStyle}>Note</div>
+                    <textarea value={note} onChange={e => setNote(e.target.value)} placeholder="Why this substitute..." style={{ ...fieldStyle, width: '100%', minHeight: 60 }} />
+                </div>
+
+                <div style={{ padding: '12px 22px', borderTop: '1px solid rgba(255,255,255,0.07)', display: 'flex', justifyContent: 'flex-end', gap: 10 }}>
+                    <button className="ui-btn ghost small" onClick={onClose} disabled={saving}>Cancel</button>
+                    <button className="ui-btn primary small" onClick={handleSubmit} disabled={saving || !selected}>
+                        {saving ? 'Sending...' : '🔄 Propose Substitute'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
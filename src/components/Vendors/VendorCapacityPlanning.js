@@ -8,6 +8,7 @@
  * Data sources:
  *   - vendors/{id}/items  → vendor catalog
  *   - marketplaceOrders   → demand computation + capacity estimation
+ *   - deliverySchedules   → delivery days per restaurant / vendor pair
  *   - supplyCapacityEngine.forecastSupplyHealth() → core algorithm
  *   - vendors/{id}/capacityPlan/{weekStart} → saved capacity
  */
@@ -22,7 +23,9 @@ import GuidanceText from '../ui/GuidanceText';
 import { db } from '../../firebase';
 import { collection, getDocs, doc, setDoc, getDoc, serverTimestamp } from 'firebase/firestore';
 import { fetchOrderHistory } from '../Forecast/forecastHelpers';
-import { forecastSupplyHealth, supplyHealthLabel } from './supplyCapacityEngine';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { DEFAULT_DELIVERY_DAYS, getPairSchedule, getOrderRouteDay, sumDayQtys } from '../../shared/deliverySchedules';
+import { forecastSupplyHealth, supplyHealthLabel, splitByDayHistory } from './supplyCapacityEngine';
 
 const C = { green: '#34d399', red: '#f87171', amber: '#fbbf24', blue: '#38bdf8', purple: '#a78bfa', cyan: '#22d3ee', muted: '#94a3b8', fg: '#f8fafc' };
 
@@ -34,6 +37,14 @@ function getNextMonday() {
     return d.toISOString().slice(0, 10);
 }
 
+// Day → capacity of a saved plan item; plans saved before schedules carry `monday` / `thursday`
+function getPlanDayQtys(val) {
+    if (val.dayQtys) return { ...val.dayQtys };
+    return Object.fromEntries(DEFAULT_DELIVERY_DAYS.map(day => [day, val[day.toLowerCase()] || 0]));
+}
+
+const zeroDays = days => Object.fromEntries(days.map(day => [day, 0]));
+
 function getPreviousMonday() {
     const d = new Date();
     const dayOfWeek = d.getDay();
@@ -59,6 +70,13 @@ async function loadCapacityForecasts() {
     }
 
     const orderRecords = await fetchOrderHistory(12);
+    let schedules = {};
+    try {
+        schedules = await fetchDeliverySchedules();
+    } catch (err) {
+        console.warn('[VendorCapacity] Could not load delivery schedules, using the default days:', err);
+    }
+    const vendorIdByName = Object.fromEntries(allItems.map(i => [i.vendorName, i.vendorId]));
     const weekStart = getNextMonday();
     const itemGroups = {};
     allItems.forEach(item => { const key = item.itemName.toLowerCase(); if (!itemGroups[key]) itemGroups[key] = { itemName: item.itemName, category: item.category, vendors: {} }; if (!itemGroups[key].vendors[item.vendorId]) itemGroups[key].vendors[item.vendorId] = { vendorId: item.vendorId, vendorName: item.vendorName, inStock: item.inStock }; });
@@ -67,9 +85,16 @@ async function loadCapacityForecasts() {
     const vendorItemHistory = {};
     orderRecords.forEach(rec => {
         const key = rec.itemName.toLowerCase();
-        if (!itemDemand[key]) itemDemand[key] = { total: 0 };
+        const day = getOrderRouteDay(rec, getPairSchedule(schedules, vendorIdByName[rec.vendor], rec.restaurantId).days);
+        if (!itemDemand[key]) itemDemand[key] = { total: 0, dayTotals: {} };
         itemDemand[key].total += rec.qty;
-        if (rec.vendor) { const vk = `${rec.vendor}_${key}`; if (!vendorItemHistory[vk]) vendorItemHistory[vk] = { total: 0 }; vendorItemHistory[vk].total += rec.qty; }
+        itemDemand[key].dayTotals[day] = (itemDemand[key].dayTotals[day] || 0) + rec.qty;
+        if (rec.vendor) {
+            const vk = `${rec.vendor}_${key}`;
+            if (!vendorItemHistory[vk]) vendorItemHistory[vk] = { total: 0, dayTotals: {} };
+            vendorItemHistory[vk].total += rec.qty;
+            vendorItemHistory[vk].dayTotals[day] = (vendorItemHistory[vk].dayTotals[day] || 0) + rec.qty;
+        }
     });
 
     const forecasts = [];
@@ -77,16 +102,14 @@ async function loadCapacityForecasts() {
         const demand = itemDemand[key];
         if (!demand || demand.total === 0) return;
         const weeklyAvg = Math.round(demand.total / 12);
-        const monday = Math.round(weeklyAvg * 0.6);
-        const thursday = Math.round(weeklyAvg * 0.4);
         const vendorList = Object.values(group.vendors).map(v => {
             const vk = `${v.vendorId}_${key}`;
             const hist = vendorItemHistory[vk];
             const weeklyCapEst = hist ? Math.round((hist.total / 12) * 1.2) : 0;
-            return { vendorId: v.vendorId, vendorName: v.vendorName, mondayCapacity: Math.round(weeklyCapEst * 0.6), thursdayCapacity: Math.round(weeklyCapEst * 0.4), weeklyCapacity: weeklyCapEst, stockStatus: v.inStock ? 'in_stock' : 'out_of_stock', leadTimeDays: 1, capacityConfidence: hist ? 'history' : 'estimated', active: true };
+            return { vendorId: v.vendorId, vendorName: v.vendorName, dayCapacities: splitByDayHistory(weeklyCapEst, hist ? hist.dayTotals : demand.dayTotals), weeklyCapacity: weeklyCapEst, stockStatus: v.inStock ? 'in_stock' : 'out_of_stock', leadTimeDays: 1, capacityConfidence: hist ? 'history' : 'estimated', active: true };
         }).filter(v => v.weeklyCapacity > 0);
         if (vendorList.length === 0) return;
-        forecasts.push(forecastSupplyHealth({ itemName: group.itemName, comparableGroup: group.itemName.toLowerCase().replace(/\s+/g, '_'), category: group.category, weekStart, demand: { monday, thursday, weekly: weeklyAvg }, vendors: vendorList }));
+        forecasts.push(forecastSupplyHealth({ itemName: group.itemName, comparableGroup: group.itemName.toLowerCase().replace(/\s+/g, '_'), category: group.category, weekStart, demand: { dayQtys: splitByDayHistory(weeklyAvg, demand.dayTotals), weekly: weeklyAvg }, vendors: vendorList }));
     });
     return forecasts;
 }
@@ -95,7 +118,7 @@ export default function VendorCapacityPlanning() {
     const { vendorId } = React.useContext(UserContext);
     const [allForecasts, setAllForecasts] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [editingCapacity, setEditingCapacity] = useState({}); // { itemKey: { monday, thursday } }
+    const [editingCapacity, setEditingCapacity] = useState({}); // { itemKey: { day → qty } }
     const [savingItems, setSavingItems] = useState(new Set());
     const [outOfStock, setOutOfStock] = useState(new Set()); // item keys temporarily OOS
 
@@ -117,7 +140,7 @@ export default function VendorCapacityPlanning() {
                             const edits = {};
                             const oos = new Set();
                             Object.entries(saved.items).forEach(([key, val]) => {
-                                edits[key] = { monday: val.monday || 0, thursday: val.thursday || 0 };
+                                edits[key] = getPlanDayQtys(val);
                                 if (val.outOfStock) oos.add(key);
                             });
                             setEditingCapacity(edits);
@@ -144,27 +167,35 @@ export default function VendorCapacityPlanning() {
 
     const totalCapacity = myItems.reduce((s, i) => {
         const edited = editingCapacity[i.itemKey];
-        if (edited) return s + (edited.monday || 0) + (edited.thursday || 0);
+        if (edited) return s + sumDayQtys(edited);
         return s + (i.myVendor?.weeklyCapacity || 0);
     }, 0);
     const totalMarketDemand = myItems.reduce((s, i) => s + i.weeklyForecastDemand, 0);
     const opportunities = myItems.filter(i => i.additionalDemand > 0).length;
 
-    const handleCapacityChange = (itemKey, field, value) => {
+    const handleCapacityChange = (itemKey, day, value) => {
         setEditingCapacity(prev => ({
             ...prev,
-            [itemKey]: { ...(prev[itemKey] || {}), [field]: parseInt(value) || 0 },
+            [itemKey]: { ...(prev[itemKey] || {}), [day]: parseInt(value) || 0 },
         }));
     };
 
+    // Capacity per delivery day shown for an item — edited, else the forecast estimate
+    const getItemCapacity = (item) => {
+        if (outOfStock.has(item.itemKey)) return zeroDays(item.routeDays);
+        const edited = editingCapacity[item.itemKey];
+        return Object.fromEntries(item.routeDays.map(day => [day, edited?.[day] ?? item.myVendor?.dayCapacities[day] ?? 0]));
+    };
+
     const toggleOutOfStock = (itemKey) => {
+        const item = myItems.find(i => i.itemKey === itemKey);
         setOutOfStock(prev => {
             const next = new Set(prev);
             if (next.has(itemKey)) {
                 next.delete(itemKey);
             } else {
                 next.add(itemKey);
-                setEditingCapacity(p => ({ ...p, [itemKey]: { monday: 0, thursday: 0 } }));
+                setEditingCapacity(p => ({ ...p, [itemKey]: zeroDays(item?.routeDays || []) }));
             }
             return next;
         });
@@ -176,14 +207,11 @@ export default function VendorCapacityPlanning() {
         try {
             const items = {};
             myItems.forEach(item => {
-                const edited = editingCapacity[item.itemKey];
-                const isOOS = outOfStock.has(item.itemKey);
                 items[item.itemKey] = {
                     itemName: item.itemName,
                     category: item.category,
-                    monday: isOOS ? 0 : (edited?.monday ?? item.myVendor?.mondayCapacity ?? 0),
-                    thursday: isOOS ? 0 : (edited?.thursday ?? item.myVendor?.thursdayCapacity ?? 0),
-                    outOfStock: isOOS,
+                    dayQtys: getItemCapacity(item),
+                    outOfStock: outOfStock.has(item.itemKey),
                 };
             });
 
@@ -212,7 +240,7 @@ export default function VendorCapacityPlanning() {
                 const saved = lastDoc.data().items;
                 const edits = {};
                 Object.entries(saved).forEach(([key, val]) => {
-                    edits[key] = { monday: val.monday || 0, thursday: val.thursday || 0 };
+                    edits[key] = getPlanDayQtys(val);
                 });
                 setEditingCapacity(edits);
                 toast.success('Copied last week\'s capacity');
@@ -228,10 +256,7 @@ export default function VendorCapacityPlanning() {
     const resetToForecast = () => {
         const edits = {};
         myItems.forEach(item => {
-            edits[item.itemKey] = {
-                monday: item.myVendor?.mondayCapacity || 0,
-                thursday: item.myVendor?.thursdayCapacity || 0,
-            };
+            edits[item.itemKey] = { ...zeroDays(item.routeDays), ...item.myVendor?.dayCapacities };
         });
         setEditingCapacity(edits);
         setOutOfStock(new Set());
@@ -329,14 +354,11 @@ export default function VendorCapacityPlanning() {
                     ) : (
                         <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
                             {myItems.map((item, idx) => {
-                                const mv = item.myVendor;
                                 const hl = item.healthLabel;
                                 const itemKey = item.itemKey;
-                                const edited = editingCapacity[itemKey];
                                 const isOOS = outOfStock.has(itemKey);
-                                const currentMon = isOOS ? 0 : (edited?.monday ?? mv.mondayCapacity);
-                                const currentThu = isOOS ? 0 : (edited?.thursday ?? mv.thursdayCapacity);
-                                const currentWeekly = currentMon + currentThu;
+                                const currentDays = getItemCapacity(item);
+                                const currentWeekly = sumDayQtys(currentDays);
                                 const capShare = item.weeklyCapacity > 0 ? Math.round((currentWeekly / item.weeklyCapacity) * 100) : 0;
 
                                 return (
@@ -365,7 +387,7 @@ export default function VendorCapacityPlanning() {
                                             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 16 }}>
                                                 <div>
                                                     <div style={{ fontSize: 12, fontWeight: 700, color: C.blue, marginBottom: 8 }}>📊 Marketplace Demand</div>
-                                                    {[['Next week demand', `${item.weeklyForecastDemand} units`, C.fg], ['Monday', `${item.mondayForecastDemand} units`, C.muted], ['Thursday', `${item.thursdayForecastDemand} units`, C.muted]].map(([l, v, c], i) => (
+                                                    {[['Next week demand', `${item.weeklyForecastDemand} units`, C.fg], ...item.routeDays.map(day => [day, `${item.dayDemand[day]} units`, C.muted])].map(([l, v, c], i) => (
                                                         <div key={i} style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 4 }}>
                                                             <span style={{ color: C.muted }}>{l}</span><span style={{ fontWeight: 600, color: c }}>{v}</span>
                                                         </div>
@@ -373,20 +395,15 @@ export default function VendorCapacityPlanning() {
                                                 </div>
                                                 <div>
                                                     <div style={{ fontSize: 12, fontWeight: 700, color: C.green, marginBottom: 8 }}>📦 Your Capacity {isOOS && <span style={{ color: '#f87171', fontSize: 11 }}>(OUT OF STOCK)</span>}</div>
-                                                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 8, alignItems: 'center' }}>
-                                                        <span style={{ color: C.muted }}>Monday</span>
-                                                        <input type="number" min="0" disabled={isOOS} value={currentMon}
-                                                            onChange={(e) => handleCapacityChange(itemKey, 'monday', e.target.value)}
-                                                            style={{ width: 70, padding: '4px 8px', borderRadius: 6, border: '1px solid rgba(255,255,255,0.15)', background: isOOS ? 'rgba(255,255,255,0.02)' : 'rgba(0,0,0,0.4)', color: isOOS ? '#475569' : C.green, textAlign: 'center', fontSize: 13, fontWeight: 700 }}
-                                                        />
-                                                    </div>
-                                                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 8, alignItems: 'center' }}>
-                                                        <span style={{ color: C.muted }}>Thursday</span>
-                                                        <input type="number" min="0" disabled={isOOS} value={currentThu}
-                                                            onChange={(e) => handleCapacityChange(itemKey, 'thursday', e.target.value)}
-                                                            style={{ width: 70, padding: '4px 8px', borderRadius: 6, border: '1px solid rgba(255,255,255,0.15)', background: isOOS ? 'rgba(255,255,255,0.02)' : 'rgba(0,0,0,0.4)', color: isOOS ? '#475569' : C.green, textAlign: 'center', fontSize: 13, fontWeight: 700 }}
-                                                        />
-                                                    </div>
+                                                    {item.routeDays.map(day => (
+                                                        <div key={day} style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 8, alignItems: 'center' }}>
+                                                            <span style={{ color: C.muted }}>{day}</span>
+                                                            <input type="number" min="0" disabled={isOOS} value={currentDays[day]}
+                                                                onChange={(e) => handleCapacityChange(itemKey, day, e.target.value)}
+                                                                style={{ width: 70, padding: '4px 8px', borderRadius: 6, border: '1px solid rgba(255,255,255,0.15)', background: isOOS ? 'rgba(255,255,255,0.02)' : 'rgba(0,0,0,0.4)', color: isOOS ? '#475569' : C.green, textAlign: 'center', fontSize: 13, fontWeight: 700 }}
+                                                            />
+                                                        </div>
+                                                    ))}
                                                     <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12 }}>
                                                         <span style={{ color: C.muted }}>Weekly total</span><span style={{ fontWeight: 700, color: isOOS ? '#475569' : C.green }}>{currentWeekly} units</span>
                                                     </div>
@@ -8,8 +8,11 @@ import EditItemModal from './EditItemModal';
 import AddItemModal from './AddItemModal';
 import ItemAnalyticsModal from './ItemAnalyticsModal';
 import { COUNTRIES, getRegionsForCountry, getRegionLabel, getTaxRate } from '../../constants/taxRates';
+import { getItemTaxCategory, getTaxCategoryLabel } from '../../shared/taxEngine';
 import { formatPackSize, formatUnitPrice } from '../../utils/parseUnitInfo';
 import { sendVendorItemToReviewQueue } from '../CatalogReview/reviewQueueService';
+import { PAYOUT_ACCOUNT_FIELDS, validatePayoutAccount } from '../../shared/payoutBatches';
+import { savePayoutAccount } from '../../services/financialEngine';
 
 const ITEM_CATEGORIES = ['Spices', 'Meat', 'Produce', 'Dairy', 'Seafood', 'Grains', 'Beverages', 'Packaging', 'Cleaning', 'Other'];
 const UNITS = ['kg', 'lb', 'g', 'oz', 'L', 'mL', 'unit', 'dozen', 'case', 'packet', 'bag', 'bundle', 'box'];
@@ -176,6 +179,8 @@ export default function VendorDetailPage() {
     // Edit vendor
     const [editing, setEditing] = useState(false);
     const [editForm, setEditForm] = useState({});
+    // Bank details are entered here but never read back — only the masked account is on the vendor doc
+    const [payoutAccountForm, setPayoutAccountForm] = useState({});
 
     // Add item modal
     const [itemModalOpen, setItemModalOpen] = useState(false);
@@ -307,7 +312,23 @@ export default function VendorDetailPage() {
                 patch.commissionPercent = Number(editForm.commissionPercent) || 0;
                 patch.commissionType = 'VENDOR_FLAT_PERCENT';
             }
+            // Bank details for payout batches — all fields, or none to keep what is on file.
+            // They are saved to the admin-only vendorPayoutAccounts collection by a Cloud Function
+            let payoutAccount = null;
+            if (isSuperAdmin && PAYOUT_ACCOUNT_FIELDS.some(f => String(payoutAccountForm[f.key] || '').trim())) {
+                const { account, error } = validatePayoutAccount(payoutAccountForm);
+                if (error) {
+                    toast.error(`Payout account: ${error}`);
+                    return;
+                }
+                payoutAccount = account;
+            }
             await updateDoc(ref, patch);
+            if (payoutAccount) {
+                const saved = await savePayoutAccount({ vendorId, account: payoutAccount });
+                patch.payoutAccount = saved.payoutAccount;
+                setPayoutAccountForm({});
+            }
             setVendor(prev => ({ ...prev, ...patch }));
             setEditing(false);
             toast.success('Vendor updated!');
@@ -732,9 +753,26 @@ export default function VendorDetailPage() {
                             {isSuperAdmin && (
                                 <div><label className="ui-label">Commission %</label>
                                     <input className="ui-input" type="number" min="0" max="100" step="0.1" value={editForm.commissionPercent ?? 10} onChange={e => setEditForm(p => ({ ...p, commissionPercent: e.target.value }))} />
+                                    <div className="muted small">Used where no commission rule applies (Finance → Commission Rules)</div>
                                 </div>
                             )}
                         </div>
+                        {isSuperAdmin && (
+                            <div style={{ marginTop: 16 }}>
+                                <label className="ui-label">Payout Account (bank upload for payout batches){vendor.payoutAccount ? ` — on file ····${vendor.payoutAccount.last4}; leave blank to keep it` : ''}</label>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 12 }}>
+                                    {PAYOUT_ACCOUNT_FIELDS.map(f => (
+                                        <input
+                                            key={f.key}
+                                            className="ui-input"
+                                            placeholder={`${f.label} (${f.hint})`}
+                                            value={payoutAccountForm[f.key] || ''}
+                                            onChange={e => setPayoutAccountForm(p => ({ ...p, [f.key]: e.target.value }))}
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+                        )}
                         <div style={{ marginTop: 16 }}><label className="ui-label">Address</label><input className="ui-input" value={editForm.address || ''} onChange={e => setEditForm(p => ({ ...p, address: e.target.value }))} /></div>
                         <div style={{ marginTop: 16 }}><label className="ui-label">Notes</label><textarea className="ui-input" style={{ height: 60 }} value={editForm.notes || ''} onChange={e => setEditForm(p => ({ ...p, notes: e.target.value }))} /></div>
                         {editForm.province && (
@@ -743,7 +781,7 @@ export default function VendorDetailPage() {
                             </div>
                         )}
                         <div style={{ marginTop: 16, display: 'flex', justifyContent: 'flex-end', gap: 12 }}>
-                            <button className="ui-btn ghost" onClick={() => { setEditing(false); setEditForm(vendor); }}>Cancel</button>
+                            <button className="ui-btn ghost" onClick={() => { setEditing(false); setEditForm(vendor); setPayoutAccountForm({}); }}>Cancel</button>
                             <button className="ui-btn primary" onClick={handleSaveVendor}>💾 Save</button>
                         </div>
                     </>
@@ -761,6 +799,13 @@ export default function VendorDetailPage() {
                         {isSuperAdmin && (
                             <div><span className="muted small">Commission %</span><div><span className="badge amber">{vendor.commissionPercent !== undefined ? `${vendor.commissionPercent}%` : '10% (Default)'}</span></div></div>
                         )}
+                        {isSuperAdmin && (
+                            <div><span className="muted small">Payout Account</span><div>
+                                {vendor.payoutAccount
+                                    ? `${vendor.payoutAccount.accountName} ····${vendor.payoutAccount.last4}`
+                                    : <span className="badge gray">Not set</span>}
+                            </div></div>
+                        )}
                         {vendor.notes && <div style={{ gridColumn: '1 / -1' }}><span className="muted small">Notes</span><div>{vendor.notes}</div></div>}
                     </div>
                 )}
@@ -980,7 +1025,7 @@ export default function VendorDetailPage() {
                                                 <td data-label="Market Rank" style={{ color: 'var(--text-secondary)', fontSize: 12 }}>— <span style={{ opacity: 0.4 }}>(soon)</span></td>
                                                 <td data-label="Price Trend"  style={{ color: 'var(--text-secondary)', fontSize: 12 }}>— <span style={{ opacity: 0.4 }}>(soon)</span></td>
                                                 <td data-label="Tax">
-                                                    {item.taxable ? <span style={{ color: '#f59e0b', fontWeight: 600 }}>13%</span> : <span style={{ color: 'var(--muted)' }}>—</span>}
+                                                    {item.taxable ? <span style={{ color: '#f59e0b', fontWeight: 600 }} title={getTaxCategoryLabel(getItemTaxCategory(item))}>{getTaxRate(vendor?.country || 'Canada', vendor?.province)}%</span> : <span style={{ color: 'var(--muted)' }} title={getTaxCategoryLabel(getItemTaxCategory(item))}>—</span>}
                                                 </td>
                                                 <td data-label="SKU">{item.sku || '—'}</td>
                                                 <td data-label="Status"><span className={`badge ${statusColor}`}>{statusLabel}</span></td>
@@ -2,12 +2,15 @@
  * VendorExpectedAllocation.js
  *
  * Vendor-facing weekly demand view.
- * Shows the vendor's Monday and Thursday order quantities for the active week
+ * Shows the vendor's order quantities per delivery day for the active week
  * based on submitted restaurant orders, filtered to items this vendor carries.
+ * Each order rides the restaurant / vendor pair's route for its deliveryDay
+ * (src/shared/deliverySchedules.js).
  *
  * Data sources:
  *   - vendors/{vendorId}/items       → vendor's own catalog (allowed by rules)
  *   - submittedOrders (all)          → demand computation (filtered by item name match)
+ *   - restaurants / vendors / deliverySchedules → delivery days per pair
  */
 import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
@@ -19,6 +22,9 @@ import { UserContext } from '../../contexts/UserContext';
 import { db } from '../../firebase';
 import { collection, getDocs, onSnapshot } from 'firebase/firestore';
 import { getActiveWeekStart, formatWeekLabel } from '../Forecast/dispatchModel';
+import { getRouteDayColor } from '../Forecast/DispatchShared';
+import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+import { getPairSchedule, getOrderRouteDay, collectRouteDays, sumDayQtys } from '../../shared/deliverySchedules';
 
 const C = { green: '#34d399', red: '#f87171', amber: '#fbbf24', blue: '#38bdf8', purple: '#a78bfa', cyan: '#22d3ee', muted: '#94a3b8', fg: '#f8fafc' };
 
@@ -29,7 +35,8 @@ export default function VendorExpectedAllocation() {
     const { vendorId, vendorName } = useContext(UserContext);
 
     const [myItems, setMyItems] = useState([]); // vendor's own catalog items
-    const [demand, setDemand] = useState({}); // itemName → { mon, thu, branches: {} }
+    const [demand, setDemand] = useState({}); // itemName → { dayQtys: { day → qty }, branches: {} }
+    const [schedules, setSchedules] = useState(null);
     const [loading, setLoading] = useState(true);
     const [loadError, setLoadError] = useState(null);
 
@@ -64,9 +71,19 @@ export default function VendorExpectedAllocation() {
         })();
     }, [vendorId]);
 
+    // ── Delivery days per restaurant / vendor pair ───────────────────────────
+    useEffect(() => {
+        fetchDeliverySchedules()
+            .then(setSchedules)
+            .catch(err => {
+                console.warn('[VendorAllocation] Could not load delivery schedules, using the default days:', err);
+                setSchedules({});
+            });
+    }, []);
+
     // ── Step 2: real-time listener on submittedOrders, filter by item names ──
     useEffect(() => {
-        if (!vendorId || myItems.length === 0) return;
+        if (!vendorId || myItems.length === 0 || !schedules) return;
 
         setLoading(true);
         setLoadError(null);
@@ -82,7 +99,7 @@ export default function VendorExpectedAllocation() {
             weekOrders.forEach(order => {
                 const restId = order.restaurantId || 'unknown';
                 const restName = order.restaurantName || restId;
-                const deliveryDay = order.deliveryDay || 'Monday';
+                const deliveryDay = getOrderRouteDay(order, getPairSchedule(schedules, vendorId, order.restaurantId).days);
 
                 (order.items || []).forEach(line => {
                     const itemName = line.itemName;
@@ -93,16 +110,16 @@ export default function VendorExpectedAllocation() {
                     if (qty <= 0) return;
 
                     if (!demandMap[itemName]) {
-                        demandMap[itemName] = { mon: 0, thu: 0, branches: {} };
+                        demandMap[itemName] = { dayQtys: {}, branches: {} };
                     }
-                    if (deliveryDay === 'Monday') demandMap[itemName].mon += qty;
-                    else demandMap[itemName].thu += qty;
+                    const entry = demandMap[itemName];
+                    entry.dayQtys[deliveryDay] = (entry.dayQtys[deliveryDay] || 0) + qty;
 
-                    if (!demandMap[itemName].branches[restId]) {
-                        demandMap[itemName].branches[restId] = { name: restName, mon: 0, thu: 0 };
+                    if (!entry.branches[restId]) {
+                        entry.branches[restId] = { name: restName, dayQtys: {} };
                     }
-                    if (deliveryDay === 'Monday') demandMap[itemName].branches[restId].mon += qty;
-                    else demandMap[itemName].branches[restId].thu += qty;
+                    const branch = entry.branches[restId];
+                    branch.dayQtys[deliveryDay] = (branch.dayQtys[deliveryDay] || 0) + qty;
                 });
             });
 
@@ -115,7 +132,7 @@ export default function VendorExpectedAllocation() {
         });
 
         return () => unsub();
-    }, [vendorId, myItems, activeWeek]);
+    }, [vendorId, myItems, activeWeek, schedules]);
 
     // ── Derived data ──────────────────────────────────────────────────────────
     const demandItems = useMemo(() => {
@@ -124,19 +141,19 @@ export default function VendorExpectedAllocation() {
                 const d = demand[item.name] || {};
                 return {
                     ...item,
-                    mon: d.mon || 0,
-                    thu: d.thu || 0,
-                    total: (d.mon || 0) + (d.thu || 0),
-                    branches: Object.values(d.branches || {}).sort((a, b) => (b.mon + b.thu) - (a.mon + a.thu)),
+                    dayQtys: d.dayQtys || {},
+                    total: sumDayQtys(d.dayQtys),
+                    branches: Object.values(d.branches || {}).sort((a, b) => sumDayQtys(b.dayQtys) - sumDayQtys(a.dayQtys)),
                 };
             })
             .filter(i => i.total > 0)
             .sort((a, b) => b.total - a.total);
     }, [myItems, demand]);
 
-    const totalMon = demandItems.reduce((s, i) => s + i.mon, 0);
-    const totalThu = demandItems.reduce((s, i) => s + i.thu, 0);
-    const totalPacks = totalMon + totalThu;
+    // Days anything is ordered for; the default days on an empty week
+    const routeDays = useMemo(() => collectRouteDays([{ routeDays: demandItems.flatMap(i => Object.keys(i.dayQtys).filter(day => i.dayQtys[day] > 0)) }]), [demandItems]);
+    const dayTotal = (day) => demandItems.reduce((s, i) => s + (i.dayQtys[day] || 0), 0);
+    const totalPacks = demandItems.reduce((s, i) => s + i.total, 0);
     const [expandedItems, setExpandedItems] = useState(new Set());
     const toggleExpand = (name) => {
         setExpandedItems(prev => {
@@ -153,7 +170,7 @@ export default function VendorExpectedAllocation() {
                 <div>
                     <h1 style={{ margin: 0, fontSize: 24, fontWeight: 800, color: C.fg }}>📦 Combined Order Forecast</h1>
                     <p style={{ margin: '4px 0 0', color: C.muted, fontSize: 13 }}>
-                        Your expected order quantities from submitted restaurant orders — Monday &amp; Thursday deliveries.
+                        Your expected order quantities from submitted restaurant orders — {routeDays.join(', ')} deliveries.
                     </p>
                 </div>
                 <div style={{ display: 'flex', gap: 10, alignItems: 'center' }}>
@@ -195,11 +212,10 @@ export default function VendorExpectedAllocation() {
             {!loading && (
                 <>
                     {/* SUMMARY CARDS */}
-                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 14, marginBottom: 24 }}>
+                    <div style={{ display: 'grid', gridTemplateColumns: `repeat(${routeDays.length + 2}, 1fr)`, gap: 14, marginBottom: 24 }}>
                         {[
                             { icon: <FiPackage size={16} />, value: demandItems.length, label: 'Items Ordered', color: C.blue },
-                            { icon: <FiCalendar size={16} />, value: totalMon, label: 'Monday Units', color: '#3b82f6' },
-                            { icon: <FiCalendar size={16} />, value: totalThu, label: 'Thursday Units', color: '#8b5cf6' },
+                            ...routeDays.map(day => ({ icon: <FiCalendar size={16} />, value: dayTotal(day), label: `${day} Units`, color: getRouteDayColor(day) })),
                             { icon: <FiTrendingUp size={16} />, value: totalPacks, label: 'Total Units', color: C.green },
                         ].map(k => (
                             <div key={k.label} style={{ background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.07)', borderRadius: 12, padding: '16px 18px' }}>
@@ -240,8 +256,9 @@ export default function VendorExpectedAllocation() {
                                         <th style={{ padding: '14px 16px', textAlign: 'left', fontSize: 12, color: C.muted, fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.5 }}></th>
                                         <th style={{ padding: '14px 16px', textAlign: 'left', fontSize: 12, color: C.muted, fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.5 }}>Item</th>
                                         <th style={{ padding: '14px 16px', textAlign: 'left', fontSize: 12, color: C.muted, fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.5 }}>Category</th>
-                                        <th style={{ padding: '14px 20px', textAlign: 'center', fontSize: 12, color: '#3b82f6', fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.5, background: 'rgba(59,130,246,0.04)' }}>Monday</th>
-                                        <th style={{ padding: '14px 20px', textAlign: 'center', fontSize: 12, color: '#8b5cf6', fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.5, background: 'rgba(139,92,246,0.04)' }}>Thursday</th>
+                                        {routeDays.map(day => (
+                                            <th key={day} style={{ padding: '14px 20px', textAlign: 'center', fontSize: 12, color: getRouteDayColor(day), fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.5, background: `${getRouteDayColor(day)}0a` }}>{day}</th>
+                                        ))}
                                         <th style={{ padding: '14px 16px', textAlign: 'center', fontSize: 12, color: C.green, fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.5 }}>Total</th>
                                         <th style={{ padding: '14px 16px', textAlign: 'right', fontSize: 12, color: C.muted, fontWeight: 700, textTransform: 'uppercase', letterSpacing: 0.5 }}>Unit Price</th>
                                     </tr>
@@ -266,20 +283,15 @@ export default function VendorExpectedAllocation() {
                                                         {item.category}
                                                     </span>
                                                 </td>
-                                                <td style={{ padding: '12px 20px', textAlign: 'center', background: 'rgba(59,130,246,0.02)' }}>
-                                                    {item.mon > 0 ? (
-                                                        <span style={{ fontSize: 18, fontWeight: 800, color: '#3b82f6' }}>{item.mon}</span>
-                                                    ) : (
-                                                        <span style={{ color: C.muted, fontSize: 13 }}>—</span>
-                                                    )}
-                                                </td>
-                                                <td style={{ padding: '12px 20px', textAlign: 'center', background: 'rgba(139,92,246,0.02)' }}>
-                                                    {item.thu > 0 ? (
-                                                        <span style={{ fontSize: 18, fontWeight: 800, color: '#8b5cf6' }}>{item.thu}</span>
-                                                    ) : (
-                                                        <span style={{ color: C.muted, fontSize: 13 }}>—</span>
-                                                    )}
-                                                </td>
+                                                {routeDays.map(day => (
+                                                    <td key={day} style={{ padding: '12px 20px', textAlign: 'center', background: `${getRouteDayColor(day)}05` }}>
+                                                        {item.dayQtys[day] > 0 ? (
+                                                            <span style={{ fontSize: 18, fontWeight: 800, color: getRouteDayColor(day) }}>{item.dayQtys[day]}</span>
+                                                        ) : (
+                                                            <span style={{ color: C.muted, fontSize: 13 }}>—</span>
+                                                        )}
+                                                    </td>
+                                                ))}
                                                 <td style={{ padding: '12px 16px', textAlign: 'center' }}>
                                                     <span style={{ fontSize: 16, fontWeight: 700, color: C.green }}>{item.total}</span>
                                                     <span style={{ fontSize: 11, color: C.muted, marginLeft: 4 }}>{item.unit}</span>
@@ -292,13 +304,13 @@ export default function VendorExpectedAllocation() {
                                             {/* Branch Drill-down */}
                                             {expandedItems.has(item.name) && item.branches.length > 0 && (
                                                 <tr style={{ borderTop: 'none' }}>
-                                                    <td colSpan={7} style={{ padding: 0 }}>
+                                                    <td colSpan={routeDays.length + 5} style={{ padding: 0 }}>
                                                         <div style={{ padding: '12px 56px 20px', background: 'rgba(0,0,0,0.15)' }}>
                                                             <div style={{ fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', letterSpacing: 0.5, marginBottom: 10 }}>Branch Breakdown</div>
                                                             <table style={{ width: '100%', borderCollapse: 'collapse', background: 'rgba(255,255,255,0.02)', borderRadius: 8, overflow: 'hidden', border: '1px solid rgba(255,255,255,0.06)' }}>
                                                                 <thead>
                                                                     <tr>
-                                                                        {['Restaurant', 'Monday', 'Thursday', 'Total'].map(h => (
+                                                                        {['Restaurant', ...routeDays, 'Total'].map(h => (
                                                                             <th key={h} style={{ padding: '10px 14px', textAlign: 'left', fontSize: 11, color: C.muted, borderBottom: '1px solid rgba(255,255,255,0.06)' }}>{h}</th>
                                                                         ))}
                                                                     </tr>
@@ -307,9 +319,10 @@ export default function VendorExpectedAllocation() {
                                                                     {item.branches.map((b, bi) => (
                                                                         <tr key={bi} style={{ borderTop: '1px solid rgba(255,255,255,0.04)' }}>
                                                                             <td style={{ padding: '9px 14px', fontSize: 13, fontWeight: 500 }}>{b.name}</td>
-                                                                            <td style={{ padding: '9px 14px', fontSize: 13, fontWeight: 600, color: '#3b82f6' }}>{b.mon || '—'}</td>
-                                                                            <td style={{ padding: '9px 14px', fontSize: 13, fontWeight: 600, color: '#8b5cf6' }}>{b.thu || '—'}</td>
-                                                                            <td style={{ padding: '9px 14px', fontSize: 13, fontWeight: 700 }}>{b.mon + b.thu}</td>
+                                                                            {routeDays.map(day => (
+                                                                                <td key={day} style={{ padding: '9px 14px', fontSize: 13, fontWeight: 600, color: getRouteDayColor(day) }}>{b.dayQtys[day] || '—'}</td>
+                                                                            ))}
+                                                                            <td style={{ padding: '9px 14px', fontSize: 13, fontWeight: 700 }}>{sumDayQtys(b.dayQtys)}</td>
                                                                         </tr>
                                                                     ))}
                                                                 </tbody>
@@ -327,8 +340,9 @@ export default function VendorExpectedAllocation() {
                                         <td colSpan={3} style={{ padding: '14px 16px', fontSize: 13, fontWeight: 700, color: C.fg }}>
                                             Total — {demandItems.length} items
                                         </td>
-                                        <td style={{ padding: '14px 20px', textAlign: 'center', fontSize: 16, fontWeight: 800, color: '#3b82f6', background: 'rgba(59,130,246,0.04)' }}>{totalMon}</td>
-                                        <td style={{ padding: '14px 20px', textAlign: 'center', fontSize: 16, fontWeight: 800, color: '#8b5cf6', background: 'rgba(139,92,246,0.04)' }}>{totalThu}</td>
+                                        {routeDays.map(day => (
+                                            <td key={day} style={{ padding: '14px 20px', textAlign: 'center', fontSize: 16, fontWeight: 800, color: getRouteDayColor(day), background: `${getRouteDayColor(day)}0a` }}>{dayTotal(day)}</td>
+                                        ))}
                                         <td style={{ padding: '14px 16px', textAlign: 'center', fontSize: 16, fontWeight: 800, color: C.green }}>{totalPacks}</td>
                                         <td></td>
                                     </tr>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext, useMemo } from 'react';
+import React, { useState, useEffect, useContext, useMemo, useCallback } from 'react';
 import { UserContext } from '../../contexts/UserContext';
 import { db } from '../../firebase';
 import { collection, query, where, orderBy, onSnapshot } from 'firebase/firestore';
@@ -6,6 +6,9 @@ import { toast } from 'react-toastify';
 import { useNavigate } from 'react-router-dom';
 import StatusChip from '../ui/StatusChip';
 import GuidanceText, { pendingDuration } from '../ui/GuidanceText';
+import { subscribeToInvoiceAdjustments } from '../../services/financialEngine';
+import { groupAdjustmentsByInvoice, summarizeInvoiceBalance } from '../../shared/invoiceAdjustments';
+import { hasCommissionModel } from '../../shared/commissionRules';
 
 const STATUS_COLORS = {
     PENDING:  { bg: 'rgba(245,158,11,0.12)', color: '#f59e0b', label: 'Pending' },
@@ -19,6 +22,7 @@ export default function VendorInvoicesPage() {
     const { vendorId } = useContext(UserContext);
     const [invoices, setInvoices] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [adjustments, setAdjustments] = useState([]);
     const [statusFilter, setStatusFilter] = useState('All');
     const navigate = useNavigate();
 
@@ -40,9 +44,14 @@ export default function VendorInvoicesPage() {
             setLoading(false);
         });
 
-        return () => unsubscribe();
+        // Credit/debit notes — payouts below are net of the note chain
+        const unsubscribeAdjustments = subscribeToInvoiceAdjustments({ vendorId }, setAdjustments);
+
+        return () => { unsubscribe(); unsubscribeAdjustments(); };
     }, [vendorId]);
 
+    const adjustmentsByInvoice = useMemo(() => groupAdjustmentsByInvoice(adjustments, 'vendor'), [adjustments]);
+
     const formatDate = (timestamp) => {
         if (!timestamp) return 'N/A';
         const d = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -53,12 +62,13 @@ export default function VendorInvoicesPage() {
         return new Intl.NumberFormat('en-CA', { style: 'currency', currency: 'CAD' }).format(amount || 0);
     };
 
-    const getInvoiceAmount = (inv) => {
-        if (inv.commissionModel === 'VENDOR_FLAT_PERCENT') {
-            return (inv.netVendorPayable || 0) + (inv.totalTaxAmount || 0);
+    const getInvoiceAmount = useCallback((inv) => {
+        const balance = summarizeInvoiceBalance(inv, adjustmentsByInvoice[inv.id], 'vendor');
+        if (hasCommissionModel(inv)) {
+            return balance.netPayout + balance.netTax;
         }
-        return inv.totalVendorAmount || 0;
-    };
+        return (inv.totalVendorAmount || 0) + (balance.netGross - balance.originalGross) + (balance.netTax - balance.originalTax);
+    }, [adjustmentsByInvoice]);
 
     // ── KPI Computations ────────────────────────────────────────────────
     const kpis = useMemo(() => {
@@ -87,7 +97,7 @@ export default function VendorInvoicesPage() {
         });
 
         return { totalPending, totalPaid, totalOverdue, paidThisMonth, lastPaidDate };
-    }, [invoices]);
+    }, [invoices, getInvoiceAmount]);
 
     const filteredInvoices = invoices.filter(inv => {
         if (statusFilter === 'All') return true;
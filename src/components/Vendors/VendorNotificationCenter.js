@@ -3,8 +3,8 @@
  * 
  * In-app notification feed for vendor events:
  * dispatch requests, invoice generated, import results, issue raised, etc.
- * Reads from vendorNotifications/{vendorId}/notifications subcollection.
- * Falls back to computed notifications from existing data if no stored notifications exist.
+ * Stored vendor notifications (`notifications`, role VENDOR — e.g. payouts sent)
+ * are listed alongside notifications computed from existing data.
  */
 import React, { useState, useEffect, useContext, useMemo } from 'react';
 import { UserContext } from '../../contexts/UserContext';
@@ -23,6 +23,13 @@ const NOTIF_TYPES = {
     item_review:       { icon: '📋', color: '#f59e0b', label: 'Item Needs Review' },
     stale_price:       { icon: '⏰', color: '#fbbf24', label: 'Stale Price Alert' },
     capacity_gap:      { icon: '🛡️', color: '#e879f9', label: 'Capacity Below Forecast' },
+    substitution:      { icon: '🔁', color: '#a78bfa', label: 'Substitution Response' },
+};
+
+// `notifications` doc type → feed type and where it opens (a path, or built from the doc)
+const STORED_TYPES = {
+    PAYOUT_COMPLETED: { type: 'payout_completed', link: '/vendor/invoices' },
+    SUBSTITUTION_RESPONDED: { type: 'substitution', link: (n) => `/dispatch-requests/${n.dispatchId || n.orderId}` },
 };
 
 export default function VendorNotificationCenter() {
@@ -97,7 +104,27 @@ export default function VendorNotificationCenter() {
                 });
             } catch (_) {}
 
-            // 4. Stale items (items not updated in 30+ days)
+            // 4. Stored notifications (payout batches, substitution responses)
+            try {
+                const nq = query(collection(db, 'notifications'), where('role', '==', 'VENDOR'), where('vendorId', '==', vendorId), orderBy('createdAt', 'desc'), limit(20));
+                const nSnap = await getDocs(nq);
+                nSnap.docs.forEach(d => {
+                    const data = d.data();
+                    const stored = STORED_TYPES[data.type];
+                    if (!stored) return;
+                    notifs.push({
+                        id: 'notif_' + d.id,
+                        type: stored.type,
+                        title: data.title,
+                        description: data.message || '',
+                        timestamp: data.createdAt,
+                        link: typeof stored.link === 'function' ? stored.link(data) : stored.link,
+                        read: !!data.isRead,
+                    });
+                });
+            } catch (_) {}
+
+            // 5. Stale items (items not updated in 30+ days)
             try {
                 const itemSnap = await getDocs(collection(db, `vendors/${vendorId}/items`));
                 let staleCount = 0;
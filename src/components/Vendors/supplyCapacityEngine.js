@@ -11,6 +11,8 @@
  *   import { forecastSupplyHealth, generateMockCapacityForecast, ... } from './supplyCapacityEngine';
  */
 
+import { normalizeDeliveryDays, splitAcrossDays, sumDayQtys } from '../../shared/deliverySchedules';
+
 // ── Configuration ─────────────────────────────────────────────────────────────
 
 export const CAPACITY_CONFIG = {
@@ -42,6 +44,22 @@ function safetyMarginForCategory(category) {
     return CAPACITY_CONFIG.defaultSafetyMargin;
 }
 
+// ── Delivery-day splits ───────────────────────────────────────────────────────
+
+/**
+ * Split a weekly quantity across delivery days in proportion to history
+ * (day → quantity delivered). Empty when there is no history.
+ */
+export function splitByDayHistory(weeklyQty, dayTotals) {
+    const total = sumDayQtys(dayTotals);
+    if (total <= 0) return {};
+    const shares = {};
+    Object.entries(dayTotals).forEach(([day, qty]) => { if (qty > 0) shares[day] = qty / total; });
+    return splitAcrossDays(weeklyQty, shares);
+}
+
+const healthRatio = (gap, safe, cap) => (safe > 0 ? gap / safe : (cap > 0 ? 1 : 0));
+
 // ── Core Forecast Function ────────────────────────────────────────────────────
 
 /**
@@ -52,8 +70,8 @@ function safetyMarginForCategory(category) {
  * @param {string} params.comparableGroup
  * @param {string} params.category
  * @param {string} params.weekStart — ISO date
- * @param {Object} params.demand — { monday, thursday, weekly }
- * @param {Array}  params.vendors — [{ vendorId, vendorName, mondayCapacity, thursdayCapacity, weeklyCapacity, stockStatus, leadTimeDays, capacityConfidence, active, isNew }]
+ * @param {Object} params.demand — { dayQtys: { day → qty }, weekly }
+ * @param {Array}  params.vendors — [{ vendorId, vendorName, dayCapacities: { day → qty }, weeklyCapacity, stockStatus, leadTimeDays, capacityConfidence, active, isNew }]
  * @param {Object} [params.config] — override CAPACITY_CONFIG
  * @returns {Object} supply forecast result
  */
@@ -69,34 +87,42 @@ export function forecastSupplyHealth({
     // Filter active, in-stock vendors
     const activeVendors = vendors.filter(v => v.active !== false && v.stockStatus !== 'out_of_stock');
 
-    // Aggregate capacity
-    const mondayCap = activeVendors.reduce((s, v) => s + (v.mondayCapacity || 0), 0);
-    const thursdayCap = activeVendors.reduce((s, v) => s + (v.thursdayCapacity || 0), 0);
-    const weeklyCap = activeVendors.reduce((s, v) => s + (v.weeklyCapacity || Math.max(0, (v.mondayCapacity || 0) + (v.thursdayCapacity || 0))), 0);
+    // Delivery days with demand or capacity, in week order
+    const demandDays = demand.dayQtys || {};
+    const routeDays = normalizeDeliveryDays([
+        ...Object.keys(demandDays),
+        ...activeVendors.flatMap(v => Object.keys(v.dayCapacities || {})),
+    ]);
 
-    const weeklyDemand = demand.weekly || ((demand.monday || 0) + (demand.thursday || 0));
-    const mondayDemand = demand.monday || 0;
-    const thursdayDemand = demand.thursday || 0;
+    // Aggregate capacity
+    const weeklyCap = activeVendors.reduce((s, v) => s + (v.weeklyCapacity || Math.max(0, sumDayQtys(v.dayCapacities))), 0);
+    const weeklyDemand = demand.weekly || sumDayQtys(demandDays);
 
     // Safety-adjusted demand
     const margin = safetyMarginForCategory(category);
     const safeWeekly = Math.ceil(weeklyDemand * (1 + margin));
-    const safeMonday = Math.ceil(mondayDemand * (1 + margin));
-    const safeThursday = Math.ceil(thursdayDemand * (1 + margin));
 
     // Gaps
     const weeklyGap = weeklyCap - safeWeekly;
-    const mondayGap = mondayCap - safeMonday;
-    const thursdayGap = thursdayCap - safeThursday;
-
-    // Health per period
-    const weeklyGapPct = safeWeekly > 0 ? weeklyGap / safeWeekly : (weeklyCap > 0 ? 1 : 0);
-    const mondayGapPct = safeMonday > 0 ? mondayGap / safeMonday : (mondayCap > 0 ? 1 : 0);
-    const thursdayGapPct = safeThursday > 0 ? thursdayGap / safeThursday : (thursdayCap > 0 ? 1 : 0);
 
+    // Health
+    const weeklyGapPct = healthRatio(weeklyGap, safeWeekly, weeklyCap);
     const weeklyHealth = supplyHealthLabel(weeklyGapPct);
-    const mondayHealth = supplyHealthLabel(mondayGapPct);
-    const thursdayHealth = supplyHealthLabel(thursdayGapPct);
+
+    // Day splits
+    const dayDemand = {};
+    const dayCapacity = {};
+    const dayGaps = {};
+    const dayGapPct = {};
+    const dayHealth = {};
+    routeDays.forEach(day => {
+        dayDemand[day] = demandDays[day] || 0;
+        dayCapacity[day] = activeVendors.reduce((s, v) => s + (v.dayCapacities?.[day] || 0), 0);
+        const safe = Math.ceil(dayDemand[day] * (1 + margin));
+        dayGaps[day] = dayCapacity[day] - safe;
+        dayGapPct[day] = parseFloat(healthRatio(dayGaps[day], safe, dayCapacity[day]).toFixed(4));
+        dayHealth[day] = supplyHealthLabel(dayGapPct[day]).text;
+    });
 
     // Shortage / excess quantities
     const shortageRiskQty = weeklyGap < 0 ? Math.abs(weeklyGap) : 0;
@@ -106,8 +132,7 @@ export function forecastSupplyHealth({
     const vendorBreakdown = activeVendors.map(v => ({
         vendorId: v.vendorId,
         vendorName: v.vendorName,
-        mondayCapacity: v.mondayCapacity || 0,
-        thursdayCapacity: v.thursdayCapacity || 0,
+        dayCapacities: v.dayCapacities || {},
         weeklyCapacity: v.weeklyCapacity || 0,
         stockStatus: v.stockStatus || 'in_stock',
         leadTimeDays: v.leadTimeDays || 0,
@@ -126,12 +151,11 @@ export function forecastSupplyHealth({
     if (weeklyHealth.text === 'Excess Capacity') {
         alerts.push({ type: 'opportunity', severity: 'info', text: `Excess capacity for ${itemName}: ${excessCapacityQty} units above demand — growth opportunity` });
     }
-    if (mondayHealth.text === 'Shortage Risk') {
-        alerts.push({ type: 'day_shortage', severity: 'warning', text: `Monday shortage risk: ${Math.abs(mondayGap)} units short` });
-    }
-    if (thursdayHealth.text === 'Shortage Risk') {
-        alerts.push({ type: 'day_shortage', severity: 'warning', text: `Thursday shortage risk: ${Math.abs(thursdayGap)} units short` });
-    }
+    routeDays.forEach(day => {
+        if (dayHealth[day] === 'Shortage Risk') {
+            alerts.push({ type: 'day_shortage', severity: 'warning', text: `${day} shortage risk: ${Math.abs(dayGaps[day])} units short` });
+        }
+    });
 
     return {
         itemName,
@@ -140,15 +164,11 @@ export function forecastSupplyHealth({
         weekStart,
 
         // Demand
-        mondayForecastDemand: mondayDemand,
-        thursdayForecastDemand: thursdayDemand,
         weeklyForecastDemand: weeklyDemand,
         safetyMargin: margin,
         safetyAdjustedDemand: safeWeekly,
 
         // Capacity
-        mondayCapacity: mondayCap,
-        thursdayCapacity: thursdayCap,
         weeklyCapacity: weeklyCap,
         activeVendorCount: activeVendors.length,
 
@@ -161,11 +181,13 @@ export function forecastSupplyHealth({
         shortageRiskQty,
         excessCapacityQty,
 
-        // Day splits
-        mondayHealth: mondayHealth.text,
-        thursdayHealth: thursdayHealth.text,
-        mondayGap,
-        thursdayGap,
+        // Day splits, keyed by delivery day
+        routeDays,
+        dayDemand,
+        dayCapacity,
+        dayGaps,
+        dayGapPct,
+        dayHealth,
 
         // Vendors
         vendorBreakdown,
@@ -195,50 +217,50 @@ export function generateMockCapacityForecast() {
     const items = [
         {
             itemName: 'Red Onion 25lb', comparableGroup: 'red_onion_25lb', category: 'Produce',
-            demand: { monday: 60, thursday: 40 },
+            demand: { dayQtys: { Monday: 60, Thursday: 40 } },
             vendors: [
-                { vendorId: 'v1', vendorName: 'ON Thyme', mondayCapacity: 40, thursdayCapacity: 30, weeklyCapacity: 80, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'history', active: true },
-                { vendorId: 'v2', vendorName: 'Test Taas', mondayCapacity: 15, thursdayCapacity: 10, weeklyCapacity: 30, stockStatus: 'in_stock', leadTimeDays: 2, capacityConfidence: 'declared', active: true },
-                { vendorId: 'v3', vendorName: 'Vendor A', mondayCapacity: 20, thursdayCapacity: 15, weeklyCapacity: 40, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'declared', active: true },
+                { vendorId: 'v1', vendorName: 'ON Thyme', dayCapacities: { Monday: 40, Thursday: 30 }, weeklyCapacity: 80, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'history', active: true },
+                { vendorId: 'v2', vendorName: 'Test Taas', dayCapacities: { Monday: 15, Thursday: 10 }, weeklyCapacity: 30, stockStatus: 'in_stock', leadTimeDays: 2, capacityConfidence: 'declared', active: true },
+                { vendorId: 'v3', vendorName: 'Vendor A', dayCapacities: { Monday: 20, Thursday: 15 }, weeklyCapacity: 40, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'declared', active: true },
             ],
         },
         {
             itemName: 'Coriander Fresh 1lb', comparableGroup: 'coriander_fresh_1lb', category: 'Produce',
-            demand: { monday: 45, thursday: 30 },
+            demand: { dayQtys: { Monday: 45, Thursday: 30 } },
             vendors: [
-                { vendorId: 'v1', vendorName: 'ON Thyme', mondayCapacity: 35, thursdayCapacity: 25, weeklyCapacity: 70, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'history', active: true },
-                { vendorId: 'v2', vendorName: 'Test Taas', mondayCapacity: 8, thursdayCapacity: 5, weeklyCapacity: 15, stockStatus: 'limited', leadTimeDays: 2, capacityConfidence: 'estimated', active: true },
+                { vendorId: 'v1', vendorName: 'ON Thyme', dayCapacities: { Monday: 35, Thursday: 25 }, weeklyCapacity: 70, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'history', active: true },
+                { vendorId: 'v2', vendorName: 'Test Taas', dayCapacities: { Monday: 8, Thursday: 5 }, weeklyCapacity: 15, stockStatus: 'limited', leadTimeDays: 2, capacityConfidence: 'estimated', active: true },
             ],
         },
         {
             itemName: '8oz Soup Cup 500ct', comparableGroup: '8oz_soup_cups_500ct', category: 'Packaging',
-            demand: { monday: 20, thursday: 15 },
+            demand: { dayQtys: { Monday: 20, Thursday: 15 } },
             vendors: [
-                { vendorId: 'v1', vendorName: 'ON Thyme', mondayCapacity: 15, thursdayCapacity: 10, weeklyCapacity: 30, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'declared', active: true },
-                { vendorId: 'v3', vendorName: 'Vendor A', mondayCapacity: 12, thursdayCapacity: 10, weeklyCapacity: 25, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'declared', active: true },
-                { vendorId: 'v4', vendorName: 'Vendor B', mondayCapacity: 20, thursdayCapacity: 15, weeklyCapacity: 40, stockStatus: 'in_stock', leadTimeDays: 3, capacityConfidence: 'history', active: true },
+                { vendorId: 'v1', vendorName: 'ON Thyme', dayCapacities: { Monday: 15, Thursday: 10 }, weeklyCapacity: 30, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'declared', active: true },
+                { vendorId: 'v3', vendorName: 'Vendor A', dayCapacities: { Monday: 12, Thursday: 10 }, weeklyCapacity: 25, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'declared', active: true },
+                { vendorId: 'v4', vendorName: 'Vendor B', dayCapacities: { Monday: 20, Thursday: 15 }, weeklyCapacity: 40, stockStatus: 'in_stock', leadTimeDays: 3, capacityConfidence: 'history', active: true },
             ],
         },
         {
             itemName: 'Chicken Breast 10lb', comparableGroup: 'chicken_breast_10lb', category: 'Meat',
-            demand: { monday: 30, thursday: 25 },
+            demand: { dayQtys: { Monday: 30, Thursday: 25 } },
             vendors: [
-                { vendorId: 'v1', vendorName: 'ON Thyme', mondayCapacity: 18, thursdayCapacity: 12, weeklyCapacity: 35, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'history', active: true },
-                { vendorId: 'v5', vendorName: 'Vendor C', mondayCapacity: 5, thursdayCapacity: 5, weeklyCapacity: 12, stockStatus: 'in_stock', leadTimeDays: 2, capacityConfidence: 'declared', active: true, isNew: true },
+                { vendorId: 'v1', vendorName: 'ON Thyme', dayCapacities: { Monday: 18, Thursday: 12 }, weeklyCapacity: 35, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'history', active: true },
+                { vendorId: 'v5', vendorName: 'Vendor C', dayCapacities: { Monday: 5, Thursday: 5 }, weeklyCapacity: 12, stockStatus: 'in_stock', leadTimeDays: 2, capacityConfidence: 'declared', active: true, isNew: true },
             ],
         },
         {
             itemName: 'Cabbage 50lb', comparableGroup: 'cabbage_50lb', category: 'Produce',
-            demand: { monday: 50, thursday: 35 },
+            demand: { dayQtys: { Monday: 50, Thursday: 35 } },
             vendors: [
-                { vendorId: 'v3', vendorName: 'Vendor A', mondayCapacity: 20, thursdayCapacity: 15, weeklyCapacity: 40, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'declared', active: true },
+                { vendorId: 'v3', vendorName: 'Vendor A', dayCapacities: { Monday: 20, Thursday: 15 }, weeklyCapacity: 40, stockStatus: 'in_stock', leadTimeDays: 1, capacityConfidence: 'declared', active: true },
             ],
         },
         {
             itemName: 'T28 Container 500ct', comparableGroup: 't28_container_500ct', category: 'Packaging',
-            demand: { monday: 8, thursday: 5 },
+            demand: { dayQtys: { Monday: 8, Thursday: 5 } },
             vendors: [
-                { vendorId: 'v4', vendorName: 'Vendor B', mondayCapacity: 30, thursdayCapacity: 25, weeklyCapacity: 60, stockStatus: 'in_stock', leadTimeDays: 2, capacityConfidence: 'history', active: true },
+                { vendorId: 'v4', vendorName: 'Vendor B', dayCapacities: { Monday: 30, Thursday: 25 }, weeklyCapacity: 60, stockStatus: 'in_stock', leadTimeDays: 2, capacityConfidence: 'history', active: true },
             ],
         },
     ];
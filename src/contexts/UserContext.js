@@ -20,6 +20,7 @@ export const UserContext = createContext({
     role: null,
     vendorId: null,
     vendorName: '',
+    restaurantId: null,
     isSuperAdmin: false,
     isAdmin: false,
     isUser: false,
@@ -104,6 +105,7 @@ export function UserProvider({ children }) {
                 role: profile.role || null,
                 vendorId: profile.vendorId || null,
                 vendorName: profile.vendorName || null,
+                restaurantId: profile.restaurantId || null,
                 permissions: profile.permissions || {},
                 active: profile.active !== false,
                 position: profile.position || null,
@@ -141,6 +143,7 @@ export function UserProvider({ children }) {
         role: user?.role || null,
         vendorId: user?.vendorId || null,
         vendorName: user?.vendorName || '',
+        restaurantId: user?.restaurantId || null,
         isSuperAdmin: normalizedRole === 'superadmin',
         isAdmin: normalizedRole === 'admin',
         isUser: normalizedRole === 'user',
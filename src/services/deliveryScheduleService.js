@@ -0,0 +1,82 @@
+/**
+ * deliveryScheduleService.js
+ *
+ * Delivery days per restaurant, per vendor and per restaurant / vendor pair
+ * (src/shared/deliverySchedules.js). Restaurant days are edited on
+ * ManageRestaurantsPage; vendor days and pair overrides on the Delivery
+ * Schedules page.
+ *
+ * Usage:
+ *   import { fetchDeliverySchedules } from '../../services/deliveryScheduleService';
+ *   const schedules = await fetchDeliverySchedules();
+ *   const { days } = getPairSchedule(schedules, vendorId, restaurantId);
+ */
+import { collection, getDocs, doc, setDoc, updateDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase';
+import { normalizeDeliveryDays, getPairScheduleId, SCHEDULES_COLLECTION } from '../shared/deliverySchedules';
+import { logAdminChange } from '../utils/adminAuditLogger';
+
+/**
+ * Every schedule, keyed for getPairSchedule(): restaurant, vendor and pair
+ * days, plus display names.
+ * @returns {Promise<{ restaurants: Object, vendors: Object, pairs: Object, names: { restaurants: Object, vendors: Object } }>}
+ */
+export async function fetchDeliverySchedules() {
+    const [restaurantSnap, vendorSnap, pairSnap] = await Promise.all([
+        getDocs(collection(db, 'restaurants')),
+        getDocs(collection(db, 'vendors')),
+        getDocs(collection(db, SCHEDULES_COLLECTION)),
+    ]);
+    const schedules = { restaurants: {}, vendors: {}, pairs: {}, names: { restaurants: {}, vendors: {} } };
+    restaurantSnap.docs.forEach(d => {
+        const data = d.data();
+        const id = data.restaurantId || d.id;
+        schedules.restaurants[id] = normalizeDeliveryDays(data.deliveryDays);
+        schedules.names.restaurants[id] = data.name || id;
+    });
+    vendorSnap.docs.forEach(d => {
+        const data = d.data();
+        schedules.vendors[d.id] = normalizeDeliveryDays(data.deliveryDays);
+        schedules.names.vendors[d.id] = data.name || d.id;
+    });
+    pairSnap.docs.forEach(d => { schedules.pairs[d.id] = normalizeDeliveryDays(d.data().days); });
+    return schedules;
+}
+
+/**
+ * @param {string} vendorId
+ * @param {Array<string>} days
+ * @param {{ displayName?: string }} [editor]
+ */
+export async function saveVendorDeliveryDays(vendorId, days, editor = {}) {
+    const deliveryDays = normalizeDeliveryDays(days);
+    await updateDoc(doc(db, 'vendors', vendorId), { deliveryDays, updatedAt: serverTimestamp() });
+    await logAdminChange({ entityType: 'vendor', entityId: vendorId, action: 'delivery_days_updated', changedBy: editor.displayName, afterState: { deliveryDays } });
+    return deliveryDays;
+}
+
+/**
+ * Set the days one restaurant / vendor pair delivers on; no days removes the
+ * override so the pair follows the restaurant and vendor schedules again.
+ * @param {string} vendorId
+ * @param {string} restaurantId
+ * @param {Array<string>} days
+ * @param {{ displayName?: string }} [editor]
+ */
+export async function savePairSchedule(vendorId, restaurantId, days, editor = {}) {
+    const id = getPairScheduleId(vendorId, restaurantId);
+    const normalized = normalizeDeliveryDays(days);
+    if (normalized.length === 0) {
+        await deleteDoc(doc(db, SCHEDULES_COLLECTION, id));
+    } else {
+        await setDoc(doc(db, SCHEDULES_COLLECTION, id), {
+            vendorId,
+            restaurantId,
+            days: normalized,
+            updatedAt: serverTimestamp(),
+            updatedBy: editor.displayName || '',
+        });
+    }
+    await logAdminChange({ entityType: 'deliverySchedule', entityId: id, action: normalized.length ? 'updated' : 'removed', changedBy: editor.displayName, afterState: { days: normalized } });
+    return normalized;
+}
@@ -2,167 +2,290 @@
  * dispatchLifecycleService.js
  * 
  * Manages the full dispatch lifecycle including:
- * - Extended delivery statuses (Packed, Out for Delivery, Delivered, Delayed, Failed)
+ * - Extended delivery statuses (Packed, Out for Delivery, Delivered, Delayed, Failed),
+ *   as defined in src/shared/statusMachine.js
  * - Cancellation handling (vendor, admin, partial)
- * - Substitution validation
+ * - Substitution proposals and their acceptance (src/shared/substitutions.js)
  * - Time tracking for all state transitions
  */
 import { db } from '../firebase';
-import { doc, getDoc, updateDoc, addDoc, collection, serverTimestamp } from 'firebase/firestore';
-
-/* ── Status Flow ── */
-const STATUS_FLOW = {
-    'Sent':                 ['Confirmed', 'Partially Confirmed', 'Rejected', 'Cancelled'],
-    'Confirmed':            ['Packed', 'Cancelled'],
-    'Partially Confirmed':  ['Packed', 'Cancelled'],
-    'Packed':               ['Out for Delivery', 'Cancelled'],
-    'Out for Delivery':     ['Delivered', 'Delivery Delayed', 'Delivery Failed'],
-    'Delivery Delayed':     ['Out for Delivery', 'Delivered', 'Delivery Failed'],
-    'Delivery Failed':      ['Out for Delivery', 'Cancelled'],
-    'Delivered':            [], // terminal
-    'Rejected':             [], // terminal
-    'Cancelled':            [], // terminal
-};
+import {
+    collection, query, where, doc, getDoc, getDocs, addDoc, runTransaction, writeBatch,
+    serverTimestamp, arrayUnion, increment,
+} from 'firebase/firestore';
+import { requestStatusTransition } from './statusTransitionService';
+import { fetchOrderTaxComponents } from './proofOfDeliveryService';
+import { logAdminChange } from '../utils/adminAuditLogger';
+import { getRouteDispatchId } from '../shared/deliverySchedules';
+import { getLineKey, priceOrderItems } from '../shared/proofOfDelivery';
+import {
+    canSubstitute,
+    getSubstitutableQty,
+    getSubstitutionId,
+    findOpenProposal,
+    getRespondingRestaurantId,
+    canRespondToSubstitution,
+    validateSubstitution,
+    buildSubstitution,
+    resolveSubstitution,
+    applySubstitutionToDispatchItems,
+    applySubstitutionToRouteItems,
+    applySubstitutionToOrderItems,
+    buildCorrectionSubstitution,
+} from '../shared/substitutions';
+
+const SOURCE_COLLECTIONS = { dispatch: 'vendorDispatches', marketplace: 'marketplaceOrders' };
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
 
 /**
- * Transition a dispatch to a new status with full validation and time tracking.
+ * Transition a dispatch to a new status. The move is validated against the
+ * shared state machine and applied by the `transitionStatus` Cloud Function,
+ * which also stamps the timestamps and writes the audit entry.
  *
  * @param {string} dispatchId
  * @param {string} newStatus
  * @param {Object} [options]
- * @param {string} [options.performedBy='system']
  * @param {string} [options.reason]
  * @param {string} [options.cancellationType] - 'vendor' | 'admin' | 'partial'
  * @param {Array}  [options.cancelledItems] - items cancelled in partial cancellation
  * @param {string} [options.estimatedDeliveryTime]
  * @param {string} [options.delayReason]
  * @param {string} [options.failureReason]
- * @returns {Promise<Object>} - { previousStatus, newStatus, timestamps }
+ * @returns {Promise<Object>} - { previousStatus, newStatus }
  */
 export async function transitionDispatchStatus(dispatchId, newStatus, options = {}) {
-    const ref = doc(db, 'vendorDispatches', dispatchId);
-    const snap = await getDoc(ref);
-    if (!snap.exists()) throw new Error('Dispatch not found');
-
-    const data = snap.data();
-    const currentStatus = data.status || 'Sent';
-    const allowed = STATUS_FLOW[currentStatus] || [];
-
-    if (!allowed.includes(newStatus)) {
-        throw new Error(`Cannot transition from '${currentStatus}' to '${newStatus}'. Allowed: ${allowed.join(', ')}`);
-    }
-
-    // Build timestamp key for this transition
-    const tsKey = `ts_${newStatus.replace(/\s+/g, '_').toLowerCase()}`;
-    const now = new Date().toISOString();
-
-    const update = {
-        status: newStatus,
-        [tsKey]: now,
-        updatedAt: serverTimestamp(),
+    const fields = {
+        estimatedDeliveryTime: options.estimatedDeliveryTime,
+        delayReason: options.delayReason || options.reason,
+        failureReason: options.failureReason || options.reason,
     };
-
-    // Preserve all existing timestamps
-    const timestamps = { ...(data.timestamps || {}) };
-    timestamps[newStatus] = now;
-    update.timestamps = timestamps;
-
-    // Handle cancellation
     if (newStatus === 'Cancelled') {
-        update.cancellationType = options.cancellationType || 'vendor';
-        update.cancellationReason = options.reason || '';
-        update.cancelledBy = options.performedBy || 'system';
-        update.cancelledAt = now;
-
+        fields.cancellationType = options.cancellationType || 'vendor';
+        fields.cancellationReason = options.reason || '';
         if (options.cancellationType === 'partial' && options.cancelledItems) {
-            update.cancelledItems = options.cancelledItems;
+            fields.cancelledItems = options.cancelledItems;
         }
     }
 
-    // Handle delivery delay
-    if (newStatus === 'Delivery Delayed') {
-        update.delayReason = options.delayReason || options.reason || '';
-        update.delayedAt = now;
-    }
-
-    // Handle delivery failure
-    if (newStatus === 'Delivery Failed') {
-        update.failureReason = options.failureReason || options.reason || '';
-        update.failedAt = now;
-    }
-
-    // Handle delivery
-    if (newStatus === 'Delivered') {
-        update.deliveredAt = now;
-    }
+    const result = await requestStatusTransition('dispatch', dispatchId, newStatus, {
+        fields,
+        reason: options.reason,
+    });
+    return { previousStatus: result.fromStatus, newStatus: result.toStatus };
+}
 
-    // Handle packed
-    if (newStatus === 'Packed') {
-        update.packedAt = now;
-    }
+/**
+ * Propose a substitute from the vendor's catalog for some or all of a line
+ * it cannot fill. A superadmin, or the restaurant the line goes to, then
+ * accepts or declines it (respondToSubstitution). Sending the same proposal
+ * again returns the open one instead of adding it twice.
+ *
+ * @param {string} sourceId — `vendorDispatches` or `marketplaceOrders` id
+ * @param {Object} proposal
+ * @param {string} proposal.lineKey — getLineKey() of the line
+ * @param {string} [proposal.routeDay] — dispatch route day
+ * @param {number} proposal.qty
+ * @param {Object} proposal.substitute — `{ vendorItemId, catalogItemId, itemName, packSize, unit, price, category, taxable, taxCategory }`
+ * @param {string} [proposal.note]
+ * @param {Object} [options]
+ * @param {string} [options.performedBy='vendor']
+ * @param {'dispatch'|'marketplace'} [options.source='dispatch']
+ * @returns {Promise<{ substitution: Object, substitutionCount: number, duplicate?: boolean }>}
+ */
+export async function registerSubstitution(sourceId, { lineKey, routeDay = '', qty, substitute, note = '' }, { performedBy = 'vendor', source = 'dispatch' } = {}) {
+    const ref = doc(db, SOURCE_COLLECTIONS[source], sourceId);
+    const result = await runTransaction(db, async (txn) => {
+        const snap = await txn.get(ref);
+        if (!snap.exists()) throw new Error(source === 'dispatch' ? 'Dispatch not found' : 'Order not found');
+        const data = snap.data();
+        if (!canSubstitute(source, data.status)) throw new Error('Substitutions can no longer be proposed on this order.');
 
-    // Handle out for delivery
-    if (newStatus === 'Out for Delivery') {
-        update.outForDeliveryAt = now;
-        if (options.estimatedDeliveryTime) {
-            update.estimatedDeliveryTime = options.estimatedDeliveryTime;
-        }
-    }
+        const index = (data.items || []).findIndex((item, i) => getLineKey(item, i) === lineKey);
+        if (index < 0) throw new Error('Line not found');
+        const open = findOpenProposal(data.substitutions, { lineKey, routeDay, qty, substitute });
+        if (open) return { substitution: open, substitutionCount: data.substitutions.length, data, duplicate: true };
+        const errors = validateSubstitution({
+            qty,
+            maxQty: getSubstitutableQty(data, lineKey, routeDay),
+            original: data.items[index],
+            substitute,
+        });
+        if (errors.length) throw new Error(errors[0]);
 
-    await updateDoc(ref, update);
-
-    // Audit log
-    try {
-        await addDoc(collection(db, 'adminChangeLogs'), {
-            entityType: 'dispatch',
-            entityId: dispatchId,
-            action: 'status_transition',
-            changedBy: options.performedBy || 'system',
-            changedFields: { status: { from: currentStatus, to: newStatus } },
-            metadata: { reason: options.reason, cancellationType: options.cancellationType },
-            timestamp: serverTimestamp(),
+        const substitution = buildSubstitution({
+            id: getSubstitutionId(data.substitutions, lineKey, routeDay),
+            item: data.items[index],
+            lineKey,
+            routeDay,
+            qty: Number(qty),
+            substitute,
+            note,
+            proposedBy: performedBy,
         });
-    } catch (_) {}
+        const substitutions = [...(data.substitutions || []), substitution];
+        txn.update(ref, { substitutions, updatedAt: serverTimestamp() });
+        return { substitution, substitutionCount: substitutions.length, data };
+    });
 
-    return { previousStatus: currentStatus, newStatus, timestamps };
+    const { substitution, data } = result;
+    if (result.duplicate) return { substitution, substitutionCount: result.substitutionCount, duplicate: true };
+    const notification = {
+        type: 'SUBSTITUTION_PROPOSED',
+        [source === 'dispatch' ? 'dispatchId' : 'orderId']: sourceId,
+        vendorId: data.vendorId || '',
+        substitutionId: substitution.id,
+        title: 'Substitution Proposed',
+        message: `${data.vendorName || 'Vendor'} proposes ${substitution.qty} × ${substitution.substituteItemName} for ${substitution.originalItemName}${routeDay ? ` (${routeDay})` : ''}.`,
+        isRead: false,
+        createdAt: serverTimestamp(),
+    };
+    await addDoc(collection(db, 'notifications'), { ...notification, role: 'ADMIN' });
+    const restaurantId = getRespondingRestaurantId(source, data, substitution);
+    if (restaurantId) await addDoc(collection(db, 'notifications'), { ...notification, role: 'RESTAURANT', restaurantId });
+    await logAdminChange({
+        entityType: source === 'dispatch' ? 'dispatch' : 'order',
+        entityId: sourceId,
+        action: 'substitution_proposed',
+        changedBy: performedBy,
+        afterState: substitution,
+    });
+    return { substitution, substitutionCount: result.substitutionCount };
 }
 
 /**
- * Validate and register a substitution for dispatch items.
+ * Accept or decline a proposed substitution. Accepting applies it to the
+ * dispatch items, the route day's items and the dispatch billing totals — or
+ * to the order items and totals — in one transaction, then annotates the
+ * restaurants' forecast corrections for that week. Only superadmins and the
+ * restaurant the line goes to may answer (canRespondToSubstitution).
  *
- * @param {string} dispatchId
- * @param {Object} substitution
- * @param {string} substitution.originalItemName
- * @param {string} substitution.substituteItemName
- * @param {number} substitution.substituteQty
- * @param {string} [substitution.substituteUnit]
- * @param {string} [substitution.note]
- * @param {string} [performedBy='vendor']
+ * @param {string} sourceId
+ * @param {string} substitutionId
+ * @param {'accepted'|'declined'} decision
+ * @param {Object} [options]
+ * @param {string} options.role — the user's role: 'superadmin' or 'restaurant'
+ * @param {string} [options.restaurantId] — the restaurant user's restaurant
+ * @param {string} [options.performedBy='admin']
+ * @param {string} [options.note]
+ * @param {'dispatch'|'marketplace'} [options.source='dispatch']
+ * @returns {Promise<{ substitution: Object, correctionCount: number }>}
  */
-export async function registerSubstitution(dispatchId, substitution, performedBy = 'vendor') {
-    const ref = doc(db, 'vendorDispatches', dispatchId);
-    const snap = await getDoc(ref);
-    if (!snap.exists()) throw new Error('Dispatch not found');
+export async function respondToSubstitution(sourceId, substitutionId, decision, { role, restaurantId, performedBy = 'admin', note = '', source = 'dispatch' } = {}) {
+    const ref = doc(db, SOURCE_COLLECTIONS[source], sourceId);
+    const { substitution, data, substituteLine } = await runTransaction(db, async (txn) => {
+        const snap = await txn.get(ref);
+        if (!snap.exists()) throw new Error(source === 'dispatch' ? 'Dispatch not found' : 'Order not found');
+        const current = snap.data();
+        const existing = (current.substitutions || []).find(s => s.id === substitutionId);
+        if (!existing) throw new Error('Substitution not found');
+        if (!canRespondToSubstitution({ role, restaurantId }, source, current, existing)) {
+            throw new Error('Only a superadmin or the restaurant receiving this line can answer this substitution.');
+        }
+        const resolved = resolveSubstitution(existing, decision, { actor: performedBy, note });
+        const updates = {
+            substitutions: current.substitutions.map(s => (s.id === substitutionId ? resolved : s)),
+            updatedAt: serverTimestamp(),
+        };
+        let line = null;
 
-    const data = snap.data();
+        if (decision === 'accepted') {
+            if (!canSubstitute(source, current.status)) throw new Error('This order can no longer change.');
+            if (source === 'dispatch') {
+                const routeRef = doc(db, 'vendorDispatchRoutes', getRouteDispatchId(sourceId, resolved.routeDay));
+                const routeSnap = await txn.get(routeRef);
+                const applied = applySubstitutionToDispatchItems(current.items, resolved);
+                line = applied.substituteLine;
+                Object.assign(updates, {
+                    items: applied.items,
+                    restaurantBillingTotal: round2((Number(current.restaurantBillingTotal) || 0) + applied.billingDelta.restaurantBilling),
+                    vendorPayoutTotal: round2((Number(current.vendorPayoutTotal) || 0) + applied.billingDelta.vendorPayout),
+                    marketplaceCommissionTotal: round2((Number(current.marketplaceCommissionTotal) || 0) + applied.billingDelta.commission),
+                });
+                // Routes sent before route children existed have none to update
+                if (routeSnap.exists()) {
+                    txn.update(routeRef, {
+                        items: applySubstitutionToRouteItems(routeSnap.data().items, resolved, line),
+                        updatedAt: serverTimestamp(),
+                    });
+                }
+            } else {
+                const items = applySubstitutionToOrderItems(current.items, resolved);
+                const totals = priceOrderItems(items, await fetchOrderTaxComponents(current.vendorId, current.restaurantId));
+                Object.assign(updates, { items, ...totals, total: totals.grandTotalAfterTax });
+            }
+        }
+        txn.update(ref, updates);
+        return { substitution: resolved, data: current, substituteLine: line };
+    });
+
+    let correctionCount = 0;
+    if (substituteLine) {
+        correctionCount = await recordSubstitutionCorrections(data, substitution, substituteLine)
+            .catch(err => {
+                console.warn('[Substitution] Forecast corrections not annotated:', err.message);
+                return 0;
+            });
+    }
 
-    if (!substitution.originalItemName) throw new Error('Original item name is required');
-    if (!substitution.substituteItemName) throw new Error('Substitute item name is required');
-
-    const subs = [...(data.substitutions || [])];
-    subs.push({
-        originalItemName: substitution.originalItemName,
-        substituteItemName: substitution.substituteItemName,
-        substituteQty: Number(substitution.substituteQty) || 0,
-        substituteUnit: substitution.substituteUnit || '',
-        note: substitution.note || '',
-        registeredBy: performedBy,
-        registeredAt: new Date().toISOString(),
+    if (data.vendorId) {
+        await addDoc(collection(db, 'notifications'), {
+            type: 'SUBSTITUTION_RESPONDED',
+            role: 'VENDOR',
+            vendorId: data.vendorId,
+            [source === 'dispatch' ? 'dispatchId' : 'orderId']: sourceId,
+            title: decision === 'accepted' ? 'Substitution Accepted' : 'Substitution Declined',
+            message: `${substitution.substituteItemName} for ${substitution.originalItemName} was ${decision}${note ? `: ${note}` : '.'}`,
+            isRead: false,
+            createdAt: serverTimestamp(),
+        });
+    }
+    await logAdminChange({
+        entityType: source === 'dispatch' ? 'dispatch' : 'order',
+        entityId: sourceId,
+        action: `substitution_${decision}`,
+        changedBy: performedBy,
+        afterState: { substitution, correctionCount },
     });
+    return { substitution, correctionCount };
+}
 
-    await updateDoc(ref, { substitutions: subs, updatedAt: serverTimestamp() });
+/**
+ * Annotate the week's `correctionEntries` rows for the original item, one per
+ * restaurant the substitute went to, so correction learning sees a
+ * substitution rather than a shortfall. Dispatch lines without restaurant
+ * drops cannot be attributed and are skipped.
+ */
+async function recordSubstitutionCorrections(dispatch, substitution, substituteLine) {
+    const drops = substituteLine.dayDrops?.[substitution.routeDay] || [];
+    if (!drops.length || !dispatch.weekStart) return 0;
+    const qtyByRestaurant = Object.fromEntries(drops.map(d => [d.restaurantId, Number(d.qty) || 0]));
+
+    const snap = await getDocs(query(
+        collection(db, 'correctionEntries'),
+        where('weekStart', '==', dispatch.weekStart),
+        where('deliveryDay', '==', substitution.routeDay),
+    ));
+    const name = substitution.originalItemName.trim().toLowerCase();
+    const matches = snap.docs.filter(d => {
+        const entry = d.data();
+        if (!qtyByRestaurant[entry.restaurantId]) return false;
+        return substitution.originalCatalogItemId
+            ? entry.catalogItemId === substitution.originalCatalogItemId || entry.itemId === substitution.originalCatalogItemId
+            : String(entry.itemName || '').trim().toLowerCase() === name;
+    });
+    if (!matches.length) return 0;
 
-    return { substitutionCount: subs.length };
+    const batch = writeBatch(db);
+    matches.forEach(d => {
+        const qty = qtyByRestaurant[d.data().restaurantId];
+        batch.update(d.ref, {
+            substitutedQty: increment(qty),
+            substitutions: arrayUnion(buildCorrectionSubstitution(substitution, qty)),
+        });
+    });
+    await batch.commit();
+    return matches.length;
 }
 
 /**
@@ -152,7 +152,6 @@ export async function resolveDispute(disputeId, { resolution, notes, adjustmentA
                     reason: 'dispute_resolution',
                     adjustmentAmount,
                     notes: `Dispute ${disputeId} resolved: ${notes || ''}`,
-                    createdBy: resolvedBy,
                 });
             } catch (err) {
                 console.warn('[DisputeService] Failed to create adjustment:', err.message);
@@ -4,18 +4,24 @@
  * Enterprise-grade financial system for RestIQ platform.
  *
  * Provides:
- * 1. Immutable invoice snapshot creation (atomic via runTransaction)
- * 2. Invoice adjustment/correction records
+ * 1. Immutable invoice snapshots (created server-side, see functions/invoiceGeneration.js)
+ * 2. Numbered credit/debit notes (invoice adjustments)
  * 3. Payout lifecycle management (Draft → Generated → Pending → Paid → On Hold → Disputed)
+ *    and weekly vendor payout batches
  * 4. Weekly reconciliation engine
- * 5. Financial audit trail integration
- * 6. Dynamic commission rate from platformSettings (not hardcoded)
+ * 5. Restaurant payments applied across invoices (partial / overdue)
+ * 6. Financial audit trail integration
+ * 7. Dynamic commission rate from platformSettings (not hardcoded)
+ * 8. Commission rules — per vendor / category / volume tier, date-effective,
+ *    with a simulator over recent invoices
  */
-import { db } from '../firebase';
+import { db, app } from '../firebase';
+import { getFunctions, httpsCallable } from 'firebase/functions';
 import {
-    doc, addDoc, getDoc, getDocs, updateDoc,
-    collection, query, where, serverTimestamp, runTransaction,
+    doc, getDoc, getDocs,
+    collection, query, where, orderBy, limit, serverTimestamp, runTransaction, onSnapshot,
 } from 'firebase/firestore';
+import { PAYOUT_TRANSITIONS as VALID_PAYOUT_TRANSITIONS } from '../shared/payoutBatches';
 
 /* ═══════════════════════════════════════════════════════════
    COMMISSION RATE — fetched from platformSettings, cached in memory
@@ -58,189 +64,74 @@ export async function getPlatformCommissionRate() {
    SECTION 1 — IMMUTABLE INVOICE SNAPSHOTS
    ═══════════════════════════════════════════════════════════ */
 
-/**
- * Create an immutable invoice snapshot.
- * Once created, the snapshot fields NEVER change.
- * Any correction must use createInvoiceAdjustment().
- *
- * @param {Object} params
- * @param {string} params.vendorId
- * @param {string} params.vendorName
- * @param {string} params.weekStart - ISO date string (e.g. '2026-03-17')
- * @param {string} params.dispatchId - reference dispatch
- * @param {Array}  params.items - [{ itemName, qty, unitPrice, lineTotal, packSize, unit }]
- * @param {number} params.subtotal
- * @param {number} params.tax
- * @param {number} params.commissionRate - e.g. 0.15 for 15%
- * @param {number} params.commissionAmount
- * @param {number} params.vendorPayoutAmount
- * @param {number} params.totalBilled - total charged to restaurant
- * @param {string} params.restaurantId
- * @param {string} params.restaurantName
- * @param {string} [params.createdBy='system']
- * @returns {Promise<Object>} - { invoiceId, invoiceNumber }
- */
-export async function createImmutableInvoice({
-    vendorId, vendorName, weekStart, dispatchId,
-    items, subtotal, tax = 0,
-    commissionRate,          // ← now fetched from platformSettings if not passed
-    commissionAmount, vendorPayoutAmount,
-    totalBilled, restaurantId, restaurantName,
-    createdBy = 'system',
-}) {
-    // Validate required fields
-    if (!vendorId) throw new Error('vendorId is required');
-    if (!items || items.length === 0) throw new Error('items are required');
-    if (typeof subtotal !== 'number' || subtotal < 0) throw new Error('Invalid subtotal');
-
-    // Resolve commission rate: caller-supplied → platformSettings → fallback 0.15
-    const resolvedRate = commissionRate ?? await getPlatformCommissionRate();
-
-    // Compute financials if not provided
-    const computedCommission = commissionAmount ?? Math.round(subtotal * resolvedRate * 100) / 100;
-    const computedPayout     = vendorPayoutAmount ?? Math.round((subtotal - computedCommission) * 100) / 100;
-    const computedTotal      = totalBilled ?? Math.round((subtotal + tax) * 100) / 100;
-
-    // Generate invoice number
-    const prefix      = 'INV';
-    const dateSegment = (weekStart || new Date().toISOString().slice(0, 10)).replace(/-/g, '');
-    const random      = Math.random().toString(36).substring(2, 6).toUpperCase();
-    const invoiceNumber = `${prefix}-${dateSegment}-${random}`;
-
-    // Freeze item snapshots — deep copy with computed line totals
-    const frozenItems = items.map(item => ({
-        itemName:  item.itemName  || item.name || '',
-        itemId:    item.itemId   || item.id   || '',
-        qty:       Number(item.qty) || 0,
-        unitPrice: Number(item.unitPrice || item.vendorPrice || item.price) || 0,
-        lineTotal: Number(item.lineTotal) || (Number(item.qty || 0) * Number(item.unitPrice || item.vendorPrice || item.price || 0)),
-        packSize:  item.packSize || '',
-        unit:      item.unit     || '',
-        category:  item.category || '',
-    }));
-
-    const invoiceData = {
-        invoiceNumber,
-        vendorId,
-        vendorName: vendorName || '',
-        restaurantId: restaurantId || '',
-        restaurantName: restaurantName || '',
-        dispatchId: dispatchId || '',
-        weekStart: weekStart || '',
-
-        // Financial snapshot (IMMUTABLE after creation)
-        snapshotItems: frozenItems,
-        subtotal:             Math.round(subtotal          * 100) / 100,
-        tax:                  Math.round(tax               * 100) / 100,
-        commissionRate:       resolvedRate,
-        commissionAmount:     computedCommission,
-        vendorPayoutAmount:   computedPayout,
-        totalBilled:          computedTotal,
-
-        // Lifecycle
-        invoiceStatus:   'generated',
-        paymentStatus:   'PENDING',
-        payoutLifecycle: 'generated',
-
-        // Metadata
-        isImmutable:   true,
-        version:       1,
-        adjustmentIds: [],
-        createdBy,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-    };
-
-    // ── Atomic write: invoice + audit log in one transaction ─────────────
-    let invoiceId;
-    await runTransaction(db, async (txn) => {
-        // Write the invoice document (addDoc inside a transaction requires a collection ref)
-        const invoiceRef = doc(collection(db, 'vendorInvoices'));
-        invoiceId = invoiceRef.id;
-        txn.set(invoiceRef, invoiceData);
-
-        // Write the audit log atomically
-        const auditRef = doc(collection(db, 'adminChangeLogs'));
-        txn.set(auditRef, {
-            entityType:  'invoice',
-            entityId:    invoiceId,
-            action:      'invoice_created',
-            changedBy:   createdBy,
-            afterState:  {
-                invoiceNumber,
-                subtotal,
-                commissionAmount: computedCommission,
-                vendorPayoutAmount: computedPayout,
-            },
-            timestamp: serverTimestamp(),
-        });
-    });
-
-    return { invoiceId, invoiceNumber };
-}
+// Invoices are created server-side with sequential, gap-free numbers when an
+// order is fulfilled — see functions/invoiceGeneration.js and
+// src/shared/invoiceNumbering.js. The app never writes new invoices itself;
+// corrections go through createInvoiceAdjustment() below.
 
 /**
- * Create an adjustment record for an existing invoice.
- * The original invoice is NEVER modified — adjustments are additive.
+ * Issue a numbered credit or debit note against an invoice.
+ * The original invoice is NEVER modified — notes are additive, and balances
+ * are derived from the note chain (src/shared/invoiceAdjustments.js).
+ *
+ * Runs server-side (`createInvoiceAdjustment` Cloud Function, superadmins
+ * only) so the note number comes from the sequential CN/DN series and the
+ * note records who issued it from their profile.
  *
  * @param {Object} params
- * @param {string} params.originalInvoiceId
- * @param {string} params.reason - 'price_correction' | 'quantity_correction' | 'refund' | 'credit_note' | 'other'
- * @param {number} params.adjustmentAmount - positive = vendor owes more, negative = platform owes vendor
- * @param {Array}  [params.adjustedItems] - items that changed
+ * @param {'vendorInvoices'|'restaurantInvoices'} params.collection - invoice the correction is entered on
+ * @param {string} params.invoiceId
+ * @param {string} params.reason - key of ADJUSTMENT_REASONS
+ * @param {Array}  params.corrections - [{ index, qty?, price? }] — new values per invoice line
  * @param {string} [params.notes]
- * @param {string} [params.createdBy='admin']
+ * @returns {Promise<Object>} - { adjustmentId, noteNumber, noteType, adjustmentAmount }
  */
 export async function createInvoiceAdjustment({
-    originalInvoiceId, reason, adjustmentAmount,
-    adjustedItems = [], notes = '', createdBy = 'admin',
+    collection: invoiceCollection, invoiceId, reason,
+    corrections = [], notes = '',
 }) {
-    if (!originalInvoiceId) throw new Error('originalInvoiceId is required');
-
-    // Verify original exists
-    const origRef = doc(db, 'vendorInvoices', originalInvoiceId);
-    const origSnap = await getDoc(origRef);
-    if (!origSnap.exists()) throw new Error('Original invoice not found');
+    if (!invoiceId) throw new Error('invoiceId is required');
 
-    const origData = origSnap.data();
-
-    const adjustment = {
-        type: 'adjustment',
-        originalInvoiceId,
-        originalInvoiceNumber: origData.invoiceNumber || '',
-        vendorId: origData.vendorId,
+    const adjust = httpsCallable(getFunctions(app), 'createInvoiceAdjustment');
+    const result = await adjust({
+        collection: invoiceCollection,
+        invoiceId,
         reason,
-        adjustmentAmount: Math.round((adjustmentAmount || 0) * 100) / 100,
-        adjustedItems,
+        corrections,
         notes,
-        status: 'pending', // pending | approved | applied | rejected
-        createdBy,
-        createdAt: serverTimestamp(),
-    };
-
-    const adjRef = await addDoc(collection(db, 'invoiceAdjustments'), adjustment);
-
-    // Link adjustment to original invoice (append to array)
-    await updateDoc(origRef, {
-        adjustmentIds: [...(origData.adjustmentIds || []), adjRef.id],
-        updatedAt: serverTimestamp(),
     });
+    return result.data;
+}
 
-    return { adjustmentId: adjRef.id };
+/**
+ * Live list of credit/debit notes, optionally narrowed by one field
+ * (e.g. { restaurantInvoiceId }, { vendorInvoiceId }, { vendorId }).
+ * Balances are derived from these with summarizeInvoiceBalance().
+ *
+ * @param {Object} filter - at most one { field: value } pair; {} for all notes
+ * @param {Function} onChange - receives [{ id, ...data }]
+ * @param {Function} [onError]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToInvoiceAdjustments(filter, onChange, onError) {
+    const [field, value] = Object.entries(filter || {})[0] || [];
+    const q = field
+        ? query(collection(db, 'invoiceAdjustments'), where(field, '==', value))
+        : collection(db, 'invoiceAdjustments');
+    return onSnapshot(q, (snap) => {
+        onChange(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+        console.error('[FinancialEngine] Failed to load invoice adjustments:', err);
+        if (onError) onError(err);
+    });
 }
 
 /* ═══════════════════════════════════════════════════════════
    SECTION 2 — PAYOUT LIFECYCLE
    ═══════════════════════════════════════════════════════════ */
 
-const VALID_PAYOUT_TRANSITIONS = {
-    draft:            ['generated'],
-    generated:        ['pending_payment', 'on_hold', 'disputed'],
-    pending_payment:  ['paid', 'on_hold', 'disputed'],
-    paid:             [],  // terminal
-    on_hold:          ['pending_payment', 'disputed'],
-    disputed:         ['pending_payment', 'on_hold', 'resolved'],
-};
+// Allowed moves live in src/shared/payoutBatches.js — the payout batch
+// functions enforce the same lifecycle server-side.
 
 /**
  * Transition an invoice's payout lifecycle.
@@ -263,6 +154,9 @@ export async function transitionPayoutStatus(invoiceId, newStatus, metadata = {}
         previousStatus = data.payoutLifecycle || 'generated';
         const allowed  = VALID_PAYOUT_TRANSITIONS[previousStatus] || [];
 
+        if (newStatus === 'paid' && data.payoutBatchId) {
+            throw new Error(`Invoice is in payout batch ${data.payoutBatchReference || data.payoutBatchId} — mark the batch paid instead.`);
+        }
         if (!allowed.includes(newStatus)) {
             throw new Error(
                 `Cannot transition from '${previousStatus}' to '${newStatus}'. Allowed: ${allowed.join(', ')}`
@@ -305,109 +199,305 @@ export async function transitionPayoutStatus(invoiceId, newStatus, metadata = {}
     return { previousStatus, newStatus };
 }
 
+/**
+ * Live list of all vendor invoices — the payouts tab picks the due ones with
+ * getPayoutIneligibility() (src/shared/payoutBatches.js).
+ *
+ * @param {Function} onChange - receives [{ id, ...data }]
+ * @param {Function} [onError]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToVendorInvoices(onChange, onError) {
+    return onSnapshot(collection(db, 'vendorInvoices'), (snap) => {
+        onChange(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+        console.error('[FinancialEngine] Failed to load vendor invoices:', err);
+        if (onError) onError(err);
+    });
+}
+
+/**
+ * Batch due vendor invoices into one payout per vendor (functions/payoutBatches.js).
+ * The invoices move to `pending_payment`; net amounts are frozen on the batch.
+ *
+ * @param {Object} params
+ * @param {string[]} params.invoiceIds - vendorInvoices doc IDs
+ * @param {string} params.periodEnd - YYYY-MM-DD
+ * @param {string} [params.notes]
+ * @returns {Promise<{ batchId, reference, vendorCount, invoiceCount, totals }>}
+ */
+export async function createPayoutBatch({ invoiceIds, periodEnd, notes = '' }) {
+    const create = httpsCallable(getFunctions(app), 'createPayoutBatch');
+    const result = await create({ invoiceIds, periodEnd, notes });
+    return result.data;
+}
+
+/**
+ * Mark a payout batch paid — every invoice in it moves to `paid` in one
+ * transaction and each vendor gets a PAYOUT_COMPLETED notification.
+ *
+ * @param {Object} params
+ * @param {string} params.batchId
+ * @param {string} params.paymentDate - YYYY-MM-DD
+ * @param {string} [params.paymentReference] - defaults to the batch reference
+ */
+export async function markPayoutBatchPaid({ batchId, paymentDate, paymentReference = '' }) {
+    const pay = httpsCallable(getFunctions(app), 'markPayoutBatchPaid');
+    const result = await pay({ batchId, paymentDate, paymentReference });
+    return result.data;
+}
+
+/**
+ * Cancel an open payout batch; its invoices can be batched again.
+ *
+ * @param {Object} params
+ * @param {string} params.batchId
+ * @param {string} params.reason - required
+ */
+export async function cancelPayoutBatch({ batchId, reason }) {
+    const cancel = httpsCallable(getFunctions(app), 'cancelPayoutBatch');
+    const result = await cancel({ batchId, reason });
+    return result.data;
+}
+
+/**
+ * Bank-upload CSV for a payout batch, built by the buildPayoutBankFile
+ * callable — full bank details are readable only there. Fails while any
+ * vendor in the batch lacks a valid payout account.
+ *
+ * @param {Object} params
+ * @param {string} params.batchId
+ * @returns {Promise<{ reference: string, csv: string }>}
+ */
+export async function buildPayoutBankFile({ batchId }) {
+    const build = httpsCallable(getFunctions(app), 'buildPayoutBankFile');
+    const result = await build({ batchId });
+    return result.data;
+}
+
+/**
+ * Save a vendor's bank details (vendorPayoutAccounts, admin-only). The
+ * vendor doc keeps only the masked account.
+ *
+ * @param {Object} params
+ * @param {string} params.vendorId
+ * @param {Object} params.account - PAYOUT_ACCOUNT_FIELDS (src/shared/payoutBatches.js)
+ * @returns {Promise<{ vendorId: string, payoutAccount: { accountName, last4 } }>}
+ */
+export async function savePayoutAccount({ vendorId, account }) {
+    const save = httpsCallable(getFunctions(app), 'savePayoutAccount');
+    const result = await save({ vendorId, account });
+    return result.data;
+}
+
+/**
+ * Live list of payout batches, newest first.
+ *
+ * @param {Function} onChange - receives [{ id, ...data }]
+ * @param {Function} [onError]
+ * @param {number} [max=50]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToPayoutBatches(onChange, onError, max = 50) {
+    const q = query(collection(db, 'payoutBatches'), orderBy('createdAt', 'desc'), limit(max));
+    return onSnapshot(q, (snap) => {
+        onChange(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+        console.error('[FinancialEngine] Failed to load payout batches:', err);
+        if (onError) onError(err);
+    });
+}
+
 /* ═══════════════════════════════════════════════════════════
    SECTION 3 — RECONCILIATION ENGINE
    ═══════════════════════════════════════════════════════════ */
 
 /**
- * Run reconciliation for a given week.
- * Compares: Total Restaurant Billing = Total Vendor Payouts + Platform Commission
- * 
- * @param {string} weekStart - ISO date string
- * @returns {Promise<Object>} - reconciliation report
+ * Reconcile a week now instead of waiting for the Monday run
+ * (functions/reconciliation.js). The report is written to
+ * `reconciliationReports/{weekStart}`.
+ *
+ * @param {string} [weekStart] - Monday, YYYY-MM-DD; defaults to the previous week
+ * @param {string} [actorName]
+ * @returns {Promise<{ weekStart, weekEnd, status, invoiceCount, discrepancyCount, openCount, globalDifference }>}
  */
-export async function runReconciliation(weekStart) {
-    if (!weekStart) throw new Error('weekStart is required');
+export async function runReconciliation(weekStart, actorName) {
+    const run = httpsCallable(getFunctions(app), 'runReconciliationNow');
+    const result = await run({ weekStart: weekStart || null, actorName: actorName || null });
+    return result.data;
+}
 
-    // Fetch all invoices for the week
-    const invQ = query(collection(db, 'vendorInvoices'), where('weekStart', '==', weekStart));
-    const invSnap = await getDocs(invQ);
+/**
+ * Live list of weekly reconciliation reports, newest week first.
+ *
+ * @param {Function} onChange - receives [{ id, ...data }]
+ * @param {Function} [onError]
+ * @param {number} [maxWeeks=26]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToReconciliationReports(onChange, onError, maxWeeks = 26) {
+    const q = query(collection(db, 'reconciliationReports'), orderBy('weekStart', 'desc'), limit(maxWeeks));
+    return onSnapshot(q, (snap) => {
+        onChange(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+        console.error('[FinancialEngine] Failed to load reconciliation reports:', err);
+        if (onError) onError(err);
+    });
+}
 
-    let totalBilled = 0;
-    let totalVendorPayout = 0;
-    let totalCommission = 0;
-    let totalTax = 0;
-    const invoiceCount = invSnap.size;
-    const discrepancies = [];
+/**
+ * Mark one reconciliation discrepancy explained.
+ *
+ * @param {string} weekStart
+ * @param {string} discrepancyId
+ * @param {string} note - required
+ * @param {string} [actorName]
+ */
+export async function explainReconciliationDiscrepancy(weekStart, discrepancyId, note, actorName) {
+    const explain = httpsCallable(getFunctions(app), 'explainReconciliationDiscrepancy');
+    const result = await explain({ weekStart, discrepancyId, note, actorName: actorName || null });
+    return result.data;
+}
 
-    invSnap.docs.forEach(d => {
-        const inv = d.data();
-        const billed = Number(inv.totalBilled || inv.subtotal || 0);
-        const payout = Number(inv.vendorPayoutAmount || inv.totalVendorAmount || 0);
-        const commission = Number(inv.commissionAmount || 0);
-        const tax = Number(inv.tax || 0);
-
-        totalBilled += billed;
-        totalVendorPayout += payout;
-        totalCommission += commission;
-        totalTax += tax;
-
-        // Per-invoice check
-        const expectedBilled = Math.round((payout + commission + tax) * 100) / 100;
-        const actualBilled = Math.round(billed * 100) / 100;
-        if (Math.abs(expectedBilled - actualBilled) > 0.01) {
-            discrepancies.push({
-                invoiceId: d.id,
-                invoiceNumber: inv.invoiceNumber || '',
-                vendorId: inv.vendorId || '',
-                expected: expectedBilled,
-                actual: actualBilled,
-                difference: Math.round((actualBilled - expectedBilled) * 100) / 100,
-                type: 'invoice_mismatch',
-            });
-        }
+/* ═══════════════════════════════════════════════════════════
+   SECTION 4 — RESTAURANT RECEIVABLES
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * Record a restaurant payment and apply it to its invoices
+ * (functions/receivables.js). Without allocations the amount pays the
+ * oldest due invoices first; each invoice gets its new `amountPaid`,
+ * `balanceDue` and `paymentStatus` in the same transaction. Payments are
+ * never deleted; pass `reversesPaymentId` (with the reason in `notes`) to
+ * record a reversing payment instead.
+ *
+ * @param {Object} params
+ * @param {string} params.restaurantId
+ * @param {number} params.amount
+ * @param {string} params.paymentMethod - key of PAYMENT_METHODS (src/shared/receivables.js)
+ * @param {Object} params.details - fields required by the method
+ * @param {Array}  [params.allocations] - [{ invoiceId, amount }]
+ * @param {string[]} [params.invoiceIds] - limit auto-allocation to these invoices
+ * @param {string} [params.notes]
+ * @param {string} [params.reversesPaymentId] - payment to reverse
+ * @returns {Promise<{ paymentId, amount, allocations, invoices: [{ invoiceId, paymentStatus, balanceDue }] }>}
+ */
+export async function recordRestaurantPayment({
+    restaurantId, amount, paymentMethod, details = {},
+    allocations, invoiceIds, notes = '', reversesPaymentId = null,
+}) {
+    if (!restaurantId) throw new Error('restaurantId is required');
+
+    const record = httpsCallable(getFunctions(app), 'recordRestaurantPayment');
+    const result = await record({
+        restaurantId,
+        amount,
+        paymentMethod,
+        details,
+        allocations: allocations || null,
+        invoiceIds: invoiceIds || null,
+        notes,
+        reversesPaymentId,
     });
+    return result.data;
+}
 
-    // Global check: Total billing = vendor payouts + commissions + tax
-    const globalExpected = Math.round((totalVendorPayout + totalCommission + totalTax) * 100) / 100;
-    const globalActual = Math.round(totalBilled * 100) / 100;
-    const globalDiff = Math.round((globalActual - globalExpected) * 100) / 100;
-    const isBalanced = Math.abs(globalDiff) <= 0.01;
-
-    const report = {
-        weekStart,
-        runAt: new Date().toISOString(),
-        invoiceCount,
-        totalBilled: globalActual,
-        totalVendorPayout: Math.round(totalVendorPayout * 100) / 100,
-        totalCommission: Math.round(totalCommission * 100) / 100,
-        totalTax: Math.round(totalTax * 100) / 100,
-        globalDifference: globalDiff,
-        isBalanced,
-        discrepancies,
-        status: isBalanced && discrepancies.length === 0 ? 'clean' : 'flagged',
+/**
+ * Live list of all restaurant invoices — the AR aging report ages their
+ * balances with buildAgingReport() (src/shared/receivables.js).
+ *
+ * @param {Function} onChange - receives [{ id, ...data }]
+ * @param {Function} [onError]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToRestaurantInvoices(onChange, onError) {
+    return onSnapshot(collection(db, 'restaurantInvoices'), (snap) => {
+        onChange(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+        console.error('[FinancialEngine] Failed to load restaurant invoices:', err);
+        if (onError) onError(err);
+    });
+}
+
+/**
+ * Everything on one restaurant's account — its invoices, the notes against
+ * them and the payments received (newest first). Feeds the payment modal and
+ * the monthly statement (src/shared/receivables.js).
+ *
+ * @param {string} restaurantId
+ * @returns {Promise<{ invoices: Array, adjustments: Array, payments: Array }>}
+ */
+export async function getRestaurantAccount(restaurantId) {
+    const byRestaurant = (name) => getDocs(query(collection(db, name), where('restaurantId', '==', restaurantId)));
+    const [invoiceSnap, adjustmentSnap, paymentSnap] = await Promise.all([
+        byRestaurant('restaurantInvoices'),
+        byRestaurant('invoiceAdjustments'),
+        byRestaurant('RestaurantPaymentHistory'),
+    ]);
+    const rows = (snap) => snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    const millis = (p) => p.createdAt?.toMillis?.() || 0;
+    return {
+        invoices: rows(invoiceSnap),
+        adjustments: rows(adjustmentSnap),
+        payments: rows(paymentSnap).sort((a, b) => millis(b) - millis(a)),
     };
+}
 
-    // Store reconciliation report
-    try {
-        await addDoc(collection(db, 'reconciliationReports'), {
-            ...report,
-            createdAt: serverTimestamp(),
-        });
-    } catch (err) {
-        console.warn('[Reconciliation] Failed to store report:', err.message);
-    }
+/* ═══════════════════════════════════════════════════════════
+   SECTION 5 — COMMISSION RULES
+   ═══════════════════════════════════════════════════════════ */
 
-    // If discrepancies, log to exceptions
-    if (!isBalanced || discrepancies.length > 0) {
-        try {
-            await addDoc(collection(db, 'systemExceptions'), {
-                type: 'reconciliation_mismatch',
-                weekStart,
-                globalDifference: globalDiff,
-                discrepancyCount: discrepancies.length,
-                severity: Math.abs(globalDiff) > 100 ? 'critical' : 'warning',
-                status: 'open',
-                createdAt: serverTimestamp(),
-            });
-        } catch (_) {}
-    }
+// Invoices are priced server-side from these rules when they are generated;
+// the matching and tier logic lives in src/shared/commissionRules.js.
+
+/**
+ * Add a dated version to the commission rule for a scope, creating the rule
+ * the first time (`saveCommissionRuleVersion` Cloud Function). Versions that
+ * have already started are never changed.
+ *
+ * @param {Object} params
+ * @param {'vendor_category'|'vendor'|'category'|'platform'} params.scope
+ * @param {string} [params.vendorId]
+ * @param {string} [params.category]
+ * @param {string} [params.name]
+ * @param {Object} params.version - { effectiveFrom, basePercent, tiers, retired, notes }
+ * @returns {Promise<{ ruleId, version, effectiveFrom, superseded }>}
+ */
+export async function saveCommissionRuleVersion({ scope, vendorId = null, category = null, name = '', version }) {
+    const save = httpsCallable(getFunctions(app), 'saveCommissionRuleVersion');
+    const result = await save({ scope, vendorId, category, name, version });
+    return result.data;
+}
+
+/**
+ * Live list of commission rules.
+ *
+ * @param {Function} onChange - receives [{ id, ...data }]
+ * @param {Function} [onError]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToCommissionRules(onChange, onError) {
+    return onSnapshot(collection(db, 'commissionRules'), (snap) => {
+        onChange(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+        console.error('[FinancialEngine] Failed to load commission rules:', err);
+        if (onError) onError(err);
+    });
+}
 
-    return report;
+/**
+ * Vendor invoices dated on or after `since` — the simulator's sample.
+ *
+ * @param {Date} since
+ * @returns {Promise<Array>} [{ id, ...data }]
+ */
+export async function getVendorInvoicesSince(since) {
+    const snap = await getDocs(query(collection(db, 'vendorInvoices'), where('invoiceDate', '>=', since)));
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
 }
 
 /* ═══════════════════════════════════════════════════════════
-   SECTION 4 — HELPERS
+   SECTION 6 — HELPERS
    ═══════════════════════════════════════════════════════════ */
 
 /**
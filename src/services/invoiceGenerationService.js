@@ -0,0 +1,40 @@
+/**
+ * invoiceGenerationService.js
+ *
+ * Client side of server-side invoice generation. Vendor and restaurant
+ * invoices are created by the `generateOrderInvoices` Cloud Function when an
+ * order is fulfilled (functions/invoiceGeneration.js); the app never writes
+ * new invoices itself. The invoice pages use this to fill in orders that were
+ * fulfilled without invoices and to check the invoice numbering for gaps.
+ *
+ * Usage:
+ *   import { backfillMissingInvoices, getInvoiceNumberingReport } from '../../services/invoiceGenerationService';
+ *   const { missing, generated } = await backfillMissingInvoices();
+ *   const { gapFree, series } = await getInvoiceNumberingReport();
+ */
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { app } from '../firebase';
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] — report what is missing without writing
+ * @returns {Promise<{ checked: number, missing: number, generated: Array, skipped: Array, failed: Array }>}
+ */
+export async function backfillMissingInvoices({ dryRun = false } = {}) {
+    const backfill = httpsCallable(getFunctions(app), 'backfillInvoicesNow');
+    const result = await backfill({ dryRun });
+    return result.data;
+}
+
+/**
+ * Gap report for the sequential invoice series (vendor and restaurant).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.fiscalYear] — defaults to the current fiscal year
+ * @returns {Promise<{ fiscalYear: number, generatedAt: string, gapFree: boolean, series: Array }>}
+ */
+export async function getInvoiceNumberingReport({ fiscalYear } = {}) {
+    const report = httpsCallable(getFunctions(app), 'invoiceNumberingReport');
+    const result = await report(fiscalYear === undefined ? {} : { fiscalYear });
+    return result.data;
+}
@@ -0,0 +1,84 @@
+/**
+ * operationsAlertService.js
+ *
+ * Client side of the SLA monitor (functions/slaMonitor.js): live open alerts,
+ * operator actions, a manual run, and the `operationsConfig/global` settings
+ * (thresholds and the admin on call).
+ *
+ * Usage:
+ *   import { subscribeToActiveAlerts, actOnAlert } from '../../services/operationsAlertService';
+ *   const unsubscribe = subscribeToActiveAlerts(setAlerts);
+ *   await actOnAlert(alertId, 'snooze', { snoozeHours: 4, actorName: displayName });
+ */
+import { collection, query, where, onSnapshot, doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { db, app } from '../firebase';
+import { ACTIVE_ALERT_STATES, normalizeSlaMonitorConfig } from '../shared/slaMonitor';
+import { severityRank } from '../shared/stuckStateDetector';
+
+/**
+ * Listen to every open, acknowledged or snoozed alert, most severe first.
+ * @param {(alerts: Array<Object>) => void} onChange
+ * @param {(err: Error) => void} [onError]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToActiveAlerts(onChange, onError) {
+    const q = query(collection(db, 'operationsAlerts'), where('state', 'in', ACTIVE_ALERT_STATES));
+    return onSnapshot(q, (snap) => {
+        const alerts = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+        alerts.sort((a, b) => severityRank(b.severity) - severityRank(a.severity)
+            || String(a.firstDetectedAt).localeCompare(String(b.firstDetectedAt)));
+        onChange(alerts);
+    }, onError);
+}
+
+/**
+ * @param {string} alertId
+ * @param {'acknowledge'|'snooze'|'resolve'} action
+ * @param {Object} [options]
+ * @param {number} [options.snoozeHours]
+ * @param {string} [options.note]
+ * @param {string} [options.actorName]
+ */
+export async function actOnAlert(alertId, action, { snoozeHours, note, actorName } = {}) {
+    const update = httpsCallable(getFunctions(app), 'updateOperationsAlert');
+    const result = await update({ alertId, action, snoozeHours, note, actorName });
+    return result.data;
+}
+
+/**
+ * Run the monitor now instead of waiting for the 30-minute schedule.
+ * @returns {Promise<{ detected: number, opened: number, escalated: number, cleared: number }>}
+ */
+export async function runSlaMonitorNow() {
+    const run = httpsCallable(getFunctions(app), 'runSlaMonitorNow');
+    const result = await run({});
+    return result.data;
+}
+
+/**
+ * Read `operationsConfig/global`, normalized over the defaults.
+ */
+export async function fetchSlaMonitorConfig() {
+    try {
+        const snap = await getDoc(doc(db, 'operationsConfig', 'global'));
+        return normalizeSlaMonitorConfig(snap.exists() ? snap.data() : {});
+    } catch (err) {
+        console.warn('[Operations] Could not load operationsConfig, using defaults:', err.message);
+        return normalizeSlaMonitorConfig({});
+    }
+}
+
+/**
+ * @param {Object} config
+ * @param {{ userId?: string, displayName?: string }} [editor]
+ */
+export async function saveSlaMonitorConfig(config, editor = {}) {
+    const normalized = normalizeSlaMonitorConfig(config);
+    await setDoc(doc(db, 'operationsConfig', 'global'), {
+        ...normalized,
+        updatedAt: serverTimestamp(),
+        updatedBy: editor.displayName || editor.userId || '',
+    });
+    return normalized;
+}
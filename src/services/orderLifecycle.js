@@ -1,72 +1,39 @@
 /**
  * orderLifecycle.js
  *
- * Strict order lifecycle state machine for the RestIQ platform.
- * Prevents invalid state transitions across orders, dispatches, and fulfillment.
+ * Order, dispatch and payment lifecycles for the RestIQ platform.
+ * Order and dispatch transitions come from the shared state machine
+ * (src/shared/statusMachine.js) that the `transitionStatus` Cloud Function
+ * enforces; use these helpers to decide which actions to offer, and
+ * requestStatusTransition() (services/statusTransitionService.js) to apply them.
  *
  * Usage:
  *   import { validateOrderTransition, ORDER_STATES } from '../services/orderLifecycle';
- *   const result = validateOrderTransition('submitted', 'delivered');
+ *   const result = validateOrderTransition('pending_confirmation', 'fulfilled');
  *   if (!result.valid) toast.error(result.error);
  */
+import {
+    ORDER_STATUS_MACHINE,
+    DISPATCH_STATUS_MACHINE,
+    getAllowedTransitions,
+    getTerminalStatuses,
+    isTerminalStatus,
+    validateStatusTransition,
+} from '../shared/statusMachine';
 
-// ── Normalized Order States ─────────────────────────────────────────────────
+const toConstantName = (status) => status.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
 
-export const ORDER_STATES = {
-    DRAFT:              'draft',
-    SUBMITTED:          'submitted',
-    AGGREGATED:         'aggregated',
-    ALLOCATED:          'allocated',
-    SENT_TO_VENDOR:     'sent_to_vendor',
-    VENDOR_CONFIRMED:   'vendor_confirmed',
-    WAREHOUSE_READY:    'warehouse_ready',
-    IN_TRANSIT:         'in_transit',
-    DELIVERED:          'delivered',
-    FULFILLED:          'fulfilled',
-    ISSUE_OPEN:         'issue_open',
-    CLOSED:             'closed',
-};
-
-// ── Valid Transition Map ────────────────────────────────────────────────────
+// ── Order States (marketplaceOrders.status) ─────────────────────────────────
 
-const VALID_TRANSITIONS = {
-    [ORDER_STATES.DRAFT]:            [ORDER_STATES.SUBMITTED],
-    [ORDER_STATES.SUBMITTED]:        [ORDER_STATES.AGGREGATED, ORDER_STATES.ISSUE_OPEN],
-    [ORDER_STATES.AGGREGATED]:       [ORDER_STATES.ALLOCATED, ORDER_STATES.ISSUE_OPEN],
-    [ORDER_STATES.ALLOCATED]:        [ORDER_STATES.SENT_TO_VENDOR, ORDER_STATES.ISSUE_OPEN],
-    [ORDER_STATES.SENT_TO_VENDOR]:   [ORDER_STATES.VENDOR_CONFIRMED, ORDER_STATES.ISSUE_OPEN],
-    [ORDER_STATES.VENDOR_CONFIRMED]: [ORDER_STATES.WAREHOUSE_READY, ORDER_STATES.ISSUE_OPEN],
-    [ORDER_STATES.WAREHOUSE_READY]:  [ORDER_STATES.IN_TRANSIT, ORDER_STATES.ISSUE_OPEN],
-    [ORDER_STATES.IN_TRANSIT]:       [ORDER_STATES.DELIVERED, ORDER_STATES.ISSUE_OPEN],
-    [ORDER_STATES.DELIVERED]:        [ORDER_STATES.FULFILLED, ORDER_STATES.ISSUE_OPEN],
-    [ORDER_STATES.FULFILLED]:        [ORDER_STATES.CLOSED],
-    [ORDER_STATES.ISSUE_OPEN]:       [ORDER_STATES.CLOSED, ORDER_STATES.SUBMITTED, ORDER_STATES.SENT_TO_VENDOR],
-    [ORDER_STATES.CLOSED]:           [], // terminal state
-};
+export const ORDER_STATES = Object.fromEntries(
+    Object.keys(ORDER_STATUS_MACHINE.states).map(status => [toConstantName(status), status])
+);
 
-// ── Dispatch-Specific States ────────────────────────────────────────────────
-
-export const DISPATCH_STATES = {
-    DRAFT:                'Draft',
-    SENT:                 'Sent',
-    PARTIALLY_CONFIRMED:  'Partially Confirmed',
-    CONFIRMED:            'Confirmed',
-    REJECTED:             'Rejected',
-    WAREHOUSE_READY:      'Warehouse Ready',
-    DELIVERED:            'Delivered',
-    CLOSED:               'Closed',
-};
+// ── Dispatch States (vendorDispatches.status) ───────────────────────────────
 
-const DISPATCH_TRANSITIONS = {
-    [DISPATCH_STATES.DRAFT]:               [DISPATCH_STATES.SENT],
-    [DISPATCH_STATES.SENT]:                [DISPATCH_STATES.CONFIRMED, DISPATCH_STATES.PARTIALLY_CONFIRMED, DISPATCH_STATES.REJECTED],
-    [DISPATCH_STATES.PARTIALLY_CONFIRMED]: [DISPATCH_STATES.CONFIRMED, DISPATCH_STATES.REJECTED, DISPATCH_STATES.WAREHOUSE_READY],
-    [DISPATCH_STATES.CONFIRMED]:           [DISPATCH_STATES.WAREHOUSE_READY],
-    [DISPATCH_STATES.REJECTED]:            [DISPATCH_STATES.SENT, DISPATCH_STATES.CLOSED], // can resend or close
-    [DISPATCH_STATES.WAREHOUSE_READY]:     [DISPATCH_STATES.DELIVERED],
-    [DISPATCH_STATES.DELIVERED]:           [DISPATCH_STATES.CLOSED],
-    [DISPATCH_STATES.CLOSED]:              [],
-};
+export const DISPATCH_STATES = Object.fromEntries(
+    Object.keys(DISPATCH_STATUS_MACHINE.states).map(status => [toConstantName(status), status])
+);
 
 // ── Payment States ──────────────────────────────────────────────────────────
 
@@ -89,65 +56,62 @@ const PAYMENT_TRANSITIONS = {
 // ── Validators ──────────────────────────────────────────────────────────────
 
 /**
- * Validate an order state transition.
+ * Validate an order state transition. Unknown states are rejected.
  *
  * @param {string} currentState - Current order state
  * @param {string} nextState    - Proposed next state
  * @returns {{ valid: boolean, error?: string }}
  */
 export function validateOrderTransition(currentState, nextState) {
-    const normalized = (currentState || '').toLowerCase().trim();
-    const nextNorm = (nextState || '').toLowerCase().trim();
+    const current = (currentState || '').toLowerCase().trim();
+    const next = (nextState || '').toLowerCase().trim();
 
-    if (!normalized) {
+    if (!current) {
         return { valid: false, error: `Invalid current state: "${currentState}"` };
     }
-    if (!nextNorm) {
+    if (!next) {
         return { valid: false, error: `Invalid target state: "${nextState}"` };
     }
-
-    const allowed = VALID_TRANSITIONS[normalized];
-    if (!allowed) {
-        // Unknown current state — allow transition but log warning
-        console.warn(`[OrderLifecycle] Unknown state "${normalized}", allowing transition to "${nextNorm}"`);
-        return { valid: true, warning: `Unknown current state "${normalized}" — transition allowed but unvalidated` };
-    }
-
-    if (allowed.includes(nextNorm)) {
-        return { valid: true };
-    }
-
-    return {
-        valid: false,
-        error: `Invalid transition: "${currentState}" → "${nextState}". Allowed: [${allowed.join(', ')}]`,
-    };
+    return validateStatusTransition('order', current, next);
 }
 
 /**
- * Validate a dispatch status transition.
+ * Validate a dispatch status transition. Unknown statuses are rejected.
  *
  * @param {string} currentStatus - Current dispatch status
  * @param {string} nextStatus    - Proposed next status
  * @returns {{ valid: boolean, error?: string }}
  */
 export function validateDispatchTransition(currentStatus, nextStatus) {
-    const current = (currentStatus || '').trim();
-    const next = (nextStatus || '').trim();
+    return validateStatusTransition('dispatch', (currentStatus || '').trim(), (nextStatus || '').trim());
+}
 
-    const allowed = DISPATCH_TRANSITIONS[current];
-    if (!allowed) {
-        console.warn(`[DispatchLifecycle] Unknown status "${current}", allowing transition`);
-        return { valid: true, warning: `Unknown status "${current}"` };
-    }
+/**
+ * Whether an order may move from one status to another.
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransitionOrder(from, to) {
+    if (!from || !to) return false;
+    return validateOrderTransition(from, to).valid;
+}
 
-    if (allowed.includes(next)) {
-        return { valid: true };
-    }
+/**
+ * Statuses an order may move to next.
+ * @param {string} status
+ * @returns {string[]}
+ */
+export function getValidOrderTransitions(status) {
+    return getAllowedTransitions('order', (status || '').toLowerCase().trim());
+}
 
-    return {
-        valid: false,
-        error: `Invalid dispatch transition: "${current}" → "${next}". Allowed: [${allowed.join(', ')}]`,
-    };
+/**
+ * Order statuses with no way out.
+ * @returns {string[]}
+ */
+export function getTerminalOrderStatuses() {
+    return getTerminalStatuses('order');
 }
 
 /**
@@ -183,25 +147,32 @@ export function validatePaymentTransition(currentStatus, nextStatus) {
 // ── Display Helpers ─────────────────────────────────────────────────────────
 
 const STATUS_DISPLAY = {
-    draft:              { label: 'Draft',             color: '#94a3b8', bg: 'rgba(148,163,184,0.12)' },
-    submitted:          { label: 'Submitted',         color: '#38bdf8', bg: 'rgba(56,189,248,0.12)' },
-    aggregated:         { label: 'Aggregated',        color: '#818cf8', bg: 'rgba(129,140,248,0.12)' },
-    allocated:          { label: 'Allocated',         color: '#a78bfa', bg: 'rgba(167,139,250,0.12)' },
-    sent_to_vendor:     { label: 'Sent to Vendor',    color: '#a78bfa', bg: 'rgba(167,139,250,0.12)' },
-    vendor_confirmed:   { label: 'Vendor Confirmed',  color: '#34d399', bg: 'rgba(52,211,153,0.12)' },
-    warehouse_ready:    { label: 'Warehouse Ready',   color: '#fb923c', bg: 'rgba(251,146,60,0.12)' },
-    in_transit:         { label: 'In Transit',        color: '#60a5fa', bg: 'rgba(96,165,250,0.12)' },
-    delivered:          { label: 'Delivered',         color: '#34d399', bg: 'rgba(52,211,153,0.12)' },
-    fulfilled:          { label: 'Fulfilled',         color: '#10b981', bg: 'rgba(16,185,129,0.12)' },
-    issue_open:         { label: 'Issue Open',        color: '#f43f5e', bg: 'rgba(244,63,94,0.12)' },
-    closed:             { label: 'Closed',            color: '#64748b', bg: 'rgba(100,116,139,0.12)' },
+    new:                             { label: 'New',               color: '#94a3b8', bg: 'rgba(148,163,184,0.12)' },
+    pending_confirmation:            { label: 'Pending',           color: '#38bdf8', bg: 'rgba(56,189,248,0.12)' },
+    pending_customer_approval:       { label: 'Awaiting Approval', color: '#fbbf24', bg: 'rgba(251,191,36,0.12)' },
+    pending_fulfillment:             { label: 'Accepted',          color: '#34d399', bg: 'rgba(52,211,153,0.12)' },
+    delivery_in_route:               { label: 'In Route',          color: '#60a5fa', bg: 'rgba(96,165,250,0.12)' },
+    delivered_awaiting_confirmation: { label: 'Delivered',         color: '#34d399', bg: 'rgba(52,211,153,0.12)' },
+    in_review:                       { label: 'In Review',         color: '#f43f5e', bg: 'rgba(244,63,94,0.12)' },
+    refund_initiated:                { label: 'Refund Initiated',  color: '#fb923c', bg: 'rgba(251,146,60,0.12)' },
+    fulfilled:                       { label: 'Fulfilled',         color: '#10b981', bg: 'rgba(16,185,129,0.12)' },
+    rejected:                        { label: 'Rejected',          color: '#f43f5e', bg: 'rgba(244,63,94,0.12)' },
+    cancelled_by_vendor:             { label: 'Cancelled',         color: '#64748b', bg: 'rgba(100,116,139,0.12)' },
+    cancelled_by_customer:           { label: 'Cancelled',         color: '#64748b', bg: 'rgba(100,116,139,0.12)' },
+    cancelled:                       { label: 'Cancelled',         color: '#64748b', bg: 'rgba(100,116,139,0.12)' },
     // Dispatch-specific
     'Draft':                { label: 'Draft',              color: '#94a3b8', bg: 'rgba(148,163,184,0.12)' },
     'Sent':                 { label: 'Sent',               color: '#38bdf8', bg: 'rgba(56,189,248,0.12)' },
     'Partially Confirmed':  { label: 'Partial',            color: '#fbbf24', bg: 'rgba(251,191,36,0.12)' },
     'Confirmed':            { label: 'Confirmed',          color: '#34d399', bg: 'rgba(52,211,153,0.12)' },
     'Rejected':             { label: 'Rejected',           color: '#f43f5e', bg: 'rgba(244,63,94,0.12)' },
+    'Vendor Reviewing':     { label: 'Reviewing',          color: '#a855f7', bg: 'rgba(168,85,247,0.12)' },
+    'Packed':               { label: 'Packed',             color: '#818cf8', bg: 'rgba(129,140,248,0.12)' },
     'Warehouse Ready':      { label: 'Warehouse',          color: '#fb923c', bg: 'rgba(251,146,60,0.12)' },
+    'Out for Delivery':     { label: 'Out for Delivery',   color: '#60a5fa', bg: 'rgba(96,165,250,0.12)' },
+    'Delivery Delayed':     { label: 'Delayed',            color: '#fbbf24', bg: 'rgba(251,191,36,0.12)' },
+    'Delivery Failed':      { label: 'Delivery Failed',    color: '#f43f5e', bg: 'rgba(244,63,94,0.12)' },
+    'Cancelled':            { label: 'Cancelled',          color: '#64748b', bg: 'rgba(100,116,139,0.12)' },
     'Delivered':            { label: 'Delivered',           color: '#10b981', bg: 'rgba(16,185,129,0.12)' },
     'Closed':               { label: 'Closed',             color: '#64748b', bg: 'rgba(100,116,139,0.12)' },
     // Payment
@@ -250,8 +221,7 @@ export function getStatusLabel(status) {
  * @returns {boolean}
  */
 export function isTerminalState(state) {
-    const norm = (state || '').toLowerCase().trim();
-    return norm === ORDER_STATES.CLOSED || norm === ORDER_STATES.FULFILLED;
+    return isTerminalStatus('order', (state || '').toLowerCase().trim());
 }
 
 /**
@@ -260,7 +230,7 @@ export function isTerminalState(state) {
  * @returns {boolean}
  */
 export function isIssueState(state) {
-    return (state || '').toLowerCase().trim() === ORDER_STATES.ISSUE_OPEN;
+    return (state || '').toLowerCase().trim() === ORDER_STATES.IN_REVIEW;
 }
 
 /**
@@ -270,9 +240,7 @@ export function isIssueState(state) {
  * @returns {string[]}
  */
 export function getValidNextStates(currentState, type = 'order') {
-    const map = type === 'dispatch' ? DISPATCH_TRANSITIONS
-        : type === 'payment' ? PAYMENT_TRANSITIONS
-        : VALID_TRANSITIONS;
-    const key = type === 'dispatch' ? (currentState || '').trim() : (currentState || '').toLowerCase().trim();
-    return map[key] || [];
+    if (type === 'payment') return PAYMENT_TRANSITIONS[(currentState || '').toLowerCase().trim()] || [];
+    if (type === 'dispatch') return getAllowedTransitions('dispatch', (currentState || '').trim());
+    return getValidOrderTransitions(currentState);
 }
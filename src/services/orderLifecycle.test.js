@@ -16,12 +16,13 @@ describe('Order State Machine — canTransitionOrder', () => {
     describe('Valid transitions', () => {
         const validCases = [
             ['new',                       'pending_confirmation'],
-            ['pending_confirmation',       'confirmed'],
+            ['pending_confirmation',       'pending_fulfillment'],
+            ['pending_confirmation',       'pending_customer_approval'],
             ['pending_confirmation',       'rejected'],
-            ['confirmed',                 'in_preparation'],
-            ['confirmed',                 'cancelled'],
-            ['in_preparation',            'dispatched'],
-            ['dispatched',                'delivered_awaiting_confirmation'],
+            ['pending_customer_approval', 'pending_fulfillment'],
+            ['pending_fulfillment',       'delivery_in_route'],
+            ['pending_fulfillment',       'cancelled'],
+            ['delivery_in_route',         'delivered_awaiting_confirmation'],
             ['delivered_awaiting_confirmation', 'fulfilled'],
             ['delivered_awaiting_confirmation', 'in_review'],
             ['in_review',                 'fulfilled'],
@@ -36,10 +37,10 @@ describe('Order State Machine — canTransitionOrder', () => {
     describe('Invalid transitions', () => {
         const invalidCases = [
             ['fulfilled',   'new'],           // terminal → anything
-            ['rejected',    'confirmed'],      // terminal → anything
-            ['cancelled',   'dispatched'],     // terminal → anything
+            ['rejected',    'pending_fulfillment'], // terminal → anything
+            ['cancelled',   'delivery_in_route'],   // terminal → anything
             ['new',         'fulfilled'],      // skip steps
-            ['dispatched',  'new'],            // backward
+            ['delivery_in_route', 'new'],      // backward
             ['fulfilled',   'in_review'],      // past terminal
         ];
 
@@ -64,10 +65,10 @@ describe('Order State Machine — canTransitionOrder', () => {
     });
 
     describe('Null/undefined handling', () => {
-        it('returns false for null from-state',    () => expect(canTransitionOrder(null, 'confirmed')).toBe(false));
+        it('returns false for null from-state',    () => expect(canTransitionOrder(null, 'pending_fulfillment')).toBe(false));
         it('returns false for null to-state',      () => expect(canTransitionOrder('new', null)).toBe(false));
-        it('returns false for undefined from-state', () => expect(canTransitionOrder(undefined, 'confirmed')).toBe(false));
-        it('returns false for random string',      () => expect(canTransitionOrder('foobar', 'confirmed')).toBe(false));
+        it('returns false for undefined from-state', () => expect(canTransitionOrder(undefined, 'pending_fulfillment')).toBe(false));
+        it('returns false for random string',      () => expect(canTransitionOrder('foobar', 'pending_fulfillment')).toBe(false));
     });
 });
 
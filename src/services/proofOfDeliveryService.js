@@ -0,0 +1,216 @@
+/**
+ * proofOfDeliveryService.js
+ *
+ * Records proof of delivery for a restaurant drop (src/shared/proofOfDelivery.js):
+ * uploads the signature and photos to Storage, writes the `proofOfDelivery`
+ * document, opens an `issuesDisputes` record for every short or damaged line,
+ * and carries the received quantities onto the dispatch or order so they are
+ * what gets billed.
+ *
+ * Issues have deterministic ids (getIssueId()), so capturing a drop again
+ * never opens a second issue for the same line. A dispatch's proof, issues
+ * and received quantities are written in one transaction; a marketplace
+ * order's proof and issues are written once its status transition succeeds.
+ *
+ * Usage:
+ *   import { subscribeToProofs, captureProofOfDelivery } from '../../services/proofOfDeliveryService';
+ *   const unsubscribe = subscribeToProofs(dispatch.id, setProofs);
+ *   await captureProofOfDelivery({ source: 'dispatch', record: dispatch, routeDay, drop, lines, receiverName, signatureDataUrl, photos }, { displayName });
+ */
+import { collection, query, where, onSnapshot, doc, getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { ref, uploadBytes, uploadString, getDownloadURL } from 'firebase/storage';
+import { db, storage } from '../firebase';
+import {
+    PROOF_COLLECTION,
+    getProofId,
+    summarizeProofLines,
+    validateProof,
+    buildDiscrepancyIssues,
+    applyProofToDispatchItems,
+    applyProofToOrderItems,
+    priceOrderItems,
+} from '../shared/proofOfDelivery';
+import { getRouteDispatchId } from '../shared/deliverySchedules';
+import { resolveTaxJurisdiction, getTaxComponents } from '../shared/taxEngine';
+import { getCommissionDate } from '../shared/commissionRules';
+import { requestStatusTransition } from './statusTransitionService';
+import { updateStopStatus } from './routePlanningService';
+import { logAdminChange } from '../utils/adminAuditLogger';
+
+/**
+ * Listen to the proofs recorded for a dispatch or order.
+ * @param {string} sourceId — `vendorDispatches` or `marketplaceOrders` id
+ * @param {(proofs: Object<string, Object>) => void} onChange — keyed by proof id
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToProofs(sourceId, onChange) {
+    const q = query(collection(db, PROOF_COLLECTION), where('sourceId', '==', sourceId));
+    return onSnapshot(q, (snap) => {
+        const proofs = {};
+        snap.docs.forEach(d => { proofs[d.id] = { id: d.id, ...d.data() }; });
+        onChange(proofs);
+    }, (err) => {
+        console.warn('[ProofOfDelivery] Could not load proofs:', err.message);
+        onChange({});
+    });
+}
+
+/**
+ * Tax components an order's lines are repriced with: the jurisdiction of the
+ * vendor and restaurant on today's business date, as the invoice will be.
+ * @param {string} vendorId
+ * @param {string} [restaurantId]
+ * @returns {Promise<Array<Object>>} taxEngine.getTaxComponents()
+ */
+export async function fetchOrderTaxComponents(vendorId, restaurantId) {
+    const [vendorSnap, restaurantSnap] = await Promise.all([
+        getDoc(doc(db, 'vendors', vendorId)),
+        restaurantId ? getDoc(doc(db, 'restaurants', restaurantId)) : null,
+    ]);
+    const vendor = vendorSnap.exists() ? vendorSnap.data() : {};
+    const restaurant = restaurantSnap?.exists() ? restaurantSnap.data() : null;
+    return getTaxComponents(resolveTaxJurisdiction(vendor, restaurant), getCommissionDate(new Date()));
+}
+
+/**
+ * Write the proof and open its issues inside a transaction; issues already
+ * open for the same line are left as they are. Reads come first, as
+ * transactions require.
+ * @returns {Promise<Array<string>>} every issue id of the proof
+ */
+async function writeProofAndIssues(txn, proofDoc, issues, issueSnaps) {
+    issues.forEach(({ issueId, ...issue }, i) => {
+        if (issueSnaps[i].exists()) return;
+        txn.set(doc(db, 'issuesDisputes', issueId), { ...issue, issueId, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+    });
+    const issueIds = issues.map(issue => issue.issueId);
+    txn.set(doc(db, PROOF_COLLECTION, proofDoc.proofId), { ...proofDoc, issueIds });
+    return issueIds;
+}
+
+async function uploadProofFiles(proofId, signatureDataUrl, photos) {
+    const signatureRef = ref(storage, `proofOfDelivery/${proofId}/signature.png`);
+    await uploadString(signatureRef, signatureDataUrl, 'data_url');
+    const signatureUrl = await getDownloadURL(signatureRef);
+
+    const photoUrls = [];
+    for (const [i, file] of (photos || []).entries()) {
+        const name = (file.name || 'photo').replace(/[^a-zA-Z0-9._-]/g, '_');
+        const photoRef = ref(storage, `proofOfDelivery/${proofId}/photo_${i + 1}_${name}`);
+        await uploadBytes(photoRef, file, { contentType: file.type || 'image/jpeg' });
+        photoUrls.push(await getDownloadURL(photoRef));
+    }
+    return { signatureUrl, photoUrls };
+}
+
+/**
+ * Record proof of delivery for one drop.
+ *
+ * @param {Object} params
+ * @param {'dispatch'|'marketplace'} params.source
+ * @param {Object} params.record — the `vendorDispatches` document, or for
+ *        marketplace orders the dispatch page's order view (`_rawItems`, `_marketplaceStatus`)
+ * @param {string} [params.routeDay] — dispatch route day
+ * @param {{ restaurantId: string, restaurantName: string }} params.drop
+ * @param {Array<Object>} params.lines — lines with receivedQty, damagedQty, temperatureC, note
+ * @param {string} params.receiverName
+ * @param {string} params.signatureDataUrl — PNG data URL from the signature pad
+ * @param {Array<File>} [params.photos]
+ * @param {string} [params.notes]
+ * @param {{ displayName?: string }} [editor]
+ * @returns {Promise<{ proofId: string, issueIds: Array<string>, summary: Object }>}
+ */
+export async function captureProofOfDelivery({ source, record, routeDay = '', drop, lines, receiverName, signatureDataUrl, photos = [], notes = '' }, editor = {}) {
+    const errors = validateProof({ receiverName, hasSignature: !!signatureDataUrl, lines });
+    if (errors.length) throw new Error(errors[0]);
+
+    const sourceId = record.id;
+    const proofId = getProofId(sourceId, source === 'dispatch' ? routeDay : '', drop.restaurantId);
+    const summary = summarizeProofLines(lines);
+    const { signatureUrl, photoUrls } = await uploadProofFiles(proofId, signatureDataUrl, photos);
+
+    const context = {
+        proofId,
+        dispatchId: source === 'dispatch' ? sourceId : (record.orderGroupId || sourceId),
+        submittedOrderId: source === 'dispatch' ? '' : sourceId,
+        vendorId: record.vendorId,
+        vendorName: record.vendorName,
+        restaurantId: drop.restaurantId,
+        restaurantName: drop.restaurantName,
+        routeDay,
+        receiverName: receiverName.trim(),
+    };
+    const issues = buildDiscrepancyIssues(summary, context);
+    const issueRefs = issues.map(issue => doc(db, 'issuesDisputes', issue.issueId));
+    const proofDoc = {
+        proofId,
+        source,
+        sourceId,
+        routeDay,
+        vendorId: record.vendorId || '',
+        vendorName: record.vendorName || '',
+        restaurantId: drop.restaurantId || '',
+        restaurantName: drop.restaurantName || '',
+        receiverName: context.receiverName,
+        signatureUrl,
+        photoUrls,
+        lines: summary.lines,
+        totals: summary.totals,
+        discrepancies: summary.discrepancies,
+        notes: String(notes || '').trim(),
+        capturedAt: serverTimestamp(),
+        capturedBy: editor.displayName || '',
+    };
+
+    let issueIds;
+    if (source === 'dispatch') {
+        const dispatchRef = doc(db, 'vendorDispatches', sourceId);
+        issueIds = await runTransaction(db, async (txn) => {
+            const snap = await txn.get(dispatchRef);
+            if (!snap.exists()) throw new Error('Dispatch not found');
+            const issueSnaps = await Promise.all(issueRefs.map(r => txn.get(r)));
+            txn.update(dispatchRef, {
+                items: applyProofToDispatchItems(snap.data().items, routeDay, drop.restaurantId, summary),
+                updatedAt: serverTimestamp(),
+            });
+            return writeProofAndIssues(txn, proofDoc, issues, issueSnaps);
+        });
+        // A planned route tracks the drop as a stop; unplanned routes have none
+        if (drop.restaurantId) {
+            await updateStopStatus(getRouteDispatchId(sourceId, routeDay), drop.restaurantId, 'delivered', editor)
+                .catch(err => console.warn('[ProofOfDelivery] Route stop not updated:', err.message));
+        }
+    } else {
+        const items = applyProofToOrderItems(record._rawItems || [], summary);
+        const fields = { items, proofOfDeliveryId: proofId };
+        if (summary.lines.some(l => l.receivedQty !== l.dispatchedQty)) {
+            const totals = priceOrderItems(items, await fetchOrderTaxComponents(record.vendorId, record.restaurantId || drop.restaurantId));
+            Object.assign(fields, totals, {
+                total: totals.grandTotalAfterTax,
+                orderedTotals: {
+                    subtotalBeforeTax: record.subtotalBeforeTax,
+                    totalTax: record.totalTax,
+                    grandTotalAfterTax: record.grandTotalAfterTax,
+                },
+            });
+        }
+        await requestStatusTransition('order', sourceId, 'delivered_awaiting_confirmation', {
+            fields,
+            notes: [{ action: `Proof of delivery signed by ${context.receiverName}`, reason: summary.discrepancies.length ? `${summary.discrepancies.length} line issue(s) opened` : 'Received in full' }],
+            expectedStatus: record._marketplaceStatus,
+        });
+        issueIds = await runTransaction(db, async (txn) => {
+            const issueSnaps = await Promise.all(issueRefs.map(r => txn.get(r)));
+            return writeProofAndIssues(txn, proofDoc, issues, issueSnaps);
+        });
+    }
+
+    await logAdminChange({
+        entityType: source === 'dispatch' ? 'dispatch' : 'order',
+        entityId: sourceId,
+        action: 'proof_of_delivery_captured',
+        changedBy: editor.displayName,
+        afterState: { proofId, routeDay, restaurantId: drop.restaurantId, totals: summary.totals, issueIds },
+    });
+    return { proofId, issueIds, summary };
+}
@@ -0,0 +1,99 @@
+/**
+ * routePlanningService.js
+ *
+ * Stop plans for route-day dispatches (src/shared/routePlanning.js): plans a
+ * route from its restaurant drops, saves it as `routePlan` on the
+ * `vendorDispatchRoutes` document, and records stop-by-stop progress.
+ *
+ * Usage:
+ *   import { planRouteDispatch, updateStopStatus } from '../../services/routePlanningService';
+ *   const plan = await planRouteDispatch(route, { startTime: '06:30' }, { displayName });
+ *   await updateStopStatus(route.id, stop.restaurantId, 'delivered', { displayName });
+ */
+import { collection, getDocs, doc, getDoc, updateDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase';
+import { buildRouteStops, planRoute, createHaversineProvider, STOP_STATUSES } from '../shared/routePlanning';
+import { logAdminChange } from '../utils/adminAuditLogger';
+
+/**
+ * Plan a route and save it. Stops already marked on an earlier plan keep
+ * their status.
+ *
+ * @param {Object} route — `vendorDispatchRoutes` document, with `id`
+ * @param {Object} [options]
+ * @param {string} [options.startTime] — "HH:MM"
+ * @param {number} [options.serviceMinutes]
+ * @param {Object} [options.provider] — distance provider; straight-line by default
+ * @param {{ displayName?: string }} [editor]
+ * @returns {Promise<Object>} the saved plan
+ */
+export async function planRouteDispatch(route, { startTime, serviceMinutes, provider = createHaversineProvider() } = {}, editor = {}) {
+    const routeDispatchId = route.routeDispatchId || route.id;
+    const [restaurantSnap, vendorSnap] = await Promise.all([
+        getDocs(collection(db, 'restaurants')),
+        route.vendorId ? getDoc(doc(db, 'vendors', route.vendorId)) : Promise.resolve(null),
+    ]);
+    const restaurantsById = {};
+    restaurantSnap.docs.forEach(d => {
+        const data = d.data();
+        restaurantsById[d.id] = data;
+        if (data.restaurantId) restaurantsById[data.restaurantId] = data;
+    });
+
+    const stops = buildRouteStops(route, restaurantsById);
+    if (stops.length === 0) throw new Error('This route has no restaurant drops to plan.');
+
+    const depot = vendorSnap?.exists() ? vendorSnap.data().location : null;
+    const plan = planRoute(stops, { depot, provider, startTime, serviceMinutes });
+
+    const previous = {};
+    (route.routePlan?.stops || []).forEach(s => { previous[s.restaurantId] = s; });
+    const routePlan = {
+        ...plan,
+        stops: plan.stops.map(s => {
+            const { status = 'pending', statusAt = null, statusBy = '' } = previous[s.restaurantId] || {};
+            return { ...s, status, statusAt, statusBy };
+        }),
+        serviceMinutes: Number(serviceMinutes) || 0,
+        providerLabel: provider.label || provider.id,
+        depot: depot || null,
+        plannedAt: serverTimestamp(),
+        plannedBy: editor.displayName || '',
+    };
+
+    await updateDoc(doc(db, 'vendorDispatchRoutes', routeDispatchId), { routePlan, updatedAt: serverTimestamp() });
+    await logAdminChange({
+        entityType: 'vendorDispatchRoute',
+        entityId: routeDispatchId,
+        action: 'route_planned',
+        changedBy: editor.displayName,
+        afterState: { stops: routePlan.stops.length, totalKm: plan.totalKm, lateCount: plan.lateCount, provider: plan.provider },
+    });
+    return routePlan;
+}
+
+/**
+ * Mark one stop arrived, delivered or skipped — or back to pending.
+ *
+ * @param {string} routeDispatchId
+ * @param {string} restaurantId
+ * @param {'pending'|'arrived'|'delivered'|'skipped'} status
+ * @param {{ displayName?: string, note?: string }} [editor]
+ */
+export async function updateStopStatus(routeDispatchId, restaurantId, status, editor = {}) {
+    if (!STOP_STATUSES.includes(status)) throw new Error(`Unknown stop status "${status}"`);
+    const ref = doc(db, 'vendorDispatchRoutes', routeDispatchId);
+    const stops = await runTransaction(db, async (txn) => {
+        const snap = await txn.get(ref);
+        const plan = snap.exists() ? snap.data().routePlan : null;
+        if (!plan) throw new Error('This route has not been planned.');
+        if (!plan.stops.some(s => s.restaurantId === restaurantId)) throw new Error('Stop is not on this route.');
+        const next = plan.stops.map(s => (s.restaurantId === restaurantId
+            ? { ...s, status, statusAt: status === 'pending' ? null : new Date().toISOString(), statusBy: editor.displayName || '', statusNote: editor.note || '' }
+            : s));
+        txn.update(ref, { 'routePlan.stops': next, updatedAt: serverTimestamp() });
+        return next;
+    });
+    await logAdminChange({ entityType: 'vendorDispatchRoute', entityId: routeDispatchId, action: `stop_${status}`, changedBy: editor.displayName, afterState: { restaurantId, status } });
+    return stops;
+}
@@ -0,0 +1,33 @@
+/**
+ * statusTransitionService.js
+ *
+ * Client side of the `transitionStatus` callable — the only way the app
+ * changes `marketplaceOrders.status` or `vendorDispatches.status`. The server
+ * validates the move against src/shared/statusMachine.js, stamps timestamps
+ * and appends the audit entry, recording the signed-in user from their
+ * profile; illegal moves, and moves the user's role may not make, come back
+ * as errors.
+ *
+ * Usage:
+ *   import { requestStatusTransition } from '../../services/statusTransitionService';
+ *   await requestStatusTransition('dispatch', dispatchId, 'Packed', { expectedStatus: dispatch.status });
+ */
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { app } from '../firebase';
+
+/**
+ * @param {'order'|'dispatch'} entity
+ * @param {string} id — document id
+ * @param {string} toStatus
+ * @param {Object} [options]
+ * @param {Object} [options.fields] — extra fields the target status accepts (e.g. `cancelReason`)
+ * @param {string} [options.reason]
+ * @param {Array<{ action: string, reason?: string }>} [options.notes] — extra audit lines
+ * @param {string} [options.expectedStatus] — status the caller last saw; the move fails if it changed
+ * @returns {Promise<{ success: boolean, entity: string, id: string, fromStatus: string, toStatus: string }>}
+ */
+export async function requestStatusTransition(entity, id, toStatus, { fields, reason, notes, expectedStatus } = {}) {
+    const transition = httpsCallable(getFunctions(app), 'transitionStatus');
+    const result = await transition({ entity, id, toStatus, fields, reason, notes, expectedStatus });
+    return result.data;
+}
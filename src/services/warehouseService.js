@@ -0,0 +1,77 @@
+/**
+ * warehouseService.js
+ *
+ * Client side of the warehouse pick workflow (functions/warehousePicking.js):
+ * live pick status per route line, pick actions, and the `warehouseConfig/layout`
+ * zones and bin locations.
+ *
+ * Usage:
+ *   import { subscribeToWarehousePicks, recordPick } from '../../services/warehouseService';
+ *   const unsubscribe = subscribeToWarehousePicks('Monday', setPicks);
+ *   await recordPick(row, 'short', { qty: 2, reason: 'damaged', actorName: displayName });
+ */
+import { collection, query, where, onSnapshot, doc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { db, app } from '../firebase';
+import { normalizeWarehouseLayout } from '../shared/warehousePicking';
+
+/**
+ * Listen to the pick documents for one route day.
+ * @param {string} routeDay
+ * @param {(picks: Object<string, Object>) => void} onChange — keyed by line id
+ * @param {(err: Error) => void} [onError]
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToWarehousePicks(routeDay, onChange, onError) {
+    const q = query(collection(db, 'warehousePicks'), where('routeDay', '==', routeDay));
+    return onSnapshot(q, (snap) => {
+        const picks = {};
+        snap.docs.forEach(d => { picks[d.id] = d.data(); });
+        onChange(picks);
+    }, onError);
+}
+
+/**
+ * @param {{ routeDispatchId: string, itemKey: string }} row — buildPickRows() row
+ * @param {'pick'|'short'|'load'|'reset'} action
+ * @param {Object} [options]
+ * @param {number} [options.qty]
+ * @param {string} [options.reason]
+ * @param {string} [options.note]
+ * @param {'list'|'scan'} [options.source]
+ * @param {string} [options.actorName]
+ * @returns {Promise<{ lineId, status, warehouseStatus }>}
+ */
+export async function recordPick(row, action, { qty, reason, note, source, actorName } = {}) {
+    const record = httpsCallable(getFunctions(app), 'recordWarehousePick');
+    const result = await record({ routeDispatchId: row.routeDispatchId, itemKey: row.itemKey, action, qty, reason, note, source, actorName });
+    return result.data;
+}
+
+/**
+ * Listen to `warehouseConfig/layout`, normalized over the defaults.
+ * @param {(layout: Object) => void} onChange
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToWarehouseLayout(onChange) {
+    return onSnapshot(doc(db, 'warehouseConfig', 'layout'), (snap) => {
+        onChange(normalizeWarehouseLayout(snap.exists() ? snap.data() : {}));
+    }, (err) => {
+        console.warn('[Warehouse] Could not load warehouseConfig, using defaults:', err.message);
+        onChange(normalizeWarehouseLayout({}));
+    });
+}
+
+/**
+ * @param {Object} layout
+ * @param {{ userId?: string, displayName?: string }} [editor]
+ */
+export async function saveWarehouseLayout(layout, editor = {}) {
+    const normalized = normalizeWarehouseLayout(layout);
+    await setDoc(doc(db, 'warehouseConfig', 'layout'), {
+        ...normalized,
+        updatedAt: serverTimestamp(),
+        updatedBy: editor.displayName || editor.userId || '',
+    });
+    return normalized;
+}
@@ -0,0 +1,129 @@
+/**
+ * catalogIdentity.js
+ *
+ * Resolves order lines, correction entries and dispatch items to a
+ * `catalogItems` document, so one product keeps one identity across vendor
+ * naming variants and renames.
+ *
+ * Lookup order:
+ *   1. catalogItemId on the row (merged items follow `mergedInto` to the survivor)
+ *   2. catalog item name / canonical name / aliases (punctuation- and case-insensitive)
+ *   3. nothing — callers fall back to the legacy name slug
+ *
+ * Pure — callers load `catalogItems` and pass the docs in.
+ */
+
+/**
+ * Match key for names: lowercase letters and digits only, so
+ * "Onion - Cooking", "onion cooking" and "ONION-COOKING" collide.
+ */
+export function catalogNameKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Index `catalogItems` docs for resolveCatalogItem().
+ *
+ * @param {Array<Object>} catalogItems — `{ id, ...data }` docs
+ * @returns {{ byId: Object, byName: Object, size: number }}
+ */
+export function buildCatalogIndex(catalogItems) {
+    const byId = {};
+    (catalogItems || []).forEach(item => {
+        const id = item.catalogItemId || item.id;
+        if (id) byId[id] = { ...item, id };
+    });
+
+    // Follow merge chains to the surviving item
+    const survivorOf = (id) => {
+        const seen = new Set();
+        let current = byId[id];
+        while (current && current.status === 'merged' && current.mergedInto && byId[current.mergedInto] && !seen.has(current.id)) {
+            seen.add(current.id);
+            current = byId[current.mergedInto];
+        }
+        return current || null;
+    };
+
+    const resolvedById = {};
+    Object.keys(byId).forEach(id => { resolvedById[id] = survivorOf(id); });
+
+    // Names of active items win over names kept on merged items
+    const byName = {};
+    const addName = (name, target, overwrite) => {
+        const key = catalogNameKey(name);
+        if (key && (overwrite || !byName[key])) byName[key] = target;
+    };
+    Object.values(byId).forEach(item => {
+        const target = resolvedById[item.id];
+        const isSurvivor = target && target.id === item.id;
+        [item.canonicalName, item.itemName, ...(item.aliases || []), ...(item.aliasNormalized || [])]
+            .forEach(name => addName(name, target, isSurvivor));
+    });
+
+    return { byId: resolvedById, byName, size: Object.keys(byId).length };
+}
+
+/**
+ * Resolve one row to its catalog item.
+ *
+ * @param {Object|null} index — from buildCatalogIndex()
+ * @param {{ catalogItemId?: string, itemName?: string }} row
+ * @returns {{ catalogItemId: string, itemName: string, category: string }|null}
+ */
+export function resolveCatalogItem(index, { catalogItemId, itemName } = {}) {
+    if (!index) return null;
+    const item = (catalogItemId && index.byId[catalogItemId]) || index.byName[catalogNameKey(itemName)] || null;
+    if (!item) return null;
+    return {
+        catalogItemId: item.id,
+        itemName: item.canonicalName || item.itemName || itemName || '',
+        category: item.category || '',
+    };
+}
+
+// ─── Correction Entries ───────────────────────────────────────────────────────
+
+/**
+ * Re-key a `correctionEntries` row to its catalog item. Rows written against a
+ * name slug (or a `new_…` id for items added during review) get the catalog
+ * item's id as both `itemId` and `catalogItemId`, so computeCorrectionProfiles()
+ * groups them with the forecast line. Unresolved rows are returned unchanged.
+ */
+export function resolveCorrectionEntry(index, entry) {
+    const catalog = resolveCatalogItem(index, { catalogItemId: entry.catalogItemId, itemName: entry.itemName });
+    if (!catalog) return entry;
+    return { ...entry, itemId: catalog.catalogItemId, catalogItemId: catalog.catalogItemId };
+}
+
+/**
+ * Plan the correction re-key migration: which rows change and what to.
+ *
+ * @param {Object} index — from buildCatalogIndex()
+ * @param {Array<Object>} entries — `{ id, ...data }` correction rows
+ * @returns {{ updates: Array<{ id, itemName, fromItemId, fromCatalogItemId, catalogItemId }>, unresolved: Array<{ id, itemName, itemId }>, unchanged: number }}
+ */
+export function planCorrectionRekey(index, entries) {
+    const updates = [];
+    const unresolved = [];
+    let unchanged = 0;
+
+    (entries || []).forEach(entry => {
+        const catalog = resolveCatalogItem(index, { catalogItemId: entry.catalogItemId, itemName: entry.itemName });
+        if (!catalog) {
+            unresolved.push({ id: entry.id, itemName: entry.itemName || '', itemId: entry.itemId || '' });
+        } else if (entry.itemId === catalog.catalogItemId && entry.catalogItemId === catalog.catalogItemId) {
+            unchanged++;
+        } else {
+            updates.push({
+                id: entry.id,
+                itemName: entry.itemName || '',
+                fromItemId: entry.itemId || '',
+                fromCatalogItemId: entry.catalogItemId || '',
+                catalogItemId: catalog.catalogItemId,
+            });
+        }
+    });
+
+    return { updates, unresolved, unchanged };
+}
@@ -0,0 +1,90 @@
+// src/shared/catalogIdentity.test.js
+//
+// Unit tests for catalog item identity resolution and the correction re-key plan.
+// Run with: npm test -- --watchAll=false --testPathPattern=catalogIdentity
+//
+import { buildCatalogIndex, resolveCatalogItem, catalogNameKey, planCorrectionRekey, resolveCorrectionEntry } from './catalogIdentity';
+import { flattenOrderRecords, buildRestaurantForecast, getRestaurantList, computeCorrectionProfiles } from './forecastCore';
+
+const catalog = buildCatalogIndex([
+    { id: 'cat-onion', canonicalName: 'Onion - Cooking', itemName: 'Cooking Onion', category: 'Produce', aliases: ['Yellow Onion 50lb', 'White Onion'], status: 'active' },
+    { id: 'cat-onion-old', canonicalName: 'Onions (Old)', aliases: ['Spanish Onion'], status: 'merged', mergedInto: 'cat-onion' },
+    { id: 'cat-garlic', canonicalName: 'Peeled Garlic', category: 'Produce', status: 'active' },
+]);
+
+describe('catalogIdentity — resolveCatalogItem', () => {
+    test('name keys ignore case and punctuation', () => {
+        expect(catalogNameKey('Onion - Cooking')).toBe(catalogNameKey('ONION cooking'));
+    });
+
+    test.each([
+        [{ catalogItemId: 'cat-onion' }, 'cat-onion'],
+        [{ itemName: 'yellow onion 50LB' }, 'cat-onion'],        // alias
+        [{ itemName: 'Cooking Onion' }, 'cat-onion'],            // catalog itemName
+        [{ catalogItemId: 'cat-onion-old' }, 'cat-onion'],       // merged → survivor
+        [{ itemName: 'Spanish Onion' }, 'cat-onion'],            // alias of a merged item
+    ])('%j → %s', (row, expected) => {
+        const resolved = resolveCatalogItem(catalog, row);
+        expect(resolved.catalogItemId).toBe(expected);
+        expect(resolved.itemName).toBe('Onion - Cooking');
+    });
+
+    test('unknown names and a missing index resolve to null', () => {
+        expect(resolveCatalogItem(catalog, { itemName: 'Dragon Fruit' })).toBeNull();
+        expect(resolveCatalogItem(null, { itemName: 'Cooking Onion' })).toBeNull();
+    });
+});
+
+describe('catalogIdentity — forecast history', () => {
+    const order = (date, name, qty, extra = {}) => ({
+        status: 'fulfilled', restaurantId: 'oruma-takeout', createdAt: `${date}T12:00:00.000Z`,
+        items: [{ name, qty, category: 'Produce', ...extra }],
+    });
+    // Same product under three vendor names and a rename
+    const orders = [
+        order('2026-01-05', 'Yellow Onion 50lb', 10),
+        order('2026-01-12', 'White Onion', 10),
+        order('2026-01-19', 'Cooking Onion', 10),
+        order('2026-01-26', 'Onion - Cooking', 10, { catalogItemId: 'cat-onion' }),
+    ];
+
+    test('variants resolve to one catalog item', () => {
+        const records = flattenOrderRecords(orders, { catalogIndex: catalog });
+        expect(new Set(records.map(r => r.catalogItemId))).toEqual(new Set(['cat-onion']));
+        const lines = buildRestaurantForecast(records, 'oruma-takeout', getRestaurantList(records));
+        expect(lines).toHaveLength(1);
+        expect(lines[0]).toMatchObject({ id: 'cat-onion', catalogItemId: 'cat-onion', itemName: 'Onion - Cooking' });
+    });
+
+    test('records without an id borrow one from a same-name record', () => {
+        const records = flattenOrderRecords([
+            order('2026-01-05', 'Peeled Garlic', 4),
+            order('2026-01-12', 'Peeled Garlic', 4),
+            order('2026-01-19', 'Peeled Garlic', 4, { catalogItemId: 'cat-garlic' }),
+        ]);
+        const lines = buildRestaurantForecast(records, 'oruma-takeout', ['oruma-takeout']);
+        expect(lines.map(l => l.id)).toEqual(['cat-garlic']);
+    });
+});
+
+describe('catalogIdentity — correction re-key', () => {
+    const entries = [
+        { id: 'c1', itemId: 'yellow-onion-50lb', itemName: 'Yellow Onion 50lb', deltaQty: 2 },
+        { id: 'c2', itemId: 'new_1712', itemName: 'White Onion', deltaQty: 2 },
+        { id: 'c3', itemId: 'cat-onion', catalogItemId: 'cat-onion', itemName: 'Onion - Cooking', deltaQty: 2 },
+        { id: 'c4', itemId: 'dragon-fruit', itemName: 'Dragon Fruit', deltaQty: 1 },
+    ];
+
+    test('plans updates for rows not keyed by their catalog item', () => {
+        const plan = planCorrectionRekey(catalog, entries);
+        expect(plan.updates.map(u => [u.id, u.catalogItemId])).toEqual([['c1', 'cat-onion'], ['c2', 'cat-onion']]);
+        expect(plan.unchanged).toBe(1);
+        expect(plan.unresolved).toEqual([{ id: 'c4', itemName: 'Dragon Fruit', itemId: 'dragon-fruit' }]);
+    });
+
+    test('re-keyed rows share one correction profile', () => {
+        const profiles = computeCorrectionProfiles(entries.map(e => resolveCorrectionEntry(catalog, e)));
+        expect(profiles['cat-onion'].historyCount).toBe(3);
+        expect(profiles['dragon-fruit'].historyCount).toBe(1);
+    });
+});
@@ -0,0 +1,432 @@
+/**
+ * commissionRules.js
+ *
+ * Commission rules engine — which rate the platform takes on each invoice
+ * line, and what a proposed rule change would have done to recent invoices.
+ *
+ *   commissionRules/{ruleId}                  — one rule per scope, with its dated versions
+ *   commissionVolumes/{vendorId}_{YYYY-MM}    — vendor GMV invoiced in a calendar month
+ *
+ * A rule applies to one scope; the most specific scope with a version in
+ * effect on the invoice date prices the line:
+ *
+ *   vendor_category   one vendor, one item category
+ *   vendor            every line of one vendor
+ *   category          one item category, any vendor
+ *   platform          everything else
+ *
+ * Lines no rule covers keep the vendor's own `commissionPercent` (default
+ * 10%) and the invoice stays `VENDOR_FLAT_PERCENT`.
+ *
+ * Rule IDs are derived from the scope, so a scope can only ever have one rule.
+ * Versions are never edited: a change is a new version with a later
+ * `effectiveFrom` (business date). Versions that have not started yet can be
+ * replaced; once a version has started it may have priced invoices and stays.
+ * A version can retire the rule, handing its lines to the next scope.
+ *
+ * Volume tiers: a version may step its base rate down (or up) once the
+ * vendor's GMV for the calendar month — including the invoice being priced —
+ * reaches a tier's `minMonthlyGmv`. The tier applies to the whole invoice.
+ *
+ * Pure — used by functions/invoiceGeneration.js, functions/commissionRules.js
+ * and the Finance commission tab.
+ */
+
+import { BUSINESS_TIME_ZONE } from './invoiceNumbering.js';
+
+/** Rate for vendors with no `commissionPercent` when no rule applies. */
+export const DEFAULT_COMMISSION_PERCENT = 10;
+
+export const COMMISSION_MODELS = {
+    VENDOR_FLAT_PERCENT: 'VENDOR_FLAT_PERCENT',  // vendor's own percent
+    COMMISSION_RULES: 'COMMISSION_RULES',        // at least one line priced by a rule
+};
+
+/** Rule scopes, most specific first — the order rules are matched in. */
+export const COMMISSION_RULE_SCOPES = [
+    { key: 'vendor_category', label: 'Vendor + category', needsVendor: true, needsCategory: true },
+    { key: 'vendor', label: 'Vendor', needsVendor: true, needsCategory: false },
+    { key: 'category', label: 'Category', needsVendor: false, needsCategory: true },
+    { key: 'platform', label: 'Platform default', needsVendor: false, needsCategory: false },
+];
+
+export const MAX_COMMISSION_TIERS = 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (value instanceof Date) return value;
+    if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/** Calendar date (YYYY-MM-DD) in the business time zone; plain dates pass through. */
+export function getCommissionDate(value) {
+    if (typeof value === 'string' && ISO_DATE.test(value)) return value;
+    const d = toDate(value);
+    if (!d) return null;
+    return new Intl.DateTimeFormat('en-CA', { timeZone: BUSINESS_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(d);
+}
+
+/** Monday (YYYY-MM-DD) of the week containing a business date. */
+const weekStartOf = (isoDate) => {
+    const t = Date.parse(`${isoDate}T00:00:00Z`);
+    const dow = new Date(t).getUTCDay();
+    return new Date(t - ((dow + 6) % 7) * DAY_MS).toISOString().slice(0, 10);
+};
+
+const categoryKey = (category) => String(category || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Document ID of the rule for a scope.
+ *
+ * @param {{ scope: string, vendorId?: string, category?: string }} params
+ * @returns {string}
+ */
+export function getCommissionRuleId({ scope, vendorId, category }) {
+    switch (scope) {
+        case 'vendor_category': return `vendor_${vendorId}__category_${categoryKey(category)}`;
+        case 'vendor': return `vendor_${vendorId}`;
+        case 'category': return `category_${categoryKey(category)}`;
+        default: return 'platform';
+    }
+}
+
+/**
+ * IDs of every rule that could price an order — fetched together before pricing.
+ *
+ * @param {string} vendorId
+ * @param {string[]} categories — categories on the order's lines
+ */
+export function getCandidateRuleIds(vendorId, categories = []) {
+    const ids = new Set([getCommissionRuleId({ scope: 'vendor', vendorId }), 'platform']);
+    categories.filter(Boolean).forEach(category => {
+        ids.add(getCommissionRuleId({ scope: 'vendor_category', vendorId, category }));
+        ids.add(getCommissionRuleId({ scope: 'category', category }));
+    });
+    return [...ids];
+}
+
+/** `commissionVolumes` document ID for a vendor's month (YYYY-MM). */
+export function getCommissionVolumeId(vendorId, month) {
+    return `${vendorId}_${month}`;
+}
+
+/** The vendor's own rate, used when no rule applies. */
+export function getVendorCommissionPercent(vendor) {
+    const percent = Number(vendor?.commissionPercent ?? DEFAULT_COMMISSION_PERCENT);
+    return Number.isFinite(percent) ? percent : DEFAULT_COMMISSION_PERCENT;
+}
+
+/** True for invoices that deduct commission from the vendor's payout. */
+export function hasCommissionModel(invoice) {
+    return Object.values(COMMISSION_MODELS).includes(invoice?.commissionModel);
+}
+
+const indexRules = (rules) => (Array.isArray(rules)
+    ? Object.fromEntries(rules.map(r => [r.id, r]))
+    : rules || {});
+
+/**
+ * Version of a rule in effect on a date, or null (not started yet, or retired).
+ *
+ * @param {Object} rule — commissionRules doc
+ * @param {string} date — YYYY-MM-DD
+ */
+export function getRuleVersion(rule, date) {
+    const started = (rule?.versions || [])
+        .filter(v => String(v.effectiveFrom || '') <= date)
+        .sort((a, b) => String(a.effectiveFrom).localeCompare(String(b.effectiveFrom)));
+    const current = started[started.length - 1];
+    return current && !current.retired ? current : null;
+}
+
+/**
+ * Rate of a version at a monthly GMV — the highest tier reached, else the base rate.
+ *
+ * @returns {{ percent: number, tierMinMonthlyGmv: number|null }}
+ */
+export function getTierPercent(version, monthlyGmv = 0) {
+    const tier = [...(version?.tiers || [])]
+        .sort((a, b) => b.minMonthlyGmv - a.minMonthlyGmv)
+        .find(t => monthlyGmv >= t.minMonthlyGmv);
+    return tier
+        ? { percent: Number(tier.percent), tierMinMonthlyGmv: Number(tier.minMonthlyGmv) }
+        : { percent: Number(version?.basePercent) || 0, tierMinMonthlyGmv: null };
+}
+
+/**
+ * Rate and rule for one invoice line.
+ *
+ * @param {Object} params
+ * @param {Object|Array} params.rules — commissionRules docs (with `id`), as a list or keyed by ID
+ * @param {string} params.vendorId
+ * @param {string} [params.category]
+ * @param {string} params.date — YYYY-MM-DD, the invoice date
+ * @param {number} [params.monthlyGmv] — vendor GMV for the month, including this invoice
+ * @param {number} params.fallbackPercent — the vendor's own rate
+ * @returns {{ percent, ruleId, ruleName, scope, version, tierMinMonthlyGmv }}
+ */
+export function resolveCommission({ rules, vendorId, category = null, date, monthlyGmv = 0, fallbackPercent = DEFAULT_COMMISSION_PERCENT }) {
+    const byId = indexRules(rules);
+    for (const scope of COMMISSION_RULE_SCOPES) {
+        if (scope.needsCategory && !category) continue;
+        const ruleId = getCommissionRuleId({ scope: scope.key, vendorId, category });
+        const rule = byId[ruleId];
+        const version = getRuleVersion(rule, date);
+        if (!version) continue;
+        return {
+            ...getTierPercent(version, monthlyGmv),
+            ruleId,
+            ruleName: rule.name || scope.label,
+            scope: scope.key,
+            version: version.version,
+        };
+    }
+    return { percent: fallbackPercent, ruleId: null, ruleName: 'Vendor rate', scope: null, version: null, tierMinMonthlyGmv: null };
+}
+
+/**
+ * Model for an invoice from the resolutions of its lines.
+ *
+ * @param {Array} resolutions — from resolveCommission()
+ */
+export function getCommissionModel(resolutions = []) {
+    return resolutions.some(r => r.ruleId)
+        ? COMMISSION_MODELS.COMMISSION_RULES
+        : COMMISSION_MODELS.VENDOR_FLAT_PERCENT;
+}
+
+/**
+ * The rules that priced an invoice, one entry per rule version and rate.
+ *
+ * @param {Array<{ lineSubtotal: number, lineCommission: number, commission: Object }>} lines
+ *        — priced lines with their resolveCommission() result
+ * @returns {Array<{ ruleId, ruleName, scope, version, percent, tierMinMonthlyGmv, lineCount, subtotal, commission }>}
+ */
+export function summarizeCommissionPricing(lines = []) {
+    const groups = new Map();
+    lines.forEach(line => {
+        const c = line.commission;
+        const key = `${c.ruleId || ''}|${c.version ?? ''}|${c.percent}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                ruleId: c.ruleId,
+                ruleName: c.ruleName,
+                scope: c.scope,
+                version: c.version,
+                percent: c.percent,
+                tierMinMonthlyGmv: c.tierMinMonthlyGmv,
+                lineCount: 0,
+                subtotal: 0,
+                commission: 0,
+            });
+        }
+        const g = groups.get(key);
+        g.lineCount += 1;
+        g.subtotal = round2(g.subtotal + line.lineSubtotal);
+        g.commission = round2(g.commission + line.lineCommission);
+    });
+    return [...groups.values()].sort((a, b) => b.subtotal - a.subtotal);
+}
+
+// ── Rule versions ───────────────────────────────────────────────────────────
+
+const validPercent = (n) => Number.isFinite(n) && n >= 0 && n <= 100;
+
+/**
+ * Scope fields of a rule, or the first problem with them.
+ *
+ * @param {{ scope, vendorId?, category? }} params
+ * @returns {{ scope: Object|null, error: string|null }}
+ */
+export function validateRuleScope({ scope, vendorId, category }) {
+    const def = COMMISSION_RULE_SCOPES.find(s => s.key === scope);
+    if (!def) return { scope: null, error: `Unknown scope "${scope}".` };
+    const clean = {
+        scope,
+        vendorId: def.needsVendor ? String(vendorId || '').trim() : null,
+        category: def.needsCategory ? String(category || '').trim() : null,
+    };
+    if (def.needsVendor && !clean.vendorId) return { scope: null, error: 'Choose a vendor.' };
+    if (def.needsCategory && !categoryKey(clean.category)) return { scope: null, error: 'Choose a category.' };
+    return { scope: clean, error: null };
+}
+
+/**
+ * A rule version as entered, cleaned, or the first problem with it.
+ *
+ * @param {{ effectiveFrom: string, basePercent?: number, tiers?: Array, retired?: boolean, notes?: string }} input
+ * @returns {{ version: Object|null, error: string|null }}
+ */
+export function validateRuleVersion(input = {}) {
+    const fail = (error) => ({ version: null, error });
+    const effectiveFrom = String(input.effectiveFrom || '');
+    if (!ISO_DATE.test(effectiveFrom)) return fail('Effective date must be YYYY-MM-DD.');
+    const notes = String(input.notes || '').trim();
+    if (input.retired) return { version: { effectiveFrom, retired: true, basePercent: null, tiers: [], notes }, error: null };
+
+    const basePercent = Number(input.basePercent);
+    if (input.basePercent === '' || input.basePercent == null || !validPercent(basePercent)) return fail('Base rate must be between 0% and 100%.');
+
+    const tiers = [];
+    for (const tier of input.tiers || []) {
+        const minMonthlyGmv = round2(tier.minMonthlyGmv);
+        const percent = Number(tier.percent);
+        if (!(minMonthlyGmv > 0)) return fail('Each tier needs a monthly GMV above $0.');
+        if (tier.percent === '' || tier.percent == null || !validPercent(percent)) return fail(`Tier from $${minMonthlyGmv.toFixed(2)}: rate must be between 0% and 100%.`);
+        if (tiers.some(t => t.minMonthlyGmv === minMonthlyGmv)) return fail(`Two tiers start at $${minMonthlyGmv.toFixed(2)}.`);
+        tiers.push({ minMonthlyGmv, percent });
+    }
+    if (tiers.length > MAX_COMMISSION_TIERS) return fail(`A version can have at most ${MAX_COMMISSION_TIERS} tiers.`);
+    tiers.sort((a, b) => a.minMonthlyGmv - b.minMonthlyGmv);
+
+    return { version: { effectiveFrom, retired: false, basePercent, tiers, notes }, error: null };
+}
+
+/**
+ * Add a version to a rule.
+ *
+ * The version must start today or later, and after the last version that has
+ * already started. Versions that have not started and begin on or after the
+ * new one are superseded (dropped).
+ *
+ * @param {Object|null} rule — existing commissionRules doc, or null for a new rule
+ * @param {Object} input — see validateRuleVersion()
+ * @param {string} today — YYYY-MM-DD, business date
+ * @returns {{ versions: Array|null, version: Object|null, superseded: Array, error: string|null }}
+ */
+export function addRuleVersion(rule, input, today) {
+    const fail = (error) => ({ versions: null, version: null, superseded: [], error });
+    const { version, error } = validateRuleVersion(input);
+    if (error) return fail(error);
+
+    const existing = rule?.versions || [];
+    if (version.effectiveFrom < today) return fail(`Versions cannot start in the past (today is ${today}).`);
+    if (version.retired && !existing.some(v => !v.retired)) return fail('This rule has no rate to retire.');
+
+    const lastStarted = existing
+        .filter(v => v.effectiveFrom <= today)
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+        .pop();
+    if (lastStarted && version.effectiveFrom <= lastStarted.effectiveFrom) {
+        return fail(`Version ${lastStarted.version} started ${lastStarted.effectiveFrom} and may have priced invoices — start the new version after that.`);
+    }
+
+    const superseded = existing.filter(v => v.effectiveFrom >= version.effectiveFrom);
+    const numbered = { version: Math.max(0, ...existing.map(v => Number(v.version) || 0)) + 1, ...version };
+    const versions = [...existing.filter(v => v.effectiveFrom < version.effectiveFrom), numbered]
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    return { versions, version: numbered, superseded, error: null };
+}
+
+// ── Simulator ───────────────────────────────────────────────────────────────
+
+/**
+ * Reprice recent vendor invoices under a proposed rule and compare with what
+ * they were actually charged.
+ *
+ * The proposal replaces the rule for its scope for the whole window; every
+ * other rule applies as it did on each invoice's date. Monthly GMV for tiers
+ * runs from the first of the month, so pass invoices from the start of the
+ * month containing `fromDate` — earlier ones only count towards volume.
+ * Lines on invoices issued before categories were recorded have no category
+ * and are never matched by category rules.
+ *
+ * @param {Object} params
+ * @param {Array}  params.invoices — vendorInvoices docs (with `id`)
+ * @param {Array}  params.rules — commissionRules docs (with `id`)
+ * @param {Object} params.proposal — { scope, vendorId?, category?, name?, basePercent, tiers, retired? }
+ * @param {Object} [params.vendors] — vendors docs keyed by ID, for fallback rates and names
+ * @param {string} params.fromDate — YYYY-MM-DD, first invoice date reported
+ * @returns {{ fromDate, ruleId, invoiceCount, gmv, commission, proposedCommission, delta, takeRate, proposedTakeRate, affected, uncategorizedLines, byVendor: Array, byWeek: Array }}
+ */
+export function simulateCommissionChange({ invoices = [], rules = [], proposal, vendors = {}, fromDate }) {
+    const ruleId = getCommissionRuleId(proposal);
+    const proposedRules = {
+        ...indexRules(rules),
+        [ruleId]: {
+            id: ruleId,
+            ...proposal,
+            versions: [{ version: 'proposed', effectiveFrom: '', retired: !!proposal.retired, basePercent: Number(proposal.basePercent) || 0, tiers: proposal.tiers || [] }],
+        },
+    };
+
+    const dated = invoices
+        .filter(inv => inv.paymentStatus !== 'VOIDED')
+        .map(inv => ({ inv, date: getCommissionDate(inv.invoiceDate || inv.createdAt) }))
+        .filter(x => x.date)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const volume = {};
+    const byVendor = new Map();
+    const byWeek = new Map();
+    const totals = { invoiceCount: 0, gmv: 0, commission: 0, proposedCommission: 0 };
+    const affected = { invoiceCount: 0, gmv: 0 };
+    let uncategorizedLines = 0;
+
+    const add = (bucket, gmv, actual, proposed) => {
+        bucket.invoiceCount += 1;
+        bucket.gmv = round2(bucket.gmv + gmv);
+        bucket.commission = round2(bucket.commission + actual);
+        bucket.proposedCommission = round2(bucket.proposedCommission + proposed);
+    };
+
+    dated.forEach(({ inv, date }) => {
+        const gmv = round2(inv.grossVendorAmount ?? inv.subtotalVendorAmount);
+        const volumeKey = getCommissionVolumeId(inv.vendorId, date.slice(0, 7));
+        volume[volumeKey] = round2((volume[volumeKey] || 0) + gmv);
+        if (date < fromDate) return;
+
+        const vendor = vendors[inv.vendorId] || {};
+        const lines = (inv.items || []).length > 0
+            ? inv.items.map(item => ({ subtotal: Number(item.lineTotalVendor ?? (Number(item.qty) || 0) * (Number(item.vendorPrice) || 0)) || 0, category: item.category || null }))
+            : [{ subtotal: gmv, category: null }];
+        const proposed = round2(lines.reduce((s, line) => {
+            if (!line.category) uncategorizedLines += 1;
+            const { percent } = resolveCommission({
+                rules: proposedRules,
+                vendorId: inv.vendorId,
+                category: line.category,
+                date,
+                monthlyGmv: volume[volumeKey],
+                fallbackPercent: getVendorCommissionPercent(vendor),
+            });
+            return s + round2(line.subtotal * percent / 100);
+        }, 0));
+        const actual = round2(inv.commissionAmount);
+
+        add(totals, gmv, actual, proposed);
+        if (Math.abs(proposed - actual) >= 0.01) {
+            affected.invoiceCount += 1;
+            affected.gmv = round2(affected.gmv + gmv);
+        }
+        if (!byVendor.has(inv.vendorId)) {
+            byVendor.set(inv.vendorId, { vendorId: inv.vendorId, vendorName: vendor.name || inv.vendorName || inv.vendorId, invoiceCount: 0, gmv: 0, commission: 0, proposedCommission: 0 });
+        }
+        add(byVendor.get(inv.vendorId), gmv, actual, proposed);
+        const weekStart = weekStartOf(date);
+        if (!byWeek.has(weekStart)) byWeek.set(weekStart, { weekStart, invoiceCount: 0, gmv: 0, commission: 0, proposedCommission: 0 });
+        add(byWeek.get(weekStart), gmv, actual, proposed);
+    });
+
+    const withDelta = (row) => ({ ...row, delta: round2(row.proposedCommission - row.commission) });
+    const rate = (commission, gmv) => (gmv ? round2(commission / gmv * 100) : 0);
+    return {
+        fromDate,
+        ruleId,
+        ...withDelta(totals),
+        takeRate: rate(totals.commission, totals.gmv),
+        proposedTakeRate: rate(totals.proposedCommission, totals.gmv),
+        affected,
+        uncategorizedLines,
+        byVendor: [...byVendor.values()].map(withDelta).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || b.gmv - a.gmv),
+        byWeek: [...byWeek.values()].map(withDelta).sort((a, b) => a.weekStart.localeCompare(b.weekStart)),
+    };
+}
@@ -0,0 +1,114 @@
+// src/shared/commissionRules.test.js
+//
+// Unit tests for commission rules: scope precedence, dated versions, volume tiers and the simulator.
+// Run with: npm test -- --watchAll=false --testPathPattern=commissionRules
+//
+import {
+    getCommissionRuleId,
+    getCandidateRuleIds,
+    resolveCommission,
+    addRuleVersion,
+    validateRuleVersion,
+    simulateCommissionChange,
+} from './commissionRules';
+
+const version = (n, effectiveFrom, basePercent, extra = {}) => ({ version: n, effectiveFrom, basePercent, tiers: [], retired: false, ...extra });
+
+const rules = [
+    { id: 'platform', scope: 'platform', name: 'Platform', versions: [version(1, '2026-01-01', 12)] },
+    { id: 'category_meat', scope: 'category', category: 'Meat', name: 'Meat', versions: [version(1, '2026-01-01', 8)] },
+    {
+        id: 'vendor_v1',
+        scope: 'vendor',
+        vendorId: 'v1',
+        name: 'Fresh Farms deal',
+        versions: [
+            version(1, '2026-01-01', 10, { tiers: [{ minMonthlyGmv: 5000, percent: 8 }, { minMonthlyGmv: 10000, percent: 6 }] }),
+            version(2, '2026-06-01', 0, { retired: true }),
+        ],
+    },
+    { id: 'vendor_v1__category_meat', scope: 'vendor_category', vendorId: 'v1', category: 'Meat', name: 'Fresh Farms meat', versions: [version(1, '2026-01-01', 5)] },
+];
+
+describe('commissionRules — resolveCommission', () => {
+    test('the most specific scope in effect prices the line', () => {
+        const at = (vendorId, category, date = '2026-03-10') => resolveCommission({ rules, vendorId, category, date, fallbackPercent: 15 });
+        expect(at('v1', 'Meat')).toMatchObject({ percent: 5, ruleId: 'vendor_v1__category_meat', version: 1 });
+        expect(at('v1', 'Dairy')).toMatchObject({ percent: 10, ruleId: 'vendor_v1', scope: 'vendor' });
+        expect(at('v2', 'Meat')).toMatchObject({ percent: 8, ruleId: 'category_meat' });
+        expect(at('v2', null)).toMatchObject({ percent: 12, ruleId: 'platform' });
+        // v1's vendor rule is retired from June — its lines fall through to the platform default
+        expect(at('v1', 'Dairy', '2026-06-01')).toMatchObject({ percent: 12, ruleId: 'platform' });
+        expect(resolveCommission({ rules: [], vendorId: 'v1', date: '2026-03-10', fallbackPercent: 15 })).toMatchObject({ percent: 15, ruleId: null });
+    });
+
+    test('volume tiers follow the month-to-date GMV', () => {
+        const at = (monthlyGmv) => resolveCommission({ rules, vendorId: 'v1', category: 'Dairy', date: '2026-03-10', monthlyGmv }).percent;
+        expect([at(4999.99), at(5000), at(12000)]).toEqual([10, 8, 6]);
+        expect(resolveCommission({ rules, vendorId: 'v1', date: '2026-03-10', monthlyGmv: 12000 }).tierMinMonthlyGmv).toBe(10000);
+    });
+
+    test('rule IDs come from the scope, and an order fetches only the rules that could apply', () => {
+        expect(getCommissionRuleId({ scope: 'category', category: 'Cleaning Supplies' })).toBe('category_cleaning-supplies');
+        expect(getCandidateRuleIds('v1', ['Meat'])).toEqual(['vendor_v1', 'platform', 'vendor_v1__category_meat', 'category_meat']);
+    });
+});
+
+describe('commissionRules — versions', () => {
+    const rule = { versions: [version(1, '2026-01-01', 10), version(2, '2026-11-01', 9)] };
+
+    test('a new version supersedes scheduled versions but never one that has started', () => {
+        const { versions, version: added, superseded } = addRuleVersion(rule, { effectiveFrom: '2026-10-20', basePercent: '8.5' }, '2026-10-19');
+        expect(added).toMatchObject({ version: 3, basePercent: 8.5 });
+        expect(superseded.map(v => v.version)).toEqual([2]);
+        expect(versions.map(v => v.version)).toEqual([1, 3]);
+
+        expect(addRuleVersion(rule, { effectiveFrom: '2026-10-01', basePercent: 8 }, '2026-10-19').error).toMatch(/cannot start in the past/);
+        expect(addRuleVersion({ versions: [version(1, '2026-10-19', 10)] }, { effectiveFrom: '2026-10-19', basePercent: 8 }, '2026-10-19').error).toMatch(/Version 1 started 2026-10-19/);
+        expect(addRuleVersion(null, { effectiveFrom: '2026-10-19', retired: true }, '2026-10-19').error).toMatch(/no rate to retire/);
+    });
+
+    test('rates and tiers are validated and tiers sorted', () => {
+        expect(validateRuleVersion({ effectiveFrom: '2026-10-19', basePercent: 101 }).error).toMatch(/Base rate/);
+        expect(validateRuleVersion({ effectiveFrom: '2026-10-19', basePercent: 10, tiers: [{ minMonthlyGmv: 0, percent: 5 }] }).error).toMatch(/above \$0/);
+        expect(validateRuleVersion({ effectiveFrom: '2026-10-19', basePercent: 10, tiers: [{ minMonthlyGmv: 100, percent: 5 }, { minMonthlyGmv: 100, percent: 4 }] }).error).toMatch(/Two tiers/);
+        expect(validateRuleVersion({ effectiveFrom: '2026-10-19', basePercent: 10, tiers: [{ minMonthlyGmv: '9000', percent: '6' }, { minMonthlyGmv: 3000, percent: 8 }] }).version.tiers)
+            .toEqual([{ minMonthlyGmv: 3000, percent: 8 }, { minMonthlyGmv: 9000, percent: 6 }]);
+    });
+});
+
+describe('commissionRules — simulateCommissionChange', () => {
+    const invoice = (id, vendorId, invoiceDate, gross, commission, category = 'Dairy') => ({
+        id, vendorId, invoiceDate, grossVendorAmount: gross, commissionAmount: commission,
+        items: [{ lineTotalVendor: gross, category }],
+    });
+
+    test('reprices the window under the proposal, counting volume from the first of the month', () => {
+        const result = simulateCommissionChange({
+            invoices: [
+                invoice('a', 'v2', '2026-10-01', 3000, 300),  // before the window — volume only
+                invoice('b', 'v2', '2026-10-13', 2500, 250),
+                invoice('c', 'v3', '2026-10-14', 1000, 100),
+                { ...invoice('d', 'v2', '2026-10-15', 900, 90), paymentStatus: 'VOIDED' },
+            ],
+            rules: [],
+            proposal: { scope: 'vendor', vendorId: 'v2', basePercent: 10, tiers: [{ minMonthlyGmv: 5000, percent: 7 }] },
+            vendors: { v2: { name: 'Bay Dairy', commissionPercent: 10 }, v3: { name: 'Peak Produce' } },
+            fromDate: '2026-10-12',
+        });
+
+        expect(result).toMatchObject({
+            ruleId: 'vendor_v2',
+            invoiceCount: 2,
+            gmv: 3500,
+            commission: 350,
+            proposedCommission: 275,   // b reaches the $5,000 tier: 2500 × 7%
+            delta: -75,
+            takeRate: 10,
+            proposedTakeRate: 7.86,
+            affected: { invoiceCount: 1, gmv: 2500 },
+        });
+        expect(result.byVendor.map(v => [v.vendorName, v.delta])).toEqual([['Bay Dairy', -75], ['Peak Produce', 0]]);
+        expect(result.byWeek).toEqual([{ weekStart: '2026-10-12', invoiceCount: 2, gmv: 3500, commission: 350, proposedCommission: 275, delta: -75 }]);
+    });
+});
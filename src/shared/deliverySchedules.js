@@ -0,0 +1,280 @@
+/**
+ * deliverySchedules.js
+ *
+ * Delivery days for restaurant / vendor pairs.
+ *
+ *   restaurants/{restaurantId}.deliveryDays         — days the restaurant takes deliveries
+ *   vendors/{vendorId}.deliveryDays                 — days the vendor delivers
+ *   deliverySchedules/{vendorId}__{restaurantId}    — `days` for one pair, overriding both
+ *
+ * A pair delivers on its override, else on the days the restaurant and the
+ * vendor share, else on whichever of the two is set. When both are set but
+ * share no day the restaurant's days win and the pair is flagged as a
+ * conflict. With nothing set, the pair keeps the original Monday / Thursday
+ * routes.
+ *
+ * Days are stored as full names ("Tuesday"); vendor documents written before
+ * this used short codes ("Tue"), and both are accepted. Weeks start on Monday.
+ *
+ * Pure — used by the forecast core, dispatch, the warehouse and the delivery
+ * pages.
+ */
+
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export const DEFAULT_DELIVERY_DAYS = ['Monday', 'Thursday'];
+
+export const SCHEDULES_COLLECTION = 'deliverySchedules';
+
+// ─── Days ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Full weekday name for "Tuesday", "tue" or "THURS" (any prefix of three or
+ * more letters); '' when not a weekday.
+ */
+export function normalizeDeliveryDay(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (text.length < 3) return '';
+    return WEEKDAYS.find(day => day.toLowerCase().startsWith(text)) || '';
+}
+
+/**
+ * Unique weekday names in week order; anything that is not a weekday is dropped.
+ * @param {Array<string>} values
+ * @returns {Array<string>}
+ */
+export function normalizeDeliveryDays(values) {
+    const days = new Set((Array.isArray(values) ? values : []).map(normalizeDeliveryDay).filter(Boolean));
+    return WEEKDAYS.filter(day => days.has(day));
+}
+
+/** "Tuesday" → "Tue" — the suffix of route dispatch ids. */
+export function getWeekdayCode(day) {
+    return (normalizeDeliveryDay(day) || String(day || '')).slice(0, 3);
+}
+
+/** `vendorDispatchRoutes` id of one route day: `disp_v1_20261019` → `disp_v1_20261019_Tue`. */
+export function getRouteDispatchId(dispatchId, day) {
+    return `${dispatchId}_${getWeekdayCode(day)}`;
+}
+
+/**
+ * Route a delivery on `weekday` rides: the latest scheduled day on or before
+ * it, wrapping to the last day of the previous week. With Monday / Thursday,
+ * Monday–Wednesday ride the Monday route and Thursday–Sunday the Thursday one.
+ * '' when `weekday` is not a weekday.
+ */
+export function getRouteDayForWeekday(weekday, days = DEFAULT_DELIVERY_DAYS) {
+    const index = WEEKDAYS.indexOf(normalizeDeliveryDay(weekday));
+    const schedule = normalizeDeliveryDays(days);
+    if (index < 0 || schedule.length === 0) return '';
+    const earlier = schedule.filter(day => WEEKDAYS.indexOf(day) <= index);
+    return earlier.length ? earlier[earlier.length - 1] : schedule[schedule.length - 1];
+}
+
+/**
+ * Route for a calendar date (`YYYY-MM-DD` or ISO timestamp, read in UTC).
+ */
+export function getRouteDayForDate(date, days = DEFAULT_DELIVERY_DAYS) {
+    const d = new Date(String(date || '').length === 10 ? `${date}T00:00:00.000Z` : date);
+    if (Number.isNaN(d.getTime())) return '';
+    return getRouteDayForWeekday(WEEKDAYS[(d.getUTCDay() + 6) % 7], days);
+}
+
+/**
+ * Calendar date of `day` in the week starting `weekStart` (a Monday, `YYYY-MM-DD`).
+ */
+export function getDeliveryDate(weekStart, day) {
+    const index = WEEKDAYS.indexOf(normalizeDeliveryDay(day));
+    const d = new Date(`${weekStart}T00:00:00.000Z`);
+    if (index < 0 || Number.isNaN(d.getTime())) return '';
+    d.setUTCDate(d.getUTCDate() + index);
+    return d.toISOString().slice(0, 10);
+}
+
+// ─── Splitting quantities ─────────────────────────────────────────────────────
+
+/**
+ * Default share of a weekly quantity per delivery day. A Monday / Thursday
+ * schedule keeps the configured Monday share; any other schedule is split evenly.
+ *
+ * @param {Array<string>} days
+ * @param {number} mondayShare — from getMondayShare() (forecastCore.js)
+ * @returns {Object<string, number>} day → share
+ */
+export function getDefaultDayShares(days, mondayShare) {
+    const schedule = normalizeDeliveryDays(days);
+    if (schedule.length === 2 && schedule[0] === 'Monday' && schedule[1] === 'Thursday') {
+        return { Monday: mondayShare, Thursday: 1 - mondayShare };
+    }
+    return Object.fromEntries(schedule.map(day => [day, 1 / schedule.length]));
+}
+
+/**
+ * Split a whole quantity across days by share. Each day gets the rounded
+ * running total minus what earlier days took, and the last day the rest, so
+ * the parts always add up — with two days this is Math.round(total × first
+ * share) and the remainder.
+ *
+ * @param {number} total
+ * @param {Object<string, number>} shares — day → share
+ * @returns {Object<string, number>} day → quantity, in week order
+ */
+export function splitAcrossDays(total, shares) {
+    const days = normalizeDeliveryDays(Object.keys(shares || {}));
+    const out = {};
+    let cumulative = 0;
+    let allocated = 0;
+    days.forEach((day, i) => {
+        if (i === days.length - 1) {
+            out[day] = total - allocated;
+            return;
+        }
+        cumulative += Number(shares[day]) || 0;
+        const upTo = Math.min(total, Math.round(total * cumulative));
+        out[day] = Math.max(0, upTo - allocated);
+        allocated += out[day];
+    });
+    return out;
+}
+
+/** Total of a day → quantity map. */
+export function sumDayQtys(dayQtys) {
+    return Object.values(dayQtys || {}).reduce((sum, qty) => sum + (Number(qty) || 0), 0);
+}
+
+// ─── Pair schedules ───────────────────────────────────────────────────────────
+
+/** `deliverySchedules` doc id for a vendor / restaurant pair. */
+export function getPairScheduleId(vendorId, restaurantId) {
+    return `${vendorId}__${restaurantId}`;
+}
+
+/**
+ * Delivery days for one restaurant / vendor pair.
+ *
+ * @param {Object} params
+ * @param {Array<string>} [params.restaurantDays]
+ * @param {Array<string>} [params.vendorDays]
+ * @param {Array<string>} [params.pairDays] — `deliverySchedules` override
+ * @returns {{ days: Array<string>, source: 'pair'|'shared'|'restaurant'|'vendor'|'default', conflict: boolean }}
+ */
+export function resolveDeliveryDays({ restaurantDays, vendorDays, pairDays } = {}) {
+    const pair = normalizeDeliveryDays(pairDays);
+    const restaurant = normalizeDeliveryDays(restaurantDays);
+    const vendor = normalizeDeliveryDays(vendorDays);
+    if (pair.length) return { days: pair, source: 'pair', conflict: false };
+    if (restaurant.length && vendor.length) {
+        const shared = restaurant.filter(day => vendor.includes(day));
+        if (shared.length) return { days: shared, source: 'shared', conflict: false };
+        return { days: restaurant, source: 'restaurant', conflict: true };
+    }
+    if (restaurant.length) return { days: restaurant, source: 'restaurant', conflict: false };
+    if (vendor.length) return { days: vendor, source: 'vendor', conflict: false };
+    return { days: [...DEFAULT_DELIVERY_DAYS], source: 'default', conflict: false };
+}
+
+/**
+ * resolveDeliveryDays() for a pair, looked up in loaded schedules.
+ *
+ * @param {{ restaurants?: Object, vendors?: Object, pairs?: Object }} schedules — each id → days
+ * @param {string} vendorId
+ * @param {string} restaurantId
+ */
+export function getPairSchedule(schedules, vendorId, restaurantId) {
+    return resolveDeliveryDays({
+        restaurantDays: schedules?.restaurants?.[restaurantId],
+        vendorDays: schedules?.vendors?.[vendorId],
+        pairDays: schedules?.pairs?.[getPairScheduleId(vendorId, restaurantId)],
+    });
+}
+
+/**
+ * Delivery day of an order for a pair: the order's own `deliveryDay` when it
+ * is one of the pair's days, else the pair's route for that weekday, else the
+ * pair's first day.
+ */
+export function getOrderRouteDay(order, days = DEFAULT_DELIVERY_DAYS) {
+    const schedule = normalizeDeliveryDays(days);
+    const day = normalizeDeliveryDay(order?.deliveryDay);
+    if (day && schedule.includes(day)) return day;
+    return getRouteDayForWeekday(day, schedule) || schedule[0] || DEFAULT_DELIVERY_DAYS[0];
+}
+
+/**
+ * Route days in week order, from route or dispatch documents
+ * (`routeDay` or `routeDays`); the default days when there are none.
+ */
+export function collectRouteDays(docs) {
+    const days = [];
+    (docs || []).forEach(d => {
+        if (d?.routeDay) days.push(d.routeDay);
+        if (Array.isArray(d?.routeDays)) days.push(...d.routeDays);
+    });
+    const normalized = normalizeDeliveryDays(days);
+    return normalized.length ? normalized : [...DEFAULT_DELIVERY_DAYS];
+}
+
+// ─── Dispatches ───────────────────────────────────────────────────────────────
+
+// Field of a Monday / Thursday quantity on dispatch items written before
+// schedules: ('', 'Monday') → mondayQty, ('confirmed', 'Monday') → confirmedMondayQty
+const legacyQtyField = (prefix, day) => (prefix ? `${prefix}${day}Qty` : `${day.toLowerCase()}Qty`);
+
+/**
+ * Day → quantity of a `vendorDispatches` item: `dayQtys`, or with a prefix
+ * `confirmedDayQtys` / `unavailableDayQtys`; items written before schedules
+ * carry `mondayQty` / `confirmedMondayQty` … instead. Days never set are absent.
+ *
+ * @param {Object} item
+ * @param {''|'confirmed'|'unavailable'} [prefix]
+ * @returns {Object<string, number>}
+ */
+export function getItemDayQtys(item, prefix = '') {
+    const map = item?.[prefix ? `${prefix}DayQtys` : 'dayQtys'];
+    if (map) return map;
+    const legacy = {};
+    DEFAULT_DELIVERY_DAYS.forEach(day => {
+        const qty = item?.[legacyQtyField(prefix, day)];
+        if (qty !== undefined) legacy[day] = qty;
+    });
+    return legacy;
+}
+
+/**
+ * Route days of a `vendorDispatches` parent: its `routeDays` plus any day an
+ * item is ordered for, in week order; the default days when there are none.
+ */
+export function getDispatchRouteDays(dispatch) {
+    const ordered = (dispatch?.items || []).flatMap(item => {
+        const dayQtys = getItemDayQtys(item);
+        return Object.keys(dayQtys).filter(day => dayQtys[day] > 0);
+    });
+    return collectRouteDays([{ routeDays: [...(dispatch?.routeDays || []), ...ordered] }]);
+}
+
+/**
+ * Route days a `vendorDispatches` parent has been sent to the vendor for — its
+ * `sentDays`, or the Monday / Thursday flags of dispatches sent before
+ * schedules.
+ */
+export function getSentDays(dispatch) {
+    return normalizeDeliveryDays([
+        ...(dispatch?.sentDays || []),
+        dispatch?.mondaySent && 'Monday',
+        dispatch?.thursdaySent && 'Thursday',
+    ]);
+}
+
+/**
+ * Route days a `vendorDispatches` parent has been delivered for — its
+ * `deliveredDays`, or the Monday / Thursday flags of dispatches marked
+ * delivered before schedules.
+ */
+export function getDeliveredDays(dispatch) {
+    return normalizeDeliveryDays([
+        ...(dispatch?.deliveredDays || []),
+        dispatch?.mondayDelivered && 'Monday',
+        dispatch?.thursdayDelivered && 'Thursday',
+    ]);
+}
@@ -0,0 +1,108 @@
+// src/shared/deliverySchedules.test.js
+//
+// Unit tests for delivery schedules: day names, route days, quantity splits and pair resolution.
+// Run with: npm test -- --watchAll=false --testPathPattern=deliverySchedules
+//
+import {
+    normalizeDeliveryDays,
+    getRouteDispatchId,
+    getRouteDayForWeekday,
+    getRouteDayForDate,
+    getDeliveryDate,
+    getDefaultDayShares,
+    splitAcrossDays,
+    resolveDeliveryDays,
+    getPairSchedule,
+    getOrderRouteDay,
+    collectRouteDays,
+    getItemDayQtys,
+    getDispatchRouteDays,
+    getDeliveredDays,
+    getSentDays,
+} from './deliverySchedules';
+
+describe('deliverySchedules — days and routes', () => {
+    test('accepts full names and short codes, in week order without duplicates', () => {
+        expect(normalizeDeliveryDays(['Fri', 'tuesday', 'TUES', 'Funday', '', null])).toEqual(['Tuesday', 'Friday']);
+        expect(normalizeDeliveryDays('Monday')).toEqual([]);
+        expect(getRouteDispatchId('disp_v1_20261019', 'Tuesday')).toBe('disp_v1_20261019_Tue');
+    });
+
+    test('a weekday rides the latest scheduled day on or before it, wrapping around the week', () => {
+        expect(getRouteDayForWeekday('Wednesday')).toBe('Monday');
+        expect(getRouteDayForWeekday('Sunday')).toBe('Thursday');
+        expect(getRouteDayForWeekday('Monday', ['Tuesday', 'Friday'])).toBe('Friday');
+        expect(getRouteDayForWeekday('Thursday', ['Tuesday', 'Friday'])).toBe('Tuesday');
+        expect(getRouteDayForDate('2026-10-21', ['Tuesday', 'Friday'])).toBe('Tuesday'); // a Wednesday
+        expect(getRouteDayForDate('not a date')).toBe('');
+    });
+
+    test('delivery date within the week', () => {
+        expect(getDeliveryDate('2026-10-19', 'Friday')).toBe('2026-10-23');
+        expect(getDeliveryDate('2026-10-19', 'Sun')).toBe('2026-10-25');
+        expect(getDeliveryDate('2026-10-19', 'Someday')).toBe('');
+    });
+});
+
+describe('deliverySchedules — splitting quantities', () => {
+    test('Monday / Thursday keeps the configured share, other schedules split evenly', () => {
+        expect(getDefaultDayShares(['Thursday', 'Monday'], 0.6)).toEqual({ Monday: 0.6, Thursday: 0.4 });
+        expect(getDefaultDayShares(['Tuesday', 'Friday'], 0.6)).toEqual({ Tuesday: 0.5, Friday: 0.5 });
+    });
+
+    test('parts always add up to the total', () => {
+        expect(splitAcrossDays(15, { Monday: 0.6, Thursday: 0.4 })).toEqual({ Monday: 9, Thursday: 6 });
+        expect(splitAcrossDays(5, { Monday: 0.5, Thursday: 0.5 })).toEqual({ Monday: 3, Thursday: 2 });
+        expect(splitAcrossDays(10, getDefaultDayShares(['Monday', 'Tuesday', 'Wednesday'], 0.6))).toEqual({ Monday: 3, Tuesday: 4, Wednesday: 3 });
+        expect(splitAcrossDays(4, { Friday: 0.6, Tuesday: 0.6 })).toEqual({ Tuesday: 2, Friday: 2 });
+        expect(splitAcrossDays(0, { Tuesday: 1 })).toEqual({ Tuesday: 0 });
+    });
+});
+
+describe('deliverySchedules — pair schedules', () => {
+    const schedules = {
+        restaurants: { r1: ['Tuesday', 'Friday'], r2: ['Monday'] },
+        vendors: { v1: ['Mon', 'Tue', 'Fri'], v2: ['Wed'] },
+        pairs: { v2__r1: ['Wednesday'] },
+    };
+
+    test('override, then shared days, then whichever side is set, then Monday / Thursday', () => {
+        expect(getPairSchedule(schedules, 'v2', 'r1')).toEqual({ days: ['Wednesday'], source: 'pair', conflict: false });
+        expect(getPairSchedule(schedules, 'v1', 'r1')).toEqual({ days: ['Tuesday', 'Friday'], source: 'shared', conflict: false });
+        expect(getPairSchedule(schedules, 'v3', 'r1').source).toBe('restaurant');
+        expect(getPairSchedule(schedules, 'v2', 'r3')).toMatchObject({ days: ['Wednesday'], source: 'vendor' });
+        expect(resolveDeliveryDays()).toEqual({ days: ['Monday', 'Thursday'], source: 'default', conflict: false });
+    });
+
+    test('restaurant and vendor days that never meet keep the restaurant days and flag a conflict', () => {
+        expect(getPairSchedule(schedules, 'v2', 'r2')).toEqual({ days: ['Monday'], source: 'restaurant', conflict: true });
+    });
+
+    test('orders ride their own day when the pair delivers then, else the pair route for it', () => {
+        expect(getOrderRouteDay({ deliveryDay: 'Friday' }, ['Tuesday', 'Friday'])).toBe('Friday');
+        expect(getOrderRouteDay({ deliveryDay: 'Monday' }, ['Tuesday', 'Friday'])).toBe('Friday');
+        expect(getOrderRouteDay({}, ['Tuesday', 'Friday'])).toBe('Tuesday');
+        expect(collectRouteDays([{ routeDay: 'Friday' }, { routeDays: ['Tuesday', 'Friday'] }])).toEqual(['Tuesday', 'Friday']);
+        expect(collectRouteDays([])).toEqual(['Monday', 'Thursday']);
+    });
+});
+
+describe('deliverySchedules — dispatches', () => {
+    const legacyItem = { mondayQty: 4, thursdayQty: 0, confirmedMondayQty: 3 };
+
+    test('item quantities by day, reading the Monday / Thursday fields of older dispatches', () => {
+        expect(getItemDayQtys({ dayQtys: { Tuesday: 2 }, mondayQty: 0 })).toEqual({ Tuesday: 2 });
+        expect(getItemDayQtys(legacyItem)).toEqual({ Monday: 4, Thursday: 0 });
+        expect(getItemDayQtys(legacyItem, 'confirmed')).toEqual({ Monday: 3 });
+        expect(getItemDayQtys({ confirmedDayQtys: { Friday: 1 } }, 'confirmed')).toEqual({ Friday: 1 });
+        expect(getItemDayQtys(legacyItem, 'unavailable')).toEqual({});
+    });
+
+    test('route days and delivered days of a dispatch', () => {
+        expect(getDispatchRouteDays({ routeDays: ['Friday'], items: [{ dayQtys: { Tuesday: 2, Wednesday: 0 } }] })).toEqual(['Tuesday', 'Friday']);
+        expect(getDispatchRouteDays({ items: [legacyItem] })).toEqual(['Monday']);
+        expect(getDispatchRouteDays({})).toEqual(['Monday', 'Thursday']);
+        expect(getDeliveredDays({ deliveredDays: ['Friday'], thursdayDelivered: true })).toEqual(['Thursday', 'Friday']);
+        expect(getSentDays({ sentDays: ['Tuesday'], mondaySent: true, thursdaySent: false })).toEqual(['Monday', 'Tuesday']);
+    });
+});
@@ -4,10 +4,14 @@
  * Production-grade financial validation for the RestIQ platform.
  * Ensures invoice correctness, immutable snapshots, and reconciliation.
  *
+ * Pure — shared with Cloud Functions (functions/invoiceGeneration.js).
+ *
  * Usage:
- *   import { buildInvoiceSnapshot, validateReconciliation } from '../services/financialValidation';
+ *   import { buildInvoiceSnapshot, validateReconciliation } from '../shared/financialValidation';
  */
 
+import { computeLineTaxes, resolveTaxCategory, summarizeTaxLines } from './taxEngine.js';
+
 // ── Invoice Snapshot Builder ────────────────────────────────────────────────
 
 /**
@@ -19,8 +23,11 @@
  * @param {string} params.restaurantName
  * @param {string} params.orderId
  * @param {string} params.weekStart
- * @param {Array}  params.items - Line items with qty, price, tax info
- * @param {Object} params.taxConfig - { taxRate, taxIncluded }
+ * @param {Array}  params.items - Line items with qty, price, tax info; an item's own
+ *                                `commissionPercent` overrides the invoice rate
+ * @param {Object} params.taxConfig - { taxRate, taxIncluded, components } — with
+ *                                `components` (taxEngine.getTaxComponents) each line is taxed
+ *                                per component by its `taxCategory`; without, at the single `taxRate`
  * @param {number} params.commissionPercent - Platform commission % (default 10)
  * @returns {Object} Complete invoice snapshot ready for Firestore
  */
@@ -33,26 +40,26 @@ export function buildInvoiceSnapshot({
     taxConfig = {},
     commissionPercent = 10,
 }) {
-    const taxRate = Number(taxConfig.taxRate || 0.13); // default 13% HST
+    const taxRate = Number(taxConfig.taxRate ?? 0.13); // default 13% HST; 0 is a valid rate
     const taxIncluded = !!taxConfig.taxIncluded;
+    const components = taxConfig.components || (taxRate > 0 ? [{ code: 'TAX', label: 'Tax', level: 'federal', rate: taxRate * 100 }] : []);
 
     // Compute line-level totals
     const snapshotItems = items.map(item => {
         const qty = Number(item.qty || item.quantity || 1);
         const unitPrice = Number(item.vendorPrice || item.price || 0);
         const isTaxable = item.isTaxable !== undefined ? !!item.isTaxable : !!item.taxable;
+        const taxCategory = resolveTaxCategory(isTaxable, item.taxCategory);
 
-        let lineSubtotal, lineTax;
-        if (taxIncluded && isTaxable) {
-            lineSubtotal = (unitPrice * qty) / (1 + taxRate);
-            lineTax = (unitPrice * qty) - lineSubtotal;
-        } else {
-            lineSubtotal = unitPrice * qty;
-            lineTax = isTaxable ? lineSubtotal * taxRate : 0;
-        }
+        // Tax-included prices are backed out at the combined rate of the line's components
+        const lineRate = computeLineTaxes(100, components, taxCategory).reduce((s, t) => s + t.rate, 0) / 100;
+        const lineSubtotal = taxIncluded ? (unitPrice * qty) / (1 + lineRate) : unitPrice * qty;
+        const taxes = computeLineTaxes(lineSubtotal, components, taxCategory);
+        const lineTax = taxes.reduce((s, t) => s + t.amount, 0);
 
         const lineTotal = lineSubtotal + lineTax;
-        const lineCommission = lineSubtotal * (commissionPercent / 100);
+        const lineCommissionPercent = Number(item.commissionPercent ?? commissionPercent);
+        const lineCommission = lineSubtotal * (lineCommissionPercent / 100);
         const lineVendorPayout = lineSubtotal - lineCommission;
 
         return {
@@ -67,11 +74,14 @@ export function buildInvoiceSnapshot({
             qty,
             unitPrice,
             isTaxable,
+            taxCategory,
+            taxes,
 
             // Computed totals (frozen)
             lineSubtotal: round2(lineSubtotal),
             lineTax: round2(lineTax),
             lineTotal: round2(lineTotal),
+            commissionPercent: lineCommissionPercent,
             lineCommission: round2(lineCommission),
             lineVendorPayout: round2(lineVendorPayout),
         };
@@ -80,6 +90,7 @@ export function buildInvoiceSnapshot({
     // Aggregate totals
     const subtotal = round2(snapshotItems.reduce((s, i) => s + i.lineSubtotal, 0));
     const totalTax = round2(snapshotItems.reduce((s, i) => s + i.lineTax, 0));
+    const taxLines = summarizeTaxLines(snapshotItems);
     const grandTotal = round2(subtotal + totalTax);
     const totalCommission = round2(snapshotItems.reduce((s, i) => s + i.lineCommission, 0));
     const totalVendorPayout = round2(snapshotItems.reduce((s, i) => s + i.lineVendorPayout, 0));
@@ -106,6 +117,7 @@ export function buildInvoiceSnapshot({
         // Frozen totals
         subtotal,
         totalTax,
+        taxLines,
         grandTotal,
         totalCommission,
         totalVendorPayout,
@@ -0,0 +1,183 @@
+/**
+ * forecastBacktest.js
+ *
+ * Replays order history week by week to compare the demand models in
+ * forecastModels.js. For every target week, each model forecasts from the
+ * orders placed before that week only, exactly as the live engine would have
+ * (same allocation, buffer and config — no corrections or festival uplifts),
+ * and the forecast is scored against what each restaurant actually ordered.
+ *
+ * Pure — callers pass flat records from flattenOrderRecords().
+ */
+
+import { buildRestaurantForecast, getRestaurantList, createItemKeyer, DEFAULT_FORECAST_CONFIG } from './forecastCore.js';
+import { FORECAST_MODELS } from './forecastModels.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Monday (UTC) of the week containing `dateStr` (`YYYY-MM-DD`).
+ */
+export function getWeekStartOf(dateStr) {
+    const d = new Date(`${dateStr}T00:00:00.000Z`);
+    const offset = (d.getUTCDay() + 6) % 7; // days since Monday
+    d.setUTCDate(d.getUTCDate() - offset);
+    return d.toISOString().slice(0, 10);
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Error metrics for a set of { predicted, actual } observations.
+ *   mape          — mean |p − a| ÷ a over observations with a > 0 (%), null if none
+ *   bias          — (Σp − Σa) ÷ Σa (%); positive = over-forecasting, null if Σa = 0
+ *   stockoutRate  — share of observations forecast below actual (%)
+ *   stockoutQty   — packs short, Σ max(0, a − p)
+ *   overageRate   — share of observations forecast above actual (%)
+ *   overageQty    — packs over, Σ max(0, p − a)
+ */
+export function summarizeErrors(observations) {
+    let totalPredicted = 0, totalActual = 0, apeSum = 0, apeCount = 0;
+    let stockouts = 0, stockoutQty = 0, overages = 0, overageQty = 0;
+
+    observations.forEach(({ predicted, actual }) => {
+        totalPredicted += predicted;
+        totalActual += actual;
+        if (actual > 0) {
+            apeSum += Math.abs(predicted - actual) / actual;
+            apeCount++;
+        }
+        if (predicted < actual) {
+            stockouts++;
+            stockoutQty += actual - predicted;
+        } else if (predicted > actual) {
+            overages++;
+            overageQty += predicted - actual;
+        }
+    });
+
+    const n = observations.length;
+    return {
+        observations: n,
+        totalPredicted,
+        totalActual,
+        mape: apeCount > 0 ? round1((apeSum / apeCount) * 100) : null,
+        bias: totalActual > 0 ? round1(((totalPredicted - totalActual) / totalActual) * 100) : null,
+        stockoutRate: n > 0 ? round1((stockouts / n) * 100) : 0,
+        stockoutQty,
+        overageRate: n > 0 ? round1((overages / n) * 100) : 0,
+        overageQty,
+    };
+}
+
+/**
+ * Best model by MAPE (ties → smallest absolute bias). Null when no model
+ * has a MAPE for these observations.
+ */
+function pickBestModel(metricsByModel) {
+    const ranked = Object.entries(metricsByModel)
+        .filter(([, m]) => m.mape !== null)
+        .sort(([, a], [, b]) => a.mape - b.mape || Math.abs(a.bias ?? 0) - Math.abs(b.bias ?? 0));
+    return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+// ─── Runner ───────────────────────────────────────────────────────────────────
+
+/**
+ * Backtest every model over the most recent weeks of history.
+ *
+ * @param {Array} records — flat order records (all restaurants)
+ * @param {Object} [options]
+ * @param {Object} [options.config] — normalized forecast config
+ * @param {Array<string>} [options.modelIds] — defaults to every registered model
+ * @param {number} [options.minTrainingWeeks] — weeks of history required before a week is scored
+ * @param {number} [options.maxWeeks] — score at most this many (most recent) weeks
+ * @returns {{ weeks, modelIds, byModel, byCategory, byItem, observations }}
+ */
+export function runForecastBacktest(records, { config = DEFAULT_FORECAST_CONFIG, modelIds = Object.keys(FORECAST_MODELS), minTrainingWeeks = 4, maxWeeks = 12 } = {}) {
+    const weekOf = {};
+    (records || []).forEach(r => { if (r.date && !weekOf[r.date]) weekOf[r.date] = getWeekStartOf(r.date); });
+    const allWeeks = [...new Set(Object.values(weekOf))].sort();
+    const targetWeeks = allWeeks.slice(minTrainingWeeks).slice(-maxWeeks);
+    const keyOf = createItemKeyer(records); // same ids as forecast lines
+
+    const observations = [];
+    const nameOf = {};
+
+    targetWeeks.forEach(week => {
+        const training = records.filter(r => r.date < week);
+        const actualRecords = records.filter(r => weekOf[r.date] === week);
+        const restaurants = getRestaurantList(training);
+        const knownItems = new Set(training.map(keyOf));
+        const categoryOf = {};
+        training.forEach(r => {
+            const key = keyOf(r);
+            if (!nameOf[key]) nameOf[key] = r.itemName;
+            if (r.category && !categoryOf[key]) categoryOf[key] = r.category;
+        });
+
+        restaurants.forEach(restaurantId => {
+            // Items the engine could have known about; brand-new items are not scored
+            const actualByItem = {};
+            actualRecords
+                .filter(r => r.restaurantId === restaurantId && knownItems.has(keyOf(r)))
+                .forEach(r => { actualByItem[keyOf(r)] = (actualByItem[keyOf(r)] || 0) + r.qty; });
+
+            modelIds.forEach(modelId => {
+                const predictedByItem = {};
+                buildRestaurantForecast(training, restaurantId, restaurants, {}, { config, modelId })
+                    .forEach(line => { predictedByItem[line.id] = line.rawPrediction; });
+
+                new Set([...Object.keys(actualByItem), ...Object.keys(predictedByItem)]).forEach(itemId => {
+                    observations.push({
+                        week,
+                        restaurantId,
+                        itemId,
+                        category: categoryOf[itemId] || 'Produce',
+                        modelId,
+                        predicted: predictedByItem[itemId] || 0,
+                        actual: actualByItem[itemId] || 0,
+                    });
+                });
+            });
+        });
+    });
+
+    // Aggregate by model, by category × model, by item × model
+    const group = (keyFn) => {
+        const groups = {};
+        observations.forEach(o => {
+            const key = keyFn(o);
+            if (!groups[key]) groups[key] = [];
+            groups[key].push(o);
+        });
+        return groups;
+    };
+    const metricsPerModel = (obs) => {
+        const out = {};
+        modelIds.forEach(modelId => { out[modelId] = summarizeErrors(obs.filter(o => o.modelId === modelId)); });
+        return out;
+    };
+
+    const byModel = metricsPerModel(observations);
+
+    const byCategory = {};
+    Object.entries(group(o => o.category)).forEach(([category, obs]) => {
+        const models = metricsPerModel(obs);
+        byCategory[category] = { models, recommendedModel: pickBestModel(models) };
+    });
+
+    const byItem = Object.entries(group(o => o.itemId)).map(([itemId, obs]) => {
+        const models = metricsPerModel(obs);
+        return { itemId, itemName: nameOf[itemId] || itemId, category: obs[0].category, models, bestModel: pickBestModel(models) };
+    }).sort((a, b) => a.category.localeCompare(b.category) || a.itemName.localeCompare(b.itemName));
+
+    return {
+        weeks: targetWeeks,
+        modelIds,
+        byModel,
+        byCategory,
+        byItem,
+        observations: observations.length,
+    };
+}
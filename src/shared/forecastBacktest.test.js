@@ -0,0 +1,80 @@
+// src/shared/forecastBacktest.test.js
+//
+// Unit tests for the week-by-week model backtest.
+// Run with: npm test -- --watchAll=false --testPathPattern=forecastBacktest
+//
+import { runForecastBacktest, summarizeErrors, getWeekStartOf } from './forecastBacktest';
+import { flattenOrderRecords } from './forecastCore';
+import { FORECAST_MODELS } from './forecastModels';
+import input from './__fixtures__/forecastInput.json';
+
+describe('forecastBacktest — summarizeErrors', () => {
+    test('computes MAPE, bias, stockouts and overage', () => {
+        const metrics = summarizeErrors([
+            { predicted: 8, actual: 10 },  // 20% under
+            { predicted: 12, actual: 10 }, // 20% over
+            { predicted: 10, actual: 10 },
+            { predicted: 3, actual: 0 },   // overage only, no APE
+        ]);
+        expect(metrics.mape).toBe(13.3);
+        expect(metrics.bias).toBe(10);
+        expect(metrics.stockoutRate).toBe(25);
+        expect(metrics.stockoutQty).toBe(2);
+        expect(metrics.overageRate).toBe(50);
+        expect(metrics.overageQty).toBe(5);
+    });
+
+    test('MAPE and bias are null without actual demand', () => {
+        const metrics = summarizeErrors([{ predicted: 2, actual: 0 }]);
+        expect(metrics.mape).toBeNull();
+        expect(metrics.bias).toBeNull();
+    });
+});
+
+describe('forecastBacktest — getWeekStartOf', () => {
+    test.each([
+        ['2026-03-09', '2026-03-09'], // Monday
+        ['2026-03-12', '2026-03-09'], // Thursday
+        ['2026-03-15', '2026-03-09'], // Sunday
+    ])('%s → %s', (date, expected) => {
+        expect(getWeekStartOf(date)).toBe(expected);
+    });
+});
+
+describe('forecastBacktest — runForecastBacktest', () => {
+    const records = flattenOrderRecords(input.orders);
+    const result = runForecastBacktest(records, { minTrainingWeeks: 4 });
+
+    test('scores every week after the training window', () => {
+        expect(result.weeks).toEqual(['2026-02-02', '2026-02-09', '2026-02-16', '2026-02-23', '2026-03-02']);
+    });
+
+    test('reports every registered model', () => {
+        expect(Object.keys(result.byModel)).toEqual(Object.keys(FORECAST_MODELS));
+        Object.values(result.byModel).forEach(m => expect(m.mape).not.toBeNull());
+    });
+
+    test('only uses orders placed before the scored week', () => {
+        // A week whose orders are all new items has nothing the engine could have known
+        const late = [
+            ...records,
+            { date: '2026-03-16', restaurantId: 'oruma-takeout', itemName: 'Dragon Fruit', qty: 50, category: 'Produce' },
+        ];
+        const withLate = runForecastBacktest(late, { minTrainingWeeks: 4, maxWeeks: 1 });
+        expect(withLate.weeks).toEqual(['2026-03-16']);
+        expect(withLate.byItem.find(i => i.itemName === 'Dragon Fruit')).toBeUndefined();
+    });
+
+    test('recommends a model per category and per item', () => {
+        expect(Object.keys(result.byCategory).sort()).toEqual(['Packaging', 'Produce']);
+        Object.values(result.byCategory).forEach(c => expect(Object.keys(FORECAST_MODELS)).toContain(c.recommendedModel));
+        const tomato = result.byItem.find(i => i.itemName === 'Tomato');
+        expect(tomato.models['median-blend'].observations).toBeGreaterThan(0);
+    });
+
+    test('returns empty results without enough history', () => {
+        const short = runForecastBacktest(records.filter(r => r.date < '2026-01-26'), { minTrainingWeeks: 4 });
+        expect(short.weeks).toEqual([]);
+        expect(short.observations).toBe(0);
+    });
+});
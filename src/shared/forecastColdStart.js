@@ -0,0 +1,161 @@
+/**
+ * forecastColdStart.js
+ *
+ * Cold-start forecasts for restaurants with little or no order history.
+ *
+ * An admin tags a new restaurant (`restaurants/{id}`) with `cuisineType`,
+ * `seats` and `expectedWeeklySpend`. Its first suggestions are seeded from the
+ * forecasts of the most similar established restaurants, scaled by expected
+ * spend (else seats), and blended with its own forecast. The seed weight
+ * falls linearly with the restaurant's own order cycles and reaches zero at
+ * `coldStartCycles`, so the seed blends out as real orders come in.
+ *
+ * Pure — buildForecastDocument() in forecastCore.js builds the peer forecasts
+ * and calls in here.
+ */
+
+import { splitAcrossDays } from './deliverySchedules.js';
+
+const CUISINE_WEIGHT = 0.5;
+const SIZE_WEIGHTS = { seats: 0.25, expectedWeeklySpend: 0.25 };
+
+const positive = (value) => (Number(value) > 0 ? Number(value) : 0);
+const ratio = (a, b) => Math.min(a, b) / Math.max(a, b);
+const normalizeCuisine = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Whether a restaurant profile carries any cold-start tag.
+ */
+export function hasColdStartProfile(profile) {
+    return !!profile && (!!normalizeCuisine(profile.cuisineType) || positive(profile.seats) > 0 || positive(profile.expectedWeeklySpend) > 0);
+}
+
+/**
+ * Similarity of a peer to the target, 0–1: matching cuisine counts half,
+ * seats and expected weekly spend a quarter each (as the ratio of the smaller
+ * to the larger). Only tags set on the target are scored.
+ */
+export function scoreRestaurantSimilarity(target, peer) {
+    let score = 0;
+    let weight = 0;
+
+    if (normalizeCuisine(target?.cuisineType)) {
+        weight += CUISINE_WEIGHT;
+        if (normalizeCuisine(peer?.cuisineType) === normalizeCuisine(target.cuisineType)) score += CUISINE_WEIGHT;
+    }
+    Object.entries(SIZE_WEIGHTS).forEach(([field, w]) => {
+        const a = positive(target?.[field]);
+        if (!a) return;
+        weight += w;
+        const b = positive(peer?.[field]);
+        if (b) score += w * ratio(a, b);
+    });
+
+    return weight > 0 ? Number((score / weight).toFixed(3)) : 0;
+}
+
+/**
+ * Factor a peer's quantities are multiplied by: expected weekly spend ratio,
+ * else seats ratio, else 1 when the two cannot be compared.
+ */
+export function getPeerScale(target, peer) {
+    for (const field of ['expectedWeeklySpend', 'seats']) {
+        const a = positive(target?.[field]);
+        const b = positive(peer?.[field]);
+        if (a && b) return Number((a / b).toFixed(3));
+    }
+    return 1;
+}
+
+/**
+ * Most similar peers, best first.
+ *
+ * @param {Object} target — the new restaurant's profile
+ * @param {Array<{ restaurantId: string, profile: Object }>} candidates — established restaurants
+ * @param {number} maxPeers
+ * @returns {Array<{ restaurantId: string, similarity: number, scale: number }>}
+ */
+export function selectPeerRestaurants(target, candidates, maxPeers = 3) {
+    return (candidates || [])
+        .map(c => ({ restaurantId: c.restaurantId, similarity: scoreRestaurantSimilarity(target, c.profile), scale: getPeerScale(target, c.profile) }))
+        .filter(p => p.similarity > 0)
+        .sort((a, b) => b.similarity - a.similarity || a.restaurantId.localeCompare(b.restaurantId))
+        .slice(0, maxPeers);
+}
+
+/**
+ * Share of the blended quantity that comes from the peer seed.
+ */
+export function getSeedWeight(ownCycles, coldStartCycles) {
+    if (!(coldStartCycles > 0)) return 0;
+    return Number(Math.max(0, 1 - ownCycles / coldStartCycles).toFixed(3));
+}
+
+const blend = (seedWeight, seedQty, ownQty) => Math.round(seedWeight * seedQty + (1 - seedWeight) * ownQty);
+
+/**
+ * Blend the restaurant's own forecast lines with the similarity-weighted,
+ * scaled forecasts of its peers. Lines only the peers have are marked Low
+ * confidence and carry no restaurant-specific corrections or uplift detail.
+ *
+ * @param {Array} ownLines — buildRestaurantForecast() for the restaurant (may be empty)
+ * @param {Object} peerLines — { restaurantId → buildRestaurantForecast() lines }
+ * @param {Array} peers — from selectPeerRestaurants()
+ * @param {number} seedWeight — from getSeedWeight()
+ * @param {function(string): Object} splitFor — category → the restaurant's default `deliverySplit`
+ * @returns {Array} forecast lines (unsorted), each with `coldStart: { seedQty, ownQty, seedWeight }`
+ */
+export function blendColdStartLines(ownLines, peerLines, peers, seedWeight, splitFor) {
+    const totalSimilarity = peers.reduce((s, p) => s + p.similarity, 0) || 1;
+    const seed = {};
+    peers.forEach(p => {
+        (peerLines[p.restaurantId] || []).forEach(line => {
+            if (!seed[line.id]) seed[line.id] = { qty: 0, template: line };
+            seed[line.id].qty += (p.similarity / totalSimilarity) * line.predictedQty * p.scale;
+        });
+    });
+
+    const ownById = Object.fromEntries((ownLines || []).map(l => [l.id, l]));
+    const ids = [...new Set([...Object.keys(ownById), ...Object.keys(seed)])];
+    const lines = [];
+
+    ids.forEach(id => {
+        const own = ownById[id];
+        const seedQty = seed[id] ? seed[id].qty : 0;
+        const predictedQty = blend(seedWeight, seedQty, own ? own.predictedQty : 0);
+        if (predictedQty <= 0) return;
+
+        const rawPrediction = blend(seedWeight, seedQty, own ? own.rawPrediction : 0);
+        const base = own || {
+            ...seed[id].template,
+            seasonalUplifts: [],
+            seasonalUpliftQty: 0,
+            safetyBufferQty: 0,
+            learnedCorrection: 0,
+            correctionConfidence: null,
+            correctionHint: 'Seeded from similar restaurants',
+            confidence: 'Low',
+            restRatio: 0,
+            serviceLevel: null,
+            deliverySplit: splitFor(seed[id].template.category),
+        };
+        const band = base.predictionInterval;
+        const bandScale = band && band.p50 > 0 ? rawPrediction / band.p50 : 0;
+        const dayQtys = splitAcrossDays(predictedQty, base.deliverySplit.shares);
+
+        lines.push({
+            ...base,
+            rawPrediction,
+            predictedQty,
+            dayQtys,
+            mondayQty: dayQtys.Monday || 0,
+            thursdayQty: dayQtys.Thursday || 0,
+            predictionInterval: bandScale
+                ? { p10: Math.floor(band.p10 * bandScale), p50: rawPrediction, p90: Math.ceil(band.p90 * bandScale) }
+                : null,
+            coldStart: { seedQty: Number(seedQty.toFixed(2)), ownQty: own ? own.predictedQty : 0, seedWeight },
+        });
+    });
+
+    return lines;
+}
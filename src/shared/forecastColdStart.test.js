@@ -0,0 +1,88 @@
+// src/shared/forecastColdStart.test.js
+//
+// Unit tests for peer-seeded cold-start forecasts.
+// Run with: npm test -- --watchAll=false --testPathPattern=forecastColdStart
+//
+import {
+    hasColdStartProfile,
+    scoreRestaurantSimilarity,
+    getPeerScale,
+    selectPeerRestaurants,
+    getSeedWeight,
+} from './forecastColdStart';
+import { flattenOrderRecords, getRestaurantList, buildForecastDocument, normalizeForecastConfig } from './forecastCore';
+import input from './__fixtures__/forecastInput.json';
+
+describe('forecastColdStart — peer similarity', () => {
+    const target = { cuisineType: 'Kerala', seats: 40, expectedWeeklySpend: 2000 };
+
+    test('scores cuisine, seats and spend against the target', () => {
+        expect(scoreRestaurantSimilarity(target, { cuisineType: 'kerala ', seats: 40, expectedWeeklySpend: 2000 })).toBe(1);
+        expect(scoreRestaurantSimilarity(target, { cuisineType: 'Tamil', seats: 80, expectedWeeklySpend: 4000 })).toBe(0.25);
+        expect(scoreRestaurantSimilarity({ seats: 40 }, { cuisineType: 'Tamil', seats: 20 })).toBe(0.5);
+        expect(scoreRestaurantSimilarity({}, target)).toBe(0);
+    });
+
+    test('scales by spend, else seats', () => {
+        expect(getPeerScale(target, { seats: 80, expectedWeeklySpend: 4000 })).toBe(0.5);
+        expect(getPeerScale(target, { seats: 20 })).toBe(2);
+        expect(getPeerScale(target, { cuisineType: 'Kerala' })).toBe(1);
+    });
+
+    test('picks the most similar peers first', () => {
+        const candidates = [
+            { restaurantId: 'b', profile: { cuisineType: 'Tamil', seats: 40 } },
+            { restaurantId: 'a', profile: { cuisineType: 'Kerala', seats: 60 } },
+            { restaurantId: 'c', profile: {} },
+        ];
+        expect(selectPeerRestaurants(target, candidates, 3).map(p => p.restaurantId)).toEqual(['a', 'b']);
+        expect(selectPeerRestaurants(target, candidates, 1)).toHaveLength(1);
+        expect(hasColdStartProfile({ seats: 0, cuisineType: '' })).toBe(false);
+    });
+
+    test('seed weight falls to zero at coldStartCycles', () => {
+        expect(getSeedWeight(0, 6)).toBe(1);
+        expect(getSeedWeight(3, 6)).toBe(0.5);
+        expect(getSeedWeight(8, 6)).toBe(0);
+        expect(getSeedWeight(0, 0)).toBe(0);
+    });
+});
+
+describe('forecastColdStart — buildForecastDocument', () => {
+    const records = flattenOrderRecords(input.orders);
+    const allRestaurants = getRestaurantList(records);
+    const build = (restaurantId, restaurantProfiles, raw = {}) => buildForecastDocument({
+        records, restaurantId, allRestaurants, weekStart: '2026-03-09',
+        config: normalizeForecastConfig(raw), restaurantProfiles, generatedAt: '2026-03-04T23:00:00.000Z',
+    }).data;
+
+    const profiles = {
+        'new-place': { cuisineType: 'Kerala', expectedWeeklySpend: 1000 },
+        'oruma-takeout': { cuisineType: 'Kerala', expectedWeeklySpend: 2000 },
+        'kerala-kitchen': { cuisineType: 'Kerala', expectedWeeklySpend: 1000 },
+    };
+
+    test('seeds a new restaurant from established peers only', () => {
+        const doc = build('new-place', profiles);
+        const established = build('oruma-takeout', {});
+
+        expect(doc.status).toBe('ready');
+        // kerala-kitchen has 5 cycles, short of the default 6
+        expect(doc.coldStart).toEqual({ seedWeight: 0.833, ownCycles: 1, peers: [{ restaurantId: 'oruma-takeout', similarity: 0.833, scale: 0.5 }] });
+        const tomato = doc.forecastLines.find(l => l.id === 'tomato');
+        const peerTomato = established.forecastLines.find(l => l.id === 'tomato');
+        expect(tomato.coldStart.seedQty).toBe(peerTomato.predictedQty * 0.5);
+        expect(tomato.predictedQty).toBe(Math.round(0.833 * tomato.coldStart.seedQty));
+        expect(tomato.mondayQty + tomato.thursdayQty).toBe(tomato.predictedQty);
+        expect(tomato.confidence).toBe('Low');
+    });
+
+    test('leaves untagged and established restaurants alone', () => {
+        expect(build('new-place', {}).coldStart).toBeNull();
+        expect(build('new-place', profiles, { coldStartCycles: 0 }).coldStart).toBeNull();
+        expect(build('oruma-takeout', profiles).coldStart).toBeNull();
+        // With a lower threshold kerala-kitchen becomes a peer too
+        expect(build('new-place', profiles, { coldStartCycles: 4 }).coldStart.peers.map(p => p.restaurantId))
+            .toEqual(['kerala-kitchen', 'oruma-takeout']);
+    });
+});
@@ -0,0 +1,1040 @@
+/**
+ * forecastCore.js
+ *
+ * Pure suggested-order forecasting core shared by the React app
+ * (components/Forecast/forecastHelpers.js) and the scheduled Cloud Function
+ * (functions/suggestedForecastJob.js). It has no Firestore imports — callers
+ * fetch the raw documents and pass plain objects in.
+ *
+ * Algorithm: per-category demand model (forecastModels.js; default
+ * median-blend — 30% last-4-cycles + 70% last-8-cycles, 1.5× cap),
+ * ≥3 appearances filter, proportional restaurant split,
+ * festival uplifts, safety buffer or service-level target, delivery-day
+ * split over the restaurant's schedule (deliverySchedules.js; learned per
+ * restaurant and item where history allows), + correction learning. Each line carries a P10/P50/P90 band
+ * (forecastIntervals.js). Every tunable comes from `forecastConfig/global` (see
+ * DEFAULT_FORECAST_CONFIG); the defaults reproduce the original hard-coded
+ * engine. Festival uplift rules come from active `festivalCalendar` events.
+ * Items are identified by catalogItemId (resolved through `catalogItems` and
+ * their aliases — catalogIdentity.js), falling back to the name slug only
+ * for items the catalog does not know. New restaurants tagged with a cuisine,
+ * seats or expected spend are seeded from similar peers until they have
+ * history of their own (forecastColdStart.js).
+ *
+ * Any change here changes both what admins see in SuggestedOrderReview and
+ * what the RMS app reads from `suggestedOrderAIForcast_Model`, so keep
+ * forecastCore.test.js (golden output) green.
+ */
+
+import { getMedian, DEFAULT_FORECAST_MODEL, FORECAST_MODELS, predictWithModel } from './forecastModels.js';
+import { resolveCatalogItem } from './catalogIdentity.js';
+import { SERVICE_LEVELS, computePredictionBand, quantileFromBand, resolveServiceLevel, normalizeServiceLevels } from './forecastIntervals.js';
+import { hasColdStartProfile, selectPeerRestaurants, getSeedWeight, blendColdStartLines } from './forecastColdStart.js';
+import { WEEKDAYS, DEFAULT_DELIVERY_DAYS, normalizeDeliveryDays, normalizeDeliveryDay, getRouteDayForWeekday, getRouteDayForDate, getDefaultDayShares, splitAcrossDays } from './deliverySchedules.js';
+
+export { getMedian };
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+/**
+ * Vendor-specific item names → canonical forecast item names.
+ * Keys are lowercase; matching is case-insensitive. Legacy fallback for
+ * names that do not resolve to a `catalogItems` doc or alias.
+ */
+export const ITEM_ALIAS_MAP = {
+    'white onion': 'Onion - Cooking',
+    'red onion': 'Onion - Red',
+    'spring onion': 'Green Onion',
+    'garlic': 'Peeled Garlic',
+    'green plantain': 'Plantain Green',
+    'coriander': 'Coriander Leaves',
+    'mint': 'Mint Leaves',
+    'onion cooking': 'Onion - Cooking',
+    'onion cooking 50lbs': 'Onion - Cooking',
+    'onion red 25lbs': 'Onion - Red',
+    'carrot 50lbs': 'Carrot',
+    'yellow onion 50lb': 'Onion - Cooking',
+    'yellow onion': 'Onion - Cooking',
+    'cooking onion': 'Onion - Cooking',
+};
+
+// Only count these statuses as actual fulfilled orders
+export const FULFILLED_STATUSES = ['fulfilled', 'completed', 'delivered', 'delivered_awaiting_confirmation', 'pending_fulfillment'];
+
+export const HISTORY_WINDOW_CYCLES = 8;   // long median window
+export const RECENT_WINDOW_CYCLES = 4;    // short median window
+
+// Schedule for restaurants without `deliveryDays`
+export const DELIVERY_DAYS = DEFAULT_DELIVERY_DAYS;
+
+const CONFIDENCE_ORDER = { High: 0, Medium: 1, Low: 2 };
+
+// ─── Engine Configuration ─────────────────────────────────────────────────────
+
+/**
+ * Tunables that can be set globally and overridden per category or per restaurant.
+ *   safetyBufferPercent  — fraction added on top of the allocated baseline (0.15 = +15%)
+ *   defaultMondaySplit   — Monday delivery share; Thursday gets the rest
+ *   defaultThursdaySplit — Thursday delivery share (normalised against Monday);
+ *                          schedules other than Mon/Thu split evenly
+ *   spikeCapMultiplier   — forecast is capped at this × median_8
+ *   recentMedianWeight   — weight of median_4 in the blend; median_8 gets 1 − weight
+ *   minAppearances       — cycles (of the last 8) an item must appear in to qualify
+ *   minSplitSamples      — delivered orders needed before a learned day split
+ *                          replaces the configured one (0 turns learning off)
+ */
+export const FORECAST_TUNABLES = [
+    'safetyBufferPercent',
+    'defaultMondaySplit',
+    'defaultThursdaySplit',
+    'spikeCapMultiplier',
+    'recentMedianWeight',
+    'minAppearances',
+    'minSplitSamples',
+];
+
+const EVEN_SPLIT = { defaultMondaySplit: 0.5, defaultThursdaySplit: 0.5 };
+
+/**
+ * Shape of `forecastConfig/global`. `configVersion` increases by one on every
+ * save from ForecastSettingsPage and is stamped on each forecast document.
+ * `defaultModel` / `categoryModels` pick the demand model (forecastModels.js)
+ * and are set from the ForecastAccuracyPage backtest. `serviceLevel` /
+ * `categoryServiceLevels` / `itemServiceLevels` pick a service-level target
+ * (forecastIntervals.js); null leaves the item on the safety buffer.
+ * `coldStartCycles` / `coldStartPeers` control peer-seeded forecasts for new
+ * restaurants (forecastColdStart.js); `coldStartCycles: 0` turns seeding off.
+ */
+export const DEFAULT_FORECAST_CONFIG = {
+    configVersion: 0,
+    safetyBufferPercent: 0,
+    defaultMondaySplit: 0.6,
+    defaultThursdaySplit: 0.4,
+    spikeCapMultiplier: 1.5,
+    recentMedianWeight: 0.3,
+    minAppearances: 3,
+    minSplitSamples: 4,
+    categoryOverrides: {
+        Packaging: EVEN_SPLIT,
+        Cleaning: EVEN_SPLIT,
+        'Cleaning Supplies': EVEN_SPLIT,
+    },
+    restaurantOverrides: {},
+    defaultModel: DEFAULT_FORECAST_MODEL,
+    categoryModels: {},
+    serviceLevel: null,
+    categoryServiceLevels: {},
+    itemServiceLevels: {},
+    coldStartCycles: 6,
+    coldStartPeers: 3,
+};
+
+// Kept for callers that only need the default qualification threshold
+export const MIN_APPEARANCES = DEFAULT_FORECAST_CONFIG.minAppearances;
+
+const TUNABLE_LIMITS = {
+    safetyBufferPercent: { min: 0, max: 5 },
+    defaultMondaySplit: { min: 0, max: 1 },
+    defaultThursdaySplit: { min: 0, max: 1 },
+    spikeCapMultiplier: { min: 1, max: 10 },
+    recentMedianWeight: { min: 0, max: 1 },
+    minAppearances: { min: 1, max: HISTORY_WINDOW_CYCLES, integer: true },
+    minSplitSamples: { min: 0, max: 52, integer: true },
+};
+
+const COLD_START_LIMITS = {
+    coldStartCycles: { min: 0, max: 26, integer: true },
+    coldStartPeers: { min: 1, max: 10, integer: true },
+};
+
+function sanitizeNumbers(raw, limits) {
+    const clean = {};
+    Object.keys(limits).forEach(key => {
+        if (raw?.[key] === undefined || raw[key] === null || raw[key] === '') return;
+        let value = Number(raw[key]);
+        if (!Number.isFinite(value)) return;
+        const { min, max, integer } = limits[key];
+        if (integer) value = Math.round(value);
+        clean[key] = Math.min(max, Math.max(min, value));
+    });
+    return clean;
+}
+
+function sanitizeTunables(raw) {
+    return sanitizeNumbers(raw, TUNABLE_LIMITS);
+}
+
+function sanitizeOverrides(raw) {
+    const clean = {};
+    Object.entries(raw || {}).forEach(([key, value]) => {
+        const tunables = sanitizeTunables(value);
+        if (key && Object.keys(tunables).length > 0) clean[key] = tunables;
+    });
+    return clean;
+}
+
+/**
+ * Merge a raw `forecastConfig/global` document over the defaults, dropping
+ * unknown keys and clamping out-of-range values. Category overrides are merged
+ * per category, so the built-in Packaging/Cleaning 50/50 split survives unless
+ * that category is overridden explicitly.
+ */
+export function normalizeForecastConfig(raw) {
+    const base = DEFAULT_FORECAST_CONFIG;
+    const categoryOverrides = { ...base.categoryOverrides };
+    Object.entries(sanitizeOverrides(raw?.categoryOverrides)).forEach(([category, tunables]) => {
+        categoryOverrides[category] = { ...categoryOverrides[category], ...tunables };
+    });
+
+    return {
+        ...base,
+        ...sanitizeTunables(raw),
+        ...sanitizeNumbers(raw, COLD_START_LIMITS),
+        configVersion: Number(raw?.configVersion) || 0,
+        categoryOverrides,
+        restaurantOverrides: sanitizeOverrides(raw?.restaurantOverrides),
+        defaultModel: FORECAST_MODELS[raw?.defaultModel] ? raw.defaultModel : base.defaultModel,
+        categoryModels: sanitizeCategoryModels(raw?.categoryModels),
+        ...normalizeServiceLevels(raw),
+    };
+}
+
+function sanitizeCategoryModels(raw) {
+    const clean = {};
+    Object.entries(raw || {}).forEach(([category, modelId]) => {
+        if (category && FORECAST_MODELS[modelId]) clean[category] = modelId;
+    });
+    return clean;
+}
+
+/**
+ * Demand model for a category: `categoryModels[category]`, else `defaultModel`.
+ */
+export function resolveForecastModel(config, category) {
+    const cfg = config || DEFAULT_FORECAST_CONFIG;
+    return cfg.categoryModels?.[category] || cfg.defaultModel || DEFAULT_FORECAST_MODEL;
+}
+
+/**
+ * Resolve the tunables for one restaurant + category.
+ * Precedence (last wins): global → category override → restaurant override.
+ */
+export function resolveForecastSettings(config, { restaurantId, category } = {}) {
+    const cfg = config || DEFAULT_FORECAST_CONFIG;
+    const resolved = {};
+    FORECAST_TUNABLES.forEach(key => { resolved[key] = cfg[key] ?? DEFAULT_FORECAST_CONFIG[key]; });
+    Object.assign(resolved, cfg.categoryOverrides?.[category] || {});
+    Object.assign(resolved, cfg.restaurantOverrides?.[restaurantId] || {});
+    return resolved;
+}
+
+/**
+ * Monday share of a weekly quantity, from the (possibly un-normalised)
+ * Monday/Thursday split pair.
+ */
+export function getMondayShare(settings) {
+    const mon = Number(settings.defaultMondaySplit) || 0;
+    const thu = Number(settings.defaultThursdaySplit) || 0;
+    if (mon + thu <= 0) return DEFAULT_FORECAST_CONFIG.defaultMondaySplit;
+    return mon / (mon + thu);
+}
+
+/**
+ * Apply a fractional safety buffer, rounding up to whole packs. The product is
+ * rounded to 6 decimals first so float noise (20 × 1.1 = 22.000000000000004)
+ * does not add a pack.
+ */
+export function applySafetyBuffer(qty, safetyBufferPercent) {
+    if (!safetyBufferPercent || qty <= 0) return qty;
+    return Math.ceil(Number((qty * (1 + safetyBufferPercent)).toFixed(6)));
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+export function normalizeItemName(name) {
+    if (!name) return '';
+    const n = name.trim().toLowerCase();
+    return ITEM_ALIAS_MAP[n] || name.trim();
+}
+
+/**
+ * Legacy slug used as the forecast line id when an item has no catalogItemId.
+ */
+export function slugifyItemName(itemName) {
+    return (itemName || '').toLowerCase().replace(/[^a-z0-9]/g, '-');
+}
+
+/**
+ * Resolve a Firestore Timestamp (client or admin SDK), Date, millis or
+ * ISO string to a `YYYY-MM-DD` string. Returns '' when unparseable.
+ */
+export function toDateString(value) {
+    if (!value) return '';
+    const d = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    if (isNaN(d)) return '';
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Next Monday (local time) after `now`, as `YYYY-MM-DD` — the delivery week
+ * the forecast targets. A Monday `now` targets the following Monday.
+ */
+export function getForecastWeekStart(now = new Date()) {
+    const dayOfWeek = now.getDay();
+    const daysUntilMonday = dayOfWeek === 0 ? 1 : (8 - dayOfWeek) % 7 || 7;
+    const nextMonday = new Date(now);
+    nextMonday.setDate(now.getDate() + daysUntilMonday);
+    nextMonday.setHours(0, 0, 0, 0);
+    return nextMonday.toISOString().slice(0, 10);
+}
+
+// ─── Order History ────────────────────────────────────────────────────────────
+
+/**
+ * Delivery route an order went out on, for a schedule: its `deliveryDay` when
+ * set, else the weekday it was delivered — the latest scheduled day on or
+ * before it, so with Monday / Thursday, Monday to Wednesday ride the Monday
+ * route and Thursday to Sunday the Thursday route. '' when neither is known
+ * (the order date alone does not say which route it rode).
+ */
+export function getOrderDeliveryDay(order, days = DELIVERY_DAYS) {
+    const declared = normalizeDeliveryDay(order?.deliveryDay);
+    if (declared) return getRouteDayForWeekday(declared, days);
+    const delivered = toDateString(order?.deliveredAt);
+    if (!delivered) return '';
+    return getRouteDayForDate(delivered, days);
+}
+
+/**
+ * Flatten raw `marketplaceOrders` documents into forecast records.
+ * Orders that are not in a fulfilled status, or have no usable date, are skipped.
+ * With a catalog index, each line is resolved to its catalog item (id and
+ * canonical name); lines the catalog does not know keep the alias-mapped name.
+ * `deliveryDay` is the weekday the order was delivered on; the forecast maps
+ * it onto each restaurant's schedule. `deliveryDate` is the date of `deliveredAt`
+ * ('' when not stamped). Accepted substitutions count toward the item ordered
+ * (`substitutedQty`), not the substitute.
+ *
+ * @param {Array<Object>} orders — order document data
+ * @param {Object} [options]
+ * @param {Object} [options.catalogIndex] — from buildCatalogIndex()
+ * @returns {Array<{date, deliveryDate, deliveryDay, restaurantId, itemName, catalogItemId, qty, unit, packLabel, category, vendor}>}
+ */
+export function flattenOrderRecords(orders, { catalogIndex = null } = {}) {
+    const flatRecords = [];
+
+    (orders || []).forEach(order => {
+        const status = (order.status || '').toLowerCase();
+        if (!FULFILLED_STATUSES.includes(status)) return;
+
+        const dateStr = toDateString(order.createdAt) || order.pickupDate || '';
+        if (!dateStr) return;
+        const deliveryDay = getOrderDeliveryDay(order, WEEKDAYS);
+        const deliveryDate = toDateString(order.deliveredAt) || '';
+
+        (order.items || []).forEach(item => {
+            const rawName = item.name || item.itemName || '';
+            // Demand stays with the item ordered; a substitute line is not demand for itself
+            if (!rawName || item.substitutionFor) return;
+            const catalog = resolveCatalogItem(catalogIndex, { catalogItemId: item.catalogItemId, itemName: rawName });
+
+            flatRecords.push({
+                date: dateStr,
+                deliveryDate,
+                deliveryDay,
+                restaurantId: order.restaurantId || '',
+                itemName: catalog ? catalog.itemName : normalizeItemName(rawName),
+                catalogItemId: catalog ? catalog.catalogItemId : item.catalogItemId || '',
+                qty: (Number(item.qty) || 0) + (Number(item.substitutedQty) || 0),
+                unit: item.unit || item.packLabel || '',
+                packLabel: item.packLabel || item.unit || '',
+                category: item.category || catalog?.category || '',
+                vendor: order.vendorName || '',
+            });
+        });
+    });
+
+    return flatRecords;
+}
+
+/**
+ * Extract unique restaurant IDs from order records.
+ */
+export function getRestaurantList(records) {
+    const set = new Set();
+    records.forEach(r => { if (r.restaurantId) set.add(r.restaurantId); });
+    return Array.from(set).sort();
+}
+
+/**
+ * Identity key for order records — the forecast line id. Records without a
+ * catalogItemId borrow one from another record with the same name, so older
+ * orders placed before an item was linked stay in the same history.
+ *
+ * @param {Array} records — flat order records
+ * @returns {function(Object): string} record → catalogItemId, else name slug
+ */
+export function createItemKeyer(records) {
+    const idByName = {};
+    (records || []).forEach(r => {
+        if (r.catalogItemId && r.itemName && !idByName[r.itemName]) idByName[r.itemName] = r.catalogItemId;
+    });
+    return (r) => r.catalogItemId || idByName[r.itemName] || slugifyItemName(r.itemName);
+}
+
+// ─── Delivery-Day Split ───────────────────────────────────────────────────────
+
+/**
+ * Day split a restaurant actually orders with, learned from the delivery day
+ * of its past orders mapped onto its schedule — per item and per category,
+ * weighted by quantity. `samples` counts the distinct orders behind each
+ * split; `mondayShare` is `shares.Monday` (0 when Monday is not a delivery day).
+ *
+ * @param {Array} records — flat order records (all restaurants)
+ * @param {string} restaurantId
+ * @param {function(Object): string} keyOf — from createItemKeyer()
+ * @param {Array<string>} [days] — the restaurant's delivery days
+ * @returns {{ items: Object, categories: Object }} each `{ [key]: { mondayShare, shares, samples } }`
+ */
+export function learnDeliverySplits(records, restaurantId, keyOf, days = DELIVERY_DAYS) {
+    const schedule = normalizeDeliveryDays(days);
+    const tally = { items: {}, categories: {} };
+    const add = (bucket, key, r, day) => {
+        if (!bucket[key]) bucket[key] = { byDay: {}, total: 0, orders: new Set() };
+        bucket[key].byDay[day] = (bucket[key].byDay[day] || 0) + r.qty;
+        bucket[key].total += r.qty;
+        bucket[key].orders.add(r.date);
+    };
+
+    (records || []).forEach(r => {
+        if (r.restaurantId !== restaurantId || !r.deliveryDay || !(r.qty > 0)) return;
+        const day = getRouteDayForWeekday(r.deliveryDay, schedule);
+        if (!day) return;
+        add(tally.items, keyOf(r), r, day);
+        add(tally.categories, r.category || 'Produce', r, day);
+    });
+
+    const toShares = (bucket) => {
+        const out = {};
+        Object.entries(bucket).forEach(([key, t]) => {
+            const shares = Object.fromEntries(schedule.map(day => [day, Number(((t.byDay[day] || 0) / t.total).toFixed(3))]));
+            out[key] = { mondayShare: shares.Monday || 0, shares, samples: t.orders.size };
+        });
+        return out;
+    };
+    return { items: toShares(tally.items), categories: toShares(tally.categories) };
+}
+
+/**
+ * Split for one forecast line: the item's learned split, else its category's,
+ * else the configured default — a learned split needs `minSplitSamples` orders.
+ *
+ * @param {Object} learned — from learnDeliverySplits() for the same days
+ * @param {{ itemId: string, category: string }} line
+ * @param {Object} settings — resolveForecastSettings()
+ * @param {Array<string>} [days] — the restaurant's delivery days
+ * @returns {{ mondayShare: number, shares: Object<string, number>, source: 'item'|'category'|'default', samples: number }}
+ */
+export function resolveDeliverySplit(learned, { itemId, category }, settings, days = DELIVERY_DAYS) {
+    const minSamples = settings.minSplitSamples ?? DEFAULT_FORECAST_CONFIG.minSplitSamples;
+    const item = learned?.items?.[itemId];
+    const cat = learned?.categories?.[category];
+    if (minSamples > 0 && item && item.samples >= minSamples) return { ...item, source: 'item' };
+    if (minSamples > 0 && cat && cat.samples >= minSamples) return { ...cat, source: 'category' };
+    return getDefaultDeliverySplit(settings, days, item?.samples || 0);
+}
+
+/**
+ * The configured split over a schedule, before anything is learned.
+ */
+export function getDefaultDeliverySplit(settings, days = DELIVERY_DAYS, samples = 0) {
+    const shares = getDefaultDayShares(days, getMondayShare(settings));
+    return { mondayShare: shares.Monday || 0, shares, source: 'default', samples };
+}
+
+function getSortedCycles(records) {
+    const allDatesSet = new Set();
+    records.forEach(r => { if (r.date) allDatesSet.add(r.date); });
+    return [...allDatesSet].sort((a, b) => new Date(b) - new Date(a));
+}
+
+/**
+ * Diagnostic stats for a restaurant — explains an empty or thin forecast.
+ * Appearances are counted against the global last 8 cycles, the same window
+ * buildRestaurantForecast() qualifies items on, using each item's resolved
+ * `minAppearances`.
+ */
+export function getOrderStats(records, restaurantId, config = DEFAULT_FORECAST_CONFIG) {
+    const keyOf = createItemKeyer(records);
+    const restRecords = (records || []).filter(r => r.restaurantId === restaurantId);
+    const uniqueDates = new Set(restRecords.map(r => r.date));
+    const uniqueItems = new Set(restRecords.map(keyOf));
+    const orderCycles = uniqueDates.size;
+
+    const last8 = getSortedCycles(records || []).slice(0, HISTORY_WINDOW_CYCLES);
+    const itemAppearances = {}; // item key → Set of cycle dates
+    const itemCategories = {};
+    restRecords.forEach(r => {
+        const key = keyOf(r);
+        if (r.category && !itemCategories[key]) itemCategories[key] = r.category;
+        if (!last8.includes(r.date)) return;
+        if (!itemAppearances[key]) itemAppearances[key] = new Set();
+        itemAppearances[key].add(r.date);
+    });
+
+    const requiredItemAppearances = resolveForecastSettings(config, { restaurantId }).minAppearances;
+    let bestItemAppearances = 0;
+    let qualifiedItemCount = 0;
+    Object.entries(itemAppearances).forEach(([key, dateSet]) => {
+        const count = dateSet.size;
+        const { minAppearances } = resolveForecastSettings(config, { restaurantId, category: itemCategories[key] });
+        if (count > bestItemAppearances) bestItemAppearances = count;
+        if (count >= minAppearances) qualifiedItemCount++;
+    });
+
+    let statusLabel, statusColor;
+    if (orderCycles === 0) {
+        statusLabel = 'No completed orders for this restaurant';
+        statusColor = '#ef4444';
+    } else if (orderCycles < HISTORY_WINDOW_CYCLES) {
+        statusLabel = `Need ${HISTORY_WINDOW_CYCLES} order cycles — have ${orderCycles} so far`;
+        statusColor = '#f59e0b';
+    } else if (qualifiedItemCount === 0) {
+        statusLabel = `Have ${orderCycles} cycles but no item appears in ${requiredItemAppearances}+ of them`;
+        statusColor = '#f59e0b';
+    } else {
+        statusLabel = `${qualifiedItemCount} item${qualifiedItemCount !== 1 ? 's' : ''} ready for forecasting`;
+        statusColor = '#10b981';
+    }
+
+    return {
+        totalRecords: (records || []).length,
+        restaurantRecords: restRecords.length,
+        uniqueOrderDates: orderCycles,
+        uniqueItems: uniqueItems.size,
+        requiredCycles: HISTORY_WINDOW_CYCLES,
+        requiredItemAppearances,
+        cyclesShortfall: Math.max(0, HISTORY_WINDOW_CYCLES - orderCycles),
+        bestItemAppearances,
+        qualifiedItemCount,
+        isReady: qualifiedItemCount > 0,
+        statusLabel,
+        statusColor,
+    };
+}
+
+// ─── Correction Learning ──────────────────────────────────────────────────────
+
+/**
+ * Compute correction profiles from raw `correctionEntries` rows (newest first).
+ * Rows are keyed by catalogItemId when present, else by the line id they were
+ * recorded against.
+ *
+ * Returns: { itemId → { recommendedCorrection, confidence, hint, ... } }
+ */
+export function computeCorrectionProfiles(corrections) {
+    if (!corrections || corrections.length === 0) return {};
+
+    const byItem = {};
+    corrections.forEach(c => {
+        const key = c.catalogItemId || c.itemId;
+        if (!byItem[key]) byItem[key] = { itemId: key, itemName: c.itemName || '', edits: [] };
+        byItem[key].edits.push(c);
+    });
+
+    const profiles = {};
+
+    Object.values(byItem).forEach(item => {
+        const edits = item.edits.slice(0, 8); // last 8 submissions
+        const historyCount = edits.length;
+
+        if (historyCount < 3) {
+            profiles[item.itemId] = {
+                itemId: item.itemId,
+                itemName: item.itemName,
+                historyCount,
+                confidence: 'Low',
+                recommendedCorrection: 0,
+                status: 'Not Enough History',
+                hint: 'Not enough history',
+            };
+            return;
+        }
+
+        const totalDelta = edits.reduce((sum, e) => sum + (e.deltaQty || 0), 0);
+        const avgDelta = totalDelta / historyCount;
+
+        const increasedCount = edits.filter(e => (e.deltaQty || 0) > 0).length;
+        const reducedCount = edits.filter(e => (e.deltaQty || 0) < 0).length;
+        const unchangedCount = edits.filter(e => e.deltaType === 'Unchanged' || (e.deltaQty || 0) === 0).length;
+
+        let directionConsistency = 'Mixed';
+        let activeCount = 0;
+
+        if (increasedCount > reducedCount && increasedCount > unchangedCount) {
+            directionConsistency = 'Increased';
+            activeCount = increasedCount;
+        } else if (reducedCount > increasedCount && reducedCount > unchangedCount) {
+            directionConsistency = 'Reduced';
+            activeCount = reducedCount;
+        } else if (unchangedCount >= increasedCount && unchangedCount >= reducedCount) {
+            directionConsistency = 'Unchanged';
+            activeCount = unchangedCount;
+        }
+
+        const consistencyRatio = activeCount / historyCount;
+
+        // Confidence scoring
+        let confidence = 'Low';
+        if (consistencyRatio >= 0.75 && historyCount >= 4) confidence = 'High';
+        else if (consistencyRatio >= 0.60 && historyCount >= 3) confidence = 'Medium';
+
+        // Weighted correction (50% weight to avoid swinging wildly)
+        let recommendedCorrection = 0;
+        if ((confidence === 'High' || confidence === 'Medium') && directionConsistency !== 'Unchanged') {
+            recommendedCorrection = Math.round(avgDelta * 0.5);
+        }
+
+        let status = 'Stable / No Correction Needed';
+        let hint = 'No correction needed';
+        if (confidence !== 'Low') {
+            if (recommendedCorrection > 0) {
+                status = 'Usually Increased';
+                hint = `Learned +${recommendedCorrection} (${confidence} confidence)`;
+            } else if (recommendedCorrection < 0) {
+                status = 'Usually Reduced';
+                hint = `Learned ${recommendedCorrection} (${confidence} confidence)`;
+            }
+        } else if (directionConsistency === 'Mixed') {
+            status = 'Volatile / Mixed Behavior';
+            hint = 'Mixed editing pattern';
+        }
+
+        profiles[item.itemId] = {
+            itemId: item.itemId,
+            itemName: item.itemName,
+            historyCount,
+            avgDelta: Number(avgDelta.toFixed(1)),
+            directionConsistency,
+            consistencyRatio,
+            confidence,
+            recommendedCorrection,
+            status,
+            hint,
+        };
+    });
+
+    return profiles;
+}
+
+// ─── Festival Uplifts ─────────────────────────────────────────────────────────
+
+/**
+ * Last day (Sunday) of the delivery week starting on `weekStart` (`YYYY-MM-DD`).
+ */
+export function getForecastWeekEnd(weekStart) {
+    const end = new Date(`${weekStart}T00:00:00.000Z`);
+    end.setUTCDate(end.getUTCDate() + 6);
+    return end.toISOString().slice(0, 10);
+}
+
+/**
+ * Active `festivalCalendar` events whose [startDate, endDate] overlaps the
+ * delivery week starting on `weekStart`, ordered by start date.
+ *
+ * @param {Array<Object>} events — festivalCalendar docs (`{ id, eventName, startDate, endDate, isActive, upliftRules }`)
+ * @param {string} weekStart — `YYYY-MM-DD`
+ */
+export function getEventsForWeek(events, weekStart) {
+    if (!weekStart) return [];
+    const weekEnd = getForecastWeekEnd(weekStart);
+    return (events || [])
+        .filter(evt => evt && evt.isActive !== false)
+        .filter(evt => {
+            const start = toDateString(evt.startDate);
+            const end = toDateString(evt.endDate) || start;
+            return start && start <= weekEnd && end >= weekStart;
+        })
+        .sort((a, b) => toDateString(a.startDate).localeCompare(toDateString(b.startDate)) || (a.eventName || '').localeCompare(b.eventName || ''));
+}
+
+/**
+ * Uplift rules from `events` that match one forecast line. Category rules
+ * match the line category; item rules match the line id, catalogItemId or
+ * item name (case-insensitive). When an event has both, the item rule wins —
+ * each event contributes at most one uplift.
+ *
+ * @returns {Array<{ eventId, eventName, percent, ruleType }>}
+ */
+export function matchFestivalUplifts(events, { itemId, catalogItemId, itemName, category }) {
+    const itemKeys = [itemId, catalogItemId, itemName]
+        .filter(Boolean)
+        .map(k => String(k).trim().toLowerCase());
+    const categoryKey = (category || '').trim().toLowerCase();
+
+    const matches = [];
+    (events || []).forEach(evt => {
+        let itemRule = null;
+        let categoryRule = null;
+        (evt.upliftRules || []).forEach(rule => {
+            const target = String(rule.targetValue || '').trim().toLowerCase();
+            if (!target || !Number(rule.percent)) return;
+            if (rule.targetType === 'item' && itemKeys.includes(target)) itemRule = itemRule || rule;
+            else if (rule.targetType === 'category' && target === categoryKey) categoryRule = categoryRule || rule;
+        });
+
+        const rule = itemRule || categoryRule;
+        if (!rule) return;
+        matches.push({
+            eventId: evt.id || '',
+            eventName: evt.eventName || 'Festival',
+            percent: Number(rule.percent),
+            ruleType: rule.targetType,
+        });
+    });
+    return matches;
+}
+
+/**
+ * Apply matched uplifts to a weekly quantity. Percentages compound and the
+ * result is rounded up to whole packs once, so stacked events do not each add
+ * a rounding pack. Each uplift records the packs it added (`qtyDelta`); the
+ * deltas always add up to `qty − baseQty`. A negative percent can reduce the
+ * quantity, never below zero.
+ *
+ * @returns {{ qty: number, uplifts: Array<{ eventId, eventName, percent, ruleType, qtyDelta }> }}
+ */
+export function applyFestivalUplifts(baseQty, matches) {
+    let exact = baseQty;
+    let qty = baseQty;
+    const uplifts = (matches || []).map(match => {
+        exact *= 1 + match.percent / 100;
+        const next = Math.max(0, Math.ceil(Number(exact.toFixed(6))));
+        const qtyDelta = next - qty;
+        qty = next;
+        return { ...match, qtyDelta };
+    });
+    return { qty, uplifts };
+}
+
+// ─── Forecast Engine ──────────────────────────────────────────────────────────
+
+/**
+ * Build a per-restaurant item forecast from flat order records.
+ *
+ * Algorithm (purely data-driven; defaults in brackets, all from config):
+ *   1. Group records by date to find order "cycles"
+ *   2. For each item, aggregate qty per cycle
+ *   3. Predict the next cycle with the category's model      [median-blend]
+ *      median-blend: w × median_4 + (1 − w) × median_8       [w = 0.3]
+ *      capped at k × median_8 to prevent outlier spikes      [k = 1.5]
+ *   4. Proportionally split to the selected restaurant
+ *   5. Apply festival uplifts for events in the delivery week
+ *   6. Add the safety buffer                                 [0%]
+ *      — or, with a service level, size to that quantile of the P10/P50/P90 band
+ *   7. Split to the restaurant's delivery days — learned from its delivered
+ *      orders (item, then category), else configured        [Mon 60% / Thu 40%]
+ *   8. Apply learned corrections
+ *
+ * @param {Array} records — flat order records from flattenOrderRecords()
+ * @param {string} restaurantId — which restaurant to forecast for
+ * @param {Array} [allRestaurants] — list of all restaurant IDs
+ * @param {Object} [correctionProfiles] — profiles from computeCorrectionProfiles()
+ * @param {Object} [options]
+ * @param {Object} [options.config] — normalized forecast config (normalizeForecastConfig())
+ * @param {Array}  [options.festivalEvents] — festivalCalendar docs; only events overlapping the week apply
+ * @param {string} [options.weekStart] — delivery week (`YYYY-MM-DD`) the uplifts are matched against
+ * @param {string} [options.modelId] — force one model for every item (backtests); default per category from config
+ * @param {Array<string>} [options.deliveryDays] — the restaurant's delivery days; default Monday / Thursday
+ * @returns {Array} — forecast lines, sorted by confidence then quantity
+ */
+export function buildRestaurantForecast(records, restaurantId, allRestaurants = [], correctionProfiles = {}, options = {}) {
+    if (!records || !records.length) return [];
+    const config = options.config || DEFAULT_FORECAST_CONFIG;
+    const deliveryDays = getForecastDeliveryDays(options.deliveryDays);
+    const weekEvents = getEventsForWeek(options.festivalEvents, options.weekStart);
+
+    // 1. Order cycles, newest first
+    const allCycles = getSortedCycles(records);
+    const last8Cycles = allCycles.slice(0, HISTORY_WINDOW_CYCLES);
+    const last4Cycles = allCycles.slice(0, RECENT_WINDOW_CYCLES);
+
+    // 2. Global history map + restaurant volume tracker, keyed by item identity
+    const keyOf = createItemKeyer(records);
+    const learnedSplits = learnDeliverySplits(records, restaurantId, keyOf, deliveryDays);
+    const globalHistoryMap = {};    // itemId → { orderHistoryMap: { date → qty }, totalVolume8Wks }
+    const restHistoryMap = {};      // itemId → { restaurantId → totalQty }
+    const nameMap = {};             // itemId → display name (first record seen)
+    const categoryMap = {};
+    const packLabelMap = {};
+    const catalogItemIdMap = {};
+
+    records.forEach(r => {
+        if (!r.itemName) return;
+        const key = keyOf(r);
+
+        if (!nameMap[key]) nameMap[key] = r.itemName;
+        if (r.category && !categoryMap[key]) categoryMap[key] = r.category;
+        if (r.packLabel && !packLabelMap[key]) packLabelMap[key] = r.packLabel;
+        if (r.catalogItemId && !catalogItemIdMap[key]) catalogItemIdMap[key] = r.catalogItemId;
+
+        if (!globalHistoryMap[key]) {
+            globalHistoryMap[key] = { orderHistoryMap: {}, totalVolume8Wks: 0 };
+        }
+        if (!globalHistoryMap[key].orderHistoryMap[r.date]) {
+            globalHistoryMap[key].orderHistoryMap[r.date] = 0;
+        }
+        globalHistoryMap[key].orderHistoryMap[r.date] += r.qty;
+
+        if (last8Cycles.includes(r.date)) {
+            globalHistoryMap[key].totalVolume8Wks += r.qty;
+
+            if (!restHistoryMap[key]) restHistoryMap[key] = {};
+            if (!restHistoryMap[key][r.restaurantId]) restHistoryMap[key][r.restaurantId] = 0;
+            restHistoryMap[key][r.restaurantId] += r.qty;
+        }
+    });
+
+    // 3. Forecast per item
+    const results = [];
+
+    Object.keys(globalHistoryMap).forEach(itemId => {
+        const item = globalHistoryMap[itemId];
+        const itemName = nameMap[itemId];
+        const qtyIn8Filtered = last8Cycles.map(d => item.orderHistoryMap[d] || 0).filter(q => q > 0);
+        const qtyIn8 = last8Cycles.map(d => item.orderHistoryMap[d] || 0);
+        const qtyIn4 = last4Cycles.map(d => item.orderHistoryMap[d] || 0);
+
+        const median8 = getMedian(qtyIn8);
+        const median4 = getMedian(qtyIn4);
+        const cat = categoryMap[itemId] || '';
+        const settings = resolveForecastSettings(config, { restaurantId, category: cat || 'Produce' });
+
+        // Next-cycle demand from the model chosen for this category
+        const modelId = options.modelId || resolveForecastModel(config, cat || 'Produce');
+        const history = allCycles.map(d => item.orderHistoryMap[d] || 0);
+        const predictedTotal = predictWithModel(modelId, history, settings);
+
+        // Qualify: item must appear in ≥ minAppearances of last 8 cycles with qty > 0
+        if (qtyIn8Filtered.length < settings.minAppearances || predictedTotal <= 0) return;
+
+        // 4. Proportionally allocate to selected restaurant
+        let restRatio = 1.0;
+        if (item.totalVolume8Wks > 0 && restHistoryMap[itemId]?.[restaurantId]) {
+            restRatio = restHistoryMap[itemId][restaurantId] / item.totalVolume8Wks;
+        } else if (item.totalVolume8Wks > 0 && restHistoryMap[itemId]) {
+            restRatio = 0.0; // This restaurant never ordered this item
+        } else if (item.totalVolume8Wks > 0 || predictedTotal > 0) {
+            restRatio = 1.0 / (allRestaurants.length || 1);
+        }
+
+        const baselineQty = Math.round(predictedTotal * restRatio);
+        if (baselineQty <= 0) return;
+
+        const catalogItemId = catalogItemIdMap[itemId] || '';
+
+        // 5. Festival uplifts for events overlapping the delivery week
+        const { qty: upliftedQty, uplifts: seasonalUplifts } = applyFestivalUplifts(
+            baselineQty,
+            matchFestivalUplifts(weekEvents, { itemId, catalogItemId, itemName, category: cat || 'Produce' })
+        );
+
+        // 6. Service-level quantile of the band, else safety buffer on top of the (uplifted) baseline
+        const predictionInterval = computePredictionBand(qtyIn8Filtered, upliftedQty);
+        const requestedLevel = resolveServiceLevel(config, { itemId, catalogItemId, category: cat || 'Produce' });
+        const serviceLevel = requestedLevel && predictionInterval ? requestedLevel : null;
+        const restAllocatedTotal = serviceLevel
+            ? Math.max(upliftedQty, quantileFromBand(predictionInterval, SERVICE_LEVELS[serviceLevel].quantile))
+            : applySafetyBuffer(upliftedQty, settings.safetyBufferPercent);
+
+        // 7. Split to delivery days
+        const deliverySplit = resolveDeliverySplit(learnedSplits, { itemId, category: cat || 'Produce' }, settings, deliveryDays);
+        const dayQtys = splitAcrossDays(restAllocatedTotal, deliverySplit.shares);
+
+        // Trend
+        let trend = 'stable';
+        if (median4 > median8 * 1.2) trend = 'up';
+        else if (median4 < median8 * 0.8) trend = 'down';
+
+        // Confidence (purely based on data availability)
+        let confidence = 'Low';
+        if (qtyIn8Filtered.length >= 7) confidence = 'High';
+        else if (qtyIn8Filtered.length >= 4) confidence = 'Medium';
+
+        // 8. Apply learned corrections (keyed by catalogItemId, else name slug)
+        const corrProfile = correctionProfiles[itemId];
+        let learnedCorrection = 0;
+        let correctionConfidence = null;
+        let correctionHint = null;
+
+        if (corrProfile && (corrProfile.confidence === 'High' || corrProfile.confidence === 'Medium') && corrProfile.recommendedCorrection !== 0) {
+            learnedCorrection = corrProfile.recommendedCorrection;
+            correctionConfidence = corrProfile.confidence;
+            correctionHint = corrProfile.hint;
+        } else if (corrProfile && corrProfile.historyCount < 3) {
+            correctionHint = 'Not enough history';
+        }
+
+        const correctedQty = Math.max(0, restAllocatedTotal + learnedCorrection);
+
+        results.push({
+            id: itemId,
+            catalogItemId,
+            itemName,
+            category: cat || 'Produce',
+            packLabel: packLabelMap[itemId] || 'unit',
+            rawPrediction: restAllocatedTotal,
+            seasonalUplifts,
+            seasonalUpliftQty: upliftedQty - baselineQty,
+            safetyBufferQty: restAllocatedTotal - upliftedQty,
+            predictionInterval,
+            serviceLevel,
+            learnedCorrection,
+            correctionConfidence,
+            correctionHint,
+            predictedQty: correctedQty,
+            ...toDayQtyFields(dayQtys),
+            deliverySplit,
+            confidence,
+            trend,
+            globalForecast: predictedTotal,
+            restRatio: Math.round(restRatio * 100),
+            model: modelId,
+        });
+    });
+
+    results.sort(compareForecastLines);
+
+    return results;
+}
+
+// Confidence desc, then qty desc
+function compareForecastLines(a, b) {
+    return (CONFIDENCE_ORDER[a.confidence] ?? 2) - (CONFIDENCE_ORDER[b.confidence] ?? 2) || b.predictedQty - a.predictedQty;
+}
+
+/**
+ * A restaurant's delivery days, else Monday / Thursday.
+ */
+export function getForecastDeliveryDays(days) {
+    const schedule = normalizeDeliveryDays(days);
+    return schedule.length ? schedule : [...DELIVERY_DAYS];
+}
+
+/**
+ * Line fields for a day split: `dayQtys`, plus `mondayQty` / `thursdayQty`
+ * for readers that only know the Monday / Thursday routes.
+ */
+export function toDayQtyFields(dayQtys) {
+    return { dayQtys, mondayQty: dayQtys.Monday || 0, thursdayQty: dayQtys.Thursday || 0 };
+}
+
+// ─── Forecast Document ────────────────────────────────────────────────────────
+
+export function summarizeForecast(forecastLines, deliveryDays = DELIVERY_DAYS) {
+    const totalsByDay = Object.fromEntries(getForecastDeliveryDays(deliveryDays).map(day => [day, 0]));
+    forecastLines.forEach(l => {
+        Object.entries(l.dayQtys || {}).forEach(([day, qty]) => { totalsByDay[day] = (totalsByDay[day] || 0) + qty; });
+    });
+    return {
+        totalItems: forecastLines.length,
+        totalPacks: forecastLines.reduce((s, l) => s + l.predictedQty, 0),
+        totalMondayPacks: forecastLines.reduce((s, l) => s + l.mondayQty, 0),
+        totalThursdayPacks: forecastLines.reduce((s, l) => s + l.thursdayQty, 0),
+        totalsByDay,
+    };
+}
+
+/**
+ * Build the `suggestedOrderAIForcast_Model/{restaurantId}_{weekStart}` document
+ * for one restaurant. A restaurant with no qualifying items still gets a
+ * document (status `insufficient_data`) so the UI can explain why.
+ *
+ * @param {Object} params
+ * @param {Array}  params.records — flat order records for all restaurants
+ * @param {string} params.restaurantId
+ * @param {Array}  params.allRestaurants
+ * @param {string} params.weekStart — `YYYY-MM-DD`
+ * @param {Object} [params.correctionProfiles]
+ * @param {Object} [params.config] — normalized forecast config
+ * @param {Array}  [params.festivalEvents] — festivalCalendar docs
+ * @param {string} [params.generatedAt] — ISO timestamp, defaults to now
+ * @param {Object} [params.restaurantProfiles] — { restaurantId → `restaurants` doc } for cold-start seeding
+ *                                              and the restaurant's `deliveryDays`
+ * @returns {{ docId: string, data: Object }}
+ */
+export function buildForecastDocument({ records, restaurantId, allRestaurants, weekStart, correctionProfiles = {}, config = DEFAULT_FORECAST_CONFIG, festivalEvents = [], generatedAt, restaurantProfiles = {} }) {
+    const deliveryDays = getForecastDeliveryDays(restaurantProfiles[restaurantId]?.deliveryDays);
+    const options = { config, festivalEvents, weekStart, deliveryDays };
+    const ownLines = buildRestaurantForecast(records, restaurantId, allRestaurants, correctionProfiles, options);
+    const orderStats = getOrderStats(records, restaurantId, config);
+    const { forecastLines, coldStart } = applyColdStart(ownLines, { records, restaurantId, allRestaurants, config, options, restaurantProfiles });
+
+    return {
+        docId: `${restaurantId}_${weekStart}`,
+        data: {
+            restaurantId,
+            weekStart,
+            generatedAt: generatedAt || new Date().toISOString(),
+            status: forecastLines.length > 0 ? 'ready' : 'insufficient_data',
+            deliveryDays,
+            forecastLines,
+            summary: summarizeForecast(forecastLines, deliveryDays),
+            orderStats,
+            seasonalEvents: getEventsForWeek(festivalEvents, weekStart).map(evt => ({
+                eventId: evt.id || '',
+                eventName: evt.eventName || 'Festival',
+                startDate: toDateString(evt.startDate),
+                endDate: toDateString(evt.endDate) || toDateString(evt.startDate),
+            })),
+            configVersion: config.configVersion || 0,
+            coldStart,
+        },
+    };
+}
+
+// ─── Cold Start ───────────────────────────────────────────────────────────────
+
+function countRestaurantCycles(records) {
+    const dates = {};
+    (records || []).forEach(r => {
+        if (!dates[r.restaurantId]) dates[r.restaurantId] = new Set();
+        dates[r.restaurantId].add(r.date);
+    });
+    return Object.fromEntries(Object.entries(dates).map(([id, set]) => [id, set.size]));
+}
+
+/**
+ * Seed a tagged restaurant with fewer than `coldStartCycles` order cycles from
+ * the forecasts of its most similar established peers (restaurants with at
+ * least `coldStartCycles` cycles and a profile). Peer forecasts are built
+ * without corrections, since those belong to the peer.
+ *
+ * @returns {{ forecastLines: Array, coldStart: { seedWeight, ownCycles, peers }|null }}
+ */
+function applyColdStart(ownLines, { records, restaurantId, allRestaurants, config, options, restaurantProfiles }) {
+    const noSeed = { forecastLines: ownLines, coldStart: null };
+    const profile = restaurantProfiles[restaurantId];
+    const minCycles = config.coldStartCycles ?? DEFAULT_FORECAST_CONFIG.coldStartCycles;
+    if (!hasColdStartProfile(profile) || !records || !records.length) return noSeed;
+
+    const cycles = countRestaurantCycles(records);
+    const ownCycles = cycles[restaurantId] || 0;
+    const seedWeight = getSeedWeight(ownCycles, minCycles);
+    if (seedWeight <= 0) return noSeed;
+
+    const candidates = Object.entries(restaurantProfiles)
+        .filter(([id, peer]) => id !== restaurantId && (cycles[id] || 0) >= minCycles && hasColdStartProfile(peer))
+        .map(([id, peer]) => ({ restaurantId: id, profile: peer }));
+    const peers = selectPeerRestaurants(profile, candidates, config.coldStartPeers ?? DEFAULT_FORECAST_CONFIG.coldStartPeers);
+    if (peers.length === 0) return noSeed;
+
+    const peerLines = {};
+    peers.forEach(p => { peerLines[p.restaurantId] = buildRestaurantForecast(records, p.restaurantId, allRestaurants, {}, options); });
+    const splitFor = (category) => getDefaultDeliverySplit(resolveForecastSettings(config, { restaurantId, category }), options.deliveryDays);
+
+    return {
+        forecastLines: blendColdStartLines(ownLines, peerLines, peers, seedWeight, splitFor).sort(compareForecastLines),
+        coldStart: { seedWeight, ownCycles, peers },
+    };
+}
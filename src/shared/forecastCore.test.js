@@ -0,0 +1,405 @@
+// src/shared/forecastCore.test.js
+//
+// Golden-output tests for the shared forecast core. The React pages and the
+// suggestedForecastJob Cloud Function both run this module, so these documents
+// are exactly what the RMS app reads from `suggestedOrderAIForcast_Model`.
+// Run with: npm test -- --watchAll=false --testPathPattern=forecastCore
+//
+// If an intentional algorithm change breaks the golden file, regenerate
+// __fixtures__/forecastGolden.json and review the diff line by line.
+//
+import {
+    flattenOrderRecords,
+    getRestaurantList,
+    computeCorrectionProfiles,
+    buildRestaurantForecast,
+    buildForecastDocument,
+    getForecastWeekStart,
+    normalizeItemName,
+    normalizeForecastConfig,
+    resolveForecastSettings,
+    applySafetyBuffer,
+    getEventsForWeek,
+    matchFestivalUplifts,
+    applyFestivalUplifts,
+    getOrderDeliveryDay,
+    resolveDeliverySplit,
+} from './forecastCore';
+import input from './__fixtures__/forecastInput.json';
+import golden from './__fixtures__/forecastGolden.json';
+
+const WEEK_START = '2026-03-09';
+const GENERATED_AT = '2026-03-04T23:00:00.000Z';
+
+function buildAllDocuments() {
+    const records = flattenOrderRecords(input.orders);
+    const allRestaurants = getRestaurantList(records);
+    const profiles = computeCorrectionProfiles(input.corrections);
+
+    const docs = {};
+    allRestaurants.forEach(restaurantId => {
+        docs[restaurantId] = buildForecastDocument({
+            records,
+            restaurantId,
+            allRestaurants,
+            weekStart: WEEK_START,
+            // corrections in the fixture all belong to oruma-takeout
+            correctionProfiles: restaurantId === 'oruma-takeout' ? profiles : {},
+            festivalEvents: input.festivalEvents,
+            generatedAt: GENERATED_AT,
+        });
+    });
+    return docs;
+}
+
+// ── Golden Output ────────────────────────────────────────────────────────────
+
+describe('forecastCore — golden output', () => {
+    const docs = buildAllDocuments();
+
+    test('forecasts every restaurant in the fixture', () => {
+        expect(Object.keys(docs)).toEqual(Object.keys(golden));
+    });
+
+    test.each(Object.keys(golden))('%s document matches golden file', (restaurantId) => {
+        expect(docs[restaurantId].docId).toBe(`${restaurantId}_${WEEK_START}`);
+        expect(docs[restaurantId].data).toEqual(golden[restaurantId]);
+    });
+
+    test('documents are plain JSON (safe to write to Firestore as-is)', () => {
+        Object.values(docs).forEach(({ data }) => {
+            expect(JSON.parse(JSON.stringify(data))).toEqual(data);
+        });
+    });
+});
+
+// ── Behaviour the client and Cloud Function used to disagree on ──────────────
+
+describe('forecastCore — fulfilled statuses', () => {
+    const order = (status) => ({
+        restaurantId: 'r1', status, createdAt: '2026-03-02T10:00:00.000Z',
+        items: [{ name: 'Tomato', qty: 1 }],
+    });
+
+    test.each(['fulfilled', 'completed', 'delivered', 'delivered_awaiting_confirmation', 'pending_fulfillment', 'DELIVERED'])(
+        'counts %s orders', (status) => {
+            expect(flattenOrderRecords([order(status)])).toHaveLength(1);
+        }
+    );
+
+    test.each(['new', 'pending_confirmation', 'confirmed', 'cancelled', 'rejected', ''])(
+        'skips %s orders', (status) => {
+            expect(flattenOrderRecords([order(status)])).toHaveLength(0);
+        }
+    );
+});
+
+describe('forecastCore — item names', () => {
+    test('resolves aliases case-insensitively', () => {
+        expect(normalizeItemName('Coriander')).toBe('Coriander Leaves');
+        expect(normalizeItemName('  WHITE ONION ')).toBe('Onion - Cooking');
+        expect(normalizeItemName('Yellow Onion')).toBe('Onion - Cooking');
+    });
+
+    test('keeps unknown names, trimmed', () => {
+        expect(normalizeItemName(' Okra ')).toBe('Okra');
+    });
+});
+
+describe('forecastCore — flattenOrderRecords dates', () => {
+    test('reads Firestore Timestamps via toDate()', () => {
+        const createdAt = { toDate: () => new Date('2026-02-16T09:00:00.000Z') };
+        const [record] = flattenOrderRecords([{ status: 'fulfilled', createdAt, items: [{ name: 'Tomato', qty: '3' }] }]);
+        expect(record.date).toBe('2026-02-16');
+        expect(record.qty).toBe(3);
+    });
+
+    test('counts substituted quantities toward the item ordered, not the substitute', () => {
+        const records = flattenOrderRecords([{
+            status: 'fulfilled',
+            pickupDate: '2026-02-19',
+            items: [
+                { itemName: 'Tomato', qty: 1, substitutedQty: 2 },
+                { itemName: 'Roma Tomato', qty: 2, substitutionFor: { itemId: 'tomato', itemName: 'Tomato' } },
+            ],
+        }]);
+        expect(records.map(r => [r.itemName, r.qty])).toEqual([['Tomato', 3]]);
+    });
+
+    test('falls back to pickupDate', () => {
+        const [record] = flattenOrderRecords([{ status: 'fulfilled', pickupDate: '2026-02-19', items: [{ itemName: 'Tomato', qty: 1 }] }]);
+        expect(record.date).toBe('2026-02-19');
+    });
+});
+
+describe('forecastCore — buildRestaurantForecast', () => {
+    test('returns nothing without records', () => {
+        expect(buildRestaurantForecast([], 'r1')).toEqual([]);
+    });
+
+    test('sorts High confidence lines before Medium', () => {
+        const lines = buildAllDocuments()['oruma-takeout'].data.forecastLines;
+        expect(lines.map(l => l.confidence)).toEqual(['High', 'High', 'Medium']);
+    });
+
+    test('correction profiles key on catalogItemId before itemId', () => {
+        const profiles = computeCorrectionProfiles([
+            { catalogItemId: 'cat-1', itemId: 'tomato', deltaQty: 2 },
+            { catalogItemId: 'cat-1', itemId: 'tomato-2', deltaQty: 2 },
+            { itemId: 'tomato', deltaQty: 2 },
+        ]);
+        expect(profiles['cat-1'].historyCount).toBe(2);
+        expect(profiles.tomato.historyCount).toBe(1);
+    });
+});
+
+describe('forecastCore — getForecastWeekStart', () => {
+    test.each([
+        ['2026-03-04T18:00:00', '2026-03-09'], // Wednesday → next Monday
+        ['2026-03-08T12:00:00', '2026-03-09'], // Sunday → tomorrow
+        ['2026-03-09T12:00:00', '2026-03-16'], // Monday → following Monday
+    ])('%s → %s', (now, expected) => {
+        expect(getForecastWeekStart(new Date(now))).toBe(expected);
+    });
+});
+
+// ── Engine configuration ─────────────────────────────────────────────────────
+
+describe('forecastCore — forecast config', () => {
+    const records = flattenOrderRecords(input.orders);
+    const allRestaurants = getRestaurantList(records);
+    const linesFor = (restaurantId, rawConfig) =>
+        buildRestaurantForecast(records, restaurantId, allRestaurants, {}, { config: normalizeForecastConfig(rawConfig) });
+    const byName = (lines) => Object.fromEntries(lines.map(l => [l.itemName, l]));
+
+    test('an empty config reproduces the default engine', () => {
+        expect(linesFor('oruma-takeout', {})).toEqual(buildRestaurantForecast(records, 'oruma-takeout', allRestaurants));
+    });
+
+    test('normalizes, clamps and drops unknown keys', () => {
+        const cfg = normalizeForecastConfig({ configVersion: 7, minAppearances: 12.4, recentMedianWeight: -1, spikeCapMultiplier: 'abc', foo: 1 });
+        expect(cfg.configVersion).toBe(7);
+        expect(cfg.minAppearances).toBe(8);
+        expect(cfg.recentMedianWeight).toBe(0);
+        expect(cfg.spikeCapMultiplier).toBe(1.5);
+        expect(cfg.foo).toBeUndefined();
+    });
+
+    test('keeps the built-in Packaging split unless that category is overridden', () => {
+        const cfg = normalizeForecastConfig({ categoryOverrides: { Produce: { safetyBufferPercent: 0.1 } } });
+        expect(resolveForecastSettings(cfg, { category: 'Packaging' }).defaultMondaySplit).toBe(0.5);
+        expect(resolveForecastSettings(cfg, { category: 'Produce' }).safetyBufferPercent).toBe(0.1);
+    });
+
+    test('restaurant overrides win over category overrides', () => {
+        const cfg = normalizeForecastConfig({
+            categoryOverrides: { Produce: { defaultMondaySplit: 0.7, defaultThursdaySplit: 0.3 } },
+            restaurantOverrides: { r1: { defaultMondaySplit: 0.2, defaultThursdaySplit: 0.8 } },
+        });
+        expect(resolveForecastSettings(cfg, { restaurantId: 'r1', category: 'Produce' }).defaultMondaySplit).toBe(0.2);
+        expect(resolveForecastSettings(cfg, { restaurantId: 'r2', category: 'Produce' }).defaultMondaySplit).toBe(0.7);
+    });
+
+    test('applies the safety buffer before the day split and records it', () => {
+        const tomato = byName(linesFor('oruma-takeout', { safetyBufferPercent: 0.15 })).Tomato;
+        // baseline 14 × 1.15 = 16.1 → 17 packs
+        expect(tomato.safetyBufferQty).toBe(3);
+        expect(tomato.rawPrediction).toBe(17);
+        expect(tomato.mondayQty + tomato.thursdayQty).toBe(17);
+    });
+
+    test('uses the configured Monday/Thursday split', () => {
+        const tomato = byName(linesFor('oruma-takeout', { defaultMondaySplit: 0.4, defaultThursdaySplit: 0.6 })).Tomato;
+        expect(tomato.mondayQty).toBe(6);
+        expect(tomato.thursdayQty).toBe(8);
+    });
+
+    test('uses the configured blend weight and spike cap', () => {
+        // medians for Tomato: median_4 = 17.5, median_8 = 16
+        const allRecent = byName(linesFor('oruma-takeout', { recentMedianWeight: 1, spikeCapMultiplier: 2 })).Tomato;
+        expect(allRecent.globalForecast).toBe(18);
+        const tightCap = byName(linesFor('oruma-takeout', { spikeCapMultiplier: 1 })).Tomato;
+        expect(tightCap.globalForecast).toBe(16);
+    });
+
+    test('minAppearances can be raised per category', () => {
+        const lines = byName(linesFor('oruma-takeout', { categoryOverrides: { Packaging: { minAppearances: 8 } } }));
+        expect(lines['16oz Cups']).toBeUndefined();
+        expect(lines.Tomato).toBeDefined();
+    });
+
+    test('stamps the config version on the forecast document', () => {
+        const { data } = buildForecastDocument({
+            records, restaurantId: 'oruma-takeout', allRestaurants, weekStart: WEEK_START,
+            config: normalizeForecastConfig({ configVersion: 4 }),
+        });
+        expect(data.configVersion).toBe(4);
+    });
+
+    test('applySafetyBuffer ignores float noise', () => {
+        expect(applySafetyBuffer(20, 0.1)).toBe(22);
+        expect(applySafetyBuffer(20, 0)).toBe(20);
+    });
+});
+
+// ── Festival uplifts ─────────────────────────────────────────────────────────
+
+describe('forecastCore — festival uplifts', () => {
+    const records = flattenOrderRecords(input.orders);
+    const allRestaurants = getRestaurantList(records);
+    const linesFor = (festivalEvents, weekStart = WEEK_START) =>
+        Object.fromEntries(
+            buildRestaurantForecast(records, 'oruma-takeout', allRestaurants, {}, { festivalEvents, weekStart })
+                .map(l => [l.itemName, l])
+        );
+    const event = (overrides) => ({
+        id: 'evt', eventName: 'Onam Week', startDate: '2026-03-12', endDate: '2026-03-15', isActive: true,
+        upliftRules: [{ targetType: 'category', targetValue: 'Produce', percent: 15 }],
+        ...overrides,
+    });
+
+    test('only active events overlapping the delivery week apply', () => {
+        const weekEvents = getEventsForWeek(input.festivalEvents, WEEK_START);
+        expect(weekEvents.map(e => e.id)).toEqual(['holi-2026', 'onam-2026']);
+    });
+
+    test('events touching either end of the week count as overlapping', () => {
+        expect(getEventsForWeek([event({ startDate: '2026-03-01', endDate: '2026-03-09' })], WEEK_START)).toHaveLength(1);
+        expect(getEventsForWeek([event({ startDate: '2026-03-15', endDate: '2026-03-20' })], WEEK_START)).toHaveLength(1);
+        expect(getEventsForWeek([event({ startDate: '2026-03-16', endDate: '2026-03-20' })], WEEK_START)).toHaveLength(0);
+    });
+
+    test('applies a category rule and records the event on the line', () => {
+        const tomato = linesFor([event()]).Tomato;
+        // baseline 14 × 1.15 = 16.1 → 17 packs
+        expect(tomato.seasonalUplifts).toEqual([
+            { eventId: 'evt', eventName: 'Onam Week', percent: 15, ruleType: 'category', qtyDelta: 3 },
+        ]);
+        expect(tomato.seasonalUpliftQty).toBe(3);
+        expect(tomato.rawPrediction).toBe(17);
+        expect(tomato.mondayQty + tomato.thursdayQty).toBe(17);
+    });
+
+    test('item rules match name or catalogItemId and win over the category rule', () => {
+        const rules = [
+            { targetType: 'category', targetValue: 'produce', percent: 5 },
+            { targetType: 'item', targetValue: 'TOMATO', percent: 20 },
+        ];
+        expect(matchFestivalUplifts([event({ upliftRules: rules })], { itemId: 'tomato', itemName: 'Tomato', category: 'Produce' }))
+            .toEqual([{ eventId: 'evt', eventName: 'Onam Week', percent: 20, ruleType: 'item' }]);
+        expect(matchFestivalUplifts([event({ upliftRules: rules })], { itemId: 'okra', itemName: 'Okra', category: 'Produce' }))
+            .toEqual([{ eventId: 'evt', eventName: 'Onam Week', percent: 5, ruleType: 'category' }]);
+    });
+
+    test('leaves other categories and weeks untouched', () => {
+        const lines = linesFor([event()]);
+        expect(lines['16oz Cups'].seasonalUplifts).toEqual([]);
+        expect(linesFor([event()], '2026-03-16').Tomato.seasonalUpliftQty).toBe(0);
+        expect(linesFor([event()], '2026-03-16')).toEqual(linesFor([]));
+    });
+
+    test('stacked events compound and round once', () => {
+        const { qty, uplifts } = applyFestivalUplifts(3, [{ percent: 10 }, { percent: 15 }]);
+        // 3 × 1.1 × 1.15 = 3.795 → 4
+        expect(qty).toBe(4);
+        expect(uplifts.map(u => u.qtyDelta)).toEqual([1, 0]);
+    });
+
+    test('negative uplifts never go below zero', () => {
+        expect(applyFestivalUplifts(4, [{ percent: -150 }]).qty).toBe(0);
+    });
+
+    test('uplift is applied before the safety buffer', () => {
+        const tomato = Object.fromEntries(
+            buildRestaurantForecast(records, 'oruma-takeout', allRestaurants, {}, {
+                config: normalizeForecastConfig({ safetyBufferPercent: 0.1 }),
+                festivalEvents: [event()],
+                weekStart: WEEK_START,
+            }).map(l => [l.itemName, l])
+        ).Tomato;
+        // 14 → 17 (festival) → 18.7 → 19 (buffer)
+        expect(tomato.seasonalUpliftQty).toBe(3);
+        expect(tomato.safetyBufferQty).toBe(2);
+        expect(tomato.rawPrediction).toBe(19);
+    });
+});
+
+// ── Delivery-day split ───────────────────────────────────────────────────────
+
+describe('forecastCore — learned delivery-day split', () => {
+    const thursdayOnly = input.orders.map(o => (o.restaurantId === 'oruma-takeout' ? { ...o, deliveryDay: 'Thursday' } : o));
+    const records = flattenOrderRecords(thursdayOnly);
+    const allRestaurants = getRestaurantList(records);
+    const linesFor = (rawConfig) => Object.fromEntries(
+        buildRestaurantForecast(records, 'oruma-takeout', allRestaurants, {}, { config: normalizeForecastConfig(rawConfig) })
+            .map(l => [l.itemName, l])
+    );
+
+    test('reads the route from deliveryDay, else the delivered weekday', () => {
+        expect(getOrderDeliveryDay({ deliveryDay: 'Thursday', deliveredAt: '2026-03-02T10:00:00.000Z' })).toBe('Thursday');
+        expect(getOrderDeliveryDay({ deliveredAt: '2026-03-03T10:00:00.000Z' })).toBe('Monday'); // Tuesday
+        expect(getOrderDeliveryDay({ deliveredAt: '2026-03-06T10:00:00.000Z' })).toBe('Thursday'); // Friday
+        expect(getOrderDeliveryDay({ createdAt: '2026-03-02T10:00:00.000Z' })).toBe('');
+    });
+
+    test("a restaurant's own pattern replaces the configured split", () => {
+        const tomato = linesFor({}).Tomato;
+        expect(tomato.deliverySplit).toMatchObject({ mondayShare: 0, source: 'item' });
+        expect(tomato.deliverySplit.samples).toBeGreaterThanOrEqual(4);
+        expect(tomato.mondayQty).toBe(0);
+        expect(tomato.thursdayQty).toBe(tomato.rawPrediction);
+    });
+
+    test('minSplitSamples 0 turns learning off', () => {
+        const tomato = linesFor({ minSplitSamples: 0 }).Tomato;
+        expect(tomato.deliverySplit).toEqual({ mondayShare: 0.6, shares: { Monday: 0.6, Thursday: 0.4 }, source: 'default', samples: tomato.deliverySplit.samples });
+        expect(tomato.mondayQty).toBe(Math.round(tomato.rawPrediction * 0.6));
+    });
+
+    test('falls back to the category, then the configured split', () => {
+        const learned = {
+            items: { okra: { mondayShare: 1, shares: { Monday: 1, Thursday: 0 }, samples: 2 } },
+            categories: { Produce: { mondayShare: 0.25, shares: { Monday: 0.25, Thursday: 0.75 }, samples: 6 } },
+        };
+        const settings = { defaultMondaySplit: 0.6, defaultThursdaySplit: 0.4, minSplitSamples: 4 };
+        expect(resolveDeliverySplit(learned, { itemId: 'okra', category: 'Produce' }, settings))
+            .toEqual({ mondayShare: 0.25, shares: { Monday: 0.25, Thursday: 0.75 }, samples: 6, source: 'category' });
+        expect(resolveDeliverySplit(learned, { itemId: 'okra', category: 'Dairy' }, settings))
+            .toEqual({ mondayShare: 0.6, shares: { Monday: 0.6, Thursday: 0.4 }, samples: 2, source: 'default' });
+    });
+});
+
+describe('forecastCore — delivery schedules', () => {
+    const records = flattenOrderRecords(input.orders);
+    const allRestaurants = getRestaurantList(records);
+    const linesFor = (options) => Object.fromEntries(
+        buildRestaurantForecast(records, 'oruma-takeout', allRestaurants, {}, options).map(l => [l.itemName, l])
+    );
+
+    test('a schedule other than Monday / Thursday is split evenly across its days', () => {
+        const tomato = linesFor({ deliveryDays: ['fri', 'Tuesday', 'Wednesday'], config: normalizeForecastConfig({ minSplitSamples: 0 }) }).Tomato;
+        expect(Object.keys(tomato.dayQtys)).toEqual(['Tuesday', 'Wednesday', 'Friday']);
+        expect(Object.values(tomato.dayQtys).reduce((s, q) => s + q, 0)).toBe(tomato.rawPrediction);
+        expect(Math.max(...Object.values(tomato.dayQtys)) - Math.min(...Object.values(tomato.dayQtys))).toBeLessThanOrEqual(1);
+        expect(tomato).toMatchObject({ mondayQty: 0, thursdayQty: 0 });
+    });
+
+    test('learned splits map delivered weekdays onto the schedule', () => {
+        const tuesdays = flattenOrderRecords(input.orders.map(o => (o.restaurantId === 'oruma-takeout' ? { ...o, deliveryDay: 'Wednesday' } : o)));
+        const tomato = Object.fromEntries(
+            buildRestaurantForecast(tuesdays, 'oruma-takeout', allRestaurants, {}, { deliveryDays: ['Tuesday', 'Friday'] }).map(l => [l.itemName, l])
+        ).Tomato;
+        expect(tomato.deliverySplit).toMatchObject({ shares: { Tuesday: 1, Friday: 0 }, source: 'item' });
+        expect(tomato.dayQtys).toEqual({ Tuesday: tomato.rawPrediction, Friday: 0 });
+    });
+
+    test('the document records the restaurant schedule and per-day totals', () => {
+        const { data } = buildForecastDocument({
+            records, restaurantId: 'oruma-takeout', allRestaurants, weekStart: WEEK_START,
+            restaurantProfiles: { 'oruma-takeout': { deliveryDays: ['Saturday', 'Tue'] } },
+        });
+        expect(data.deliveryDays).toEqual(['Tuesday', 'Saturday']);
+        expect(Object.values(data.summary.totalsByDay).reduce((s, q) => s + q, 0))
+            .toBe(data.forecastLines.reduce((s, l) => s + l.rawPrediction, 0));
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * forecastDiff.js
+ *
+ * Compares a proposed forecast document (from a dry run of the engine) with
+ * the `suggestedOrderAIForcast_Model` document restaurants currently see, so
+ * an admin can review what publishing would change.
+ *
+ * Pure — used by functions/suggestedForecastJob.js and the React pages.
+ */
+
+const lineQty = (line) => line.predictedQty || 0;
+
+/**
+ * Line-level diff keyed by line id (catalogItemId, else name slug).
+ *
+ * @param {Array} currentLines — forecastLines currently published
+ * @param {Array} proposedLines — forecastLines from the new run
+ * @returns {{ added: Array, removed: Array, changed: Array, unchangedCount: number }}
+ */
+export function diffForecastLines(currentLines = [], proposedLines = []) {
+    const currentById = {};
+    currentLines.forEach(l => { currentById[l.id] = l; });
+    const proposedIds = new Set(proposedLines.map(l => l.id));
+
+    const added = [];
+    const changed = [];
+    let unchangedCount = 0;
+
+    proposedLines.forEach(l => {
+        const before = currentById[l.id];
+        if (!before) {
+            added.push({ id: l.id, itemName: l.itemName, category: l.category, toQty: lineQty(l) });
+        } else if (lineQty(before) !== lineQty(l)) {
+            changed.push({ id: l.id, itemName: l.itemName, category: l.category, fromQty: lineQty(before), toQty: lineQty(l), deltaQty: lineQty(l) - lineQty(before) });
+        } else {
+            unchangedCount++;
+        }
+    });
+
+    const removed = currentLines
+        .filter(l => !proposedIds.has(l.id))
+        .map(l => ({ id: l.id, itemName: l.itemName, category: l.category, fromQty: lineQty(l) }));
+
+    const byName = (a, b) => a.itemName.localeCompare(b.itemName);
+    return { added: added.sort(byName), removed: removed.sort(byName), changed: changed.sort(byName), unchangedCount };
+}
+
+/**
+ * Restaurant-level diff of a proposed forecast document against the stored one.
+ *
+ * @param {Object|null} current — stored document data, null if none for the week
+ * @param {Object} proposed — buildForecastDocument().data
+ * @returns {{ restaurantId, isNew, statusBefore, statusAfter, packsBefore, packsAfter, packDelta, added, removed, changed, unchangedCount, hasChanges }}
+ */
+export function diffForecastDocument(current, proposed) {
+    const lines = diffForecastLines(current?.forecastLines || [], proposed.forecastLines || []);
+    const packsBefore = current?.summary?.totalPacks || 0;
+    const packsAfter = proposed.summary?.totalPacks || 0;
+    const statusBefore = current?.status || null;
+
+    return {
+        restaurantId: proposed.restaurantId,
+        isNew: !current,
+        statusBefore,
+        statusAfter: proposed.status,
+        packsBefore,
+        packsAfter,
+        packDelta: packsAfter - packsBefore,
+        ...lines,
+        hasChanges: !current || statusBefore !== proposed.status
+            || lines.added.length > 0 || lines.removed.length > 0 || lines.changed.length > 0,
+    };
+}
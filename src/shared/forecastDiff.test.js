@@ -0,0 +1,47 @@
+// src/shared/forecastDiff.test.js
+//
+// Unit tests for dry-run forecast diffs.
+// Run with: npm test -- --watchAll=false --testPathPattern=forecastDiff
+//
+import { diffForecastLines, diffForecastDocument } from './forecastDiff';
+
+const line = (id, predictedQty, itemName = id) => ({ id, itemName, category: 'Produce', predictedQty });
+const doc = (forecastLines, status = 'ready') => ({
+    restaurantId: 'oruma-takeout',
+    status,
+    forecastLines,
+    summary: { totalPacks: forecastLines.reduce((s, l) => s + l.predictedQty, 0) },
+});
+
+describe('forecastDiff — diffForecastLines', () => {
+    test('reports added, removed and changed lines by id', () => {
+        const diff = diffForecastLines(
+            [line('tomato', 10, 'Tomato'), line('onion', 4, 'Onion'), line('mint', 1, 'Mint')],
+            [line('tomato', 12, 'Tomato'), line('onion', 4, 'Onion'), line('cat-cups', 2, '16oz Cups')]
+        );
+        expect(diff.added).toEqual([{ id: 'cat-cups', itemName: '16oz Cups', category: 'Produce', toQty: 2 }]);
+        expect(diff.removed).toEqual([{ id: 'mint', itemName: 'Mint', category: 'Produce', fromQty: 1 }]);
+        expect(diff.changed).toEqual([{ id: 'tomato', itemName: 'Tomato', category: 'Produce', fromQty: 10, toQty: 12, deltaQty: 2 }]);
+        expect(diff.unchangedCount).toBe(1);
+    });
+});
+
+describe('forecastDiff — diffForecastDocument', () => {
+    test('a restaurant with no stored forecast is new', () => {
+        const diff = diffForecastDocument(null, doc([line('tomato', 5)]));
+        expect(diff).toMatchObject({ isNew: true, statusBefore: null, packsBefore: 0, packsAfter: 5, packDelta: 5, hasChanges: true });
+        expect(diff.added).toHaveLength(1);
+    });
+
+    test('identical forecasts have no changes', () => {
+        const lines = [line('tomato', 5), line('onion', 3)];
+        const diff = diffForecastDocument(doc(lines), doc(lines));
+        expect(diff.hasChanges).toBe(false);
+        expect(diff.packDelta).toBe(0);
+    });
+
+    test('a status change alone counts as a change', () => {
+        const diff = diffForecastDocument(doc([], 'ready'), doc([], 'insufficient_data'));
+        expect(diff.hasChanges).toBe(true);
+    });
+});
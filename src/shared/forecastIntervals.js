@@ -0,0 +1,122 @@
+/**
+ * forecastIntervals.js
+ *
+ * Prediction intervals and service-level targets for forecast lines.
+ *
+ * The band is built from the item's historical dispersion: the P10 and P90 of
+ * its last-8-cycle order quantities (cycles it was ordered in), taken relative
+ * to their median and applied to the line's point forecast. P50 is the point
+ * forecast itself (after festival uplifts, before the safety buffer and
+ * learned corrections).
+ *
+ * A service level picks the quantile of that band the order is sized to —
+ * lean Produce at P50, safe Packaging at P90 — and replaces the flat safety
+ * buffer for the items it applies to. Items with no service level keep the
+ * safety buffer.
+ *
+ * Pure — used by buildRestaurantForecast() in forecastCore.js and by
+ * SuggestedOrderReview to flag edits outside the band.
+ */
+
+import { getMedian } from './forecastModels.js';
+
+// Fewer observations than this give no band (the spread would be noise)
+export const MIN_BAND_OBSERVATIONS = 3;
+
+/**
+ * Service-level targets, each sizing the order to one quantile of the band.
+ */
+export const SERVICE_LEVELS = {
+    lean: { label: 'Lean (P50)', quantile: 0.5, hint: 'Order the expected quantity — for perishables where leftovers spoil.' },
+    balanced: { label: 'Balanced (P75)', quantile: 0.75, hint: 'Cover three weeks in four.' },
+    safe: { label: 'Safe (P90)', quantile: 0.9, hint: 'Cover nine weeks in ten — for shelf-stable items where a stockout hurts.' },
+};
+
+/**
+ * Quantile of a list by linear interpolation between closest ranks.
+ */
+export function getQuantile(values, q) {
+    if (!values || values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * P10/P50/P90 band around a point forecast.
+ *
+ * @param {Array<number>} observations — the item's non-zero cycle quantities (last 8 cycles)
+ * @param {number} pointQty — point forecast for the restaurant
+ * @returns {{ p10: number, p50: number, p90: number }|null} null with too little history
+ */
+export function computePredictionBand(observations, pointQty) {
+    const values = (observations || []).filter(q => q > 0);
+    if (values.length < MIN_BAND_OBSERVATIONS || !(pointQty > 0)) return null;
+
+    const median = getMedian(values);
+    const ratios = values.map(q => q / median);
+    return {
+        p10: Math.max(0, Math.floor(Number((pointQty * getQuantile(ratios, 0.1)).toFixed(6)))),
+        p50: pointQty,
+        p90: Math.ceil(Number((pointQty * getQuantile(ratios, 0.9)).toFixed(6))),
+    };
+}
+
+/**
+ * Quantity at quantile q of a band, interpolating between P10, P50 and P90
+ * and rounded up to whole packs.
+ */
+export function quantileFromBand(band, q) {
+    if (!band) return 0;
+    const value = q <= 0.5
+        ? band.p10 + (band.p50 - band.p10) * (q - 0.1) / 0.4
+        : band.p50 + (band.p90 - band.p50) * (q - 0.5) / 0.4;
+    return Math.ceil(Number(value.toFixed(6)));
+}
+
+/**
+ * Service level for one item. Precedence (first wins): item (by line id, then
+ * catalogItemId) → category → global `serviceLevel`. Null means none is set.
+ */
+export function resolveServiceLevel(config, { itemId, catalogItemId, category } = {}) {
+    const items = config?.itemServiceLevels || {};
+    return items[itemId]
+        || (catalogItemId && items[catalogItemId])
+        || config?.categoryServiceLevels?.[category]
+        || config?.serviceLevel
+        || null;
+}
+
+/**
+ * Whether a quantity falls outside a line's plausible band.
+ *
+ * @returns {'below'|'above'|null} null when inside the band or there is no band
+ */
+export function classifyAgainstBand(qty, band) {
+    if (!band) return null;
+    if (qty < band.p10) return 'below';
+    if (qty > band.p90) return 'above';
+    return null;
+}
+
+function sanitizeLevelMap(raw) {
+    const clean = {};
+    Object.entries(raw || {}).forEach(([key, level]) => {
+        if (key && SERVICE_LEVELS[level]) clean[key] = level;
+    });
+    return clean;
+}
+
+/**
+ * Service-level fields of a raw `forecastConfig/global` document, dropping
+ * unknown levels.
+ */
+export function normalizeServiceLevels(raw) {
+    return {
+        serviceLevel: SERVICE_LEVELS[raw?.serviceLevel] ? raw.serviceLevel : null,
+        categoryServiceLevels: sanitizeLevelMap(raw?.categoryServiceLevels),
+        itemServiceLevels: sanitizeLevelMap(raw?.itemServiceLevels),
+    };
+}
@@ -0,0 +1,79 @@
+// src/shared/forecastIntervals.test.js
+//
+// Unit tests for prediction bands and service-level targets.
+// Run with: npm test -- --watchAll=false --testPathPattern=forecastIntervals
+//
+import {
+    computePredictionBand,
+    quantileFromBand,
+    resolveServiceLevel,
+    classifyAgainstBand,
+    normalizeServiceLevels,
+} from './forecastIntervals';
+import { flattenOrderRecords, getRestaurantList, buildRestaurantForecast, normalizeForecastConfig } from './forecastCore';
+import input from './__fixtures__/forecastInput.json';
+
+describe('forecastIntervals — computePredictionBand', () => {
+    test('scales the history spread around the point forecast', () => {
+        // median 10, P10 ratio 0.68, P90 ratio 1.32
+        expect(computePredictionBand([6, 8, 10, 12, 14], 20)).toEqual({ p10: 13, p50: 20, p90: 27 });
+    });
+
+    test('needs at least three observations', () => {
+        expect(computePredictionBand([5, 0, 7], 6)).toBeNull();
+        expect(computePredictionBand([5, 6, 7], 0)).toBeNull();
+    });
+});
+
+describe('forecastIntervals — service levels', () => {
+    const band = { p10: 4, p50: 10, p90: 18 };
+
+    test('quantileFromBand interpolates and rounds up', () => {
+        expect(quantileFromBand(band, 0.5)).toBe(10);
+        expect(quantileFromBand(band, 0.75)).toBe(15);
+        expect(quantileFromBand(band, 0.9)).toBe(18);
+    });
+
+    test('item beats category beats global', () => {
+        const config = {
+            serviceLevel: 'balanced',
+            categoryServiceLevels: { Produce: 'lean', Packaging: 'safe' },
+            itemServiceLevels: { 'cat-cups': 'lean', tomato: 'safe' },
+        };
+        expect(resolveServiceLevel(config, { itemId: 'tomato', category: 'Produce' })).toBe('safe');
+        expect(resolveServiceLevel(config, { itemId: 'x', catalogItemId: 'cat-cups', category: 'Packaging' })).toBe('lean');
+        expect(resolveServiceLevel(config, { itemId: 'onion', category: 'Produce' })).toBe('lean');
+        expect(resolveServiceLevel(config, { itemId: 'rice', category: 'Dry Goods' })).toBe('balanced');
+        expect(resolveServiceLevel({}, { itemId: 'rice' })).toBeNull();
+    });
+
+    test('normalizeServiceLevels drops unknown levels', () => {
+        expect(normalizeServiceLevels({ serviceLevel: 'max', categoryServiceLevels: { Produce: 'lean', Dairy: 'p99' } }))
+            .toEqual({ serviceLevel: null, categoryServiceLevels: { Produce: 'lean' }, itemServiceLevels: {} });
+    });
+
+    test('a service level replaces the safety buffer in the forecast', () => {
+        const records = flattenOrderRecords(input.orders);
+        const all = getRestaurantList(records);
+        const forecast = (raw) => buildRestaurantForecast(records, 'oruma-takeout', all, {}, { config: normalizeForecastConfig(raw) })
+            .find(l => l.id === 'tomato');
+
+        const buffered = forecast({ safetyBufferPercent: 0.5 });
+        const safe = forecast({ safetyBufferPercent: 0.5, categoryServiceLevels: { Produce: 'safe' } });
+        expect(buffered.serviceLevel).toBeNull();
+        expect(safe.serviceLevel).toBe('safe');
+        expect(safe.rawPrediction).toBe(safe.predictionInterval.p90);
+        expect(safe.safetyBufferQty).toBe(safe.predictionInterval.p90 - safe.predictionInterval.p50);
+    });
+});
+
+describe('forecastIntervals — classifyAgainstBand', () => {
+    test('flags quantities outside P10–P90 only', () => {
+        const band = { p10: 4, p50: 10, p90: 18 };
+        expect(classifyAgainstBand(3, band)).toBe('below');
+        expect(classifyAgainstBand(4, band)).toBeNull();
+        expect(classifyAgainstBand(18, band)).toBeNull();
+        expect(classifyAgainstBand(19, band)).toBe('above');
+        expect(classifyAgainstBand(0, null)).toBeNull();
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * forecastModels.js
+ *
+ * Registry of per-item demand models used by buildRestaurantForecast() in
+ * forecastCore.js. Every model sees the same input — one item's total
+ * quantity per order cycle across all restaurants, newest first, with zeros
+ * for cycles the item was not ordered — and returns the expected quantity for
+ * the next cycle. Allocation to a restaurant, uplifts, buffers, day split and
+ * corrections happen afterwards in the engine, whatever the model.
+ *
+ * To add a model, add an entry to FORECAST_MODELS; it then shows up in the
+ * backtest (forecastBacktest.js) and in the per-category model picker.
+ */
+
+const RECENT_CYCLES = 4;
+const HISTORY_CYCLES = 8;
+
+export function getMedian(arr) {
+    if (arr.length === 0) return 0;
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    if (sorted.length % 2 === 0) return (sorted[mid - 1] + sorted[mid]) / 2;
+    return sorted[mid];
+}
+
+/**
+ * History oldest → newest, starting at the item's first order so cycles before
+ * it was listed do not drag the smoothed level towards zero.
+ */
+function fromFirstOrder(history) {
+    const series = [...history].reverse();
+    const first = series.findIndex(qty => qty > 0);
+    return first === -1 ? [] : series.slice(first);
+}
+
+// ─── Models ───────────────────────────────────────────────────────────────────
+
+/**
+ * Original heuristic: w × median(last 4) + (1 − w) × median(last 8), rounded
+ * up and capped at k × median(last 8). w and k come from forecastConfig.
+ */
+function predictMedianBlend(history, settings) {
+    const median8 = getMedian(history.slice(0, HISTORY_CYCLES));
+    const median4 = getMedian(history.slice(0, RECENT_CYCLES));
+    const blend = (settings.recentMedianWeight * median4) + ((1 - settings.recentMedianWeight) * median8);
+    const predicted = Math.ceil(Number(blend.toFixed(6)));
+
+    const cap = Math.ceil(median8 * settings.spikeCapMultiplier) || 0;
+    return cap > 0 && predicted > cap ? cap : predicted;
+}
+
+/**
+ * Simple exponential smoothing over the full history, oldest to newest.
+ */
+function predictExponentialSmoothing(history, settings, params) {
+    const series = fromFirstOrder(history);
+    if (series.length === 0) return 0;
+    let level = series[0];
+    for (let t = 1; t < series.length; t++) {
+        level = params.alpha * series[t] + (1 - params.alpha) * level;
+    }
+    return level;
+}
+
+/**
+ * Croston's method for intermittent demand: smooths the non-zero order size
+ * and the interval between orders separately; forecast = size ÷ interval.
+ */
+function predictCroston(history, settings, params) {
+    const series = fromFirstOrder(history);
+    if (series.length === 0) return 0;
+    let size = series[0];
+    let interval = null; // seeded from the first observed gap
+    let sinceLast = 1;
+
+    series.slice(1).forEach(qty => {
+        if (qty <= 0) {
+            sinceLast++;
+            return;
+        }
+        size += params.alpha * (qty - size);
+        interval = interval === null ? sinceLast : interval + params.alpha * (sinceLast - interval);
+        sinceLast = 1;
+    });
+
+    // A single order so far: one order in the cycles since it was placed
+    return size / (interval ?? series.length);
+}
+
+/**
+ * Seasonal-naive: repeat the cycle one season ago (falls back to the most
+ * recent cycle when the history is shorter than a season).
+ */
+function predictSeasonalNaive(history, settings, params) {
+    if (history.length === 0) return 0;
+    return history.length >= params.seasonLength ? history[params.seasonLength - 1] : history[0];
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+export const DEFAULT_FORECAST_MODEL = 'median-blend';
+
+export const FORECAST_MODELS = {
+    'median-blend': {
+        id: 'median-blend',
+        label: 'Median Blend',
+        description: 'Blend of the 4- and 8-cycle medians, capped against spikes. Uses the forecastConfig tunables.',
+        defaultParams: {},
+        predict: predictMedianBlend,
+    },
+    'exponential-smoothing': {
+        id: 'exponential-smoothing',
+        label: 'Exponential Smoothing',
+        description: 'Weights recent cycles more heavily; reacts faster to level shifts.',
+        defaultParams: { alpha: 0.3 },
+        predict: predictExponentialSmoothing,
+    },
+    croston: {
+        id: 'croston',
+        label: "Croston's Method",
+        description: 'For intermittent items — smooths order size and order interval separately.',
+        defaultParams: { alpha: 0.1 },
+        predict: predictCroston,
+    },
+    'seasonal-naive': {
+        id: 'seasonal-naive',
+        label: 'Seasonal Naive',
+        description: 'Repeats the quantity from one season (4 cycles) ago.',
+        defaultParams: { seasonLength: 4 },
+        predict: predictSeasonalNaive,
+    },
+};
+
+export function getForecastModel(modelId) {
+    return FORECAST_MODELS[modelId] || FORECAST_MODELS[DEFAULT_FORECAST_MODEL];
+}
+
+/**
+ * Run one model on one item history and round up to whole packs.
+ *
+ * @param {string} modelId
+ * @param {Array<number>} history — per-cycle quantities, newest first
+ * @param {Object} settings — resolved forecast settings (resolveForecastSettings())
+ * @returns {number}
+ */
+export function predictWithModel(modelId, history, settings) {
+    const model = getForecastModel(modelId);
+    const value = model.predict(history, settings, model.defaultParams);
+    if (!Number.isFinite(value) || value <= 0) return 0;
+    return Math.ceil(Number(value.toFixed(6)));
+}
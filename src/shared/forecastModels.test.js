@@ -0,0 +1,82 @@
+// src/shared/forecastModels.test.js
+//
+// Unit tests for the demand model registry and per-category model selection.
+// Run with: npm test -- --watchAll=false --testPathPattern=forecastModels
+//
+import { FORECAST_MODELS, DEFAULT_FORECAST_MODEL, getForecastModel, predictWithModel } from './forecastModels';
+import {
+    flattenOrderRecords,
+    getRestaurantList,
+    buildRestaurantForecast,
+    normalizeForecastConfig,
+    resolveForecastModel,
+    resolveForecastSettings,
+} from './forecastCore';
+import input from './__fixtures__/forecastInput.json';
+
+const settings = resolveForecastSettings(normalizeForecastConfig(null), { category: 'Produce' });
+
+// History is newest first
+describe('forecastModels — predictions', () => {
+    test('median-blend matches the original heuristic', () => {
+        // median_8 = 16, median_4 = 17.5 → 0.3 × 17.5 + 0.7 × 16 = 16.45 → 17
+        expect(predictWithModel('median-blend', [18, 17, 18, 16, 16, 15, 16, 14], settings)).toBe(17);
+    });
+
+    test('median-blend caps spikes at k × median_8', () => {
+        expect(predictWithModel('median-blend', [100, 100, 100, 10, 10, 10, 10, 10], { ...settings, recentMedianWeight: 1 })).toBe(15);
+    });
+
+    test('exponential smoothing starts at the first order', () => {
+        // levels: 10 → 0.5·20 + 0.5·10 = 15 → 0.5·20 + 0.5·15 = 17.5
+        const model = { ...FORECAST_MODELS['exponential-smoothing'], defaultParams: { alpha: 0.5 } };
+        expect(model.predict([20, 20, 10, 0, 0], settings, model.defaultParams)).toBe(17.5);
+    });
+
+    test("Croston divides smoothed size by smoothed interval", () => {
+        // orders of 12 every other cycle → 12 ÷ 2 = 6 per cycle
+        expect(predictWithModel('croston', [0, 12, 0, 12, 0, 12], settings)).toBe(6);
+        // a single order: spread over the cycles since it was placed
+        expect(predictWithModel('croston', [0, 0, 9], settings)).toBe(3);
+    });
+
+    test('seasonal-naive repeats the cycle one season ago', () => {
+        expect(predictWithModel('seasonal-naive', [1, 2, 3, 4, 5], settings)).toBe(4);
+        expect(predictWithModel('seasonal-naive', [7, 2], settings)).toBe(7);
+    });
+
+    test('no history predicts nothing for every model', () => {
+        Object.keys(FORECAST_MODELS).forEach(modelId => {
+            expect(predictWithModel(modelId, [], settings)).toBe(0);
+            expect(predictWithModel(modelId, [0, 0, 0], settings)).toBe(0);
+        });
+    });
+
+    test('unknown model ids fall back to the default', () => {
+        expect(getForecastModel('nope').id).toBe(DEFAULT_FORECAST_MODEL);
+    });
+});
+
+describe('forecastModels — model selection', () => {
+    const records = flattenOrderRecords(input.orders);
+    const allRestaurants = getRestaurantList(records);
+
+    test('config picks a model per category and drops unknown ids', () => {
+        const cfg = normalizeForecastConfig({ defaultModel: 'croston', categoryModels: { Packaging: 'seasonal-naive', Produce: 'bogus' } });
+        expect(resolveForecastModel(cfg, 'Packaging')).toBe('seasonal-naive');
+        expect(resolveForecastModel(cfg, 'Produce')).toBe('croston');
+        expect(normalizeForecastConfig({ defaultModel: 'bogus' }).defaultModel).toBe(DEFAULT_FORECAST_MODEL);
+    });
+
+    test('lines record the model that produced them', () => {
+        const config = normalizeForecastConfig({ categoryModels: { Packaging: 'seasonal-naive' } });
+        const lines = buildRestaurantForecast(records, 'oruma-takeout', allRestaurants, {}, { config });
+        expect(lines.find(l => l.category === 'Packaging').model).toBe('seasonal-naive');
+        expect(lines.find(l => l.category === 'Produce').model).toBe('median-blend');
+    });
+
+    test('options.modelId forces one model for every item', () => {
+        const lines = buildRestaurantForecast(records, 'oruma-takeout', allRestaurants, {}, { modelId: 'croston' });
+        expect(new Set(lines.map(l => l.model))).toEqual(new Set(['croston']));
+    });
+});
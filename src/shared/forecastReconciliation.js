@@ -0,0 +1,202 @@
+/**
+ * forecastReconciliation.js
+ *
+ * Forecast-vs-actual accounting for persisted forecast runs.
+ *
+ * Every engine run (scheduled or manual) stores an immutable snapshot per
+ * restaurant under `forecastRuns/{runId}/snapshots`. Once the delivery week
+ * has passed, reconcileSnapshot() joins each snapshot to the orders actually
+ * delivered that week and the result is written to `forecastAccuracy`.
+ * buildAccuracyTrend() turns those documents into week-over-week trends for
+ * ForecastAccuracyPage.
+ *
+ * Pure — used by functions/forecastSnapshots.js and the React pages.
+ */
+
+import { getForecastWeekEnd, slugifyItemName, getRestaurantList } from './forecastCore.js';
+import { summarizeErrors } from './forecastBacktest.js';
+import { DEFAULT_FORECAST_MODEL } from './forecastModels.js';
+
+// Days after the delivery week ends before it is reconciled, so late
+// deliveries can reach a fulfilled status first (review window is 48h).
+export const RECONCILE_GRACE_DAYS = 2;
+
+// ─── Run Inputs ───────────────────────────────────────────────────────────────
+
+/**
+ * Inputs summary stored on each `forecastRuns` document — enough to explain a
+ * run later without keeping a copy of the order history.
+ *
+ * @param {Object} params
+ * @param {Array}  params.records — flat order records the run trained on
+ * @param {Object} [params.correctionCounts] — { restaurantId → correction rows used }
+ * @param {Array}  [params.festivalEvents] — festival events applied to the week
+ * @param {number} [params.historyWeeks] — weeks of order history requested
+ */
+export function summarizeForecastInputs({ records, correctionCounts = {}, festivalEvents = [], historyWeeks = null }) {
+    const cycles = [...new Set((records || []).map(r => r.date).filter(Boolean))].sort();
+    return {
+        historyWeeks,
+        orderRecords: (records || []).length,
+        restaurants: getRestaurantList(records || []).length,
+        orderCycles: cycles.length,
+        firstCycle: cycles[0] || null,
+        lastCycle: cycles[cycles.length - 1] || null,
+        correctionEntries: Object.values(correctionCounts).reduce((s, n) => s + n, 0),
+        festivalEvents: (festivalEvents || []).map(e => e.eventName || e.id || ''),
+    };
+}
+
+/**
+ * True once `weekStart`'s delivery week (plus the grace period) is over.
+ */
+export function isWeekSettled(weekStart, today) {
+    const settle = new Date(`${getForecastWeekEnd(weekStart)}T00:00:00.000Z`);
+    settle.setUTCDate(settle.getUTCDate() + RECONCILE_GRACE_DAYS);
+    return settle.toISOString().slice(0, 10) < today;
+}
+
+// ─── Reconciliation ───────────────────────────────────────────────────────────
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Join one restaurant's snapshot to the fulfilled orders it had delivered in
+ * the snapshot's delivery week — by `deliveryDate`, else, for orders delivered
+ * before that was stamped, the order date. Orders match a forecast line by catalogItemId,
+ * else by canonical item name; ordered items the forecast missed are kept as
+ * unforecast lines (predictedQty 0).
+ *
+ * @param {{ restaurantId, weekStart, forecastLines }} snapshot
+ * @param {Array} records — flat fulfilled-order records (any restaurants/dates)
+ * @returns {{ lines: Array, metrics: Object }}
+ */
+export function reconcileSnapshot(snapshot, records) {
+    const weekEnd = getForecastWeekEnd(snapshot.weekStart);
+    const forecastLines = snapshot.forecastLines || [];
+
+    const byCatalogId = {};
+    const byName = {};
+    forecastLines.forEach(l => {
+        if (l.catalogItemId) byCatalogId[l.catalogItemId] = l;
+        byName[l.itemName] = l;
+    });
+
+    const actualByKey = {};
+    const unforecast = {};
+    (records || [])
+        .filter(r => {
+            const date = r.deliveryDate || r.date;
+            return r.restaurantId === snapshot.restaurantId && date >= snapshot.weekStart && date <= weekEnd;
+        })
+        .forEach(r => {
+            const line = (r.catalogItemId && byCatalogId[r.catalogItemId]) || byName[r.itemName];
+            const key = line ? line.id : (r.catalogItemId || slugifyItemName(r.itemName));
+            actualByKey[key] = (actualByKey[key] || 0) + r.qty;
+            if (!line && !unforecast[key]) {
+                unforecast[key] = { id: key, catalogItemId: r.catalogItemId || '', itemName: r.itemName, category: r.category || 'Produce' };
+            }
+        });
+
+    const toLine = (base, model, predictedQty) => {
+        const actualQty = actualByKey[base.id] || 0;
+        return {
+            id: base.id,
+            catalogItemId: base.catalogItemId || '',
+            itemName: base.itemName,
+            category: base.category || 'Produce',
+            model,
+            forecast: model !== null,
+            predictedQty,
+            actualQty,
+            errorQty: predictedQty - actualQty,
+            absPctError: actualQty > 0 ? round1((Math.abs(predictedQty - actualQty) / actualQty) * 100) : null,
+        };
+    };
+
+    const lines = [
+        ...forecastLines.map(l => toLine(l, l.model || DEFAULT_FORECAST_MODEL, l.predictedQty || 0)),
+        ...Object.values(unforecast).map(u => toLine(u, null, 0)),
+    ];
+
+    return {
+        lines,
+        metrics: summarizeErrors(lines.map(l => ({ predicted: l.predictedQty, actual: l.actualQty }))),
+    };
+}
+
+// ─── Accuracy Trends ──────────────────────────────────────────────────────────
+
+export const TREND_GROUPS = {
+    restaurant: 'Restaurant',
+    item: 'Item',
+    modelVersion: 'Model Version',
+};
+
+/**
+ * Model version label: demand model + the forecastConfig version it ran with.
+ */
+export function getModelVersion(model, configVersion) {
+    return `${model || DEFAULT_FORECAST_MODEL} · v${configVersion || 0}`;
+}
+
+/**
+ * Keep the most recent run per restaurant and week — a manual re-run
+ * replaces what restaurants saw, so only that run is scored.
+ */
+export function latestRunPerWeek(accuracyDocs) {
+    const latest = {};
+    (accuracyDocs || []).forEach(d => {
+        const key = `${d.restaurantId}_${d.weekStart}`;
+        if (!latest[key] || (d.generatedAt || '') > (latest[key].generatedAt || '')) latest[key] = d;
+    });
+    return Object.values(latest);
+}
+
+/**
+ * Week-over-week accuracy from `forecastAccuracy` documents.
+ *
+ * @param {Array} accuracyDocs — `forecastAccuracy` docs ({ restaurantId, weekStart, configVersion, generatedAt, lines })
+ * @param {'restaurant'|'item'|'modelVersion'} groupBy
+ * @returns {{ weeks: Array<string>, overall: Object, rows: Array<{ key, byWeek, latest, previous, mapeChange }> }}
+ */
+export function buildAccuracyTrend(accuracyDocs, groupBy = 'restaurant') {
+    const docs = latestRunPerWeek(accuracyDocs);
+    const weeks = [...new Set(docs.map(d => d.weekStart))].sort();
+
+    const cells = {};   // groupKey → week → observations
+    const overall = {}; // week → observations
+    docs.forEach(d => {
+        (d.lines || []).forEach(l => {
+            let key;
+            if (groupBy === 'item') key = l.itemName;
+            else if (groupBy === 'modelVersion') key = l.forecast === false ? null : getModelVersion(l.model, d.configVersion);
+            else key = d.restaurantId;
+
+            const obs = { predicted: l.predictedQty, actual: l.actualQty };
+            if (!overall[d.weekStart]) overall[d.weekStart] = [];
+            overall[d.weekStart].push(obs);
+            if (!key) return;
+            if (!cells[key]) cells[key] = {};
+            if (!cells[key][d.weekStart]) cells[key][d.weekStart] = [];
+            cells[key][d.weekStart].push(obs);
+        });
+    });
+
+    const summarizeWeeks = (byWeekObs) => {
+        const byWeek = {};
+        Object.entries(byWeekObs).forEach(([week, obs]) => { byWeek[week] = summarizeErrors(obs); });
+        return byWeek;
+    };
+
+    const rows = Object.entries(cells).map(([key, byWeekObs]) => {
+        const byWeek = summarizeWeeks(byWeekObs);
+        const scored = weeks.filter(w => byWeek[w]);
+        const latest = byWeek[scored[scored.length - 1]] || null;
+        const previous = byWeek[scored[scored.length - 2]] || null;
+        const mapeChange = latest?.mape != null && previous?.mape != null ? round1(latest.mape - previous.mape) : null;
+        return { key, byWeek, latest, previous, mapeChange };
+    }).sort((a, b) => a.key.localeCompare(b.key));
+
+    return { weeks, overall: summarizeWeeks(overall), rows };
+}
@@ -0,0 +1,118 @@
+// src/shared/forecastReconciliation.test.js
+//
+// Unit tests for forecast-vs-actual reconciliation and accuracy trends.
+// Run with: npm test -- --watchAll=false --testPathPattern=forecastReconciliation
+//
+import {
+    summarizeForecastInputs,
+    isWeekSettled,
+    reconcileSnapshot,
+    buildAccuracyTrend,
+    getModelVersion,
+} from './forecastReconciliation';
+import { flattenOrderRecords } from './forecastCore';
+import input from './__fixtures__/forecastInput.json';
+
+const snapshot = {
+    restaurantId: 'oruma-takeout',
+    weekStart: '2026-03-09',
+    forecastLines: [
+        { id: 'cat-tomato', catalogItemId: 'cat-tomato', itemName: 'Tomato', category: 'Produce', model: 'median-blend', predictedQty: 10 },
+        { id: 'onion', catalogItemId: '', itemName: 'Onion', category: 'Produce', model: 'croston', predictedQty: 4 },
+    ],
+};
+
+const record = (overrides) => ({ date: '2026-03-10', restaurantId: 'oruma-takeout', itemName: 'Tomato', catalogItemId: '', qty: 1, category: 'Produce', ...overrides });
+
+describe('forecastReconciliation — reconcileSnapshot', () => {
+    test('joins by catalogItemId, else by item name, within the delivery week', () => {
+        const { lines } = reconcileSnapshot(snapshot, [
+            record({ catalogItemId: 'cat-tomato', itemName: 'Roma Tomato', qty: 6 }),
+            record({ date: '2026-03-12', qty: 2 }),
+            record({ itemName: 'Onion', qty: 5 }),
+            record({ date: '2026-03-16', qty: 50 }),                          // next week
+            record({ restaurantId: 'other', qty: 50 }),                        // other restaurant
+        ]);
+        const tomato = lines.find(l => l.id === 'cat-tomato');
+        expect(tomato).toMatchObject({ predictedQty: 10, actualQty: 8, errorQty: 2, absPctError: 25, forecast: true });
+        expect(lines.find(l => l.id === 'onion')).toMatchObject({ model: 'croston', actualQty: 5, errorQty: -1 });
+    });
+
+    test('counts an order toward the week it was delivered in, not the week it was placed', () => {
+        const { lines } = reconcileSnapshot(snapshot, [
+            record({ date: '2026-03-05', deliveryDate: '2026-03-09', qty: 7 }), // placed the week before
+            record({ date: '2026-03-13', deliveryDate: '2026-03-16', qty: 50 }), // delivered the week after
+            record({ qty: 1 }),                                                 // no delivery date — order date
+        ]);
+        expect(lines.find(l => l.id === 'cat-tomato')).toMatchObject({ actualQty: 8 });
+    });
+
+    test('keeps ordered items the forecast missed as unforecast lines', () => {
+        const { lines, metrics } = reconcileSnapshot(snapshot, [record({ itemName: 'Curry Leaves', qty: 3 })]);
+        const missed = lines.find(l => l.itemName === 'Curry Leaves');
+        expect(missed).toMatchObject({ id: 'curry-leaves', model: null, forecast: false, predictedQty: 0, actualQty: 3 });
+        expect(metrics.stockoutQty).toBe(3);
+        expect(metrics.overageQty).toBe(14);
+    });
+});
+
+describe('forecastReconciliation — isWeekSettled', () => {
+    test.each([
+        ['2026-03-16', false], // week ends Sunday 15th
+        ['2026-03-17', false], // grace day 2
+        ['2026-03-18', true],
+    ])('week of 2026-03-09 on %s → %s', (today, expected) => {
+        expect(isWeekSettled('2026-03-09', today)).toBe(expected);
+    });
+});
+
+describe('forecastReconciliation — summarizeForecastInputs', () => {
+    test('describes the history a run trained on', () => {
+        const records = flattenOrderRecords(input.orders);
+        const summary = summarizeForecastInputs({
+            records,
+            correctionCounts: { a: 2, b: 3 },
+            festivalEvents: [{ id: 'holi-2026', eventName: 'Holi' }],
+            historyWeeks: 12,
+        });
+        expect(summary.orderRecords).toBe(records.length);
+        expect(summary.correctionEntries).toBe(5);
+        expect(summary.festivalEvents).toEqual(['Holi']);
+        expect(summary.firstCycle <= summary.lastCycle).toBe(true);
+    });
+});
+
+describe('forecastReconciliation — buildAccuracyTrend', () => {
+    const doc = (weekStart, generatedAt, predictedQty, actualQty, extra = {}) => ({
+        restaurantId: 'oruma-takeout',
+        weekStart,
+        generatedAt,
+        configVersion: 2,
+        lines: [{ itemName: 'Tomato', model: 'median-blend', forecast: true, predictedQty, actualQty }],
+        ...extra,
+    });
+
+    test('scores only the latest run per restaurant and week', () => {
+        const trend = buildAccuracyTrend([
+            doc('2026-03-02', '2026-02-25T23:00:00.000Z', 20, 10), // replaced by the manual re-run
+            doc('2026-03-02', '2026-02-26T10:00:00.000Z', 12, 10),
+            doc('2026-03-09', '2026-03-04T23:00:00.000Z', 10, 10),
+        ]);
+        expect(trend.weeks).toEqual(['2026-03-02', '2026-03-09']);
+        expect(trend.rows[0]).toMatchObject({ key: 'oruma-takeout', mapeChange: -20 });
+        expect(trend.overall['2026-03-02'].mape).toBe(20);
+    });
+
+    test('groups by model version and leaves unforecast lines out', () => {
+        const trend = buildAccuracyTrend([
+            doc('2026-03-09', 'x', 10, 10, {
+                lines: [
+                    { itemName: 'Tomato', model: 'median-blend', forecast: true, predictedQty: 10, actualQty: 10 },
+                    { itemName: 'Mint', model: null, forecast: false, predictedQty: 0, actualQty: 2 },
+                ],
+            }),
+        ], 'modelVersion');
+        expect(trend.rows.map(r => r.key)).toEqual([getModelVersion('median-blend', 2)]);
+        expect(trend.overall['2026-03-09'].observations).toBe(2);
+    });
+});
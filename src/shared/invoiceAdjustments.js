@@ -0,0 +1,338 @@
+/**
+ * invoiceAdjustments.js
+ *
+ * Credit and debit notes against an order's invoice pair.
+ *
+ *   invoiceAdjustments/{adjustmentId}   — one numbered note (CN-… / DN-…)
+ *
+ * Invoices are never edited after creation. A correction — new quantity
+ * and/or price on one or more lines — is recorded as a note holding the
+ * per-line deltas for both sides: what the restaurant is billed (subtotal,
+ * tax, total) and what the vendor is paid (gross, commission, payout, tax).
+ * Lines taxed by component (taxEngine.js) carry a delta per component, so
+ * notes report GST/HST/PST/QST the same way as the invoice they correct.
+ * The current state of a line is the original line plus every applied note
+ * in chain order, and every balance shown in the app (invoice net balance,
+ * vendor payout, restaurant statement) is the original total plus the sum of
+ * the applied notes.
+ *
+ * Pure — used by functions/invoiceAdjustments.js and the invoice pages.
+ */
+
+import { summarizeTaxLines } from './taxEngine.js';
+
+/** Selectable correction reasons. */
+export const ADJUSTMENT_REASONS = {
+    quantity_correction: 'Quantity correction',
+    price_correction: 'Price correction',
+    short_delivery: 'Short delivery',
+    damaged_goods: 'Damaged goods',
+    returned_goods: 'Returned goods',
+    other: 'Other',
+};
+
+/** Adjustment statuses that count towards balances. */
+export const APPLIED_ADJUSTMENT_STATUSES = ['applied'];
+
+export const DEFAULT_COMMISSION_PERCENT = 10;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+export function isAppliedAdjustment(adjustment) {
+    return !!adjustment && APPLIED_ADJUSTMENT_STATUSES.includes(adjustment.status);
+}
+
+/** Applied adjustments in the order they were issued. */
+export function sortAdjustmentChain(adjustments = []) {
+    return adjustments
+        .filter(isAppliedAdjustment)
+        .sort((a, b) => (a.chainIndex || 0) - (b.chainIndex || 0));
+}
+
+/**
+ * Tax rate (%) of an invoice. Older invoices have no `taxRate`; derive it from
+ * a taxable line instead.
+ */
+export function getInvoiceTaxRate(invoice) {
+    if (invoice?.taxRate != null && Number.isFinite(Number(invoice.taxRate))) return Number(invoice.taxRate);
+    const line = (invoice?.items || []).find(i => i.isTaxable && Number(i.lineTotalVendor ?? i.lineTotal) > 0);
+    if (!line) return 0;
+    return round2((Number(line.lineTax) || 0) / Number(line.lineTotalVendor ?? line.lineTotal) * 100);
+}
+
+/**
+ * Current state of each invoice line after the applied notes.
+ *
+ * @param {Object} invoice — vendor or restaurant invoice
+ * @param {Array}  [adjustments] — notes for this invoice pair
+ * @param {number} [commissionPercent] — for lines without their own rate
+ * @returns {Array<{ index, itemId, itemName, unit, isTaxable, taxCategory, taxes, qty, price, lineSubtotal, lineTax, commissionPercent, lineCommission, originalQty, originalPrice, adjusted }>}
+ */
+export function getEffectiveLines(invoice, adjustments = [], commissionPercent = DEFAULT_COMMISSION_PERCENT) {
+    const lines = (invoice?.items || []).map((item, index) => {
+        const qty = Number(item.qty) || 0;
+        const price = Number(item.price ?? item.vendorPrice) || 0;
+        const lineSubtotal = round2(item.lineTotalVendor ?? item.lineTotal ?? qty * price);
+        const linePercent = Number(item.commissionPercent ?? commissionPercent);
+        return {
+            index,
+            itemId: item.itemId || null,
+            itemName: item.itemName || 'Unknown',
+            unit: item.unit || 'unit',
+            isTaxable: !!item.isTaxable,
+            taxCategory: item.taxCategory || null,
+            // Per-component tax; null on invoices from before the tax engine
+            taxes: Array.isArray(item.taxes) ? item.taxes.map(t => ({ ...t })) : null,
+            qty,
+            price,
+            lineSubtotal,
+            lineTax: round2(item.lineTax),
+            commissionPercent: linePercent,
+            lineCommission: round2(item.lineCommission ?? lineSubtotal * linePercent / 100),
+            originalQty: qty,
+            originalPrice: price,
+            adjusted: false,
+        };
+    });
+
+    sortAdjustmentChain(adjustments).forEach(adj => {
+        (adj.lines || []).forEach(change => {
+            const line = lines[change.index];
+            if (!line) return;
+            line.qty = Number(change.toQty);
+            line.price = Number(change.toPrice);
+            line.lineSubtotal = round2(line.lineSubtotal + change.subtotalDelta);
+            line.lineTax = round2(line.lineTax + change.taxDelta);
+            (change.taxDeltas || []).forEach(delta => {
+                const tax = line.taxes?.find(t => t.code === delta.code);
+                if (tax) tax.amount = round2(tax.amount + delta.amount);
+            });
+            line.lineCommission = round2(line.lineCommission + change.commissionDelta);
+            line.adjusted = true;
+        });
+    });
+    return lines;
+}
+
+/**
+ * Build a credit or debit note from line corrections.
+ *
+ * Each correction sets a new quantity and/or unit price on one line of the
+ * invoice as it stands after earlier notes. The note type follows the sign of
+ * the total: less billed → credit note, more billed → debit note.
+ *
+ * @param {Object} params
+ * @param {Object} params.invoice — the invoice the correction was entered on
+ * @param {Array}  [params.adjustments] — existing notes for the invoice pair
+ * @param {Array<{ index: number, qty?: number, price?: number }>} params.corrections
+ * @param {string} params.reason — key of ADJUSTMENT_REASONS
+ * @param {string} [params.notes]
+ * @param {number} [params.commissionPercent] — from the vendor invoice; lines priced at
+ *        their own rate (commission rules) keep it
+ * @returns {{ adjustment: Object|null, error: string|null }}
+ */
+export function buildInvoiceAdjustment({ invoice, adjustments = [], corrections = [], reason, notes = '', commissionPercent = DEFAULT_COMMISSION_PERCENT }) {
+    const fail = (error) => ({ adjustment: null, error });
+
+    if (!ADJUSTMENT_REASONS[reason]) return fail(`Unknown reason "${reason}".`);
+    if (reason === 'other' && !String(notes).trim()) return fail('Describe the correction when the reason is "Other".');
+    if (!Array.isArray(corrections) || corrections.length === 0) return fail('Select at least one line to correct.');
+
+    const current = getEffectiveLines(invoice, adjustments, commissionPercent);
+    const taxRate = getInvoiceTaxRate(invoice);
+    const seen = new Set();
+    const lines = [];
+
+    for (const correction of corrections) {
+        const line = current[correction.index];
+        if (!line) return fail(`Line ${correction.index + 1} does not exist on this invoice.`);
+        if (seen.has(correction.index)) return fail(`Line ${correction.index + 1} is corrected twice.`);
+        seen.add(correction.index);
+
+        const toQty = correction.qty === undefined || correction.qty === '' ? line.qty : Number(correction.qty);
+        const toPrice = correction.price === undefined || correction.price === '' ? line.price : Number(correction.price);
+        if (!Number.isFinite(toQty) || toQty < 0) return fail(`${line.itemName}: quantity must be zero or more.`);
+        if (!Number.isFinite(toPrice) || toPrice < 0) return fail(`${line.itemName}: price must be zero or more.`);
+        if (toQty === line.qty && toPrice === line.price) continue;
+
+        const toSubtotal = round2(toQty * toPrice);
+        const subtotalDelta = round2(toSubtotal - line.lineSubtotal);
+        const taxDeltas = line.taxes
+            ? line.taxes.map(t => ({ code: t.code, label: t.label, rate: t.rate, amount: round2(round2(toSubtotal * t.rate / 100) - t.amount) }))
+            : null;
+        const taxDelta = taxDeltas
+            ? round2(taxDeltas.reduce((s, t) => s + t.amount, 0))
+            : line.isTaxable ? round2(round2(toSubtotal * taxRate / 100) - line.lineTax) : 0;
+        const commissionDelta = round2(round2(toSubtotal * line.commissionPercent / 100) - line.lineCommission);
+        lines.push({
+            index: line.index,
+            itemId: line.itemId,
+            itemName: line.itemName,
+            unit: line.unit,
+            isTaxable: line.isTaxable,
+            ...(taxDeltas ? { taxCategory: line.taxCategory, taxDeltas } : {}),
+            fromQty: line.qty,
+            toQty,
+            fromPrice: line.price,
+            toPrice,
+            subtotalDelta,
+            taxDelta,
+            commissionDelta,
+            vendorPayoutDelta: round2(subtotalDelta - commissionDelta),
+        });
+    }
+    if (lines.length === 0) return fail('The corrections do not change any line.');
+
+    const sum = (key) => round2(lines.reduce((s, l) => s + l[key], 0));
+    const subtotal = sum('subtotalDelta');
+    const tax = sum('taxDelta');
+    const total = round2(subtotal + tax);
+    if (total === 0) return fail('The corrections do not change the invoice total.');
+
+    const commission = sum('commissionDelta');
+    return {
+        adjustment: {
+            noteType: total < 0 ? 'credit_note' : 'debit_note',
+            reason,
+            notes: String(notes).trim(),
+            lines,
+            restaurant: { subtotal, tax, total },
+            vendor: { gross: subtotal, commission, payout: sum('vendorPayoutDelta'), tax },
+            taxRate,
+            ...(lines.some(l => l.taxDeltas) ? { taxLines: summarizeTaxLines(lines.map(l => ({ subtotalDelta: l.subtotalDelta, taxes: l.taxDeltas }))) } : {}),
+            commissionPercent,
+            // Signed note total billed to the restaurant (negative = credit)
+            adjustmentAmount: total,
+        },
+        error: null,
+    };
+}
+
+/**
+ * Original totals, applied notes and resulting net balance of an invoice.
+ *
+ * @param {Object} invoice
+ * @param {Array}  [adjustments] — notes for this invoice pair
+ * @param {'restaurant'|'vendor'} side
+ */
+export function summarizeInvoiceBalance(invoice, adjustments = [], side = 'restaurant') {
+    const chain = sortAdjustmentChain(adjustments);
+    const credits = chain.filter(a => a.noteType === 'credit_note');
+    const debits = chain.filter(a => a.noteType === 'debit_note');
+    const total = (list, pick) => round2(list.reduce((s, a) => s + (Number(pick(a)) || 0), 0));
+
+    if (side === 'vendor') {
+        const gross = Number(invoice?.grossVendorAmount ?? invoice?.subtotalVendorAmount) || 0;
+        const commission = Number(invoice?.commissionAmount) || 0;
+        const payout = Number(invoice?.netVendorPayable ?? gross - commission) || 0;
+        const tax = Number(invoice?.totalTaxAmount) || 0;
+        return {
+            adjustmentCount: chain.length,
+            originalGross: round2(gross),
+            originalCommission: round2(commission),
+            originalPayout: round2(payout),
+            originalTax: round2(tax),
+            creditTotal: total(credits, a => a.vendor?.payout),
+            debitTotal: total(debits, a => a.vendor?.payout),
+            netGross: round2(gross + total(chain, a => a.vendor?.gross)),
+            netCommission: round2(commission + total(chain, a => a.vendor?.commission)),
+            netPayout: round2(payout + total(chain, a => a.vendor?.payout)),
+            netTax: round2(tax + total(chain, a => a.vendor?.tax)),
+        };
+    }
+
+    const subtotal = Number(invoice?.subtotal) || 0;
+    const tax = Number(invoice?.totalTax) || 0;
+    const grandTotal = Number(invoice?.grandTotal) || 0;
+    return {
+        adjustmentCount: chain.length,
+        originalSubtotal: round2(subtotal),
+        originalTax: round2(tax),
+        originalTotal: round2(grandTotal),
+        creditTotal: total(credits, a => a.restaurant?.total),
+        debitTotal: total(debits, a => a.restaurant?.total),
+        netSubtotal: round2(subtotal + total(chain, a => a.restaurant?.subtotal)),
+        netTax: round2(tax + total(chain, a => a.restaurant?.tax)),
+        netTotal: round2(grandTotal + total(chain, a => a.restaurant?.total)),
+    };
+}
+
+/**
+ * Group notes by the invoice they belong to.
+ *
+ * @param {Array} adjustments
+ * @param {'restaurant'|'vendor'} side — key by `restaurantInvoiceId` or `vendorInvoiceId`
+ * @returns {Object<string, Array>}
+ */
+export function groupAdjustmentsByInvoice(adjustments = [], side = 'restaurant') {
+    const key = side === 'vendor' ? 'vendorInvoiceId' : 'restaurantInvoiceId';
+    return adjustments.reduce((acc, adj) => {
+        const id = adj[key] || (side === 'vendor' ? adj.originalInvoiceId : null);
+        if (!id) return acc;
+        (acc[id] = acc[id] || []).push(adj);
+        return acc;
+    }, {});
+}
+
+/**
+ * Shape a note like an invoice so generateInvoicePDF() can render it.
+ *
+ * @param {Object} adjustment — `invoiceAdjustments` doc ({ id, ...data })
+ * @param {Object} invoice — the original invoice on the same side
+ * @param {'restaurant'|'vendor'} side
+ */
+export function toNoteDocument(adjustment, invoice, side = 'restaurant') {
+    const items = (adjustment.lines || []).map(line => {
+        const qtyChanged = line.toQty !== line.fromQty;
+        const priceChanged = line.toPrice !== line.fromPrice;
+        const change = [
+            qtyChanged && `qty ${line.fromQty} → ${line.toQty}`,
+            priceChanged && `$${Number(line.fromPrice).toFixed(2)} → $${Number(line.toPrice).toFixed(2)}`,
+        ].filter(Boolean).join(', ');
+        return {
+            itemName: `${line.itemName} (${change})`,
+            unit: line.unit,
+            qty: qtyChanged ? round2(line.toQty - line.fromQty) : line.toQty,
+            price: line.toPrice,
+            vendorPrice: line.toPrice,
+            lineTotal: line.subtotalDelta,
+            lineTotalVendor: line.subtotalDelta,
+            isTaxable: line.isTaxable,
+            taxes: line.taxDeltas || null,
+            lineTax: line.taxDelta,
+        };
+    });
+
+    const common = {
+        documentType: adjustment.noteType,
+        invoiceNumber: adjustment.noteNumber,
+        originalInvoiceNumber: invoice?.invoiceNumber || adjustment.originalInvoiceNumber || '',
+        invoiceDate: adjustment.createdAt,
+        dueDate: null,
+        orderId: adjustment.orderId || invoice?.orderId,
+        orderGroupId: invoice?.orderGroupId,
+        restaurantId: invoice?.restaurantId,
+        vendorName: invoice?.vendorName,
+        reasonLabel: ADJUSTMENT_REASONS[adjustment.reason] || adjustment.reason,
+        notes: adjustment.notes || '',
+        taxLines: adjustment.taxLines || null,
+        items,
+    };
+    if (side === 'vendor') {
+        return {
+            ...common,
+            commissionModel: 'VENDOR_FLAT_PERCENT',
+            commissionPercent: adjustment.commissionPercent,
+            subtotalVendorAmount: adjustment.vendor?.gross || 0,
+            commissionAmount: adjustment.vendor?.commission || 0,
+            netVendorPayable: adjustment.vendor?.payout || 0,
+            totalTaxAmount: adjustment.vendor?.tax || 0,
+        };
+    }
+    return {
+        ...common,
+        subtotal: adjustment.restaurant?.subtotal || 0,
+        totalTax: adjustment.restaurant?.tax || 0,
+        grandTotal: adjustment.restaurant?.total || 0,
+    };
+}
@@ -0,0 +1,170 @@
+// src/shared/invoiceAdjustments.test.js
+//
+// Unit tests for credit/debit notes and the balances derived from the chain.
+// Run with: npm test -- --watchAll=false --testPathPattern=invoiceAdjustments
+//
+import {
+    buildInvoiceAdjustment,
+    getEffectiveLines,
+    summarizeInvoiceBalance,
+    groupAdjustmentsByInvoice,
+    toNoteDocument,
+} from './invoiceAdjustments';
+
+// 10 × $5.00 taxable (13%) + 4 × $2.50 exempt, 10% commission
+const vendorInvoice = {
+    invoiceNumber: 'INV-V-2026-000010',
+    orderId: 'order1',
+    taxRate: 13,
+    commissionPercent: 10,
+    grossVendorAmount: 60,
+    commissionAmount: 6,
+    netVendorPayable: 54,
+    totalTaxAmount: 6.5,
+    items: [
+        { itemId: 'tomato', itemName: 'Tomatoes', unit: 'kg', qty: 10, vendorPrice: 5, lineTotalVendor: 50, isTaxable: true, lineTax: 6.5, lineCommission: 5 },
+        { itemId: 'onion', itemName: 'Onions', unit: 'kg', qty: 4, vendorPrice: 2.5, lineTotalVendor: 10, isTaxable: false, lineTax: 0, lineCommission: 1 },
+    ],
+};
+
+const restaurantInvoice = { invoiceNumber: 'INV-C-2026-000010', subtotal: 60, totalTax: 6.5, grandTotal: 66.5 };
+
+const applied = (adjustment, chainIndex, extra = {}) => ({ ...adjustment, chainIndex, status: 'applied', ...extra });
+
+describe('invoiceAdjustments — buildInvoiceAdjustment', () => {
+    test('a quantity reduction is a credit note with tax and commission deltas', () => {
+        const { adjustment, error } = buildInvoiceAdjustment({
+            invoice: vendorInvoice,
+            corrections: [{ index: 0, qty: 8 }],
+            reason: 'short_delivery',
+            commissionPercent: 10,
+        });
+        expect(error).toBeNull();
+        expect(adjustment.noteType).toBe('credit_note');
+        expect(adjustment.lines).toEqual([expect.objectContaining({
+            index: 0, fromQty: 10, toQty: 8, fromPrice: 5, toPrice: 5,
+            subtotalDelta: -10, taxDelta: -1.3, commissionDelta: -1, vendorPayoutDelta: -9,
+        })]);
+        expect(adjustment.restaurant).toEqual({ subtotal: -10, tax: -1.3, total: -11.3 });
+        expect(adjustment.vendor).toEqual({ gross: -10, commission: -1, payout: -9, tax: -1.3 });
+        expect(adjustment.adjustmentAmount).toBe(-11.3);
+    });
+
+    test('lines priced by a commission rule keep their own rate', () => {
+        const ruled = { ...vendorInvoice, items: vendorInvoice.items.map((item, i) => (i === 1 ? { ...item, commissionPercent: 4, lineCommission: 0.4 } : item)) };
+        const { adjustment } = buildInvoiceAdjustment({ invoice: ruled, corrections: [{ index: 1, qty: 2 }], reason: 'short_delivery', commissionPercent: 9 });
+        expect(adjustment.lines[0]).toMatchObject({ subtotalDelta: -5, commissionDelta: -0.2, vendorPayoutDelta: -4.8 });
+    });
+
+    test('a second correction applies on top of the existing chain', () => {
+        const first = buildInvoiceAdjustment({ invoice: vendorInvoice, corrections: [{ index: 0, qty: 8 }], reason: 'short_delivery' }).adjustment;
+        const chain = [applied(first, 1)];
+
+        expect(getEffectiveLines(vendorInvoice, chain)[0]).toMatchObject({ qty: 8, lineSubtotal: 40, lineTax: 5.2, lineCommission: 4, originalQty: 10, adjusted: true });
+
+        const { adjustment } = buildInvoiceAdjustment({ invoice: vendorInvoice, adjustments: chain, corrections: [{ index: 0, price: 4.5 }], reason: 'price_correction' });
+        expect(adjustment.lines[0]).toMatchObject({ fromQty: 8, toQty: 8, fromPrice: 5, toPrice: 4.5, subtotalDelta: -4, taxDelta: -0.52 });
+    });
+
+    test('a price increase on an exempt line is a debit note without tax', () => {
+        const { adjustment } = buildInvoiceAdjustment({ invoice: vendorInvoice, corrections: [{ index: 1, price: 3 }], reason: 'price_correction' });
+        expect(adjustment.noteType).toBe('debit_note');
+        expect(adjustment.restaurant).toEqual({ subtotal: 2, tax: 0, total: 2 });
+        expect(adjustment.vendor.payout).toBe(1.8);
+    });
+
+    test('lines taxed by component get a delta per component', () => {
+        const taxes = [{ code: 'GST', label: 'GST', rate: 5, amount: 2.5 }, { code: 'QST', label: 'QST', rate: 9.975, amount: 4.99 }];
+        const quebec = { ...vendorInvoice, taxRate: 14.975, items: [{ ...vendorInvoice.items[0], taxCategory: 'standard', taxes, lineTax: 7.49 }, vendorInvoice.items[1]] };
+        const { adjustment } = buildInvoiceAdjustment({ invoice: quebec, corrections: [{ index: 0, qty: 8 }], reason: 'short_delivery' });
+
+        expect(adjustment.lines[0].taxDeltas).toEqual([
+            { code: 'GST', label: 'GST', rate: 5, amount: -0.5 },
+            { code: 'QST', label: 'QST', rate: 9.975, amount: -1 },
+        ]);
+        expect(adjustment.restaurant.tax).toBe(-1.5);
+        expect(adjustment.taxLines).toEqual([
+            { code: 'GST', label: 'GST', rate: 5, taxableAmount: -10, amount: -0.5 },
+            { code: 'QST', label: 'QST', rate: 9.975, taxableAmount: -10, amount: -1 },
+        ]);
+        expect(getEffectiveLines(quebec, [applied(adjustment, 1)])[0].taxes.map(t => t.amount)).toEqual([2, 3.99]);
+    });
+
+    test('rejects invalid corrections', () => {
+        const build = (params) => buildInvoiceAdjustment({ invoice: vendorInvoice, reason: 'quantity_correction', ...params }).error;
+        expect(build({ reason: 'typo', corrections: [{ index: 0, qty: 1 }] })).toMatch(/Unknown reason/);
+        expect(build({ reason: 'other', corrections: [{ index: 0, qty: 1 }] })).toMatch(/Describe the correction/);
+        expect(build({ corrections: [] })).toMatch(/at least one line/);
+        expect(build({ corrections: [{ index: 5, qty: 1 }] })).toMatch(/Line 6 does not exist/);
+        expect(build({ corrections: [{ index: 0, qty: 1 }, { index: 0, qty: 2 }] })).toMatch(/corrected twice/);
+        expect(build({ corrections: [{ index: 0, qty: -1 }] })).toMatch(/quantity must be zero or more/);
+        expect(build({ corrections: [{ index: 0, qty: 10 }] })).toMatch(/do not change any line/);
+    });
+});
+
+describe('invoiceAdjustments — balances', () => {
+    const credit = buildInvoiceAdjustment({ invoice: vendorInvoice, corrections: [{ index: 0, qty: 8 }], reason: 'short_delivery' }).adjustment;
+    const debit = buildInvoiceAdjustment({ invoice: vendorInvoice, corrections: [{ index: 1, price: 3 }], reason: 'price_correction' }).adjustment;
+    const chain = [
+        applied(credit, 1, { vendorInvoiceId: 'order1', restaurantInvoiceId: 'order1' }),
+        applied(debit, 2, { vendorInvoiceId: 'order1', restaurantInvoiceId: 'order1' }),
+        applied(debit, 3, { vendorInvoiceId: 'order1', restaurantInvoiceId: 'order1', status: 'void' }),
+    ];
+
+    test('restaurant net balance is the original total plus applied notes', () => {
+        expect(summarizeInvoiceBalance(restaurantInvoice, chain, 'restaurant')).toEqual({
+            adjustmentCount: 2,
+            originalSubtotal: 60,
+            originalTax: 6.5,
+            originalTotal: 66.5,
+            creditTotal: -11.3,
+            debitTotal: 2,
+            netSubtotal: 52,
+            netTax: 5.2,
+            netTotal: 57.2,
+        });
+    });
+
+    test('vendor payout is the original payout plus applied notes', () => {
+        expect(summarizeInvoiceBalance(vendorInvoice, chain, 'vendor')).toMatchObject({
+            adjustmentCount: 2,
+            originalPayout: 54,
+            creditTotal: -9,
+            debitTotal: 1.8,
+            netGross: 52,
+            netCommission: 5.2,
+            netPayout: 46.8,
+            netTax: 5.2,
+        });
+        expect(summarizeInvoiceBalance(vendorInvoice, [], 'vendor').netPayout).toBe(54);
+    });
+
+    test('groups notes by invoice, falling back to the legacy vendor link', () => {
+        const legacy = { id: 'old', originalInvoiceId: 'order9', status: 'applied' };
+        expect(Object.keys(groupAdjustmentsByInvoice([...chain, legacy], 'vendor'))).toEqual(['order1', 'order9']);
+        expect(Object.keys(groupAdjustmentsByInvoice([...chain, legacy], 'restaurant'))).toEqual(['order1']);
+    });
+});
+
+describe('invoiceAdjustments — toNoteDocument', () => {
+    test('shapes a note for the PDF on each side', () => {
+        const { adjustment } = buildInvoiceAdjustment({ invoice: vendorInvoice, corrections: [{ index: 0, qty: 8 }], reason: 'short_delivery' });
+        const note = { id: 'adj1', ...adjustment, noteNumber: 'CN-2026-000001', orderId: 'order1' };
+
+        const restaurantDoc = toNoteDocument(note, restaurantInvoice, 'restaurant');
+        expect(restaurantDoc).toMatchObject({
+            documentType: 'credit_note',
+            invoiceNumber: 'CN-2026-000001',
+            originalInvoiceNumber: 'INV-C-2026-000010',
+            reasonLabel: 'Short delivery',
+            grandTotal: -11.3,
+        });
+        expect(restaurantDoc.items[0]).toMatchObject({ itemName: 'Tomatoes (qty 10 → 8)', qty: -2, lineTotal: -10, lineTax: -1.3 });
+
+        expect(toNoteDocument(note, vendorInvoice, 'vendor')).toMatchObject({
+            originalInvoiceNumber: 'INV-V-2026-000010',
+            netVendorPayable: -9,
+            commissionAmount: -1,
+        });
+    });
+});
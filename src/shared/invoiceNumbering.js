@@ -0,0 +1,165 @@
+/**
+ * invoiceNumbering.js
+ *
+ * Sequential, gap-free invoice numbers — one series per invoice type and
+ * fiscal year.
+ *
+ *   invoiceCounters/{series}_{fiscalYear}   — { lastNumber } for that series
+ *
+ *   vendor      → INV-V-2026-000001, INV-V-2026-000002, …
+ *   restaurant  → INV-C-2026-000001, …
+ *   credit_note → CN-2026-000001, …   (invoiceAdjustments.js)
+ *   debit_note  → DN-2026-000001, …
+ *
+ * A number is taken by incrementing the counter in the same transaction that
+ * creates the invoice, so a number is only consumed when its invoice is
+ * committed: no gaps from failed writes, no collisions between concurrent
+ * writers. auditInvoiceSequence() is the proof — every number from 1 to the
+ * counter's lastNumber must be used by exactly one invoice.
+ *
+ * Pure — used by functions/invoiceGeneration.js, functions/invoiceAdjustments.js
+ * and functions/invoiceNumbering.js.
+ */
+
+/** Numbering series, keyed by the `invoiceSeries` stored on each invoice. */
+export const INVOICE_SERIES = {
+    vendor: { prefix: 'INV-V', collection: 'vendorInvoices', label: 'Vendor invoices' },
+    restaurant: { prefix: 'INV-C', collection: 'restaurantInvoices', label: 'Restaurant invoices' },
+    credit_note: { prefix: 'CN', collection: 'invoiceAdjustments', label: 'Credit notes' },
+    debit_note: { prefix: 'DN', collection: 'invoiceAdjustments', label: 'Debit notes' },
+};
+
+/** First month (1–12) of the fiscal year. January → fiscal year = calendar year. */
+export const FISCAL_YEAR_START_MONTH = 1;
+
+/** Time zone the books are kept in — decides which fiscal year a late-evening invoice lands in. */
+export const BUSINESS_TIME_ZONE = 'America/Toronto';
+
+const SEQUENCE_DIGITS = 6;
+
+/**
+ * Fiscal year an invoice date belongs to, labelled by the calendar year the
+ * fiscal year ends in (FY starting April 2026 → 2027).
+ *
+ * @param {Date} [date]
+ * @param {Object} [options]
+ * @param {number} [options.startMonth=FISCAL_YEAR_START_MONTH]
+ * @param {string} [options.timeZone=BUSINESS_TIME_ZONE]
+ * @returns {number}
+ */
+export function getFiscalYear(date = new Date(), { startMonth = FISCAL_YEAR_START_MONTH, timeZone = BUSINESS_TIME_ZONE } = {}) {
+    const parts = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: 'numeric' }).formatToParts(date);
+    const year = Number(parts.find(p => p.type === 'year').value);
+    const month = Number(parts.find(p => p.type === 'month').value);
+    return startMonth > 1 && month >= startMonth ? year + 1 : year;
+}
+
+function assertSeries(series) {
+    if (!INVOICE_SERIES[series]) throw new Error(`Unknown invoice series "${series}"`);
+}
+
+/** Counter document ID for a series and fiscal year, e.g. `vendor_2026`. */
+export function getCounterId(series, fiscalYear) {
+    assertSeries(series);
+    return `${series}_${fiscalYear}`;
+}
+
+/** `INV-V-2026-000042`, `CN-2026-000003` */
+export function formatInvoiceNumber(series, fiscalYear, sequence) {
+    assertSeries(series);
+    if (!Number.isInteger(sequence) || sequence < 1) throw new Error(`Invalid invoice sequence ${sequence}`);
+    return `${INVOICE_SERIES[series].prefix}-${fiscalYear}-${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * Parse a sequential invoice number. Returns null for anything else —
+ * including the older date/random-based numbers, which belong to no series.
+ *
+ * @returns {{ series: string, fiscalYear: number, sequence: number }|null}
+ */
+export function parseInvoiceNumber(invoiceNumber) {
+    const match = /^([A-Z]+(?:-[A-Z])?)-(\d{4})-(\d{6,})$/.exec(String(invoiceNumber || ''));
+    if (!match) return null;
+    const series = Object.keys(INVOICE_SERIES).find(s => INVOICE_SERIES[s].prefix === match[1]);
+    if (!series) return null;
+    const sequence = Number(match[3]);
+    return sequence > 0 ? { series, fiscalYear: Number(match[2]), sequence } : null;
+}
+
+/**
+ * Take the next numbers from a counter.
+ *
+ * @param {Object|null} counter — current `invoiceCounters` doc data (null if none yet)
+ * @param {string} series
+ * @param {number} fiscalYear
+ * @param {number} [count=1]
+ * @returns {{ numbers: Array<{ invoiceNumber: string, invoiceSeries: string, fiscalYear: number, invoiceSequence: number }>, counter: Object }}
+ */
+export function allocateInvoiceNumbers(counter, series, fiscalYear, count = 1) {
+    assertSeries(series);
+    const lastNumber = Number(counter?.lastNumber) || 0;
+    const numbers = Array.from({ length: count }, (_, i) => ({
+        invoiceNumber: formatInvoiceNumber(series, fiscalYear, lastNumber + i + 1),
+        invoiceSeries: series,
+        fiscalYear,
+        invoiceSequence: lastNumber + i + 1,
+    }));
+    return {
+        numbers,
+        counter: { series, fiscalYear, lastNumber: lastNumber + count },
+    };
+}
+
+/**
+ * Prove a series has no gaps.
+ *
+ * Every sequence from 1 to the counter's lastNumber must be used by exactly
+ * one invoice, and no invoice may carry a sequence the counter never issued.
+ *
+ * @param {Object} params
+ * @param {string} params.series
+ * @param {number} params.fiscalYear
+ * @param {Object|null} params.counter — `invoiceCounters` doc data
+ * @param {Array<{ id: string, invoiceNumber?: string, invoiceSequence?: number }>} params.invoices
+ *        every invoice with this `invoiceSeries` and `fiscalYear`
+ * @returns {{ series, fiscalYear, lastNumber, invoiceCount, missing: number[], duplicates: Array, beyondCounter: Array, mismatched: Array, gapFree: boolean }}
+ */
+export function auditInvoiceSequence({ series, fiscalYear, counter, invoices = [] }) {
+    const lastNumber = Number(counter?.lastNumber) || 0;
+    const bySequence = new Map();
+    const beyondCounter = [];
+    const mismatched = [];
+
+    invoices.forEach(inv => {
+        const sequence = Number(inv.invoiceSequence);
+        if (!Number.isInteger(sequence) || sequence < 1 || inv.invoiceNumber !== formatInvoiceNumber(series, fiscalYear, sequence)) {
+            mismatched.push({ id: inv.id, invoiceNumber: inv.invoiceNumber || null, invoiceSequence: inv.invoiceSequence ?? null });
+            return;
+        }
+        if (sequence > lastNumber) beyondCounter.push({ id: inv.id, invoiceNumber: inv.invoiceNumber });
+        bySequence.set(sequence, [...(bySequence.get(sequence) || []), inv.id]);
+    });
+
+    const missing = [];
+    for (let seq = 1; seq <= lastNumber; seq++) {
+        if (!bySequence.has(seq)) missing.push(seq);
+    }
+    const duplicates = [...bySequence.entries()]
+        .filter(([, ids]) => ids.length > 1)
+        .map(([sequence, ids]) => ({ invoiceNumber: formatInvoiceNumber(series, fiscalYear, sequence), ids }))
+        .sort((a, b) => a.invoiceNumber.localeCompare(b.invoiceNumber));
+
+    return {
+        series,
+        fiscalYear,
+        lastNumber,
+        firstNumber: lastNumber > 0 ? formatInvoiceNumber(series, fiscalYear, 1) : null,
+        lastInvoiceNumber: lastNumber > 0 ? formatInvoiceNumber(series, fiscalYear, lastNumber) : null,
+        invoiceCount: invoices.length,
+        missing,
+        duplicates,
+        beyondCounter,
+        mismatched,
+        gapFree: missing.length === 0 && duplicates.length === 0 && beyondCounter.length === 0 && mismatched.length === 0,
+    };
+}
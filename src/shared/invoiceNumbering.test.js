@@ -0,0 +1,89 @@
+// src/shared/invoiceNumbering.test.js
+//
+// Unit tests for sequential invoice numbering and the gap report.
+// Run with: npm test -- --watchAll=false --testPathPattern=invoiceNumbering
+//
+import {
+    getFiscalYear,
+    getCounterId,
+    formatInvoiceNumber,
+    parseInvoiceNumber,
+    allocateInvoiceNumbers,
+    auditInvoiceSequence,
+} from './invoiceNumbering';
+
+const invoice = (seq, overrides = {}) => ({
+    id: `order${seq}`,
+    invoiceNumber: formatInvoiceNumber('vendor', 2026, seq),
+    invoiceSequence: seq,
+    ...overrides,
+});
+
+describe('invoiceNumbering — fiscal year and format', () => {
+    test('fiscal year follows the business time zone, not UTC', () => {
+        // 11pm Dec 31 in Toronto is already Jan 1 in UTC
+        expect(getFiscalYear(new Date('2027-01-01T04:00:00.000Z'))).toBe(2026);
+        expect(getFiscalYear(new Date('2027-01-01T06:00:00.000Z'))).toBe(2027);
+        expect(getFiscalYear(new Date('2026-04-15T12:00:00.000Z'), { startMonth: 4 })).toBe(2027);
+        expect(getFiscalYear(new Date('2026-03-15T12:00:00.000Z'), { startMonth: 4 })).toBe(2026);
+    });
+
+    test('formats and parses numbers per series', () => {
+        expect(formatInvoiceNumber('vendor', 2026, 42)).toBe('INV-V-2026-000042');
+        expect(formatInvoiceNumber('restaurant', 2026, 1234567)).toBe('INV-C-2026-1234567');
+        expect(getCounterId('restaurant', 2026)).toBe('restaurant_2026');
+        expect(parseInvoiceNumber('INV-C-2026-000007')).toEqual({ series: 'restaurant', fiscalYear: 2026, sequence: 7 });
+        expect(parseInvoiceNumber('CN-2027-000012')).toEqual({ series: 'credit_note', fiscalYear: 2027, sequence: 12 });
+        expect(parseInvoiceNumber('INV-V-2026-03-12345678')).toBeNull();
+        expect(() => formatInvoiceNumber('credit', 2026, 1)).toThrow(/Unknown invoice series/);
+        expect(() => formatInvoiceNumber('vendor', 2026, 0)).toThrow(/Invalid invoice sequence/);
+    });
+});
+
+describe('invoiceNumbering — allocateInvoiceNumbers', () => {
+    test('starts a new series at 1 and continues from the counter', () => {
+        const first = allocateInvoiceNumbers(null, 'vendor', 2026);
+        expect(first.numbers).toEqual([{ invoiceNumber: 'INV-V-2026-000001', invoiceSeries: 'vendor', fiscalYear: 2026, invoiceSequence: 1 }]);
+        expect(first.counter).toEqual({ series: 'vendor', fiscalYear: 2026, lastNumber: 1 });
+
+        const next = allocateInvoiceNumbers({ lastNumber: 41 }, 'vendor', 2026, 2);
+        expect(next.numbers.map(n => n.invoiceNumber)).toEqual(['INV-V-2026-000042', 'INV-V-2026-000043']);
+        expect(next.counter.lastNumber).toBe(43);
+    });
+});
+
+describe('invoiceNumbering — auditInvoiceSequence', () => {
+    test('a contiguous series matching its counter is gap-free', () => {
+        const report = auditInvoiceSequence({ series: 'vendor', fiscalYear: 2026, counter: { lastNumber: 3 }, invoices: [invoice(2), invoice(1), invoice(3)] });
+        expect(report).toMatchObject({
+            gapFree: true,
+            lastNumber: 3,
+            invoiceCount: 3,
+            firstNumber: 'INV-V-2026-000001',
+            lastInvoiceNumber: 'INV-V-2026-000003',
+            missing: [],
+        });
+        expect(auditInvoiceSequence({ series: 'vendor', fiscalYear: 2026, counter: null, invoices: [] }).gapFree).toBe(true);
+    });
+
+    test('reports missing, duplicated, out-of-range and malformed numbers', () => {
+        const report = auditInvoiceSequence({
+            series: 'vendor',
+            fiscalYear: 2026,
+            counter: { lastNumber: 5 },
+            invoices: [
+                invoice(1),
+                invoice(2),
+                invoice(2, { id: 'dup' }),
+                invoice(5),
+                invoice(6),
+                invoice(3, { invoiceNumber: 'INV-V-2025-000003' }),
+            ],
+        });
+        expect(report.gapFree).toBe(false);
+        expect(report.missing).toEqual([3, 4]);
+        expect(report.duplicates).toEqual([{ invoiceNumber: 'INV-V-2026-000002', ids: ['order2', 'dup'] }]);
+        expect(report.beyondCounter).toEqual([{ id: 'order6', invoiceNumber: 'INV-V-2026-000006' }]);
+        expect(report.mismatched).toEqual([{ id: 'order3', invoiceNumber: 'INV-V-2025-000003', invoiceSequence: 3 }]);
+    });
+});
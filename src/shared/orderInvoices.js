@@ -0,0 +1,230 @@
+/**
+ * orderInvoices.js
+ *
+ * Builds the vendor and restaurant invoices for a billable marketplace order.
+ *
+ *   vendorInvoices/{orderId}       — what the platform owes the vendor
+ *   restaurantInvoices/{orderId}   — what the restaurant is billed
+ *
+ * Both documents use the order ID as their document ID, so an order can only
+ * ever have one of each. Line totals, tax and commission are frozen with
+ * buildInvoiceSnapshot() and never recomputed; corrections are recorded as
+ * adjustments against the invoice, not by rewriting it. Each line's
+ * commission rate comes from the commission rules (commissionRules.js) in
+ * effect on the invoice date, and the invoice records which rules priced it.
+ * Tax is split into its components (GST/HST/PST/QST, state sales tax) for
+ * the delivery jurisdiction and each line's tax category (taxEngine.js).
+ *
+ * Pure — used by functions/invoiceGeneration.js (Firestore trigger + backfill).
+ */
+
+import { buildInvoiceSnapshot } from './financialValidation.js';
+import { resolveTaxJurisdiction, getTaxComponents, getCombinedTaxRate } from './taxEngine.js';
+import {
+    getCommissionDate,
+    getVendorCommissionPercent,
+    resolveCommission,
+    getCommissionModel,
+    summarizeCommissionPricing,
+} from './commissionRules.js';
+import { getBilledQty } from './proofOfDelivery.js';
+
+/** Order statuses that produce invoices. */
+export const BILLABLE_ORDER_STATUSES = ['fulfilled'];
+
+export const PAYMENT_TERMS_DAYS = 30;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+export function isBillableOrder(order) {
+    return !!order && BILLABLE_ORDER_STATUSES.includes(order.status);
+}
+
+/**
+ * True when a write moved the order into a billable status (or created it there).
+ *
+ * @param {Object|null} before — order data before the write
+ * @param {Object|null} after — order data after the write
+ */
+export function becameBillable(before, after) {
+    return isBillableOrder(after) && !isBillableOrder(before);
+}
+
+/**
+ * Build both invoices for an order.
+ *
+ * Taxability comes from the order's line snapshot (`item.taxable`); orders
+ * placed before line snapshots existed (no `subtotalBeforeTax`) fall back to
+ * the vendor catalog via `taxableByItemId`. Lines bill the quantity received
+ * on the proof of delivery (`receivedQty`) when one was recorded, else the
+ * quantity ordered; lines with zero quantity — items removed during issue
+ * resolution, substituted in full, or nothing received — are not billed;
+ * accepted substitute lines bill like any other and carry `substitutionFor`.
+ * Line categories, used by category commission rules, likewise fall back to
+ * `categoryByItemId`, and tax categories to `taxCategoryByItemId`. Tax
+ * follows the restaurant's province/state (the vendor's when the restaurant
+ * has none) on the invoice date.
+ *
+ * Invoice numbers are not set here: they are allocated from the sequential
+ * series counters (invoiceNumbering.js) in the transaction that creates them.
+ *
+ * @param {Object} params
+ * @param {Object} params.order — `marketplaceOrders` doc ({ id, ...data })
+ * @param {Object} [params.vendor] — `vendors/{vendorId}` data
+ * @param {Object} [params.restaurant] — `restaurants/{restaurantId}` data, for the billed name and tax jurisdiction
+ * @param {Object} [params.taxableByItemId] — { vendorItemId → taxable } for legacy orders
+ * @param {Object} [params.categoryByItemId] — { vendorItemId → category } for lines without one
+ * @param {Object} [params.taxCategoryByItemId] — { vendorItemId → taxCategory } for lines without one
+ * @param {Array}  [params.commissionRules] — commissionRules docs that could apply (getCandidateRuleIds)
+ * @param {number} [params.monthlyGmv] — vendor GMV already invoiced this month (`commissionVolumes`)
+ * @param {string} [params.source] — 'trigger' | 'backfill'
+ * @param {Date}   [params.now]
+ * @returns {{ vendorInvoice: Object|null, restaurantInvoice: Object|null, skipReason: string|null }}
+ */
+export function buildOrderInvoices({
+    order,
+    vendor = {},
+    restaurant = null,
+    taxableByItemId = null,
+    categoryByItemId = null,
+    taxCategoryByItemId = null,
+    commissionRules = [],
+    monthlyGmv = 0,
+    source = 'trigger',
+    now = new Date(),
+}) {
+    if (!order?.vendorId) return { vendorInvoice: null, restaurantInvoice: null, skipReason: 'Order has no vendorId' };
+
+    const hasSnapshot = order.subtotalBeforeTax !== undefined;
+    const lines = (order.items || [])
+        .filter(item => getBilledQty(item) > 0)
+        .map(item => ({
+            ...item,
+            qty: getBilledQty(item),
+            orderedQty: Number(item.qty ?? item.quantity ?? 1),
+            vendorItemId: item.vendorItemId || item.itemId || null,
+            isTaxable: !hasSnapshot && taxableByItemId && item.itemId in taxableByItemId
+                ? !!taxableByItemId[item.itemId]
+                : !!item.taxable,
+            category: item.category || categoryByItemId?.[item.itemId] || null,
+            taxCategory: item.taxCategory || taxCategoryByItemId?.[item.itemId] || null,
+        }));
+    if (lines.length === 0) return { vendorInvoice: null, restaurantInvoice: null, skipReason: 'Order has no billable lines' };
+
+    const invoiceDate = getCommissionDate(now);
+    const taxJurisdiction = resolveTaxJurisdiction(vendor, restaurant);
+    const taxRatePercent = getCombinedTaxRate(taxJurisdiction, invoiceDate);
+    const taxConfig = { taxRate: taxRatePercent / 100, taxIncluded: false, components: getTaxComponents(taxJurisdiction, invoiceDate) };
+
+    // Volume tiers count this order towards the month's GMV
+    const monthlyGmvWithOrder = round2(monthlyGmv + buildInvoiceSnapshot({ items: lines, taxConfig }).subtotal);
+    const fallbackPercent = getVendorCommissionPercent(vendor);
+    const commissions = lines.map(line => resolveCommission({
+        rules: commissionRules,
+        vendorId: order.vendorId,
+        category: line.category,
+        date: invoiceDate,
+        monthlyGmv: monthlyGmvWithOrder,
+        fallbackPercent,
+    }));
+
+    const snapshot = buildInvoiceSnapshot({
+        restaurantId: order.restaurantId || '',
+        orderId: order.id,
+        items: lines.map((line, i) => ({ ...line, commissionPercent: commissions[i].percent })),
+        taxConfig,
+        commissionPercent: fallbackPercent,
+    });
+    // One rate for the invoice when every line shares it, else the effective rate
+    const commissionPercent = new Set(commissions.map(c => c.percent)).size === 1
+        ? commissions[0].percent
+        : round2(snapshot.subtotal ? snapshot.totalCommission / snapshot.subtotal * 100 : fallbackPercent);
+
+    const shared = {
+        orderId: order.id,
+        orderGroupId: order.orderGroupId || order.id.slice(-8).toUpperCase(),
+        vendorId: order.vendorId,
+        vendorName: order.vendorName || vendor.name || 'Unknown Vendor',
+        restaurantId: order.restaurantId || '',
+        restaurantName: restaurant?.name || restaurant?.restaurantName || order.restaurantName || order.restaurantId || 'Not Specified',
+        dueDate: new Date(now.getTime() + PAYMENT_TERMS_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        paymentStatus: 'PENDING',
+        taxRate: taxRatePercent,
+        taxJurisdiction,
+        taxLines: snapshot.taxLines,
+        // Immutable snapshot — corrections go through adjustments
+        isImmutable: true,
+        version: 1,
+        adjustmentIds: [],
+        snapshotVersion: 1,
+        reconciles: snapshot._reconciles,
+        sourceOrderStatus: order.status,
+        generatedBy: source,
+        adminNotes: `Auto-generated (${hasSnapshot ? 'Snapshot' : 'Dynamic Fallback'})`,
+    };
+
+    const vendorInvoice = {
+        ...shared,
+        subtotalVendorAmount: snapshot.subtotal,
+        totalTaxAmount: snapshot.totalTax,
+        totalVendorAmount: snapshot.grandTotal,
+        grossVendorAmount: snapshot.subtotal,
+        commissionPercent,
+        commissionAmount: snapshot.totalCommission,
+        netVendorPayable: snapshot.totalVendorPayout,
+        commissionModel: getCommissionModel(commissions),
+        commissionPricing: {
+            date: invoiceDate,
+            month: invoiceDate.slice(0, 7),
+            monthlyGmv: monthlyGmvWithOrder,
+            rules: summarizeCommissionPricing(snapshot.items.map((line, i) => ({ ...line, commission: commissions[i] }))),
+        },
+        invoiceStatus: 'generated',
+        payoutLifecycle: 'generated',
+        items: snapshot.items.map((line, i) => ({
+            itemId: lines[i].itemId || null,
+            catalogItemId: line.catalogItemId,
+            itemName: line.itemName,
+            category: line.category,
+            unit: line.unit,
+            qty: line.qty,
+            orderedQty: lines[i].orderedQty,
+            ...(lines[i].substitutionFor && { substitutionFor: lines[i].substitutionFor }),
+            vendorPrice: line.unitPrice,
+            lineTotalVendor: line.lineSubtotal,
+            isTaxable: line.isTaxable,
+            taxCategory: line.taxCategory,
+            taxes: line.taxes,
+            lineTax: line.lineTax,
+            commissionPercent: line.commissionPercent,
+            commissionRuleId: commissions[i].ruleId,
+            commissionRuleVersion: commissions[i].version,
+            lineCommission: line.lineCommission,
+            lineVendorPayout: line.lineVendorPayout,
+        })),
+    };
+
+    const restaurantInvoice = {
+        ...shared,
+        subtotal: snapshot.subtotal,
+        totalTax: snapshot.totalTax,
+        grandTotal: snapshot.grandTotal,
+        items: snapshot.items.map((line, i) => ({
+            itemId: lines[i].itemId || null,
+            catalogItemId: line.catalogItemId,
+            itemName: line.itemName,
+            unit: line.unit,
+            qty: line.qty,
+            orderedQty: lines[i].orderedQty,
+            ...(lines[i].substitutionFor && { substitutionFor: lines[i].substitutionFor }),
+            price: line.unitPrice,
+            lineTotal: line.lineSubtotal,
+            isTaxable: line.isTaxable,
+            taxCategory: line.taxCategory,
+            taxes: line.taxes,
+            lineTax: line.lineTax,
+        })),
+    };
+
+    return { vendorInvoice, restaurantInvoice, skipReason: null };
+}
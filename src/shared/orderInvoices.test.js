@@ -0,0 +1,172 @@
+// src/shared/orderInvoices.test.js
+//
+// Unit tests for building vendor/restaurant invoices from a fulfilled order.
+// Run with: npm test -- --watchAll=false --testPathPattern=orderInvoices
+//
+import {
+    becameBillable,
+    buildOrderInvoices,
+} from './orderInvoices';
+
+const NOW = new Date('2026-03-02T12:00:00.000Z');
+
+const order = {
+    id: 'abcdEFGH12345678',
+    status: 'fulfilled',
+    vendorId: 'v1',
+    vendorName: 'Fresh Farms',
+    restaurantId: 'r1',
+    restaurantName: 'Oruma Takeout',
+    subtotalBeforeTax: 50,
+    items: [
+        { itemId: 'onion', itemName: 'Onion', unit: 'kg', qty: 4, vendorPrice: 5, taxable: false },
+        { itemId: 'box', itemName: 'Takeout Box', unit: 'case', qty: 2, vendorPrice: 15, taxable: true },
+        { itemId: 'okra', itemName: 'Okra', unit: 'kg', qty: 0, vendorPrice: 8, taxable: false },
+    ],
+};
+const vendor = { country: 'Canada', province: 'ON', commissionPercent: 10 };
+
+describe('orderInvoices — billing trigger', () => {
+    test('fires only on the move into a billable status', () => {
+        expect(becameBillable({ status: 'in_review' }, { status: 'fulfilled' })).toBe(true);
+        expect(becameBillable(null, { status: 'fulfilled' })).toBe(true);
+        expect(becameBillable({ status: 'fulfilled' }, { status: 'fulfilled', paymentNote: 'x' })).toBe(false);
+        expect(becameBillable({ status: 'delivery_in_route' }, { status: 'delivered_awaiting_confirmation' })).toBe(false);
+        expect(becameBillable({ status: 'fulfilled' }, null)).toBe(false);
+    });
+});
+
+describe('orderInvoices — buildOrderInvoices', () => {
+    test('freezes line totals, tax and commission for both invoices', () => {
+        const { vendorInvoice, restaurantInvoice, skipReason } = buildOrderInvoices({
+            order, vendor, restaurant: { name: 'Oruma Takeout — Downtown' }, now: NOW,
+        });
+
+        expect(skipReason).toBeNull();
+        expect(vendorInvoice.items.map(i => i.itemId)).toEqual(['onion', 'box']);
+        expect(vendorInvoice).toMatchObject({
+            orderId: order.id,
+            restaurantName: 'Oruma Takeout — Downtown',
+            subtotalVendorAmount: 50,
+            totalTaxAmount: 3.9,
+            totalVendorAmount: 53.9,
+            commissionPercent: 10,
+            commissionAmount: 5,
+            netVendorPayable: 45,
+            taxRate: 13,
+            isImmutable: true,
+            reconciles: true,
+            paymentStatus: 'PENDING',
+            payoutLifecycle: 'generated',
+        });
+        expect(vendorInvoice.items[1]).toMatchObject({ vendorPrice: 15, lineTotalVendor: 30, lineTax: 3.9, lineCommission: 3, lineVendorPayout: 27 });
+
+        expect(vendorInvoice.invoiceNumber).toBeUndefined();
+        expect(restaurantInvoice).toMatchObject({ subtotal: 50, totalTax: 3.9, grandTotal: 53.9 });
+        expect(restaurantInvoice.items[0]).toMatchObject({ price: 5, lineTotal: 20, isTaxable: false, lineTax: 0 });
+        expect(restaurantInvoice.dueDate).toBe('2026-04-01T12:00:00.000Z');
+    });
+
+    test('legacy orders take taxability from the vendor catalog; zero tax rates stay zero', () => {
+        const legacy = { ...order, subtotalBeforeTax: undefined, items: order.items.map(i => ({ ...i, taxable: undefined })) };
+        const { vendorInvoice } = buildOrderInvoices({ order: legacy, vendor, taxableByItemId: { onion: true, box: false }, now: NOW });
+        expect(vendorInvoice.totalTaxAmount).toBe(2.6);
+        expect(vendorInvoice.adminNotes).toMatch(/Dynamic Fallback/);
+
+        const { vendorInvoice: untaxed } = buildOrderInvoices({ order, vendor: { country: 'United States', province: 'OR' }, now: NOW });
+        expect(untaxed.totalTaxAmount).toBe(0);
+        expect(untaxed.commissionPercent).toBe(10);
+    });
+
+    test('commission rules price each line and are recorded on the invoice', () => {
+        const commissionRules = [
+            { id: 'vendor_v1__category_packaging', scope: 'vendor_category', vendorId: 'v1', category: 'Packaging', name: 'Fresh Farms packaging', versions: [{ version: 2, effectiveFrom: '2026-01-01', basePercent: 4, tiers: [] }] },
+            { id: 'vendor_v1', scope: 'vendor', vendorId: 'v1', name: 'Fresh Farms deal', versions: [{ version: 1, effectiveFrom: '2026-01-01', basePercent: 12, tiers: [{ minMonthlyGmv: 1000, percent: 9 }] }] },
+        ];
+        const { vendorInvoice } = buildOrderInvoices({
+            order, vendor, commissionRules, monthlyGmv: 960, categoryByItemId: { onion: 'Produce', box: 'Packaging' }, now: NOW,
+        });
+
+        // $960 already this month + $50 order reaches the $1,000 tier for the vendor rule
+        expect(vendorInvoice.items.map(i => [i.category, i.commissionPercent, i.commissionRuleId, i.lineCommission])).toEqual([
+            ['Produce', 9, 'vendor_v1', 1.8],
+            ['Packaging', 4, 'vendor_v1__category_packaging', 1.2],
+        ]);
+        expect(vendorInvoice).toMatchObject({ commissionModel: 'COMMISSION_RULES', commissionPercent: 6, commissionAmount: 3, netVendorPayable: 47 });
+        expect(vendorInvoice.commissionPricing).toMatchObject({ date: '2026-03-02', month: '2026-03', monthlyGmv: 1010 });
+        expect(vendorInvoice.commissionPricing.rules.map(r => [r.ruleId, r.version, r.percent, r.tierMinMonthlyGmv, r.subtotal])).toEqual([
+            ['vendor_v1__category_packaging', 2, 4, null, 30],
+            ['vendor_v1', 1, 9, 1000, 20],
+        ]);
+
+        const { vendorInvoice: flat } = buildOrderInvoices({ order, vendor, now: NOW });
+        expect(flat.commissionModel).toBe('VENDOR_FLAT_PERCENT');
+        expect(flat.commissionPricing.rules).toEqual([expect.objectContaining({ ruleId: null, percent: 10, subtotal: 50, commission: 5 })]);
+    });
+
+    test('splits tax by component for the restaurant province and the line tax category', () => {
+        const quebec = { ...order, items: [...order.items, { itemId: 'soap', itemName: 'Dish Soap', unit: 'jug', qty: 1, vendorPrice: 20, taxable: true }] };
+        const { vendorInvoice, restaurantInvoice } = buildOrderInvoices({
+            order: quebec, vendor, restaurant: { province: 'QC' }, taxCategoryByItemId: { box: 'federal_only', onion: 'standard' }, now: NOW,
+        });
+
+        expect(restaurantInvoice.taxJurisdiction).toMatchObject({ key: 'CA-QC', basis: 'restaurant' });
+        expect(restaurantInvoice.taxRate).toBe(14.975);
+        // box: GST only; soap: GST + QST; onion is not taxable, so its category is ignored
+        expect(restaurantInvoice.items.map(i => i.taxCategory)).toEqual(['zero_rated', 'federal_only', 'standard']);
+        expect(restaurantInvoice.items[2].taxes).toEqual([
+            { code: 'GST', label: 'GST', rate: 5, amount: 1 },
+            { code: 'QST', label: 'QST', rate: 9.975, amount: 2 },
+        ]);
+        expect(restaurantInvoice.taxLines).toEqual([
+            { code: 'GST', label: 'GST', rate: 5, taxableAmount: 50, amount: 2.5 },
+            { code: 'QST', label: 'QST', rate: 9.975, taxableAmount: 20, amount: 2 },
+        ]);
+        expect(restaurantInvoice.totalTax).toBe(4.5);
+        expect(vendorInvoice.taxLines).toEqual(restaurantInvoice.taxLines);
+
+        // No restaurant province — the vendor's applies
+        const { restaurantInvoice: ontario } = buildOrderInvoices({ order, vendor, now: NOW });
+        expect(ontario.taxJurisdiction).toMatchObject({ key: 'CA-ON', basis: 'vendor' });
+        expect(ontario.taxLines).toEqual([{ code: 'HST', label: 'HST', rate: 13, taxableAmount: 30, amount: 3.9 }]);
+    });
+
+    test('bills the quantities received on the proof of delivery', () => {
+        const received = {
+            ...order,
+            items: [
+                { ...order.items[0], receivedQty: 3, damagedQty: 1 },
+                { ...order.items[1], receivedQty: 0 },
+                order.items[2],
+            ],
+        };
+        const { vendorInvoice, restaurantInvoice } = buildOrderInvoices({ order: received, vendor, now: NOW });
+        expect(vendorInvoice.items).toHaveLength(1);
+        expect(vendorInvoice.items[0]).toMatchObject({ itemId: 'onion', qty: 3, orderedQty: 4, lineTotalVendor: 15 });
+        expect(restaurantInvoice).toMatchObject({ subtotal: 15, totalTax: 0, grandTotal: 15 });
+    });
+
+    test('bills accepted substitute lines and skips lines substituted in full', () => {
+        const substituted = {
+            ...order,
+            items: [
+                { ...order.items[0], qty: 0, substitutedQty: 4 },
+                order.items[1],
+                {
+                    itemId: 'sub-s1', vendorItemId: 'v_redonion', itemName: 'Red Onion', unit: 'kg', qty: 4, vendorPrice: 6, taxable: false,
+                    substitutionFor: { itemId: 'onion', itemName: 'Onion', packLabel: 'kg' },
+                },
+            ],
+        };
+        const { vendorInvoice, restaurantInvoice } = buildOrderInvoices({ order: substituted, vendor, now: NOW });
+        expect(vendorInvoice.items.map(i => i.itemId)).toEqual(['box', 'sub-s1']);
+        expect(vendorInvoice.items[1]).toMatchObject({ qty: 4, lineTotalVendor: 24, substitutionFor: { itemName: 'Onion' } });
+        expect(restaurantInvoice.items[1].substitutionFor).toEqual({ itemId: 'onion', itemName: 'Onion', packLabel: 'kg' });
+        expect(restaurantInvoice.items[0].substitutionFor).toBeUndefined();
+    });
+
+    test('skips orders with nothing to bill', () => {
+        expect(buildOrderInvoices({ order: { ...order, vendorId: '' } }).skipReason).toMatch(/vendorId/);
+        expect(buildOrderInvoices({ order: { ...order, items: [{ itemId: 'okra', qty: 0 }] } }).skipReason).toMatch(/no billable lines/);
+    });
+});
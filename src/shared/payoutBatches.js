@@ -0,0 +1,252 @@
+/**
+ * payoutBatches.js
+ *
+ * Vendor payout batches — which vendor invoices can be paid, what each vendor
+ * is owed for them, and the bank-upload file for the batch.
+ *
+ *   vendorInvoices/{id}         — `payoutLifecycle`, `payoutBatchId`
+ *   payoutBatches/{id}          — one document per batch, with one payout per vendor
+ *   vendorPayoutAccounts/{id}   — a vendor's bank details, keyed by vendor ID;
+ *                                 read only by Cloud Functions. Batches and
+ *                                 vendor docs carry the masked account only
+ *
+ * A vendor is paid the invoice's net payout: vendor subtotal less commission,
+ * plus the payout change of every applied credit/debit note
+ * (invoiceAdjustments.js). Invoices in a batch move to `pending_payment`;
+ * marking the batch paid moves all of them to `paid` together.
+ *
+ * Pure — used by functions/payoutBatches.js and the Finance payouts tab.
+ */
+
+import { BUSINESS_TIME_ZONE } from './invoiceNumbering.js';
+import { summarizeInvoiceBalance } from './invoiceAdjustments.js';
+
+/** Payout lifecycle of a vendor invoice (see financialEngine.transitionPayoutStatus). */
+export const PAYOUT_TRANSITIONS = {
+    draft:            ['generated'],
+    generated:        ['pending_payment', 'on_hold', 'disputed'],
+    pending_payment:  ['paid', 'on_hold', 'disputed'],
+    paid:             [],  // terminal
+    on_hold:          ['pending_payment', 'disputed'],
+    disputed:         ['pending_payment', 'on_hold', 'resolved'],
+};
+
+/** Lifecycles an invoice can be batched from. */
+export const PAYABLE_LIFECYCLES = ['generated', 'pending_payment'];
+
+export const PAYOUT_BATCH_STATUSES = ['open', 'paid', 'cancelled'];
+
+/** Invoices per batch — paying a batch writes each invoice and its audit entry in one transaction. */
+export const MAX_BATCH_INVOICES = 150;
+
+/** Bank details a vendor needs for the bank-upload file (Canadian EFT). */
+export const PAYOUT_ACCOUNT_FIELDS = [
+    { key: 'accountName', label: 'Account holder', pattern: /\S/, hint: 'required' },
+    { key: 'institutionNumber', label: 'Institution #', pattern: /^\d{3}$/, hint: '3 digits' },
+    { key: 'transitNumber', label: 'Transit #', pattern: /^\d{5}$/, hint: '5 digits' },
+    { key: 'accountNumber', label: 'Account #', pattern: /^\d{7,12}$/, hint: '7–12 digits' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (value instanceof Date) return value;
+    if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const businessDate = (value) => {
+    const d = toDate(value);
+    if (!d) return null;
+    return new Intl.DateTimeFormat('en-CA', { timeZone: BUSINESS_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(d);
+};
+
+/** Sunday (YYYY-MM-DD) ending the last full Monday–Sunday week before `now`. */
+export function getDefaultPeriodEnd(now = new Date()) {
+    const today = businessDate(now);
+    const t = Date.parse(`${today}T00:00:00Z`);
+    const dow = new Date(t).getUTCDay();
+    return new Date(t - (dow === 0 ? 7 : dow) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Payout lifecycle, treating invoices marked PAID before the lifecycle existed as paid. */
+export function getPayoutLifecycle(invoice) {
+    if (invoice?.paymentStatus === 'PAID') return 'paid';
+    return invoice?.payoutLifecycle || 'generated';
+}
+
+/**
+ * Why a vendor invoice cannot go into a new batch, or null when it can.
+ *
+ * @param {Object} invoice — vendorInvoices doc
+ * @param {string} [periodEnd] — YYYY-MM-DD; invoices dated later wait for the next batch
+ * @returns {string|null}
+ */
+export function getPayoutIneligibility(invoice, periodEnd = null) {
+    const lifecycle = getPayoutLifecycle(invoice);
+    if (lifecycle === 'paid') return 'already paid';
+    if (!PAYABLE_LIFECYCLES.includes(lifecycle)) return `payout is ${lifecycle.replace(/_/g, ' ')}`;
+    if (invoice.payoutBatchId) return `already in payout batch ${invoice.payoutBatchReference || invoice.payoutBatchId}`;
+    const invoiced = businessDate(invoice.invoiceDate || invoice.createdAt);
+    if (periodEnd && invoiced && invoiced > periodEnd) return `invoiced ${invoiced}, after the period end`;
+    return null;
+}
+
+/**
+ * A vendor's payout account, trimmed, or the first problem with it.
+ *
+ * @param {Object} [account] — vendorPayoutAccounts/{vendorId}
+ * @returns {{ account: Object|null, error: string|null }}
+ */
+export function validatePayoutAccount(account) {
+    if (!account) return { account: null, error: 'No payout account on file' };
+    const clean = Object.fromEntries(PAYOUT_ACCOUNT_FIELDS.map(f => [
+        f.key,
+        f.key === 'accountName' ? String(account[f.key] || '').trim() : String(account[f.key] || '').replace(/[\s-]/g, ''),
+    ]));
+    const bad = PAYOUT_ACCOUNT_FIELDS.find(f => !f.pattern.test(clean[f.key]));
+    if (bad) return { account: null, error: `${bad.label} must be ${bad.hint}` };
+    return { account: clean, error: null };
+}
+
+/** What may be shown of a valid payout account: the holder and the last four digits. */
+export function maskPayoutAccount(account) {
+    if (!account) return null;
+    return { accountName: account.accountName, last4: String(account.accountNumber).slice(-4) };
+}
+
+/** Human reference for a batch — printed on the remittance advice and sent to the bank. */
+export function getPayoutBatchReference(batchId, periodEnd) {
+    return `PB-${String(periodEnd || '').replace(/-/g, '')}-${String(batchId || '').slice(0, 4).toUpperCase()}`;
+}
+
+/**
+ * Group vendor invoices into one payout per vendor.
+ *
+ * @param {Object} params
+ * @param {Array}  params.invoices — vendorInvoices docs (with `id`)
+ * @param {Object} [params.adjustmentsByInvoice] — notes keyed by vendor invoice ID
+ * @param {Object} [params.vendors] — vendors docs keyed by ID (name, email)
+ * @param {Object} [params.accounts] — vendorPayoutAccounts docs keyed by vendor ID
+ * @param {string} [params.periodEnd]
+ * @returns {{ periodEnd, payouts: Array, invoiceIds: string[], vendorIds: string[], totals: Object, invoiceCount: number, vendorCount: number }}
+ */
+export function buildPayoutBatch({ invoices = [], adjustmentsByInvoice = {}, vendors = {}, accounts = {}, periodEnd = null }) {
+    const byVendor = new Map();
+
+    invoices.forEach(inv => {
+        const balance = summarizeInvoiceBalance(inv, adjustmentsByInvoice[inv.id], 'vendor');
+        const vendorId = inv.vendorId || 'unknown';
+        if (!byVendor.has(vendorId)) {
+            const vendor = vendors[vendorId] || {};
+            const { account, error } = validatePayoutAccount(accounts[vendorId]);
+            byVendor.set(vendorId, {
+                vendorId,
+                vendorName: vendor.name || inv.vendorName || vendorId,
+                vendorEmail: vendor.contactEmail || vendor.email || '',
+                payoutAccount: maskPayoutAccount(account),
+                payoutAccountError: error,
+                invoices: [],
+            });
+        }
+        byVendor.get(vendorId).invoices.push({
+            invoiceId: inv.id,
+            invoiceNumber: inv.invoiceNumber || inv.id,
+            orderGroupId: inv.orderGroupId || '',
+            invoiceDate: businessDate(inv.invoiceDate || inv.createdAt),
+            gross: balance.originalGross,
+            commission: balance.originalCommission,
+            adjustments: round2(balance.netPayout - balance.originalPayout),
+            netPayable: balance.netPayout,
+        });
+    });
+
+    const sum = (list, key) => round2(list.reduce((s, x) => s + x[key], 0));
+    const payouts = [...byVendor.values()].map(p => {
+        p.invoices.sort((a, b) => (a.invoiceDate || '').localeCompare(b.invoiceDate || '') || a.invoiceNumber.localeCompare(b.invoiceNumber));
+        return {
+            ...p,
+            invoiceCount: p.invoices.length,
+            grossTotal: sum(p.invoices, 'gross'),
+            commissionTotal: sum(p.invoices, 'commission'),
+            adjustmentTotal: sum(p.invoices, 'adjustments'),
+            netPayable: sum(p.invoices, 'netPayable'),
+        };
+    }).sort((a, b) => a.vendorName.localeCompare(b.vendorName));
+
+    return {
+        periodEnd,
+        payouts,
+        invoiceIds: payouts.flatMap(p => p.invoices.map(i => i.invoiceId)),
+        vendorIds: payouts.map(p => p.vendorId),
+        totals: {
+            gross: sum(payouts, 'grossTotal'),
+            commission: sum(payouts, 'commissionTotal'),
+            adjustments: sum(payouts, 'adjustmentTotal'),
+            netPayable: sum(payouts, 'netPayable'),
+        },
+        invoiceCount: invoices.length,
+        vendorCount: payouts.length,
+    };
+}
+
+/**
+ * First reason a batch cannot be created, or null.
+ *
+ * @param {Object} batch — from buildPayoutBatch()
+ * @returns {string|null}
+ */
+export function validatePayoutBatch(batch) {
+    if (!batch?.invoiceCount) return 'Select at least one invoice.';
+    if (batch.invoiceCount > MAX_BATCH_INVOICES) return `A batch can hold at most ${MAX_BATCH_INVOICES} invoices — split it by vendor or period.`;
+    const negative = batch.payouts.find(p => p.netPayable <= 0);
+    if (negative) return `${negative.vendorName} nets $${negative.netPayable.toFixed(2)} after credit notes — leave their invoices out of this batch.`;
+    return null;
+}
+
+// Spreadsheets evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/** Quoted CSV cell; text that would be read as a formula is prefixed with `'`. */
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return `"${(FORMULA_PREFIX.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+};
+
+/**
+ * Bank-upload CSV for a batch — one row per vendor. Refuses to build the
+ * file while any vendor in it lacks a valid payout account, so no payment
+ * goes out with blank or malformed bank fields.
+ *
+ * @param {Object} batch — payoutBatches doc or buildPayoutBatch() result (with `reference`)
+ * @param {Object} accounts — vendorPayoutAccounts docs keyed by vendor ID
+ * @returns {string}
+ * @throws {Error} naming the vendors whose accounts are missing or invalid
+ */
+export function buildBankUploadCsv(batch, accounts = {}) {
+    const payouts = (batch?.payouts || []).map(p => ({ ...p, ...validatePayoutAccount(accounts[p.vendorId]) }));
+    const invalid = payouts.filter(p => p.error);
+    if (invalid.length) {
+        throw new Error(`No valid payout account for ${invalid.map(p => `${p.vendorName} (${p.error})`).join(', ')} — fix it on the vendor page before exporting.`);
+    }
+
+    const headers = ['Payee Name', 'Institution Number', 'Transit Number', 'Account Number', 'Amount', 'Currency', 'Payment Reference', 'Vendor ID', 'Invoices', 'Remittance Email'];
+    const rows = payouts.map(p => [
+        p.account.accountName,
+        p.account.institutionNumber,
+        p.account.transitNumber,
+        p.account.accountNumber,
+        p.netPayable.toFixed(2),
+        'CAD',
+        batch.reference || '',
+        p.vendorId,
+        p.invoiceCount,
+        p.vendorEmail || '',
+    ].map(csvCell).join(','));
+    return [headers.join(','), ...rows].join('\n');
+}
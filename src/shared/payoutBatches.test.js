@@ -0,0 +1,107 @@
+// src/shared/payoutBatches.test.js
+//
+// Unit tests for vendor payout batches: eligibility, per-vendor net payouts and the bank file.
+// Run with: npm test -- --watchAll=false --testPathPattern=payoutBatches
+//
+import {
+    getDefaultPeriodEnd,
+    getPayoutIneligibility,
+    validatePayoutAccount,
+    maskPayoutAccount,
+    getPayoutBatchReference,
+    buildPayoutBatch,
+    validatePayoutBatch,
+    buildBankUploadCsv,
+    MAX_BATCH_INVOICES,
+} from './payoutBatches';
+
+const invoice = (id, overrides = {}) => ({
+    id,
+    invoiceNumber: `INV-V-2026-${id}`,
+    vendorId: 'v1',
+    vendorName: 'Fresh Farms',
+    invoiceDate: new Date('2026-10-14T15:00:00Z'),
+    grossVendorAmount: 100,
+    commissionAmount: 10,
+    netVendorPayable: 90,
+    totalTaxAmount: 13,
+    paymentStatus: 'PENDING',
+    payoutLifecycle: 'generated',
+    ...overrides,
+});
+
+const account = { accountName: 'Fresh Farms Ltd', institutionNumber: '004', transitNumber: '12345', accountNumber: '1234567' };
+
+describe('payoutBatches — eligibility', () => {
+    test('only unpaid, unbatched invoices up to the period end can be batched', () => {
+        expect(getPayoutIneligibility(invoice('a'), '2026-10-18')).toBeNull();
+        expect(getPayoutIneligibility(invoice('b', { payoutLifecycle: 'pending_payment' }), '2026-10-18')).toBeNull();
+        expect(getPayoutIneligibility(invoice('c', { paymentStatus: 'PAID' }))).toBe('already paid');
+        expect(getPayoutIneligibility(invoice('d', { payoutLifecycle: 'on_hold' }))).toBe('payout is on hold');
+        expect(getPayoutIneligibility(invoice('e', { payoutBatchId: 'abc', payoutBatchReference: 'PB-20261018-ABC' }))).toMatch(/PB-20261018-ABC/);
+        expect(getPayoutIneligibility(invoice('f', { invoiceDate: new Date('2026-10-19T15:00:00Z') }), '2026-10-18')).toMatch(/after the period end/);
+    });
+
+    test('the default period ends on the last Sunday, in the business time zone', () => {
+        expect(getDefaultPeriodEnd(new Date('2026-10-19T16:00:00Z'))).toBe('2026-10-18'); // Monday
+        expect(getDefaultPeriodEnd(new Date('2026-10-18T16:00:00Z'))).toBe('2026-10-11'); // Sunday — week not over
+        expect(getDefaultPeriodEnd(new Date('2026-10-19T02:00:00Z'))).toBe('2026-10-11'); // still Sunday in Toronto
+    });
+
+    test('payout accounts need all bank fields in the right shape', () => {
+        expect(validatePayoutAccount({ ...account, accountNumber: '123-4567 ' })).toEqual({ account: { ...account, accountNumber: '1234567' }, error: null });
+        expect(validatePayoutAccount(null).error).toMatch(/No payout account/);
+        expect(validatePayoutAccount({ ...account, transitNumber: '123' }).error).toBe('Transit # must be 5 digits');
+        expect(maskPayoutAccount(account)).toEqual({ accountName: 'Fresh Farms Ltd', last4: '4567' });
+        expect(maskPayoutAccount(null)).toBeNull();
+    });
+});
+
+describe('payoutBatches — buildPayoutBatch', () => {
+    const credit = { noteType: 'credit_note', status: 'applied', chainIndex: 1, vendor: { gross: -20, commission: -2, payout: -18, tax: -2.6 } };
+
+    test('one payout per vendor, net of commission and notes', () => {
+        const batch = buildPayoutBatch({
+            invoices: [
+                invoice('a'),
+                invoice('b', { invoiceDate: new Date('2026-10-12T15:00:00Z') }),
+                invoice('c', { vendorId: 'v2', vendorName: 'Bay Dairy', grossVendorAmount: 50, commissionAmount: 5, netVendorPayable: 45 }),
+            ],
+            adjustmentsByInvoice: { a: [credit] },
+            vendors: { v1: { name: 'Fresh Farms', contactEmail: 'ap@fresh.test' }, v2: { name: 'Bay Dairy', contactEmail: '=HYPERLINK("x")' } },
+            accounts: { v1: account },
+            periodEnd: '2026-10-18',
+        });
+
+        expect(batch.payouts.map(p => [p.vendorId, p.invoiceCount, p.grossTotal, p.commissionTotal, p.adjustmentTotal, p.netPayable])).toEqual([
+            ['v2', 1, 50, 5, 0, 45],
+            ['v1', 2, 200, 20, -18, 162],
+        ]);
+        expect(batch.payouts[1].invoices.map(i => [i.invoiceId, i.invoiceDate, i.netPayable])).toEqual([['b', '2026-10-12', 90], ['a', '2026-10-14', 72]]);
+        expect(batch.payouts[0].payoutAccountError).toMatch(/No payout account/);
+        // Only the masked account is frozen on the batch
+        expect(batch.payouts[1].payoutAccount).toEqual({ accountName: 'Fresh Farms Ltd', last4: '4567' });
+        expect(batch.totals).toEqual({ gross: 250, commission: 25, adjustments: -18, netPayable: 207 });
+        expect(batch.invoiceIds).toEqual(['c', 'b', 'a']);
+        expect(validatePayoutBatch(batch)).toBeNull();
+
+        const reference = getPayoutBatchReference('ab12xyz', '2026-10-18');
+        expect(reference).toBe('PB-20261018-AB12');
+        expect(() => buildBankUploadCsv({ ...batch, reference }, { v1: account })).toThrow(/No valid payout account for Bay Dairy \(No payout account on file\)/);
+        expect(() => buildBankUploadCsv({ ...batch, reference }, { v1: account, v2: { ...account, accountNumber: '12' } })).toThrow(/Bay Dairy \(Account # must be 7–12 digits\)/);
+
+        const csv = buildBankUploadCsv({ ...batch, reference }, { v1: account, v2: { ...account, accountName: '@Bay Dairy' } }).split('\n');
+        expect(csv[0]).toMatch(/^Payee Name,Institution Number,Transit Number,Account Number,Amount/);
+        // Cells that would start a formula are neutralised
+        expect(csv[1]).toBe('"\'@Bay Dairy","004","12345","1234567","45.00","CAD","PB-20261018-AB12","v2","1","\'=HYPERLINK(""x"")"');
+        expect(csv[2]).toBe('"Fresh Farms Ltd","004","12345","1234567","162.00","CAD","PB-20261018-AB12","v1","2","ap@fresh.test"');
+    });
+
+    test('rejects empty, oversized and credit-only batches', () => {
+        expect(validatePayoutBatch(buildPayoutBatch({ invoices: [] }))).toMatch(/at least one/);
+        const many = Array.from({ length: MAX_BATCH_INVOICES + 1 }, (_, i) => invoice(`i${i}`));
+        expect(validatePayoutBatch(buildPayoutBatch({ invoices: many }))).toMatch(/at most 150/);
+        const wipedOut = { ...credit, vendor: { payout: -90 } };
+        expect(validatePayoutBatch(buildPayoutBatch({ invoices: [invoice('a')], adjustmentsByInvoice: { a: [wipedOut] } }))).toMatch(/Fresh Farms nets \$0\.00/);
+    });
+});
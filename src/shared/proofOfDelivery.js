@@ -0,0 +1,320 @@
+/**
+ * proofOfDelivery.js
+ *
+ * Proof of delivery for one restaurant drop — what the restaurant received,
+ * line by line, signed for by the receiver.
+ *
+ *   proofOfDelivery/{proofId}        — one document per drop (getProofId())
+ *   issuesDisputes/{issueId}         — one issue per short or damaged line (getIssueId())
+ *   vendorDispatches.items[]         — `receivedDrops` / `receivedDayQtys`
+ *   marketplaceOrders.items[]        — `receivedQty` / `damagedQty`; the order
+ *                                      totals are repriced at what was received
+ *
+ * Each line records the quantity received in good condition, the quantity
+ * delivered damaged (refused), and — for cold-chain categories — the product
+ * temperature. Whatever was dispatched but neither received nor damaged is
+ * short. Invoices bill the received quantity (getBilledQty()), and order
+ * totals are repriced with the invoices' per-component taxes (taxEngine.js).
+ *
+ * Pure — used by the proof-of-delivery service, the dispatch page, invoices
+ * and reconciliation.
+ */
+
+import { getItemDayQtys } from './deliverySchedules.js';
+import { computeLineTaxes, resolveTaxCategory } from './taxEngine.js';
+
+export const PROOF_COLLECTION = 'proofOfDelivery';
+
+/** Highest acceptable product temperature (°C) per cold-chain category. */
+export const COLD_CHAIN_LIMITS = {
+    Dairy: 4,
+    Meat: 4,
+    Seafood: 4,
+    Frozen: -18,
+};
+
+// Discrepancy → `issuesDisputes.issueType`
+const ISSUE_TYPES = {
+    short: 'Short Quantity',
+    damaged: 'Damaged Item',
+};
+
+const toQty = (value) => Math.max(0, Math.round(Number(value) || 0));
+
+// ─── Ids and lines ────────────────────────────────────────────────────────────
+
+/**
+ * `proofOfDelivery` doc id for a drop: `{dispatchId}__{Day}__{restaurantId}`
+ * for a dispatch route, the order id for a marketplace order.
+ */
+export function getProofId(sourceId, routeDay = '', restaurantId = '') {
+    return routeDay ? `${sourceId}__${routeDay}__${restaurantId || 'all'}` : sourceId;
+}
+
+/**
+ * `issuesDisputes` doc id for one discrepancy of a proof:
+ * `{proofId}__{lineKey}__{short|damaged}`. Recording the same drop again
+ * lands on the same issue instead of opening a second one.
+ */
+export function getIssueId(proofId, lineKey, type) {
+    return `${proofId}__${String(lineKey).replace(/\//g, '_')}__${type}`;
+}
+
+/** Cold-chain temperature limit for a category, or null when not cold. */
+export function getColdChainLimit(category) {
+    const key = Object.keys(COLD_CHAIN_LIMITS).find(c => c.toLowerCase() === String(category || '').trim().toLowerCase());
+    return key ? COLD_CHAIN_LIMITS[key] : null;
+}
+
+/** Line key of a dispatch or order item — its id, else its position. */
+export function getLineKey(item, index) {
+    return item.itemId || item.vendorItemId || item.catalogItemId || `line_${index}`;
+}
+
+/**
+ * Lines to receive for one restaurant's drop on a `vendorDispatches` route
+ * day: each item's `dayDrops[day]` share for the restaurant. Items without
+ * drops (sent before they were recorded) fall back to the day's whole
+ * confirmed quantity, as one drop for every restaurant.
+ *
+ * @param {Object} dispatch — `vendorDispatches` document
+ * @param {string} day
+ * @param {string} [restaurantId] — '' for the whole day
+ */
+export function getDispatchDropLines(dispatch, day, restaurantId = '') {
+    return (dispatch?.items || []).map((item, index) => {
+        const drops = item.dayDrops?.[day];
+        let qty;
+        if (Array.isArray(drops) && restaurantId) {
+            qty = drops.filter(d => d.restaurantId === restaurantId).reduce((s, d) => s + (Number(d.qty) || 0), 0);
+        } else {
+            const confirmed = getItemDayQtys(item, 'confirmed');
+            qty = confirmed[day] ?? getItemDayQtys(item)[day] ?? 0;
+        }
+        return {
+            lineKey: getLineKey(item, index),
+            itemName: item.itemName || item.itemNameSnapshot || 'Unknown Item',
+            packLabel: item.packLabel || '',
+            category: item.category || '',
+            dispatchedQty: toQty(qty),
+        };
+    }).filter(line => line.dispatchedQty > 0);
+}
+
+/**
+ * Restaurant drops of a `vendorDispatches` route day, from its items'
+ * `dayDrops`; a single whole-day drop when none were recorded.
+ * @returns {Array<{ restaurantId, restaurantName }>}
+ */
+export function getDispatchDrops(dispatch, day) {
+    const drops = new Map();
+    (dispatch?.items || []).forEach(item => {
+        (item.dayDrops?.[day] || []).forEach(d => {
+            if (Number(d.qty) > 0 && d.restaurantId && !drops.has(d.restaurantId)) {
+                drops.set(d.restaurantId, { restaurantId: d.restaurantId, restaurantName: d.restaurantName || d.restaurantId });
+            }
+        });
+    });
+    return drops.size ? [...drops.values()] : [{ restaurantId: '', restaurantName: 'All restaurants' }];
+}
+
+/** Lines to receive for a marketplace order. */
+export function getOrderLines(order) {
+    return (order?.items || []).map((item, index) => ({
+        lineKey: getLineKey(item, index),
+        itemName: item.name || item.itemName || 'Unknown Item',
+        packLabel: item.unit || item.packSize || '',
+        category: item.category || '',
+        dispatchedQty: toQty(item.qty ?? item.quantity),
+    })).filter(line => line.dispatchedQty > 0);
+}
+
+// ─── Capture ──────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize captured lines and work out what is short, damaged or warm.
+ *
+ * @param {Array<Object>} lines — getDispatchDropLines() / getOrderLines() lines
+ *        with `receivedQty`, `damagedQty`, `temperatureC` and `note` filled in
+ * @returns {{ lines: Array<Object>, totals: Object, discrepancies: Array<Object> }}
+ */
+export function summarizeProofLines(lines) {
+    const out = (lines || []).map(line => {
+        const dispatchedQty = toQty(line.dispatchedQty);
+        const receivedQty = toQty(line.receivedQty);
+        const damagedQty = toQty(line.damagedQty);
+        const limit = getColdChainLimit(line.category);
+        const temperatureC = line.temperatureC === '' || line.temperatureC == null || !Number.isFinite(Number(line.temperatureC))
+            ? null
+            : Number(line.temperatureC);
+        return {
+            lineKey: line.lineKey,
+            itemName: line.itemName,
+            packLabel: line.packLabel || '',
+            category: line.category || '',
+            dispatchedQty,
+            receivedQty,
+            damagedQty,
+            shortQty: Math.max(0, dispatchedQty - receivedQty - damagedQty),
+            coldChainLimitC: limit,
+            temperatureC,
+            temperatureBreach: limit != null && temperatureC != null && temperatureC > limit,
+            note: String(line.note || '').trim(),
+        };
+    });
+    const sum = key => out.reduce((s, l) => s + l[key], 0);
+    const discrepancies = [];
+    out.forEach(line => {
+        if (line.shortQty > 0) discrepancies.push({ type: 'short', lineKey: line.lineKey, itemName: line.itemName, qty: line.shortQty });
+        if (line.damagedQty > 0) discrepancies.push({ type: 'damaged', lineKey: line.lineKey, itemName: line.itemName, qty: line.damagedQty });
+    });
+    return {
+        lines: out,
+        totals: {
+            dispatchedQty: sum('dispatchedQty'),
+            receivedQty: sum('receivedQty'),
+            damagedQty: sum('damagedQty'),
+            shortQty: sum('shortQty'),
+            temperatureBreaches: out.filter(l => l.temperatureBreach).length,
+        },
+        discrepancies,
+    };
+}
+
+/**
+ * Problems that stop a proof being saved.
+ *
+ * @param {{ receiverName?: string, hasSignature?: boolean, lines: Array<Object> }} proof
+ * @returns {Array<string>}
+ */
+export function validateProof({ receiverName, hasSignature, lines }) {
+    const errors = [];
+    if (!String(receiverName || '').trim()) errors.push('Enter the name of the person receiving the delivery.');
+    if (!hasSignature) errors.push('The receiver must sign.');
+    (lines || []).forEach(line => {
+        if (toQty(line.receivedQty) + toQty(line.damagedQty) > toQty(line.dispatchedQty)) {
+            errors.push(`${line.itemName}: received and damaged add up to more than the ${toQty(line.dispatchedQty)} dispatched.`);
+        }
+        const limit = getColdChainLimit(line.category);
+        const temperature = line.temperatureC;
+        if (limit != null && toQty(line.receivedQty) > 0 && (temperature === '' || temperature == null || !Number.isFinite(Number(temperature)))) {
+            errors.push(`${line.itemName}: record the temperature (${line.category}, max ${limit}°C).`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * One `issuesDisputes` record per short or damaged line, pre-filled from
+ * the drop, with its doc id as `issueId`.
+ *
+ * @param {Object} summary — summarizeProofLines()
+ * @param {Object} context
+ * @param {string} context.proofId
+ * @param {string} context.dispatchId
+ * @param {string} [context.submittedOrderId] — marketplace order id
+ * @param {string} [context.vendorId]
+ * @param {string} [context.vendorName]
+ * @param {string} [context.restaurantId]
+ * @param {string} [context.restaurantName]
+ * @param {string} [context.routeDay]
+ * @param {string} [context.receiverName]
+ */
+export function buildDiscrepancyIssues(summary, context) {
+    const linesByKey = Object.fromEntries(summary.lines.map(l => [l.lineKey, l]));
+    return summary.discrepancies.map(d => {
+        const line = linesByKey[d.lineKey];
+        const parts = [
+            `${d.type === 'short' ? 'Short' : 'Damaged'} on delivery: ${d.qty} of ${line.dispatchedQty} dispatched${line.packLabel ? ` (${line.packLabel})` : ''}; ${line.receivedQty} received in good condition.`,
+            context.receiverName && `Received by ${context.receiverName}.`,
+            line.note,
+        ];
+        return {
+            issueId: getIssueId(context.proofId, d.lineKey, d.type),
+            issueType: ISSUE_TYPES[d.type],
+            restaurantName: context.restaurantName || '',
+            vendorName: context.vendorName || '',
+            itemName: line.itemName,
+            deliveryDay: context.routeDay || '',
+            description: parts.filter(Boolean).join(' '),
+            submittedOrderId: context.submittedOrderId || '',
+            dispatchId: context.dispatchId || '',
+            vendorId: context.vendorId || '',
+            restaurantId: context.restaurantId || '',
+            status: 'Open',
+            source: 'proof_of_delivery',
+            proofOfDeliveryId: context.proofId,
+            lineKey: d.lineKey,
+            dispatchedQty: line.dispatchedQty,
+            receivedQty: line.receivedQty,
+            discrepancyQty: d.qty,
+        };
+    });
+}
+
+// ─── Received quantities ──────────────────────────────────────────────────────
+
+/**
+ * Quantity an order line is billed for: what was received once a proof of
+ * delivery is recorded, else what was ordered.
+ */
+export function getBilledQty(item) {
+    if (item?.receivedQty !== undefined && item?.receivedQty !== null) return Number(item.receivedQty) || 0;
+    return Number(item?.qty ?? item?.quantity ?? 1);
+}
+
+/**
+ * Marketplace order items with the drop's received and damaged quantities;
+ * `qty` stays what was ordered.
+ */
+export function applyProofToOrderItems(items, summary) {
+    const byKey = Object.fromEntries(summary.lines.map(l => [l.lineKey, l]));
+    return (items || []).map((item, index) => {
+        const line = byKey[getLineKey(item, index)];
+        return line ? { ...item, receivedQty: line.receivedQty, damagedQty: line.damagedQty } : item;
+    });
+}
+
+/**
+ * Order totals repriced at the billed quantities, each line taxed per
+ * component by its tax category — the arithmetic the invoices use.
+ *
+ * @param {Array<Object>} items
+ * @param {Array<Object>} components — taxEngine.getTaxComponents() for the
+ *        order's jurisdiction
+ * @returns {{ subtotalBeforeTax, totalTax, grandTotalAfterTax }}
+ */
+export function priceOrderItems(items, components = []) {
+    const round2 = n => Math.round((n + Number.EPSILON) * 100) / 100;
+    let subtotalBeforeTax = 0;
+    let totalTax = 0;
+    (items || []).forEach(item => {
+        const lineSubtotal = round2((item.vendorPrice ?? item.price ?? 0) * getBilledQty(item));
+        subtotalBeforeTax += lineSubtotal;
+        computeLineTaxes(lineSubtotal, components, resolveTaxCategory(!!item.taxable, item.taxCategory))
+            .forEach(t => { totalTax += t.amount; });
+    });
+    subtotalBeforeTax = round2(subtotalBeforeTax);
+    totalTax = round2(totalTax);
+    return { subtotalBeforeTax, totalTax, grandTotalAfterTax: round2(subtotalBeforeTax + totalTax) };
+}
+
+/**
+ * `vendorDispatches` items with one drop's received quantities:
+ * `receivedDrops` keyed `{day}__{restaurantId}`, and `receivedDayQtys` — the
+ * day's total over every drop recorded so far. Recording a drop again
+ * replaces its quantities.
+ */
+export function applyProofToDispatchItems(items, day, restaurantId, summary) {
+    const byKey = Object.fromEntries(summary.lines.map(l => [l.lineKey, l]));
+    const dropKey = `${day}__${restaurantId || 'all'}`;
+    return (items || []).map((item, index) => {
+        const line = byKey[getLineKey(item, index)];
+        if (!line) return item;
+        const receivedDrops = { ...(item.receivedDrops || {}), [dropKey]: line.receivedQty };
+        const dayTotal = Object.entries(receivedDrops)
+            .filter(([key]) => key.startsWith(`${day}__`))
+            .reduce((s, [, qty]) => s + qty, 0);
+        return { ...item, receivedDrops, receivedDayQtys: { ...(item.receivedDayQtys || {}), [day]: dayTotal } };
+    });
+}
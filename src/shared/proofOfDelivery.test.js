@@ -0,0 +1,150 @@
+// src/shared/proofOfDelivery.test.js
+//
+// Unit tests for proof of delivery: drop lines, discrepancies, issues and received-quantity billing.
+// Run with: npm test -- --watchAll=false --testPathPattern=proofOfDelivery
+//
+import {
+    getProofId,
+    getColdChainLimit,
+    getDispatchDropLines,
+    getDispatchDrops,
+    summarizeProofLines,
+    validateProof,
+    buildDiscrepancyIssues,
+    getIssueId,
+    getBilledQty,
+    applyProofToOrderItems,
+    priceOrderItems,
+    applyProofToDispatchItems,
+} from './proofOfDelivery';
+import { getTaxComponents } from './taxEngine';
+
+const dispatch = {
+    id: 'disp_v1_2026-03-02',
+    items: [
+        {
+            itemId: 'milk', itemName: 'Milk 4L', packLabel: 'case', category: 'Dairy',
+            dayQtys: { Tuesday: 5 },
+            dayDrops: { Tuesday: [{ restaurantId: 'r1', restaurantName: 'Oruma', qty: 3 }, { restaurantId: 'r2', restaurantName: 'Chai Co', qty: 2 }] },
+        },
+        {
+            itemId: 'onion', itemName: 'Onion', packLabel: '10 kg', category: 'Produce',
+            dayQtys: { Tuesday: 4 },
+            dayDrops: { Tuesday: [{ restaurantId: 'r2', restaurantName: 'Chai Co', qty: 4 }] },
+        },
+        { itemId: 'rice', itemName: 'Rice', packLabel: 'bag', dayQtys: { Friday: 2 } },
+    ],
+};
+
+const line = (overrides) => ({ lineKey: 'milk', itemName: 'Milk 4L', packLabel: 'case', category: 'Dairy', dispatchedQty: 3, ...overrides });
+
+describe('proofOfDelivery — drops and lines', () => {
+    test('proof ids are per drop for dispatches and per order for marketplace orders', () => {
+        expect(getProofId('disp1', 'Tuesday', 'r1')).toBe('disp1__Tuesday__r1');
+        expect(getProofId('disp1', 'Friday')).toBe('disp1__Friday__all');
+        expect(getProofId('order1')).toBe('order1');
+    });
+
+    test('cold-chain limits match categories case-insensitively', () => {
+        expect(getColdChainLimit('dairy')).toBe(4);
+        expect(getColdChainLimit('Frozen')).toBe(-18);
+        expect(getColdChainLimit('Produce')).toBeNull();
+    });
+
+    test('drop lines take each restaurant\'s share; days without drops are one whole-day drop', () => {
+        expect(getDispatchDrops(dispatch, 'Tuesday').map(d => d.restaurantId)).toEqual(['r1', 'r2']);
+        expect(getDispatchDropLines(dispatch, 'Tuesday', 'r1').map(l => [l.lineKey, l.dispatchedQty])).toEqual([['milk', 3]]);
+        expect(getDispatchDropLines(dispatch, 'Tuesday', 'r2').map(l => [l.lineKey, l.dispatchedQty])).toEqual([['milk', 2], ['onion', 4]]);
+
+        expect(getDispatchDrops(dispatch, 'Friday')).toEqual([{ restaurantId: '', restaurantName: 'All restaurants' }]);
+        expect(getDispatchDropLines(dispatch, 'Friday').map(l => [l.lineKey, l.dispatchedQty])).toEqual([['rice', 2]]);
+    });
+});
+
+describe('proofOfDelivery — capture', () => {
+    test('works out short, damaged and warm lines', () => {
+        const summary = summarizeProofLines([
+            line({ receivedQty: 1, damagedQty: 1, temperatureC: '6.5', note: 'Leaking' }),
+            { lineKey: 'onion', itemName: 'Onion', category: 'Produce', dispatchedQty: 4, receivedQty: 4, damagedQty: 0 },
+        ]);
+        expect(summary.lines[0]).toMatchObject({ shortQty: 1, coldChainLimitC: 4, temperatureC: 6.5, temperatureBreach: true, note: 'Leaking' });
+        expect(summary.lines[1]).toMatchObject({ shortQty: 0, coldChainLimitC: null, temperatureC: null, temperatureBreach: false });
+        expect(summary.totals).toEqual({ dispatchedQty: 7, receivedQty: 5, damagedQty: 1, shortQty: 1, temperatureBreaches: 1 });
+        expect(summary.discrepancies).toEqual([
+            { type: 'short', lineKey: 'milk', itemName: 'Milk 4L', qty: 1 },
+            { type: 'damaged', lineKey: 'milk', itemName: 'Milk 4L', qty: 1 },
+        ]);
+    });
+
+    test('needs a receiver, a signature, consistent quantities and cold-chain temperatures', () => {
+        expect(validateProof({ receiverName: 'Asha', hasSignature: true, lines: [line({ receivedQty: 3, temperatureC: 3 })] })).toEqual([]);
+        const errors = validateProof({ receiverName: ' ', hasSignature: false, lines: [line({ receivedQty: 3, damagedQty: 1, temperatureC: '' })] });
+        expect(errors).toHaveLength(4);
+        expect(errors[2]).toMatch(/more than the 3 dispatched/);
+        expect(errors[3]).toMatch(/temperature/);
+        // Nothing received — nothing to take the temperature of
+        expect(validateProof({ receiverName: 'Asha', hasSignature: true, lines: [line({ receivedQty: 0, damagedQty: 3 })] })).toEqual([]);
+    });
+
+    test('opens one pre-filled issue per short or damaged line', () => {
+        const summary = summarizeProofLines([line({ receivedQty: 1, damagedQty: 1, temperatureC: 3, note: 'Leaking' })]);
+        const issues = buildDiscrepancyIssues(summary, {
+            proofId: 'disp1__Tuesday__r1', dispatchId: 'disp1', vendorId: 'v1', vendorName: 'Fresh Farms',
+            restaurantId: 'r1', restaurantName: 'Oruma', routeDay: 'Tuesday', receiverName: 'Asha',
+        });
+        expect(issues.map(i => [i.issueType, i.discrepancyQty])).toEqual([['Short Quantity', 1], ['Damaged Item', 1]]);
+        // Recording the drop again lands on the same issues
+        expect(issues.map(i => i.issueId)).toEqual(['disp1__Tuesday__r1__milk__short', 'disp1__Tuesday__r1__milk__damaged']);
+        expect(getIssueId('o1', 'vendor/item', 'short')).toBe('o1__vendor_item__short');
+        expect(issues[1]).toMatchObject({
+            itemName: 'Milk 4L', restaurantName: 'Oruma', vendorName: 'Fresh Farms', deliveryDay: 'Tuesday', dispatchId: 'disp1',
+            status: 'Open', source: 'proof_of_delivery', proofOfDeliveryId: 'disp1__Tuesday__r1', dispatchedQty: 3, receivedQty: 1,
+        });
+        expect(issues[1].description).toBe('Damaged on delivery: 1 of 3 dispatched (case); 1 received in good condition. Received by Asha. Leaking');
+    });
+});
+
+describe('proofOfDelivery — received quantities', () => {
+    test('order lines bill the received quantity once recorded', () => {
+        expect(getBilledQty({ qty: 4 })).toBe(4);
+        expect(getBilledQty({ qty: 4, receivedQty: 0 })).toBe(0);
+        expect(getBilledQty({ quantity: 2 })).toBe(2);
+
+        const items = [
+            { itemId: 'onion', qty: 4, vendorPrice: 5, taxable: false },
+            { itemId: 'box', qty: 2, price: 15, taxable: true },
+        ];
+        const summary = summarizeProofLines([
+            { lineKey: 'onion', itemName: 'Onion', dispatchedQty: 4, receivedQty: 3, damagedQty: 1 },
+            { lineKey: 'box', itemName: 'Box', dispatchedQty: 2, receivedQty: 2 },
+        ]);
+        const received = applyProofToOrderItems(items, summary);
+        expect(received[0]).toMatchObject({ qty: 4, receivedQty: 3, damagedQty: 1 });
+        const ontario = getTaxComponents({ country: 'Canada', region: 'ON' }, '2026-03-02');
+        expect(priceOrderItems(received, ontario)).toEqual({ subtotalBeforeTax: 45, totalTax: 3.9, grandTotalAfterTax: 48.9 });
+        expect(priceOrderItems(received, [])).toEqual({ subtotalBeforeTax: 45, totalTax: 0, grandTotalAfterTax: 45 });
+
+        // Each component per tax category: the PST-exempt line pays GST only
+        const bc = getTaxComponents({ country: 'Canada', region: 'BC' }, '2026-03-02');
+        const mixed = [{ ...received[1] }, { itemId: 'bag', qty: 1, price: 10, taxable: true, taxCategory: 'federal_only' }];
+        expect(priceOrderItems(mixed, bc)).toEqual({ subtotalBeforeTax: 40, totalTax: 4.1, grandTotalAfterTax: 44.1 });
+    });
+
+    test('dispatch items keep received quantities per drop and total them per day', () => {
+        const first = applyProofToDispatchItems(dispatch.items, 'Tuesday', 'r1',
+            summarizeProofLines([line({ receivedQty: 2, temperatureC: 3 })]));
+        expect(first[0]).toMatchObject({ receivedDrops: { Tuesday__r1: 2 }, receivedDayQtys: { Tuesday: 2 } });
+        expect(first[1].receivedDrops).toBeUndefined();
+
+        const second = applyProofToDispatchItems(first, 'Tuesday', 'r2', summarizeProofLines([
+            line({ dispatchedQty: 2, receivedQty: 2, temperatureC: 3 }),
+            { lineKey: 'onion', itemName: 'Onion', dispatchedQty: 4, receivedQty: 4 },
+        ]));
+        expect(second[0]).toMatchObject({ receivedDrops: { Tuesday__r1: 2, Tuesday__r2: 2 }, receivedDayQtys: { Tuesday: 4 } });
+        expect(second[1].receivedDayQtys).toEqual({ Tuesday: 4 });
+
+        // Recording r1 again replaces its quantity
+        const again = applyProofToDispatchItems(second, 'Tuesday', 'r1', summarizeProofLines([line({ receivedQty: 3, temperatureC: 3 })]));
+        expect(again[0].receivedDayQtys).toEqual({ Tuesday: 5 });
+    });
+});
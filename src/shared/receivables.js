@@ -0,0 +1,447 @@
+/**
+ * receivables.js
+ *
+ * Restaurant accounts receivable — what each restaurant invoice still owes,
+ * how a payment is applied across invoices, the AR aging report and the
+ * monthly restaurant statement.
+ *
+ *   restaurantInvoices/{id}          — `amountPaid`, `balanceDue`, `paymentStatus`
+ *   RestaurantPaymentHistory/{id}    — one document per payment received, with
+ *                                      `allocations: [{ invoiceId, amount }]`;
+ *                                      a reversal negates them and carries
+ *                                      `reversesPaymentId`
+ *
+ * An invoice owes its net total (original total plus applied credit/debit
+ * notes, invoiceAdjustments.js) minus what has been applied to it. Status is
+ * derived, never chosen:
+ *
+ *   PAID            nothing left to pay
+ *   OVERDUE         balance left after the due date (business time zone)
+ *   PARTIALLY_PAID  part paid, not yet due
+ *   PENDING         nothing paid, not yet due
+ *
+ * Payments written before allocations existed carry a single `invoiceId` and
+ * `amount`; invoices marked paid without a payment record count as paid in
+ * full on their `paidAt` date.
+ *
+ * Pure — used by functions/receivables.js and the restaurant invoice pages.
+ */
+
+import { BUSINESS_TIME_ZONE } from './invoiceNumbering.js';
+import { summarizeInvoiceBalance, groupAdjustmentsByInvoice, isAppliedAdjustment } from './invoiceAdjustments.js';
+import { PAYMENT_TERMS_DAYS } from './orderInvoices.js';
+
+export const RECEIVABLE_STATUSES = ['PENDING', 'PARTIALLY_PAID', 'OVERDUE', 'PAID'];
+
+/** Statuses that still have a balance to collect. */
+export const OPEN_RECEIVABLE_STATUSES = ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'];
+
+/** Payment methods and the details each one must record. */
+export const PAYMENT_METHODS = {
+    'Card Terminal': ['transactionNumber', 'collectedBy', 'paymentDate'],
+    'Cheque': ['chequeNumber', 'collectedBy', 'chequeDepositDate'],
+    'E-Transfer': ['validatedBy', 'paymentDate'],
+    'Cash': ['receivedBy', 'paymentDate'],
+};
+
+export const AGING_BUCKETS = [
+    { key: 'current', label: 'Current', minDays: -Infinity, maxDays: 0 },
+    { key: 'days1to30', label: '1–30 days', minDays: 1, maxDays: 30 },
+    { key: 'days31to60', label: '31–60 days', minDays: 31, maxDays: 60 },
+    { key: 'days61to90', label: '61–90 days', minDays: 61, maxDays: 90 },
+    { key: 'days90plus', label: '90+ days', minDays: 91, maxDays: Infinity },
+];
+
+/** Smallest amount (dollars) treated as an open balance. */
+const CENT = 0.005;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (value instanceof Date) return value;
+    if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const addDays = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const daysBetween = (fromIso, toIso) => Math.round((Date.parse(`${toIso}T00:00:00Z`) - Date.parse(`${fromIso}T00:00:00Z`)) / DAY_MS);
+
+/** Calendar date (YYYY-MM-DD) of an instant in the business time zone; plain dates pass through. */
+export function toBusinessDate(value, timeZone = BUSINESS_TIME_ZONE) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const d = toDate(value);
+    if (!d) return null;
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(d);
+}
+
+/** Due date (YYYY-MM-DD) — `dueDate`, else payment terms from the invoice date. */
+export function getDueDate(invoice) {
+    const due = toBusinessDate(invoice?.dueDate);
+    if (due) return due;
+    const issued = toBusinessDate(invoice?.invoiceDate || invoice?.createdAt);
+    return issued ? addDays(issued, PAYMENT_TERMS_DAYS) : null;
+}
+
+// ─── Invoices ─────────────────────────────────────────────────────────────────
+
+/**
+ * Payment status for a balance.
+ *
+ * @param {Object} params
+ * @param {number} params.netTotal
+ * @param {number} params.amountPaid
+ * @param {string|null} params.dueDate — YYYY-MM-DD
+ * @param {Date}   [params.now]
+ * @returns {'PENDING'|'PARTIALLY_PAID'|'OVERDUE'|'PAID'}
+ */
+export function getPaymentStatus({ netTotal, amountPaid, dueDate, now = new Date() }) {
+    const balance = round2(netTotal - amountPaid);
+    if (balance < CENT) return 'PAID';
+    if (dueDate && toBusinessDate(now) > dueDate) return 'OVERDUE';
+    return amountPaid >= CENT ? 'PARTIALLY_PAID' : 'PENDING';
+}
+
+/**
+ * What a restaurant invoice owes.
+ *
+ * @param {Object} invoice — restaurantInvoices doc (with `id`)
+ * @param {Array}  [adjustments] — notes on this invoice
+ * @param {Date}   [now]
+ * @returns {{ id, invoiceNumber, restaurantId, restaurantName, invoiceDate, dueDate, netTotal, amountPaid, balanceDue, paymentStatus, daysOverdue }}
+ */
+export function summarizeReceivable(invoice, adjustments = [], now = new Date()) {
+    const { netTotal } = summarizeInvoiceBalance(invoice, adjustments, 'restaurant');
+    // Invoices marked paid before payments were applied have no `amountPaid`
+    const amountPaid = invoice?.amountPaid !== undefined
+        ? round2(invoice.amountPaid)
+        : (invoice?.paymentStatus === 'PAID' ? netTotal : 0);
+    const dueDate = getDueDate(invoice);
+    const paymentStatus = getPaymentStatus({ netTotal, amountPaid, dueDate, now });
+    const balanceDue = round2(netTotal - amountPaid);
+    return {
+        id: invoice?.id,
+        invoiceNumber: invoice?.invoiceNumber || '',
+        restaurantId: invoice?.restaurantId || '',
+        restaurantName: invoice?.restaurantName || invoice?.restaurantId || '',
+        invoiceDate: toBusinessDate(invoice?.invoiceDate || invoice?.createdAt),
+        dueDate,
+        netTotal,
+        amountPaid,
+        balanceDue,
+        paymentStatus,
+        daysOverdue: paymentStatus === 'PAID' || !dueDate ? 0 : Math.max(0, daysBetween(dueDate, toBusinessDate(now))),
+    };
+}
+
+// ─── Payments ─────────────────────────────────────────────────────────────────
+
+/** `[{ invoiceId, invoiceNumber, amount }]` a payment was applied to. */
+export function getPaymentAllocations(payment) {
+    if (Array.isArray(payment?.allocations)) return payment.allocations;
+    if (payment?.invoiceId) {
+        return [{ invoiceId: payment.invoiceId, invoiceNumber: payment.invoiceNumber || '', amount: round2(payment.amount) }];
+    }
+    return [];
+}
+
+/** Business date a payment was received. */
+export function getPaymentDate(payment) {
+    return toBusinessDate(payment?.paymentDate || payment?.chequeDepositDate || payment?.createdAt);
+}
+
+/** Missing details for a payment method, or null when complete. */
+export function validatePaymentDetails(method, details = {}) {
+    const required = PAYMENT_METHODS[method];
+    if (!required) return 'Please select a payment method.';
+    const missing = required.filter(field => !String(details[field] ?? '').trim());
+    return missing.length ? `Please fill in all required ${method} fields.` : null;
+}
+
+const byDueDate = (a, b) => String(a.dueDate || '').localeCompare(String(b.dueDate || ''))
+    || String(a.invoiceDate || '').localeCompare(String(b.invoiceDate || ''))
+    || String(a.invoiceNumber).localeCompare(String(b.invoiceNumber));
+
+/**
+ * Spread a payment over open invoices. Without explicit allocations the
+ * oldest due invoice is paid first. A payment cannot exceed what the
+ * invoices owe.
+ *
+ * @param {Object} params
+ * @param {number} params.amount
+ * @param {Array}  params.receivables — summarizeReceivable() results
+ * @param {Array<{ invoiceId: string, amount: number }>} [params.allocations]
+ * @returns {{ valid: boolean, error: string|null, allocations: Array<{ invoiceId, invoiceNumber, amount, balanceBefore, balanceAfter }> }}
+ */
+export function allocatePayment({ amount, receivables = [], allocations }) {
+    const fail = (error) => ({ valid: false, error, allocations: [] });
+    const total = round2(amount);
+    if (!(total > 0)) return fail('Payment amount must be greater than zero.');
+
+    const open = receivables.filter(r => r.balanceDue >= CENT);
+    const byId = Object.fromEntries(open.map(r => [r.id, r]));
+    const line = (r, applied) => ({
+        invoiceId: r.id,
+        invoiceNumber: r.invoiceNumber,
+        amount: applied,
+        balanceBefore: r.balanceDue,
+        balanceAfter: round2(r.balanceDue - applied),
+    });
+
+    if (Array.isArray(allocations) && allocations.length) {
+        const seen = new Set();
+        const result = [];
+        for (const a of allocations) {
+            const r = byId[a.invoiceId];
+            const applied = round2(a.amount);
+            if (!r) return fail(`Invoice ${a.invoiceId} has no open balance.`);
+            if (seen.has(a.invoiceId)) return fail(`Invoice ${r.invoiceNumber} is allocated twice.`);
+            if (!(applied > 0)) return fail(`Amount for ${r.invoiceNumber} must be greater than zero.`);
+            if (applied - r.balanceDue >= CENT) return fail(`$${applied.toFixed(2)} exceeds the $${r.balanceDue.toFixed(2)} owed on ${r.invoiceNumber}.`);
+            seen.add(a.invoiceId);
+            result.push(line(r, applied));
+        }
+        const allocated = round2(result.reduce((s, a) => s + a.amount, 0));
+        if (Math.abs(allocated - total) >= CENT) {
+            return fail(`Allocations add up to $${allocated.toFixed(2)}, not the $${total.toFixed(2)} received.`);
+        }
+        return { valid: true, error: null, allocations: result };
+    }
+
+    let remaining = total;
+    const result = [];
+    for (const r of [...open].sort(byDueDate)) {
+        if (remaining < CENT) break;
+        const applied = round2(Math.min(remaining, r.balanceDue));
+        result.push(line(r, applied));
+        remaining = round2(remaining - applied);
+    }
+    if (remaining >= CENT) {
+        return fail(`Payment exceeds the open balance by $${remaining.toFixed(2)}.`);
+    }
+    return { valid: true, error: null, allocations: result };
+}
+
+/**
+ * Allocations that undo a recorded payment. Payments are never deleted; a
+ * correction is a reversing payment with the same allocations negated.
+ *
+ * @param {Object} payment — RestaurantPaymentHistory doc
+ * @returns {{ valid: boolean, error: string|null, amount: number, allocations: Array<{ invoiceId, invoiceNumber, amount }> }}
+ */
+export function buildPaymentReversal(payment) {
+    const fail = (error) => ({ valid: false, error, amount: 0, allocations: [] });
+    if (!payment) return fail('Payment not found.');
+    if (payment.reversesPaymentId) return fail('A reversal cannot itself be reversed.');
+    if (payment.status === 'reversed' || payment.reversedByPaymentId) return fail('This payment has already been reversed.');
+    if (payment.status === 'void') return fail('This payment is void.');
+
+    const allocations = getPaymentAllocations(payment)
+        .filter(a => round2(a.amount) >= CENT)
+        .map(a => ({ invoiceId: a.invoiceId, invoiceNumber: a.invoiceNumber || '', amount: -round2(a.amount) }));
+    if (!allocations.length) return fail('This payment was not applied to any invoice.');
+    return { valid: true, error: null, amount: round2(allocations.reduce((s, a) => s + a.amount, 0)), allocations };
+}
+
+// ─── Aging ────────────────────────────────────────────────────────────────────
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+
+/** Aging bucket key for a number of days past due. */
+export function getAgingBucket(daysOverdue) {
+    return AGING_BUCKETS.find(b => daysOverdue >= b.minDays && daysOverdue <= b.maxDays).key;
+}
+
+/**
+ * AR aging — open balances per restaurant by days past due.
+ *
+ * @param {Array} invoices — restaurantInvoices docs
+ * @param {Array} [adjustments] — all notes (grouped by restaurant invoice here)
+ * @param {Date}  [now]
+ * @returns {{ asOf: string, restaurants: Array<{ restaurantId, restaurantName, invoiceCount, total, buckets, invoices }>, totals: Object, total: number, invoiceCount: number }}
+ */
+export function buildAgingReport(invoices = [], adjustments = [], now = new Date()) {
+    const notesByInvoice = groupAdjustmentsByInvoice(adjustments, 'restaurant');
+    const byRestaurant = {};
+    const totals = emptyBuckets();
+
+    invoices
+        .filter(inv => inv.paymentStatus !== 'VOIDED')
+        .map(inv => summarizeReceivable(inv, notesByInvoice[inv.id], now))
+        .filter(r => r.balanceDue >= CENT)
+        .forEach(r => {
+            const key = r.restaurantId || r.restaurantName || 'unknown';
+            const row = byRestaurant[key] || (byRestaurant[key] = {
+                restaurantId: r.restaurantId,
+                restaurantName: r.restaurantName,
+                invoiceCount: 0,
+                total: 0,
+                buckets: emptyBuckets(),
+                invoices: [],
+            });
+            const bucket = getAgingBucket(r.daysOverdue);
+            row.invoiceCount += 1;
+            row.total = round2(row.total + r.balanceDue);
+            row.buckets[bucket] = round2(row.buckets[bucket] + r.balanceDue);
+            row.invoices.push({ ...r, bucket });
+            totals[bucket] = round2(totals[bucket] + r.balanceDue);
+        });
+
+    const restaurants = Object.values(byRestaurant)
+        .map(row => ({ ...row, invoices: row.invoices.sort(byDueDate) }))
+        .sort((a, b) => b.total - a.total);
+    return {
+        asOf: toBusinessDate(now),
+        restaurants,
+        totals,
+        total: round2(Object.values(totals).reduce((s, v) => s + v, 0)),
+        invoiceCount: restaurants.reduce((s, r) => s + r.invoiceCount, 0),
+    };
+}
+
+// ─── Statements ───────────────────────────────────────────────────────────────
+
+/** `{ periodStart, periodEnd }` for a YYYY-MM month. */
+export function getStatementPeriod(month) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month || ''))) return null;
+    const [year, mon] = month.split('-').map(Number);
+    const last = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+    return { periodStart: `${month}-01`, periodEnd: `${month}-${String(last).padStart(2, '0')}` };
+}
+
+const LINE_ORDER = { invoice: 0, credit_note: 1, debit_note: 1, payment: 2 };
+
+/**
+ * Monthly statement for one restaurant — opening balance, every invoice,
+ * note and payment dated in the month with a running balance, and the
+ * closing balance.
+ *
+ * @param {Object} params
+ * @param {string} params.month — YYYY-MM
+ * @param {Array}  params.invoices — the restaurant's restaurantInvoices docs
+ * @param {Array}  [params.adjustments] — notes on those invoices
+ * @param {Array}  [params.payments] — the restaurant's RestaurantPaymentHistory docs
+ * @param {Date}   [params.now]
+ * @returns {{ month, periodStart, periodEnd, openingBalance, closingBalance, totals, lines, openInvoices } | null}
+ */
+export function buildRestaurantStatement({ month, invoices = [], adjustments = [], payments = [], now = new Date() }) {
+    const period = getStatementPeriod(month);
+    if (!period) return null;
+    const { periodStart, periodEnd } = period;
+
+    const invoiceIds = new Set(invoices.map(inv => inv.id));
+    const notesByInvoice = groupAdjustmentsByInvoice(adjustments, 'restaurant');
+    // Every event carries what it moved on each invoice, so per-invoice
+    // balances at the period end come from the same lines as the totals.
+    const events = [];
+
+    invoices.filter(inv => inv.paymentStatus !== 'VOIDED').forEach(inv => {
+        events.push({
+            type: 'invoice',
+            date: toBusinessDate(inv.invoiceDate || inv.createdAt),
+            reference: inv.invoiceNumber || inv.id,
+            description: `Invoice — ${inv.vendorName || 'order'}${inv.orderGroupId ? ` (${inv.orderGroupId})` : ''}`,
+            amount: round2(inv.grandTotal),
+            byInvoice: { [inv.id]: round2(inv.grandTotal) },
+        });
+        (notesByInvoice[inv.id] || []).filter(isAppliedAdjustment).forEach(note => {
+            const amount = round2(note.restaurant?.total ?? note.adjustmentAmount);
+            events.push({
+                type: note.noteType,
+                date: toBusinessDate(note.createdAt),
+                reference: note.noteNumber || note.invoiceNumber || note.id,
+                description: `${note.noteType === 'debit_note' ? 'Debit' : 'Credit'} note on ${inv.invoiceNumber}`,
+                amount,
+                byInvoice: { [inv.id]: amount },
+            });
+        });
+    });
+
+    const recordedByInvoice = {};
+    payments.filter(p => p.status !== 'void').forEach(p => {
+        const applied = getPaymentAllocations(p).filter(a => invoiceIds.has(a.invoiceId));
+        if (!applied.length) return;
+        const byInvoice = {};
+        applied.forEach(a => {
+            byInvoice[a.invoiceId] = round2((byInvoice[a.invoiceId] || 0) - a.amount);
+            recordedByInvoice[a.invoiceId] = round2((recordedByInvoice[a.invoiceId] || 0) + a.amount);
+        });
+        events.push({
+            type: 'payment',
+            date: getPaymentDate(p),
+            reference: p.paymentMethod || 'Payment',
+            description: `${p.reversesPaymentId ? 'Payment reversal' : 'Payment'} — ${applied.map(a => a.invoiceNumber || a.invoiceId).join(', ')}`,
+            amount: -round2(applied.reduce((s, a) => s + a.amount, 0)),
+            byInvoice,
+        });
+    });
+
+    // Invoices marked paid without a payment record
+    invoices.forEach(inv => {
+        const paid = summarizeReceivable(inv, notesByInvoice[inv.id], now).amountPaid;
+        const unrecorded = round2(paid - (recordedByInvoice[inv.id] || 0));
+        if (unrecorded < CENT) return;
+        events.push({
+            type: 'payment',
+            date: toBusinessDate(inv.paidAt || inv.lastPaymentAt || inv.updatedAt),
+            reference: inv.paymentMethod || 'Payment',
+            description: `Payment — ${inv.invoiceNumber}`,
+            amount: -unrecorded,
+            byInvoice: { [inv.id]: -unrecorded },
+        });
+    });
+
+    const dated = events.filter(e => e.date && e.date <= periodEnd);
+    const openingBalance = round2(dated.filter(e => e.date < periodStart).reduce((s, e) => s + e.amount, 0));
+
+    let running = openingBalance;
+    const lines = dated
+        .filter(e => e.date >= periodStart)
+        .sort((a, b) => a.date.localeCompare(b.date) || LINE_ORDER[a.type] - LINE_ORDER[b.type] || a.reference.localeCompare(b.reference))
+        .map(({ byInvoice, ...e }) => {
+            running = round2(running + e.amount);
+            return { ...e, balance: running };
+        });
+
+    const sum = (types, sign = 1) => round2(lines.filter(l => types.includes(l.type)).reduce((s, l) => s + sign * l.amount, 0));
+    const totals = {
+        invoiced: sum(['invoice']),
+        credits: sum(['credit_note'], -1),
+        debits: sum(['debit_note']),
+        payments: sum(['payment'], -1),
+    };
+
+    // Invoices still owing at the end of the period, aged as of that day
+    const balanceAtEnd = {};
+    dated.forEach(e => Object.entries(e.byInvoice).forEach(([id, amount]) => {
+        balanceAtEnd[id] = round2((balanceAtEnd[id] || 0) + amount);
+    }));
+    const openInvoices = invoices
+        .filter(inv => (balanceAtEnd[inv.id] || 0) >= CENT)
+        .map(inv => {
+            const dueDate = getDueDate(inv);
+            return {
+                id: inv.id,
+                invoiceNumber: inv.invoiceNumber || '',
+                invoiceDate: toBusinessDate(inv.invoiceDate || inv.createdAt),
+                dueDate,
+                balanceDue: balanceAtEnd[inv.id],
+                daysOverdue: dueDate ? Math.max(0, daysBetween(dueDate, periodEnd)) : 0,
+            };
+        })
+        .sort(byDueDate);
+
+    return {
+        month,
+        periodStart,
+        periodEnd,
+        openingBalance,
+        closingBalance: running,
+        totals,
+        lines,
+        openInvoices,
+    };
+}
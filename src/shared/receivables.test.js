@@ -0,0 +1,187 @@
+// src/shared/receivables.test.js
+//
+// Unit tests for restaurant receivables: payment application, aging and statements.
+// Run with: npm test -- --watchAll=false --testPathPattern=receivables
+//
+import {
+    getPaymentStatus,
+    summarizeReceivable,
+    allocatePayment,
+    validatePaymentDetails,
+    buildPaymentReversal,
+    buildAgingReport,
+    buildRestaurantStatement,
+    getStatementPeriod,
+} from './receivables';
+
+const NOW = new Date('2026-10-19T16:00:00Z');
+
+const invoice = (id, overrides = {}) => ({
+    id,
+    invoiceNumber: `INV-C-2026-${id}`,
+    restaurantId: 'r1',
+    restaurantName: 'Bistro One',
+    vendorName: 'Fresh Farms',
+    invoiceDate: new Date('2026-09-01T15:00:00Z'),
+    dueDate: '2026-10-01T15:00:00.000Z',
+    subtotal: 100,
+    totalTax: 13,
+    grandTotal: 113,
+    paymentStatus: 'PENDING',
+    ...overrides,
+});
+
+const creditNote = (invoiceId, total, createdAt) => ({
+    id: `cn_${invoiceId}`,
+    noteNumber: 'CN-2026-000001',
+    noteType: 'credit_note',
+    status: 'applied',
+    chainIndex: 1,
+    restaurantInvoiceId: invoiceId,
+    restaurant: { subtotal: total, tax: 0, total },
+    createdAt,
+});
+
+describe('receivables — status', () => {
+    test('status follows the balance and the due date', () => {
+        const due = '2026-10-19';
+        expect(getPaymentStatus({ netTotal: 113, amountPaid: 0, dueDate: due, now: NOW })).toBe('PENDING');
+        expect(getPaymentStatus({ netTotal: 113, amountPaid: 50, dueDate: due, now: NOW })).toBe('PARTIALLY_PAID');
+        expect(getPaymentStatus({ netTotal: 113, amountPaid: 50, dueDate: '2026-10-18', now: NOW })).toBe('OVERDUE');
+        expect(getPaymentStatus({ netTotal: 113, amountPaid: 113, dueDate: '2026-10-18', now: NOW })).toBe('PAID');
+        // 11pm Toronto on the due date is not overdue yet
+        expect(getPaymentStatus({ netTotal: 113, amountPaid: 0, dueDate: '2026-10-19', now: new Date('2026-10-20T03:00:00Z') })).toBe('PENDING');
+    });
+
+    test('the balance is net of notes, and legacy paid invoices count as fully paid', () => {
+        expect(summarizeReceivable(invoice('a', { amountPaid: 50 }), [creditNote('a', -13)], NOW)).toMatchObject({
+            netTotal: 100,
+            amountPaid: 50,
+            balanceDue: 50,
+            dueDate: '2026-10-01',
+            paymentStatus: 'OVERDUE',
+            daysOverdue: 18,
+        });
+        expect(summarizeReceivable(invoice('b', { paymentStatus: 'PAID' }), [], NOW)).toMatchObject({ amountPaid: 113, balanceDue: 0, paymentStatus: 'PAID' });
+        // No dueDate: payment terms from the invoice date
+        expect(summarizeReceivable(invoice('c', { dueDate: undefined }), [], NOW).dueDate).toBe('2026-10-01');
+    });
+});
+
+describe('receivables — allocatePayment', () => {
+    const open = [
+        summarizeReceivable(invoice('new', { dueDate: '2026-11-01' }), [], NOW),
+        summarizeReceivable(invoice('old', { amountPaid: 13 }), [], NOW),
+        summarizeReceivable(invoice('paid', { paymentStatus: 'PAID' }), [], NOW),
+    ];
+
+    test('auto-allocates oldest due first and leaves the rest partially paid', () => {
+        const { valid, allocations } = allocatePayment({ amount: 150, receivables: open });
+        expect(valid).toBe(true);
+        expect(allocations).toEqual([
+            { invoiceId: 'old', invoiceNumber: 'INV-C-2026-old', amount: 100, balanceBefore: 100, balanceAfter: 0 },
+            { invoiceId: 'new', invoiceNumber: 'INV-C-2026-new', amount: 50, balanceBefore: 113, balanceAfter: 63 },
+        ]);
+    });
+
+    test('validates explicit allocations and rejects overpayment', () => {
+        expect(allocatePayment({ amount: 60, receivables: open, allocations: [{ invoiceId: 'new', amount: 60 }] }).allocations[0]).toMatchObject({ amount: 60, balanceAfter: 53 });
+        expect(allocatePayment({ amount: 0, receivables: open }).error).toMatch(/greater than zero/);
+        expect(allocatePayment({ amount: 300, receivables: open }).error).toMatch(/exceeds the open balance by \$87\.00/);
+        expect(allocatePayment({ amount: 10, receivables: open, allocations: [{ invoiceId: 'paid', amount: 10 }] }).error).toMatch(/no open balance/);
+        expect(allocatePayment({ amount: 120, receivables: open, allocations: [{ invoiceId: 'old', amount: 120 }] }).error).toMatch(/exceeds the \$100\.00 owed/);
+        expect(allocatePayment({ amount: 50, receivables: open, allocations: [{ invoiceId: 'old', amount: 40 }] }).error).toMatch(/add up to \$40\.00/);
+        expect(allocatePayment({ amount: 20, receivables: open, allocations: [{ invoiceId: 'old', amount: 10 }, { invoiceId: 'old', amount: 10 }] }).error).toMatch(/allocated twice/);
+    });
+
+    test('each payment method requires its details', () => {
+        expect(validatePaymentDetails('', {})).toMatch(/select a payment method/);
+        expect(validatePaymentDetails('Cheque', { chequeNumber: '101', collectedBy: 'Sam' })).toMatch(/Cheque fields/);
+        expect(validatePaymentDetails('Cash', { receivedBy: 'Sam', paymentDate: '2026-10-19' })).toBeNull();
+    });
+});
+
+describe('receivables — buildPaymentReversal', () => {
+    test('negates what the payment applied, once', () => {
+        const payment = {
+            amount: 163,
+            status: 'applied',
+            allocations: [{ invoiceId: 'sep', invoiceNumber: 'INV-C-2026-sep', amount: 113 }, { invoiceId: 'oct1', invoiceNumber: 'INV-C-2026-oct1', amount: 50 }],
+        };
+        expect(buildPaymentReversal(payment)).toEqual({
+            valid: true,
+            error: null,
+            amount: -163,
+            allocations: [{ invoiceId: 'sep', invoiceNumber: 'INV-C-2026-sep', amount: -113 }, { invoiceId: 'oct1', invoiceNumber: 'INV-C-2026-oct1', amount: -50 }],
+        });
+        // Legacy single-invoice payments
+        expect(buildPaymentReversal({ invoiceId: 'oct2', amount: 113 }).allocations).toEqual([{ invoiceId: 'oct2', invoiceNumber: '', amount: -113 }]);
+        expect(buildPaymentReversal({ ...payment, status: 'reversed', reversedByPaymentId: 'p2' }).error).toMatch(/already been reversed/);
+        expect(buildPaymentReversal({ ...payment, reversesPaymentId: 'p0' }).error).toMatch(/cannot itself be reversed/);
+        expect(buildPaymentReversal(null).error).toMatch(/not found/);
+    });
+});
+
+describe('receivables — buildAgingReport', () => {
+    test('buckets open balances per restaurant by days past due', () => {
+        const report = buildAgingReport([
+            invoice('a', { dueDate: '2026-10-25' }),
+            invoice('b', { dueDate: '2026-10-01', amountPaid: 13 }),
+            invoice('c', { dueDate: '2026-08-01' }),
+            invoice('d', { dueDate: '2026-06-01', restaurantId: 'r2', restaurantName: 'Cafe Two' }),
+            invoice('e', { paymentStatus: 'PAID' }),
+        ], [creditNote('c', -13)], NOW);
+
+        expect(report.asOf).toBe('2026-10-19');
+        expect(report.totals).toEqual({ current: 113, days1to30: 100, days31to60: 0, days61to90: 100, days90plus: 113 });
+        expect(report.total).toBe(426);
+        expect(report.restaurants.map(r => [r.restaurantId, r.invoiceCount, r.total])).toEqual([['r1', 3, 313], ['r2', 1, 113]]);
+        expect(report.restaurants[0].invoices.map(i => i.id)).toEqual(['c', 'b', 'a']);
+    });
+});
+
+describe('receivables — buildRestaurantStatement', () => {
+    test('opening balance, dated lines with a running balance, and the closing balance', () => {
+        const invoices = [
+            invoice('sep', { amountPaid: 113, paymentStatus: 'PAID' }),
+            invoice('oct1', { invoiceDate: new Date('2026-10-02T15:00:00Z'), dueDate: '2026-11-01', amountPaid: 50 }),
+            invoice('oct2', { invoiceDate: new Date('2026-10-05T15:00:00Z'), dueDate: '2026-11-04' }),
+            invoice('legacy', { invoiceDate: new Date('2026-08-20T15:00:00Z'), paymentStatus: 'PAID', paidAt: new Date('2026-10-03T15:00:00Z') }),
+        ];
+        const payments = [
+            {
+                paymentMethod: 'Cheque',
+                chequeDepositDate: '2026-10-10',
+                amount: 163,
+                allocations: [{ invoiceId: 'sep', invoiceNumber: 'INV-C-2026-sep', amount: 113 }, { invoiceId: 'oct1', invoiceNumber: 'INV-C-2026-oct1', amount: 50 }],
+            },
+            { paymentMethod: 'Cash', paymentDate: '2026-11-02', invoiceId: 'oct2', amount: 113 },
+            { paymentMethod: 'Cash', paymentDate: '2026-10-12', status: 'reversed', reversedByPaymentId: 'rev', amount: 20, allocations: [{ invoiceId: 'oct2', amount: 20 }] },
+            { paymentMethod: 'Cash', paymentDate: '2026-10-14', reversesPaymentId: 'bad', amount: -20, allocations: [{ invoiceId: 'oct2', amount: -20 }] },
+        ];
+        const statement = buildRestaurantStatement({
+            month: '2026-10',
+            invoices,
+            adjustments: [creditNote('oct2', -13, new Date('2026-10-06T15:00:00Z'))],
+            payments,
+            now: NOW,
+        });
+
+        expect(statement.openingBalance).toBe(226);
+        expect(statement.lines.map(l => [l.date, l.type, l.amount, l.balance])).toEqual([
+            ['2026-10-02', 'invoice', 113, 339],
+            ['2026-10-03', 'payment', -113, 226],
+            ['2026-10-05', 'invoice', 113, 339],
+            ['2026-10-06', 'credit_note', -13, 326],
+            ['2026-10-10', 'payment', -163, 163],
+            ['2026-10-12', 'payment', -20, 143],
+            ['2026-10-14', 'payment', 20, 163],
+        ]);
+        expect(statement.lines[6].description).toBe('Payment reversal — oct2');
+        expect(statement.totals).toEqual({ invoiced: 226, credits: 13, debits: 0, payments: 276 });
+        expect(statement.closingBalance).toBe(163);
+        expect(statement.openInvoices.map(i => [i.id, i.balanceDue])).toEqual([['oct1', 63], ['oct2', 100]]);
+        expect(getStatementPeriod('2026-02')).toEqual({ periodStart: '2026-02-01', periodEnd: '2026-02-28' });
+        expect(buildRestaurantStatement({ month: '2026-13' })).toBeNull();
+    });
+});
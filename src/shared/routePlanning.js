@@ -0,0 +1,296 @@
+/**
+ * routePlanning.js
+ *
+ * Stop sequencing for route-day dispatches.
+ *
+ *   vendorDispatchRoutes/{routeDispatchId}.items[].drops   — restaurant drops per line
+ *   restaurants/{restaurantId}.location                    — { lat, lng }
+ *   restaurants/{restaurantId}.deliveryWindow              — { start, end } as "HH:MM"
+ *   vendors/{vendorId}.location                            — where the route starts
+ *   vendorDispatchRoutes/{routeDispatchId}.routePlan       — the saved plan
+ *
+ * A route's drops are gathered into one stop per restaurant. Stops are then
+ * sequenced greedily from the depot: the next stop is the one that can be
+ * served soonest (travel plus any wait for its window to open), nearest first
+ * on a tie — unless going there first would make another stop miss a window
+ * it could still make. When every remaining stop would be late, the soonest
+ * is still taken and flagged. Stops without coordinates cannot be placed and
+ * go last, flagged `unlocated`.
+ *
+ * Distances come from a provider — `travel(from, to)` → `{ km, minutes }`.
+ * The default is straight-line (haversine) distance at an average speed, which
+ * needs no network; a road-distance service can be plugged in by precomputing
+ * its matrix with createMatrixProvider().
+ *
+ * Pure — used by the route planning service, the driver manifest and Delivery
+ * Status.
+ */
+
+export const STOP_STATUSES = ['pending', 'arrived', 'delivered', 'skipped'];
+
+export const DEFAULT_PLAN_OPTIONS = {
+    startTime: '06:00',
+    serviceMinutes: 10,
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+// ─── Locations and times ──────────────────────────────────────────────────────
+
+/**
+ * `{ lat, lng }` as numbers, or null when either is missing or out of range.
+ */
+export function normalizeLocation(value) {
+    if (!value || value.lat === '' || value.lng === '' || value.lat == null || value.lng == null) return null;
+    const lat = Number(value.lat);
+    const lng = Number(value.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+/** Minutes after midnight for "7:30" / "07:30"; null when not a time. */
+export function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/** "HH:MM" for minutes after midnight, wrapping past midnight. */
+export function formatClock(minutes) {
+    const total = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * `{ start, end }` as "HH:MM"; either side may be '' (open). A window that
+ * ends before it starts is dropped.
+ */
+export function normalizeTimeWindow(value) {
+    const start = parseClock(value?.start);
+    const end = parseClock(value?.end);
+    if (start != null && end != null && end < start) return { start: '', end: '' };
+    return {
+        start: start == null ? '' : formatClock(start),
+        end: end == null ? '' : formatClock(end),
+    };
+}
+
+/** "08:00–11:00", "after 08:00", "by 11:00" or '' for a window. */
+export function formatTimeWindow(window) {
+    const { start, end } = normalizeTimeWindow(window);
+    if (start && end) return `${start}–${end}`;
+    if (start) return `after ${start}`;
+    if (end) return `by ${end}`;
+    return '';
+}
+
+// ─── Distance providers ───────────────────────────────────────────────────────
+
+/** Great-circle distance in km between two `{ lat, lng }` points. */
+export function haversineKm(a, b) {
+    const rad = deg => (deg * Math.PI) / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Straight-line provider. Roads are longer than the crow flies, so distance
+ * is stretched by `detourFactor` before converting to minutes at `speedKmh`.
+ * @param {{ speedKmh?: number, detourFactor?: number }} [options]
+ */
+export function createHaversineProvider({ speedKmh = 35, detourFactor = 1.3 } = {}) {
+    return {
+        id: 'haversine',
+        label: 'Straight-line estimate',
+        travel(from, to) {
+            const km = haversineKm(from, to) * detourFactor;
+            return { km, minutes: (km / speedKmh) * 60 };
+        },
+    };
+}
+
+/**
+ * Provider over a precomputed matrix, for road-distance services that have
+ * to be called ahead of planning. Pairs missing from the matrix fall back.
+ *
+ * @param {Object<string, { km: number, minutes: number }>} matrix — keyed by getMatrixKey()
+ * @param {Object} [fallback] — provider for pairs not in the matrix
+ * @param {{ id?: string, label?: string }} [meta]
+ */
+export function createMatrixProvider(matrix, fallback = createHaversineProvider(), { id = 'matrix', label = 'Road distance' } = {}) {
+    return {
+        id,
+        label,
+        travel(from, to) {
+            return matrix?.[getMatrixKey(from, to)] || fallback.travel(from, to);
+        },
+    };
+}
+
+/** Matrix key for a leg, from coordinates rounded to about 10 m. */
+export function getMatrixKey(from, to) {
+    const point = p => `${Number(p.lat).toFixed(4)},${Number(p.lng).toFixed(4)}`;
+    return `${point(from)}>${point(to)}`;
+}
+
+// ─── Stops ────────────────────────────────────────────────────────────────────
+
+/** One-line address of a restaurant document. */
+export function formatAddress(restaurant) {
+    return [restaurant?.addressLine1, restaurant?.city, [restaurant?.province, restaurant?.postalCode].filter(Boolean).join(' ')]
+        .filter(Boolean).join(', ');
+}
+
+/**
+ * One stop per restaurant on a route, from its items' `drops`, in the order
+ * restaurants first appear. Routes sent before drops were recorded have no
+ * stops.
+ *
+ * @param {Object} route — `vendorDispatchRoutes` document
+ * @param {Object<string, Object>} restaurantsById — restaurant documents by restaurantId
+ * @returns {Array<{ restaurantId, restaurantName, address, location, timeWindow, items, totalQty }>}
+ */
+export function buildRouteStops(route, restaurantsById = {}) {
+    const stops = new Map();
+    (route?.items || []).forEach(item => {
+        (item.drops || []).forEach(drop => {
+            const qty = Number(drop.qty) || 0;
+            const key = drop.restaurantId || drop.restaurantName;
+            if (qty <= 0 || !key) return;
+            if (!stops.has(key)) {
+                const restaurant = restaurantsById[drop.restaurantId] || {};
+                stops.set(key, {
+                    restaurantId: drop.restaurantId || '',
+                    restaurantName: drop.restaurantName || restaurant.name || drop.restaurantId,
+                    address: formatAddress(restaurant),
+                    location: normalizeLocation(restaurant.location),
+                    timeWindow: normalizeTimeWindow(restaurant.deliveryWindow),
+                    items: [],
+                    totalQty: 0,
+                });
+            }
+            const stop = stops.get(key);
+            stop.items.push({ itemName: item.itemName, packLabel: item.packLabel || '', qty });
+            stop.totalQty += qty;
+        });
+    });
+    return [...stops.values()];
+}
+
+// ─── Planning ─────────────────────────────────────────────────────────────────
+
+const round1 = n => Math.round(n * 10) / 10;
+
+/**
+ * Sequence stops and estimate arrival times.
+ *
+ * @param {Array<Object>} stops — buildRouteStops()
+ * @param {Object} [options]
+ * @param {{ lat, lng }} [options.depot] — route start; without one the route starts at its first stop
+ * @param {Object} [options.provider] — distance provider (haversine by default)
+ * @param {string} [options.startTime] — "HH:MM" the route leaves
+ * @param {number} [options.serviceMinutes] — time spent unloading at each stop
+ * @returns {{ stops: Array<Object>, totalKm, totalMinutes, lateCount, unlocatedCount, startTime, finishTime, provider }}
+ *          each stop adds sequence, travelKm, travelMinutes, eta, waitMinutes,
+ *          departAt and windowStatus 'on_time' | 'late' | 'unlocated'
+ */
+export function planRoute(stops, { depot, provider = createHaversineProvider(), startTime = DEFAULT_PLAN_OPTIONS.startTime, serviceMinutes = DEFAULT_PLAN_OPTIONS.serviceMinutes } = {}) {
+    const start = parseClock(startTime) ?? parseClock(DEFAULT_PLAN_OPTIONS.startTime);
+    const service = Math.max(0, Number(serviceMinutes) || 0);
+    const remaining = (stops || []).filter(s => normalizeLocation(s.location));
+    const unlocated = (stops || []).filter(s => !normalizeLocation(s.location));
+
+    let position = normalizeLocation(depot);
+    let clock = start;
+    const planned = [];
+
+    // Arrival at `stop` leaving `from` at `time`
+    const reach = (from, time, stop) => {
+        const leg = from ? provider.travel(from, stop.location) : { km: 0, minutes: 0 };
+        const arrival = time + leg.minutes;
+        const opens = parseClock(stop.timeWindow?.start);
+        const closes = parseClock(stop.timeWindow?.end);
+        const serveAt = opens != null ? Math.max(arrival, opens) : arrival;
+        return { leg, arrival, serveAt, closes, late: closes != null && serveAt > closes };
+    };
+
+    // Soonest stop to serve from `from` at `time`, skipping one when serving
+    // it first would make another stop miss a window it could still make;
+    // failing that, the tightest window
+    const chooseNext = (from, time) => {
+        const options = remaining.map((stop, index) => ({ index, ...reach(from, time, stop) }));
+        options.sort((a, b) => (a.late - b.late) || (a.serveAt - b.serveAt) || (a.leg.km - b.leg.km));
+        const keepsWindows = option => options.every(other => other === option || other.late || other.closes == null
+            || !reach(remaining[option.index].location, option.serveAt + service, remaining[other.index]).late);
+        const onTime = options.filter(o => !o.late);
+        return onTime.find(keepsWindows)
+            || [...onTime].sort((a, b) => (a.closes ?? Infinity) - (b.closes ?? Infinity))[0]
+            || options[0];
+    };
+
+    while (remaining.length) {
+        const next = chooseNext(position, clock);
+        const stop = remaining.splice(next.index, 1)[0];
+        planned.push({
+            ...stop,
+            sequence: planned.length + 1,
+            travelKm: round1(next.leg.km),
+            travelMinutes: Math.round(next.leg.minutes),
+            eta: formatClock(next.serveAt),
+            waitMinutes: Math.round(next.serveAt - next.arrival),
+            departAt: formatClock(next.serveAt + service),
+            windowStatus: next.late ? 'late' : 'on_time',
+        });
+        position = stop.location;
+        clock = next.serveAt + service;
+    }
+
+    unlocated.forEach(stop => {
+        planned.push({
+            ...stop,
+            sequence: planned.length + 1,
+            travelKm: null,
+            travelMinutes: null,
+            eta: '',
+            waitMinutes: 0,
+            departAt: '',
+            windowStatus: 'unlocated',
+        });
+    });
+
+    return {
+        stops: planned,
+        totalKm: round1(planned.reduce((sum, s) => sum + (s.travelKm || 0), 0)),
+        totalMinutes: Math.round(clock - start),
+        lateCount: planned.filter(s => s.windowStatus === 'late').length,
+        unlocatedCount: unlocated.length,
+        startTime: formatClock(start),
+        finishTime: formatClock(clock),
+        provider: provider.id,
+    };
+}
+
+// ─── Progress ─────────────────────────────────────────────────────────────────
+
+/**
+ * Stop progress of a saved `routePlan`: a stop is done once delivered or
+ * skipped; `next` is the first stop still pending or arrived.
+ * @returns {{ total, delivered, skipped, done, next: Object|null }}
+ */
+export function getStopProgress(routePlan) {
+    const stops = routePlan?.stops || [];
+    const delivered = stops.filter(s => s.status === 'delivered').length;
+    const skipped = stops.filter(s => s.status === 'skipped').length;
+    return {
+        total: stops.length,
+        delivered,
+        skipped,
+        done: delivered + skipped,
+        next: stops.find(s => s.status !== 'delivered' && s.status !== 'skipped') || null,
+    };
+}
@@ -0,0 +1,131 @@
+// src/shared/routePlanning.test.js
+//
+// Unit tests for route planning: stops from drops, stop sequencing, arrival times and stop progress.
+// Run with: npm test -- --watchAll=false --testPathPattern=routePlanning
+//
+import {
+    normalizeLocation,
+    normalizeTimeWindow,
+    formatTimeWindow,
+    haversineKm,
+    createHaversineProvider,
+    createMatrixProvider,
+    getMatrixKey,
+    buildRouteStops,
+    planRoute,
+    getStopProgress,
+} from './routePlanning';
+
+// A provider where one degree of longitude is 10 km and 10 minutes
+const gridProvider = {
+    id: 'grid',
+    travel: (from, to) => ({ km: Math.abs(to.lng - from.lng) * 10, minutes: Math.abs(to.lng - from.lng) * 10 }),
+};
+const at = lng => ({ lat: 0, lng });
+
+describe('routePlanning — locations, windows and distance', () => {
+    test('locations need both coordinates in range', () => {
+        expect(normalizeLocation({ lat: '43.65', lng: -79.38 })).toEqual({ lat: 43.65, lng: -79.38 });
+        expect(normalizeLocation({ lat: 43.65, lng: '' })).toBeNull();
+        expect(normalizeLocation({ lat: 120, lng: 0 })).toBeNull();
+        expect(normalizeLocation(null)).toBeNull();
+    });
+
+    test('time windows are padded, may be open on one side, and must not end before they start', () => {
+        expect(normalizeTimeWindow({ start: '7:30', end: '11:00' })).toEqual({ start: '07:30', end: '11:00' });
+        expect(normalizeTimeWindow({ start: '12:00', end: '09:00' })).toEqual({ start: '', end: '' });
+        expect(formatTimeWindow({ end: '10:00' })).toBe('by 10:00');
+        expect(formatTimeWindow({ start: '25:00' })).toBe('');
+    });
+
+    test('haversine distance, stretched for roads by the default provider', () => {
+        const toronto = { lat: 43.6532, lng: -79.3832 };
+        const mississauga = { lat: 43.589, lng: -79.6441 };
+        expect(haversineKm(toronto, mississauga)).toBeCloseTo(22.2, 0);
+        const leg = createHaversineProvider({ speedKmh: 60, detourFactor: 1 }).travel(toronto, mississauga);
+        expect(leg.minutes).toBeCloseTo(leg.km, 5);
+    });
+
+    test('matrix provider uses precomputed legs and falls back for the rest', () => {
+        const provider = createMatrixProvider({ [getMatrixKey(at(0), at(1))]: { km: 3, minutes: 7 } }, gridProvider);
+        expect(provider.travel(at(0), at(1))).toEqual({ km: 3, minutes: 7 });
+        expect(provider.travel(at(1), at(0))).toEqual({ km: 10, minutes: 10 });
+    });
+});
+
+describe('routePlanning — stops', () => {
+    test('one stop per restaurant with its items, address, location and window', () => {
+        const route = {
+            items: [
+                { itemName: 'Onions', packLabel: '10 lb', drops: [{ restaurantId: 'r1', restaurantName: 'Curry Co', qty: 2 }, { restaurantId: 'r2', restaurantName: 'Tandoor', qty: 1 }] },
+                { itemName: 'Paneer', drops: [{ restaurantId: 'r1', restaurantName: 'Curry Co', qty: 3 }, { restaurantId: 'r2', qty: 0 }] },
+                { itemName: 'Legacy line', qty: 5 },
+            ],
+        };
+        const restaurants = { r1: { addressLine1: '1 King St', city: 'Toronto', province: 'ON', postalCode: 'M5H 1A1', location: { lat: 43.6, lng: -79.4 }, deliveryWindow: { start: '08:00', end: '10:00' } } };
+        const stops = buildRouteStops(route, restaurants);
+        expect(stops).toHaveLength(2);
+        expect(stops[0]).toMatchObject({
+            restaurantId: 'r1',
+            address: '1 King St, Toronto, ON M5H 1A1',
+            location: { lat: 43.6, lng: -79.4 },
+            timeWindow: { start: '08:00', end: '10:00' },
+            totalQty: 5,
+        });
+        expect(stops[0].items.map(i => i.itemName)).toEqual(['Onions', 'Paneer']);
+        expect(stops[1]).toMatchObject({ restaurantName: 'Tandoor', location: null, totalQty: 1 });
+    });
+});
+
+describe('routePlanning — planning', () => {
+    const stop = (id, lng, timeWindow = {}) => ({ restaurantId: id, location: at(lng), timeWindow });
+
+    test('without windows the nearest stop comes next, with arrival times from the start', () => {
+        const plan = planRoute([stop('far', 3), stop('near', 1), stop('mid', 2)], { depot: at(0), provider: gridProvider, startTime: '06:00', serviceMinutes: 5 });
+        expect(plan.stops.map(s => s.restaurantId)).toEqual(['near', 'mid', 'far']);
+        expect(plan.stops.map(s => s.eta)).toEqual(['06:10', '06:25', '06:40']);
+        expect(plan).toMatchObject({ totalKm: 30, totalMinutes: 45, finishTime: '06:45', lateCount: 0, provider: 'grid' });
+    });
+
+    test('a stop whose window has not opened waits behind ones that can be served now', () => {
+        const plan = planRoute([stop('opensLate', 1, { start: '08:00' }), stop('open', 2)], { depot: at(0), provider: gridProvider, startTime: '06:00', serviceMinutes: 0 });
+        expect(plan.stops.map(s => s.restaurantId)).toEqual(['open', 'opensLate']);
+        expect(plan.stops[1]).toMatchObject({ eta: '08:00', waitMinutes: 90, windowStatus: 'on_time' });
+    });
+
+    test('a stop goes first when serving the nearer one first would make it miss its window', () => {
+        const plan = planRoute([stop('near', 1), stop('closesSoon', 3, { end: '06:35' })], { depot: at(0), provider: gridProvider, startTime: '06:00', serviceMinutes: 10 });
+        expect(plan.stops.map(s => s.restaurantId)).toEqual(['closesSoon', 'near']);
+        expect(plan.lateCount).toBe(0);
+    });
+
+    test('late stops are flagged; stops without coordinates go last', () => {
+        const plan = planRoute([
+            { restaurantId: 'nowhere', location: null, timeWindow: {} },
+            stop('missed', 5, { end: '06:10' }),
+        ], { depot: at(0), provider: gridProvider, startTime: '06:00' });
+        expect(plan.stops.map(s => [s.restaurantId, s.windowStatus])).toEqual([['missed', 'late'], ['nowhere', 'unlocated']]);
+        expect(plan.stops[1]).toMatchObject({ sequence: 2, eta: '', travelKm: null });
+        expect(plan).toMatchObject({ lateCount: 1, unlocatedCount: 1 });
+    });
+
+    test('without a depot the route starts at its first stop', () => {
+        const plan = planRoute([stop('a', 4), stop('b', 5)], { provider: gridProvider, startTime: '07:00', serviceMinutes: 0 });
+        expect(plan.stops[0]).toMatchObject({ restaurantId: 'a', eta: '07:00', travelKm: 0 });
+        expect(plan.totalKm).toBe(10);
+    });
+});
+
+describe('routePlanning — progress', () => {
+    test('delivered and skipped stops are done; the next stop is the first still open', () => {
+        const progress = getStopProgress({ stops: [
+            { restaurantId: 'a', status: 'delivered' },
+            { restaurantId: 'b', status: 'skipped' },
+            { restaurantId: 'c', status: 'arrived' },
+            { restaurantId: 'd', status: 'pending' },
+        ] });
+        expect(progress).toMatchObject({ total: 4, delivered: 1, skipped: 1, done: 2 });
+        expect(progress.next.restaurantId).toBe('c');
+        expect(getStopProgress(null)).toEqual({ total: 0, delivered: 0, skipped: 0, done: 0, next: null });
+    });
+});
@@ -0,0 +1,262 @@
+/**
+ * slaMonitor.js
+ *
+ * Turns stuck-state and SLA-breach detections into deduplicated operations
+ * alerts with a severity-driven escalation ladder.
+ *
+ *   operationsAlerts/{alertId}   — one document per entity per status
+ *   operationsConfig/global      — thresholds and the admin on call
+ *
+ * An alert is keyed by entity + status, so repeated runs update the same
+ * document instead of piling up copies. Each run escalates an open alert by
+ * at most one level, up to the level its severity allows:
+ *
+ *   1  in-app notification   (medium and above)
+ *   2  email to the vendor    (high and above)
+ *   3  email to admin on call (critical)
+ *
+ * Acknowledged alerts stop escalating; snoozed alerts stay quiet until the
+ * snooze ends. Alerts whose condition has gone away are cleared; a resolved
+ * alert whose condition is still detected is reopened.
+ *
+ * Pure — used by functions/slaMonitor.js and the Control Tower Operations tab.
+ */
+
+import { DEFAULT_THRESHOLDS, detectStuckOrders, detectStuckDispatches, detectSLABreaches, severityRank } from './stuckStateDetector.js';
+
+export const ACTIVE_ALERT_STATES = ['open', 'acknowledged', 'snoozed'];
+
+export const ESCALATION_LEVELS = [
+    { level: 1, channel: 'in_app', label: 'In-app notification' },
+    { level: 2, channel: 'vendor_email', label: 'Email to vendor contact' },
+    { level: 3, channel: 'admin_email', label: 'Email to admin on call' },
+];
+
+const LEVEL_BY_SEVERITY = { medium: 1, high: 2, critical: 3 };
+
+export const MAX_SNOOZE_HOURS = 168;
+
+/**
+ * Shape of `operationsConfig/global`.
+ */
+export const DEFAULT_SLA_MONITOR_CONFIG = {
+    thresholds: { ...DEFAULT_THRESHOLDS },
+    confirmationHours: 4,
+    deliveryHours: 24,
+    defaultSnoozeHours: 4,
+    onCallAdminName: '',
+    onCallAdminEmail: '',
+};
+
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+const positiveHours = (value, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+/**
+ * Merge a raw `operationsConfig/global` document over the defaults, dropping
+ * anything that is not a positive number of hours.
+ */
+export function normalizeSlaMonitorConfig(raw = {}) {
+    const d = DEFAULT_SLA_MONITOR_CONFIG;
+    const thresholds = {};
+    Object.keys(d.thresholds).forEach(key => {
+        thresholds[key] = positiveHours(raw?.thresholds?.[key], d.thresholds[key]);
+    });
+    return {
+        thresholds,
+        confirmationHours: positiveHours(raw?.confirmationHours, d.confirmationHours),
+        deliveryHours: positiveHours(raw?.deliveryHours, d.deliveryHours),
+        defaultSnoozeHours: Math.min(positiveHours(raw?.defaultSnoozeHours, d.defaultSnoozeHours), MAX_SNOOZE_HOURS),
+        onCallAdminName: typeof raw?.onCallAdminName === 'string' ? raw.onCallAdminName.trim() : '',
+        onCallAdminEmail: typeof raw?.onCallAdminEmail === 'string' ? raw.onCallAdminEmail.trim() : '',
+    };
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+
+/**
+ * Document id for an entity's alert while it sits in `status`.
+ */
+export function getAlertId(entityType, entityId, status) {
+    const statusKey = String(status || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return `${entityType}_${entityId}_${statusKey}`;
+}
+
+/**
+ * Highest escalation level an alert of this severity may reach.
+ */
+export function getEscalationLevel(severity) {
+    return LEVEL_BY_SEVERITY[severity] || 1;
+}
+
+/**
+ * Run every detector and merge the results into one alert per entity + status.
+ * When a stuck check and an SLA breach fire for the same entity, the more
+ * severe reading wins and both checks are listed.
+ *
+ * @param {Object} params
+ * @param {Array}  params.orders — `marketplaceOrders` docs ({ id, ...data })
+ * @param {Array}  params.dispatches — `vendorDispatches` docs ({ id, ...data })
+ * @param {Object} [params.config] — normalizeSlaMonitorConfig() output
+ * @param {Date}   [params.now]
+ * @returns {Array<Object>} alerts sorted most severe first
+ */
+export function collectSlaAlerts({ orders = [], dispatches = [], config = DEFAULT_SLA_MONITOR_CONFIG, now = new Date() }) {
+    const nowMs = now.getTime();
+    const byId = new Map();
+
+    const add = (raw, check) => {
+        const alertId = getAlertId(raw.entityType, raw.id, raw.status);
+        const alert = {
+            alertId,
+            entityType: raw.entityType,
+            entityId: raw.id,
+            entityStatus: raw.status,
+            vendorId: raw.vendorId || null,
+            vendorName: raw.vendorName || null,
+            severity: raw.severity,
+            message: raw.message,
+            hoursInStatus: raw.stuckHours ?? null,
+            threshold: raw.threshold ?? null,
+            checks: [check],
+        };
+        const prev = byId.get(alertId);
+        if (!prev) {
+            byId.set(alertId, alert);
+        } else {
+            const winner = severityRank(alert.severity) > severityRank(prev.severity) ? alert : prev;
+            byId.set(alertId, { ...winner, checks: [...new Set([...prev.checks, check])] });
+        }
+    };
+
+    detectStuckOrders(orders, config.thresholds, nowMs).forEach(a => add(a, 'stuck'));
+    detectStuckDispatches(dispatches, config.thresholds, nowMs).forEach(a => add(a, 'stuck'));
+
+    const { breached } = detectSLABreaches(dispatches, config, nowMs);
+    breached.forEach(b => {
+        const limit = b.type === 'confirmation' ? config.confirmationHours : config.deliveryHours;
+        add({
+            entityType: 'dispatch',
+            id: b.id,
+            status: b.status,
+            vendorId: b.vendorId,
+            vendorName: b.vendorName,
+            severity: b.hoursOverdue >= limit ? 'critical' : 'high',
+            message: `SLA breach: ${b.message}`,
+            stuckHours: Math.round(limit + b.hoursOverdue),
+            threshold: limit,
+        }, `sla_${b.type}`);
+    });
+
+    return [...byId.values()].sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+}
+
+// ─── Dedup & Escalation ───────────────────────────────────────────────────────
+
+/**
+ * Work out what to write for this run.
+ *
+ * @param {Object} params
+ * @param {Object} params.existing — { alertId → stored alert } for every active alert plus any stored doc for a detected id
+ * @param {Array}  params.detected — collectSlaAlerts() output
+ * @param {Date}   [params.now]
+ * @returns {{ writes: Array<{ alertId: string, data: Object, escalation: Object|null, isNew: boolean }>, cleared: Array<{ alertId: string, data: Object }> }}
+ */
+export function reconcileAlerts({ existing = {}, detected = [], now = new Date() }) {
+    const nowIso = now.toISOString();
+    const writes = [];
+    const detectedIds = new Set();
+
+    detected.forEach(alert => {
+        detectedIds.add(alert.alertId);
+        const prev = existing[alert.alertId] || null;
+        const reopened = !!prev && !ACTIVE_ALERT_STATES.includes(prev.state);
+        const fresh = !prev || reopened;
+        const snoozeOver = prev?.state === 'snoozed' && (!prev.snoozedUntil || prev.snoozedUntil <= nowIso);
+
+        const state = fresh || snoozeOver ? 'open' : prev.state;
+        const sentLevel = fresh ? 0 : Number(prev.escalationLevel) || 0;
+        const nextLevel = state === 'open' && sentLevel < getEscalationLevel(alert.severity) ? sentLevel + 1 : null;
+        const peakSeverity = !fresh && severityRank(prev.peakSeverity) > severityRank(alert.severity) ? prev.peakSeverity : alert.severity;
+
+        const data = {
+            ...alert,
+            state,
+            peakSeverity,
+            escalationLevel: nextLevel || sentLevel,
+            firstDetectedAt: fresh ? nowIso : prev.firstDetectedAt || nowIso,
+            lastDetectedAt: nowIso,
+            detectionCount: (fresh ? 0 : Number(prev.detectionCount) || 0) + 1,
+        };
+        if (fresh) {
+            Object.assign(data, {
+                escalations: [],
+                history: reopened ? [...(prev.history || []), { action: 'reopened', by: 'system', at: nowIso, note: '' }] : [],
+                acknowledgedBy: null,
+                acknowledgedAt: null,
+                snoozedUntil: null,
+                resolvedBy: null,
+                resolvedAt: null,
+                clearedAt: null,
+            });
+        }
+        if (snoozeOver) data.snoozedUntil = null;
+
+        writes.push({
+            alertId: alert.alertId,
+            data,
+            escalation: nextLevel ? ESCALATION_LEVELS[nextLevel - 1] : null,
+            isNew: fresh,
+        });
+    });
+
+    const cleared = Object.entries(existing)
+        .filter(([alertId, alert]) => !detectedIds.has(alertId) && ACTIVE_ALERT_STATES.includes(alert.state))
+        .map(([alertId]) => ({ alertId, data: { state: 'cleared', clearedAt: nowIso } }));
+
+    return { writes, cleared };
+}
+
+// ─── Operator Actions ─────────────────────────────────────────────────────────
+
+const ACTION_FROM_STATES = {
+    acknowledge: ['open', 'snoozed'],
+    snooze: ['open', 'acknowledged'],
+    resolve: ['open', 'acknowledged', 'snoozed'],
+};
+
+/**
+ * Apply an operator action to a stored alert.
+ *
+ * @param {Object} alert — stored alert
+ * @param {'acknowledge'|'snooze'|'resolve'} action
+ * @param {Object} [options]
+ * @param {string} [options.actor]
+ * @param {number} [options.snoozeHours] — 1–168, defaults to 4
+ * @param {string} [options.note]
+ * @param {Date}   [options.now]
+ * @returns {{ valid: boolean, error?: string, update?: Object }}
+ */
+export function applyAlertAction(alert, action, { actor = 'system', snoozeHours, note = '', now = new Date() } = {}) {
+    const allowed = ACTION_FROM_STATES[action];
+    if (!allowed) return { valid: false, error: `Unknown alert action "${action}".` };
+    if (!allowed.includes(alert?.state)) {
+        return { valid: false, error: `Cannot ${action} an alert that is ${alert?.state || 'missing'}.` };
+    }
+
+    const nowIso = now.toISOString();
+    const update = { history: [...(alert.history || []), { action, by: actor, at: nowIso, note: note || '' }] };
+
+    if (action === 'acknowledge') {
+        Object.assign(update, { state: 'acknowledged', acknowledgedBy: actor, acknowledgedAt: nowIso, snoozedUntil: null });
+    } else if (action === 'snooze') {
+        const hours = Math.min(positiveHours(snoozeHours, DEFAULT_SLA_MONITOR_CONFIG.defaultSnoozeHours), MAX_SNOOZE_HOURS);
+        Object.assign(update, { state: 'snoozed', snoozedUntil: new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString() });
+    } else {
+        Object.assign(update, { state: 'resolved', resolvedBy: actor, resolvedAt: nowIso, resolutionNote: note || '' });
+    }
+    return { valid: true, update };
+}
@@ -0,0 +1,181 @@
+// src/shared/slaMonitor.test.js
+//
+// Unit tests for SLA alert collection, dedup/escalation and operator actions.
+// Run with: npm test -- --watchAll=false --testPathPattern=slaMonitor
+//
+import {
+    collectSlaAlerts,
+    reconcileAlerts,
+    applyAlertAction,
+    normalizeSlaMonitorConfig,
+    getAlertId,
+    MAX_SNOOZE_HOURS,
+} from './slaMonitor';
+
+const NOW = new Date('2026-03-02T12:00:00.000Z');
+const hoursAgo = (h) => new Date(NOW.getTime() - h * 60 * 60 * 1000).toISOString();
+const hoursLater = (h) => new Date(NOW.getTime() + h * 60 * 60 * 1000).toISOString();
+
+const config = normalizeSlaMonitorConfig({});
+
+const detectedAlert = (overrides = {}) => ({
+    alertId: 'order_o1_pending_confirmation',
+    entityType: 'order',
+    entityId: 'o1',
+    entityStatus: 'pending_confirmation',
+    vendorId: 'v1',
+    vendorName: 'Fresh Farms',
+    severity: 'critical',
+    message: 'Order o1 waiting for vendor confirmation',
+    hoursInStatus: 10,
+    threshold: 4,
+    checks: ['stuck'],
+    ...overrides,
+});
+
+describe('slaMonitor — config', () => {
+    test('falls back to defaults for missing or invalid values', () => {
+        const c = normalizeSlaMonitorConfig({
+            thresholds: { sent_not_confirmed: 6, issue_unresolved: -1 },
+            confirmationHours: 'soon',
+            defaultSnoozeHours: 1000,
+            onCallAdminEmail: ' ops@restiq.ca ',
+        });
+        expect(c.thresholds.sent_not_confirmed).toBe(6);
+        expect(c.thresholds.issue_unresolved).toBe(config.thresholds.issue_unresolved);
+        expect(c.confirmationHours).toBe(4);
+        expect(c.defaultSnoozeHours).toBe(MAX_SNOOZE_HOURS);
+        expect(c.onCallAdminEmail).toBe('ops@restiq.ca');
+    });
+});
+
+describe('slaMonitor — collectSlaAlerts', () => {
+    test('keys one alert per entity and status and merges overlapping checks', () => {
+        const alerts = collectSlaAlerts({
+            orders: [
+                { id: 'o1', status: 'pending_confirmation', vendorId: 'v1', timestamps: { pending_confirmation: hoursAgo(5) } },
+                { id: 'o2', status: 'pending_confirmation', timestamps: { pending_confirmation: hoursAgo(1) } },
+                { id: 'o3', status: 'fulfilled', timestamps: { fulfilled: hoursAgo(500) } },
+            ],
+            dispatches: [
+                { id: 'd1', status: 'Sent', vendorId: 'v2', vendorName: 'Acme', routeDay: 'Monday', timestamps: { Sent: hoursAgo(13) } },
+            ],
+            config,
+            now: NOW,
+        });
+
+        expect(alerts.map(a => a.alertId)).toEqual(['dispatch_d1_sent', 'order_o1_pending_confirmation']);
+        const [dispatch, order] = alerts;
+        expect(dispatch).toMatchObject({ severity: 'critical', vendorId: 'v2', entityStatus: 'Sent' });
+        expect(dispatch.checks.sort()).toEqual(['sla_confirmation', 'stuck']);
+        expect(order).toMatchObject({ severity: 'medium', vendorId: 'v1', hoursInStatus: 5, threshold: 4 });
+    });
+
+    test('measures time in status from the audit log, never from updatedAt, and covers every in-flight dispatch status', () => {
+        const alerts = collectSlaAlerts({
+            orders: [
+                {
+                    id: 'o1', status: 'pending_confirmation', updatedAt: hoursAgo(0.5), createdAt: hoursAgo(30),
+                    auditLog: [{ fromStatus: 'new', toStatus: 'pending_confirmation', timestamp: hoursAgo(6) }],
+                },
+                { id: 'o2', status: 'pending_confirmation', updatedAt: hoursAgo(9), createdAt: hoursAgo(1) },
+            ],
+            dispatches: [
+                { id: 'd1', status: 'Vendor Reviewing', vendorName: 'Acme', routeDay: 'Monday', updatedAt: hoursAgo(0.5), timestamps: { Sent: hoursAgo(6) } },
+                { id: 'd2', status: 'Packed', vendorName: 'Acme', routeDay: 'Thursday', timestamps: { Confirmed: hoursAgo(30), Packed: hoursAgo(2) } },
+            ],
+            config,
+            now: NOW,
+        });
+
+        expect(alerts.map(a => a.alertId).sort()).toEqual(['dispatch_d1_vendor_reviewing', 'dispatch_d2_packed', 'order_o1_pending_confirmation']);
+        expect(alerts.find(a => a.entityId === 'o1').hoursInStatus).toBe(6);
+    });
+
+    test('builds stable ids from any status spelling', () => {
+        expect(getAlertId('dispatch', 'd1', 'Out for Delivery')).toBe('dispatch_d1_out_for_delivery');
+        expect(getAlertId('order', 'o1', 'delivery_in_route')).toBe('order_o1_delivery_in_route');
+    });
+});
+
+describe('slaMonitor — reconcileAlerts', () => {
+    test('opens a new alert at level 1 and escalates one level per run up to its severity', () => {
+        const first = reconcileAlerts({ existing: {}, detected: [detectedAlert()], now: NOW });
+        expect(first.writes[0]).toMatchObject({ isNew: true, escalation: { level: 1, channel: 'in_app' } });
+        expect(first.writes[0].data).toMatchObject({ state: 'open', escalationLevel: 1, detectionCount: 1, firstDetectedAt: NOW.toISOString() });
+
+        const stored = { [first.writes[0].alertId]: first.writes[0].data };
+        const second = reconcileAlerts({ existing: stored, detected: [detectedAlert()], now: NOW });
+        expect(second.writes[0]).toMatchObject({ isNew: false, escalation: { level: 2, channel: 'vendor_email' } });
+        expect(second.writes[0].data.detectionCount).toBe(2);
+
+        const capped = reconcileAlerts({
+            existing: { order_o1_pending_confirmation: { ...first.writes[0].data, escalationLevel: 1 } },
+            detected: [detectedAlert({ severity: 'medium' })],
+            now: NOW,
+        });
+        expect(capped.writes[0].escalation).toBeNull();
+        expect(capped.writes[0].data.peakSeverity).toBe('critical');
+    });
+
+    test('does not escalate acknowledged alerts or snoozes that are still running', () => {
+        const existing = {
+            order_o1_pending_confirmation: { state: 'acknowledged', escalationLevel: 1 },
+            dispatch_d1_sent: { state: 'snoozed', escalationLevel: 1, snoozedUntil: hoursLater(2) },
+        };
+        const { writes } = reconcileAlerts({
+            existing,
+            detected: [detectedAlert(), detectedAlert({ alertId: 'dispatch_d1_sent', entityType: 'dispatch', entityId: 'd1' })],
+            now: NOW,
+        });
+        expect(writes.map(w => [w.data.state, w.escalation])).toEqual([['acknowledged', null], ['snoozed', null]]);
+    });
+
+    test('reopens an expired snooze and resumes escalation', () => {
+        const { writes } = reconcileAlerts({
+            existing: { order_o1_pending_confirmation: { state: 'snoozed', escalationLevel: 1, snoozedUntil: hoursAgo(1) } },
+            detected: [detectedAlert()],
+            now: NOW,
+        });
+        expect(writes[0].data).toMatchObject({ state: 'open', snoozedUntil: null, escalationLevel: 2 });
+        expect(writes[0].escalation.level).toBe(2);
+    });
+
+    test('reopens a resolved alert that is detected again and clears alerts that went away', () => {
+        const { writes, cleared } = reconcileAlerts({
+            existing: {
+                order_o1_pending_confirmation: { state: 'resolved', escalationLevel: 3, history: [{ action: 'resolve', by: 'Admin' }] },
+                dispatch_d9_sent: { state: 'open', escalationLevel: 1 },
+                dispatch_d8_sent: { state: 'resolved', escalationLevel: 1 },
+            },
+            detected: [detectedAlert()],
+            now: NOW,
+        });
+        expect(writes[0]).toMatchObject({ isNew: true, escalation: { level: 1 } });
+        expect(writes[0].data.history.map(h => h.action)).toEqual(['resolve', 'reopened']);
+        expect(writes[0].data.escalations).toEqual([]);
+        expect(cleared).toEqual([{ alertId: 'dispatch_d9_sent', data: { state: 'cleared', clearedAt: NOW.toISOString() } }]);
+    });
+});
+
+describe('slaMonitor — applyAlertAction', () => {
+    test('acknowledge, snooze and resolve record who acted', () => {
+        const open = { state: 'open', history: [] };
+
+        const ack = applyAlertAction(open, 'acknowledge', { actor: 'Priya', now: NOW });
+        expect(ack.update).toMatchObject({ state: 'acknowledged', acknowledgedBy: 'Priya', acknowledgedAt: NOW.toISOString() });
+
+        const snooze = applyAlertAction(open, 'snooze', { actor: 'Priya', snoozeHours: 500, now: NOW });
+        expect(snooze.update).toMatchObject({ state: 'snoozed', snoozedUntil: hoursLater(MAX_SNOOZE_HOURS) });
+
+        const resolve = applyAlertAction(open, 'resolve', { actor: 'Priya', note: 'Vendor called', now: NOW });
+        expect(resolve.update).toMatchObject({ state: 'resolved', resolvedBy: 'Priya', resolutionNote: 'Vendor called' });
+        expect(resolve.update.history).toEqual([{ action: 'resolve', by: 'Priya', at: NOW.toISOString(), note: 'Vendor called' }]);
+    });
+
+    test('rejects unknown actions and actions on closed alerts', () => {
+        expect(applyAlertAction({ state: 'open' }, 'escalate').valid).toBe(false);
+        expect(applyAlertAction({ state: 'resolved' }, 'acknowledge')).toMatchObject({ valid: false, error: expect.stringMatching(/resolved/) });
+        expect(applyAlertAction({ state: 'snoozed' }, 'snooze').valid).toBe(false);
+    });
+});
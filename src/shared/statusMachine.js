@@ -0,0 +1,351 @@
+/**
+ * statusMachine.js
+ *
+ * The one definition of the order and dispatch lifecycles.
+ *
+ *   order    — `marketplaceOrders.status`  (snake_case, e.g. `pending_fulfillment`)
+ *   dispatch — `vendorDispatches.status`   (title case, e.g. `Out for Delivery`)
+ *
+ * Each state lists the states it may move to, the timestamp field stamped on
+ * entering it, the fields a caller may write alongside the move, and who may
+ * move a document into it (`by`: the vendor or restaurant it belongs to —
+ * superadmins may make any move). Status
+ * changes are applied only by the `transitionStatus` callable
+ * (functions/statusTransitions.js), which validates the move with this module,
+ * stamps the timestamps and appends the audit entry; Firestore rules reject
+ * direct client writes to `status`. The React app uses the same definitions to
+ * decide which actions to offer.
+ *
+ * Pure — no Firestore imports.
+ */
+
+// Restaurants have this long after delivery to confirm or raise an issue
+export const REVIEW_WINDOW_HOURS = 48;
+
+const ORDER_FIELDS = {
+    acceptance: ['pickupDate', 'pickupTime', 'items', 'subtotalBeforeTax', 'totalTax', 'grandTotalAfterTax', 'total'],
+    cancellation: ['cancelReason'],
+    // Proof of delivery: received quantities on the items, totals repriced at them
+    delivery: ['items', 'proofOfDeliveryId', 'orderedTotals', 'subtotalBeforeTax', 'totalTax', 'grandTotalAfterTax', 'total'],
+    resolution: ['issueStatus', 'resolutionAction', 'items', 'subtotalBeforeTax', 'totalTax', 'grandTotalAfterTax', 'total'],
+};
+
+/**
+ * `marketplaceOrders` lifecycle.
+ */
+export const ORDER_STATUS_MACHINE = {
+    entity: 'order',
+    collection: 'marketplaceOrders',
+    initial: ['new', 'pending_confirmation'],
+    states: {
+        new: {
+            label: 'New',
+            next: ['pending_confirmation', 'cancelled_by_customer', 'cancelled'],
+        },
+        pending_confirmation: {
+            label: 'Pending Confirmation',
+            next: ['pending_fulfillment', 'pending_customer_approval', 'rejected', 'cancelled_by_vendor', 'cancelled_by_customer', 'cancelled'],
+            by: ['restaurant'],
+        },
+        pending_customer_approval: {
+            label: 'Pending Customer Approval',
+            next: ['pending_fulfillment', 'cancelled_by_vendor', 'cancelled_by_customer', 'cancelled'],
+            fields: ORDER_FIELDS.acceptance,
+            by: ['vendor'],
+        },
+        pending_fulfillment: {
+            label: 'Pending Fulfillment',
+            next: ['delivery_in_route', 'delivered_awaiting_confirmation', 'cancelled_by_vendor', 'cancelled'],
+            stamp: 'acceptedAt',
+            fields: ORDER_FIELDS.acceptance,
+            // The vendor accepts the order; the restaurant approves the vendor's changes
+            by: { pending_confirmation: ['vendor'], pending_customer_approval: ['restaurant'] },
+        },
+        delivery_in_route: {
+            label: 'In Route',
+            next: ['delivered_awaiting_confirmation'],
+            stamp: 'inRouteAt',
+            by: ['vendor'],
+        },
+        delivered_awaiting_confirmation: {
+            label: 'Delivered — Awaiting Confirmation',
+            next: ['fulfilled', 'in_review'],
+            stamp: 'deliveredAt',
+            fields: ORDER_FIELDS.delivery,
+            by: ['vendor'],
+        },
+        in_review: {
+            label: 'In Review',
+            next: ['fulfilled', 'refund_initiated'],
+            stamp: 'reviewOpenedAt',
+            fields: ['issueStatus', 'issueDetails'],
+            by: ['restaurant'],
+        },
+        refund_initiated: {
+            label: 'Refund Initiated',
+            next: ['fulfilled'],
+            stamp: 'refundInitiatedAt',
+            fields: ORDER_FIELDS.resolution,
+        },
+        fulfilled: { label: 'Fulfilled', next: [], stamp: 'fulfilledAt', fields: ORDER_FIELDS.resolution, by: { delivered_awaiting_confirmation: ['restaurant'] } },
+        rejected: { label: 'Rejected', next: [], stamp: 'cancelledAt', fields: ORDER_FIELDS.cancellation, by: ['vendor'] },
+        cancelled_by_vendor: { label: 'Cancelled by Vendor', next: [], stamp: 'cancelledAt', fields: ORDER_FIELDS.cancellation, by: ['vendor'] },
+        cancelled_by_customer: { label: 'Cancelled by Customer', next: [], stamp: 'cancelledAt', fields: ORDER_FIELDS.cancellation, by: ['restaurant'] },
+        cancelled: { label: 'Cancelled', next: [], stamp: 'cancelledAt', fields: ORDER_FIELDS.cancellation },
+    },
+};
+
+/**
+ * `vendorDispatches` lifecycle.
+ */
+export const DISPATCH_STATUS_MACHINE = {
+    entity: 'dispatch',
+    collection: 'vendorDispatches',
+    initial: ['Draft', 'Sent'],
+    states: {
+        'Draft': { label: 'Draft', next: ['Sent'] },
+        'Sent': {
+            label: 'Sent',
+            next: ['Vendor Reviewing', 'Confirmed', 'Partially Confirmed', 'Rejected', 'Cancelled'],
+            stamp: 'sentAt',
+        },
+        'Vendor Reviewing': {
+            label: 'Reviewing',
+            next: ['Confirmed', 'Partially Confirmed', 'Rejected', 'Cancelled'],
+            by: ['vendor'],
+        },
+        'Confirmed': {
+            label: 'Confirmed',
+            next: ['Packed', 'Warehouse Ready', 'Delivered', 'Cancelled'],
+            stamp: 'confirmedAt',
+            fields: ['confirmationNotes', 'estimatedDeliveryTime'],
+            by: ['vendor'],
+        },
+        'Partially Confirmed': {
+            label: 'Partial',
+            next: ['Confirmed', 'Packed', 'Warehouse Ready', 'Delivered', 'Rejected', 'Cancelled'],
+            stamp: 'confirmedAt',
+            fields: ['confirmationNotes', 'estimatedDeliveryTime', 'partialReason', 'items'],
+            by: ['vendor'],
+        },
+        'Packed': {
+            label: 'Packed',
+            next: ['Out for Delivery', 'Delivered', 'Cancelled'],
+            stamp: 'packedAt',
+            by: ['vendor'],
+        },
+        'Warehouse Ready': {
+            label: 'Warehouse',
+            next: ['Out for Delivery', 'Delivered'],
+            stamp: 'warehouseReadyAt',
+            by: ['vendor'],
+        },
+        'Out for Delivery': {
+            label: 'Out for Delivery',
+            next: ['Delivered', 'Delivery Delayed', 'Delivery Failed'],
+            stamp: 'outForDeliveryAt',
+            fields: ['estimatedDeliveryTime'],
+            by: ['vendor'],
+        },
+        'Delivery Delayed': {
+            label: 'Delayed',
+            next: ['Out for Delivery', 'Delivered', 'Delivery Failed'],
+            stamp: 'delayedAt',
+            fields: ['delayReason', 'estimatedDeliveryTime'],
+            by: ['vendor'],
+        },
+        'Delivery Failed': {
+            label: 'Delivery Failed',
+            next: ['Out for Delivery', 'Cancelled'],
+            stamp: 'failedAt',
+            fields: ['failureReason'],
+            by: ['vendor'],
+        },
+        'Delivered': { label: 'Delivered', next: ['Closed'], stamp: 'deliveredAt', by: ['vendor'] },
+        'Rejected': {
+            label: 'Rejected',
+            next: ['Sent', 'Closed'],
+            stamp: 'rejectedAt',
+            fields: ['rejectionReason', 'confirmationNotes'],
+            by: ['vendor'],
+        },
+        'Cancelled': {
+            label: 'Cancelled',
+            next: [],
+            stamp: 'cancelledAt',
+            fields: ['cancellationType', 'cancellationReason', 'cancelledItems'],
+            by: ['vendor'],
+        },
+        'Closed': { label: 'Closed', next: [], stamp: 'closedAt' },
+    },
+};
+
+export const STATUS_MACHINES = {
+    order: ORDER_STATUS_MACHINE,
+    dispatch: DISPATCH_STATUS_MACHINE,
+};
+
+/**
+ * @param {'order'|'dispatch'} entity
+ * @returns {Object} the machine definition
+ */
+export function getStatusMachine(entity) {
+    const machine = STATUS_MACHINES[entity];
+    if (!machine) throw new Error(`Unknown status entity "${entity}"`);
+    return machine;
+}
+
+/**
+ * States reachable in one move from `status` (empty for terminal and unknown states).
+ */
+export function getAllowedTransitions(entity, status) {
+    return getStatusMachine(entity).states[status]?.next || [];
+}
+
+export function canTransition(entity, from, to) {
+    return getAllowedTransitions(entity, from).includes(to);
+}
+
+export function isTerminalStatus(entity, status) {
+    const state = getStatusMachine(entity).states[status];
+    return !!state && state.next.length === 0;
+}
+
+export function getTerminalStatuses(entity) {
+    return Object.keys(getStatusMachine(entity).states).filter(s => isTerminalStatus(entity, s));
+}
+
+export function getStatusLabel(entity, status) {
+    return getStatusMachine(entity).states[status]?.label || status || 'Unknown';
+}
+
+/**
+ * Who, besides a superadmin, may make one move: `'vendor'` and/or
+ * `'restaurant'` — the parties of the order or dispatch.
+ *
+ * @returns {Array<string>}
+ */
+export function getTransitionParties(entity, from, to) {
+    const by = getStatusMachine(entity).states[to]?.by;
+    if (Array.isArray(by)) return by;
+    return by?.[from] || [];
+}
+
+/**
+ * Check one move. Unknown states are rejected, not waved through.
+ *
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateStatusTransition(entity, from, to) {
+    const machine = getStatusMachine(entity);
+    if (!machine.states[to]) {
+        return { valid: false, error: `Unknown ${entity} status "${to}".` };
+    }
+    if (!machine.states[from]) {
+        return { valid: false, error: `${entity === 'order' ? 'Order' : 'Dispatch'} is in unknown status "${from}".` };
+    }
+    if (!canTransition(entity, from, to)) {
+        const allowed = getAllowedTransitions(entity, from);
+        return {
+            valid: false,
+            error: `Cannot move ${entity} from "${from}" to "${to}". Allowed: ${allowed.length > 0 ? allowed.join(', ') : 'none (final status)'}.`,
+        };
+    }
+    return { valid: true };
+}
+
+/**
+ * The document update for one validated move. Only the target state's
+ * `fields` are taken from `fields`; `status`, timestamps and the audit log
+ * always come from here.
+ *
+ * @param {'order'|'dispatch'} entity
+ * @param {Object} current — the document as stored
+ * @param {string} to — target status
+ * @param {Object} [options]
+ * @param {Object} [options.fields] — extra fields sent by the caller
+ * @param {string} [options.actor] — display name of who made the move
+ * @param {string} [options.reason]
+ * @param {Array<{ action: string, reason?: string }>} [options.notes] — caller's own audit lines (e.g. per-item edits), logged before the status change
+ * @param {Date} [options.now]
+ * @param {*} [options.stampValue] — value for the state's timestamp field (the server passes serverTimestamp())
+ * @returns {{ update: Object, auditEntry: Object }}
+ */
+export function buildTransitionUpdate(entity, current, to, { fields = {}, actor = 'system', reason = '', notes = [], now = new Date(), stampValue } = {}) {
+    const machine = getStatusMachine(entity);
+    const from = current?.status || '';
+    const target = machine.states[to];
+    const nowIso = now.toISOString();
+
+    const update = {};
+    (target.fields || []).forEach(key => {
+        if (fields[key] !== undefined) update[key] = fields[key];
+    });
+    update.status = to;
+    if (target.stamp) update[target.stamp] = stampValue ?? nowIso;
+    update.timestamps = { ...(current?.timestamps || {}), [to]: nowIso };
+
+    if (entity === 'order' && to === 'delivered_awaiting_confirmation') {
+        update.reviewWindowEndsAt = new Date(now.getTime() + REVIEW_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+    }
+    if (update.resolutionAction) {
+        update.resolutionAction = { ...update.resolutionAction, resolvedBy: actor || 'system', resolvedAt: stampValue ?? nowIso };
+        update.resolvedAt = stampValue ?? nowIso;
+    }
+
+    const noteEntries = (Array.isArray(notes) ? notes : [])
+        .filter(n => n && typeof n.action === 'string' && n.action)
+        .map(n => ({ action: n.action, reason: typeof n.reason === 'string' ? n.reason : '', timestamp: nowIso, user: actor || 'system' }));
+    const auditEntry = {
+        action: `Status changed from ${getStatusLabel(entity, from)} to ${getStatusLabel(entity, to)}`,
+        fromStatus: from,
+        toStatus: to,
+        reason: reason || '',
+        timestamp: nowIso,
+        user: actor || 'system',
+    };
+    update.auditLog = [...(current?.auditLog || []), ...noteEntries, auditEntry];
+
+    return { update, auditEntry };
+}
+
+// ─── Marketplace Orders in Dispatch Views ─────────────────────────────────────
+
+const DISPATCH_VIEW_OF_ORDER = {
+    new: 'Sent',
+    pending_confirmation: 'Sent',
+    pending_customer_approval: 'Pending Customer Approval',
+    pending_fulfillment: 'Confirmed',
+    delivery_in_route: 'Out for Delivery',
+    delivered_awaiting_confirmation: 'Delivered',
+    fulfilled: 'Delivered',
+    refund_initiated: 'Vendor Reviewing',
+    in_review: 'Vendor Reviewing',
+    rejected: 'Rejected',
+    cancelled_by_vendor: 'Rejected',
+    cancelled: 'Rejected',
+    cancelled_by_customer: 'Cancelled by Customer',
+};
+
+/**
+ * Dispatch-style status a marketplace order is shown with in the vendor
+ * dispatch pages.
+ */
+export function toDispatchViewStatus(orderStatus) {
+    return DISPATCH_VIEW_OF_ORDER[orderStatus] || 'Sent';
+}
+
+const ORDER_STATUS_FOR_DISPATCH_ACTION = {
+    'Confirmed': 'pending_fulfillment',
+    'Packed': 'pending_fulfillment',
+    'Out for Delivery': 'delivery_in_route',
+    'Delivered': 'delivered_awaiting_confirmation',
+    'Rejected': 'cancelled_by_vendor',
+};
+
+/**
+ * Marketplace order status a dispatch-page action moves the order to.
+ */
+export function toOrderStatusForDispatchAction(dispatchStatus) {
+    return ORDER_STATUS_FOR_DISPATCH_ACTION[dispatchStatus] || null;
+}
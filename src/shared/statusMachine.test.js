@@ -0,0 +1,121 @@
+// src/shared/statusMachine.test.js
+//
+// Unit tests for the shared order/dispatch state machine.
+// Run with: npm test -- --watchAll=false --testPathPattern=statusMachine
+//
+import {
+    REVIEW_WINDOW_HOURS,
+    STATUS_MACHINES,
+    canTransition,
+    getTerminalStatuses,
+    getTransitionParties,
+    validateStatusTransition,
+    buildTransitionUpdate,
+    toDispatchViewStatus,
+    toOrderStatusForDispatchAction,
+} from './statusMachine';
+
+const NOW = new Date('2026-03-02T10:00:00.000Z');
+
+describe('statusMachine — transitions', () => {
+    test('every listed next state exists in its machine', () => {
+        Object.values(STATUS_MACHINES).forEach(machine => {
+            Object.values(machine.states).forEach(state => {
+                state.next.forEach(next => expect(machine.states[next]).toBeDefined());
+            });
+        });
+    });
+
+    test('allows the normal order path and rejects skipped steps', () => {
+        expect(canTransition('order', 'pending_confirmation', 'pending_fulfillment')).toBe(true);
+        expect(canTransition('order', 'pending_fulfillment', 'delivery_in_route')).toBe(true);
+        expect(canTransition('order', 'delivered_awaiting_confirmation', 'fulfilled')).toBe(true);
+        expect(canTransition('order', 'pending_confirmation', 'fulfilled')).toBe(false);
+        expect(canTransition('order', 'delivery_in_route', 'cancelled_by_vendor')).toBe(false);
+    });
+
+    test('terminal statuses have no way out', () => {
+        expect(getTerminalStatuses('order')).toEqual(
+            expect.arrayContaining(['fulfilled', 'rejected', 'cancelled_by_vendor', 'cancelled_by_customer', 'cancelled'])
+        );
+        expect(getTerminalStatuses('dispatch').sort()).toEqual(['Cancelled', 'Closed']);
+        expect(validateStatusTransition('order', 'fulfilled', 'in_review').valid).toBe(false);
+    });
+
+    test('each move names the party that may make it', () => {
+        expect(getTransitionParties('order', 'pending_confirmation', 'pending_fulfillment')).toEqual(['vendor']);
+        expect(getTransitionParties('order', 'pending_customer_approval', 'pending_fulfillment')).toEqual(['restaurant']);
+        expect(getTransitionParties('order', 'delivered_awaiting_confirmation', 'fulfilled')).toEqual(['restaurant']);
+        expect(getTransitionParties('order', 'in_review', 'fulfilled')).toEqual([]);
+        expect(getTransitionParties('order', 'pending_confirmation', 'cancelled')).toEqual([]);
+        expect(getTransitionParties('dispatch', 'Sent', 'Confirmed')).toEqual(['vendor']);
+        expect(getTransitionParties('dispatch', 'Rejected', 'Sent')).toEqual([]);
+    });
+
+    test('rejects unknown statuses instead of waving them through', () => {
+        expect(validateStatusTransition('order', 'pending_confirmation', 'confirmed').valid).toBe(false);
+        expect(validateStatusTransition('dispatch', 'Shipped', 'Delivered').valid).toBe(false);
+        expect(validateStatusTransition('dispatch', 'Sent', 'Confirmed')).toEqual({ valid: true });
+        expect(() => validateStatusTransition('invoice', 'a', 'b')).toThrow(/Unknown status entity/);
+    });
+});
+
+describe('statusMachine — buildTransitionUpdate', () => {
+    test('keeps only the target state\'s fields and stamps the move', () => {
+        const current = { status: 'Sent', timestamps: { Sent: '2026-03-01T00:00:00.000Z' }, auditLog: [] };
+        const { update, auditEntry } = buildTransitionUpdate('dispatch', current, 'Rejected', {
+            fields: { rejectionReason: 'Out of stock', status: 'Delivered', vendorPayout: 0 },
+            actor: 'Fresh Farms',
+            reason: 'Out of stock',
+            now: NOW,
+        });
+
+        expect(update.status).toBe('Rejected');
+        expect(update.rejectionReason).toBe('Out of stock');
+        expect(update.vendorPayout).toBeUndefined();
+        expect(update.rejectedAt).toBe(NOW.toISOString());
+        expect(update.timestamps).toEqual({ Sent: '2026-03-01T00:00:00.000Z', Rejected: NOW.toISOString() });
+        expect(auditEntry).toMatchObject({ fromStatus: 'Sent', toStatus: 'Rejected', reason: 'Out of stock', user: 'Fresh Farms' });
+        expect(update.auditLog).toEqual([auditEntry]);
+    });
+
+    test('uses the caller\'s stamp value and opens the review window on delivery', () => {
+        const stamp = { _serverTimestamp: true };
+        const { update } = buildTransitionUpdate('order', { status: 'delivery_in_route' }, 'delivered_awaiting_confirmation', {
+            now: NOW,
+            stampValue: stamp,
+        });
+        expect(update.deliveredAt).toBe(stamp);
+        expect(new Date(update.reviewWindowEndsAt) - NOW).toBe(REVIEW_WINDOW_HOURS * 60 * 60 * 1000);
+    });
+
+    test('logs caller notes before the status entry and records who resolved', () => {
+        const current = { status: 'in_review', auditLog: [{ action: 'Issue raised' }] };
+        const { update } = buildTransitionUpdate('order', current, 'fulfilled', {
+            fields: { issueStatus: 'resolved', resolutionAction: { type: 'credit', details: '' } },
+            notes: [{ action: 'Item "Onion" qty adjusted from 4 to 3', reason: 'Damaged' }, { reason: 'no action' }],
+            actor: 'Admin',
+            now: NOW,
+        });
+
+        expect(update.auditLog.map(e => e.action)).toEqual([
+            'Issue raised',
+            'Item "Onion" qty adjusted from 4 to 3',
+            'Status changed from In Review to Fulfilled',
+        ]);
+        expect(update.resolutionAction).toMatchObject({ type: 'credit', resolvedBy: 'Admin', resolvedAt: NOW.toISOString() });
+        expect(update.resolvedAt).toBe(NOW.toISOString());
+    });
+});
+
+describe('statusMachine — marketplace orders in dispatch views', () => {
+    test('maps order statuses to dispatch display statuses and back', () => {
+        expect(toDispatchViewStatus('pending_confirmation')).toBe('Sent');
+        expect(toDispatchViewStatus('delivery_in_route')).toBe('Out for Delivery');
+        expect(toDispatchViewStatus('fulfilled')).toBe('Delivered');
+        expect(toDispatchViewStatus('unknown')).toBe('Sent');
+        expect(toOrderStatusForDispatchAction('Packed')).toBe('pending_fulfillment');
+        expect(toOrderStatusForDispatchAction('Rejected')).toBe('cancelled_by_vendor');
+        expect(toOrderStatusForDispatchAction('Closed')).toBeNull();
+    });
+});
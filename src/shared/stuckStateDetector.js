@@ -2,22 +2,36 @@
  * stuckStateDetector.js
  *
  * Detects orders/dispatches stuck in intermediate states and SLA breaches.
- * Surface alerts in Control Tower → Exceptions tab.
+ * Run every 30 minutes against live `marketplaceOrders` and `vendorDispatches`
+ * by the SLA monitor (functions/slaMonitor.js); open breaches are listed in
+ * Control Tower → Operations.
+ *
+ * Time in a status is measured from when the record entered it:
+ * `timestamps[status]` (written by the transitionStatus callable), else the
+ * status's stamp field from statusMachine.js, else the latest `auditLog` entry
+ * moving into the status, else `createdAt` for records created in it.
+ * `updatedAt` is never used — any edit would restart the clock.
+ *
+ * Pure — every detector takes `now` so the server and tests share one clock.
  *
  * Usage:
- *   import { detectStuckOrders, detectSLABreaches } from '../services/stuckStateDetector';
+ *   import { detectStuckOrders, detectSLABreaches } from '../shared/stuckStateDetector';
  *   const stuckAlerts = detectStuckOrders(orders);
  *   const slaAlerts = detectSLABreaches(dispatches);
  */
 
+import { STATUS_MACHINES } from './statusMachine.js';
+
 // ── Default SLA Thresholds (hours) ──────────────────────────────────────────
 
-const DEFAULT_THRESHOLDS = {
+export const DEFAULT_THRESHOLDS = {
     submitted_not_aggregated: 24,      // 24h to aggregate after submission
     aggregated_not_dispatched: 12,     // 12h to dispatch after aggregation
     sent_not_confirmed: 4,            // 4h for vendor to confirm
+    approval_not_answered: 24,        // 24h for the restaurant to approve vendor changes
     confirmed_not_warehouse: 8,       // 8h to create warehouse picks
     warehouse_not_delivered: 24,      // 24h delivery window
+    in_route_not_delivered: 12,       // 12h from leaving the warehouse to delivery
     issue_unresolved: 48,            // 48h to resolve an issue
 };
 
@@ -25,34 +39,36 @@ const DEFAULT_THRESHOLDS = {
 
 /**
  * Detect orders stuck in intermediate states beyond threshold times.
+ * Covers `marketplaceOrders` statuses and the `submittedOrders` aggregation steps.
  *
- * @param {Array} orders - Array of order objects with { id, status, updatedAt, createdAt }
+ * @param {Array} orders - Array of order objects with { id, status, timestamps?, auditLog?, createdAt }
  * @param {Object} [thresholds] - Override thresholds in hours
+ * @param {number} [now] - epoch ms
  * @returns {Array<{ id: string, status: string, stuckHours: number, severity: string, message: string }>}
  */
-export function detectStuckOrders(orders = [], thresholds = {}) {
+export function detectStuckOrders(orders = [], thresholds = {}, now = Date.now()) {
     const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
-    const now = Date.now();
     const alerts = [];
 
     const stuckChecks = [
-        { status: 'submitted',          threshold: t.submitted_not_aggregated,    nextExpected: 'aggregated',       message: 'submitted but not yet aggregated' },
-        { status: 'aggregated',         threshold: t.aggregated_not_dispatched,   nextExpected: 'sent_to_vendor',   message: 'aggregated but not dispatched' },
-        { status: 'sent_to_vendor',     threshold: t.sent_not_confirmed,         nextExpected: 'vendor_confirmed', message: 'sent to vendor but not confirmed' },
-        { status: 'vendor_confirmed',   threshold: t.confirmed_not_warehouse,    nextExpected: 'warehouse_ready',  message: 'confirmed but no warehouse picks' },
-        { status: 'warehouse_ready',    threshold: t.warehouse_not_delivered,     nextExpected: 'delivered',        message: 'warehouse ready but not delivered' },
-        { status: 'issue_open',         threshold: t.issue_unresolved,           nextExpected: 'closed',           message: 'issue open for too long' },
+        { status: 'submitted',                 threshold: t.submitted_not_aggregated,  nextExpected: 'aggregated',                      message: 'submitted but not yet aggregated' },
+        { status: 'aggregated',                threshold: t.aggregated_not_dispatched, nextExpected: 'sent to vendor',                  message: 'aggregated but not dispatched' },
+        { status: 'pending_confirmation',      threshold: t.sent_not_confirmed,        nextExpected: 'pending_fulfillment',             message: 'waiting for vendor confirmation' },
+        { status: 'pending_customer_approval', threshold: t.approval_not_answered,     nextExpected: 'pending_fulfillment',             message: 'waiting for restaurant approval of vendor changes' },
+        { status: 'pending_fulfillment',       threshold: t.warehouse_not_delivered,   nextExpected: 'delivery_in_route',               message: 'accepted but not out for delivery' },
+        { status: 'delivery_in_route',         threshold: t.in_route_not_delivered,    nextExpected: 'delivered_awaiting_confirmation', message: 'in route but not delivered' },
+        { status: 'in_review',                 threshold: t.issue_unresolved,          nextExpected: 'fulfilled',                       message: 'issue open for too long' },
     ];
 
     for (const order of orders) {
         const orderStatus = (order.status || order.orderStatus || '').toLowerCase().trim();
-        const updatedAt = toMs(order.updatedAt || order.createdAt);
+        const enteredAt = getStatusEnteredAt('order', order, order.status || order.orderStatus);
 
-        if (!updatedAt) continue;
+        if (!enteredAt) continue;
 
         for (const check of stuckChecks) {
             if (orderStatus === check.status) {
-                const hoursStuck = (now - updatedAt) / (1000 * 60 * 60);
+                const hoursStuck = (now - enteredAt) / (1000 * 60 * 60);
 
                 if (hoursStuck > check.threshold) {
                     const severity = hoursStuck > check.threshold * 2 ? 'critical'
@@ -63,11 +79,13 @@ export function detectStuckOrders(orders = [], thresholds = {}) {
                         id: order.id,
                         entityType: 'order',
                         status: orderStatus,
+                        vendorId: order.vendorId || null,
+                        vendorName: order.vendorName || null,
                         stuckHours: Math.round(hoursStuck),
                         threshold: check.threshold,
                         severity,
                         nextExpected: check.nextExpected,
-                        message: `Order ${order.id?.slice(-6) || '?'} ${check.message} for ${Math.round(hoursStuck)}h (SLA: ${check.threshold}h)`,
+                        message: `Order ${order.orderGroupId || order.id?.slice(-6) || '?'} ${check.message} for ${Math.round(hoursStuck)}h (SLA: ${check.threshold}h)`,
                     });
                 }
                 break;
@@ -81,20 +99,20 @@ export function detectStuckOrders(orders = [], thresholds = {}) {
 /**
  * Detect dispatches stuck in intermediate states.
  *
- * @param {Array} dispatches - Array of dispatch route objects with { routeDispatchId, status, sentAt, confirmedAt }
+ * @param {Array} dispatches - Array of dispatch route objects with { routeDispatchId, status, timestamps?, sentAt, confirmedAt, outForDeliveryAt, auditLog? }
  * @param {Object} [thresholds]
+ * @param {number} [now] - epoch ms
  * @returns {Array<{ id: string, status: string, stuckHours: number, severity: string, message: string }>}
  */
-export function detectStuckDispatches(dispatches = [], thresholds = {}) {
+export function detectStuckDispatches(dispatches = [], thresholds = {}, now = Date.now()) {
     const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
-    const now = Date.now();
     const alerts = [];
 
     for (const d of dispatches) {
         const status = (d.status || '').trim();
 
-        if (status === 'Sent') {
-            const sentAt = toMs(d.sentAt);
+        if (status === 'Sent' || status === 'Vendor Reviewing') {
+            const sentAt = getStatusEnteredAt('dispatch', d, 'Sent');
             if (sentAt) {
                 const hours = (now - sentAt) / (1000 * 60 * 60);
                 if (hours > t.sent_not_confirmed) {
@@ -102,6 +120,8 @@ export function detectStuckDispatches(dispatches = [], thresholds = {}) {
                         id: d.routeDispatchId || d.id,
                         entityType: 'dispatch',
                         status,
+                        vendorId: d.vendorId || null,
+                        vendorName: d.vendorName || null,
                         stuckHours: Math.round(hours),
                         threshold: t.sent_not_confirmed,
                         severity: hours > t.sent_not_confirmed * 3 ? 'critical' : hours > t.sent_not_confirmed * 2 ? 'high' : 'medium',
@@ -112,7 +132,7 @@ export function detectStuckDispatches(dispatches = [], thresholds = {}) {
         }
 
         if (status === 'Confirmed' || status === 'Partially Confirmed') {
-            const confirmedAt = toMs(d.confirmedAt);
+            const confirmedAt = getConfirmedAt(d);
             if (confirmedAt) {
                 const hours = (now - confirmedAt) / (1000 * 60 * 60);
                 if (hours > t.confirmed_not_warehouse) {
@@ -120,6 +140,8 @@ export function detectStuckDispatches(dispatches = [], thresholds = {}) {
                         id: d.routeDispatchId || d.id,
                         entityType: 'dispatch',
                         status,
+                        vendorId: d.vendorId || null,
+                        vendorName: d.vendorName || null,
                         stuckHours: Math.round(hours),
                         threshold: t.confirmed_not_warehouse,
                         severity: hours > t.confirmed_not_warehouse * 2 ? 'high' : 'medium',
@@ -128,6 +150,26 @@ export function detectStuckDispatches(dispatches = [], thresholds = {}) {
                 }
             }
         }
+
+        if (status === 'Out for Delivery' || status === 'Delivery Delayed') {
+            const leftAt = getStatusEnteredAt('dispatch', d, 'Out for Delivery');
+            if (leftAt) {
+                const hours = (now - leftAt) / (1000 * 60 * 60);
+                if (hours > t.in_route_not_delivered) {
+                    alerts.push({
+                        id: d.routeDispatchId || d.id,
+                        entityType: 'dispatch',
+                        status,
+                        vendorId: d.vendorId || null,
+                        vendorName: d.vendorName || null,
+                        stuckHours: Math.round(hours),
+                        threshold: t.in_route_not_delivered,
+                        severity: hours > t.in_route_not_delivered * 2 ? 'critical' : status === 'Delivery Delayed' ? 'high' : 'medium',
+                        message: `Dispatch from ${d.vendorName || '?'} out for delivery ${Math.round(hours)}h — not delivered (SLA: ${t.in_route_not_delivered}h)`,
+                    });
+                }
+            }
+        }
     }
 
     return alerts.sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
@@ -142,11 +184,11 @@ export function detectStuckDispatches(dispatches = [], thresholds = {}) {
  * @param {Object} [slaConfig]
  * @param {number} [slaConfig.confirmationHours=4] - Max hours for vendor to confirm
  * @param {number} [slaConfig.deliveryHours=24] - Max hours from confirmed to delivered
+ * @param {number} [now] - epoch ms
  * @returns {{ atRisk: Array, breached: Array, summary: { totalChecked: number, atRiskCount: number, breachedCount: number }}}
  */
-export function detectSLABreaches(dispatches = [], slaConfig = {}) {
+export function detectSLABreaches(dispatches = [], slaConfig = {}, now = Date.now()) {
     const { confirmationHours = 4, deliveryHours = 24 } = slaConfig;
-    const now = Date.now();
     const atRisk = [];
     const breached = [];
 
@@ -154,8 +196,8 @@ export function detectSLABreaches(dispatches = [], slaConfig = {}) {
         const status = (d.status || '').trim();
 
         // Confirmation SLA check
-        if (status === 'Sent') {
-            const sentAt = toMs(d.sentAt);
+        if (status === 'Sent' || status === 'Vendor Reviewing') {
+            const sentAt = getStatusEnteredAt('dispatch', d, 'Sent');
             if (sentAt) {
                 const hours = (now - sentAt) / (1000 * 60 * 60);
                 const remaining = confirmationHours - hours;
@@ -164,6 +206,8 @@ export function detectSLABreaches(dispatches = [], slaConfig = {}) {
                     breached.push({
                         id: d.routeDispatchId || d.id,
                         type: 'confirmation',
+                        status,
+                        vendorId: d.vendorId || null,
                         vendorName: d.vendorName,
                         routeDay: d.routeDay,
                         hoursOverdue: Math.round(Math.abs(remaining)),
@@ -173,6 +217,8 @@ export function detectSLABreaches(dispatches = [], slaConfig = {}) {
                     atRisk.push({
                         id: d.routeDispatchId || d.id,
                         type: 'confirmation',
+                        status,
+                        vendorId: d.vendorId || null,
                         vendorName: d.vendorName,
                         routeDay: d.routeDay,
                         hoursRemaining: Math.round(remaining),
@@ -183,8 +229,8 @@ export function detectSLABreaches(dispatches = [], slaConfig = {}) {
         }
 
         // Delivery SLA check
-        if (status === 'Confirmed' || status === 'Warehouse Ready') {
-            const confirmedAt = toMs(d.confirmedAt || d.updatedAt);
+        if (status === 'Confirmed' || status === 'Partially Confirmed' || status === 'Packed' || status === 'Warehouse Ready') {
+            const confirmedAt = getConfirmedAt(d);
             if (confirmedAt) {
                 const hours = (now - confirmedAt) / (1000 * 60 * 60);
                 const remaining = deliveryHours - hours;
@@ -193,6 +239,8 @@ export function detectSLABreaches(dispatches = [], slaConfig = {}) {
                     breached.push({
                         id: d.routeDispatchId || d.id,
                         type: 'delivery',
+                        status,
+                        vendorId: d.vendorId || null,
                         vendorName: d.vendorName,
                         routeDay: d.routeDay,
                         hoursOverdue: Math.round(Math.abs(remaining)),
@@ -202,6 +250,8 @@ export function detectSLABreaches(dispatches = [], slaConfig = {}) {
                     atRisk.push({
                         id: d.routeDispatchId || d.id,
                         type: 'delivery',
+                        status,
+                        vendorId: d.vendorId || null,
                         vendorName: d.vendorName,
                         routeDay: d.routeDay,
                         hoursRemaining: Math.round(remaining),
@@ -225,6 +275,42 @@ export function detectSLABreaches(dispatches = [], slaConfig = {}) {
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
+/**
+ * When a record entered a status, in epoch ms, or null when nothing says.
+ *
+ * @param {'order'|'dispatch'} entity
+ * @param {Object} record — order or dispatch doc
+ * @param {string} status
+ * @returns {number|null}
+ */
+export function getStatusEnteredAt(entity, record, status) {
+    if (!record || !status) return null;
+    const fromTimestamps = toMs(record.timestamps?.[status]);
+    if (fromTimestamps) return fromTimestamps;
+
+    const stamp = STATUS_MACHINES[entity]?.states[status]?.stamp;
+    const fromStamp = stamp ? toMs(record[stamp]) : null;
+    if (fromStamp) return fromStamp;
+
+    const log = Array.isArray(record.auditLog) ? record.auditLog : [];
+    for (let i = log.length - 1; i >= 0; i--) {
+        if (log[i]?.toStatus === status) {
+            const fromAudit = toMs(log[i].timestamp);
+            if (fromAudit) return fromAudit;
+        }
+    }
+    // No transition into the status recorded — it was created in it
+    return toMs(record.createdAt);
+}
+
+// A partial confirmation followed by a full one keeps the earlier clock
+function getConfirmedAt(d) {
+    const times = ['Partially Confirmed', 'Confirmed']
+        .map(s => getStatusEnteredAt('dispatch', d, s))
+        .filter(Boolean);
+    return times.length ? Math.min(...times) : null;
+}
+
 function toMs(ts) {
     if (!ts) return null;
     if (ts.toDate && typeof ts.toDate === 'function') return ts.toDate().getTime();
@@ -234,6 +320,6 @@ function toMs(ts) {
     return null;
 }
 
-function severityRank(s) {
+export function severityRank(s) {
     return { critical: 3, high: 2, medium: 1, low: 0 }[s] || 0;
 }
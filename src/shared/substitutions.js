@@ -0,0 +1,403 @@
+/**
+ * substitutions.js
+ *
+ * Substitute items a vendor proposes for lines it cannot fill.
+ *
+ *   vendorDispatches.substitutions[]   — proposals on a dispatch line, per route day
+ *   marketplaceOrders.substitutions[]  — proposals on an order line
+ *   vendorDispatchRoutes.items[]       — the route day's lines, once accepted
+ *   correctionEntries                  — the restaurant's forecast line, annotated
+ *
+ * A vendor proposes an item from its own catalog, with pack size and price,
+ * for some or all of a line's quantity; a superadmin, or the restaurant the
+ * line goes to, accepts or declines it. Accepting takes the quantity off the original line — recorded
+ * as `substitutedDayQtys` / `substitutedQty`, not as unavailable — and adds
+ * the substitute as a line of its own (`substitutionFor`), with the original
+ * line's restaurant drops split between the two. Pick lists and invoices
+ * read those lines as they are; demand history keeps counting the original
+ * item.
+ *
+ * Pure — used by the dispatch lifecycle service and the dispatch page.
+ */
+
+import { getItemDayQtys, DEFAULT_DELIVERY_DAYS } from './deliverySchedules.js';
+import { getLineKey } from './proofOfDelivery.js';
+
+export const SUBSTITUTION_STATUSES = ['proposed', 'accepted', 'declined'];
+
+// Statuses past which lines can no longer change
+const CLOSED_DISPATCH_STATUSES = ['Delivered', 'Closed', 'Rejected', 'Cancelled', 'Cancelled by Customer'];
+const OPEN_ORDER_STATUSES = ['new', 'pending_confirmation', 'pending_customer_approval', 'pending_fulfillment', 'delivery_in_route'];
+
+const BILLING_FIELDS = ['lineRestaurantBilling', 'lineVendorPayout', 'lineMarketplaceCommission'];
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+const toQty = (value) => Math.max(0, Math.round(Number(value) || 0));
+
+// ─── Proposals ────────────────────────────────────────────────────────────────
+
+/**
+ * Whether substitutions can still be proposed or accepted.
+ * @param {'dispatch'|'marketplace'} source
+ * @param {string} status — `vendorDispatches.status` or `marketplaceOrders.status`
+ */
+export function canSubstitute(source, status) {
+    return source === 'marketplace'
+        ? OPEN_ORDER_STATUSES.includes(status)
+        : !CLOSED_DISPATCH_STATUSES.includes(status);
+}
+
+/** Substitutions on one line (and route day, for dispatches). */
+export function getLineSubstitutions(substitutions, lineKey, routeDay = '') {
+    return (substitutions || []).filter(s => s.lineKey === lineKey && (s.routeDay || '') === routeDay);
+}
+
+/**
+ * Quantity of a line still open to a substitute: what is still on the line
+ * for the day, less what open proposals already cover. Accepted
+ * substitutions have already been taken off the line.
+ *
+ * @param {Object} record — `vendorDispatches` or `marketplaceOrders` document
+ * @param {string} lineKey
+ * @param {string} [routeDay] — dispatch route day; '' for orders
+ */
+export function getSubstitutableQty(record, lineKey, routeDay = '') {
+    const items = record?.items || [];
+    const index = items.findIndex((item, i) => getLineKey(item, i) === lineKey);
+    if (index < 0) return 0;
+    const item = items[index];
+    const onLine = routeDay ? toQty(getItemDayQtys(item)[routeDay]) : toQty(item.qty ?? item.quantity);
+    const proposed = getLineSubstitutions(record.substitutions, lineKey, routeDay)
+        .filter(s => s.status === 'proposed')
+        .reduce((sum, s) => sum + toQty(s.qty), 0);
+    return Math.max(0, onLine - proposed);
+}
+
+/**
+ * Id of the next proposal on a line and route day — `sub_{lineKey}_{routeDay}_{n}`,
+ * numbered after the proposals already on it — so the same proposal gets
+ * the same id however often it is sent.
+ *
+ * @param {Array<Object>} substitutions — the record's `substitutions`
+ * @param {string} lineKey
+ * @param {string} [routeDay]
+ */
+export function getSubstitutionId(substitutions, lineKey, routeDay = '') {
+    const n = getLineSubstitutions(substitutions, lineKey, routeDay).length + 1;
+    return ['sub', String(lineKey).replace(/\//g, '_'), routeDay, n].filter(Boolean).join('_');
+}
+
+/**
+ * An open proposal of the same substitute and quantity on the line and day —
+ * a proposal sent again, which should not be added twice.
+ */
+export function findOpenProposal(substitutions, { lineKey, routeDay = '', qty, substitute }) {
+    return getLineSubstitutions(substitutions, lineKey, routeDay).find(s => s.status === 'proposed'
+        && s.qty === toQty(qty)
+        && s.substituteVendorItemId === (substitute?.vendorItemId || '')
+        && s.substituteItemName === substitute?.itemName) || null;
+}
+
+/**
+ * The restaurant that may answer a proposal itself: the order's restaurant,
+ * or the one restaurant a dispatch line's drops for the day go to. Lines
+ * split between restaurants are left to a superadmin.
+ *
+ * @param {'dispatch'|'marketplace'} source
+ * @param {Object} record — `vendorDispatches` or `marketplaceOrders` document
+ * @param {Object} substitution
+ * @returns {string} restaurant id, or '' when none
+ */
+export function getRespondingRestaurantId(source, record, substitution) {
+    if (source === 'marketplace') return record?.restaurantId || '';
+    const item = (record?.items || []).find((line, i) => getLineKey(line, i) === substitution.lineKey);
+    const ids = [...new Set((item?.dayDrops?.[substitution.routeDay] || []).map(d => d.restaurantId).filter(Boolean))];
+    return ids.length === 1 ? ids[0] : '';
+}
+
+/**
+ * Whether a user may accept or decline a proposal: superadmins always,
+ * restaurant users for their own restaurant (getRespondingRestaurantId).
+ *
+ * @param {{ role?: string, restaurantId?: string }} user
+ * @param {'dispatch'|'marketplace'} source
+ * @param {Object} record
+ * @param {Object} substitution
+ */
+export function canRespondToSubstitution({ role, restaurantId } = {}, source, record, substitution) {
+    const normalized = String(role || '').trim().toLowerCase();
+    if (normalized === 'superadmin') return true;
+    return normalized === 'restaurant' && !!restaurantId
+        && getRespondingRestaurantId(source, record, substitution) === restaurantId;
+}
+
+/**
+ * Problems that stop a proposal being sent.
+ *
+ * @param {{ qty, maxQty, original: Object, substitute: Object }} proposal —
+ *        `substitute` is a vendor catalog item with the proposed `price`
+ * @returns {Array<string>}
+ */
+export function validateSubstitution({ qty, maxQty, original, substitute }) {
+    const errors = [];
+    if (!substitute?.itemName) errors.push('Choose a substitute item from your catalog.');
+    else if (substitute.vendorItemId && substitute.vendorItemId === original?.vendorItemId) errors.push('Choose an item other than the one ordered.');
+    const n = Number(qty);
+    if (!Number.isInteger(n) || n <= 0) errors.push('Enter how many to substitute.');
+    else if (n > maxQty) errors.push(`Only ${maxQty} can still be substituted on this line.`);
+    if (!(Number(substitute?.price) > 0)) errors.push('Enter the substitute price.');
+    return errors;
+}
+
+/**
+ * A new proposal. Keeps `originalItemName` / `substituteItemName` /
+ * `substituteQty` / `substituteUnit`, the fields of substitutions registered
+ * before proposals could be accepted.
+ *
+ * @param {Object} params
+ * @param {string} params.id
+ * @param {Object} params.item — the dispatch or order line
+ * @param {string} params.lineKey
+ * @param {string} [params.routeDay]
+ * @param {number} params.qty
+ * @param {Object} params.substitute — `{ vendorItemId, catalogItemId, itemName, packSize, unit, price, category, taxable, taxCategory }`
+ * @param {string} [params.note]
+ * @param {string} [params.proposedBy]
+ * @param {Date}   [params.now]
+ */
+export function buildSubstitution({ id, item, lineKey, routeDay = '', qty, substitute, note = '', proposedBy = 'vendor', now = new Date() }) {
+    const unit = substitute.unit || '';
+    return {
+        id,
+        status: 'proposed',
+        lineKey,
+        routeDay,
+        qty: toQty(qty),
+        originalItemId: item.itemId || '',
+        originalCatalogItemId: item.catalogItemId || null,
+        originalItemName: item.itemName || item.name || '',
+        originalPackLabel: item.packLabel || item.unit || '',
+        originalPrice: Number(item.priceSnapshot ?? item.vendorPrice ?? item.price ?? 0),
+        substituteVendorItemId: substitute.vendorItemId || '',
+        substituteCatalogItemId: substitute.catalogItemId || null,
+        substituteItemName: substitute.itemName,
+        substitutePackSize: substitute.packSize || '',
+        substituteUnit: unit,
+        substitutePrice: round2(Number(substitute.price) || 0),
+        substituteCategory: substitute.category || '',
+        substituteTaxable: !!substitute.taxable,
+        substituteTaxCategory: substitute.taxCategory || '',
+        substituteQty: toQty(qty),
+        note: String(note || '').trim(),
+        registeredBy: proposedBy,
+        registeredAt: now.toISOString(),
+        respondedBy: null,
+        respondedAt: null,
+        responseNote: '',
+    };
+}
+
+/**
+ * Accept or decline a proposal. Throws when it is no longer open.
+ * @param {Object} substitution
+ * @param {'accepted'|'declined'} decision
+ * @param {{ actor?: string, note?: string, now?: Date }} [options]
+ */
+export function resolveSubstitution(substitution, decision, { actor = 'admin', note = '', now = new Date() } = {}) {
+    if (decision !== 'accepted' && decision !== 'declined') throw new Error(`Unknown decision "${decision}"`);
+    if (substitution.status !== 'proposed') throw new Error(`This substitution was already ${substitution.status}.`);
+    return { ...substitution, status: decision, respondedBy: actor, respondedAt: now.toISOString(), responseNote: String(note || '').trim() };
+}
+
+// ─── Drops ────────────────────────────────────────────────────────────────────
+
+/**
+ * Split `qty` off restaurant drops in proportion to their quantities
+ * (largest remainder, earlier drops first on a tie).
+ * @returns {{ moved: Array<Object>, kept: Array<Object> }} — drops with a quantity left
+ */
+export function splitDrops(drops, qty) {
+    const list = (drops || []).map(d => ({ ...d, qty: toQty(d.qty) }));
+    const total = list.reduce((s, d) => s + d.qty, 0);
+    if (!total) return { moved: [], kept: list.filter(d => d.qty > 0) };
+    const take = Math.min(toQty(qty), total);
+    const exact = list.map(d => (take * d.qty) / total);
+    const shares = exact.map(Math.floor);
+    let left = take - shares.reduce((s, n) => s + n, 0);
+    exact.map((x, i) => ({ i, frac: x - shares[i] }))
+        .sort((a, b) => b.frac - a.frac || a.i - b.i)
+        .forEach(({ i }) => {
+            if (left > 0 && shares[i] < list[i].qty) { shares[i] += 1; left -= 1; }
+        });
+    return {
+        moved: list.map((d, i) => ({ ...d, qty: shares[i] })).filter(d => d.qty > 0),
+        kept: list.map((d, i) => ({ ...d, qty: d.qty - shares[i] })).filter(d => d.qty > 0),
+    };
+}
+
+// ─── Accepted substitutions ───────────────────────────────────────────────────
+
+/** Item id of the line an accepted substitution adds. */
+export function getSubstituteLineId(substitution) {
+    return `sub-${substitution.id}`;
+}
+
+const substitutionFor = (item) => ({ itemId: item.itemId || '', itemName: item.itemName || item.name || '', packLabel: item.packLabel || item.unit || '' });
+
+/**
+ * `vendorDispatches` items with an accepted substitution applied. The
+ * substitute line is billed like the original line per unit, scaled by the
+ * price difference; `billingDelta` is the change to the dispatch totals.
+ *
+ * @returns {{ items: Array<Object>, substituteLine: Object, billingDelta: { restaurantBilling, vendorPayout, commission } }}
+ */
+export function applySubstitutionToDispatchItems(items, substitution) {
+    const index = (items || []).findIndex((item, i) => getLineKey(item, i) === substitution.lineKey);
+    if (index < 0) throw new Error('The line this substitution is for is no longer on the dispatch.');
+    const item = items[index];
+    const day = substitution.routeDay;
+    const qty = toQty(substitution.qty);
+    const dayQtys = { ...getItemDayQtys(item) };
+    const onDay = toQty(dayQtys[day]);
+    if (qty > onDay) throw new Error(`Only ${onDay} ${item.itemName} left on ${day}.`);
+
+    const totalQty = Object.values(dayQtys).reduce((s, n) => s + toQty(n), 0);
+    const perUnit = (field) => (totalQty ? (Number(item[field]) || 0) / totalQty : 0);
+    const priceRatio = substitution.originalPrice > 0 ? substitution.substitutePrice / substitution.originalPrice : 1;
+    const { moved, kept } = splitDrops(item.dayDrops?.[day], qty);
+
+    dayQtys[day] = onDay - qty;
+    const original = {
+        ...item,
+        dayQtys,
+        substitutedDayQtys: { ...(item.substitutedDayQtys || {}), [day]: toQty(item.substitutedDayQtys?.[day]) + qty },
+    };
+    if (DEFAULT_DELIVERY_DAYS.includes(day)) original[`${day.toLowerCase()}Qty`] = dayQtys[day];
+    const confirmed = getItemDayQtys(item, 'confirmed');
+    if (confirmed[day] !== undefined) original.confirmedDayQtys = { ...confirmed, [day]: Math.min(toQty(confirmed[day]), dayQtys[day]) };
+    if (item.dayDrops) original.dayDrops = { ...item.dayDrops, [day]: kept };
+
+    const substituteLine = {
+        itemId: getSubstituteLineId(substitution),
+        itemName: substitution.substituteItemName,
+        packLabel: substitution.substitutePackSize || substitution.substituteUnit || '—',
+        dayQtys: { [day]: qty },
+        mondayQty: day === 'Monday' ? qty : 0,
+        thursdayQty: day === 'Thursday' ? qty : 0,
+        dayDrops: { [day]: moved },
+        catalogSellPrice: round2(perUnit('lineRestaurantBilling') * priceRatio),
+        category: substitution.substituteCategory || item.category || '',
+        vendorItemId: substitution.substituteVendorItemId || null,
+        catalogItemId: substitution.substituteCatalogItemId || null,
+        itemNameSnapshot: substitution.substituteItemName,
+        priceSnapshot: substitution.substitutePrice,
+        unitSnapshot: substitution.substituteUnit || 'unit',
+        vendorNameSnapshot: item.vendorNameSnapshot || null,
+        packSizeSnapshot: substitution.substitutePackSize || null,
+        categorySnapshot: substitution.substituteCategory || null,
+        taxableSnapshot: !!substitution.substituteTaxable,
+        substitutionId: substitution.id,
+        substitutionFor: substitutionFor(item),
+    };
+    const delta = {};
+    BILLING_FIELDS.forEach(field => {
+        const removed = round2(perUnit(field) * qty);
+        original[field] = round2((Number(item[field]) || 0) - removed);
+        substituteLine[field] = round2(removed * priceRatio);
+        delta[field] = round2(substituteLine[field] - removed);
+    });
+
+    const next = [...items];
+    next[index] = original;
+    next.push(substituteLine);
+    return {
+        items: next,
+        substituteLine,
+        billingDelta: {
+            restaurantBilling: delta.lineRestaurantBilling,
+            vendorPayout: delta.lineVendorPayout,
+            commission: delta.lineMarketplaceCommission,
+        },
+    };
+}
+
+/**
+ * `vendorDispatchRoutes` items for the substitution's day: the original line
+ * loses the quantity (and its drops' share) and the substitute line is added.
+ *
+ * @param {Array<Object>} routeItems
+ * @param {Object} substitution
+ * @param {Object} substituteLine — from applySubstitutionToDispatchItems()
+ */
+export function applySubstitutionToRouteItems(routeItems, substitution, substituteLine) {
+    const qty = toQty(substitution.qty);
+    const items = (routeItems || []).map(item => {
+        if (!substitution.originalItemId || item.itemId !== substitution.originalItemId) return item;
+        return {
+            ...item,
+            qty: Math.max(0, toQty(item.qty) - qty),
+            substitutedQty: toQty(item.substitutedQty) + qty,
+            drops: splitDrops(item.drops, qty).kept,
+        };
+    });
+    const { dayQtys, dayDrops, ...line } = substituteLine;
+    items.push({ ...line, qty: dayQtys[substitution.routeDay], drops: dayDrops[substitution.routeDay] || [] });
+    return items;
+}
+
+/**
+ * `marketplaceOrders` items with an accepted substitution applied: `qty`
+ * comes off the original line (into `substitutedQty`) and the substitute is
+ * added at its proposed price. Reprice the order after.
+ */
+export function applySubstitutionToOrderItems(items, substitution) {
+    const index = (items || []).findIndex((item, i) => getLineKey(item, i) === substitution.lineKey);
+    if (index < 0) throw new Error('The line this substitution is for is no longer on the order.');
+    const item = items[index];
+    const qty = toQty(substitution.qty);
+    const onLine = toQty(item.qty ?? item.quantity);
+    if (qty > onLine) throw new Error(`Only ${onLine} ${item.name || item.itemName} left on the order.`);
+
+    const original = { ...item, qty: onLine - qty, substitutedQty: toQty(item.substitutedQty) + qty };
+    if (item.lineSubtotal !== undefined) original.lineSubtotal = round2((item.vendorPrice ?? item.price ?? 0) * original.qty);
+
+    const substitute = {
+        itemId: getSubstituteLineId(substitution),
+        vendorItemId: substitution.substituteVendorItemId || null,
+        catalogItemId: substitution.substituteCatalogItemId || null,
+        itemName: substitution.substituteItemName,
+        name: substitution.substituteItemName,
+        unit: substitution.substituteUnit || substitution.substitutePackSize || '',
+        packSize: substitution.substitutePackSize || '',
+        category: substitution.substituteCategory || item.category || '',
+        qty,
+        vendorPrice: substitution.substitutePrice,
+        price: substitution.substitutePrice,
+        taxable: !!substitution.substituteTaxable,
+        lineSubtotal: round2(substitution.substitutePrice * qty),
+        substitutionId: substitution.id,
+        substitutionFor: substitutionFor(item),
+    };
+    if (substitution.substituteTaxCategory) substitute.taxCategory = substitution.substituteTaxCategory;
+
+    const next = [...items];
+    next[index] = original;
+    next.push(substitute);
+    return next;
+}
+
+/**
+ * Entry added to a restaurant's `correctionEntries` row for an accepted
+ * substitution: the forecast line keeps its quantities — the restaurant still
+ * wanted the original item — and records what it received instead.
+ */
+export function buildCorrectionSubstitution(substitution, qty) {
+    return {
+        substitutionId: substitution.id,
+        substituteItemName: substitution.substituteItemName,
+        substitutePackSize: substitution.substitutePackSize || '',
+        qty: toQty(qty),
+        routeDay: substitution.routeDay || '',
+        acceptedAt: substitution.respondedAt,
+    };
+}
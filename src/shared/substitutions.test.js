@@ -0,0 +1,173 @@
+// src/shared/substitutions.test.js
+//
+// Unit tests for substitution proposals and how accepted ones change dispatch, route and order lines.
+// Run with: npm test -- --watchAll=false --testPathPattern=substitutions
+//
+import {
+    canSubstitute,
+    getSubstitutableQty,
+    getSubstitutionId,
+    findOpenProposal,
+    canRespondToSubstitution,
+    validateSubstitution,
+    buildSubstitution,
+    resolveSubstitution,
+    splitDrops,
+    applySubstitutionToDispatchItems,
+    applySubstitutionToRouteItems,
+    applySubstitutionToOrderItems,
+    buildCorrectionSubstitution,
+} from './substitutions';
+
+const now = new Date('2026-03-02T10:00:00Z');
+
+const tomatoes = {
+    itemId: 'cat_tom', catalogItemId: 'cat_tom', vendorItemId: 'v_tom', itemName: 'Tomatoes', packLabel: '10 kg', category: 'Produce',
+    priceSnapshot: 20,
+    dayQtys: { Monday: 4, Thursday: 2 },
+    mondayQty: 4, thursdayQty: 2,
+    dayDrops: { Monday: [{ restaurantId: 'r1', restaurantName: 'Oruma', qty: 3 }, { restaurantId: 'r2', restaurantName: 'Chai Co', qty: 1 }] },
+    lineRestaurantBilling: 150, lineVendorPayout: 135, lineMarketplaceCommission: 15,
+};
+
+const roma = { vendorItemId: 'v_roma', catalogItemId: 'cat_roma', itemName: 'Roma Tomatoes', packSize: '10 kg', unit: 'case', price: 22, category: 'Produce', taxable: false };
+
+const proposal = (overrides = {}) => buildSubstitution({
+    id: 's1', item: tomatoes, lineKey: 'cat_tom', routeDay: 'Monday', qty: 2, substitute: roma, note: ' Out of vine ', proposedBy: 'Fresh Farms', now, ...overrides,
+});
+
+describe('substitutions — proposals', () => {
+    test('open until the dispatch or order is delivered or cancelled', () => {
+        expect(canSubstitute('dispatch', 'Sent')).toBe(true);
+        expect(canSubstitute('dispatch', 'Partially Confirmed')).toBe(true);
+        expect(canSubstitute('dispatch', 'Delivered')).toBe(false);
+        expect(canSubstitute('marketplace', 'pending_confirmation')).toBe(true);
+        expect(canSubstitute('marketplace', 'delivered_awaiting_confirmation')).toBe(false);
+    });
+
+    test('builds a proposal from the line and the catalog item', () => {
+        expect(proposal()).toMatchObject({
+            id: 's1', status: 'proposed', lineKey: 'cat_tom', routeDay: 'Monday', qty: 2,
+            originalItemName: 'Tomatoes', originalPackLabel: '10 kg', originalPrice: 20,
+            substituteVendorItemId: 'v_roma', substituteItemName: 'Roma Tomatoes', substitutePrice: 22,
+            substituteQty: 2, substituteUnit: 'case', note: 'Out of vine', registeredBy: 'Fresh Farms',
+            registeredAt: '2026-03-02T10:00:00.000Z', respondedBy: null,
+        });
+    });
+
+    test('open proposals count against what is left to substitute on the day', () => {
+        const record = { items: [tomatoes], substitutions: [proposal(), proposal({ id: 's2', routeDay: 'Thursday', qty: 1 })] };
+        expect(getSubstitutableQty(record, 'cat_tom', 'Monday')).toBe(2);
+        expect(getSubstitutableQty(record, 'cat_tom', 'Thursday')).toBe(1);
+        expect(getSubstitutableQty(record, 'missing', 'Monday')).toBe(0);
+
+        const declined = { ...record, substitutions: [resolveSubstitution(proposal(), 'declined', { now })] };
+        expect(getSubstitutableQty(declined, 'cat_tom', 'Monday')).toBe(4);
+        expect(getSubstitutableQty({ items: [{ itemId: 'a', qty: 3 }] }, 'a')).toBe(3);
+    });
+
+    test('ids follow the line and day, and a proposal sent again is found rather than added', () => {
+        expect(getSubstitutionId([], 'cat_tom', 'Monday')).toBe('sub_cat_tom_Monday_1');
+        expect(getSubstitutionId([proposal(), proposal({ routeDay: 'Thursday' })], 'cat_tom', 'Monday')).toBe('sub_cat_tom_Monday_2');
+        expect(getSubstitutionId([], 'vendor/item')).toBe('sub_vendor_item_1');
+
+        const open = [proposal()];
+        expect(findOpenProposal(open, { lineKey: 'cat_tom', routeDay: 'Monday', qty: 2, substitute: roma })).toBe(open[0]);
+        expect(findOpenProposal(open, { lineKey: 'cat_tom', routeDay: 'Monday', qty: 1, substitute: roma })).toBeNull();
+        expect(findOpenProposal([resolveSubstitution(proposal(), 'declined', { now })], { lineKey: 'cat_tom', routeDay: 'Monday', qty: 2, substitute: roma })).toBeNull();
+    });
+
+    test('superadmins answer any proposal, restaurants only those for their own deliveries', () => {
+        const single = { ...tomatoes, dayDrops: { ...tomatoes.dayDrops, Thursday: [{ restaurantId: 'r1', qty: 2 }] } };
+        const dispatch = { items: [single] };
+        const monday = proposal();
+        const thursday = proposal({ routeDay: 'Thursday' });
+
+        expect(canRespondToSubstitution({ role: 'superadmin' }, 'dispatch', dispatch, monday)).toBe(true);
+        expect(canRespondToSubstitution({ role: 'Restaurant', restaurantId: 'r1' }, 'dispatch', dispatch, thursday)).toBe(true);
+        expect(canRespondToSubstitution({ role: 'restaurant', restaurantId: 'r1' }, 'dispatch', dispatch, monday)).toBe(false);
+        expect(canRespondToSubstitution({ role: 'restaurant', restaurantId: 'r2' }, 'dispatch', dispatch, thursday)).toBe(false);
+        expect(canRespondToSubstitution({ role: 'restaurant', restaurantId: 'r1' }, 'marketplace', { restaurantId: 'r1' }, monday)).toBe(true);
+        expect(canRespondToSubstitution({ role: 'vendor' }, 'marketplace', { restaurantId: 'r1' }, monday)).toBe(false);
+        expect(canRespondToSubstitution({ role: 'restaurant' }, 'marketplace', {}, monday)).toBe(false);
+    });
+
+    test('needs a different item, a price and a quantity within what is open', () => {
+        expect(validateSubstitution({ qty: 2, maxQty: 4, original: tomatoes, substitute: roma })).toEqual([]);
+        expect(validateSubstitution({ qty: 5, maxQty: 4, original: tomatoes, substitute: { ...roma, price: 0 } }))
+            .toEqual(['Only 4 can still be substituted on this line.', 'Enter the substitute price.']);
+        expect(validateSubstitution({ qty: 1, maxQty: 4, original: tomatoes, substitute: { ...roma, vendorItemId: 'v_tom' } }))
+            .toEqual(['Choose an item other than the one ordered.']);
+        expect(validateSubstitution({ qty: 0, maxQty: 4, original: tomatoes, substitute: null })).toHaveLength(3);
+    });
+
+    test('is answered once', () => {
+        const accepted = resolveSubstitution(proposal(), 'accepted', { actor: 'Admin', note: 'ok', now });
+        expect(accepted).toMatchObject({ status: 'accepted', respondedBy: 'Admin', responseNote: 'ok', respondedAt: '2026-03-02T10:00:00.000Z' });
+        expect(() => resolveSubstitution(accepted, 'declined')).toThrow(/already accepted/);
+        expect(() => resolveSubstitution(proposal(), 'maybe')).toThrow(/Unknown decision/);
+    });
+});
+
+describe('substitutions — accepted', () => {
+    test('drops are split in proportion to their quantities', () => {
+        const drops = [{ restaurantId: 'r1', qty: 3 }, { restaurantId: 'r2', qty: 1 }];
+        expect(splitDrops(drops, 2)).toEqual({
+            moved: [{ restaurantId: 'r1', qty: 2 }],
+            kept: [{ restaurantId: 'r1', qty: 1 }, { restaurantId: 'r2', qty: 1 }],
+        });
+        expect(splitDrops(drops, 4).kept).toEqual([]);
+        expect(splitDrops([], 2)).toEqual({ moved: [], kept: [] });
+    });
+
+    test('dispatch lines move the quantity to a substitute line as substituted, not unavailable', () => {
+        const { items, substituteLine, billingDelta } = applySubstitutionToDispatchItems([tomatoes], resolveSubstitution(proposal(), 'accepted', { now }));
+        expect(items).toHaveLength(2);
+        expect(items[0]).toMatchObject({
+            dayQtys: { Monday: 2, Thursday: 2 }, mondayQty: 2, substitutedDayQtys: { Monday: 2 },
+            dayDrops: { Monday: [{ restaurantId: 'r1', restaurantName: 'Oruma', qty: 1 }, { restaurantId: 'r2', restaurantName: 'Chai Co', qty: 1 }] },
+            lineRestaurantBilling: 100, lineVendorPayout: 90, lineMarketplaceCommission: 10,
+        });
+        expect(items[0].unavailableDayQtys).toBeUndefined();
+        expect(substituteLine).toMatchObject({
+            itemId: 'sub-s1', itemName: 'Roma Tomatoes', dayQtys: { Monday: 2 }, mondayQty: 2, thursdayQty: 0,
+            dayDrops: { Monday: [{ restaurantId: 'r1', restaurantName: 'Oruma', qty: 2 }] },
+            lineRestaurantBilling: 55, lineVendorPayout: 49.5, lineMarketplaceCommission: 5.5,
+            substitutionId: 's1', substitutionFor: { itemId: 'cat_tom', itemName: 'Tomatoes', packLabel: '10 kg' },
+        });
+        expect(billingDelta).toEqual({ restaurantBilling: 5, vendorPayout: 4.5, commission: 0.5 });
+
+        expect(() => applySubstitutionToDispatchItems([tomatoes], proposal({ qty: 5 }))).toThrow(/Only 4 Tomatoes left on Monday/);
+    });
+
+    test('route items lose the quantity and gain the substitute line', () => {
+        const sub = resolveSubstitution(proposal(), 'accepted', { now });
+        const { substituteLine } = applySubstitutionToDispatchItems([tomatoes], sub);
+        const route = applySubstitutionToRouteItems([
+            { itemId: 'cat_tom', itemName: 'Tomatoes', qty: 4, drops: tomatoes.dayDrops.Monday },
+            { itemId: 'cat_onion', itemName: 'Onion', qty: 1, drops: [] },
+        ], sub, substituteLine);
+        expect(route[0]).toMatchObject({ qty: 2, substitutedQty: 2 });
+        expect(route[1]).toEqual({ itemId: 'cat_onion', itemName: 'Onion', qty: 1, drops: [] });
+        expect(route[2]).toMatchObject({ itemId: 'sub-s1', qty: 2, drops: [{ restaurantId: 'r1', restaurantName: 'Oruma', qty: 2 }] });
+        expect(route[2].dayQtys).toBeUndefined();
+    });
+
+    test('order lines bill the substitute at its proposed price', () => {
+        const items = [{ itemId: 'onion', vendorItemId: 'v_onion', name: 'Onion', unit: 'bag', qty: 3, vendorPrice: 5, price: 5, lineSubtotal: 15 }];
+        const sub = buildSubstitution({ id: 's9', item: items[0], lineKey: 'onion', qty: 3, substitute: { ...roma, itemName: 'Red Onion', taxCategory: 'zero_rated' }, now });
+        const next = applySubstitutionToOrderItems(items, sub);
+        expect(next[0]).toMatchObject({ qty: 0, substitutedQty: 3, lineSubtotal: 0 });
+        expect(next[1]).toMatchObject({
+            itemId: 'sub-s9', vendorItemId: 'v_roma', name: 'Red Onion', qty: 3, vendorPrice: 22, lineSubtotal: 66, taxCategory: 'zero_rated',
+            substitutionFor: { itemId: 'onion', itemName: 'Onion', packLabel: 'bag' },
+        });
+    });
+
+    test('forecast corrections record what the restaurant received instead', () => {
+        const accepted = resolveSubstitution(proposal(), 'accepted', { now });
+        expect(buildCorrectionSubstitution(accepted, 2)).toEqual({
+            substitutionId: 's1', substituteItemName: 'Roma Tomatoes', substitutePackSize: '10 kg', qty: 2, routeDay: 'Monday', acceptedAt: '2026-03-02T10:00:00.000Z',
+        });
+    });
+});
@@ -0,0 +1,371 @@
+/**
+ * taxEngine.js
+ *
+ * Sales tax for marketplace invoices.
+ *
+ * A line's tax is the sum of the tax components in force in the invoice's
+ * tax jurisdiction on the invoice date, filtered by the item's tax category:
+ *
+ *   jurisdiction — where the goods are delivered: the restaurant's province
+ *                  or state, falling back to the vendor's own
+ *   components   — GST, HST, PST/RST, QST in Canada; the state sales tax in
+ *                  the US — each with dated rates, so a rate change applies
+ *                  from its effective date without touching older invoices
+ *   tax category — standard (every component), GST/HST only (provincial
+ *                  sales tax exempt), zero-rated (basic groceries, taxed at
+ *                  0%) or exempt
+ *
+ * Each component is rounded per line and invoices keep the component lines
+ * (`taxLines`) so they can be shown and filed separately.
+ *
+ * Pure — shared with Cloud Functions (invoice generation); src/shared/taxRates.js
+ * derives its display rates from here.
+ */
+
+export const DEFAULT_TAX_COUNTRY = 'Canada';
+
+/** Item tax categories. `taxable` = charges tax (kept in sync with the item's `taxable` flag). */
+export const TAX_CATEGORIES = [
+    { key: 'standard', label: 'Taxable', description: 'GST/HST and provincial sales tax', taxable: true },
+    { key: 'federal_only', label: 'Taxable — GST/HST only', description: 'Exempt from provincial sales tax (PST/RST/QST)', taxable: true },
+    { key: 'zero_rated', label: 'Zero-rated', description: 'Basic groceries — taxable supply at 0%', taxable: false },
+    { key: 'exempt', label: 'Exempt', description: 'Not a taxable supply', taxable: false },
+];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+const TAX_CATEGORY_KEYS = TAX_CATEGORIES.map(c => c.key);
+
+// ── Rate schedules ──────────────────────────────────────────────────────────
+// `rates` are sorted by `from` (YYYY-MM-DD); a rate applies until the next one.
+
+const GST = { code: 'GST', label: 'GST', level: 'federal', rates: [{ from: '2008-01-01', rate: 5 }] };
+const hst = (rates) => ({ code: 'HST', label: 'HST', level: 'federal', rates });
+const provincial = (code, label, rates) => ({ code, label, level: 'provincial', rates });
+
+const CANADA = {
+    AB: { name: 'Alberta', components: [GST] },
+    BC: { name: 'British Columbia', components: [GST, provincial('PST', 'PST', [{ from: '2013-04-01', rate: 7 }])] },
+    MB: { name: 'Manitoba', components: [GST, provincial('RST', 'RST', [{ from: '2013-07-01', rate: 8 }, { from: '2019-07-01', rate: 7 }])] },
+    NB: { name: 'New Brunswick', components: [hst([{ from: '2010-07-01', rate: 13 }, { from: '2016-07-01', rate: 15 }])] },
+    NL: { name: 'Newfoundland & Labrador', components: [hst([{ from: '2010-07-01', rate: 13 }, { from: '2016-07-01', rate: 15 }])] },
+    NT: { name: 'Northwest Territories', components: [GST] },
+    NS: { name: 'Nova Scotia', components: [hst([{ from: '2010-07-01', rate: 15 }, { from: '2025-04-01', rate: 14 }])] },
+    NU: { name: 'Nunavut', components: [GST] },
+    ON: { name: 'Ontario', components: [hst([{ from: '2010-07-01', rate: 13 }])] },
+    PE: { name: 'Prince Edward Island', components: [hst([{ from: '2013-04-01', rate: 14 }, { from: '2016-10-01', rate: 15 }])] },
+    QC: { name: 'Quebec', components: [GST, provincial('QST', 'QST', [{ from: '2013-01-01', rate: 9.975 }])] },
+    SK: { name: 'Saskatchewan', components: [GST, provincial('PST', 'PST', [{ from: '2006-10-28', rate: 5 }, { from: '2017-03-23', rate: 6 }])] },
+    YT: { name: 'Yukon', components: [GST] },
+};
+
+// State base rates (local and county taxes are not collected)
+const US_RATES = {
+    AL: ['Alabama', 4], AK: ['Alaska', 0], AZ: ['Arizona', 5.6], AR: ['Arkansas', 6.5],
+    CA: ['California', 7.25], CO: ['Colorado', 2.9], CT: ['Connecticut', 6.35], DE: ['Delaware', 0],
+    FL: ['Florida', 6], GA: ['Georgia', 4], HI: ['Hawaii', 4], ID: ['Idaho', 6],
+    IL: ['Illinois', 6.25], IN: ['Indiana', 7], IA: ['Iowa', 6], KS: ['Kansas', 6.5],
+    KY: ['Kentucky', 6], LA: ['Louisiana', 4.45], ME: ['Maine', 5.5], MD: ['Maryland', 6],
+    MA: ['Massachusetts', 6.25], MI: ['Michigan', 6], MN: ['Minnesota', 6.875], MS: ['Mississippi', 7],
+    MO: ['Missouri', 4.225], MT: ['Montana', 0], NE: ['Nebraska', 5.5], NV: ['Nevada', 6.85],
+    NH: ['New Hampshire', 0], NJ: ['New Jersey', 6.625], NM: ['New Mexico', 4.875], NY: ['New York', 4],
+    NC: ['North Carolina', 4.75], ND: ['North Dakota', 5], OH: ['Ohio', 5.75], OK: ['Oklahoma', 4.5],
+    OR: ['Oregon', 0], PA: ['Pennsylvania', 6], RI: ['Rhode Island', 7], SC: ['South Carolina', 6],
+    SD: ['South Dakota', 4.5], TN: ['Tennessee', 7], TX: ['Texas', 6.25], UT: ['Utah', 6.1],
+    VT: ['Vermont', 6], VA: ['Virginia', 5.3], WA: ['Washington', 6.5], WV: ['West Virginia', 6],
+    WI: ['Wisconsin', 5], WY: ['Wyoming', 4], DC: ['District of Columbia', 6],
+};
+
+const UNITED_STATES = Object.fromEntries(Object.entries(US_RATES).map(([code, [name, rate]]) => [code, {
+    name,
+    components: rate > 0 ? [{ code: 'SALES', label: 'Sales Tax', level: 'state', rates: [{ from: '2000-01-01', rate }] }] : [],
+}]));
+
+export const TAX_JURISDICTIONS = {
+    Canada: { code: 'CA', regions: CANADA },
+    'United States': { code: 'US', regions: UNITED_STATES },
+};
+
+// ── Jurisdiction ────────────────────────────────────────────────────────────
+
+/** Regions of a country as [{ code, name }], in schedule order. */
+export function getTaxRegions(country) {
+    const regions = TAX_JURISDICTIONS[country]?.regions || {};
+    return Object.entries(regions).map(([code, r]) => ({ code, name: r.name }));
+}
+
+/**
+ * Tax jurisdiction of an invoice: the restaurant's province/state when it is
+ * in the vendor's country, else the vendor's own.
+ *
+ * @param {Object} [vendor] — { country, province }
+ * @param {Object} [restaurant] — { province }
+ * @returns {{ key: string, country: string, region: string|null, name: string, basis: 'restaurant'|'vendor'|null }}
+ */
+export function resolveTaxJurisdiction(vendor = {}, restaurant = null) {
+    const country = vendor?.country || DEFAULT_TAX_COUNTRY;
+    const regions = TAX_JURISDICTIONS[country]?.regions || {};
+    const basis = restaurant?.province && regions[restaurant.province] ? 'restaurant'
+        : vendor?.province && regions[vendor.province] ? 'vendor'
+            : null;
+    const region = basis === 'restaurant' ? restaurant.province : basis === 'vendor' ? vendor.province : null;
+    return {
+        key: `${TAX_JURISDICTIONS[country]?.code || country}-${region || '??'}`,
+        country,
+        region,
+        name: region ? regions[region].name : 'Unknown',
+        basis,
+    };
+}
+
+const rateOn = (rates, date) => {
+    let rate = rates[0]?.rate ?? 0;
+    rates.forEach(r => { if (r.from <= date) rate = r.rate; });
+    return rate;
+};
+
+/**
+ * Tax components in force in a jurisdiction on a date.
+ *
+ * @param {{ country: string, region: string|null }} jurisdiction
+ * @param {string} date — YYYY-MM-DD
+ * @returns {Array<{ code, label, level, rate }>}
+ */
+export function getTaxComponents(jurisdiction, date) {
+    const region = TAX_JURISDICTIONS[jurisdiction?.country]?.regions?.[jurisdiction?.region];
+    if (!region) return [];
+    return region.components
+        .map(c => ({ code: c.code, label: c.label, level: c.level, rate: rateOn(c.rates, date) }))
+        .filter(c => c.rate > 0);
+}
+
+/** Combined rate (%) of the standard-rated components on a date. */
+export function getCombinedTaxRate(jurisdiction, date) {
+    return round3(getTaxComponents(jurisdiction, date).reduce((s, c) => s + c.rate, 0));
+}
+
+/** e.g. "GST+PST", "HST"; empty when no tax applies. */
+export function describeTaxComponents(components = []) {
+    return components.map(c => c.code === 'SALES' ? 'Sales Tax' : c.code).join('+');
+}
+
+// ── Item tax category ───────────────────────────────────────────────────────
+
+export function isTaxCategoryTaxable(taxCategory) {
+    return !!TAX_CATEGORIES.find(c => c.key === taxCategory)?.taxable;
+}
+
+export function getTaxCategoryLabel(taxCategory) {
+    return TAX_CATEGORIES.find(c => c.key === taxCategory)?.label || 'Taxable';
+}
+
+/**
+ * Tax category of a line. Whether a line is taxed is decided by its `taxable`
+ * flag (frozen on the order line); the category only says how. A category
+ * that disagrees with the flag — or none at all, for items saved before tax
+ * categories — becomes `standard` for taxable lines and `zero_rated` otherwise.
+ *
+ * @param {boolean} taxable
+ * @param {string}  [taxCategory]
+ */
+export function resolveTaxCategory(taxable, taxCategory) {
+    const known = TAX_CATEGORY_KEYS.includes(taxCategory) ? taxCategory : null;
+    if (taxable) return known && isTaxCategoryTaxable(known) ? known : 'standard';
+    return known && !isTaxCategoryTaxable(known) ? known : 'zero_rated';
+}
+
+/** Tax category of a catalog item ({ taxCategory, taxable }). */
+export function getItemTaxCategory(item = {}) {
+    return resolveTaxCategory(!!item.taxable, item.taxCategory);
+}
+
+/** Components that apply to a tax category. */
+export function getApplicableComponents(components = [], taxCategory = 'standard') {
+    if (!isTaxCategoryTaxable(taxCategory)) return [];
+    if (taxCategory === 'federal_only') return components.filter(c => c.level === 'federal');
+    return components;
+}
+
+/**
+ * Tax on a pre-tax line amount, per component (each rounded to the cent).
+ *
+ * @returns {Array<{ code, label, rate, amount }>}
+ */
+export function computeLineTaxes(amount, components = [], taxCategory = 'standard') {
+    return getApplicableComponents(components, taxCategory)
+        .map(c => ({ code: c.code, label: c.label, rate: c.rate, amount: round2(Number(amount) * c.rate / 100) }));
+}
+
+/**
+ * Aggregate line taxes into invoice tax lines, one per component.
+ *
+ * @param {Array<{ lineSubtotal: number, taxes: Array }>} lines
+ * @returns {Array<{ code, label, rate, taxableAmount, amount }>}
+ */
+export function summarizeTaxLines(lines = []) {
+    const byCode = new Map();
+    lines.forEach(line => (line.taxes || []).forEach(t => {
+        const key = `${t.code}@${t.rate}`;
+        if (!byCode.has(key)) byCode.set(key, { code: t.code, label: t.label, rate: t.rate, taxableAmount: 0, amount: 0 });
+        const entry = byCode.get(key);
+        entry.taxableAmount = round2(entry.taxableAmount + (Number(line.lineSubtotal ?? line.subtotalDelta) || 0));
+        entry.amount = round2(entry.amount + (Number(t.amount) || 0));
+    }));
+    return [...byCode.values()];
+}
+
+/** "GST 5%", "QST 9.975%" — label for a tax line. */
+export function formatTaxLineLabel(taxLine) {
+    return `${taxLine.label} ${Number(taxLine.rate)}%`;
+}
+
+// ── Filing summary ──────────────────────────────────────────────────────────
+
+export const TAX_PERIODS = { month: 'Monthly', quarter: 'Quarterly', year: 'Annual' };
+
+/** Period key of a YYYY-MM-DD date: "2026-10", "2026-Q4" or "2026". */
+export function getTaxPeriod(date, period = 'month') {
+    const [y, m] = String(date).slice(0, 7).split('-');
+    if (period === 'year') return y;
+    if (period === 'quarter') return `${y}-Q${Math.ceil(Number(m) / 3)}`;
+    return `${y}-${m}`;
+}
+
+const SALES_BUCKETS = { standard: 'taxable', federal_only: 'taxable', zero_rated: 'zeroRated', exempt: 'exempt' };
+
+/**
+ * Tax collected per filing period: tax by component and jurisdiction, sales
+ * split into taxable / zero-rated / exempt, and a breakdown by vendor.
+ * Credit and debit notes count in the period they were issued. Invoices from
+ * before the tax engine have no component lines; their tax is reported as
+ * one unsplit `TAX` line so totals still tie out.
+ *
+ * @param {Object} params
+ * @param {Array}  params.invoices — restaurant invoices, each with a business `date` (YYYY-MM-DD)
+ * @param {Array}  [params.notes] — applied notes, each with `date`, `restaurant` totals and `lines`
+ * @param {'month'|'quarter'|'year'} [params.period]
+ * @param {Object} [params.vendors] — { vendorId → { name } }
+ * @returns {Array<{ period, documentCount, sales: { taxable, zeroRated, exempt, total }, tax, components, jurisdictions, vendors }>}
+ */
+export function buildTaxSummary({ invoices = [], notes = [], period = 'month', vendors = {} }) {
+    const periods = new Map();
+    const periodOf = (key) => {
+        if (!periods.has(key)) {
+            periods.set(key, {
+                period: key,
+                documentCount: 0,
+                sales: { taxable: 0, zeroRated: 0, exempt: 0, total: 0 },
+                tax: 0,
+                components: new Map(),
+                jurisdictions: new Map(),
+                vendors: new Map(),
+            });
+        }
+        return periods.get(key);
+    };
+    const add = (map, key, seed, fn) => {
+        if (!map.has(key)) map.set(key, seed);
+        fn(map.get(key));
+    };
+
+    const record = ({ date, vendorId, vendorName, jurisdiction, lines }) => {
+        if (!date) return;
+        const p = periodOf(getTaxPeriod(date, period));
+        p.documentCount += 1;
+        const juris = jurisdiction?.key || 'Unknown';
+        const vendorLabel = vendors[vendorId]?.name || vendorName || vendorId || 'Unknown vendor';
+        lines.forEach(line => {
+            const amount = Number(line.amount) || 0;
+            const bucket = SALES_BUCKETS[line.taxCategory] || (line.taxable ? 'taxable' : 'zeroRated');
+            p.sales[bucket] = round2(p.sales[bucket] + amount);
+            p.sales.total = round2(p.sales.total + amount);
+            line.taxes.forEach(t => {
+                const tax = Number(t.amount) || 0;
+                p.tax = round2(p.tax + tax);
+                add(p.components, `${t.code}@${t.rate}`, { code: t.code, label: t.label, rate: t.rate, taxableAmount: 0, amount: 0 }, c => {
+                    c.taxableAmount = round2(c.taxableAmount + amount);
+                    c.amount = round2(c.amount + tax);
+                });
+                add(p.jurisdictions, `${juris}|${t.code}@${t.rate}`, { jurisdiction: juris, name: jurisdiction?.name || 'Unknown', code: t.code, label: t.label, rate: t.rate, taxableAmount: 0, amount: 0 }, j => {
+                    j.taxableAmount = round2(j.taxableAmount + amount);
+                    j.amount = round2(j.amount + tax);
+                });
+                add(p.vendors, vendorId || vendorLabel, { vendorId: vendorId || null, vendorName: vendorLabel, sales: 0, tax: 0 }, v => {
+                    v.tax = round2(v.tax + tax);
+                });
+            });
+            add(p.vendors, vendorId || vendorLabel, { vendorId: vendorId || null, vendorName: vendorLabel, sales: 0, tax: 0 }, v => {
+                v.sales = round2(v.sales + amount);
+            });
+        });
+    };
+
+    // Legacy documents: one line carrying the document's whole tax
+    const unsplit = (items, totalTax, amountKey) => {
+        const lines = items.map(i => ({ amount: i[amountKey], taxable: !!i.isTaxable, taxes: [] }));
+        const taxedLine = lines.find(l => l.taxable) || lines[0];
+        if (taxedLine && Number(totalTax)) taxedLine.taxes = [{ code: 'TAX', label: 'Tax (not split)', rate: 0, amount: Number(totalTax) }];
+        return lines;
+    };
+
+    invoices.filter(inv => inv.paymentStatus !== 'VOIDED').forEach(inv => {
+        const items = inv.items || [];
+        record({
+            date: inv.date,
+            vendorId: inv.vendorId,
+            vendorName: inv.vendorName,
+            jurisdiction: inv.taxJurisdiction,
+            lines: inv.taxLines
+                ? items.map(i => ({ amount: i.lineTotal ?? i.lineTotalVendor, taxCategory: i.taxCategory, taxable: !!i.isTaxable, taxes: i.taxes || [] }))
+                : unsplit(items, inv.totalTax ?? inv.totalTaxAmount, 'lineTotal'),
+        });
+    });
+
+    notes.forEach(note => {
+        const lines = note.lines || [];
+        record({
+            date: note.date,
+            vendorId: note.vendorId,
+            vendorName: note.vendorName,
+            jurisdiction: note.taxJurisdiction,
+            lines: note.taxLines
+                ? lines.map(l => ({ amount: l.subtotalDelta, taxCategory: l.taxCategory, taxable: !!l.isTaxable, taxes: l.taxDeltas || [] }))
+                : unsplit(lines, note.restaurant?.tax, 'subtotalDelta'),
+        });
+    });
+
+    const sortRate = (a, b) => a.code.localeCompare(b.code) || a.rate - b.rate;
+    return [...periods.values()]
+        .sort((a, b) => b.period.localeCompare(a.period))
+        .map(p => ({
+            ...p,
+            components: [...p.components.values()].sort(sortRate),
+            jurisdictions: [...p.jurisdictions.values()].sort((a, b) => a.jurisdiction.localeCompare(b.jurisdiction) || sortRate(a, b)),
+            vendors: [...p.vendors.values()].sort((a, b) => b.tax - a.tax || a.vendorName.localeCompare(b.vendorName)),
+        }));
+}
+
+/**
+ * CSV of a tax summary for filing: one row per period, jurisdiction and
+ * tax component, with the period's sales split on every row.
+ *
+ * @param {Array} summary — buildTaxSummary() result
+ * @returns {string}
+ */
+export function buildTaxSummaryCsv(summary = []) {
+    const headers = ['Period', 'Jurisdiction', 'Region', 'Tax', 'Rate %', 'Taxable Sales', 'Tax Collected', 'Period Taxable Sales', 'Period Zero-Rated Sales', 'Period Exempt Sales'];
+    const rows = summary.flatMap(p => p.jurisdictions.map(j => [
+        p.period,
+        j.jurisdiction,
+        j.name,
+        j.label,
+        j.rate,
+        j.taxableAmount.toFixed(2),
+        j.amount.toFixed(2),
+        p.sales.taxable.toFixed(2),
+        p.sales.zeroRated.toFixed(2),
+        p.sales.exempt.toFixed(2),
+    ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(',')));
+    return [headers.join(','), ...rows].join('\n');
+}
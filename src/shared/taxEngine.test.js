@@ -0,0 +1,116 @@
+// src/shared/taxEngine.test.js
+//
+// Unit tests for the sales tax engine: jurisdictions, dated components, item tax categories and the filing summary.
+// Run with: npm test -- --watchAll=false --testPathPattern=taxEngine
+//
+import {
+    resolveTaxJurisdiction,
+    getTaxComponents,
+    getCombinedTaxRate,
+    resolveTaxCategory,
+    computeLineTaxes,
+    buildTaxSummary,
+    buildTaxSummaryCsv,
+    getTaxPeriod,
+} from './taxEngine';
+import { getTaxRate, CANADA_PROVINCES } from './taxRates';
+
+describe('taxEngine — jurisdictions and rates', () => {
+    test('the restaurant province decides, falling back to the vendor', () => {
+        const vendor = { country: 'Canada', province: 'ON' };
+        expect(resolveTaxJurisdiction(vendor, { province: 'BC' })).toMatchObject({ key: 'CA-BC', region: 'BC', basis: 'restaurant' });
+        expect(resolveTaxJurisdiction(vendor, { province: 'ZZ' })).toMatchObject({ key: 'CA-ON', basis: 'vendor' });
+        expect(resolveTaxJurisdiction({}, null)).toMatchObject({ country: 'Canada', region: null, basis: null });
+        // A US state is not a Canadian province
+        expect(resolveTaxJurisdiction({ country: 'United States', province: 'CA' }, { province: 'ON' })).toMatchObject({ key: 'US-CA', basis: 'vendor' });
+    });
+
+    test('components follow their effective dates', () => {
+        const at = (region, date) => getTaxComponents({ country: 'Canada', region }, date).map(c => `${c.code} ${c.rate}`);
+        expect(at('NS', '2025-03-31')).toEqual(['HST 15']);
+        expect(at('NS', '2025-04-01')).toEqual(['HST 14']);
+        expect(at('MB', '2019-06-30')).toEqual(['GST 5', 'RST 8']);
+        expect(at('QC', '2026-10-19')).toEqual(['GST 5', 'QST 9.975']);
+        expect(getCombinedTaxRate({ country: 'United States', region: 'OR' }, '2026-10-19')).toBe(0);
+        expect(getTaxRate('Canada', 'BC', '2026-10-19')).toBe(12);
+        expect(CANADA_PROVINCES.find(p => p.code === 'SK')).toMatchObject({ rate: 11, type: 'GST+PST' });
+    });
+});
+
+describe('taxEngine — tax categories', () => {
+    const components = getTaxComponents({ country: 'Canada', region: 'BC' }, '2026-10-19');
+
+    test('the taxable flag decides whether a line is taxed, the category how', () => {
+        expect(resolveTaxCategory(true, 'federal_only')).toBe('federal_only');
+        expect(resolveTaxCategory(true, 'zero_rated')).toBe('standard');
+        expect(resolveTaxCategory(false, 'exempt')).toBe('exempt');
+        expect(resolveTaxCategory(false, 'standard')).toBe('zero_rated');
+        expect(resolveTaxCategory(true)).toBe('standard');
+    });
+
+    test('each component is rounded per line', () => {
+        expect(computeLineTaxes(33.33, components, 'standard')).toEqual([
+            { code: 'GST', label: 'GST', rate: 5, amount: 1.67 },
+            { code: 'PST', label: 'PST', rate: 7, amount: 2.33 },
+        ]);
+        expect(computeLineTaxes(33.33, components, 'federal_only').map(t => t.code)).toEqual(['GST']);
+        expect(computeLineTaxes(33.33, components, 'zero_rated')).toEqual([]);
+    });
+});
+
+describe('taxEngine — buildTaxSummary', () => {
+    const gst = (amount) => ({ code: 'GST', label: 'GST', rate: 5, amount });
+    const qst = (amount) => ({ code: 'QST', label: 'QST', rate: 9.975, amount });
+    const quebec = { key: 'CA-QC', name: 'Quebec' };
+
+    const invoices = [
+        {
+            date: '2026-10-05', vendorId: 'v1', vendorName: 'Fresh Farms', taxJurisdiction: quebec, totalTax: 4.5,
+            taxLines: [{ code: 'GST', rate: 5, amount: 2.5 }, { code: 'QST', rate: 9.975, amount: 2 }],
+            items: [
+                { lineTotal: 40, taxCategory: 'zero_rated', taxes: [] },
+                { lineTotal: 30, taxCategory: 'federal_only', isTaxable: true, taxes: [gst(1.5)] },
+                { lineTotal: 20, taxCategory: 'standard', isTaxable: true, taxes: [gst(1), qst(2)] },
+            ],
+        },
+        { date: '2026-11-02', vendorId: 'v2', paymentStatus: 'VOIDED', taxLines: [], items: [{ lineTotal: 100, taxes: [gst(5)] }] },
+        // Issued before the tax engine — tax stays unsplit
+        { date: '2026-09-30', vendorId: 'v2', vendorName: 'Bay Dairy', totalTax: 1.3, items: [{ lineTotal: 10, isTaxable: true }, { lineTotal: 5 }] },
+    ];
+    const notes = [{
+        date: '2026-11-03', vendorId: 'v1', taxJurisdiction: quebec, taxLines: [],
+        restaurant: { tax: -0.5 },
+        lines: [{ subtotalDelta: -10, taxCategory: 'federal_only', isTaxable: true, taxDeltas: [gst(-0.5)] }],
+    }];
+
+    test('totals tax by component, jurisdiction and vendor per period, with notes in the period issued', () => {
+        const [nov, oct, sep] = buildTaxSummary({ invoices, notes, vendors: { v1: { name: 'Fresh Farms Ltd' } } });
+
+        expect(oct).toMatchObject({
+            period: '2026-10',
+            documentCount: 1,
+            sales: { taxable: 50, zeroRated: 40, exempt: 0, total: 90 },
+            tax: 4.5,
+            components: [
+                { code: 'GST', rate: 5, taxableAmount: 50, amount: 2.5 },
+                { code: 'QST', rate: 9.975, taxableAmount: 20, amount: 2 },
+            ],
+            vendors: [{ vendorId: 'v1', vendorName: 'Fresh Farms Ltd', sales: 90, tax: 4.5 }],
+        });
+        expect(oct.jurisdictions.map(j => [j.jurisdiction, j.code, j.amount])).toEqual([['CA-QC', 'GST', 2.5], ['CA-QC', 'QST', 2]]);
+        expect(nov).toMatchObject({ period: '2026-11', documentCount: 1, tax: -0.5, sales: { taxable: -10 } });
+        expect(sep.components).toEqual([{ code: 'TAX', label: 'Tax (not split)', rate: 0, taxableAmount: 10, amount: 1.3 }]);
+        expect(sep.sales).toMatchObject({ taxable: 10, zeroRated: 5 });
+    });
+
+    test('groups into quarters and exports one CSV row per jurisdiction and component', () => {
+        expect(getTaxPeriod('2026-11-03', 'quarter')).toBe('2026-Q4');
+        const summary = buildTaxSummary({ invoices, notes, period: 'quarter' });
+        expect(summary.map(p => [p.period, p.tax])).toEqual([['2026-Q4', 4], ['2026-Q3', 1.3]]);
+
+        const csv = buildTaxSummaryCsv(summary).split('\n');
+        expect(csv[0]).toMatch(/^Period,Jurisdiction,Region,Tax,Rate %/);
+        expect(csv[1]).toBe('"2026-Q4","CA-QC","Quebec","GST","5","40.00","2.00","40.00","40.00","0.00"');
+        expect(csv).toHaveLength(4);
+    });
+});
@@ -0,0 +1,45 @@
+// src/shared/taxRates.js
+// Canadian provinces and US states for vendor management, with their current
+// combined sales tax rate. src/constants/taxRates.js re-exports it.
+
+import { getTaxRegions, getTaxComponents, getCombinedTaxRate, describeTaxComponents } from './taxEngine.js';
+
+export const COUNTRIES = ['Canada', 'United States'];
+
+// Rates are today's combined rates, for display — invoices are taxed by
+// component and date through taxEngine.js.
+const toRegions = (country) => {
+    const today = new Date().toISOString().slice(0, 10);
+    return getTaxRegions(country).map(({ code, name }) => {
+        const components = getTaxComponents({ country, region: code }, today);
+        return {
+            code,
+            name,
+            rate: getCombinedTaxRate({ country, region: code }, today),
+            ...(country === 'Canada' ? { type: describeTaxComponents(components) } : {}),
+        };
+    });
+};
+
+export const CANADA_PROVINCES = toRegions('Canada');
+
+export const US_STATES = toRegions('United States');
+
+// Helper: get regions for a given country
+export const getRegionsForCountry = (country) => {
+    if (country === 'Canada') return CANADA_PROVINCES;
+    if (country === 'United States') return US_STATES;
+    return [];
+};
+
+// Helper: get the combined tax rate for a country + province/state code
+// (today's, or on a YYYY-MM-DD date)
+export const getTaxRate = (country, regionCode, date = new Date().toISOString().slice(0, 10)) =>
+    getCombinedTaxRate({ country, region: regionCode }, date);
+
+// Helper: get region label (Province vs State)
+export const getRegionLabel = (country) => {
+    if (country === 'Canada') return 'Province';
+    if (country === 'United States') return 'State';
+    return 'Region';
+};
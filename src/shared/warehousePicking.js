@@ -0,0 +1,360 @@
+/**
+ * warehousePicking.js
+ *
+ * Warehouse pick / pack workflow for route-day dispatches.
+ *
+ *   vendorDispatchRoutes/{routeDispatchId}   — the lines to pick (`items`) and
+ *                                              the route's `warehouseStatus`
+ *   warehousePicks/{lineId}                  — one document per route line
+ *   warehouseConfig/layout                   — zones and bin locations
+ *
+ * A line moves Pending → Picked → Loaded. A line that cannot be filled in
+ * full is marked Short with the quantity found and a reason; a short line
+ * with anything on it is still loaded. Any line can be reset to Pending.
+ *
+ * The route's `warehouseStatus` rolls up from its lines: null until the first
+ * line is touched, then "Picking", "Picked" once every line is picked or
+ * short, and "Loaded" once everything picked is on the truck.
+ *
+ * Pure — used by functions/warehousePicking.js and the Warehouse Pick List.
+ */
+
+// Route statuses that enter the warehouse
+export const WAREHOUSE_ELIGIBLE_STATUSES = ['Confirmed', 'Partially Confirmed', 'Delivered'];
+
+export const PICK_STATUSES = ['Pending', 'Picked', 'Short', 'Loaded'];
+
+export const SHORT_PICK_REASONS = [
+    { key: 'out_of_stock', label: 'Out of stock' },
+    { key: 'damaged', label: 'Damaged' },
+    { key: 'not_received', label: 'Not received from vendor' },
+    { key: 'quality_rejected', label: 'Failed quality check' },
+    { key: 'other', label: 'Other' },
+];
+
+// action → statuses it may be applied from
+const ACTION_FROM_STATUSES = {
+    pick: ['Pending', 'Short'],
+    short: ['Pending', 'Picked'],
+    load: ['Picked', 'Short'],
+    reset: ['Picked', 'Short', 'Loaded'],
+};
+
+export const UNASSIGNED_ZONE = { id: 'unassigned', name: 'Unassigned', categories: [] };
+
+/**
+ * Shape of `warehouseConfig/layout`. `bins` is keyed by getPickItemKey().
+ */
+export const DEFAULT_WAREHOUSE_LAYOUT = {
+    zones: [
+        { id: 'A', name: 'Zone A', categories: ['Produce'] },
+        { id: 'B', name: 'Zone B', categories: ['Packaging'] },
+        { id: 'C', name: 'Zone C', categories: ['Spices'] },
+        { id: 'D', name: 'Zone D', categories: ['Meat'] },
+        { id: 'E', name: 'Zone E', categories: ['Dairy'] },
+        { id: 'F', name: 'Zone F', categories: ['Cleaning Supplies'] },
+    ],
+    bins: {},
+};
+
+// ─── Layout ───────────────────────────────────────────────────────────────────
+
+const cleanString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Merge a raw `warehouseConfig/layout` document over the defaults. Zones
+ * without an id or name are dropped, as are duplicate ids; a category belongs
+ * to the first zone that lists it. Empty bins are dropped.
+ */
+export function normalizeWarehouseLayout(raw = {}) {
+    const zones = [];
+    const seenIds = new Set();
+    const seenCategories = new Set();
+    const rawZones = Array.isArray(raw?.zones) ? raw.zones : DEFAULT_WAREHOUSE_LAYOUT.zones;
+    rawZones.forEach(zone => {
+        const id = cleanString(zone?.id);
+        const name = cleanString(zone?.name);
+        if (!id || !name || seenIds.has(id) || id === UNASSIGNED_ZONE.id) return;
+        seenIds.add(id);
+        const categories = (Array.isArray(zone.categories) ? zone.categories : [])
+            .map(cleanString)
+            .filter(c => c && !seenCategories.has(c.toLowerCase()));
+        categories.forEach(c => seenCategories.add(c.toLowerCase()));
+        zones.push({ id, name, categories });
+    });
+
+    const bins = {};
+    Object.entries(raw?.bins && typeof raw.bins === 'object' ? raw.bins : {}).forEach(([key, bin]) => {
+        const value = cleanString(bin);
+        if (key && value) bins[key] = value.toUpperCase();
+    });
+    return { zones, bins };
+}
+
+/**
+ * Zone for a category, or UNASSIGNED_ZONE when no zone lists it.
+ */
+export function getZoneForCategory(layout, category) {
+    const target = cleanString(category).toLowerCase();
+    const zone = target && (layout?.zones || []).find(z => z.categories.some(c => c.toLowerCase() === target));
+    return zone || UNASSIGNED_ZONE;
+}
+
+// ─── Lines ────────────────────────────────────────────────────────────────────
+
+const slug = (value) => String(value || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Stable key for a route item — also the key of its bin in the layout.
+ */
+export function getPickItemKey(item) {
+    return slug(item?.itemId || item?.catalogItemId || item?.itemName) || 'item';
+}
+
+/**
+ * `warehousePicks` document id for a route line.
+ */
+export function getPickLineId(routeDispatchId, item) {
+    return `${routeDispatchId}__${getPickItemKey(item)}`;
+}
+
+/**
+ * Short code printed on the pick label and scanned to advance the line:
+ * "PK" and seven base-36 characters of an FNV-1a hash of the line id. Only
+ * uses characters Code 39 can encode.
+ */
+export function getPickCode(lineId) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < lineId.length; i++) {
+        hash ^= lineId.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `PK${hash.toString(36).toUpperCase().padStart(7, '0')}`;
+}
+
+/**
+ * Quantity to pick for a route item. Items written before `qty` carry only
+ * the Monday / Thursday fields; a line substituted in full has `qty` 0 and
+ * is not picked.
+ */
+export const lineQty = (item) => Number(item?.qty ?? (item?.mondayQty || item?.thursdayQty)) || 0;
+
+/**
+ * One pick row per route line with a quantity, in walking order: zone order
+ * from the layout (unassigned last), then bin, then item name.
+ *
+ * @param {Array}  routes — `vendorDispatchRoutes` docs ({ id, ...data })
+ * @param {Object} [options]
+ * @param {string} [options.routeDay] — only routes for this day
+ * @param {Object} [options.layout] — normalizeWarehouseLayout() output
+ * @param {Object} [options.picks] — `warehousePicks` docs keyed by id
+ * @returns {Array<Object>}
+ */
+export function buildPickRows(routes = [], { routeDay, layout = DEFAULT_WAREHOUSE_LAYOUT, picks = {} } = {}) {
+    const zoneOrder = new Map((layout.zones || []).map((z, i) => [z.id, i]));
+    const rows = [];
+
+    routes
+        .filter(route => !routeDay || route.routeDay === routeDay)
+        .forEach(route => {
+            const routeDispatchId = route.routeDispatchId || route.id;
+            (route.items || []).forEach(item => {
+                const qty = lineQty(item);
+                if (!qty) return;
+                const lineId = getPickLineId(routeDispatchId, item);
+                const itemKey = getPickItemKey(item);
+                const zone = getZoneForCategory(layout, item.category);
+                const pick = picks[lineId] || {};
+                rows.push({
+                    lineId,
+                    itemKey,
+                    pickCode: getPickCode(lineId),
+                    itemName: item.itemName || 'Unknown Item',
+                    category: item.category || '',
+                    packLabel: item.packLabel || '—',
+                    sku: item.sku || item.vendorSku || '',
+                    scanKeys: [item.sku, item.vendorSku, item.vendorItemId, item.catalogItemId, item.itemId].filter(Boolean).map(k => String(k).toUpperCase()),
+                    qty,
+                    substitutionFor: item.substitutionFor?.itemName || '',
+                    substitutedQty: Number(item.substitutedQty) || 0,
+                    drops: Array.isArray(item.drops) ? item.drops.filter(d => Number(d.qty) > 0) : [],
+                    zoneId: zone.id,
+                    zoneName: zone.name,
+                    bin: layout.bins?.[itemKey] || '',
+                    routeDispatchId,
+                    dispatchId: route.dispatchId || routeDispatchId,
+                    vendorId: route.vendorId || '',
+                    vendorName: route.vendorName || '',
+                    routeDay: route.routeDay || routeDay || '',
+                    weekLabel: route.weekLabel || '',
+                    status: pick.status || 'Pending',
+                    pickedQty: pick.pickedQty ?? null,
+                    shortReason: pick.shortReason || null,
+                    shortNote: pick.shortNote || '',
+                    pickedBy: pick.pickedBy || null,
+                    pickedAt: pick.pickedAt || null,
+                    loadedBy: pick.loadedBy || null,
+                    loadedAt: pick.loadedAt || null,
+                });
+            });
+        });
+
+    const orderOf = (row) => (zoneOrder.has(row.zoneId) ? zoneOrder.get(row.zoneId) : Number.MAX_SAFE_INTEGER);
+    rows.sort((a, b) => orderOf(a) - orderOf(b)
+        || (a.bin ? 0 : 1) - (b.bin ? 0 : 1)
+        || a.bin.localeCompare(b.bin, undefined, { numeric: true })
+        || a.itemName.localeCompare(b.itemName)
+        || a.vendorName.localeCompare(b.vendorName));
+    return rows;
+}
+
+// ─── Actions ──────────────────────────────────────────────────────────────────
+
+/**
+ * Validate a pick action against a line and build the `warehousePicks`
+ * update. Does not touch Firestore.
+ *
+ * @param {Object} line — { qty, status?, pickedQty?, history? }
+ * @param {'pick'|'short'|'load'|'reset'} action
+ * @param {Object} [options]
+ * @param {number} [options.qty] — quantity found (short)
+ * @param {string} [options.reason] — SHORT_PICK_REASONS key (short)
+ * @param {string} [options.note] — required when the reason is "other"
+ * @param {string} [options.actor]
+ * @param {Date}   [options.now]
+ * @returns {{ valid: boolean, error?: string, update?: Object }}
+ */
+export function applyPickAction(line, action, { qty, reason, note = '', actor = 'system', now = new Date() } = {}) {
+    const allowed = ACTION_FROM_STATUSES[action];
+    if (!allowed) return { valid: false, error: `Unknown pick action "${action}".` };
+    const status = line?.status || 'Pending';
+    if (!allowed.includes(status)) {
+        return { valid: false, error: `Cannot ${action} a line that is ${status}.` };
+    }
+
+    const ordered = Number(line?.qty) || 0;
+    const nowIso = now.toISOString();
+    const entry = { action, by: actor, at: nowIso };
+    const update = {};
+
+    if (action === 'pick') {
+        Object.assign(update, {
+            status: 'Picked', pickedQty: ordered, shortQty: 0, shortReason: null, shortNote: '',
+            pickedBy: actor, pickedAt: nowIso,
+        });
+    } else if (action === 'short') {
+        const found = Number(qty);
+        if (!Number.isFinite(found) || found < 0 || found >= ordered) {
+            return { valid: false, error: `Quantity found must be between 0 and ${ordered - 1}.` };
+        }
+        if (!SHORT_PICK_REASONS.some(r => r.key === reason)) {
+            return { valid: false, error: 'Choose a reason for the short pick.' };
+        }
+        if (reason === 'other' && !cleanString(note)) {
+            return { valid: false, error: 'Describe the reason for the short pick.' };
+        }
+        Object.assign(update, {
+            status: 'Short', pickedQty: found, shortQty: ordered - found, shortReason: reason, shortNote: cleanString(note),
+            pickedBy: actor, pickedAt: nowIso,
+        });
+        Object.assign(entry, { qty: found, reason });
+    } else if (action === 'load') {
+        if (status === 'Short' && !(Number(line.pickedQty) > 0)) {
+            return { valid: false, error: 'Nothing was picked for this line — there is nothing to load.' };
+        }
+        Object.assign(update, { status: 'Loaded', loadedBy: actor, loadedAt: nowIso });
+    } else {
+        Object.assign(update, {
+            status: 'Pending', pickedQty: null, shortQty: 0, shortReason: null, shortNote: '',
+            pickedBy: null, pickedAt: null, loadedBy: null, loadedAt: null,
+        });
+    }
+
+    update.history = [...(line?.history || []), entry];
+    return { valid: true, update };
+}
+
+/**
+ * Route `warehouseStatus` from the status of each of its lines (lines with
+ * no pick document count as Pending).
+ *
+ * @param {Array<{ status?: string, pickedQty?: number }>} lines
+ * @returns {null|'Picking'|'Picked'|'Loaded'}
+ */
+export function rollUpWarehouseStatus(lines = []) {
+    const statuses = lines.map(l => l?.status || 'Pending');
+    if (statuses.length === 0 || statuses.every(s => s === 'Pending')) return null;
+    const done = (l) => l.status === 'Loaded' || (l.status === 'Short' && !(Number(l.pickedQty) > 0));
+    if (lines.every(done)) return 'Loaded';
+    if (statuses.every(s => s !== 'Pending')) return 'Picked';
+    return 'Picking';
+}
+
+// ─── Scanning ─────────────────────────────────────────────────────────────────
+
+/**
+ * Find the row a scanned code refers to: a pick label code, or an item code
+ * (SKU, vendor item id, catalog item id). An item code can match the same
+ * item on several routes — the first row in walking order that still needs
+ * work wins.
+ *
+ * @param {Array}  rows — buildPickRows() output
+ * @param {string} code
+ * @returns {Object|null}
+ */
+export function matchScan(rows = [], code) {
+    const scanned = cleanString(code).toUpperCase();
+    if (!scanned) return null;
+    const byLabel = rows.find(r => r.pickCode === scanned);
+    if (byLabel) return byLabel;
+    const matches = rows.filter(r => r.scanKeys.includes(scanned));
+    return matches.find(r => r.status === 'Pending') || matches.find(r => r.status !== 'Loaded') || matches[0] || null;
+}
+
+/**
+ * The action a scan applies to a row: pick a pending line, load a picked
+ * one. Null when the line needs a person (short picks, finished lines).
+ */
+export function getScanAction(row) {
+    if (row?.status === 'Pending') return 'pick';
+    if (row?.status === 'Picked') return 'load';
+    return null;
+}
+
+// ─── Labels ───────────────────────────────────────────────────────────────────
+
+/**
+ * Pick labels, one per restaurant drop. Lines sent before drops were recorded
+ * on route items get a single label for the whole quantity.
+ *
+ * @param {Array} rows — buildPickRows() output
+ * @returns {Array<Object>} grouped by restaurant, then walking order
+ */
+export function buildPickLabels(rows = []) {
+    const labels = [];
+    rows.forEach(row => {
+        const drops = row.drops.length > 0 ? row.drops : [{ restaurantId: '', restaurantName: '', qty: row.qty }];
+        drops.forEach((drop, i) => {
+            labels.push({
+                key: `${row.lineId}-${drop.restaurantId || i}`,
+                pickCode: row.pickCode,
+                itemName: row.itemName,
+                packLabel: row.packLabel,
+                qty: Number(drop.qty) || 0,
+                restaurantId: drop.restaurantId || '',
+                restaurantName: drop.restaurantName || 'All restaurants',
+                vendorName: row.vendorName,
+                routeDay: row.routeDay,
+                weekLabel: row.weekLabel,
+                zoneName: row.zoneName,
+                bin: row.bin,
+                dropIndex: i + 1,
+                dropCount: drops.length,
+            });
+        });
+    });
+    const ordered = new Map(rows.map((r, i) => [r.pickCode, i]));
+    return labels.sort((a, b) => (a.restaurantId ? 0 : 1) - (b.restaurantId ? 0 : 1)
+        || a.restaurantName.localeCompare(b.restaurantName)
+        || ordered.get(a.pickCode) - ordered.get(b.pickCode));
+}
@@ -0,0 +1,145 @@
+// src/shared/warehousePicking.test.js
+//
+// Unit tests for the warehouse pick workflow: layout, walking order, pick actions, route roll-up, scanning and labels.
+// Run with: npm test -- --watchAll=false --testPathPattern=warehousePicking
+//
+import {
+    normalizeWarehouseLayout,
+    buildPickRows,
+    applyPickAction,
+    rollUpWarehouseStatus,
+    matchScan,
+    getScanAction,
+    buildPickLabels,
+    getPickCode,
+    getPickLineId,
+    lineQty,
+} from './warehousePicking';
+
+const layout = normalizeWarehouseLayout({
+    zones: [
+        { id: 'COLD', name: 'Cooler', categories: ['Dairy', 'Meat'] },
+        { id: 'DRY', name: 'Dry Goods', categories: ['Spices', 'dairy'] },
+        { id: 'COLD', name: 'Duplicate', categories: ['Produce'] },
+        { id: '', name: 'No id' },
+    ],
+    bins: { 'paneer': 'c-02', 'cumin': ' ', 'milk': 'C-01' },
+});
+
+const routes = [
+    {
+        id: 'disp_v1_20261019_Mon', routeDispatchId: 'disp_v1_20261019_Mon', routeDay: 'Monday', vendorName: 'Bay Dairy',
+        items: [
+            { itemId: 'paneer', itemName: 'Paneer', category: 'Dairy', qty: 4, sku: 'pn-1', drops: [{ restaurantId: 'r2', restaurantName: 'Tandoor', qty: 1 }, { restaurantId: 'r1', restaurantName: 'Curry Co', qty: 3 }] },
+            { itemId: 'milk', itemName: 'Milk', category: 'Dairy', qty: 2 },
+            { itemName: 'Red Onion', category: 'Produce', qty: 10 },
+            { itemId: 'cumin', itemName: 'Cumin', category: 'Spices', qty: 0 },
+        ],
+    },
+    { id: 'disp_v2_20261019_Thu', routeDay: 'Thursday', vendorName: 'Spice Co', items: [{ itemId: 'cumin', itemName: 'Cumin', category: 'Spices', qty: 3 }] },
+];
+
+describe('warehousePicking — layout and rows', () => {
+    test('layout drops bad zones, keeps a category in its first zone and upper-cases bins', () => {
+        expect(layout.zones).toEqual([
+            { id: 'COLD', name: 'Cooler', categories: ['Dairy', 'Meat'] },
+            { id: 'DRY', name: 'Dry Goods', categories: ['Spices'] },
+        ]);
+        expect(layout.bins).toEqual({ paneer: 'C-02', milk: 'C-01' });
+        expect(normalizeWarehouseLayout({}).zones[0]).toEqual({ id: 'A', name: 'Zone A', categories: ['Produce'] });
+    });
+
+    test('rows come in walking order: zone, then bin, with unassigned categories last', () => {
+        const rows = buildPickRows(routes, { routeDay: 'Monday', layout, picks: { [getPickLineId('disp_v1_20261019_Mon', { itemId: 'milk' })]: { status: 'Picked', pickedQty: 2, pickedBy: 'sam' } } });
+        expect(rows.map(r => [r.itemName, r.zoneName, r.bin, r.status])).toEqual([
+            ['Milk', 'Cooler', 'C-01', 'Picked'],
+            ['Paneer', 'Cooler', 'C-02', 'Pending'],
+            ['Red Onion', 'Unassigned', '', 'Pending'],
+        ]);
+        expect(rows[2].lineId).toBe('disp_v1_20261019_Mon__red-onion');
+        expect(rows[0].pickedBy).toBe('sam');
+        expect(getPickCode(rows[0].lineId)).toMatch(/^PK[0-9A-Z]{7}$/);
+        expect(getPickCode(rows[0].lineId)).toBe(rows[0].pickCode);
+    });
+
+    test('substitute lines are picked on their own; lines substituted in full drop out', () => {
+        const rows = buildPickRows([{
+            id: 'disp_v1_20261019_Mon', routeDay: 'Monday',
+            items: [
+                { itemId: 'paneer', itemName: 'Paneer', category: 'Dairy', qty: 1, substitutedQty: 3, mondayQty: 4 },
+                { itemId: 'milk', itemName: 'Milk', category: 'Dairy', qty: 0, substitutedQty: 2, mondayQty: 2 },
+                { itemId: 'sub-s1', itemName: 'Halloumi', category: 'Dairy', qty: 3, substitutionFor: { itemId: 'paneer', itemName: 'Paneer' } },
+            ],
+        }], { routeDay: 'Monday', layout });
+        expect(rows.map(r => [r.itemName, r.qty, r.substitutedQty, r.substitutionFor])).toEqual([
+            ['Paneer', 1, 3, ''],
+            ['Halloumi', 3, 0, 'Paneer'],
+        ]);
+    });
+
+    test('line quantity is qty when set, so a line substituted in full is 0, and the day fields only for old lines', () => {
+        expect(lineQty({ qty: 0, mondayQty: 2 })).toBe(0);
+        expect(lineQty({ qty: 3, mondayQty: 4 })).toBe(3);
+        expect(lineQty({ thursdayQty: 5 })).toBe(5);
+        expect(lineQty(null)).toBe(0);
+    });
+});
+
+describe('warehousePicking — actions and roll-up', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    test('pick, short and load move a line and record who and when', () => {
+        const picked = applyPickAction({ qty: 4 }, 'pick', { actor: 'sam', now });
+        expect(picked.update).toMatchObject({ status: 'Picked', pickedQty: 4, pickedBy: 'sam', pickedAt: now.toISOString() });
+
+        const short = applyPickAction({ qty: 4, ...picked.update }, 'short', { qty: 1, reason: 'damaged', actor: 'sam', now });
+        expect(short.update).toMatchObject({ status: 'Short', pickedQty: 1, shortQty: 3, shortReason: 'damaged' });
+        expect(short.update.history.map(h => h.action)).toEqual(['pick', 'short']);
+
+        const loaded = applyPickAction({ qty: 4, ...short.update }, 'load', { actor: 'kim', now });
+        expect(loaded.update).toMatchObject({ status: 'Loaded', loadedBy: 'kim' });
+        expect(applyPickAction({ qty: 4, ...loaded.update }, 'reset').update).toMatchObject({ status: 'Pending', pickedQty: null, loadedBy: null });
+    });
+
+    test('invalid moves and incomplete short picks are refused', () => {
+        expect(applyPickAction({ qty: 4 }, 'load')).toMatchObject({ valid: false, error: 'Cannot load a line that is Pending.' });
+        expect(applyPickAction({ qty: 4 }, 'short', { qty: 4, reason: 'damaged' }).valid).toBe(false);
+        expect(applyPickAction({ qty: 4 }, 'short', { qty: 1 }).error).toMatch(/reason/);
+        expect(applyPickAction({ qty: 4 }, 'short', { qty: 1, reason: 'other' }).error).toMatch(/Describe/);
+        expect(applyPickAction({ qty: 4, status: 'Short', pickedQty: 0 }, 'load').valid).toBe(false);
+    });
+
+    test('route status rolls up from its lines', () => {
+        expect(rollUpWarehouseStatus([{}, {}])).toBeNull();
+        expect(rollUpWarehouseStatus([{ status: 'Picked' }, {}])).toBe('Picking');
+        expect(rollUpWarehouseStatus([{ status: 'Picked' }, { status: 'Short', pickedQty: 0 }])).toBe('Picked');
+        expect(rollUpWarehouseStatus([{ status: 'Loaded' }, { status: 'Short', pickedQty: 0 }])).toBe('Loaded');
+        expect(rollUpWarehouseStatus([{ status: 'Loaded' }, { status: 'Short', pickedQty: 2 }])).toBe('Picked');
+    });
+});
+
+describe('warehousePicking — scanning and labels', () => {
+    const rows = buildPickRows(routes, { layout });
+
+    test('a scan matches the label code or an item code, preferring lines still to pick', () => {
+        const paneer = rows.find(r => r.itemName === 'Paneer');
+        expect(matchScan(rows, ` ${paneer.pickCode.toLowerCase()} `)).toBe(paneer);
+        expect(matchScan(rows, 'PN-1')).toBe(paneer);
+        expect(matchScan(rows, 'nope')).toBeNull();
+
+        const cumin = rows.find(r => r.itemName === 'Cumin');
+        expect(matchScan(rows, 'cumin')).toBe(cumin);
+        expect(getScanAction(cumin)).toBe('pick');
+        expect(getScanAction({ status: 'Short' })).toBeNull();
+    });
+
+    test('one label per restaurant drop, whole-line labels for routes without drops', () => {
+        const labels = buildPickLabels(rows.filter(r => r.routeDay === 'Monday'));
+        expect(labels.map(l => [l.restaurantName, l.itemName, l.qty, `${l.dropIndex}/${l.dropCount}`])).toEqual([
+            ['Curry Co', 'Paneer', 3, '2/2'],
+            ['Tandoor', 'Paneer', 1, '1/2'],
+            ['All restaurants', 'Milk', 2, '1/1'],
+            ['All restaurants', 'Red Onion', 10, '1/1'],
+        ]);
+    });
+});
@@ -0,0 +1,359 @@
+/**
+ * weeklyReconciliation.js
+ *
+ * Weekly financial reconciliation — proves that a week's invoices agree with
+ * each other, with the orders they were billed from, and with the vendor
+ * dispatches that planned them.
+ *
+ *   reconciliationReports/{weekStart}   — one report per week (Monday, YYYY-MM-DD)
+ *   systemExceptions/reconciliation_{weekStart} — open while the week is flagged
+ *
+ * A week covers the invoices dated Monday–Sunday in the business time zone.
+ * Invoices are dated at fulfilment — after delivery and its 48h review window —
+ * so the dispatch check instead takes the vendor invoices of the orders
+ * delivered that week, the week the dispatches planned. Every amount is taken net of the applied credit/debit notes
+ * (invoiceAdjustments.js), so a correction issued as a note keeps the week
+ * balanced. Checks:
+ *
+ *   invoice_split_mismatch        vendor gross ≠ commission + payout
+ *   missing_invoice               order has only one of its two invoices
+ *   invoice_pair_mismatch         vendor and restaurant invoices bill different amounts
+ *   missing_order                 invoice's source order no longer exists
+ *   order_total_mismatch          invoice subtotal/tax ≠ the order it was billed from
+ *   dispatch_commission_mismatch  `marketplaceCommissionTotal` ≠ commissions invoiced on the vendor's orders delivered that week
+ *   global_imbalance              billed ≠ payouts + commission + tax
+ *
+ * Discrepancies have stable IDs, so an explanation recorded by finance
+ * survives re-runs as long as the difference it explains is unchanged.
+ *
+ * Pure — used by functions/reconciliation.js and the Finance Reconciliation tab.
+ */
+
+import { BUSINESS_TIME_ZONE } from './invoiceNumbering.js';
+import { summarizeInvoiceBalance, groupAdjustmentsByInvoice } from './invoiceAdjustments.js';
+import { getBilledQty } from './proofOfDelivery.js';
+
+/** Largest difference (dollars) treated as rounding. */
+export const RECONCILIATION_TOLERANCE = 0.02;
+
+export const DISCREPANCY_TYPES = {
+    invoice_split_mismatch: 'Payout split',
+    missing_invoice: 'Missing invoice',
+    invoice_pair_mismatch: 'Invoice pair mismatch',
+    missing_order: 'Missing order',
+    order_total_mismatch: 'Invoice ≠ order',
+    dispatch_commission_mismatch: 'Dispatch commission',
+    global_imbalance: 'Week imbalance',
+};
+
+/** Week status: no discrepancies, every discrepancy explained, or something still open. */
+export const REPORT_STATUSES = ['balanced', 'explained', 'flagged'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Weeks ────────────────────────────────────────────────────────────────────
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (value instanceof Date) return value;
+    if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const addDays = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/** Calendar date (YYYY-MM-DD) of an instant in the business time zone. */
+export function getBusinessDate(date = new Date(), timeZone = BUSINESS_TIME_ZONE) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(toDate(date));
+}
+
+/** True for a Monday in YYYY-MM-DD form. */
+export function isWeekStart(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value && d.getUTCDay() === 1;
+}
+
+/** Monday of the week a YYYY-MM-DD date falls in. */
+export function getWeekStart(isoDate) {
+    const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+    return addDays(isoDate, -((day + 6) % 7));
+}
+
+/** `{ weekStart, weekEnd }` for a Monday. */
+export function getWeekRange(weekStart) {
+    return { weekStart, weekEnd: addDays(weekStart, 6) };
+}
+
+/** The last complete week before `now` — what the Monday run reconciles. */
+export function getPreviousWeek(now = new Date()) {
+    return getWeekRange(addDays(getWeekStart(getBusinessDate(now)), -7));
+}
+
+/**
+ * When an order was delivered — `deliveredAt`, else the `delivered_awaiting_confirmation`
+ * entry of `timestamps`; null if it never was.
+ */
+export function getOrderDeliveredAt(order) {
+    return toDate(order?.deliveredAt) || toDate(order?.timestamps?.delivered_awaiting_confirmation);
+}
+
+/** True when an invoice or delivery date falls inside the week (business time zone). */
+export function isInWeek(date, { weekStart, weekEnd }) {
+    const d = toDate(date);
+    if (!d) return false;
+    const day = getBusinessDate(d);
+    return day >= weekStart && day <= weekEnd;
+}
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+
+const orderSubtotal = (order) => (order.subtotalBeforeTax !== undefined
+    ? Number(order.subtotalBeforeTax) || 0
+    : (order.items || []).reduce((s, i) => s + getBilledQty(i) * (Number(i.price ?? i.vendorPrice) || 0), 0));
+
+/**
+ * Reconcile one week.
+ *
+ * @param {Object} params
+ * @param {string} params.weekStart — Monday, YYYY-MM-DD
+ * @param {Array}  params.vendorInvoices — `vendorInvoices` dated in the week ({ id, ...data })
+ * @param {Array}  params.restaurantInvoices — `restaurantInvoices` dated in the week
+ * @param {Array}  [params.orders] — source `marketplaceOrders` of those invoices
+ * @param {Array}  [params.dispatches] — `vendorDispatches` for the week
+ * @param {Array}  [params.deliveredVendorInvoices] — `vendorInvoices` of the orders delivered in the week, whatever their date
+ * @param {Array}  [params.adjustments] — `invoiceAdjustments` for the orders of both invoice lists
+ * @param {number} [params.tolerance]
+ * @returns {Object} report (see data_structure.md, `reconciliationReports`)
+ */
+export function buildReconciliationReport({
+    weekStart,
+    vendorInvoices = [],
+    restaurantInvoices = [],
+    orders = [],
+    dispatches = [],
+    deliveredVendorInvoices = [],
+    adjustments = [],
+    tolerance = RECONCILIATION_TOLERANCE,
+}) {
+    const { weekEnd } = getWeekRange(weekStart);
+    const ordersById = Object.fromEntries(orders.map(o => [o.id, o]));
+    const vendorNotes = groupAdjustmentsByInvoice(adjustments, 'vendor');
+    const restaurantNotes = groupAdjustmentsByInvoice(adjustments, 'restaurant');
+    const differs = (expected, actual) => Math.abs(round2(actual) - round2(expected)) > tolerance;
+
+    const discrepancies = [];
+    const flag = (type, id, fields) => discrepancies.push({
+        id: `${type}_${id}`,
+        type,
+        label: DISCREPANCY_TYPES[type],
+        ...fields,
+        expected: fields.expected === undefined ? null : round2(fields.expected),
+        actual: fields.actual === undefined ? null : round2(fields.actual),
+        difference: fields.expected === undefined ? null : round2(round2(fields.actual) - round2(fields.expected)),
+    });
+
+    // Pair vendor and restaurant invoices by order
+    const pairs = {};
+    vendorInvoices.forEach(inv => { (pairs[inv.orderId || inv.id] = pairs[inv.orderId || inv.id] || {}).vendor = inv; });
+    restaurantInvoices.forEach(inv => { (pairs[inv.orderId || inv.id] = pairs[inv.orderId || inv.id] || {}).restaurant = inv; });
+
+    const totals = { billed: 0, subtotal: 0, vendorPayout: 0, commission: 0, tax: 0 };
+
+    Object.entries(pairs).forEach(([orderId, { vendor, restaurant }]) => {
+        const any = vendor || restaurant;
+        const ref = {
+            entityType: 'invoice',
+            entityId: any.id,
+            orderId,
+            invoiceId: any.id,
+            invoiceCollection: vendor ? 'vendorInvoices' : 'restaurantInvoices',
+            invoiceNumber: any.invoiceNumber || '',
+            vendorId: any.vendorId || '',
+            vendorName: any.vendorName || '',
+            restaurantId: any.restaurantId || '',
+        };
+        const v = vendor ? summarizeInvoiceBalance(vendor, vendorNotes[vendor.id], 'vendor') : null;
+        const r = restaurant ? summarizeInvoiceBalance(restaurant, restaurantNotes[restaurant.id], 'restaurant') : null;
+
+        if (v) {
+            totals.vendorPayout += v.netPayout;
+            totals.commission += v.netCommission;
+            if (differs(v.netGross, v.netCommission + v.netPayout)) {
+                flag('invoice_split_mismatch', vendor.id, {
+                    ...ref,
+                    expected: v.netGross,
+                    actual: v.netCommission + v.netPayout,
+                    message: `Gross $${v.netGross.toFixed(2)} ≠ commission $${v.netCommission.toFixed(2)} + payout $${v.netPayout.toFixed(2)}`,
+                });
+            }
+        }
+        if (r) {
+            totals.billed += r.netTotal;
+            totals.subtotal += r.netSubtotal;
+            totals.tax += r.netTax;
+        }
+
+        if (!v || !r) {
+            flag('missing_invoice', orderId, {
+                ...ref,
+                message: `Order ${orderId} has a ${v ? 'vendor' : 'restaurant'} invoice but no ${v ? 'restaurant' : 'vendor'} invoice`,
+            });
+        } else {
+            if (differs(v.netGross, r.netSubtotal)) {
+                flag('invoice_pair_mismatch', `${orderId}_subtotal`, {
+                    ...ref,
+                    expected: v.netGross,
+                    actual: r.netSubtotal,
+                    message: `Restaurant subtotal $${r.netSubtotal.toFixed(2)} ≠ vendor gross $${v.netGross.toFixed(2)}`,
+                });
+            }
+            if (differs(v.netTax, r.netTax)) {
+                flag('invoice_pair_mismatch', `${orderId}_tax`, {
+                    ...ref,
+                    expected: v.netTax,
+                    actual: r.netTax,
+                    message: `Restaurant tax $${r.netTax.toFixed(2)} ≠ vendor tax $${v.netTax.toFixed(2)}`,
+                });
+            }
+        }
+
+        // Source order — compared with the invoice as issued, before notes
+        const order = ordersById[orderId];
+        if (!order) {
+            flag('missing_order', orderId, { ...ref, message: `Source order ${orderId} not found` });
+            return;
+        }
+        const billedSubtotal = r ? r.originalSubtotal : v.originalGross;
+        const billedTax = r ? r.originalTax : v.originalTax;
+        if (differs(orderSubtotal(order), billedSubtotal)) {
+            flag('order_total_mismatch', `${orderId}_subtotal`, {
+                ...ref,
+                expected: orderSubtotal(order),
+                actual: billedSubtotal,
+                message: `Invoiced subtotal $${round2(billedSubtotal).toFixed(2)} ≠ order subtotal $${round2(orderSubtotal(order)).toFixed(2)}`,
+            });
+        }
+        if (order.totalTax !== undefined && differs(order.totalTax, billedTax)) {
+            flag('order_total_mismatch', `${orderId}_tax`, {
+                ...ref,
+                expected: order.totalTax,
+                actual: billedTax,
+                message: `Invoiced tax $${round2(billedTax).toFixed(2)} ≠ order tax $${round2(order.totalTax).toFixed(2)}`,
+            });
+        }
+    });
+
+    // Dispatch commission vs. what the invoices of the vendor's orders delivered that week charged
+    const commissionByVendor = {};
+    deliveredVendorInvoices.forEach(inv => {
+        const { netCommission } = summarizeInvoiceBalance(inv, vendorNotes[inv.id], 'vendor');
+        commissionByVendor[inv.vendorId] = (commissionByVendor[inv.vendorId] || 0) + netCommission;
+    });
+    dispatches.forEach(dispatch => {
+        const invoiced = commissionByVendor[dispatch.vendorId] || 0;
+        const planned = Number(dispatch.marketplaceCommissionTotal) || 0;
+        if (differs(planned, invoiced)) {
+            flag('dispatch_commission_mismatch', dispatch.id, {
+                entityType: 'dispatch',
+                entityId: dispatch.id,
+                vendorId: dispatch.vendorId || '',
+                vendorName: dispatch.vendorName || '',
+                expected: planned,
+                actual: invoiced,
+                message: `Invoice commissions $${round2(invoiced).toFixed(2)} ≠ dispatch commission $${round2(planned).toFixed(2)}`,
+            });
+        }
+    });
+
+    Object.keys(totals).forEach(k => { totals[k] = round2(totals[k]); });
+    const expectedBilled = round2(totals.vendorPayout + totals.commission + totals.tax);
+    const globalDifference = round2(totals.billed - expectedBilled);
+    const isBalanced = Math.abs(globalDifference) <= tolerance;
+    if (!isBalanced) {
+        flag('global_imbalance', weekStart, {
+            entityType: 'week',
+            entityId: weekStart,
+            expected: expectedBilled,
+            actual: totals.billed,
+            message: `Billed $${totals.billed.toFixed(2)} ≠ payouts + commission + tax $${expectedBilled.toFixed(2)}`,
+        });
+    }
+
+    const report = {
+        weekStart,
+        weekEnd,
+        invoiceCount: vendorInvoices.length,
+        restaurantInvoiceCount: restaurantInvoices.length,
+        orderCount: Object.keys(pairs).length,
+        dispatchCount: dispatches.length,
+        deliveredInvoiceCount: deliveredVendorInvoices.length,
+        adjustmentCount: adjustments.length,
+        totalBilled: totals.billed,
+        totalSubtotal: totals.subtotal,
+        totalVendorPayout: totals.vendorPayout,
+        totalCommission: totals.commission,
+        totalTax: totals.tax,
+        globalDifference,
+        isBalanced,
+        discrepancies: discrepancies.map(d => ({ ...d, status: 'open' })),
+    };
+    return { ...report, ...summarizeDiscrepancies(report.discrepancies) };
+}
+
+// ─── Reviews ──────────────────────────────────────────────────────────────────
+
+/** Counts and week status for a discrepancy list. */
+export function summarizeDiscrepancies(discrepancies = []) {
+    const openCount = discrepancies.filter(d => d.status !== 'explained').length;
+    return {
+        discrepancyCount: discrepancies.length,
+        openCount,
+        explainedCount: discrepancies.length - openCount,
+        status: discrepancies.length === 0 ? 'balanced' : openCount === 0 ? 'explained' : 'flagged',
+    };
+}
+
+/**
+ * Carry explanations from the previous run of the same week onto the new
+ * discrepancies. An explanation only carries over when the difference it
+ * explained has not changed; otherwise the discrepancy is open again.
+ *
+ * @param {Array} previous — discrepancies from the stored report
+ * @param {Array} current — discrepancies from buildReconciliationReport()
+ * @returns {Array}
+ */
+export function mergeDiscrepancyReviews(previous = [], current = []) {
+    const byId = Object.fromEntries(previous.filter(d => d.status === 'explained').map(d => [d.id, d]));
+    return current.map(d => {
+        const old = byId[d.id];
+        if (!old || old.difference !== d.difference) return d;
+        return { ...d, status: 'explained', explanation: old.explanation, explainedBy: old.explainedBy, explainedAt: old.explainedAt };
+    });
+}
+
+/**
+ * Mark one discrepancy explained.
+ *
+ * @param {Object} report — stored `reconciliationReports` doc
+ * @param {string} discrepancyId
+ * @param {Object} params
+ * @param {string} params.note — required
+ * @param {string} [params.actor]
+ * @param {Date}   [params.now]
+ * @returns {{ valid: boolean, error?: string, update?: Object }}
+ */
+export function applyDiscrepancyExplanation(report, discrepancyId, { note, actor = 'system', now = new Date() }) {
+    const explanation = String(note || '').trim();
+    if (!explanation) return { valid: false, error: 'An explanation note is required.' };
+    const discrepancies = report?.discrepancies || [];
+    if (!discrepancies.some(d => d.id === discrepancyId)) return { valid: false, error: `Discrepancy ${discrepancyId} is not in this report.` };
+
+    const updated = discrepancies.map(d => (d.id === discrepancyId
+        ? { ...d, status: 'explained', explanation, explainedBy: actor, explainedAt: now.toISOString() }
+        : d));
+    return { valid: true, update: { discrepancies: updated, ...summarizeDiscrepancies(updated) } };
+}
@@ -0,0 +1,205 @@
+// src/shared/weeklyReconciliation.test.js
+//
+// Unit tests for the weekly financial reconciliation report.
+// Run with: npm test -- --watchAll=false --testPathPattern=weeklyReconciliation
+//
+import {
+    getPreviousWeek,
+    getWeekStart,
+    isWeekStart,
+    isInWeek,
+    getOrderDeliveredAt,
+    buildReconciliationReport,
+    mergeDiscrepancyReviews,
+    applyDiscrepancyExplanation,
+} from './weeklyReconciliation';
+
+const WEEK = '2026-10-12';
+
+const order = (id, overrides = {}) => ({ id, subtotalBeforeTax: 100, totalTax: 13, ...overrides });
+
+const vendorInvoice = (id, overrides = {}) => ({
+    id,
+    orderId: id,
+    vendorId: 'v1',
+    vendorName: 'Fresh Farms',
+    invoiceNumber: `INV-V-2026-${id}`,
+    grossVendorAmount: 100,
+    commissionAmount: 10,
+    netVendorPayable: 90,
+    totalTaxAmount: 13,
+    ...overrides,
+});
+
+const restaurantInvoice = (id, overrides = {}) => ({
+    id,
+    orderId: id,
+    vendorId: 'v1',
+    invoiceNumber: `INV-C-2026-${id}`,
+    subtotal: 100,
+    totalTax: 13,
+    grandTotal: 113,
+    ...overrides,
+});
+
+const dispatch = (commission) => ({ id: `disp_v1_${WEEK}`, vendorId: 'v1', vendorName: 'Fresh Farms', weekStart: WEEK, marketplaceCommissionTotal: commission });
+
+describe('weeklyReconciliation — weeks', () => {
+    test('the Monday run reconciles the previous Monday–Sunday in business time', () => {
+        // Monday 6am Toronto
+        expect(getPreviousWeek(new Date('2026-10-19T10:00:00Z'))).toEqual({ weekStart: '2026-10-12', weekEnd: '2026-10-18' });
+        // Sunday 11pm Toronto is already Monday in UTC
+        expect(getPreviousWeek(new Date('2026-10-19T03:00:00Z'))).toEqual({ weekStart: '2026-10-05', weekEnd: '2026-10-11' });
+        expect(getWeekStart('2026-10-15')).toBe('2026-10-12');
+        expect(isWeekStart('2026-10-12')).toBe(true);
+        expect(isWeekStart('2026-10-13')).toBe(false);
+        expect(isWeekStart('2026-02-30')).toBe(false);
+    });
+
+    test('invoice dates are bucketed by business date', () => {
+        const week = { weekStart: WEEK, weekEnd: '2026-10-18' };
+        expect(isInWeek(new Date('2026-10-19T03:30:00Z'), week)).toBe(true); // Sun 11:30pm Toronto
+        expect(isInWeek(new Date('2026-10-12T03:30:00Z'), week)).toBe(false); // Sun 11:30pm the week before
+        expect(isInWeek({ toDate: () => new Date('2026-10-14T15:00:00Z') }, week)).toBe(true);
+        expect(isInWeek(null, week)).toBe(false);
+    });
+
+    test('an order is delivered when stamped, else when its timestamps say so', () => {
+        expect(getOrderDeliveredAt({ deliveredAt: { toDate: () => new Date('2026-10-14T15:00:00Z') } })).toEqual(new Date('2026-10-14T15:00:00Z'));
+        expect(getOrderDeliveredAt({ timestamps: { delivered_awaiting_confirmation: '2026-10-15T12:00:00.000Z' } })).toEqual(new Date('2026-10-15T12:00:00Z'));
+        expect(getOrderDeliveredAt({ status: 'pending_fulfillment' })).toBeNull();
+    });
+});
+
+describe('weeklyReconciliation — buildReconciliationReport', () => {
+    test('a week whose invoices match their orders and dispatch is balanced', () => {
+        const report = buildReconciliationReport({
+            weekStart: WEEK,
+            vendorInvoices: [vendorInvoice('o1'), vendorInvoice('o2')],
+            restaurantInvoices: [restaurantInvoice('o1'), restaurantInvoice('o2')],
+            orders: [order('o1'), order('o2')],
+            dispatches: [dispatch(20)],
+            deliveredVendorInvoices: [vendorInvoice('o1'), vendorInvoice('o2')],
+        });
+        expect(report).toMatchObject({
+            weekStart: WEEK,
+            weekEnd: '2026-10-18',
+            invoiceCount: 2,
+            totalBilled: 226,
+            totalVendorPayout: 180,
+            totalCommission: 20,
+            totalTax: 26,
+            globalDifference: 0,
+            isBalanced: true,
+            discrepancies: [],
+            status: 'balanced',
+        });
+    });
+
+    test('flags invoices that disagree with their order, their pair or the dispatch', () => {
+        const report = buildReconciliationReport({
+            weekStart: WEEK,
+            vendorInvoices: [vendorInvoice('o1'), vendorInvoice('o2', { netVendorPayable: 89 }), vendorInvoice('o3')],
+            restaurantInvoices: [restaurantInvoice('o1', { subtotal: 95, grandTotal: 108 }), restaurantInvoice('o2')],
+            orders: [order('o1'), order('o2')],
+            dispatches: [dispatch(25)],
+            deliveredVendorInvoices: [vendorInvoice('o1'), vendorInvoice('o2', { netVendorPayable: 89 }), vendorInvoice('o3')],
+        });
+        const byId = Object.fromEntries(report.discrepancies.map(d => [d.id, d]));
+
+        expect(Object.keys(byId).sort()).toEqual([
+            'dispatch_commission_mismatch_disp_v1_2026-10-12',
+            'global_imbalance_2026-10-12',
+            'invoice_pair_mismatch_o1_subtotal',
+            'invoice_split_mismatch_o2',
+            'missing_invoice_o3',
+            'missing_order_o3',
+            'order_total_mismatch_o1_subtotal',
+        ]);
+        expect(byId.order_total_mismatch_o1_subtotal).toMatchObject({ expected: 100, actual: 95, difference: -5, invoiceCollection: 'vendorInvoices' });
+        expect(byId.invoice_split_mismatch_o2).toMatchObject({ expected: 100, actual: 99, difference: -1 });
+        expect(byId['dispatch_commission_mismatch_disp_v1_2026-10-12']).toMatchObject({ entityType: 'dispatch', expected: 25, actual: 30 });
+        expect(byId.missing_invoice_o3.message).toMatch(/no restaurant invoice/);
+        expect(report.status).toBe('flagged');
+        expect(report.openCount).toBe(7);
+    });
+
+    test('credit notes are netted into the invoice, not reported against the order', () => {
+        const note = {
+            status: 'applied',
+            chainIndex: 1,
+            orderId: 'o1',
+            vendorInvoiceId: 'o1',
+            restaurantInvoiceId: 'o1',
+            noteType: 'credit_note',
+            restaurant: { subtotal: -10, tax: -1.3, total: -11.3 },
+            vendor: { gross: -10, commission: -1, payout: -9, tax: -1.3 },
+        };
+        const report = buildReconciliationReport({
+            weekStart: WEEK,
+            vendorInvoices: [vendorInvoice('o1')],
+            restaurantInvoices: [restaurantInvoice('o1')],
+            orders: [order('o1')],
+            dispatches: [dispatch(9)],
+            deliveredVendorInvoices: [vendorInvoice('o1')],
+            adjustments: [note],
+        });
+        expect(report).toMatchObject({ totalBilled: 101.7, totalCommission: 9, totalVendorPayout: 81, status: 'balanced' });
+    });
+
+    test('the dispatch is checked against the orders delivered that week, not the invoices dated in it', () => {
+        // o1 was delivered last week and invoiced this week; o2 was delivered this week and invoiced next week
+        const report = buildReconciliationReport({
+            weekStart: WEEK,
+            vendorInvoices: [vendorInvoice('o1')],
+            restaurantInvoices: [restaurantInvoice('o1')],
+            orders: [order('o1')],
+            dispatches: [dispatch(15)],
+            deliveredVendorInvoices: [vendorInvoice('o2', { commissionAmount: 15, netVendorPayable: 85 })],
+        });
+        expect(report).toMatchObject({ totalCommission: 10, deliveredInvoiceCount: 1, status: 'balanced' });
+    });
+});
+
+describe('weeklyReconciliation — reviews', () => {
+    const flagged = () => buildReconciliationReport({
+        weekStart: WEEK,
+        vendorInvoices: [vendorInvoice('o1')],
+        restaurantInvoices: [restaurantInvoice('o1')],
+        orders: [order('o1')],
+        dispatches: [dispatch(12)],
+        deliveredVendorInvoices: [vendorInvoice('o1')],
+    });
+
+    test('explaining every discrepancy moves the week to explained', () => {
+        const report = flagged();
+        const [only] = report.discrepancies;
+        expect(applyDiscrepancyExplanation(report, only.id, { note: '  ' }).error).toMatch(/note is required/);
+        expect(applyDiscrepancyExplanation(report, 'nope', { note: 'x' }).error).toMatch(/not in this report/);
+
+        const { valid, update } = applyDiscrepancyExplanation(report, only.id, {
+            note: 'Promo commission waived',
+            actor: 'Finance',
+            now: new Date('2026-10-20T12:00:00Z'),
+        });
+        expect(valid).toBe(true);
+        expect(update).toMatchObject({ status: 'explained', openCount: 0, explainedCount: 1 });
+        expect(update.discrepancies[0]).toMatchObject({ status: 'explained', explanation: 'Promo commission waived', explainedBy: 'Finance', explainedAt: '2026-10-20T12:00:00.000Z' });
+    });
+
+    test('an explanation survives a re-run only while the difference is unchanged', () => {
+        const explained = applyDiscrepancyExplanation(flagged(), `dispatch_commission_mismatch_disp_v1_${WEEK}`, { note: 'Known' }).update.discrepancies;
+
+        expect(mergeDiscrepancyReviews(explained, flagged().discrepancies)[0].status).toBe('explained');
+
+        const changed = buildReconciliationReport({
+            weekStart: WEEK,
+            vendorInvoices: [vendorInvoice('o1')],
+            restaurantInvoices: [restaurantInvoice('o1')],
+            orders: [order('o1')],
+            dispatches: [dispatch(15)],
+            deliveredVendorInvoices: [vendorInvoice('o1')],
+        });
+        expect(mergeDiscrepancyReviews(explained, changed.discrepancies)[0].status).toBe('open');
+    });
+});
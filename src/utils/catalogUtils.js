@@ -7,28 +7,12 @@
  * All functions are pure and have no Firestore dependencies.
  */
 
+import { ITEM_ALIAS_MAP } from '../shared/forecastCore';
+
 // ─── Item Name Normalization ──────────────────────────────────────────────────
 
-/**
- * Known aliases: maps common vendor-specific item names to canonical names.
- * This is the same alias map used in forecastHelpers.js — kept in sync here.
- */
-const ITEM_ALIAS_MAP = {
-    'white onion': 'Onion - Cooking',
-    'red onion': 'Onion - Red',
-    'spring onion': 'Green Onion',
-    'garlic': 'Peeled Garlic',
-    'green plantain': 'Plantain Green',
-    'coriander': 'Coriander Leaves',
-    'mint': 'Mint Leaves',
-    'onion cooking': 'Onion - Cooking',
-    'onion cooking 50lbs': 'Onion - Cooking',
-    'onion red 25lbs': 'Onion - Red',
-    'carrot 50lbs': 'Carrot',
-    'yellow onion 50lb': 'Onion - Cooking',
-    'yellow onion': 'Onion - Cooking',
-    'cooking onion': 'Onion - Cooking',
-};
+// Known aliases (vendor-specific name → canonical name) come from the shared
+// forecast core so catalog matching and forecasting resolve names identically.
 
 /**
  * Strip common suffixes like weights and packaging from item names.
@@ -0,0 +1,111 @@
+import { jsPDF } from 'jspdf';
+import { formatTimeWindow } from '../shared/routePlanning';
+
+const WINDOW_NOTES = { late: 'MISSES WINDOW', unlocated: 'NO LOCATION — NOT SEQUENCED' };
+
+/**
+ * Driver manifest for a planned route — one block per stop in plan order,
+ * with address, window, ETA, the items to drop and a signature line. See
+ * planRoute() (src/shared/routePlanning.js).
+ * @param {Object} route — `vendorDispatchRoutes` document with a `routePlan`
+ * @returns {string} blob URL of the PDF, set to open the print dialog
+ */
+export function generateDriverManifestPDF(route) {
+    const plan = route.routePlan || { stops: [] };
+    const doc = new jsPDF({ unit: 'mm', format: 'letter' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 16;
+    const contentWidth = pageWidth - margin * 2;
+    const darkText = [25, 25, 30];
+    const mediumText = [80, 85, 95];
+    const lightRule = [210, 214, 220];
+    let y = margin + 4;
+
+    // Helper: start a new page when `height` more would run off this one
+    const ensureSpace = (height) => {
+        if (y + height <= pageHeight - margin) return;
+        doc.addPage();
+        y = margin + 4;
+    };
+
+    // Header
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.setTextColor(...darkText);
+    doc.text('Driver Manifest', margin, y);
+    doc.setFontSize(11);
+    doc.text(route.vendorName || '', pageWidth - margin, y, { align: 'right' });
+    y += 6;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...mediumText);
+    doc.text([
+        route.routeDay && `${route.routeDay} route`,
+        route.deliveryDate || route.weekLabel,
+        `${plan.stops.length} stop${plan.stops.length === 1 ? '' : 's'}`,
+        plan.startTime && `departs ${plan.startTime}`,
+        plan.finishTime && `last stop done ~${plan.finishTime}`,
+        plan.totalKm != null && `${plan.totalKm} km`,
+    ].filter(Boolean).join(' · '), margin, y);
+    y += 4.5;
+    doc.text(`${route.routeDispatchId || route.id || ''}${plan.providerLabel ? ` · distances: ${plan.providerLabel}` : ''}`, margin, y);
+    y += 3;
+    doc.setDrawColor(...darkText);
+    doc.setLineWidth(0.5);
+    doc.line(margin, y, pageWidth - margin, y);
+    y += 8;
+
+    plan.stops.forEach(stop => {
+        const itemLines = stop.items.map(i => `${i.qty} × ${i.itemName}${i.packLabel && i.packLabel !== '—' ? ` (${i.packLabel})` : ''}`);
+        ensureSpace(30 + itemLines.length * 4.5);
+
+        // Sequence, restaurant and ETA
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.setTextColor(...darkText);
+        doc.text(`${stop.sequence}. ${stop.restaurantName}`, margin, y);
+        doc.text(stop.eta || '—', pageWidth - margin, y, { align: 'right' });
+        y += 5;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(...mediumText);
+        doc.text(doc.splitTextToSize(stop.address || 'No address on file', contentWidth - 50)[0], margin + 5, y);
+        const windowText = formatTimeWindow(stop.timeWindow);
+        doc.text([windowText && `window ${windowText}`, stop.waitMinutes > 0 && `wait ${stop.waitMinutes} min`].filter(Boolean).join(' · '), pageWidth - margin, y, { align: 'right' });
+        y += 4.5;
+        if (WINDOW_NOTES[stop.windowStatus]) {
+            doc.setFont('helvetica', 'bold');
+            doc.text(WINDOW_NOTES[stop.windowStatus], margin + 5, y);
+            doc.setFont('helvetica', 'normal');
+            y += 4.5;
+        }
+
+        // Items
+        doc.setTextColor(...darkText);
+        doc.setFontSize(10);
+        itemLines.forEach(line => {
+            doc.text(`[  ]  ${line}`, margin + 5, y);
+            y += 4.5;
+        });
+
+        // Signature
+        y += 5;
+        doc.setDrawColor(...mediumText);
+        doc.setLineWidth(0.2);
+        doc.line(margin + 5, y, margin + 85, y);
+        doc.line(margin + 95, y, margin + 135, y);
+        y += 3.5;
+        doc.setFontSize(8);
+        doc.setTextColor(...mediumText);
+        doc.text('Received by (name / signature)', margin + 5, y);
+        doc.text('Time', margin + 95, y);
+        y += 4;
+        doc.setDrawColor(...lightRule);
+        doc.line(margin, y, pageWidth - margin, y);
+        y += 7;
+    });
+
+    doc.autoPrint();
+    return doc.output('bloburl');
+}
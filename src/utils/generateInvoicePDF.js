@@ -1,5 +1,7 @@
 import { jsPDF } from 'jspdf';
 import restiqLogo from '../assets/restiq-logo-white.png';
+import { hasCommissionModel } from '../shared/commissionRules';
+import { formatTaxLineLabel } from '../shared/taxEngine';
 
 // Helper: load an image as base64 for jsPDF
 function loadImageAsBase64(src) {
@@ -19,8 +21,17 @@ function loadImageAsBase64(src) {
     });
 }
 
+// Helper: signed money — credit notes carry negative amounts
+function money(n) {
+    const v = Number(n) || 0;
+    return `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`;
+}
+
 /**
  * Generate a premium PDF invoice / payout statement.
+ * Credit and debit notes render through the same layout — pass the note
+ * shaped by toNoteDocument() (src/shared/invoiceAdjustments.js), which sets
+ * `documentType` and `originalInvoiceNumber`.
  * @param {Object} invoice - Invoice data from Firestore
  * @param {Object} restaurantInfo - Restaurant billing info from RMS
  * @param {'restaurant'|'vendor'} type - Invoice type
@@ -70,7 +81,11 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
     doc.setTextColor(...navy);
     doc.setFontSize(20);
     doc.setFont('helvetica', 'bold');
-    const title = type === 'restaurant' ? 'CUSTOMER INVOICE' : 'VENDOR PAYOUT STATEMENT';
+    const noteType = invoice.documentType === 'credit_note' || invoice.documentType === 'debit_note' ? invoice.documentType : null;
+    const noteLabel = noteType === 'credit_note' ? 'CREDIT NOTE' : 'DEBIT NOTE';
+    const title = noteType
+        ? (type === 'restaurant' ? noteLabel : `VENDOR ${noteLabel}`)
+        : (type === 'restaurant' ? 'CUSTOMER INVOICE' : 'VENDOR PAYOUT STATEMENT');
     doc.text(title, rightEdge, y + 4, { align: 'right' });
 
     doc.setFontSize(10);
@@ -79,8 +94,10 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
     doc.text(invoice.invoiceNumber || 'N/A', rightEdge, y + 11, { align: 'right' });
 
     // Status badge
-    const isPaid = invoice.paymentStatus === 'PAID';
-    const statusText = isPaid ? 'PAID' : 'PENDING';
+    const isPaid = !noteType && invoice.paymentStatus === 'PAID';
+    const statusText = noteType
+        ? (noteType === 'credit_note' ? 'CREDIT' : 'DEBIT')
+        : isPaid ? 'PAID' : ['PARTIALLY_PAID', 'OVERDUE'].includes(invoice.paymentStatus) ? invoice.paymentStatus.replace('_', ' ') : 'PENDING';
     doc.setFontSize(8);
     doc.setFont('helvetica', 'bold');
     const badgeW = doc.getTextWidth(statusText) + 10;
@@ -110,8 +127,10 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
     doc.line(0, y + 14, pageWidth, y + 14);
 
     const metaItems = [
-        [type === 'restaurant' ? 'Invoice Date' : 'Statement Date', formatDate(invoice.invoiceDate)],
-        [type === 'restaurant' ? 'Due Date' : 'Payout Date', formatDate(invoice.dueDate)],
+        [noteType ? 'Note Date' : type === 'restaurant' ? 'Invoice Date' : 'Statement Date', formatDate(invoice.invoiceDate)],
+        noteType
+            ? ['Original Invoice', invoice.originalInvoiceNumber || 'N/A']
+            : [type === 'restaurant' ? 'Due Date' : 'Payout Date', formatDate(invoice.dueDate)],
         ['Order ID', invoice.orderGroupId || invoice.orderId?.slice(-8)?.toUpperCase() || 'N/A'],
     ];
 
@@ -298,9 +317,9 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
             item.itemName || 'Unknown',
             item.unit || 'unit',
             String(item.qty || 1),
-            `$${price.toFixed(2)}`,
-            item.isTaxable ? `$${tax.toFixed(2)}` : '\u2014',
-            `$${lineTotal.toFixed(2)}`,
+            money(price),
+            item.isTaxable ? money(tax) : '\u2014',
+            money(lineTotal),
         ];
 
         colX = margin + pad;
@@ -309,8 +328,9 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
             const textX = col.align === 'right' ? colX + col.width - pad
                 : col.align === 'center' ? colX + col.width / 2
                     : colX;
-            // Truncate long item names
-            const displayText = ci === 0 && text.length > 28 ? text.substring(0, 26) + '...' : text;
+            // Truncate long item names (note lines carry the change, so allow more)
+            const maxLen = noteType ? 40 : 28;
+            const displayText = ci === 0 && text.length > maxLen ? text.substring(0, maxLen - 2) + '...' : text;
             doc.text(displayText, textX, rowY + 6.2, { align: col.align === 'center' ? 'center' : col.align === 'right' ? 'right' : 'left' });
             colX += col.width;
         });
@@ -333,33 +353,45 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
     const subtotal = type === 'restaurant'
         ? Number(invoice.subtotal || 0)
         : Number(invoice.subtotalVendorAmount || invoice.grossVendorAmount || 0);
-    doc.text(`$${subtotal.toFixed(2)}`, valX, y, { align: 'right' });
+    doc.text(money(subtotal), valX, y, { align: 'right' });
     y += 7;
 
     // Commission (vendor only)
-    if (type === 'vendor' && invoice.commissionModel === 'VENDOR_FLAT_PERCENT') {
+    if (type === 'vendor' && hasCommissionModel(invoice)) {
         doc.setTextColor(...mediumText);
-        doc.text(`Commission (${invoice.commissionPercent || 10}%)`, summaryX, y);
+        doc.text(`Commission (${invoice.commissionPercent ?? 10}%)`, summaryX, y);
         doc.setTextColor(220, 50, 50);
-        doc.text(`- $${Number(invoice.commissionAmount || 0).toFixed(2)}`, valX, y, { align: 'right' });
+        doc.text(money(-Number(invoice.commissionAmount || 0)), valX, y, { align: 'right' });
         y += 7;
 
         doc.setTextColor(...mediumText);
         doc.text('Net Payable', summaryX, y);
         doc.setTextColor(...darkText);
-        doc.text(`$${Number(invoice.netVendorPayable || 0).toFixed(2)}`, valX, y, { align: 'right' });
+        doc.text(money(invoice.netVendorPayable), valX, y, { align: 'right' });
         y += 7;
     }
 
-    // Tax
-    doc.setTextColor(...mediumText);
-    doc.text('Tax', summaryX, y);
-    doc.setTextColor(...skyBlue);
+    // Tax — one row per component (GST/HST/PST/QST); older invoices have a single total
     const taxAmount = type === 'restaurant'
         ? Number(invoice.totalTax || 0)
         : Number(invoice.totalTaxAmount || 0);
-    doc.text(`+ $${taxAmount.toFixed(2)}`, valX, y, { align: 'right' });
-    y += 5;
+    const taxRows = invoice.taxLines?.length
+        ? invoice.taxLines.map(t => [formatTaxLineLabel(t), Number(t.amount) || 0])
+        : [['Tax', taxAmount]];
+    taxRows.forEach(([label, amount], i) => {
+        doc.setTextColor(...mediumText);
+        doc.text(label, summaryX, y);
+        doc.setTextColor(...skyBlue);
+        doc.text(amount < 0 ? money(amount) : `+ ${money(amount)}`, valX, y, { align: 'right' });
+        y += i < taxRows.length - 1 ? 7 : 5;
+    });
+    if (invoice.taxJurisdiction?.region) {
+        doc.setFontSize(7);
+        doc.setTextColor(...mutedText);
+        doc.text(`Tax jurisdiction: ${invoice.taxJurisdiction.name} (${invoice.taxJurisdiction.region})`, summaryX, y + 1);
+        doc.setFontSize(9);
+        y += 4;
+    }
 
     // Divider line
     doc.setDrawColor(...lineColor);
@@ -368,13 +400,15 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
     y += 7;
 
     // Grand Total — highlighted box
-    const totalLabel = type === 'restaurant' ? 'Grand Total' : 'Total Payout';
+    const totalLabel = noteType
+        ? (type === 'restaurant' ? 'Note Total' : 'Payout Change')
+        : (type === 'restaurant' ? 'Grand Total' : 'Total Payout');
     const total = type === 'restaurant'
         ? Number(invoice.grandTotal || 0)
-        : (invoice.commissionModel === 'VENDOR_FLAT_PERCENT'
+        : (hasCommissionModel(invoice)
             ? Number((invoice.netVendorPayable || 0) + taxAmount)
             : Number(invoice.totalVendorAmount || 0));
-    const totalStr = `$${total.toFixed(2)}`;
+    const totalStr = money(total);
 
     // Navy background box for total
     const totalBoxH = 10;
@@ -389,6 +423,21 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
 
     y += 20;
 
+    // ─── NOTE REASON ─────────────────────────────
+    if (noteType) {
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...mediumText);
+        doc.text(`Reason: ${invoice.reasonLabel || 'Correction'}`, margin, y);
+        if (invoice.notes) {
+            doc.setFont('helvetica', 'normal');
+            const noteLines = doc.splitTextToSize(invoice.notes, contentWidth);
+            doc.text(noteLines, margin, y + 5);
+            y += noteLines.length * 4;
+        }
+        y += 12;
+    }
+
     // ─── FOOTER ──────────────────────────────────
     // Thin accent line
     doc.setDrawColor(...skyBlue);
@@ -409,6 +458,500 @@ export async function generateInvoicePDF(invoice, restaurantInfo = {}, type = 'r
     return doc.output('datauristring');
 }
 
+/**
+ * Generate a monthly account statement for one restaurant.
+ * @param {Object} statement - buildRestaurantStatement() result (src/shared/receivables.js)
+ * @param {Object} restaurantInfo - Restaurant billing info from RMS
+ * @param {string} restaurantName - Fallback when RMS has no business name
+ * @returns {Promise<string>} Base64-encoded PDF data URI
+ */
+export async function generateStatementPDF(statement, restaurantInfo = {}, restaurantName = '') {
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 20;
+    const contentWidth = pageWidth - margin * 2;
+    const rightEdge = margin + contentWidth;
+    const bottomLimit = pageHeight - 30;
+    let y = 14;
+
+    // ─── COLOR PALETTE ───────────────────────────
+    const navy = [15, 22, 32];
+    const skyBlue = [14, 165, 233];
+    const darkText = [25, 25, 30];
+    const mediumText = [80, 85, 95];
+    const mutedText = [140, 145, 155];
+    const lineColor = [215, 218, 225];
+    const lightBg = [245, 247, 250];
+    const white = [255, 255, 255];
+
+    // ─── HEADER: Logo + Document Title ───────────
+    try {
+        const logoBase64 = await loadImageAsBase64(restiqLogo);
+        if (logoBase64) {
+            const logoSize = 70;
+            const logoOffsetX = margin - 14;
+            const logoOffsetY = y - 18;
+            doc.addImage(logoBase64, 'PNG', logoOffsetX, logoOffsetY, logoSize, logoSize);
+            doc.setFillColor(255, 255, 255);
+            doc.rect(0, 0, Math.max(0, logoOffsetX), 50, 'F');
+            doc.rect(0, y + 24, margin + 60, 30, 'F');
+        }
+    } catch (e) { /* skip logo */ }
+
+    doc.setTextColor(...navy);
+    doc.setFontSize(20);
+    doc.setFont('helvetica', 'bold');
+    doc.text('ACCOUNT STATEMENT', rightEdge, y + 4, { align: 'right' });
+
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...mediumText);
+    doc.text(formatMonth(statement.month), rightEdge, y + 11, { align: 'right' });
+
+    y = 46;
+
+    // ─── METADATA BAND ───────────────────────────
+    doc.setFillColor(...lightBg);
+    doc.rect(0, y, pageWidth, 14, 'F');
+    doc.setDrawColor(...lineColor);
+    doc.setLineWidth(0.3);
+    doc.line(0, y, pageWidth, y);
+    doc.line(0, y + 14, pageWidth, y + 14);
+
+    const metaItems = [
+        ['Statement Period', `${formatDate(isoDay(statement.periodStart))} \u2013 ${formatDate(isoDay(statement.periodEnd))}`],
+        ['Opening Balance', money(statement.openingBalance)],
+        ['Closing Balance', money(statement.closingBalance)],
+    ];
+    const metaColWidth = contentWidth / 3;
+    metaItems.forEach(([label, value], i) => {
+        const mx = margin + i * metaColWidth;
+        doc.setFontSize(7);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...mutedText);
+        doc.text(label, mx, y + 5.5);
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...darkText);
+        doc.text(value, mx, y + 11);
+    });
+
+    y = 68;
+
+    // ─── STATEMENT FOR + FROM ────────────────────
+    doc.setDrawColor(...skyBlue);
+    doc.setLineWidth(0.8);
+    doc.line(margin, y, margin, y + 24);
+    doc.setFontSize(7);
+    doc.setTextColor(...skyBlue);
+    doc.setFont('helvetica', 'bold');
+    doc.text('STATEMENT FOR', margin + 4, y + 4);
+    doc.setFontSize(11);
+    doc.setTextColor(...darkText);
+    doc.text(restaurantInfo.businessName || restaurantName || 'Restaurant', margin + 4, y + 11);
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...mediumText);
+    let detY = y + 16;
+    [restaurantInfo.address, restaurantInfo.email, restaurantInfo.hstNumber && `HST#: ${restaurantInfo.hstNumber}`]
+        .filter(Boolean)
+        .slice(0, 2)
+        .forEach(line => { doc.text(line, margin + 4, detY); detY += 4.5; });
+
+    const fromX = margin + contentWidth / 2 + 8;
+    doc.setDrawColor(...skyBlue);
+    doc.line(fromX, y, fromX, y + 24);
+    doc.setFontSize(7);
+    doc.setTextColor(...skyBlue);
+    doc.setFont('helvetica', 'bold');
+    doc.text('FROM', fromX + 4, y + 4);
+    doc.setFontSize(11);
+    doc.setTextColor(...darkText);
+    doc.text('RestIQ Solutions', fromX + 4, y + 11);
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...mediumText);
+    doc.text('1278 Northmount Street', fromX + 4, y + 16);
+    doc.text('Oshawa, ON, M1J 1E4', fromX + 4, y + 20.5);
+
+    y += 34;
+
+    // ─── TABLE HELPER ────────────────────────────
+    const rowH = 8;
+    const pad = 3;
+    const drawRow = (cols, values, rowY, { header = false, tint = false } = {}) => {
+        if (header || tint) {
+            doc.setFillColor(...(header ? lightBg : [250, 251, 253]));
+            doc.rect(margin, rowY, contentWidth, rowH, 'F');
+        }
+        doc.setDrawColor(...lineColor);
+        doc.setLineWidth(header ? 0.3 : 0.15);
+        if (header) doc.line(margin, rowY, rightEdge, rowY);
+        doc.line(margin, rowY + rowH, rightEdge, rowY + rowH);
+        doc.setFontSize(header ? 7.5 : 8);
+        doc.setFont('helvetica', header ? 'bold' : 'normal');
+        doc.setTextColor(...(header ? navy : darkText));
+        let colX = margin + pad;
+        cols.forEach((col, ci) => {
+            const text = String(values[ci] ?? '');
+            const shown = col.maxLen && text.length > col.maxLen ? text.substring(0, col.maxLen - 2) + '...' : text;
+            const textX = col.align === 'right' ? colX + col.width - pad : colX;
+            doc.text(shown, textX, rowY + 5.5, { align: col.align || 'left' });
+            colX += col.width;
+        });
+    };
+    const ensureSpace = (cols) => {
+        if (y + rowH <= bottomLimit) return;
+        doc.addPage();
+        y = 20;
+        drawRow(cols, cols.map(c => c.label), y, { header: true });
+        y += rowH;
+    };
+
+    // ─── ACTIVITY ────────────────────────────────
+    const activityCols = [
+        { label: 'Date', width: 24 },
+        { label: 'Reference', width: 34, maxLen: 22 },
+        { label: 'Description', width: 52, maxLen: 34 },
+        { label: 'Charges', width: 20, align: 'right' },
+        { label: 'Credits', width: 20, align: 'right' },
+        { label: 'Balance', width: 20, align: 'right' },
+    ];
+    drawRow(activityCols, activityCols.map(c => c.label), y, { header: true });
+    y += rowH;
+    drawRow(activityCols, [formatShortDate(statement.periodStart), '', 'Opening balance', '', '', money(statement.openingBalance)], y, { tint: true });
+    y += rowH;
+    statement.lines.forEach((line, idx) => {
+        ensureSpace(activityCols);
+        drawRow(activityCols, [
+            formatShortDate(line.date),
+            line.reference,
+            line.description,
+            line.amount > 0 ? money(line.amount) : '',
+            line.amount < 0 ? money(-line.amount) : '',
+            money(line.balance),
+        ], y, { tint: idx % 2 === 1 });
+        y += rowH;
+    });
+
+    y += 8;
+
+    // ─── SUMMARY ─────────────────────────────────
+    if (y + 46 > bottomLimit) { doc.addPage(); y = 20; }
+    const summaryW = 80;
+    const summaryX = rightEdge - summaryW;
+    doc.setFontSize(9);
+    [
+        ['Opening Balance', money(statement.openingBalance)],
+        ['Invoices', `+ ${money(statement.totals.invoiced)}`],
+        ['Debit Notes', `+ ${money(statement.totals.debits)}`],
+        ['Credit Notes', money(-statement.totals.credits)],
+        ['Payments', money(-statement.totals.payments)],
+    ].forEach(([label, value]) => {
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...mediumText);
+        doc.text(label, summaryX, y);
+        doc.setTextColor(...darkText);
+        doc.text(value, rightEdge, y, { align: 'right' });
+        y += 6;
+    });
+    doc.setDrawColor(...lineColor);
+    doc.setLineWidth(0.3);
+    doc.line(summaryX, y - 2, rightEdge, y - 2);
+    y += 5;
+    doc.setFillColor(...navy);
+    doc.roundedRect(summaryX - 2, y - 5, summaryW + 2, 10, 2, 2, 'F');
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...white);
+    doc.text('Balance Due', summaryX + 3, y + 1.5);
+    doc.text(money(statement.closingBalance), rightEdge - 3, y + 1.5, { align: 'right' });
+    y += 16;
+
+    // ─── OPEN INVOICES ───────────────────────────
+    if (statement.openInvoices.length > 0) {
+        if (y + 20 > bottomLimit) { doc.addPage(); y = 20; }
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...navy);
+        doc.text(`Open invoices at ${formatDate(isoDay(statement.periodEnd))}`, margin, y);
+        y += 4;
+        const openCols = [
+            { label: 'Invoice', width: 50 },
+            { label: 'Invoice Date', width: 30 },
+            { label: 'Due Date', width: 30 },
+            { label: 'Days Overdue', width: 30, align: 'right' },
+            { label: 'Balance', width: 30, align: 'right' },
+        ];
+        drawRow(openCols, openCols.map(c => c.label), y, { header: true });
+        y += rowH;
+        statement.openInvoices.forEach((inv, idx) => {
+            ensureSpace(openCols);
+            drawRow(openCols, [
+                inv.invoiceNumber,
+                formatShortDate(inv.invoiceDate),
+                formatShortDate(inv.dueDate),
+                inv.daysOverdue > 0 ? String(inv.daysOverdue) : '\u2014',
+                money(inv.balanceDue),
+            ], y, { tint: idx % 2 === 1 });
+            y += rowH;
+        });
+        y += 8;
+    }
+
+    // ─── FOOTER ──────────────────────────────────
+    if (y + 14 > pageHeight - 10) { doc.addPage(); y = 20; }
+    doc.setDrawColor(...skyBlue);
+    doc.setLineWidth(0.5);
+    doc.line(margin, y, rightEdge, y);
+    y += 8;
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...mediumText);
+    doc.text('Please remit the balance due by the invoice due dates. Thank you for your business!', pageWidth / 2, y, { align: 'center' });
+    doc.setFontSize(7);
+    doc.setTextColor(...mutedText);
+    doc.text('Generated by RestIQ Solutions \u2014 Vendor Management Platform', pageWidth / 2, y + 5, { align: 'center' });
+
+    return doc.output('datauristring');
+}
+
+/**
+ * Generate the remittance advice for one vendor's payout in a payout batch.
+ * @param {Object} batch - payoutBatches doc (reference, periodEnd, status, paymentDate?)
+ * @param {Object} payout - one entry of batch.payouts
+ * @returns {Promise<string>} Base64-encoded PDF data URI
+ */
+export async function generateRemittanceAdvicePDF(batch, payout) {
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 20;
+    const contentWidth = pageWidth - margin * 2;
+    const rightEdge = margin + contentWidth;
+    const bottomLimit = pageHeight - 30;
+    let y = 14;
+
+    // ─── COLOR PALETTE ───────────────────────────
+    const navy = [15, 22, 32];
+    const skyBlue = [14, 165, 233];
+    const darkText = [25, 25, 30];
+    const mediumText = [80, 85, 95];
+    const mutedText = [140, 145, 155];
+    const lineColor = [215, 218, 225];
+    const lightBg = [245, 247, 250];
+    const white = [255, 255, 255];
+
+    // ─── HEADER: Logo + Document Title ───────────
+    try {
+        const logoBase64 = await loadImageAsBase64(restiqLogo);
+        if (logoBase64) {
+            const logoSize = 70;
+            const logoOffsetX = margin - 14;
+            const logoOffsetY = y - 18;
+            doc.addImage(logoBase64, 'PNG', logoOffsetX, logoOffsetY, logoSize, logoSize);
+            doc.setFillColor(255, 255, 255);
+            doc.rect(0, 0, Math.max(0, logoOffsetX), 50, 'F');
+            doc.rect(0, y + 24, margin + 60, 30, 'F');
+        }
+    } catch (e) { /* skip logo */ }
+
+    doc.setTextColor(...navy);
+    doc.setFontSize(20);
+    doc.setFont('helvetica', 'bold');
+    doc.text('REMITTANCE ADVICE', rightEdge, y + 4, { align: 'right' });
+
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...mediumText);
+    doc.text(batch.reference || '', rightEdge, y + 11, { align: 'right' });
+
+    y = 46;
+
+    // ─── METADATA BAND ───────────────────────────
+    doc.setFillColor(...lightBg);
+    doc.rect(0, y, pageWidth, 14, 'F');
+    doc.setDrawColor(...lineColor);
+    doc.setLineWidth(0.3);
+    doc.line(0, y, pageWidth, y);
+    doc.line(0, y + 14, pageWidth, y + 14);
+
+    const metaItems = [
+        ['Payment Date', batch.paymentDate ? formatDate(isoDay(batch.paymentDate)) : 'Scheduled'],
+        ['Invoices Through', formatDate(isoDay(batch.periodEnd))],
+        ['Payment Reference', batch.paymentReference || batch.reference || ''],
+        ['Amount', money(payout.netPayable)],
+    ];
+    const metaColWidth = contentWidth / 4;
+    metaItems.forEach(([label, value], i) => {
+        const mx = margin + i * metaColWidth;
+        doc.setFontSize(7);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...mutedText);
+        doc.text(label, mx, y + 5.5);
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...darkText);
+        doc.text(value, mx, y + 11);
+    });
+
+    y = 68;
+
+    // ─── PAID TO + FROM ──────────────────────────
+    doc.setDrawColor(...skyBlue);
+    doc.setLineWidth(0.8);
+    doc.line(margin, y, margin, y + 24);
+    doc.setFontSize(7);
+    doc.setTextColor(...skyBlue);
+    doc.setFont('helvetica', 'bold');
+    doc.text('PAID TO', margin + 4, y + 4);
+    doc.setFontSize(11);
+    doc.setTextColor(...darkText);
+    doc.text(payout.vendorName || 'Vendor', margin + 4, y + 11);
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...mediumText);
+    let detY = y + 16;
+    [
+        payout.payoutAccount && `Account ending ${payout.payoutAccount.last4}`,
+        payout.vendorEmail,
+    ].filter(Boolean).forEach(line => { doc.text(line, margin + 4, detY); detY += 4.5; });
+
+    const fromX = margin + contentWidth / 2 + 8;
+    doc.setDrawColor(...skyBlue);
+    doc.line(fromX, y, fromX, y + 24);
+    doc.setFontSize(7);
+    doc.setTextColor(...skyBlue);
+    doc.setFont('helvetica', 'bold');
+    doc.text('FROM', fromX + 4, y + 4);
+    doc.setFontSize(11);
+    doc.setTextColor(...darkText);
+    doc.text('RestIQ Solutions', fromX + 4, y + 11);
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...mediumText);
+    doc.text('1278 Northmount Street', fromX + 4, y + 16);
+    doc.text('Oshawa, ON, M1J 1E4', fromX + 4, y + 20.5);
+
+    y += 34;
+
+    // ─── INVOICES ────────────────────────────────
+    const rowH = 8;
+    const pad = 3;
+    const cols = [
+        { label: 'Invoice', width: 38, maxLen: 24 },
+        { label: 'Date', width: 26 },
+        { label: 'Gross', width: 24, align: 'right' },
+        { label: 'Commission', width: 26, align: 'right' },
+        { label: 'Adjustments', width: 26, align: 'right' },
+        { label: 'Net Paid', width: 30, align: 'right' },
+    ];
+    const drawRow = (values, rowY, { header = false, tint = false } = {}) => {
+        if (header || tint) {
+            doc.setFillColor(...(header ? lightBg : [250, 251, 253]));
+            doc.rect(margin, rowY, contentWidth, rowH, 'F');
+        }
+        doc.setDrawColor(...lineColor);
+        doc.setLineWidth(header ? 0.3 : 0.15);
+        if (header) doc.line(margin, rowY, rightEdge, rowY);
+        doc.line(margin, rowY + rowH, rightEdge, rowY + rowH);
+        doc.setFontSize(header ? 7.5 : 8);
+        doc.setFont('helvetica', header ? 'bold' : 'normal');
+        doc.setTextColor(...(header ? navy : darkText));
+        let colX = margin + pad;
+        cols.forEach((col, ci) => {
+            const text = String(values[ci] ?? '');
+            const shown = col.maxLen && text.length > col.maxLen ? text.substring(0, col.maxLen - 2) + '...' : text;
+            const textX = col.align === 'right' ? colX + col.width - pad : colX;
+            doc.text(shown, textX, rowY + 5.5, { align: col.align || 'left' });
+            colX += col.width;
+        });
+    };
+
+    drawRow(cols.map(c => c.label), y, { header: true });
+    y += rowH;
+    payout.invoices.forEach((inv, idx) => {
+        if (y + rowH > bottomLimit) {
+            doc.addPage();
+            y = 20;
+            drawRow(cols.map(c => c.label), y, { header: true });
+            y += rowH;
+        }
+        drawRow([
+            inv.invoiceNumber,
+            formatShortDate(inv.invoiceDate),
+            money(inv.gross),
+            money(-inv.commission),
+            inv.adjustments ? money(inv.adjustments) : '\u2014',
+            money(inv.netPayable),
+        ], y, { tint: idx % 2 === 1 });
+        y += rowH;
+    });
+
+    y += 8;
+
+    // ─── SUMMARY ─────────────────────────────────
+    if (y + 40 > bottomLimit) { doc.addPage(); y = 20; }
+    const summaryW = 80;
+    const summaryX = rightEdge - summaryW;
+    doc.setFontSize(9);
+    [
+        ['Gross Sales', money(payout.grossTotal)],
+        ['Platform Commission', money(-payout.commissionTotal)],
+        ['Credit / Debit Notes', money(payout.adjustmentTotal)],
+    ].forEach(([label, value]) => {
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...mediumText);
+        doc.text(label, summaryX, y);
+        doc.setTextColor(...darkText);
+        doc.text(value, rightEdge, y, { align: 'right' });
+        y += 6;
+    });
+    doc.setDrawColor(...lineColor);
+    doc.setLineWidth(0.3);
+    doc.line(summaryX, y - 2, rightEdge, y - 2);
+    y += 5;
+    doc.setFillColor(...navy);
+    doc.roundedRect(summaryX - 2, y - 5, summaryW + 2, 10, 2, 2, 'F');
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...white);
+    doc.text('Net Payment', summaryX + 3, y + 1.5);
+    doc.text(money(payout.netPayable), rightEdge - 3, y + 1.5, { align: 'right' });
+    y += 16;
+
+    // ─── FOOTER ──────────────────────────────────
+    if (y + 14 > pageHeight - 10) { doc.addPage(); y = 20; }
+    doc.setDrawColor(...skyBlue);
+    doc.setLineWidth(0.5);
+    doc.line(margin, y, rightEdge, y);
+    y += 8;
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...mediumText);
+    doc.text('This payment settles the invoices listed above. Thank you for supplying through RestIQ!', pageWidth / 2, y, { align: 'center' });
+    doc.setFontSize(7);
+    doc.setTextColor(...mutedText);
+    doc.text('Generated by RestIQ Solutions \u2014 Vendor Management Platform', pageWidth / 2, y + 5, { align: 'center' });
+
+    return doc.output('datauristring');
+}
+
+// Helper: YYYY-MM-DD business date as a local-noon Date, so it never shifts a day
+function isoDay(iso) {
+    return iso ? new Date(`${iso}T12:00:00`) : null;
+}
+
+function formatShortDate(iso) {
+    if (!iso) return '\u2014';
+    return isoDay(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function formatMonth(month) {
+    return isoDay(`${month}-01`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+}
+
 // Helper: format Firestore timestamp or ISO string
 function formatDate(val) {
     if (!val) return 'N/A';
@@ -0,0 +1,106 @@
+import { jsPDF } from 'jspdf';
+
+// Code 39 — each character is 9 elements (bar, space, bar, …), 1 = wide.
+// Only the characters a pick code can contain, plus the * start/stop.
+const CODE39 = {
+    '0': '000110100', '1': '100100001', '2': '001100001', '3': '101100000', '4': '000110001',
+    '5': '100110000', '6': '001110000', '7': '000100101', '8': '100100100', '9': '001100100',
+    'A': '100001001', 'B': '001001001', 'C': '101001000', 'D': '000011001', 'E': '100011000',
+    'F': '001011000', 'G': '000001101', 'H': '100001100', 'I': '001001100', 'J': '000011100',
+    'K': '100000011', 'L': '001000011', 'M': '101000010', 'N': '000010011', 'O': '100010010',
+    'P': '001010010', 'Q': '000000111', 'R': '100000110', 'S': '001000110', 'T': '000010110',
+    'U': '110000001', 'V': '011000001', 'W': '111000000', 'X': '010010001', 'Y': '110010000',
+    'Z': '011010000', '-': '010000101', '.': '110000100', ' ': '011000100', '*': '010010100',
+};
+
+// Helper: draw `text` as a Code 39 barcode; returns the width used
+function drawCode39(doc, text, x, y, height, narrow = 0.5) {
+    const wide = narrow * 2.5;
+    let cursor = x;
+    `*${String(text).toUpperCase()}*`.split('').forEach(ch => {
+        const pattern = CODE39[ch];
+        if (!pattern) return;
+        pattern.split('').forEach((w, i) => {
+            const width = w === '1' ? wide : narrow;
+            if (i % 2 === 0) doc.rect(cursor, y, width, height, 'F');
+            cursor += width;
+        });
+        cursor += narrow; // gap between characters
+    });
+    return cursor - x;
+}
+
+// Helper: fit a single line of text to a width by shrinking the font
+function fitText(doc, text, maxWidth, size, minSize = 8) {
+    let s = size;
+    doc.setFontSize(s);
+    while (s > minSize && doc.getTextWidth(text) > maxWidth) {
+        s -= 1;
+        doc.setFontSize(s);
+    }
+    return doc.splitTextToSize(text, maxWidth)[0];
+}
+
+/**
+ * Pick labels, one 4" × 3" label per page, in the order given — see
+ * buildPickLabels() (src/shared/warehousePicking.js). Each label carries the
+ * line's pick code as a Code 39 barcode so it can be scanned in Scan mode.
+ * @param {Array<Object>} labels
+ * @returns {string} blob URL of the PDF, set to open the print dialog
+ */
+export function generatePickLabelsPDF(labels) {
+    const doc = new jsPDF({ unit: 'mm', format: [101.6, 76.2], orientation: 'landscape' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 6;
+    const contentWidth = pageWidth - margin * 2;
+    const darkText = [25, 25, 30];
+    const mediumText = [80, 85, 95];
+
+    labels.forEach((label, index) => {
+        if (index > 0) doc.addPage();
+        let y = margin + 6;
+
+        // Restaurant drop
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...darkText);
+        doc.text(fitText(doc, label.restaurantName, contentWidth, 18), margin, y);
+        y += 6;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(...mediumText);
+        doc.text([label.routeDay && `${label.routeDay} route`, label.weekLabel, label.dropCount > 1 ? `drop ${label.dropIndex} of ${label.dropCount}` : ''].filter(Boolean).join(' · '), margin, y);
+        y += 4;
+        doc.setDrawColor(...darkText);
+        doc.setLineWidth(0.4);
+        doc.line(margin, y, pageWidth - margin, y);
+        y += 7;
+
+        // Item and quantity
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...darkText);
+        doc.text(fitText(doc, label.itemName, contentWidth - 28, 14), margin, y);
+        doc.setFontSize(16);
+        doc.text(`× ${label.qty}`, pageWidth - margin, y, { align: 'right' });
+        y += 5.5;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(...mediumText);
+        doc.text(doc.splitTextToSize([label.packLabel !== '—' && label.packLabel, label.vendorName].filter(Boolean).join(' · '), contentWidth)[0] || '', margin, y);
+        y += 4.5;
+        doc.text([label.zoneName, label.bin && `Bin ${label.bin}`].filter(Boolean).join(' · '), margin, y);
+        y += 4;
+
+        // Barcode, centred
+        doc.setFillColor(...darkText);
+        const barcodeWidth = (label.pickCode.length + 2) * 14.5 * 0.5;
+        drawCode39(doc, label.pickCode, (pageWidth - barcodeWidth) / 2, y, 14);
+        y += 18;
+        doc.setFont('courier', 'bold');
+        doc.setFontSize(10);
+        doc.setTextColor(...darkText);
+        doc.text(label.pickCode, pageWidth / 2, y, { align: 'center' });
+    });
+
+    doc.autoPrint();
+    return doc.output('bloburl');
+}
@@ -0,0 +1,94 @@
+/**
+ * migrateCorrectionItemIds.js
+ *
+ * Re-keys `correctionEntries` from name slugs (e.g. "onion-cooking") to the
+ * `catalogItems` id the forecast engine now keys lines by, so correction
+ * learning keeps its history across vendor naming variants and renames.
+ * The old id is kept in `legacyItemId`. Entries whose item cannot be found in
+ * the catalog are counted as needing review and left untouched.
+ *
+ * SAFE: Only rewrites itemId/catalogItemId. Idempotent — re-keyed entries are skipped.
+ */
+import { db } from '../firebase';
+import { collection, getDocs, doc, writeBatch, addDoc, serverTimestamp } from 'firebase/firestore';
+import { buildCatalogIndex, planCorrectionRekey } from '../shared/catalogIdentity';
+
+const BATCH_SIZE = 400; // Firestore batches are capped at 500 writes
+
+/**
+ * Run the correction re-key migration.
+ * @param {Function} onProgress - callback(msg) for live progress updates
+ * @returns {{ updated, skipped, needsReview, errors, unresolved }}
+ */
+export async function migrateCorrectionItemIds(onProgress) {
+    const log = { updated: 0, skipped: 0, needsReview: 0, errors: [], unresolved: [] };
+    const startTime = new Date();
+
+    try {
+        if (onProgress) onProgress('Loading catalogItems...');
+        const catSnap = await getDocs(collection(db, 'catalogItems'));
+        const index = buildCatalogIndex(catSnap.docs.map(d => ({ id: d.id, ...d.data() })));
+        if (index.size === 0) throw new Error('catalogItems is empty — run the Catalog Backfill first');
+
+        if (onProgress) onProgress('Scanning correctionEntries...');
+        const corrSnap = await getDocs(collection(db, 'correctionEntries'));
+        const entries = corrSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+        const { updates, unresolved, unchanged } = planCorrectionRekey(index, entries);
+        log.skipped = unchanged;
+        log.needsReview = unresolved.length;
+        log.unresolved = unresolved;
+        if (onProgress) onProgress(`${entries.length} entries: ${updates.length} to re-key, ${unchanged} already keyed, ${unresolved.length} not in catalog`);
+
+        for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+            const chunk = updates.slice(i, i + BATCH_SIZE);
+            if (onProgress) onProgress(`Batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(updates.length / BATCH_SIZE)}...`);
+            try {
+                const batch = writeBatch(db);
+                chunk.forEach(u => {
+                    batch.update(doc(db, 'correctionEntries', u.id), {
+                        itemId: u.catalogItemId,
+                        catalogItemId: u.catalogItemId,
+                        legacyItemId: u.fromItemId || null,
+                        rekeyedAt: serverTimestamp(),
+                    });
+                });
+                await batch.commit();
+                log.updated += chunk.length;
+            } catch (err) {
+                log.errors.push(`Batch ${Math.floor(i / BATCH_SIZE) + 1}: ${err.message}`);
+            }
+        }
+
+        unresolved.slice(0, 20).forEach(u => {
+            if (onProgress) onProgress(`⚠ Not in catalog: ${u.itemName || '(no name)'} (${u.itemId || u.id})`);
+        });
+
+        // Write migration log
+        try {
+            await addDoc(collection(db, 'migrationLogs'), {
+                type: 'correctionItemRekey',
+                startedAt: startTime.toISOString(),
+                completedAt: new Date().toISOString(),
+                status: log.errors.length === 0 ? 'completed' : 'completed_with_errors',
+                totalProcessed: entries.length,
+                totalCreated: 0,
+                totalUpdated: log.updated,
+                totalSkipped: log.skipped,
+                totalNeedsReview: log.needsReview,
+                errorCount: log.errors.length,
+                notes: `Resolved against ${index.size} catalogItems`,
+                createdAt: serverTimestamp(),
+            });
+        } catch (logErr) {
+            console.warn('Migration log write failed:', logErr);
+        }
+
+        if (onProgress) onProgress(`✅ Done. Re-keyed: ${log.updated}, Skipped: ${log.skipped}, Not in catalog: ${log.needsReview}, Errors: ${log.errors.length}`);
+    } catch (err) {
+        log.errors.push(`Fatal: ${err.message}`);
+        if (onProgress) onProgress(`❌ Fatal error: ${err.message}`);
+    }
+
+    return log;
+}